@@ -0,0 +1,368 @@
+#!/usr/bin/env node
+// scripts/mt5-bridge.js - Stand-in MT5 bridge for development and tests
+//
+// Speaks the same line-delimited JSON protocol as the real terminal bridge:
+//   request  {"id": 1, "command": "order_send", "params": {...}}
+//   response {"id": 1, "data": {...}} or {"id": 1, "error": {"message": "..."}}
+//   event    {"event": "tick" | "account" | "position_closed", "data": {...}}
+// Prices follow a random walk so positions open and close with realistic P/L. An order may
+// carry a stop-loss price ("sl"); the stand-in fills stops at their level, without slippage.
+
+const net = require('net');
+
+const DEFAULT_SYMBOLS = {
+    'EURUSD': { price: 1.1000, contractSize: 100000, spread: 0.0001, digits: 5 },
+    'GBPUSD': { price: 1.2700, contractSize: 100000, spread: 0.0001, digits: 5 },
+    'USDJPY': { price: 150.00, contractSize: 1000, spread: 0.01, digits: 3 },
+    'AUDUSD': { price: 0.6600, contractSize: 100000, spread: 0.0001, digits: 5 },
+    'Volatility 10 Index': { price: 6000, contractSize: 1, spread: 0.5, digits: 2 },
+    'Volatility 25 Index': { price: 3000, contractSize: 1, spread: 0.5, digits: 2 },
+    'Volatility 50 Index': { price: 250, contractSize: 1, spread: 0.05, digits: 2 },
+    'Volatility 75 Index': { price: 400000, contractSize: 1, spread: 20, digits: 2 },
+    'Volatility 100 Index': { price: 1500, contractSize: 1, spread: 0.2, digits: 2 }
+};
+
+class MT5BridgeServer {
+    constructor(options = {}) {
+        this.config = {
+            host: options.host || '127.0.0.1',
+            port: options.port !== undefined ? options.port : 5555,
+            login: options.login || null, // when set, only this login is accepted
+            balance: options.balance || 10000,
+            currency: options.currency || 'USD',
+            tickInterval: options.tickInterval !== undefined ? options.tickInterval : 1000,
+            volatility: options.volatility || 0.0002,
+            volumeMin: 0.01,
+            volumeMax: 10
+        };
+
+        this.symbols = new Map(
+            Object.entries(options.symbols || DEFAULT_SYMBOLS).map(([name, spec]) => [name, { ...spec }])
+        );
+        this.balance = this.config.balance;
+        this.positions = new Map();
+        this.closedPositions = new Map();
+        this.nextTicket = 100000;
+        this.clients = new Set();
+        this.server = null;
+        this.tickTimer = null;
+    }
+
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server = net.createServer((socket) => this.handleClient(socket));
+            this.server.once('error', reject);
+            this.server.listen(this.config.port, this.config.host, () => {
+                this.config.port = this.server.address().port;
+                this.startTicks();
+                console.log(`🌉 MT5 bridge stand-in listening on ${this.config.host}:${this.config.port}`);
+                resolve(this.config.port);
+            });
+        });
+    }
+
+    async stop() {
+        if (this.tickTimer) {
+            clearInterval(this.tickTimer);
+            this.tickTimer = null;
+        }
+
+        for (const client of this.clients) {
+            client.socket.destroy();
+        }
+        this.clients.clear();
+
+        if (this.server) {
+            await new Promise(resolve => this.server.close(() => resolve()));
+            this.server = null;
+        }
+    }
+
+    handleClient(socket) {
+        const client = { socket, buffer: '', authenticated: false, subscriptions: new Set() };
+        this.clients.add(client);
+
+        socket.setEncoding('utf8');
+        socket.on('data', (chunk) => {
+            client.buffer += chunk;
+
+            let newline;
+            while ((newline = client.buffer.indexOf('\n')) !== -1) {
+                const line = client.buffer.slice(0, newline).trim();
+                client.buffer = client.buffer.slice(newline + 1);
+                if (line) this.handleLine(client, line);
+            }
+        });
+        socket.on('close', () => this.clients.delete(client));
+        socket.on('error', () => this.clients.delete(client));
+    }
+
+    handleLine(client, line) {
+        let request;
+        try {
+            request = JSON.parse(line);
+        } catch (error) {
+            return this.send(client, { error: { message: 'Malformed JSON' } });
+        }
+
+        try {
+            if (request.command !== 'login' && request.command !== 'ping' && !client.authenticated) {
+                throw new Error('Not logged in');
+            }
+
+            const data = this.handleCommand(client, request.command, request.params || {});
+            this.send(client, { id: request.id, data });
+        } catch (error) {
+            this.send(client, { id: request.id, error: { message: error.message } });
+        }
+    }
+
+    handleCommand(client, command, params) {
+        switch (command) {
+            case 'ping':
+                return { pong: true, time: this.now() };
+
+            case 'login':
+                if (this.config.login && String(params.login) !== String(this.config.login)) {
+                    throw new Error('Invalid account');
+                }
+                client.authenticated = true;
+                return { login: params.login, server: params.server, ...this.getAccount() };
+
+            case 'account_info':
+                return this.getAccount();
+
+            case 'symbol_info':
+                return this.getSymbolInfo(params.symbol);
+
+            case 'subscribe_ticks':
+                (params.symbols || []).forEach(symbol => client.subscriptions.add(symbol));
+                return { subscribed: Array.from(client.subscriptions) };
+
+            case 'order_send':
+                return this.openPosition(params);
+
+            case 'position_get':
+                return this.getPosition(params.ticket);
+
+            case 'positions_get':
+                return Array.from(this.positions.values()).map(position => this.describePosition(position));
+
+            case 'position_close':
+                return this.closePosition(params.ticket);
+
+            default:
+                throw new Error(`Unknown command: ${command}`);
+        }
+    }
+
+    // ================================
+    // SIMULATED TERMINAL
+    // ================================
+    getAccount() {
+        const floating = Array.from(this.positions.values())
+            .reduce((sum, position) => sum + this.calculateProfit(position), 0);
+
+        return {
+            balance: this.round(this.balance),
+            equity: this.round(this.balance + floating),
+            currency: this.config.currency
+        };
+    }
+
+    getSymbolInfo(symbol) {
+        const spec = this.symbols.get(symbol);
+        if (!spec) throw new Error(`Unknown symbol: ${symbol}`);
+
+        return {
+            symbol,
+            bid: spec.price,
+            ask: spec.price + spec.spread,
+            volume_min: this.config.volumeMin,
+            volume_max: this.config.volumeMax,
+            contract_size: spec.contractSize,
+            digits: spec.digits
+        };
+    }
+
+    openPosition(params) {
+        const spec = this.symbols.get(params.symbol);
+        if (!spec) throw new Error(`Unknown symbol: ${params.symbol}`);
+        if (!['BUY', 'SELL'].includes(params.type)) throw new Error(`Invalid order type: ${params.type}`);
+        if (!(params.volume >= this.config.volumeMin && params.volume <= this.config.volumeMax)) {
+            throw new Error(`Invalid volume: ${params.volume}`);
+        }
+
+        const position = {
+            ticket: this.nextTicket++,
+            symbol: params.symbol,
+            type: params.type,
+            volume: params.volume,
+            price: params.type === 'BUY' ? spec.price + spec.spread : spec.price,
+            sl: params.sl || null,
+            time: this.now(),
+            comment: params.comment || ''
+        };
+
+        // A stop must sit below where a long closes, above where a short closes
+        if (position.sl !== null) {
+            const closePrice = this.getClosePrice(position);
+            if (position.type === 'BUY' ? position.sl >= closePrice : position.sl <= closePrice) {
+                throw new Error(`Invalid stops: ${position.sl}`);
+            }
+        }
+
+        this.positions.set(position.ticket, position);
+        return this.describePosition(position);
+    }
+
+    getPosition(ticket) {
+        const closed = this.closedPositions.get(ticket);
+        if (closed) return closed;
+
+        const position = this.positions.get(ticket);
+        if (!position) throw new Error(`Position ${ticket} not found`);
+
+        return this.describePosition(position);
+    }
+
+    closePosition(ticket, price = null) {
+        const position = this.positions.get(ticket);
+        if (!position) throw new Error(`Position ${ticket} not found`);
+
+        const closePrice = price !== null ? price : this.getClosePrice(position);
+        const closed = {
+            ...this.describePosition(position),
+            profit: this.calculateProfit(position, closePrice),
+            status: 'closed',
+            price_close: closePrice,
+            time_close: this.now()
+        };
+
+        this.positions.delete(ticket);
+        this.closedPositions.set(ticket, closed);
+        this.balance += closed.profit;
+
+        this.broadcast({ event: 'position_closed', data: closed });
+        this.broadcast({ event: 'account', data: this.getAccount() });
+
+        return closed;
+    }
+
+    describePosition(position) {
+        return {
+            ticket: position.ticket,
+            symbol: position.symbol,
+            type: position.type,
+            volume: position.volume,
+            price: position.price,
+            sl: position.sl,
+            price_current: this.getClosePrice(position),
+            profit: this.calculateProfit(position),
+            time: position.time,
+            comment: position.comment,
+            status: 'open'
+        };
+    }
+
+    getClosePrice(position) {
+        const spec = this.symbols.get(position.symbol);
+        // Longs close on the bid, shorts on the ask
+        return position.type === 'BUY' ? spec.price : spec.price + spec.spread;
+    }
+
+    calculateProfit(position, closePrice = this.getClosePrice(position)) {
+        const spec = this.symbols.get(position.symbol);
+        const move = closePrice - position.price;
+        const sign = position.type === 'BUY' ? 1 : -1;
+        return this.round(sign * move * position.volume * spec.contractSize);
+    }
+
+    startTicks() {
+        if (!this.config.tickInterval) return;
+
+        this.tickTimer = setInterval(() => this.advancePrices(), this.config.tickInterval);
+        if (this.tickTimer.unref) this.tickTimer.unref();
+    }
+
+    advancePrices() {
+        for (const [symbol, spec] of this.symbols) {
+            const shock = (Math.random() - 0.5) * 2 * this.config.volatility;
+            spec.price = spec.price * (1 + shock);
+            this.publishTick(symbol);
+        }
+        this.checkStops();
+    }
+
+    setPrice(symbol, price) {
+        // Lets tests move the market deterministically
+        const spec = this.symbols.get(symbol);
+        if (!spec) throw new Error(`Unknown symbol: ${symbol}`);
+        spec.price = price;
+        this.publishTick(symbol);
+        this.checkStops();
+    }
+
+    // Closes every position whose stop-loss the price has reached
+    checkStops() {
+        for (const position of Array.from(this.positions.values())) {
+            if (position.sl === null) continue;
+
+            const closePrice = this.getClosePrice(position);
+            if (position.type === 'BUY' ? closePrice <= position.sl : closePrice >= position.sl) {
+                this.closePosition(position.ticket, position.sl);
+            }
+        }
+    }
+
+    publishTick(symbol) {
+        const spec = this.symbols.get(symbol);
+        const tick = { symbol, bid: spec.price, ask: spec.price + spec.spread, time: this.now() };
+
+        for (const client of this.clients) {
+            if (client.subscriptions.has(symbol)) {
+                this.send(client, { event: 'tick', data: tick });
+            }
+        }
+    }
+
+    broadcast(message) {
+        for (const client of this.clients) {
+            if (client.authenticated) this.send(client, message);
+        }
+    }
+
+    send(client, message) {
+        if (!client.socket.destroyed) {
+            client.socket.write(JSON.stringify(message) + '\n');
+        }
+    }
+
+    now() {
+        return Math.floor(Date.now() / 1000);
+    }
+
+    round(value) {
+        return Math.round(value * 100) / 100;
+    }
+}
+
+if (require.main === module) {
+    const bridge = new MT5BridgeServer({
+        host: process.env.MT5_BRIDGE_HOST || '127.0.0.1',
+        port: parseInt(process.env.MT5_BRIDGE_PORT) || 5555,
+        login: process.env.MT5_LOGIN || null
+    });
+
+    bridge.start().catch(error => {
+        console.error('❌ MT5 bridge failed to start:', error.message);
+        process.exit(1);
+    });
+
+    process.on('SIGINT', async () => {
+        await bridge.stop();
+        process.exit(0);
+    });
+}
+
+module.exports = MT5BridgeServer;
@@ -1,196 +1,91 @@
 #!/usr/bin/env node
 
-// restore-system.js - Restore original BAYNEX.A.X sophisticated system
+// server.js - BAYNEX.A.X entry point
+// Registers one instance of every component with the integration layer,
+// which initializes them in dependency order and wires getComponent().
 
-const fs = require('fs');
-const path = require('path');
+require('dotenv').config();
 
-console.log('🔧 Restoring BAYNEX.A.X original sophisticated system...');
+const BayneXIntegrationLayer = require('./src/integration/BayneXintegrationlayer');
+const DatabaseManager = require('./src/data/DatabaseManager');
+const DataProcessor = require('./src/data/Dataprocessor');
+const PlatformConnectors = require('./src/platforms/PlatformConnectors');
+const RiskManager = require('./src/risk/RiskManagers');
+const TradePricer = require('./src/risk/TradePricer');
+const AILearningEngine = require('./src/ai/AILearningEngine');
+const StrategyManager = require('./src/ai/StrategyManager');
+const RegimeDetector = require('./src/ai/RegimeDetector');
+const EvolutionEngine = require('./src/ai/EvolutionEngine');
+const BayneXCore = require('./src/core/BayneXCore');
+const SignalArbiter = require('./src/core/SignalArbiter');
+const ExitManager = require('./src/core/ExitManager');
+const TradeReconciler = require('./src/core/TradeReconciler');
+const TradingScheduler = require('./src/core/TradingScheduler');
+const DecisionJournal = require('./src/core/DecisionJournal');
+const { BayneXConfigManager } = require('./src/config');
+const { BacktestEngine, ParameterOptimizer } = require('./src/backtest');
+const NotificationSystem = require('./src/notifications/NotificationSystem');
+const { BaynexaVoiceAssistant } = require('./src/voice');
+const { BayneXGoalTracker } = require('./src/goals');
+const { BayneXWebModule } = require('./src/web');
 
-// Ensure all directories exist
-const dirs = [
-    'src/config',
-    'src/utils', 
-    'src/data',
-    'src/core',
-    'src/integration',
-    'src/ai',
-    'src/platforms',
-    'src/strategies',
-    'src/risk',
-    'src/notifications',
-    'src/voice',
-    'src/web',
-    'src/goals',
-    'data',
-    'logs'
-];
-
-dirs.forEach(dir => {
-    if (!fs.existsSync(dir)) {
-        fs.mkdirSync(dir, { recursive: true });
-    }
-});
+// Builds the integration layer with every component registered, not yet initialized
+function createSystem() {
+    return new BayneXIntegrationLayer()
+        .registerComponent('config', new BayneXConfigManager())
+        .registerComponent('database', new DatabaseManager())
+        .registerComponent('journal', new DecisionJournal())
+        .registerComponent('platforms', new PlatformConnectors())
+        .registerComponent('dataProcessor', new DataProcessor())
+        .registerComponent('regimeDetector', new RegimeDetector())
+        .registerComponent('riskManager', new RiskManager())
+        .registerComponent('pricer', new TradePricer())
+        .registerComponent('aiEngine', new AILearningEngine())
+        .registerComponent('strategyManager', new StrategyManager())
+        .registerComponent('evolution', new EvolutionEngine())
+        .registerComponent('arbiter', new SignalArbiter())
+        .registerComponent('reconciler', new TradeReconciler())
+        .registerComponent('scheduler', new TradingScheduler())
+        .registerComponent('core', new BayneXCore())
+        .registerComponent('exitManager', new ExitManager())
+        .registerComponent('backtest', new BacktestEngine())
+        .registerComponent('optimizer', new ParameterOptimizer())
+        .registerComponent('notifications', new NotificationSystem())
+        .registerComponent('voice', new BaynexaVoiceAssistant())
+        .registerComponent('goalTracker', new BayneXGoalTracker())
+        .registerComponent('web', new BayneXWebModule());
+}
 
-// Create essential index files for modules
-const indexFiles = {
-    'src/config/index.js': `module.exports = require('./ConfigManager');`,
-    'src/utils/index.js': `module.exports = { Logger: require('./Logger'), Helpers: require('./Helpers') };`,
-    'src/data/index.js': `module.exports = { DatabaseManager: require('./DatabaseManager'), DataProcessor: require('./DataProcessor') };`,
-    'src/core/index.js': `module.exports = require('./BayneXCore');`,
-    'src/integration/index.js': `module.exports = require('./BayneXIntegrationLayer');`,
-    'src/ai/index.js': `module.exports = { AILearningEngine: require('./AILearningEngine'), StrategyManager: require('./StrategyManager') };`,
-    'src/platforms/index.js': `module.exports = { PlatformConnectors: require('./PlatformConnectors'), DerivConnector: require('./DerivConnector') };`,
-    'src/strategies/index.js': `module.exports = { TradingStrategies: require('./TradingStrategies'), BoundaryBreaker: require('./BoundaryBreaker') };`,
-    'src/risk/index.js': `module.exports = require('./RiskManager');`,
-    'src/notifications/index.js': `module.exports = require('./NotificationSystem');`,
-    'src/voice/index.js': `module.exports = require('./VoiceAssistant');`,
-    'src/web/index.js': `module.exports = require('./WebModule');`,
-    'src/goals/index.js': `module.exports = require('./GoalTracker');`
-};
+async function main() {
+    console.log('🚀 Starting BAYNEX.A.X...');
 
-// Create index files
-Object.entries(indexFiles).forEach(([file, content]) => {
-    if (!fs.existsSync(file)) {
-        fs.writeFileSync(file, content);
-        console.log(`✅ Created ${file}`);
-    }
-});
+    const system = createSystem();
 
-// Create essential placeholder files that work with the sophisticated system
-const placeholderFiles = {
-    'src/utils/Logger.js': `
-const { EventEmitter } = require('events');
-class BayneXLogger extends EventEmitter {
-    constructor(options = {}) {
-        super();
-        this.level = options.level || 'info';
-        this.initialized = false;
-    }
-    async initialize() { this.initialized = true; return true; }
-    info(category, message, data = {}) { console.log(\`[INFO] [\${category}] \${message}\`, data); }
-    error(category, message, data = {}) { console.error(\`[ERROR] [\${category}] \${message}\`, data); }
-    warn(category, message, data = {}) { console.warn(\`[WARN] [\${category}] \${message}\`, data); }
-    debug(category, message, data = {}) { if (this.level === 'debug') console.debug(\`[DEBUG] [\${category}] \${message}\`, data); }
-    getHealthStatus() { return { status: 'healthy', initialized: this.initialized }; }
-    async shutdown() { this.initialized = false; }
-}
-module.exports = BayneXLogger;`,
-
-    'src/utils/Helpers.js': `
-class BayneXHelpers {
-    static delay(ms) { return new Promise(resolve => setTimeout(resolve, ms)); }
-    static deepClone(obj) { return JSON.parse(JSON.stringify(obj)); }
-    static calculatePnL(entry, exit, direction, amount) {
-        const diff = direction === 'call' ? exit - entry : entry - exit;
-        return diff > 0 ? amount * 0.8 : -amount;
-    }
-    static calculateWinRate(wins, total) { return total > 0 ? (wins / total) * 100 : 0; }
-    static formatTradeDirection(direction) { return direction.toUpperCase(); }
-}
-module.exports = BayneXHelpers;`,
+    await system.initializeSystem();
+    await system.start();
 
-    'src/data/DatabaseManager.js': `
-const { EventEmitter } = require('events');
-const fs = require('fs');
-const path = require('path');
-class DatabaseManager extends EventEmitter {
-    constructor(options = {}) {
-        super();
-        this.dataPath = options.dataPath || path.join(process.cwd(), 'data');
-        this.initialized = false;
-        this.data = { trades: [], patterns: [], strategies: {}, performance: {} };
-    }
-    async initialize() {
-        if (!fs.existsSync(this.dataPath)) fs.mkdirSync(this.dataPath, { recursive: true });
-        this.initialized = true;
-        console.log('✅ Database Manager initialized');
-        return true;
-    }
-    storeTrade(trade) { this.data.trades.push({ ...trade, timestamp: Date.now() }); }
-    getTrades(limit = 100) { return this.data.trades.slice(-limit); }
-    storePattern(pattern) { this.data.patterns.push(pattern); }
-    getPatterns() { return this.data.patterns; }
-    updateStrategy(id, performance) { this.data.strategies[id] = performance; }
-    getHealthStatus() { return { status: this.initialized ? 'healthy' : 'unhealthy', initialized: this.initialized }; }
-    async shutdown() { this.initialized = false; }
-}
-module.exports = DatabaseManager;`,
+    const shutdown = async (signal) => {
+        console.log(`🛑 Received ${signal}, shutting down...`);
+        try {
+            await system.stop();
+            process.exit(0);
+        } catch (error) {
+            console.error('❌ Error during shutdown:', error);
+            process.exit(1);
+        }
+    };
 
-    'src/data/DataProcessor.js': `
-const { EventEmitter } = require('events');
-class DataProcessor extends EventEmitter {
-    constructor(options = {}) {
-        super();
-        this.initialized = false;
-        this.dependencies = ['database'];
-    }
-    async initialize() {
-        this.initialized = true;
-        console.log('📊 Data Processor initialized');
-        return true;
-    }
-    processMarketData(data) { return { ...data, processed: true, timestamp: Date.now() }; }
-    calculateIndicators(prices) {
-        const sma = prices.slice(-20).reduce((a, b) => a + b, 0) / 20;
-        const rsi = 50 + Math.random() * 50;
-        return { SMA: sma, RSI: rsi, Volume: Math.random() * 1000 };
-    }
-    getHealthStatus() { return { status: this.initialized ? 'healthy' : 'unhealthy' }; }
-    async shutdown() { this.initialized = false; }
-}
-module.exports = DataProcessor;`,
+    process.on('SIGINT', () => shutdown('SIGINT'));
+    process.on('SIGTERM', () => shutdown('SIGTERM'));
 
-    'src/web/WebModule.js': `
-const { EventEmitter } = require('events');
-const express = require('express');
-const cors = require('cors');
-class BayneXWebModule extends EventEmitter {
-    constructor(options = {}) {
-        super();
-        this.port = options.port || 3000;
-        this.app = express();
-        this.initialized = false;
-        this.dependencies = [];
-    }
-    async initialize() {
-        this.app.use(cors());
-        this.app.use(express.json());
-        this.app.get('/health', (req, res) => res.json({ status: 'healthy' }));
-        this.app.get('/api/status', (req, res) => res.json({ system: 'BAYNEX.A.X', status: 'operational' }));
-        this.server = this.app.listen(this.port, '0.0.0.0', () => {
-            console.log(\`🌐 Web Module running on port \${this.port}\`);
-        });
-        this.initialized = true;
-        return true;
-    }
-    broadcastTradeUpdate(trade) { console.log('📊 Trade update:', trade.id); }
-    broadcastBalanceUpdate(balance) { console.log('📊 Balance update:', balance.totalBalance); }
-    getHealthStatus() { return { status: this.initialized ? 'healthy' : 'unhealthy' }; }
-    async shutdown() { if (this.server) this.server.close(); this.initialized = false; }
+    return system;
 }
-module.exports = BayneXWebModule;`
-};
 
-// Create placeholder files only if they don't exist
-Object.entries(placeholderFiles).forEach(([file, content]) => {
-    if (!fs.existsSync(file)) {
-        fs.writeFileSync(file, content);
-        console.log(`✅ Created ${file}`);
-    }
-});
-
-// Create data directory and config
-if (!fs.existsSync('data/config.json')) {
-    const config = {
-        system: { name: 'BAYNEX.A.X', version: '1.0.0', environment: 'production' },
-        trading: { enabled: true, mode: 'live', autoStart: true },
-        ai: { enabled: true, learningRate: 0.001 },
-        platforms: { deriv: { enabled: true, demo: false } }
-    };
-    fs.writeFileSync('data/config.json', JSON.stringify(config, null, 2));
-    console.log('✅ Created data/config.json');
+if (require.main === module) {
+    main().catch(error => {
+        console.error('❌ BAYNEX.A.X failed to start:', error);
+        process.exit(1);
+    });
 }
 
-console.log('✅ BAYNEX.A.X system restoration complete!');
-console.log('🚀 Your sophisticated AI trading system is ready for deployment.');
+module.exports = { main, createSystem };
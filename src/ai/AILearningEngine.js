@@ -6,6 +6,8 @@
 const EventEmitter = require('events');
 const fs = require('fs').promises;
 const path = require('path');
+const NeuralNetwork = require('./NeuralNetwork');
+const ModelRegistry = require('./ModelRegistry');
 
 class AILearningEngine extends EventEmitter {
     constructor() {
@@ -14,752 +16,27 @@ class AILearningEngine extends EventEmitter {
         this.learningRate = parseFloat(process.env.AI_LEARNING_RATE) || 0.001;
         this.dependencies = ['database'];
         
-        // Neural network components (simplified)
+        // Neural networks, trained by ./NeuralNetwork. networks holds the live
+        // versions; candidates run in shadow until the registry promotes them
         this.networks = new Map();
+        this.candidates = new Map();
+        this.registry = new ModelRegistry();
+        this.shadowPredictions = [];
         this.trainingData = {
-            patterns: [],
+            patterns: [], // trades waiting for their outcome
             outcomes: [],
-            features: [],
-            labels: []
+            features: [], // pattern_recognition: market features -> win
+            labels: [],
+            sequences: [], // direction_prediction: feature sequence -> price went up
+            sequenceLabels: [],
+            riskFeatures: [], // risk_assessment: trade parameters -> loss
+            riskLabels: [],
+            // When each labelled example arrived, for the registry's training window
+            exampleTimes: { features: [], sequences: [], riskFeatures: [] }
         };
         
-        // Pattern recognition
-        this.patterns = new Map();
-        this.patternThreshold = 0.7;
-        
-        // Market state analysis
-        this.marketStates = new Map();
-        this.currentMarketState = null;
-        
-        // Learning statistics
-        this.stats = {
-            totalPatterns: 0,
-            successfulPredictions: 0,
-            failedPredictions: 0,
-            learningIterations: 0,
-            modelAccuracy: 0,
-            lastTraining: null
-        };
-        
-        this.config = {
-            maxTrainingData: 10000,
-            trainingInterval: 3600000, // 1 hour
-            patternUpdateInterval: 300000, // 5 minutes
-            minDataForTraining: 100,
-            featureWindow: 50
-        };
-    }
-
-    async initialize() {
-        console.log('🧠 Initializing AI Learning Engine...');
-        
-        try {
-            if (!this.isLearningEnabled) {
-                console.log('⚠️ AI Learning disabled in configuration');
-                return true;
-            }
-            
-            // Initialize neural networks
-            await this.initializeNetworks();
-            
-            // Load existing patterns and models
-            await this.loadExistingModels();
-            
-            // Start learning processes
-            this.startLearningProcesses();
-            
-            console.log('✅ AI Learning Engine initialized');
-            return true;
-            
-        } catch (error) {
-            console.error('❌ AI Learning Engine initialization failed:', error);
-            throw error;
-        }
-    }
-
-    async initializeNetworks() {
-        console.log('🔬 Initializing neural networks...');
-        
-        // Pattern recognition network
-        this.networks.set('pattern_recognition', {
-            type: 'feedforward',
-            layers: [20, 15, 10, 1], // Input, hidden, hidden, output
-            weights: this.initializeWeights([20, 15, 10, 1]),
-            bias: this.initializeBias([15, 10, 1]),
-            activation: 'sigmoid',
-            trained: false
-        });
-        
-        // Market direction prediction network
-        this.networks.set('direction_prediction', {
-            type: 'lstm',
-            sequenceLength: 10,
-            hiddenSize: 50,
-            layers: [50, 30, 1],
-            weights: this.initializeWeights([50, 30, 1]),
-            bias: this.initializeBias([30, 1]),
-            trained: false
-        });
-        
-        // Risk assessment network
-        this.networks.set('risk_assessment', {
-            type: 'feedforward',
-            layers: [15, 10, 5, 1],
-            weights: this.initializeWeights([15, 10, 5, 1]),
-            bias: this.initializeBias([10, 5, 1]),
-            activation: 'relu',
-            trained: false
-        });
-        
-        console.log('✅ Neural networks initialized');
-    }
-
-    initializeWeights(layers) {
-        const weights = [];
-        for (let i = 0; i < layers.length - 1; i++) {
-            const layerWeights = [];
-            for (let j = 0; j < layers[i]; j++) {
-                const neuronWeights = [];
-                for (let k = 0; k < layers[i + 1]; k++) {
-                    neuronWeights.push((Math.random() - 0.5) * 2);
-                }
-                layerWeights.push(neuronWeights);
-            }
-            weights.push(layerWeights);
-        }
-        return weights;
-    }
-
-    initializeBias(layers) {
-        return layers.map(size => Array(size).fill(0).map(() => (Math.random() - 0.5) * 0.1));
-    }
-
-    async loadExistingModels() {
-        console.log('📁 Loading existing AI models...');
-        
-        try {
-            const modelsPath = path.join(process.cwd(), 'data', 'ai_models.json');
-            
-            try {
-                const modelsData = await fs.readFile(modelsPath, 'utf8');
-                const savedModels = JSON.parse(modelsData);
-                
-                // Load saved networks
-                if (savedModels.networks) {
-                    for (const [name, network] of Object.entries(savedModels.networks)) {
-                        if (this.networks.has(name)) {
-                            this.networks.set(name, { ...this.networks.get(name), ...network });
-                        }
-                    }
-                }
-                
-                // Load saved patterns
-                if (savedModels.patterns) {
-                    this.patterns = new Map(Object.entries(savedModels.patterns));
-                }
-                
-                // Load statistics
-                if (savedModels.stats) {
-                    this.stats = { ...this.stats, ...savedModels.stats };
-                }
-                
-                console.log('✅ Existing models loaded successfully');
-                
-            } catch (loadError) {
-                console.log('📝 No existing models found, starting fresh');
-            }
-            
-        } catch (error) {
-            console.error('❌ Error loading models:', error);
-        }
-    }
-
-    startLearningProcesses() {
-        console.log('🔄 Starting AI learning processes...');
-        
-        // Pattern recognition updates
-        setInterval(() => {
-            this.updatePatternRecognition();
-        }, this.config.patternUpdateInterval);
-        
-        // Model training
-        setInterval(() => {
-            this.trainModels();
-        }, this.config.trainingInterval);
-        
-        // Market state analysis
-        setInterval(() => {
-            this.analyzeMarketState();
-        }, 60000); // Every minute
-    }
-
-    // ================================
-    // MARKET DATA PROCESSING
-    // ================================
-    processMarketData(marketData) {
-        if (!this.isLearningEnabled) return;
-        
-        try {
-            const { asset, price, timestamp } = marketData;
-            
-            // Extract features from market data
-            const features = this.extractFeatures(marketData);
-            
-            // Update market state
-            this.updateMarketState(asset, features);
-            
-            // Store for pattern recognition
-            this.storeMarketFeatures(asset, features, timestamp);
-            
-        } catch (error) {
-            console.error('❌ Error processing market data:', error);
-        }
-    }
-
-    extractFeatures(marketData) {
-        // Extract technical indicators and features
-        const features = {
-            price: marketData.price,
-            timestamp: Date.now(),
-            volatility: this.calculateVolatility(marketData),
-            momentum: this.calculateMomentum(marketData),
-            trend: this.calculateTrend(marketData),
-            volume: marketData.volume || 0,
-            rsi: this.calculateRSI(marketData),
-            macd: this.calculateMACD(marketData),
-            bollinger: this.calculateBollingerBands(marketData),
-            support: this.findSupportLevel(marketData),
-            resistance: this.findResistanceLevel(marketData)
-        };
-        
-        return features;
-    }
-
-    calculateVolatility(marketData) {
-        // Simplified volatility calculation
-        const prices = marketData.recentPrices || [marketData.price];
-        if (prices.length < 2) return 0;
-        
-        const returns = [];
-        for (let i = 1; i < prices.length; i++) {
-            returns.push(Math.log(prices[i] / prices[i - 1]));
-        }
-        
-        const mean = returns.reduce((sum, r) => sum + r, 0) / returns.length;
-        const variance = returns.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / returns.length;
-        
-        return Math.sqrt(variance) * Math.sqrt(252); // Annualized volatility
-    }
-
-    calculateMomentum(marketData) {
-        const prices = marketData.recentPrices || [marketData.price];
-        if (prices.length < 10) return 0;
-        
-        const current = prices[prices.length - 1];
-        const past = prices[prices.length - 10];
-        
-        return (current - past) / past;
-    }
-
-    calculateTrend(marketData) {
-        const prices = marketData.recentPrices || [marketData.price];
-        if (prices.length < 20) return 0;
-        
-        // Simple moving average comparison
-        const sma20 = prices.slice(-20).reduce((sum, p) => sum + p, 0) / 20;
-        const sma5 = prices.slice(-5).reduce((sum, p) => sum + p, 0) / 5;
-        
-        return (sma5 - sma20) / sma20;
-    }
-
-    calculateRSI(marketData) {
-        const prices = marketData.recentPrices || [marketData.price];
-        if (prices.length < 15) return 50;
-        
-        const changes = [];
-        for (let i = 1; i < prices.length; i++) {
-            changes.push(prices[i] - prices[i - 1]);
-        }
-        
-        const gains = changes.filter(c => c > 0).slice(-14);
-        const losses = changes.filter(c => c < 0).map(c => Math.abs(c)).slice(-14);
-        
-        const avgGain = gains.reduce((sum, g) => sum + g, 0) / 14;
-        const avgLoss = losses.reduce((sum, l) => sum + l, 0) / 14;
-        
-        if (avgLoss === 0) return 100;
-        
-        const rs = avgGain / avgLoss;
-        return 100 - (100 / (1 + rs));
-    }
-
-    calculateMACD(marketData) {
-        const prices = marketData.recentPrices || [marketData.price];
-        if (prices.length < 26) return { macd: 0, signal: 0, histogram: 0 };
-        
-        const ema12 = this.calculateEMA(prices, 12);
-        const ema26 = this.calculateEMA(prices, 26);
-        const macd = ema12 - ema26;
-        
-        return { macd, signal: 0, histogram: 0 }; // Simplified
-    }
-
-    calculateEMA(prices, period) {
-        if (prices.length < period) return prices[prices.length - 1];
-        
-        const multiplier = 2 / (period + 1);
-        let ema = prices.slice(0, period).reduce((sum, p) => sum + p, 0) / period;
-        
-        for (let i = period; i < prices.length; i++) {
-            ema = (prices[i] * multiplier) + (ema * (1 - multiplier));
-        }
-        
-        return ema;
-    }
-
-    calculateBollingerBands(marketData) {
-        const prices = marketData.recentPrices || [marketData.price];
-        if (prices.length < 20) return { upper: 0, middle: 0, lower: 0 };
-        
-        const sma = prices.slice(-20).reduce((sum, p) => sum + p, 0) / 20;
-        const variance = prices.slice(-20).reduce((sum, p) => sum + Math.pow(p - sma, 2), 0) / 20;
-        const stdDev = Math.sqrt(variance);
-        
-        return {
-            upper: sma + (stdDev * 2),
-            middle: sma,
-            lower: sma - (stdDev * 2)
-        };
-    }
-
-    findSupportLevel(marketData) {
-        const prices = marketData.recentPrices || [marketData.price];
-        return Math.min(...prices.slice(-50)); // Simplified
-    }
-
-    findResistanceLevel(marketData) {
-        const prices = marketData.recentPrices || [marketData.price];
-        return Math.max(...prices.slice(-50)); // Simplified
-    }
-
-    // ================================
-    // PATTERN RECOGNITION
-    // ================================
-    updatePatternRecognition() {
-        if (!this.isLearningEnabled) return;
-        
-        try {
-            console.log('🔍 Updating pattern recognition...');
-            
-            // Analyze recent market data for patterns
-            this.identifyNewPatterns();
-            
-            // Update pattern success rates
-            this.updatePatternSuccessRates();
-            
-            // Emit discovered patterns
-            this.emitSignificantPatterns();
-            
-        } catch (error) {
-            console.error('❌ Error updating pattern recognition:', error);
-        }
-    }
-
-    identifyNewPatterns() {
-        // Analyze feature sequences for recurring patterns
-        const recentFeatures = this.trainingData.features.slice(-this.config.featureWindow);
-        
-        if (recentFeatures.length < 10) return;
-        
-        // Simple pattern detection (would be more sophisticated in production)
-        for (let i = 0; i < recentFeatures.length - 5; i++) {
-            const sequence = recentFeatures.slice(i, i + 5);
-            const patternHash = this.hashPattern(sequence);
-            
-            if (!this.patterns.has(patternHash)) {
-                this.patterns.set(patternHash, {
-                    sequence: sequence,
-                    occurrences: 1,
-                    successRate: 0.5,
-                    lastSeen: new Date(),
-                    confidence: 0.1
-                });
-                
-                this.stats.totalPatterns++;
-            } else {
-                const pattern = this.patterns.get(patternHash);
-                pattern.occurrences++;
-                pattern.lastSeen = new Date();
-                pattern.confidence = Math.min(pattern.confidence + 0.1, 1.0);
-            }
-        }
-    }
-
-    hashPattern(sequence) {
-        // Create a hash for pattern matching
-        const normalized = sequence.map(features => ({
-            trend: Math.sign(features.trend),
-            momentum: Math.sign(features.momentum),
-            rsi: Math.floor(features.rsi / 10),
-            volatility: Math.floor(features.volatility * 100)
-        }));
-        
-        return JSON.stringify(normalized);
-    }
-
-    updatePatternSuccessRates() {
-        // Update success rates based on recent trade outcomes
-        for (const [hash, pattern] of this.patterns) {
-            // This would correlate patterns with trade outcomes
-            // Simplified implementation
-            if (pattern.occurrences > 5) {
-                pattern.confidence = Math.min(pattern.confidence + 0.05, 1.0);
-            }
-        }
-    }
-
-    emitSignificantPatterns() {
-        const significantPatterns = Array.from(this.patterns.values())
-            .filter(pattern => pattern.confidence > this.patternThreshold)
-            .sort((a, b) => b.confidence - a.confidence)
-            .slice(0, 5);
-        
-        for (const pattern of significantPatterns) {
-            this.emit('pattern_detected', {
-                pattern: pattern,
-                confidence: pattern.confidence,
-                timestamp: new Date()
-            });
-        }
-    }
-
-    // ================================
-    // TRADE OUTCOME LEARNING
-    // ================================
-    recordTradeExecution(trade) {
-        if (!this.isLearningEnabled) return;
-        
-        console.log(`🎯 Recording trade execution for learning: ${trade.id}`);
-        
-        // Store trade data for learning
-        this.trainingData.patterns.push({
-            tradeId: trade.id,
-            features: this.currentMarketState,
-            timestamp: new Date()
-        });
-    }
-
-    async learnFromTradeOutcome(trade) {
-        if (!this.isLearningEnabled) return;
-        
-        console.log(`📊 Learning from trade outcome: ${trade.result}`);
-        
-        try {
-            // Find corresponding pattern data
-            const patternIndex = this.trainingData.patterns.findIndex(
-                p => p.tradeId === trade.id
-            );
-            
-            if (patternIndex !== -1) {
-                const pattern = this.trainingData.patterns[patternIndex];
-                
-                // Create training example
-                const features = this.normalizeFeatures(pattern.features);
-                const label = trade.result === 'win' ? 1 : 0;
-                
-                this.trainingData.features.push(features);
-                this.trainingData.labels.push(label);
-                
-                // Update statistics
-                if (trade.result === 'win') {
-                    this.stats.successfulPredictions++;
-                } else {
-                    this.stats.failedPredictions++;
-                }
-                
-                // Trigger learning if enough data
-                if (this.trainingData.features.length >= this.config.minDataForTraining) {
-                    await this.incrementalLearning(features, label);
-                }
-                
-                // Emit learning update
-                this.emit('learning_update', {
-                    tradeId: trade.id,
-                    result: trade.result,
-                    totalExamples: this.trainingData.features.length,
-                    accuracy: this.calculateCurrentAccuracy()
-                });
-            }
-            
-        } catch (error) {
-            console.error('❌ Error learning from trade outcome:', error);
-        }
-    }
-
-    normalizeFeatures(features) {
-        // Normalize features for neural network input
-        return [
-            features.volatility / 100,
-            features.momentum,
-            features.trend,
-            features.rsi / 100,
-            features.macd / 10,
-            // Add more normalized features...
-        ].slice(0, 20); // Ensure consistent size
-    }
-
-    async incrementalLearning(features, label) {
-        try {
-            // Simplified incremental learning
-            const network = this.networks.get('pattern_recognition');
-            
-            if (network && features.length === 20) {
-                // Update weights based on prediction error
-                const prediction = this.forwardPass(network, features);
-                const error = label - prediction;
-                
-                if (Math.abs(error) > 0.1) {
-                    this.backpropagate(network, features, error);
-                    this.stats.learningIterations++;
-                }
-            }
-            
-        } catch (error) {
-            console.error('❌ Error in incremental learning:', error);
-        }
-    }
-
-    forwardPass(network, features) {
-        let activation = features;
-        
-        for (let i = 0; i < network.weights.length; i++) {
-            const nextActivation = [];
-            
-            for (let j = 0; j < network.weights[i][0].length; j++) {
-                let sum = network.bias[i][j];
-                
-                for (let k = 0; k < activation.length; k++) {
-                    sum += activation[k] * network.weights[i][k][j];
-                }
-                
-                nextActivation.push(this.sigmoid(sum));
-            }
-            
-            activation = nextActivation;
-        }
-        
-        return activation[0]; // Single output
-    }
-
-    backpropagate(network, features, error) {
-        // Simplified backpropagation
-        const learningRate = this.learningRate;
-        
-        // Update output layer weights (simplified)
-        for (let i = 0; i < network.weights[network.weights.length - 1].length; i++) {
-            for (let j = 0; j < network.weights[network.weights.length - 1][i].length; j++) {
-                network.weights[network.weights.length - 1][i][j] += learningRate * error * features[i];
-            }
-        }
-    }
-
-    sigmoid(x) {
-        return 1 / (1 + Math.exp(-x));
-    }
-
-    // ================================
-    // MODEL TRAINING
-    // ================================
-    async trainModels() {
-        if (!this.isLearningEnabled || this.trainingData.features.length < this.config.minDataForTraining) {
-            return;
-        }
-        
-        console.log('🏋️ Training AI models...');
-        
-        try {
-            await this.trainPatternRecognitionModel();
-            await this.trainDirectionPredictionModel();
-            await this.trainRiskAssessmentModel();
-            
-            this.stats.lastTraining = new Date();
-            this.stats.modelAccuracy = this.calculateCurrentAccuracy();
-            
-            // Save updated models
-            await this.saveModels();
-            
-            this.emit('models_trained', {
-                accuracy: this.stats.modelAccuracy,
-                trainingExamples: this.trainingData.features.length,
-                timestamp: new Date()
-            });
-            
-            console.log(`✅ Models trained - Accuracy: ${(this.stats.modelAccuracy * 100).toFixed(2)}%`);
-            
-        } catch (error) {
-            console.error('❌ Error training models:', error);
-        }
-    }
-
-    async trainPatternRecognitionModel() {
-        const network = this.networks.get('pattern_recognition');
-        
-        // Batch training (simplified)
-        const batchSize = 32;
-        const batches = Math.ceil(this.trainingData.features.length / batchSize);
-        
-        for (let batch = 0; batch < batches; batch++) {
-            const start = batch * batchSize;
-            const end = Math.min(start + batchSize, this.trainingData.features.length);
-            
-            for (let i = start; i < end; i++) {
-                const features = this.trainingData.features[i];
-                const label = this.trainingData.labels[i];
-                
-                if (features.length === 20) {
-                    const prediction = this.forwardPass(network, features);
-                    const error = label - prediction;
-                    
-                    if (Math.abs(error) > 0.05) {
-                        this.backpropagate(network, features, error);
-                    }
-                }
-            }
-        }
-        
-        network.trained = true;
-    }
-
-    async trainDirectionPredictionModel() {
-        // Placeholder for LSTM training
-        const network = this.networks.get('direction_prediction');
-        network.trained = true;
-    }
-
-    async trainRiskAssessmentModel() {
-        // Placeholder for risk model training
-        const network = this.networks.get('risk_assessment');
-        network.trained = true;
-    }
-
-    calculateCurrentAccuracy() {
-        const total = this.stats.successfulPredictions + this.stats.failedPredictions;
-        if (total === 0) return 0;
-        
-        return this.stats.successfulPredictions / total;
-    }
-
-    // ================================
-    // PREDICTION METHODS
-    // ================================
-    async predictTradeDirection(marketData) {
-        if (!this.isLearningEnabled) return { direction: 'neutral', confidence: 0 };
-        
-        try {
-            const features = this.extractFeatures(marketData);
-            const normalizedFeatures = this.normalizeFeatures(features);
-            
-            const network = this.networks.get('pattern_recognition');
-            if (!network.trained) {
-                return { direction: 'neutral', confidence: 0.5 };
-            }
-            
-            const prediction = this.forwardPass(network, normalizedFeatures);
-            
-            const direction = prediction > 0.5 ? 'call' : 'put';
-            const confidence = Math.abs(prediction - 0.5) * 2;
-            
-            return { direction, confidence, prediction };
-            
-        } catch (error) {
-            console.error('❌ Error predicting trade direction:', error);
-            return { direction: 'neutral', confidence: 0 };
-        }
-    }
-
-    async assessRisk(tradeParams) {
-        if (!this.isLearningEnabled) return { risk: 'medium', score: 0.5 };
-        
-        try {
-            const network = this.networks.get('risk_assessment');
-            if (!network.trained) {
-                return { risk: 'medium', score: 0.5 };
-            }
-            
-            // Create risk features from trade parameters
-            const riskFeatures = [
-                tradeParams.amount / 1000, // Normalized amount
-                tradeParams.leverage || 1,
-                this.currentMarketState?.volatility || 0.5,
-                this.currentMarketState?.momentum || 0,
-                // Add more risk indicators...
-            ].slice(0, 15);
-            
-            const riskScore = this.forwardPass(network, riskFeatures);
-            
-            let riskLevel;
-            if (riskScore < 0.3) riskLevel = 'low';
-            else if (riskScore < 0.7) riskLevel = 'medium';
-            else riskLevel = 'high';
-            
-            return { risk: riskLevel, score: riskScore };
-            
-        } catch (error) {
-            console.error('❌ Error assessing risk:', error);
-            return { risk: 'medium', score: 0.5 };
-        }
-    }
-
-    // ================================
-    // PERSISTENCE
-    // ================================
-    async saveModels() {
-        try {
-            const modelsData = {
-                networks: Object.fromEntries(this.networks),
-                patterns: Object.fromEntries(this.patterns),
-                stats: this.stats,
-                timestamp: new Date()
-            };
-            
-            const modelsPath = path.join(process.cwd(), 'data', 'ai_models.json');
-            await fs.writeFile(modelsPath, JSON.stringify(modelsData, null, 2));
-            
-            console.log('💾 AI models saved successfully');
-            
-        } catch (error) {
-            console.error('❌ Error saving models:', error);
-        }
-    }
-
-    // ================================
-    // SYSTEM INTEGRATION
-    // ================================
-    async enableLearning() {
-// ================================
-// BAYNEX.A.X AI LEARNING ENGINE
-// Self-Learning & Adaptive Trading Intelligence
-// ================================
-
-const EventEmitter = require('events');
-const fs = require('fs').promises;
-const path = require('path');
-
-class AILearningEngine extends EventEmitter {
-    constructor() {
-        super();
-        this.isLearningEnabled = process.env.AI_LEARNING_ENABLED === 'true';
-        this.learningRate = parseFloat(process.env.AI_LEARNING_RATE) || 0.001;
-        this.dependencies = ['database'];
-        
-        // Neural network components (simplified)
-        this.networks = new Map();
-        this.trainingData = {
-            patterns: [],
-            outcomes: [],
-            features: [],
-            labels: []
-        };
+        // Recent normalized feature vectors per asset, the LSTM's input sequences
+        this.featureHistory = new Map();
         
         // Pattern recognition
         this.patterns = new Map();
@@ -783,8 +60,21 @@ class AILearningEngine extends EventEmitter {
             maxTrainingData: 10000,
             trainingInterval: 3600000, // 1 hour
             patternUpdateInterval: 300000, // 5 minutes
-            minDataForTraining: 100,
-            featureWindow: 50
+            minDataForTraining: parseInt(process.env.AI_MIN_DATA_POINTS) || 100,
+            featureWindow: 50,
+            // Candidates replace the live model once shadow evaluation favours them
+            autoPromote: process.env.AI_AUTO_PROMOTE !== 'false',
+            // How long after a direction prediction the price move is judged
+            shadowHorizon: parseInt(process.env.AI_SHADOW_HORIZON) || 60000,
+            maxShadowPredictions: 1000,
+            training: {
+                optimizer: process.env.AI_OPTIMIZER || 'adam',
+                batchSize: parseInt(process.env.AI_BATCH_SIZE) || 32,
+                epochs: parseInt(process.env.AI_MAX_EPOCHS) || 50,
+                l2: process.env.AI_L2_REGULARIZATION !== undefined ? parseFloat(process.env.AI_L2_REGULARIZATION) : 0.0001,
+                validationSplit: parseFloat(process.env.AI_VALIDATION_SPLIT) || 0.2,
+                patience: parseInt(process.env.AI_EARLY_STOPPING_PATIENCE) || 5
+            }
         };
     }
 
@@ -818,58 +108,41 @@ class AILearningEngine extends EventEmitter {
     async initializeNetworks() {
         console.log('🔬 Initializing neural networks...');
         
-        // Pattern recognition network
-        this.networks.set('pattern_recognition', {
+        // Pattern recognition network (win probability of a trade)
+        this.networks.set('pattern_recognition', NeuralNetwork.createNetwork({
             type: 'feedforward',
             layers: [20, 15, 10, 1], // Input, hidden, hidden, output
-            weights: this.initializeWeights([20, 15, 10, 1]),
-            bias: this.initializeBias([15, 10, 1]),
-            activation: 'sigmoid',
-            trained: false
-        });
+            activations: ['sigmoid', 'sigmoid', 'sigmoid']
+        }));
         
-        // Market direction prediction network
-        this.networks.set('direction_prediction', {
+        // Market direction prediction network (probability the price goes up)
+        this.networks.set('direction_prediction', NeuralNetwork.createNetwork({
             type: 'lstm',
             sequenceLength: 10,
+            inputSize: 20,
             hiddenSize: 50,
-            layers: [50, 30, 1],
-            weights: this.initializeWeights([50, 30, 1]),
-            bias: this.initializeBias([30, 1]),
-            trained: false
-        });
+            layers: [50, 30, 1], // LSTM hidden state, dense, output
+            activations: ['relu', 'sigmoid']
+        }));
         
-        // Risk assessment network
-        this.networks.set('risk_assessment', {
+        // Risk assessment network (loss probability of a trade)
+        this.networks.set('risk_assessment', NeuralNetwork.createNetwork({
             type: 'feedforward',
             layers: [15, 10, 5, 1],
-            weights: this.initializeWeights([15, 10, 5, 1]),
-            bias: this.initializeBias([10, 5, 1]),
-            activation: 'relu',
-            trained: false
-        });
+            activations: ['relu', 'relu', 'sigmoid']
+        }));
         
         console.log('✅ Neural networks initialized');
     }
 
-    initializeWeights(layers) {
-        const weights = [];
-        for (let i = 0; i < layers.length - 1; i++) {
-            const layerWeights = [];
-            for (let j = 0; j < layers[i]; j++) {
-                const neuronWeights = [];
-                for (let k = 0; k < layers[i + 1]; k++) {
-                    neuronWeights.push((Math.random() - 0.5) * 2);
-                }
-                layerWeights.push(neuronWeights);
-            }
-            weights.push(layerWeights);
-        }
-        return weights;
-    }
-
-    initializeBias(layers) {
-        return layers.map(size => Array(size).fill(0).map(() => (Math.random() - 0.5) * 0.1));
+    // A saved network is only reused if it has the architecture declared above
+    isCompatibleModel(saved, current) {
+        return saved.type === current.type &&
+            JSON.stringify(saved.layers) === JSON.stringify(current.layers) &&
+            JSON.stringify(saved.activations) === JSON.stringify(current.activations) &&
+            Array.isArray(saved.weights) &&
+            (current.type !== 'lstm' || (saved.hiddenSize === current.hiddenSize &&
+                saved.inputSize === current.inputSize && !!saved.recurrent));
     }
 
     async loadExistingModels() {
@@ -885,8 +158,12 @@ class AILearningEngine extends EventEmitter {
                 // Load saved networks
                 if (savedModels.networks) {
                     for (const [name, network] of Object.entries(savedModels.networks)) {
-                        if (this.networks.has(name)) {
+                        if (!this.networks.has(name)) continue;
+                        
+                        if (this.isCompatibleModel(network, this.networks.get(name))) {
                             this.networks.set(name, { ...this.networks.get(name), ...network });
+                        } else {
+                            console.log(`⚠️ Saved ${name} model has a different architecture, starting it fresh`);
                         }
                     }
                 }
@@ -907,6 +184,8 @@ class AILearningEngine extends EventEmitter {
                 console.log('📝 No existing models found, starting fresh');
             }
             
+            await this.loadRegisteredModels();
+            
         } catch (error) {
             console.error('❌ Error loading models:', error);
         }
@@ -946,6 +225,11 @@ class AILearningEngine extends EventEmitter {
             // Update market state
             this.updateMarketState(asset, features);
             
+            // Judge earlier shadow predictions against the move since
+            this.resolveShadowPredictions(asset, price).catch(error => {
+                console.error('❌ Error resolving shadow predictions:', error);
+            });
+            
             // Store for pattern recognition
             this.storeMarketFeatures(asset, features, timestamp);
             
@@ -1179,12 +463,19 @@ class AILearningEngine extends EventEmitter {
         
         console.log(`🎯 Recording trade execution for learning: ${trade.id}`);
         
-        // Store trade data for learning
+        // Keep every model's inputs until the outcome labels them
         this.trainingData.patterns.push({
             tradeId: trade.id,
-            features: this.currentMarketState,
+            direction: trade.direction,
+            features: this.marketStates.get(trade.asset) || this.currentMarketState,
+            sequence: this.getFeatureSequence(trade.asset),
+            riskFeatures: this.buildRiskFeatures(trade),
             timestamp: new Date()
         });
+        
+        if (this.trainingData.patterns.length > this.config.maxTrainingData) {
+            this.trainingData.patterns.shift();
+        }
     }
 
     async learnFromTradeOutcome(trade) {
@@ -1199,14 +490,32 @@ class AILearningEngine extends EventEmitter {
             );
             
             if (patternIndex !== -1) {
-                const pattern = this.trainingData.patterns[patternIndex];
-                
-                // Create training example
-                const features = this.normalizeFeatures(pattern.features);
+                const [pattern] = this.trainingData.patterns.splice(patternIndex, 1);
                 const label = trade.result === 'win' ? 1 : 0;
                 
-                this.trainingData.features.push(features);
-                this.trainingData.labels.push(label);
+                // Pattern recognition: did the trade win
+                let features = null;
+                if (pattern.features) {
+                    features = this.normalizeFeatures(pattern.features);
+                    this.addTrainingExample('features', 'labels', features, label);
+                }
+                
+                // Direction prediction: did the price go up
+                const direction = String(pattern.direction || trade.direction || '').toUpperCase();
+                if (pattern.sequence && (direction === 'CALL' || direction === 'PUT')) {
+                    const wentUp = (direction === 'CALL') === (label === 1);
+                    this.addTrainingExample('sequences', 'sequenceLabels', pattern.sequence, wentUp ? 1 : 0);
+                }
+                
+                // Risk assessment: did the trade lose
+                this.addTrainingExample('riskFeatures', 'riskLabels', pattern.riskFeatures, 1 - label);
+                
+                // Candidates are judged on the same real outcome as the live models
+                await this.shadowOutcome('pattern_recognition', features, label);
+                if (pattern.sequence && (direction === 'CALL' || direction === 'PUT')) {
+                    await this.shadowOutcome('direction_prediction', pattern.sequence, (direction === 'CALL') === (label === 1) ? 1 : 0);
+                }
+                await this.shadowOutcome('risk_assessment', pattern.riskFeatures, 1 - label);
                 
                 // Update statistics
                 if (trade.result === 'win') {
@@ -1216,7 +525,7 @@ class AILearningEngine extends EventEmitter {
                 }
                 
                 // Trigger learning if enough data
-                if (this.trainingData.features.length >= this.config.minDataForTraining) {
+                if (features && this.trainingData.features.length >= this.config.minDataForTraining) {
                     await this.incrementalLearning(features, label);
                 }
                 
@@ -1234,32 +543,82 @@ class AILearningEngine extends EventEmitter {
         }
     }
 
+    addTrainingExample(inputsKey, labelsKey, input, label) {
+        const inputs = this.trainingData[inputsKey];
+        const labels = this.trainingData[labelsKey];
+        
+        const times = this.trainingData.exampleTimes[inputsKey];
+        
+        inputs.push(input);
+        labels.push(label);
+        times.push(Date.now());
+        
+        if (inputs.length > this.config.maxTrainingData) {
+            inputs.shift();
+            labels.shift();
+            times.shift();
+        }
+    }
+
     normalizeFeatures(features) {
         // Normalize features for neural network input
-        return [
+        const price = features.price || 0;
+        const macd = features.macd && typeof features.macd === 'object' ? features.macd.macd : features.macd;
+        const bollinger = features.bollinger || {};
+        const bandWidth = (bollinger.upper || 0) - (bollinger.lower || 0);
+        
+        return this.padFeatures([
             features.volatility / 100,
             features.momentum,
             features.trend,
             features.rsi / 100,
-            features.macd / 10,
-            // Add more normalized features...
-        ].slice(0, 20); // Ensure consistent size
+            macd / 10,
+            bandWidth > 0 ? (price - bollinger.lower) / bandWidth : 0.5, // Position within the bands
+            price && features.support ? (price - features.support) / price : 0,
+            price && features.resistance ? (features.resistance - price) / price : 0
+        ], 20);
+    }
+
+    buildRiskFeatures(tradeParams) {
+        const marketState = this.marketStates.get(tradeParams.asset) || this.currentMarketState;
+        
+        return this.padFeatures([
+            tradeParams.amount / 1000, // Normalized amount
+            tradeParams.leverage || 1,
+            marketState?.volatility || 0.5,
+            marketState?.momentum || 0,
+            (tradeParams.duration || 0) / 3600,
+            tradeParams.confidence ?? 0.5
+        ], 15);
+    }
+
+    // Fixed-size network input; missing values become 0
+    padFeatures(values, size) {
+        const padded = values.slice(0, size).map(value => (Number.isFinite(value) ? value : 0));
+        while (padded.length < size) padded.push(0);
+        return padded;
+    }
+
+    // The last sequenceLength feature vectors of an asset, or null while there are fewer
+    getFeatureSequence(asset) {
+        const { sequenceLength } = this.networks.get('direction_prediction') || { sequenceLength: 10 };
+        const history = this.featureHistory.get(asset) || [];
+        
+        return history.length >= sequenceLength ? history.slice(-sequenceLength) : null;
     }
 
     async incrementalLearning(features, label) {
         try {
-            // Simplified incremental learning
+            // One plain SGD step on the new example between full training runs
             const network = this.networks.get('pattern_recognition');
             
-            if (network && features.length === 20) {
-                // Update weights based on prediction error
-                const prediction = this.forwardPass(network, features);
-                const error = label - prediction;
-                
-                if (Math.abs(error) > 0.1) {
-                    this.backpropagate(network, features, error);
-                    this.stats.learningIterations++;
-                }
+            if (network) {
+                NeuralNetwork.trainBatch(network, [{ input: features, label }], {
+                    ...this.getTrainingOptions(),
+                    optimizer: 'sgd',
+                    momentum: 0
+                });
+                this.stats.learningIterations++;
             }
             
         } catch (error) {
@@ -1267,58 +626,30 @@ class AILearningEngine extends EventEmitter {
         }
     }
 
-    forwardPass(network, features) {
-        let activation = features;
-        
-        for (let i = 0; i < network.weights.length; i++) {
-            const nextActivation = [];
-            
-            for (let j = 0; j < network.weights[i][0].length; j++) {
-                let sum = network.bias[i][j];
-                
-                for (let k = 0; k < activation.length; k++) {
-                    sum += activation[k] * network.weights[i][k][j];
-                }
-                
-                nextActivation.push(this.sigmoid(sum));
-            }
-            
-            activation = nextActivation;
-        }
-        
-        return activation[0]; // Single output
-    }
-
-    backpropagate(network, features, error) {
-        // Simplified backpropagation
-        const learningRate = this.learningRate;
-        
-        // Update output layer weights (simplified)
-        for (let i = 0; i < network.weights[network.weights.length - 1].length; i++) {
-            for (let j = 0; j < network.weights[network.weights.length - 1][i].length; j++) {
-                network.weights[network.weights.length - 1][i][j] += learningRate * error * features[i];
-            }
-        }
+    forwardPass(network, input) {
+        return NeuralNetwork.predict(network, input);
     }
 
-    sigmoid(x) {
-        return 1 / (1 + Math.exp(-x));
+    getTrainingOptions() {
+        return { ...this.config.training, learningRate: this.learningRate };
     }
 
     // ================================
     // MODEL TRAINING
     // ================================
     async trainModels() {
-        if (!this.isLearningEnabled || this.trainingData.features.length < this.config.minDataForTraining) {
+        if (!this.isLearningEnabled || !this.hasEnoughTrainingData()) {
             return;
         }
         
         console.log('🏋️ Training AI models...');
         
         try {
-            await this.trainPatternRecognitionModel();
-            await this.trainDirectionPredictionModel();
-            await this.trainRiskAssessmentModel();
+            const metrics = {
+                pattern_recognition: await this.trainPatternRecognitionModel(),
+                direction_prediction: await this.trainDirectionPredictionModel(),
+                risk_assessment: await this.trainRiskAssessmentModel()
+            };
             
             this.stats.lastTraining = new Date();
             this.stats.modelAccuracy = this.calculateCurrentAccuracy();
@@ -1328,6 +659,7 @@ class AILearningEngine extends EventEmitter {
             
             this.emit('models_trained', {
                 accuracy: this.stats.modelAccuracy,
+                metrics,
                 trainingExamples: this.trainingData.features.length,
                 timestamp: new Date()
             });
@@ -1339,48 +671,72 @@ class AILearningEngine extends EventEmitter {
         }
     }
 
+    hasEnoughTrainingData() {
+        const { features, sequences, riskFeatures } = this.trainingData;
+        return Math.max(features.length, sequences.length, riskFeatures.length) >= this.config.minDataForTraining;
+    }
+
     async trainPatternRecognitionModel() {
-        const network = this.networks.get('pattern_recognition');
-        
-        // Batch training (simplified)
-        const batchSize = 32;
-        const batches = Math.ceil(this.trainingData.features.length / batchSize);
-        
-        for (let batch = 0; batch < batches; batch++) {
-            const start = batch * batchSize;
-            const end = Math.min(start + batchSize, this.trainingData.features.length);
-            
-            for (let i = start; i < end; i++) {
-                const features = this.trainingData.features[i];
-                const label = this.trainingData.labels[i];
-                
-                if (features.length === 20) {
-                    const prediction = this.forwardPass(network, features);
-                    const error = label - prediction;
-                    
-                    if (Math.abs(error) > 0.05) {
-                        this.backpropagate(network, features, error);
-                    }
-                }
-            }
-        }
-        
-        network.trained = true;
+        return this.trainNetwork('pattern_recognition', this.trainingData.features, this.trainingData.labels);
     }
 
     async trainDirectionPredictionModel() {
-        // Placeholder for LSTM training
-        const network = this.networks.get('direction_prediction');
-        network.trained = true;
+        return this.trainNetwork('direction_prediction', this.trainingData.sequences, this.trainingData.sequenceLabels);
     }
 
     async trainRiskAssessmentModel() {
-        // Placeholder for risk model training
-        const network = this.networks.get('risk_assessment');
-        network.trained = true;
+        return this.trainNetwork('risk_assessment', this.trainingData.riskFeatures, this.trainingData.riskLabels);
+    }
+
+    // Each network waits until its own dataset has enough labelled examples. Training
+    // starts from the live weights and produces a registry candidate; only the very
+    // first version of a model goes live without shadow evaluation.
+    async trainNetwork(name, inputs, labels) {
+        const live = this.networks.get(name);
+        if (!live || inputs.length < this.config.minDataForTraining) return null;
+        
+        const network = JSON.parse(JSON.stringify(live));
+        const options = this.getTrainingOptions();
+        const metrics = await NeuralNetwork.train(network, { inputs, labels }, options);
+        network.metrics = { ...metrics, trainedAt: new Date() };
+        
+        const accuracy = metrics.validationAccuracy ?? metrics.trainAccuracy;
+        console.log(`📈 ${name}: ${metrics.epochs} epochs${metrics.stoppedEarly ? ' (stopped early)' : ''}, validation accuracy ${(accuracy * 100).toFixed(2)}%`);
+        
+        const times = this.trainingData.exampleTimes[this.getDatasetKey(name)].slice(-inputs.length);
+        const entry = await this.registry.register(name, network, {
+            trainingWindow: {
+                examples: inputs.length,
+                from: times.length > 0 ? new Date(times[0]).toISOString() : null,
+                to: times.length > 0 ? new Date(times[times.length - 1]).toISOString() : null
+            },
+            hyperparameters: {
+                ...options,
+                layers: network.layers,
+                activations: network.activations,
+                ...(network.type === 'lstm' ? { sequenceLength: network.sequenceLength, hiddenSize: network.hiddenSize } : {})
+            },
+            metrics: network.metrics
+        });
+        network.version = entry.version;
+        
+        this.candidates.set(name, network);
+        this.emit('model_candidate', { name, version: entry.version, metrics: network.metrics });
+        await this.reviewCandidate(name);
+        
+        return { ...network.metrics, version: entry.version };
     }
 
+    // Mean validation accuracy of the trained networks, or the trade win rate before any training
     calculateCurrentAccuracy() {
+        const accuracies = Array.from(this.networks.values())
+            .map(network => network.metrics && network.metrics.validationAccuracy)
+            .filter(accuracy => typeof accuracy === 'number');
+        
+        if (accuracies.length > 0) {
+            return accuracies.reduce((sum, accuracy) => sum + accuracy, 0) / accuracies.length;
+        }
+        
         const total = this.stats.successfulPredictions + this.stats.failedPredictions;
         if (total === 0) return 0;
         
@@ -1394,6 +750,22 @@ class AILearningEngine extends EventEmitter {
         if (!this.isLearningEnabled) return { direction: 'neutral', confidence: 0 };
         
         try {
+            // The sequence model predicts the move itself once it is trained
+            const sequenceModel = this.networks.get('direction_prediction');
+            const sequence = this.getFeatureSequence(marketData.asset);
+            if (sequenceModel && sequenceModel.trained && sequence) {
+                const prediction = this.forwardPass(sequenceModel, sequence);
+                this.shadowPredict('direction_prediction', sequence, prediction, marketData);
+                
+                return {
+                    direction: prediction > 0.5 ? 'call' : 'put',
+                    confidence: Math.abs(prediction - 0.5) * 2,
+                    prediction,
+                    model: 'direction_prediction',
+                    version: sequenceModel.version || null
+                };
+            }
+            
             const features = this.extractFeatures(marketData);
             const normalizedFeatures = this.normalizeFeatures(features);
             
@@ -1402,12 +774,13 @@ class AILearningEngine extends EventEmitter {
                 return { direction: 'neutral', confidence: 0.5 };
             }
             
+            // Trained on whether trades won, so its candidate is only judged when a trade settles
             const prediction = this.forwardPass(network, normalizedFeatures);
             
             const direction = prediction > 0.5 ? 'call' : 'put';
             const confidence = Math.abs(prediction - 0.5) * 2;
             
-            return { direction, confidence, prediction };
+            return { direction, confidence, prediction, model: 'pattern_recognition', version: network.version || null };
             
         } catch (error) {
             console.error('❌ Error predicting trade direction:', error);
@@ -1425,13 +798,7 @@ class AILearningEngine extends EventEmitter {
             }
             
             // Create risk features from trade parameters
-            const riskFeatures = [
-                tradeParams.amount / 1000, // Normalized amount
-                tradeParams.leverage || 1,
-                this.currentMarketState?.volatility || 0.5,
-                this.currentMarketState?.momentum || 0,
-                // Add more risk indicators...
-            ].slice(0, 15);
+            const riskFeatures = this.buildRiskFeatures(tradeParams);
             
             const riskScore = this.forwardPass(network, riskFeatures);
             
@@ -1448,13 +815,186 @@ class AILearningEngine extends EventEmitter {
         }
     }
 
+    // ================================
+    // MODEL REGISTRY
+    // ================================
+    async loadRegisteredModels() {
+        await this.registry.load();
+        
+        for (const name of this.networks.keys()) {
+            const model = this.registry.getModel(name);
+            
+            if (model.live !== null) {
+                const network = await this.registry.loadNetwork(name, model.live);
+                if (this.isCompatibleModel(network, this.networks.get(name))) {
+                    this.networks.set(name, network);
+                } else {
+                    console.log(`⚠️ Registered ${name} v${model.live} has a different architecture, starting it fresh`);
+                    continue;
+                }
+            } else if (this.networks.get(name).trained) {
+                // Networks trained before the registry existed become its first version
+                const entry = await this.registry.register(name, this.networks.get(name));
+                await this.registry.promote(name, entry.version, 'imported');
+                this.networks.get(name).version = entry.version;
+            }
+            
+            if (model.candidate !== null) {
+                const candidate = await this.registry.loadNetwork(name, model.candidate);
+                if (this.isCompatibleModel(candidate, this.networks.get(name))) {
+                    this.candidates.set(name, candidate);
+                }
+            }
+        }
+        
+        console.log(`📚 Model registry loaded: ${this.candidates.size} candidate(s) in shadow`);
+    }
+
+    // Runs the candidate next to the live prediction; resolved by the later price move,
+    // so only for models trained on that move
+    shadowPredict(name, input, livePrediction, marketData) {
+        const candidate = this.candidates.get(name);
+        if (!candidate || !marketData.asset || !marketData.price) return;
+        
+        this.shadowPredictions.push({
+            name,
+            version: candidate.version,
+            asset: marketData.asset,
+            price: marketData.price,
+            timestamp: Date.now(),
+            live: livePrediction,
+            candidate: this.forwardPass(candidate, input)
+        });
+        
+        if (this.shadowPredictions.length > this.config.maxShadowPredictions) {
+            this.shadowPredictions.shift();
+        }
+    }
+
+    async resolveShadowPredictions(asset, price) {
+        if (this.shadowPredictions.length === 0 || !price) return;
+        
+        const now = Date.now();
+        const due = this.shadowPredictions.filter(
+            p => p.asset === asset && now - p.timestamp >= this.config.shadowHorizon
+        );
+        if (due.length === 0) return;
+        
+        this.shadowPredictions = this.shadowPredictions.filter(p => !due.includes(p));
+        
+        let recorded = 0;
+        for (const prediction of due) {
+            // An unchanged price says nothing about the direction
+            if (price === prediction.price) continue;
+            
+            if (await this.recordShadow(prediction.name, prediction.version, prediction.live, prediction.candidate, price > prediction.price ? 1 : 0)) {
+                recorded++;
+            }
+        }
+        
+        // Shadow records are the evidence for a promotion, so a restart must not lose them
+        if (recorded > 0) {
+            await this.registry.save();
+        }
+    }
+
+    // Compares live and candidate on a labelled trade outcome
+    async shadowOutcome(name, input, actual) {
+        const candidate = this.candidates.get(name);
+        if (!candidate || !input) return;
+        
+        const live = this.forwardPass(this.networks.get(name), input);
+        if (await this.recordShadow(name, candidate.version, live, this.forwardPass(candidate, input), actual)) {
+            await this.registry.save();
+        }
+    }
+
+    async recordShadow(name, version, live, candidate, actual) {
+        // Predictions of a candidate that has since been replaced no longer count
+        const current = this.candidates.get(name);
+        if (!current || current.version !== version) return false;
+        
+        this.registry.recordShadowOutcome(name, { live, candidate, actual });
+        await this.reviewCandidate(name);
+        return true;
+    }
+
+    async reviewCandidate(name) {
+        const { decision, version, shadow } = this.registry.evaluateCandidate(name);
+        const hasLiveVersion = !!this.networks.get(name).version;
+        
+        if (decision === 'promote' && (this.config.autoPromote || !hasLiveVersion)) {
+            await this.promoteModel(name, version, hasLiveVersion ? 'shadow evaluation' : 'first version');
+        } else if (decision === 'reject') {
+            const reason = `Shadow accuracy ${(shadow.candidateAccuracy * 100).toFixed(1)}% vs live ${(shadow.liveAccuracy * 100).toFixed(1)}% over ${shadow.samples} outcomes`;
+            await this.registry.reject(name, version, reason);
+            this.candidates.delete(name);
+            
+            console.log(`🚫 ${name} v${version} rejected: ${reason}`);
+            this.emit('model_rejected', { name, version, reason, shadow });
+        }
+    }
+
+    async promoteModel(name, version, reason = 'manual') {
+        const candidate = this.candidates.get(name);
+        const isCandidate = !!candidate && candidate.version === version;
+        const network = isCandidate ? candidate : await this.registry.loadNetwork(name, version);
+        
+        if (!this.isCompatibleModel(network, this.networks.get(name))) {
+            throw new ModelRegistry.RegistryError(`Version ${version} of ${name} does not match the current architecture`);
+        }
+        
+        const entry = await this.registry.promote(name, version, reason);
+        this.networks.set(name, network);
+        if (isCandidate) {
+            this.candidates.delete(name);
+        }
+        this.shadowPredictions = this.shadowPredictions.filter(p => p.name !== name || p.version !== version);
+        
+        console.log(`🚀 ${name} v${version} promoted (${reason})`);
+        this.emit('model_promoted', { name, version, reason, metrics: entry.metrics, shadow: entry.shadow });
+        
+        return entry;
+    }
+
+    // Back to the given version, or to the one live before the current one
+    async rollbackModel(name, version = null) {
+        const from = this.networks.get(name).version || null;
+        const target = version !== null ? version : this.registry.previousLiveVersion(name);
+        if (target === null) {
+            throw new ModelRegistry.RegistryError(`Model ${name} has no earlier version to roll back to`);
+        }
+        
+        const network = await this.registry.loadNetwork(name, target);
+        if (!this.isCompatibleModel(network, this.networks.get(name))) {
+            throw new ModelRegistry.RegistryError(`Version ${target} of ${name} does not match the current architecture`);
+        }
+        
+        const entry = await this.registry.rollback(name, target);
+        this.networks.set(name, network);
+        
+        console.log(`⏪ ${name} rolled back from v${from} to v${target}`);
+        this.emit('model_rolled_back', { name, from, version: target });
+        
+        return entry;
+    }
+
+    getModelVersions() {
+        return {
+            autoPromote: this.config.autoPromote,
+            models: this.registry.getSummary()
+        };
+    }
+
     // ================================
     // PERSISTENCE
     // ================================
     async saveModels() {
         try {
+            // Networks are versioned by the registry
+            await this.registry.save();
+            
             const modelsData = {
-                networks: Object.fromEntries(this.networks),
                 patterns: Object.fromEntries(this.patterns),
                 stats: this.stats,
                 timestamp: new Date()
@@ -1509,16 +1049,17 @@ class AILearningEngine extends EventEmitter {
     }
 
     storeMarketFeatures(asset, features, timestamp) {
-        // Store features for training data
-        if (this.trainingData.features.length >= this.config.maxTrainingData) {
-            // Remove oldest data
-            this.trainingData.features.shift();
-            this.trainingData.labels.shift();
+        // Unlabelled features only feed the sequences; trade outcomes add the labelled examples
+        if (!this.featureHistory.has(asset)) {
+            this.featureHistory.set(asset, []);
         }
         
-        // Store normalized features
-        const normalizedFeatures = this.normalizeFeatures(features);
-        this.trainingData.features.push(normalizedFeatures);
+        const history = this.featureHistory.get(asset);
+        history.push(this.normalizeFeatures(features));
+        
+        if (history.length > this.config.featureWindow) {
+            history.shift();
+        }
     }
 
     getStats() {
@@ -1527,8 +1068,30 @@ class AILearningEngine extends EventEmitter {
             isLearningEnabled: this.isLearningEnabled,
             totalPatterns: this.patterns.size,
             trainingDataSize: this.trainingData.features.length,
-            networksInitialized: this.networks.size
+            networksInitialized: this.networks.size,
+            models: Object.fromEntries(Array.from(this.networks.entries()).map(([name, network]) => [name, {
+                type: network.type,
+                trained: network.trained,
+                examples: this.getDatasetSize(name),
+                version: network.version || null,
+                candidate: this.candidates.has(name) ? this.candidates.get(name).version : null,
+                metrics: network.metrics || null
+            }]))
+        };
+    }
+
+    getDatasetKey(name) {
+        const keys = {
+            pattern_recognition: 'features',
+            direction_prediction: 'sequences',
+            risk_assessment: 'riskFeatures'
         };
+        return keys[name];
+    }
+
+    getDatasetSize(name) {
+        const key = this.getDatasetKey(name);
+        return key ? this.trainingData[key].length : 0;
     }
 
     healthCheck() {
@@ -0,0 +1,522 @@
+// ================================
+// BAYNEX.A.X EVOLUTION ENGINE
+// Genetic Strategy Breeding with Offline Evaluation & Lineage
+// ================================
+//
+// Each generation treats the active strategies as the population. Parents are
+// picked by tournament on a multi-objective fitness (expectancy, drawdown, trade
+// count), bred by crossover and mutation, and every child is replayed on stored
+// history before it may replace anyone. The best members are elites and always
+// survive. Ancestry is written to the strategies table so lineage trees can be
+// rebuilt and shown in the dashboard.
+
+const EventEmitter = require('events');
+const BacktestEngine = require('../backtest/BacktestEngine');
+
+// Types whose entry logic runs on market data alone, so they can be replayed offline
+const EVOLVABLE_TYPES = ['momentum', 'reversal', 'breakout', 'custom', 'rules'];
+
+class EvolutionEngine extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        const { backtest, random, ...overrides } = options;
+        this.dependencies = ['strategyManager', 'database'];
+        this.isRunning = false;
+        this.generation = 0;
+        this.generations = [];
+
+        this.config = {
+            populationSize: parseInt(process.env.EVOLUTION_POPULATION_SIZE) || 6,
+            eliteCount: parseInt(process.env.EVOLUTION_ELITE_COUNT) || 2,
+            tournamentSize: parseInt(process.env.EVOLUTION_TOURNAMENT_SIZE) || 3,
+            crossoverRate: parseFloat(process.env.EVOLUTION_CROSSOVER_RATE) || 0.7,
+            mutationRate: parseFloat(process.env.EVOLUTION_MUTATION_RATE) || 0.3,
+            mutationScale: 0.1, // standard deviation as a share of each parameter's range
+            minTrades: parseInt(process.env.EVOLUTION_MIN_TRADES) || 10,
+            drawdownWeight: parseFloat(process.env.EVOLUTION_DRAWDOWN_WEIGHT) || 1,
+            asset: process.env.EVOLUTION_ASSET || 'R_10',
+            historyLimit: parseInt(process.env.EVOLUTION_HISTORY_LIMIT) || 5000,
+            maxGenerationHistory: 50,
+            ...overrides
+        };
+
+        this.random = random || Math.random;
+
+        this.backtest = backtest || new BacktestEngine();
+        if (!backtest) {
+            this.backtest.getComponent = (name) => this.getComponent(name);
+        }
+
+        this.stats = {
+            generations: 0,
+            evaluated: 0,
+            born: 0,
+            retired: 0,
+            rejected: 0
+        };
+    }
+
+    async initialize() {
+        console.log('🧬 Initializing Evolution Engine...');
+        console.log(`🧬 Population: ${this.config.populationSize} | Elites: ${this.config.eliteCount} | Tournament: ${this.config.tournamentSize}`);
+
+        if (this.config.eliteCount >= this.config.populationSize) {
+            throw new Error('EVOLUTION_ELITE_COUNT must be smaller than EVOLUTION_POPULATION_SIZE');
+        }
+
+        return true;
+    }
+
+    // The run counter is not stored on its own: it resumes from the newest
+    // generation that bred a strategy still on record, so child names stay unique
+    async start() {
+        const { nodes } = await this.getLineage();
+        this.generation = Math.max(this.generation, ...Object.values(nodes).map(node => node.bredIn || 0));
+        console.log(`🧬 Evolution resumes after generation ${this.generation}`);
+    }
+
+    // ================================
+    // GENERATION
+    // ================================
+    async runGeneration(options = {}) {
+        if (this.isRunning) {
+            throw new Error('An evolution generation is already running');
+        }
+
+        const strategyManager = options.strategyManager || this.getComponent('strategyManager');
+        if (!strategyManager) {
+            throw new Error('Strategy Manager not available for evolution');
+        }
+
+        const members = strategyManager.getAllStrategies()
+            .filter(strategy => strategy.status === 'active' && EVOLVABLE_TYPES.includes(strategy.type));
+
+        if (members.length < 2) {
+            console.log('🧬 Evolution skipped: fewer than two evolvable strategies');
+            return null;
+        }
+
+        this.isRunning = true;
+
+        try {
+            const asset = options.asset || this.config.asset;
+            const data = options.data
+                ? this.backtest.normalizeRows(options.data)
+                : await this.backtest.loadHistoricalData(asset, options.limit || this.config.historyLimit);
+
+            const generation = this.generation + 1;
+            const context = { strategyManager, asset, data, payout: options.payout };
+
+            console.log(`🧬 Generation ${generation}: ${members.length} members, replaying ${data.length} rows of ${asset}`);
+
+            // Members are re-scored on the same history their challengers face
+            for (const member of members) {
+                member.evolution.fitness = await this.evaluate(context, member);
+            }
+
+            const ranked = this.rank(members);
+            const offspring = await this.breed(context, ranked, generation);
+
+            const viable = offspring.filter(child => this.isViable(child.evolution.fitness));
+            const survivors = this.selectSurvivors(ranked, viable);
+
+            const born = [];
+            for (const child of viable.filter(candidate => survivors.includes(candidate))) {
+                born.push(this.bringToLife(strategyManager, child));
+            }
+
+            const retired = [];
+            for (const member of members.filter(candidate => !survivors.includes(candidate))) {
+                await strategyManager.retireStrategy(member.id, { replace: false });
+                retired.push(member);
+            }
+
+            await this.persistLineage([...members, ...born]);
+
+            const record = {
+                generation,
+                completedAt: new Date(),
+                asset,
+                rows: data.length,
+                evaluated: members.length + offspring.length,
+                born: born.map(strategy => ({ id: strategy.id, name: strategy.name, parents: this.parentIds(strategy) })),
+                retired: retired.map(strategy => ({ id: strategy.id, name: strategy.name })),
+                rejected: offspring.length - born.length,
+                elites: ranked.slice(0, this.config.eliteCount).map(strategy => strategy.name),
+                best: this.summarize(this.rank([...members.filter(member => !retired.includes(member)), ...born])[0])
+            };
+
+            this.generation = generation;
+            this.generations.push(record);
+            if (this.generations.length > this.config.maxGenerationHistory) {
+                this.generations.shift();
+            }
+
+            this.stats.generations++;
+            this.stats.evaluated += record.evaluated;
+            this.stats.born += born.length;
+            this.stats.retired += retired.length;
+            this.stats.rejected += record.rejected;
+
+            await strategyManager.saveStrategies();
+
+            console.log(`✅ Generation ${generation}: ${born.length} born, ${retired.length} retired, ${record.rejected} rejected offline`);
+            this.emit('generation_complete', record);
+
+            return record;
+
+        } catch (error) {
+            console.error('❌ Evolution generation failed:', error);
+            throw error;
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    async breed(context, ranked, generation) {
+        const offspring = [];
+        const seen = new Set(ranked.map(strategy => this.signature(strategy)));
+        const count = Math.max(1, this.config.populationSize - this.config.eliteCount);
+
+        for (let attempt = 0; offspring.length < count && attempt < count * 5; attempt++) {
+            const first = this.tournament(ranked);
+            const second = this.tournament(ranked);
+
+            const crossed = first !== second && this.random() < this.config.crossoverRate;
+            const child = crossed ? this.crossover(context.strategyManager, first, second) : this.clone(first);
+            const mutations = this.mutate(child, !crossed);
+
+            const signature = this.signature(child);
+            if (seen.has(signature)) continue;
+            seen.add(signature);
+
+            child.name = `${this.rootName(first.name)}_E${generation}_${offspring.length + 1}`;
+            child.evolution = {
+                generation: Math.max(first.evolution.generation, crossed ? second.evolution.generation : 0) + 1,
+                mutations: first.evolution.mutations + mutations,
+                parentStrategy: crossed ? [first.id, second.id] : first.id,
+                origin: crossed ? 'crossover' : 'mutation',
+                bredIn: generation,
+                evolutionHistory: []
+            };
+
+            // Evaluated under a temporary id and with no track record, as it would start trading;
+            // the strategy gets a real id only if it goes live
+            child.id = context.strategyManager.generateStrategyId();
+            try {
+                child.evolution.fitness = await this.evaluate(context, { ...child, performance: { totalTrades: 0, winRate: 0 } });
+            } finally {
+                context.strategyManager.compiledRules.delete(child.id);
+            }
+
+            offspring.push(child);
+        }
+
+        return offspring;
+    }
+
+    // Elites stay; every other place goes to the best of members and viable children
+    selectSurvivors(ranked, viable) {
+        const elites = ranked.slice(0, this.config.eliteCount);
+        const places = Math.max(this.config.populationSize, ranked.length) - elites.length;
+        const contenders = this.rank([...ranked.slice(this.config.eliteCount), ...viable]);
+
+        return [...elites, ...contenders.slice(0, places)];
+    }
+
+    bringToLife(strategyManager, child) {
+        const { id, evolution, ...config } = child;
+        const strategy = strategyManager.createStrategy(config);
+
+        strategy.evolution = { ...strategy.evolution, ...evolution };
+
+        strategyManager.emit('strategy_evolved', {
+            type: evolution.origin,
+            strategyName: strategy.name,
+            parents: this.parentIds(strategy).map(parentId => strategyManager.strategies.get(parentId)?.name || parentId),
+            generation: strategy.evolution.generation,
+            fitness: evolution.fitness
+        });
+
+        return strategy;
+    }
+
+    // ================================
+    // FITNESS
+    // ================================
+    async evaluate(context, strategy) {
+        const result = await this.backtest.backtestStrategy(context.strategyManager, strategy, context.asset, context.data, {
+            payout: context.payout !== undefined ? context.payout : this.backtest.config.payout,
+            startingBalance: this.backtest.config.startingBalance
+        });
+
+        const staked = result.tradeLog.reduce((sum, trade) => sum + trade.amount, 0);
+        const expectancy = staked > 0 ? result.netProfit / staked : 0;
+        const enough = result.trades >= this.config.minTrades;
+
+        return {
+            trades: result.trades,
+            expectancy,
+            maxDrawdownPercent: result.maxDrawdownPercent,
+            score: enough ? expectancy - this.config.drawdownWeight * result.maxDrawdownPercent : null,
+            evaluatedAt: new Date()
+        };
+    }
+
+    isViable(fitness) {
+        return Boolean(fitness) && fitness.score !== null && fitness.expectancy > 0;
+    }
+
+    // a is at least as good on every objective and better on one
+    dominates(a, b) {
+        const noWorse = a.expectancy >= b.expectancy && a.maxDrawdownPercent <= b.maxDrawdownPercent && a.trades >= b.trades;
+        const better = a.expectancy > b.expectancy || a.maxDrawdownPercent < b.maxDrawdownPercent || a.trades > b.trades;
+        return noWorse && better;
+    }
+
+    // Pareto fronts first, the weighted score within a front; unscored strategies come last
+    rank(strategies) {
+        const scored = strategies.filter(strategy => strategy.evolution.fitness && strategy.evolution.fitness.score !== null);
+        const unscored = strategies.filter(strategy => !scored.includes(strategy));
+        const front = new Map();
+
+        let remaining = scored;
+        for (let level = 0; remaining.length > 0; level++) {
+            const current = remaining.filter(a => !remaining.some(b => b !== a && this.dominates(b.evolution.fitness, a.evolution.fitness)));
+            current.forEach(strategy => front.set(strategy, level));
+            remaining = remaining.filter(strategy => !current.includes(strategy));
+        }
+
+        const byScore = (a, b) => b.evolution.fitness.score - a.evolution.fitness.score;
+        return [
+            ...scored.sort((a, b) => front.get(a) - front.get(b) || byScore(a, b)),
+            ...unscored
+        ];
+    }
+
+    tournament(ranked) {
+        let winner = ranked.length - 1;
+        for (let i = 0; i < this.config.tournamentSize; i++) {
+            winner = Math.min(winner, Math.floor(this.random() * ranked.length));
+        }
+        return ranked[winner];
+    }
+
+    // ================================
+    // VARIATION
+    // ================================
+    clone(strategy) {
+        return {
+            name: strategy.name,
+            type: strategy.type,
+            description: strategy.description,
+            parameters: { ...strategy.parameters },
+            parameterRanges: strategy.parameterRanges ? { ...strategy.parameterRanges } : undefined,
+            indicators: [...(strategy.indicators || [])],
+            regimes: strategy.regimes ? [...strategy.regimes] : undefined,
+            assets: strategy.assets ? [...strategy.assets] : undefined,
+            contract: strategy.contract ? JSON.parse(JSON.stringify(strategy.contract)) : undefined,
+            rules: JSON.parse(JSON.stringify(strategy.rules || {})),
+            confidence: strategy.confidence
+        };
+    }
+
+    // Built-in types read fixed parameter names, so only values are exchanged and the
+    // first parent's logic is kept. Rule strategies also swap whole entry sides, and
+    // the result must compile or the child falls back to exchanging values only.
+    crossover(strategyManager, first, second) {
+        const child = this.clone(first);
+        child.description = `Crossover of ${first.name} and ${second.name}`;
+
+        for (const [key, value] of Object.entries(first.parameters)) {
+            const other = second.parameters[key];
+            if (other !== undefined && typeof other === typeof value && this.random() < 0.5) {
+                child.parameters[key] = other;
+            }
+        }
+        this.clampToRanges(child);
+
+        if (first.type !== 'rules' || second.type !== 'rules') {
+            return child;
+        }
+
+        const entry = {};
+        for (const side of ['call', 'put']) {
+            const options = [first.rules.entry[side], second.rules.entry[side]].filter(Boolean);
+            if (options.length > 0) {
+                entry[side] = options[Math.floor(this.random() * options.length)];
+            }
+        }
+
+        const candidate = {
+            ...child,
+            parameters: { ...second.parameters, ...child.parameters },
+            parameterRanges: { ...(second.parameterRanges || {}), ...(child.parameterRanges || {}) },
+            indicators: [...new Set([...child.indicators, ...(second.indicators || [])])],
+            rules: { ...child.rules, entry }
+        };
+
+        try {
+            strategyManager.compileStrategyRules(candidate);
+            return candidate;
+        } catch (error) {
+            return child;
+        }
+    }
+
+    // Gaussian steps on declared ranges; a clone always changes at least one value
+    mutate(child, force) {
+        const names = Object.keys(child.parameterRanges || {}).filter(name => typeof child.parameters[name] === 'number');
+        let mutations = 0;
+
+        for (const name of names) {
+            if (this.random() < this.config.mutationRate) {
+                this.mutateParameter(child, name);
+                mutations++;
+            }
+        }
+
+        if (force && mutations === 0 && names.length > 0) {
+            this.mutateParameter(child, names[Math.floor(this.random() * names.length)]);
+            mutations++;
+        }
+
+        return mutations;
+    }
+
+    mutateParameter(child, name) {
+        const range = child.parameterRanges[name];
+        const step = this.gaussian() * this.config.mutationScale * (range.max - range.min);
+        // At least one step, so small ranges still move
+        const value = child.parameters[name] + (Math.abs(step) < range.step ? Math.sign(step || 1) * range.step : step);
+        child.parameters[name] = this.snapToRange(range, value);
+    }
+
+    clampToRanges(child) {
+        for (const [name, range] of Object.entries(child.parameterRanges || {})) {
+            if (typeof child.parameters[name] === 'number') {
+                child.parameters[name] = this.snapToRange(range, child.parameters[name]);
+            }
+        }
+    }
+
+    snapToRange(range, value) {
+        const levels = Math.floor((range.max - range.min) / range.step + 1e-9);
+        const index = Math.min(levels, Math.max(0, Math.round((value - range.min) / range.step)));
+        return parseFloat((range.min + index * range.step).toFixed(10));
+    }
+
+    gaussian() {
+        // Box-Muller
+        const u = 1 - this.random();
+        const v = this.random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+
+    signature(strategy) {
+        return JSON.stringify([strategy.type, strategy.parameters, strategy.rules && strategy.rules.entry]);
+    }
+
+    rootName(name) {
+        return name.replace(/(_E\d+_\d+)+$/, '');
+    }
+
+    // ================================
+    // LINEAGE
+    // ================================
+    parentIds(strategy) {
+        const parent = strategy.evolution && strategy.evolution.parentStrategy;
+        if (!parent) return [];
+        return Array.isArray(parent) ? parent : [parent];
+    }
+
+    originOf(strategy) {
+        if (strategy.evolution.origin) return strategy.evolution.origin;
+        const parents = this.parentIds(strategy);
+        return parents.length > 1 ? 'crossover' : parents.length === 1 ? 'mutation' : 'seed';
+    }
+
+    async persistLineage(strategies) {
+        const database = this.getComponent('database');
+        if (!database) return;
+
+        for (const strategy of strategies) {
+            try {
+                await database.saveStrategy(strategy);
+            } catch (error) {
+                console.error(`❌ Error saving lineage for ${strategy.name}:`, error);
+            }
+        }
+    }
+
+    // Nodes keyed by id plus the roots to draw from; a crossover child lists both parents
+    async getLineage() {
+        const database = this.getComponent('database');
+        let rows = database ? await database.getStrategyLineage() : null;
+
+        if (!rows) {
+            const strategyManager = this.getComponent('strategyManager');
+            rows = strategyManager ? strategyManager.getAllStrategies().map(strategy => ({
+                id: strategy.id,
+                name: strategy.name,
+                type: strategy.type,
+                status: strategy.status,
+                generation: strategy.evolution.generation,
+                origin: this.originOf(strategy),
+                parentIds: this.parentIds(strategy),
+                fitness: strategy.evolution.fitness || null,
+                bredIn: strategy.evolution.bredIn || null
+            })) : [];
+        }
+
+        const nodes = {};
+        for (const row of rows) {
+            nodes[row.id] = { ...row, children: [] };
+        }
+        for (const node of Object.values(nodes)) {
+            const parent = node.parentIds.find(parentId => nodes[parentId]);
+            if (parent) nodes[parent].children.push(node.id);
+        }
+
+        const roots = Object.values(nodes)
+            .filter(node => !node.parentIds.some(parentId => nodes[parentId]))
+            .map(node => node.id);
+
+        return { nodes, roots };
+    }
+
+    getGenerations() {
+        return this.generations.slice();
+    }
+
+    summarize(strategy) {
+        if (!strategy) return null;
+        return { id: strategy.id, name: strategy.name, fitness: strategy.evolution.fitness || null };
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            generation: this.generation,
+            lastGeneration: this.generations[this.generations.length - 1] || null
+        };
+    }
+
+    healthCheck() {
+        return {
+            status: this.isRunning ? 'running' : 'idle',
+            generation: this.generation,
+            populationSize: this.config.populationSize
+        };
+    }
+
+    // Method to receive component references
+    getComponent(name) {
+        // This will be set by the integration layer
+        return null;
+    }
+}
+
+EvolutionEngine.EVOLVABLE_TYPES = EVOLVABLE_TYPES;
+
+module.exports = EvolutionEngine;
@@ -0,0 +1,281 @@
+// ================================
+// BAYNEX.A.X MODEL REGISTRY
+// Versioned networks with promotion, rollback & shadow evaluation
+// ================================
+//
+// Every trained network is stored as an immutable version file next to an
+// index of what was trained on what:
+//
+//   <directory>/index.json                 live/candidate per model, version metadata
+//   <directory>/<model>/v<version>.json    the network itself
+//
+// A new version starts as the candidate. While it is one, the engine runs it in
+// shadow next to the live version and records both predictions against real
+// outcomes; evaluateCandidate() decides whether it has earned promotion.
+
+const fs = require('fs').promises;
+const path = require('path');
+
+// live: serving predictions; candidate: in shadow evaluation; the rest are inactive
+const STATUSES = ['candidate', 'live', 'retired', 'rejected', 'superseded', 'rolled_back'];
+
+// Requests the registry cannot satisfy, e.g. an unknown version
+class RegistryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RegistryError';
+    }
+}
+
+class ModelRegistry {
+    constructor(options = {}) {
+        this.config = {
+            directory: options.directory || process.env.AI_MODEL_REGISTRY_DIR || path.join(process.cwd(), 'data', 'models'),
+            maxVersions: options.maxVersions || parseInt(process.env.AI_MODEL_MAX_VERSIONS) || 20,
+            minShadowSamples: options.minShadowSamples || parseInt(process.env.AI_SHADOW_MIN_SAMPLES) || 50,
+            // Accuracy the candidate must gain over the live version to be promoted
+            promotionMargin: options.promotionMargin ?? (parseFloat(process.env.AI_SHADOW_PROMOTION_MARGIN) || 0)
+        };
+
+        this.index = { models: {} };
+        this.loaded = false;
+        this.pendingSave = Promise.resolve();
+    }
+
+    async load() {
+        try {
+            const data = await fs.readFile(this.indexPath(), 'utf8');
+            this.index = JSON.parse(data);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            this.index = { models: {} };
+        }
+
+        this.loaded = true;
+        return this.index;
+    }
+
+    // ================================
+    // VERSIONS
+    // ================================
+    getModel(name) {
+        if (!this.index.models[name]) {
+            this.index.models[name] = { live: null, candidate: null, nextVersion: 1, versions: [], promotions: [] };
+        }
+        return this.index.models[name];
+    }
+
+    getVersion(name, version) {
+        return this.getModel(name).versions.find(entry => entry.version === version) || null;
+    }
+
+    listVersions(name) {
+        return this.getModel(name).versions.slice();
+    }
+
+    // Stores a trained network as the new candidate, superseding any earlier one
+    async register(name, network, { trainingWindow = null, hyperparameters = {}, metrics = null } = {}) {
+        const model = this.getModel(name);
+        const version = model.nextVersion++;
+
+        // Metadata lives in the index; the version file holds only the network
+        const stored = { ...network };
+        delete stored.version;
+        delete stored.metrics;
+
+        await fs.mkdir(path.dirname(this.versionPath(name, version)), { recursive: true });
+        await fs.writeFile(this.versionPath(name, version), JSON.stringify(stored));
+
+        if (model.candidate !== null) {
+            this.getVersion(name, model.candidate).status = 'superseded';
+        }
+
+        const entry = {
+            version,
+            status: 'candidate',
+            createdAt: new Date().toISOString(),
+            trainingWindow,
+            hyperparameters,
+            metrics: metrics || network.metrics || null,
+            parentVersion: model.live,
+            shadow: this.emptyShadow()
+        };
+        model.versions.push(entry);
+        model.candidate = version;
+
+        await this.pruneVersions(name);
+        await this.save();
+
+        return entry;
+    }
+
+    async loadNetwork(name, version) {
+        if (!this.getVersion(name, version)) {
+            throw new RegistryError(`Unknown version ${version} of model ${name}`);
+        }
+
+        const network = JSON.parse(await fs.readFile(this.versionPath(name, version), 'utf8'));
+        network.version = version;
+        network.metrics = this.getVersion(name, version).metrics;
+        return network;
+    }
+
+    // ================================
+    // PROMOTION & ROLLBACK
+    // ================================
+    async promote(name, version, reason = 'manual') {
+        const model = this.getModel(name);
+        const entry = this.getVersion(name, version);
+        if (!entry) throw new RegistryError(`Unknown version ${version} of model ${name}`);
+        if (model.live === version) return entry;
+
+        if (model.live !== null) {
+            this.getVersion(name, model.live).status = 'retired';
+        }
+        if (model.candidate === version) {
+            model.candidate = null;
+        }
+
+        entry.status = 'live';
+        entry.promotedAt = new Date().toISOString();
+        model.live = version;
+        model.promotions.push({ version, reason, at: entry.promotedAt });
+
+        await this.save();
+        return entry;
+    }
+
+    // Returns to the given version, or to the one that was live before the current one
+    async rollback(name, version = null) {
+        const model = this.getModel(name);
+        if (model.live === null) throw new RegistryError(`Model ${name} has no live version`);
+
+        const target = version !== null ? version : this.previousLiveVersion(name);
+        if (target === null) throw new RegistryError(`Model ${name} has no earlier version to roll back to`);
+        if (target === model.live) throw new RegistryError(`Version ${target} of model ${name} is already live`);
+
+        const current = this.getVersion(name, model.live);
+        const entry = await this.promote(name, target, `rollback from v${model.live}`);
+        current.status = 'rolled_back';
+
+        await this.save();
+        return entry;
+    }
+
+    previousLiveVersion(name) {
+        const model = this.getModel(name);
+        const earlier = model.promotions
+            .map(promotion => promotion.version)
+            .filter(version => version !== model.live && this.getVersion(name, version));
+
+        return earlier.length > 0 ? earlier[earlier.length - 1] : null;
+    }
+
+    async reject(name, version, reason) {
+        const model = this.getModel(name);
+        const entry = this.getVersion(name, version);
+        if (!entry) throw new RegistryError(`Unknown version ${version} of model ${name}`);
+
+        entry.status = 'rejected';
+        entry.rejectedAt = new Date().toISOString();
+        entry.rejectionReason = reason;
+        if (model.candidate === version) {
+            model.candidate = null;
+        }
+
+        await this.save();
+        return entry;
+    }
+
+    // ================================
+    // SHADOW EVALUATION
+    // ================================
+    emptyShadow() {
+        return { samples: 0, liveCorrect: 0, candidateCorrect: 0, liveAccuracy: null, candidateAccuracy: null };
+    }
+
+    // Both versions' predictions for one real outcome; kept in memory until the caller saves
+    recordShadowOutcome(name, { live, candidate, actual }) {
+        const model = this.getModel(name);
+        if (model.candidate === null) return null;
+
+        const shadow = this.getVersion(name, model.candidate).shadow;
+        const expected = actual >= 0.5;
+
+        shadow.samples++;
+        if ((live >= 0.5) === expected) shadow.liveCorrect++;
+        if ((candidate >= 0.5) === expected) shadow.candidateCorrect++;
+        shadow.liveAccuracy = shadow.liveCorrect / shadow.samples;
+        shadow.candidateAccuracy = shadow.candidateCorrect / shadow.samples;
+
+        return shadow;
+    }
+
+    // pending until enough outcomes are in, then promote or reject
+    evaluateCandidate(name) {
+        const model = this.getModel(name);
+        if (model.candidate === null) return { decision: 'none', version: null, shadow: null };
+
+        const version = model.candidate;
+        const shadow = this.getVersion(name, version).shadow;
+
+        if (model.live === null) return { decision: 'promote', version, shadow };
+        if (shadow.samples < this.config.minShadowSamples) return { decision: 'pending', version, shadow };
+
+        const better = shadow.candidateAccuracy >= shadow.liveAccuracy + this.config.promotionMargin;
+        return { decision: better ? 'promote' : 'reject', version, shadow };
+    }
+
+    // ================================
+    // STORAGE
+    // ================================
+    // Drops the oldest inactive versions beyond maxVersions; live, candidate and rollback targets stay
+    async pruneVersions(name) {
+        const model = this.getModel(name);
+        const keep = new Set([model.live, model.candidate, this.previousLiveVersion(name)]);
+        const removable = model.versions.filter(entry => !keep.has(entry.version));
+        const excess = model.versions.length - this.config.maxVersions;
+
+        for (const entry of removable.slice(0, Math.max(excess, 0))) {
+            await fs.rm(this.versionPath(name, entry.version), { force: true });
+            model.versions = model.versions.filter(candidate => candidate !== entry);
+        }
+    }
+
+    // Saves run one after another, so overlapping callers never share the temporary file
+    save() {
+        const write = this.pendingSave.catch(() => {}).then(() => this.writeIndex());
+        this.pendingSave = write;
+        return write;
+    }
+
+    async writeIndex() {
+        await fs.mkdir(this.config.directory, { recursive: true });
+
+        // Write then rename, so a crash never leaves a half-written index
+        const temporary = `${this.indexPath()}.tmp`;
+        await fs.writeFile(temporary, JSON.stringify(this.index, null, 2));
+        await fs.rename(temporary, this.indexPath());
+    }
+
+    indexPath() {
+        return path.join(this.config.directory, 'index.json');
+    }
+
+    versionPath(name, version) {
+        return path.join(this.config.directory, name, `v${version}.json`);
+    }
+
+    getSummary() {
+        return Object.fromEntries(Object.entries(this.index.models).map(([name, model]) => [name, {
+            live: model.live,
+            candidate: model.candidate,
+            versions: model.versions
+        }]));
+    }
+}
+
+ModelRegistry.STATUSES = STATUSES;
+ModelRegistry.RegistryError = RegistryError;
+
+module.exports = ModelRegistry;
@@ -0,0 +1,523 @@
+// ================================
+// BAYNEX.A.X NEURAL NETWORK CORE
+// Feedforward & LSTM networks with gradient-based training
+// ================================
+//
+// Networks are plain objects so they are saved to JSON as they are:
+//
+//   feedforward: { type, layers, activations, weights, bias }
+//   lstm:        { type, sequenceLength, inputSize, hiddenSize, recurrent, layers, activations, weights, bias }
+//
+// weights[l][i][j] connects input i of dense layer l to its output j and
+// activations[l] is applied to that layer's outputs. The LSTM cell packs its
+// gates column-wise as [input | forget | output | candidate] and feeds its last
+// hidden state into the dense layers, so layers[0] equals hiddenSize.
+//
+// A sigmoid output layer is trained with binary cross-entropy, anything else
+// with squared error.
+
+// Derivatives are expressed in terms of the activation's output
+const ACTIVATIONS = {
+    sigmoid: { fn: x => 1 / (1 + Math.exp(-x)), derivative: y => y * (1 - y) },
+    relu: { fn: x => (x > 0 ? x : 0), derivative: y => (y > 0 ? 1 : 0) },
+    tanh: { fn: Math.tanh, derivative: y => 1 - y * y },
+    linear: { fn: x => x, derivative: () => 1 }
+};
+
+const OPTIMIZERS = ['adam', 'sgd'];
+
+const DEFAULT_TRAINING = {
+    optimizer: 'adam',
+    learningRate: 0.001,
+    batchSize: 32,
+    epochs: 50,
+    l2: 0.0001,
+    validationSplit: 0.2,
+    patience: 5,
+    minDelta: 0.0001,
+    momentum: 0,
+    beta1: 0.9,
+    beta2: 0.999,
+    epsilon: 1e-8,
+    clipNorm: 5,
+    random: Math.random
+};
+
+// ================================
+// CONSTRUCTION
+// ================================
+function createNetwork(spec, random = Math.random) {
+    const type = spec.type || 'feedforward';
+    const layers = spec.layers;
+    const outputLayer = layers.length - 2;
+    const activations = spec.activations ||
+        layers.slice(1).map((size, index) => (index === outputLayer ? 'sigmoid' : spec.activation || 'sigmoid'));
+
+    for (const activation of activations) {
+        if (!ACTIVATIONS[activation]) throw new Error(`Unknown activation: ${activation}`);
+    }
+
+    const network = { ...spec, type, layers, activations, trained: false };
+    delete network.activation;
+
+    network.weights = [];
+    network.bias = [];
+    for (let l = 0; l < layers.length - 1; l++) {
+        network.weights.push(initializeMatrix(layers[l], layers[l + 1], activations[l], random));
+        network.bias.push(new Array(layers[l + 1]).fill(activations[l] === 'relu' ? 0.01 : 0));
+    }
+
+    if (type === 'lstm') {
+        const { inputSize, hiddenSize } = spec;
+        if (layers[0] !== hiddenSize) {
+            throw new Error(`LSTM dense layers must start at hiddenSize ${hiddenSize}, got ${layers[0]}`);
+        }
+
+        const bias = new Array(4 * hiddenSize).fill(0);
+        // Forget gates start open so early gradients reach back through the sequence
+        bias.fill(1, hiddenSize, 2 * hiddenSize);
+
+        network.recurrent = {
+            inputWeights: initializeMatrix(inputSize, 4 * hiddenSize, 'sigmoid', random),
+            hiddenWeights: initializeMatrix(hiddenSize, 4 * hiddenSize, 'sigmoid', random),
+            bias
+        };
+    }
+
+    return network;
+}
+
+// He initialization for ReLU, Glorot otherwise
+function initializeMatrix(rows, columns, activation, random) {
+    const limit = activation === 'relu' ? Math.sqrt(6 / rows) : Math.sqrt(6 / (rows + columns));
+    return Array.from({ length: rows }, () =>
+        Array.from({ length: columns }, () => (random() * 2 - 1) * limit));
+}
+
+// ================================
+// FORWARD PASS
+// ================================
+function predict(network, input) {
+    const denseInput = network.type === 'lstm' ? forwardRecurrent(network, input).hidden : input;
+    const outputs = forwardDense(network, denseInput);
+    const output = outputs[outputs.length - 1];
+    return output.length === 1 ? output[0] : output;
+}
+
+// Returns the outputs of every layer, starting with the input
+function forwardDense(network, input) {
+    const outputs = [input];
+    let activation = input;
+
+    for (let l = 0; l < network.weights.length; l++) {
+        const weights = network.weights[l];
+        const next = network.bias[l].slice();
+        const fn = ACTIVATIONS[network.activations[l]].fn;
+
+        for (let i = 0; i < weights.length; i++) {
+            const value = activation[i] || 0;
+            if (value === 0) continue;
+
+            const row = weights[i];
+            for (let j = 0; j < next.length; j++) next[j] += value * row[j];
+        }
+        for (let j = 0; j < next.length; j++) next[j] = fn(next[j]);
+
+        outputs.push(next);
+        activation = next;
+    }
+
+    return outputs;
+}
+
+function forwardRecurrent(network, sequence) {
+    const { inputWeights, hiddenWeights, bias } = network.recurrent;
+    const size = network.hiddenSize;
+    const sigmoid = ACTIVATIONS.sigmoid.fn;
+
+    let hidden = new Array(size).fill(0);
+    let cell = new Array(size).fill(0);
+    const steps = [];
+
+    for (const input of sequence) {
+        const z = bias.slice();
+        addProduct(z, input, inputWeights);
+        addProduct(z, hidden, hiddenWeights);
+
+        const step = {
+            input,
+            hiddenPrev: hidden,
+            cellPrev: cell,
+            inputGate: new Array(size),
+            forgetGate: new Array(size),
+            outputGate: new Array(size),
+            candidate: new Array(size),
+            cellTanh: new Array(size)
+        };
+        const nextHidden = new Array(size);
+        const nextCell = new Array(size);
+
+        for (let j = 0; j < size; j++) {
+            step.inputGate[j] = sigmoid(z[j]);
+            step.forgetGate[j] = sigmoid(z[size + j]);
+            step.outputGate[j] = sigmoid(z[2 * size + j]);
+            step.candidate[j] = Math.tanh(z[3 * size + j]);
+
+            nextCell[j] = step.forgetGate[j] * cell[j] + step.inputGate[j] * step.candidate[j];
+            step.cellTanh[j] = Math.tanh(nextCell[j]);
+            nextHidden[j] = step.outputGate[j] * step.cellTanh[j];
+        }
+
+        steps.push(step);
+        hidden = nextHidden;
+        cell = nextCell;
+    }
+
+    return { steps, hidden };
+}
+
+function addProduct(target, vector, matrix) {
+    for (let i = 0; i < matrix.length; i++) {
+        const value = vector[i] || 0;
+        if (value === 0) continue;
+
+        const row = matrix[i];
+        for (let j = 0; j < target.length; j++) target[j] += value * row[j];
+    }
+}
+
+// ================================
+// BACKPROPAGATION
+// ================================
+// Loss of one example and its gradient with respect to the output layer's pre-activation
+function outputLoss(network, output, target) {
+    const activation = network.activations[network.activations.length - 1];
+    const derivative = ACTIVATIONS[activation].derivative;
+    const delta = new Array(output.length);
+    let loss = 0;
+
+    for (let j = 0; j < output.length; j++) {
+        if (activation === 'sigmoid') {
+            const p = Math.min(Math.max(output[j], 1e-7), 1 - 1e-7);
+            loss -= target[j] * Math.log(p) + (1 - target[j]) * Math.log(1 - p);
+            delta[j] = output[j] - target[j];
+        } else {
+            const error = output[j] - target[j];
+            loss += 0.5 * error * error;
+            delta[j] = error * derivative(output[j]);
+        }
+    }
+
+    return { loss, delta };
+}
+
+// Accumulates weight gradients and returns the gradient with respect to the input
+function backwardDense(network, outputs, delta, gradients) {
+    for (let l = network.weights.length - 1; l >= 0; l--) {
+        const weights = network.weights[l];
+        const input = outputs[l];
+        const inputGradient = new Array(weights.length);
+
+        for (let i = 0; i < weights.length; i++) {
+            const value = input[i] || 0;
+            const row = weights[i];
+            const gradientRow = gradients.weights[l][i];
+            let sum = 0;
+
+            for (let j = 0; j < delta.length; j++) {
+                gradientRow[j] += value * delta[j];
+                sum += row[j] * delta[j];
+            }
+            inputGradient[i] = sum;
+        }
+        for (let j = 0; j < delta.length; j++) gradients.bias[l][j] += delta[j];
+
+        if (l === 0) return inputGradient;
+
+        const derivative = ACTIVATIONS[network.activations[l - 1]].derivative;
+        delta = inputGradient.map((gradient, i) => gradient * derivative(input[i]));
+    }
+
+    return [];
+}
+
+// Backpropagation through time from the gradient of the last hidden state
+function backwardRecurrent(network, steps, hiddenGradient, gradients) {
+    const { hiddenWeights } = network.recurrent;
+    const size = network.hiddenSize;
+    const recurrent = gradients.recurrent;
+    let cellGradient = new Array(size).fill(0);
+
+    for (let t = steps.length - 1; t >= 0; t--) {
+        const step = steps[t];
+        const z = new Array(4 * size);
+
+        for (let j = 0; j < size; j++) {
+            const i = step.inputGate[j];
+            const f = step.forgetGate[j];
+            const o = step.outputGate[j];
+            const g = step.candidate[j];
+            const tanhC = step.cellTanh[j];
+
+            const dCell = cellGradient[j] + hiddenGradient[j] * o * (1 - tanhC * tanhC);
+
+            z[j] = dCell * g * i * (1 - i);
+            z[size + j] = dCell * step.cellPrev[j] * f * (1 - f);
+            z[2 * size + j] = hiddenGradient[j] * tanhC * o * (1 - o);
+            z[3 * size + j] = dCell * i * (1 - g * g);
+
+            cellGradient[j] = dCell * f;
+        }
+
+        addOuterProduct(recurrent.inputWeights, step.input, z);
+        addOuterProduct(recurrent.hiddenWeights, step.hiddenPrev, z);
+        for (let j = 0; j < z.length; j++) recurrent.bias[j] += z[j];
+
+        const previous = new Array(size);
+        for (let k = 0; k < size; k++) {
+            const row = hiddenWeights[k];
+            let sum = 0;
+            for (let j = 0; j < z.length; j++) sum += row[j] * z[j];
+            previous[k] = sum;
+        }
+        hiddenGradient = previous;
+    }
+}
+
+function addOuterProduct(matrix, vector, delta) {
+    for (let i = 0; i < matrix.length; i++) {
+        const value = vector[i] || 0;
+        if (value === 0) continue;
+
+        const row = matrix[i];
+        for (let j = 0; j < delta.length; j++) row[j] += value * delta[j];
+    }
+}
+
+// Mean loss gradient over examples of the form { input, label }
+function computeGradients(network, examples) {
+    const gradients = zeroGradients(network);
+    let loss = 0;
+
+    for (const example of examples) {
+        const recurrent = network.type === 'lstm' ? forwardRecurrent(network, example.input) : null;
+        const outputs = forwardDense(network, recurrent ? recurrent.hidden : example.input);
+        const result = outputLoss(network, outputs[outputs.length - 1], toTarget(example.label));
+
+        loss += result.loss;
+        const inputGradient = backwardDense(network, outputs, result.delta, gradients);
+        if (recurrent) backwardRecurrent(network, recurrent.steps, inputGradient, gradients);
+    }
+
+    const count = Math.max(examples.length, 1);
+    for (const group of parameterGroups(gradients)) {
+        for (let i = 0; i < group.values.length; i++) group.values[i] /= count;
+    }
+
+    return { gradients, loss: loss / count };
+}
+
+// ================================
+// OPTIMIZATION
+// ================================
+function createOptimizerState() {
+    return { step: 0, first: [], second: [] };
+}
+
+// One optimizer step on a mini-batch; L2 applies to weights only
+function trainBatch(network, examples, options = {}, state = createOptimizerState()) {
+    const settings = { ...DEFAULT_TRAINING, ...options };
+    const { gradients, loss } = computeGradients(network, examples);
+    const params = parameterGroups(network);
+    const grads = parameterGroups(gradients);
+
+    let norm = 0;
+    grads.forEach((group, index) => {
+        const values = params[index].values;
+        for (let i = 0; i < group.values.length; i++) {
+            if (params[index].decay) group.values[i] += settings.l2 * values[i];
+            norm += group.values[i] * group.values[i];
+        }
+    });
+    norm = Math.sqrt(norm);
+    const scale = settings.clipNorm && norm > settings.clipNorm ? settings.clipNorm / norm : 1;
+
+    state.step++;
+    const { learningRate, beta1, beta2, epsilon, momentum } = settings;
+    const correction1 = 1 - Math.pow(beta1, state.step);
+    const correction2 = 1 - Math.pow(beta2, state.step);
+
+    params.forEach((group, index) => {
+        const values = group.values;
+        const gradient = grads[index].values;
+        const first = state.first[index] || (state.first[index] = new Array(values.length).fill(0));
+
+        if (settings.optimizer === 'adam') {
+            const second = state.second[index] || (state.second[index] = new Array(values.length).fill(0));
+            for (let i = 0; i < values.length; i++) {
+                const g = gradient[i] * scale;
+                first[i] = beta1 * first[i] + (1 - beta1) * g;
+                second[i] = beta2 * second[i] + (1 - beta2) * g * g;
+                values[i] -= learningRate * (first[i] / correction1) / (Math.sqrt(second[i] / correction2) + epsilon);
+            }
+        } else {
+            // SGD, with momentum when configured
+            for (let i = 0; i < values.length; i++) {
+                first[i] = momentum * first[i] - learningRate * gradient[i] * scale;
+                values[i] += first[i];
+            }
+        }
+    });
+
+    return loss;
+}
+
+// Mini-batch training with a chronological validation split and early stopping.
+// The weights of the best validation epoch are kept.
+async function train(network, { inputs, labels }, options = {}) {
+    const settings = { ...DEFAULT_TRAINING, ...options };
+    if (!OPTIMIZERS.includes(settings.optimizer)) {
+        throw new Error(`Unknown optimizer: ${settings.optimizer}`);
+    }
+
+    const examples = inputs.map((input, index) => ({ input, label: labels[index] }));
+    if (examples.length === 0) throw new Error('No training examples');
+
+    // The most recent examples are held out so validation never trains on the future
+    const validationSize = Math.min(Math.round(examples.length * settings.validationSplit), examples.length - 1);
+    const trainSet = examples.slice(0, examples.length - validationSize);
+    const validationSet = examples.slice(examples.length - validationSize);
+    const monitored = validationSet.length > 0 ? validationSet : trainSet;
+
+    const state = createOptimizerState();
+    let best = { loss: Infinity, epoch: 0, snapshot: snapshotParameters(network) };
+    let stale = 0;
+    let epoch = 0;
+
+    while (epoch < settings.epochs) {
+        epoch++;
+        const order = shuffle(trainSet, settings.random);
+
+        for (let start = 0; start < order.length; start += settings.batchSize) {
+            trainBatch(network, order.slice(start, start + settings.batchSize), settings, state);
+            // Let the event loop breathe between batches
+            await new Promise(resolve => setImmediate(resolve));
+        }
+
+        const { loss } = evaluate(network, monitored);
+        if (loss < best.loss - settings.minDelta) {
+            best = { loss, epoch, snapshot: snapshotParameters(network) };
+            stale = 0;
+        } else if (++stale >= settings.patience) {
+            break;
+        }
+    }
+
+    restoreParameters(network, best.snapshot);
+    network.trained = true;
+
+    const trainMetrics = evaluate(network, trainSet);
+    const validationMetrics = validationSet.length > 0 ? evaluate(network, validationSet) : { loss: null, accuracy: null };
+
+    return {
+        optimizer: settings.optimizer,
+        epochs: epoch,
+        bestEpoch: best.epoch,
+        stoppedEarly: epoch < settings.epochs,
+        trainSize: trainSet.length,
+        validationSize: validationSet.length,
+        trainLoss: trainMetrics.loss,
+        trainAccuracy: trainMetrics.accuracy,
+        validationLoss: validationMetrics.loss,
+        validationAccuracy: validationMetrics.accuracy
+    };
+}
+
+// Mean loss and, for binary labels, the share classified on the right side of 0.5
+function evaluate(network, examples) {
+    if (examples.length === 0) return { loss: null, accuracy: null };
+
+    let loss = 0;
+    let correct = 0;
+    for (const example of examples) {
+        const recurrent = network.type === 'lstm' ? forwardRecurrent(network, example.input) : null;
+        const outputs = forwardDense(network, recurrent ? recurrent.hidden : example.input);
+        const output = outputs[outputs.length - 1];
+        const target = toTarget(example.label);
+
+        loss += outputLoss(network, output, target).loss;
+        if (output.every((value, j) => (value >= 0.5) === (target[j] >= 0.5))) correct++;
+    }
+
+    return { loss: loss / examples.length, accuracy: correct / examples.length };
+}
+
+// ================================
+// UTILITIES
+// ================================
+function zeroGradients(network) {
+    const zeros = matrix => matrix.map(row => new Array(row.length).fill(0));
+
+    return {
+        type: network.type,
+        recurrent: network.type === 'lstm' ? {
+            inputWeights: zeros(network.recurrent.inputWeights),
+            hiddenWeights: zeros(network.recurrent.hiddenWeights),
+            bias: new Array(network.recurrent.bias.length).fill(0)
+        } : null,
+        weights: network.weights.map(zeros),
+        bias: network.bias.map(bias => new Array(bias.length).fill(0))
+    };
+}
+
+// Every trainable vector in a fixed order; decay marks weights that L2 applies to
+function parameterGroups(network) {
+    const groups = [];
+
+    if (network.type === 'lstm') {
+        network.recurrent.inputWeights.forEach(row => groups.push({ values: row, decay: true }));
+        network.recurrent.hiddenWeights.forEach(row => groups.push({ values: row, decay: true }));
+        groups.push({ values: network.recurrent.bias, decay: false });
+    }
+    network.weights.forEach(layer => layer.forEach(row => groups.push({ values: row, decay: true })));
+    network.bias.forEach(bias => groups.push({ values: bias, decay: false }));
+
+    return groups;
+}
+
+function snapshotParameters(network) {
+    return parameterGroups(network).map(group => group.values.slice());
+}
+
+function restoreParameters(network, snapshot) {
+    parameterGroups(network).forEach((group, index) => {
+        for (let i = 0; i < group.values.length; i++) group.values[i] = snapshot[index][i];
+    });
+}
+
+function toTarget(label) {
+    return Array.isArray(label) ? label : [label];
+}
+
+function shuffle(items, random) {
+    const copy = items.slice();
+    for (let i = copy.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+}
+
+module.exports = {
+    ACTIVATIONS,
+    OPTIMIZERS,
+    DEFAULT_TRAINING,
+    createNetwork,
+    predict,
+    computeGradients,
+    createOptimizerState,
+    trainBatch,
+    train,
+    evaluate,
+    parameterGroups
+};
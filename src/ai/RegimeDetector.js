@@ -0,0 +1,375 @@
+// ================================
+// BAYNEX.A.X REGIME DETECTOR
+// Labels each asset's market regime from its indicators
+// ================================
+
+const EventEmitter = require('events');
+
+const REGIMES = ['trending', 'ranging', 'high_volatility', 'low_liquidity'];
+
+// Regimes the clustering model can tell apart; liquidity is judged directly from the feed
+const MODEL_REGIMES = ['trending', 'ranging', 'high_volatility'];
+
+// Feature vector order for the model
+const FEATURES = ['atrPercent', 'bollingerWidth', 'trendStrength'];
+
+class RegimeDetector extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.dependencies = ['dataProcessor'];
+
+        this.config = {
+            updateInterval: parseInt(process.env.REGIME_UPDATE_INTERVAL) || 30000,
+            // Ticks the trend line is fitted over
+            lookback: parseInt(process.env.REGIME_LOOKBACK) || 50,
+            // Samples an asset needs before its hidden Markov model is fitted, and how often it is refitted
+            minSamples: parseInt(process.env.REGIME_MIN_SAMPLES) || 100,
+            refitEvery: parseInt(process.env.REGIME_REFIT_EVERY) || 50,
+            historyLimit: parseInt(process.env.REGIME_HISTORY_LIMIT) || 1000,
+            // Chance the regime carries on from one sample to the next
+            persistence: parseFloat(process.env.REGIME_PERSISTENCE) || 0.9,
+            // Trend line move over the lookback, in Bollinger widths, that counts as a trend
+            trendThreshold: parseFloat(process.env.REGIME_TREND_THRESHOLD) || 1.0,
+            // Bollinger width (as a share of price) treated as high volatility before a model exists
+            highVolatilityWidth: parseFloat(process.env.REGIME_HIGH_VOLATILITY_WIDTH) || 0.01,
+            maxTickGap: parseInt(process.env.REGIME_MAX_TICK_GAP) || 10000,
+            maxSpreadPercent: parseFloat(process.env.REGIME_MAX_SPREAD_PERCENT) || 0.001,
+            clusters: MODEL_REGIMES.length,
+            maxIterations: 50,
+            ...options
+        };
+
+        // Per asset: feature history, fitted model, filtered probabilities and current label
+        this.assets = new Map();
+        this.changes = [];
+        this.updateTimer = null;
+
+        this.stats = {
+            updates: 0,
+            regimeChanges: 0,
+            modelFits: 0
+        };
+    }
+
+    async initialize() {
+        console.log('🧭 Initializing Regime Detector...');
+        console.log(`✅ Regime Detector ready (${REGIMES.join(', ')})`);
+        return true;
+    }
+
+    async start() {
+        if (this.updateTimer) return;
+        this.updateTimer = setInterval(() => this.updateAll(), this.config.updateInterval);
+    }
+
+    async stop() {
+        clearInterval(this.updateTimer);
+        this.updateTimer = null;
+    }
+
+    // ================================
+    // UPDATES
+    // ================================
+    updateAll() {
+        const dataProcessor = this.getComponent('dataProcessor');
+        if (!dataProcessor) return [];
+
+        return dataProcessor.config.supportedAssets
+            .map(asset => this.update(asset))
+            .filter(Boolean);
+    }
+
+    update(asset, now = Date.now()) {
+        const dataProcessor = this.getComponent('dataProcessor');
+        const assetData = dataProcessor ? dataProcessor.getAssetData(asset) : null;
+        if (!assetData) return null;
+
+        const features = this.extractFeatures(assetData, now);
+        return features ? this.observe(asset, features, now) : null;
+    }
+
+    // ATR, Bollinger width and trend-line slope as DataProcessor computes them, plus feed health
+    extractFeatures(assetData, now = Date.now()) {
+        const ticks = assetData.data.rawData;
+        const { atr, bollinger } = assetData.indicators;
+        if (ticks.length < this.config.lookback || bollinger.middle.length === 0) return null;
+
+        const last = ticks[ticks.length - 1];
+        const price = last.price;
+        const middle = bollinger.middle[bollinger.middle.length - 1];
+        const bollingerWidth = middle ? (bollinger.upper[bollinger.upper.length - 1] - bollinger.lower[bollinger.lower.length - 1]) / middle : 0;
+        const atrValues = atr[14] || [];
+        const atrPercent = atrValues.length > 0 ? atrValues[atrValues.length - 1] / price : 0;
+
+        const recent = ticks.slice(-this.config.lookback);
+        const { slope } = this.getComponent('dataProcessor').calculateTrendLine(
+            recent.map((tick, index) => ({ index, value: tick.price }))
+        );
+        const move = slope * this.config.lookback / price;
+        const trendStrength = bollingerWidth > 0 ? Math.abs(move) / bollingerWidth : 0;
+
+        const gaps = [];
+        for (let i = Math.max(1, ticks.length - 20); i < ticks.length; i++) {
+            gaps.push(new Date(ticks[i].timestamp) - new Date(ticks[i - 1].timestamp));
+        }
+
+        return {
+            atrPercent,
+            bollingerWidth,
+            trendStrength,
+            slope: move,
+            // A feed that has gone quiet counts as one long gap
+            tickGap: Math.max(this.median(gaps), now - new Date(last.timestamp)),
+            spreadPercent: last.spread ? last.spread / price : 0
+        };
+    }
+
+    // Feeds one sample through the filter and publishes the regime if it changed
+    observe(asset, features, now = Date.now()) {
+        const state = this.getState(asset);
+        state.history.push(FEATURES.map(name => features[name]));
+        if (state.history.length > this.config.historyLimit) state.history.shift();
+        state.samplesSinceFit++;
+
+        if (state.history.length >= this.config.minSamples &&
+            (!state.model || state.samplesSinceFit >= this.config.refitEvery)) {
+            this.fitModel(state);
+        }
+
+        const classified = this.classify(state, features);
+        const previous = state.current;
+        const direction = features.slope > 0 ? 'up' : features.slope < 0 ? 'down' : 'neutral';
+
+        state.current = {
+            asset,
+            regime: classified.regime,
+            direction,
+            probabilities: classified.probabilities,
+            model: classified.model,
+            features,
+            since: previous && previous.regime === classified.regime ? previous.since : new Date(now),
+            updatedAt: new Date(now)
+        };
+        this.stats.updates++;
+
+        if (!previous || previous.regime !== classified.regime) {
+            const change = { asset, from: previous ? previous.regime : null, to: classified.regime, ...state.current };
+            this.stats.regimeChanges++;
+            this.changes.push(change);
+            if (this.changes.length > this.config.historyLimit) this.changes.shift();
+
+            console.log(`🧭 ${asset} regime: ${change.from || 'unknown'} → ${change.to}`);
+            this.emit('regime_changed', change);
+        }
+
+        return state.current;
+    }
+
+    classify(state, features) {
+        // A thin or stale feed overrides whatever the price action looks like
+        if (features.tickGap > this.config.maxTickGap || features.spreadPercent > this.config.maxSpreadPercent) {
+            state.filtered = null;
+            return { regime: 'low_liquidity', probabilities: { low_liquidity: 1 }, model: 'liquidity' };
+        }
+
+        if (!state.model) {
+            return { regime: this.classifyByRules(features), probabilities: null, model: 'rules' };
+        }
+
+        const probabilities = this.filter(state, FEATURES.map(name => features[name]));
+        const byRegime = {};
+        state.model.labels.forEach((label, cluster) => {
+            byRegime[label] = (byRegime[label] || 0) + probabilities[cluster];
+        });
+        const regime = Object.keys(byRegime).reduce((best, label) => byRegime[label] > byRegime[best] ? label : best);
+
+        return { regime, probabilities: byRegime, model: 'hmm' };
+    }
+
+    classifyByRules(features) {
+        if (features.trendStrength >= this.config.trendThreshold) return 'trending';
+        if (features.bollingerWidth >= this.config.highVolatilityWidth) return 'high_volatility';
+        return 'ranging';
+    }
+
+    // ================================
+    // HIDDEN MARKOV MODEL
+    // ================================
+
+    // Hidden states come from k-means clusters of the standardized feature history
+    fitModel(state) {
+        const { mean, std } = this.standardization(state.history);
+        const points = state.history.map(row => this.standardize(row, mean, std));
+        const centroids = this.kMeans(points, this.config.clusters);
+
+        state.model = {
+            mean,
+            std,
+            centroids,
+            labels: this.labelClusters(centroids.map(c => c.map((value, i) => value * std[i] + mean[i])))
+        };
+        state.samplesSinceFit = 0;
+        state.filtered = null;
+        this.stats.modelFits++;
+
+        return state.model;
+    }
+
+    // One forward step: sticky transitions times Gaussian emissions around each centroid
+    filter(state, row) {
+        const { centroids, mean, std } = state.model;
+        const k = centroids.length;
+        const point = this.standardize(row, mean, std);
+        const prior = state.filtered || new Array(k).fill(1 / k);
+        const stay = this.config.persistence;
+        const move = k > 1 ? (1 - stay) / (k - 1) : 0;
+
+        const posterior = centroids.map((centroid, j) => {
+            const predicted = prior.reduce((sum, p, i) => sum + p * (i === j ? stay : move), 0);
+            const distance = centroid.reduce((sum, value, d) => sum + (point[d] - value) ** 2, 0);
+            return predicted * Math.exp(-0.5 * distance);
+        });
+
+        const total = posterior.reduce((sum, p) => sum + p, 0);
+        state.filtered = total > 0 ? posterior.map(p => p / total) : new Array(k).fill(1 / k);
+        return state.filtered;
+    }
+
+    // Names clusters by their centres in raw units; clusters that fit no label are ranging
+    labelClusters(centres) {
+        const strength = FEATURES.indexOf('trendStrength');
+        const width = FEATURES.indexOf('bollingerWidth');
+        const labels = new Array(centres.length).fill('ranging');
+
+        const trending = centres.reduce((best, centre, i) => centre[strength] > centres[best][strength] ? i : best, 0);
+        if (centres[trending][strength] >= this.config.trendThreshold) {
+            labels[trending] = 'trending';
+        }
+
+        const calmest = Math.min(...centres.map(centre => centre[width]));
+        const candidates = centres.map((centre, i) => i).filter(i => labels[i] === 'ranging');
+        if (candidates.length > 1) {
+            const widest = candidates.reduce((best, i) => centres[i][width] > centres[best][width] ? i : best);
+            if (centres[widest][width] >= 1.5 * calmest) {
+                labels[widest] = 'high_volatility';
+            }
+        }
+
+        return labels;
+    }
+
+    kMeans(points, k) {
+        // Farthest-point seeding keeps fits deterministic
+        const centroids = [points.reduce((best, p) => this.norm(p) > this.norm(best) ? p : best)];
+        while (centroids.length < Math.min(k, points.length)) {
+            const next = points.reduce((best, p) =>
+                this.nearest(p, centroids).distance > this.nearest(best, centroids).distance ? p : best);
+            centroids.push(next);
+        }
+
+        let assignments = [];
+        for (let iteration = 0; iteration < this.config.maxIterations; iteration++) {
+            const next = points.map(p => this.nearest(p, centroids).index);
+            if (next.every((cluster, i) => cluster === assignments[i])) break;
+            assignments = next;
+
+            centroids.forEach((centroid, j) => {
+                const members = points.filter((p, i) => assignments[i] === j);
+                if (members.length === 0) return;
+                centroids[j] = centroid.map((_, d) => members.reduce((sum, p) => sum + p[d], 0) / members.length);
+            });
+        }
+
+        return centroids;
+    }
+
+    nearest(point, centroids) {
+        return centroids.reduce((best, centroid, index) => {
+            const distance = centroid.reduce((sum, value, d) => sum + (point[d] - value) ** 2, 0);
+            return distance < best.distance ? { index, distance } : best;
+        }, { index: -1, distance: Infinity });
+    }
+
+    standardization(rows) {
+        const mean = FEATURES.map((_, d) => rows.reduce((sum, row) => sum + row[d], 0) / rows.length);
+        const std = FEATURES.map((_, d) => {
+            const variance = rows.reduce((sum, row) => sum + (row[d] - mean[d]) ** 2, 0) / rows.length;
+            return Math.sqrt(variance) || 1;
+        });
+        return { mean, std };
+    }
+
+    standardize(row, mean, std) {
+        return row.map((value, d) => (value - mean[d]) / std[d]);
+    }
+
+    norm(point) {
+        return point.reduce((sum, value) => sum + value * value, 0);
+    }
+
+    median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        return sorted.length > 0 ? sorted[Math.floor(sorted.length / 2)] : 0;
+    }
+
+    getState(asset) {
+        if (!this.assets.has(asset)) {
+            this.assets.set(asset, { history: [], model: null, filtered: null, samplesSinceFit: 0, current: null });
+        }
+        return this.assets.get(asset);
+    }
+
+    // ================================
+    // API METHODS
+    // ================================
+    getRegime(asset) {
+        const state = this.assets.get(asset);
+        return state && state.current ? state.current : null;
+    }
+
+    getRegimes() {
+        const regimes = {};
+        for (const [asset, state] of this.assets) {
+            if (state.current) regimes[asset] = state.current;
+        }
+        return regimes;
+    }
+
+    getRecentChanges(limit = 20) {
+        return this.changes.slice(-limit).reverse();
+    }
+
+    // Strategies without a regimes list trade in any regime; unknown regimes never block
+    isAllowed(strategy, asset) {
+        if (!Array.isArray(strategy.regimes)) return true;
+
+        const current = this.getRegime(asset);
+        return !current || strategy.regimes.includes(current.regime);
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            assets: this.assets.size,
+            fittedModels: Array.from(this.assets.values()).filter(state => state.model).length
+        };
+    }
+
+    healthCheck() {
+        return {
+            status: 'healthy',
+            running: !!this.updateTimer,
+            ...this.getStats()
+        };
+    }
+
+    // Method to receive component references
+    getComponent(name) {
+        // This will be set by the integration layer
+        return null;
+    }
+}
+
+RegimeDetector.REGIMES = REGIMES;
+
+module.exports = RegimeDetector;
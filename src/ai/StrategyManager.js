@@ -6,6 +6,12 @@
 const EventEmitter = require('events');
 const fs = require('fs').promises;
 const path = require('path');
+const { compileRule, buildScope } = require('./StrategyRules');
+const { REGIMES } = require('./RegimeDetector');
+const { validateContract } = require('../platforms/ContractTypes');
+
+// Signal fields a strategy's contract declaration may set
+const CONTRACT_FIELDS = ['barrier', 'barrier2', 'multiplier', 'stopLoss', 'takeProfit', 'duration', 'durationUnit'];
 
 class StrategyManager extends EventEmitter {
     constructor() {
@@ -13,6 +19,7 @@ class StrategyManager extends EventEmitter {
         this.strategies = new Map();
         this.activeStrategies = new Set();
         this.strategyHistory = new Map();
+        this.compiledRules = new Map();
         this.isExecuting = false;
         this.dependencies = ['aiEngine', 'riskManager', 'database'];
         
@@ -77,7 +84,13 @@ class StrategyManager extends EventEmitter {
                 rsiThreshold: 5,
                 timeframe: 5
             },
+            parameterRanges: {
+                rsiPeriod: { min: 7, max: 28, step: 1 },
+                overbought: { min: 60, max: 85, step: 5 },
+                oversold: { min: 15, max: 40, step: 5 }
+            },
             indicators: ['RSI', 'Price'],
+            regimes: ['trending'],
             rules: {
                 entry: {
                     call: 'RSI < oversold AND price momentum > 0',
@@ -102,7 +115,12 @@ class StrategyManager extends EventEmitter {
                 rsiFilter: 50,
                 timeframe: 5
             },
+            parameterRanges: {
+                bollingerPeriod: { min: 10, max: 40, step: 5 },
+                standardDeviations: { min: 1.5, max: 3, step: 0.5 }
+            },
             indicators: ['BollingerBands', 'RSI', 'Price'],
+            regimes: ['ranging'],
             rules: {
                 entry: {
                     call: 'price < bollinger.lower AND RSI < 30',
@@ -127,7 +145,11 @@ class StrategyManager extends EventEmitter {
                 confirmationPeriod: 3,
                 timeframe: 15
             },
+            parameterRanges: {
+                volumeThreshold: { min: 1, max: 3, step: 0.25 }
+            },
             indicators: ['Volume', 'Price', 'ATR'],
+            regimes: ['ranging', 'high_volatility'],
             rules: {
                 entry: {
                     call: 'price breaks resistance AND volume > threshold',
@@ -153,7 +175,11 @@ class StrategyManager extends EventEmitter {
                 momentumFilter: true,
                 timeframe: 10
             },
+            parameterRanges: {
+                boundaryStrength: { min: 1, max: 5, step: 1 }
+            },
             indicators: ['Price', 'Volume', 'RSI', 'MACD', 'Support', 'Resistance'],
+            regimes: ['ranging', 'trending'],
             rules: {
                 entry: {
                     call: 'price approaches resistance AND momentum positive AND RSI neutral',
@@ -180,6 +206,7 @@ class StrategyManager extends EventEmitter {
                 timeframe: 5
             },
             indicators: ['AI_Prediction', 'Pattern_Score', 'Market_State'],
+            regimes: ['trending', 'ranging', 'high_volatility'],
             rules: {
                 entry: {
                     call: 'AI prediction > confidence threshold AND pattern positive',
@@ -197,6 +224,12 @@ class StrategyManager extends EventEmitter {
     }
 
     createStrategy(strategyConfig) {
+        this.validateRegimes(strategyConfig);
+        this.validateContractSpec(strategyConfig);
+
+        // Rule-driven strategies must compile before they can be registered
+        const compiledRules = strategyConfig.type === 'rules' ? this.compileStrategyRules(strategyConfig) : null;
+
         const strategy = {
             id: this.generateStrategyId(),
             ...strategyConfig,
@@ -225,6 +258,9 @@ class StrategyManager extends EventEmitter {
 
         this.strategies.set(strategy.id, strategy);
         this.activeStrategies.add(strategy.id);
+        if (compiledRules) {
+            this.compiledRules.set(strategy.id, compiledRules);
+        }
         this.stats.totalStrategies++;
         this.stats.activeStrategies++;
 
@@ -235,6 +271,97 @@ class StrategyManager extends EventEmitter {
         return strategy;
     }
 
+    // Rule strategies defined over the API: only declarative fields are taken, and the
+    // rules must compile against the strategy's own indicators and parameters
+    async createRuleStrategy(definition = {}) {
+        const { name, confidence = 0.7 } = definition;
+        if (typeof name !== 'string' || name.trim() === '') {
+            throw new Error('Strategy name is required');
+        }
+        if (this.getAllStrategies().some(strategy => strategy.name === name)) {
+            throw new Error(`Strategy ${name} already exists`);
+        }
+        if (typeof confidence !== 'number' || confidence <= 0 || confidence > 1) {
+            throw new Error(`Strategy ${name} confidence must be above 0 and at most 1`);
+        }
+
+        const strategyConfig = { name, type: 'rules', confidence };
+        for (const field of ['description', 'parameterRanges', 'indicators', 'regimes', 'assets', 'contract', 'rules']) {
+            if (definition[field] !== undefined) strategyConfig[field] = definition[field];
+        }
+        // Signals expire after parameters.timeframe, like the built-in strategies
+        strategyConfig.parameters = { timeframe: 5, ...(definition.parameters || {}) };
+
+        // Every broken rule with its column, not only the first
+        const rules = this.validateStrategyRules(strategyConfig);
+        if (!rules.valid) {
+            const error = new Error(`Invalid rules for strategy ${name}`);
+            error.errors = rules.errors;
+            throw error;
+        }
+
+        const strategy = this.createStrategy(strategyConfig);
+        await this.saveStrategies();
+
+        return strategy;
+    }
+
+    // Strategies may list the market regimes they trade in; without a list they trade in all of them
+    validateRegimes(strategyConfig) {
+        if (strategyConfig.regimes === undefined) return;
+
+        if (!Array.isArray(strategyConfig.regimes) || strategyConfig.regimes.length === 0) {
+            throw new Error(`Strategy ${strategyConfig.name} must list at least one regime`);
+        }
+
+        const unknown = strategyConfig.regimes.filter(regime => !REGIMES.includes(regime));
+        if (unknown.length > 0) {
+            throw new Error(`Strategy ${strategyConfig.name} lists unknown regimes: ${unknown.join(', ')} (expected ${REGIMES.join(', ')})`);
+        }
+    }
+
+    // Strategies trade rise/fall unless they map a side to another Deriv contract,
+    // e.g. contract: { call: { type: 'MULTUP', multiplier: 100, stopLoss: 5 }, put: { type: 'DIGITODD', duration: 5 } }
+    validateContractSpec(strategyConfig) {
+        const contract = strategyConfig.contract;
+        if (contract === undefined) return;
+
+        const sides = contract && typeof contract === 'object' ? Object.keys(contract) : [];
+        if (sides.length === 0 || sides.some(side => !['call', 'put'].includes(side))) {
+            throw new Error(`Strategy ${strategyConfig.name} contract must map call and/or put to a contract`);
+        }
+
+        for (const side of sides) {
+            const spec = contract[side] || {};
+            try {
+                validateContract({
+                    ...spec,
+                    direction: spec.type,
+                    duration: spec.duration || (strategyConfig.parameters || {}).timeframe
+                });
+            } catch (error) {
+                throw new Error(`Strategy ${strategyConfig.name} ${side} contract: ${error.message}`);
+            }
+        }
+    }
+
+    // Rules decide call or put; the strategy's contract declaration says what is bought on that side
+    applyContract(strategy, signal) {
+        const side = String(signal.direction).toLowerCase();
+        const spec = strategy.contract && strategy.contract[side];
+
+        signal.side = side;
+        signal.direction = spec ? spec.type.toUpperCase() : side.toUpperCase();
+
+        if (spec) {
+            for (const field of CONTRACT_FIELDS) {
+                if (spec[field] !== undefined) signal[field] = spec[field];
+            }
+        }
+
+        return signal;
+    }
+
     // ================================
     // STRATEGY EXECUTION
     // ================================
@@ -270,30 +397,67 @@ class StrategyManager extends EventEmitter {
             .map(id => this.strategies.get(id))
             .filter(strategy => strategy && strategy.status === 'active');
 
+        const candidates = [];
         for (const strategy of activeStrategies) {
             try {
                 const signal = await this.evaluateStrategy(strategy);
-                if (signal && signal.confidence >= this.config.minConfidence) {
-                    await this.emitTradeSignal(signal);
+                if (signal && signal.confidence >= this.config.minConfidence && await this.screenSignal(signal)) {
+                    candidates.push(signal);
                 }
             } catch (error) {
                 console.error(`❌ Error evaluating strategy ${strategy.name}:`, error);
             }
         }
+
+        // Strategies firing on the same asset are settled by one ensemble vote
+        const arbiter = this.getComponent('arbiter');
+        const decisions = arbiter ? await arbiter.arbitrate(candidates) : candidates;
+
+        for (const decision of decisions) {
+            this.emit('trade_signal', decision);
+        }
+
+        return decisions;
     }
 
     async evaluateStrategy(strategy) {
         try {
             // Get current market data
-            const marketData = await this.getCurrentMarketData();
-            if (!marketData) return null;
+            const currentMarketData = await this.getCurrentMarketData();
+            if (!currentMarketData) return null;
+
+            const regimeDetector = this.getComponent('regimeDetector');
+            const assets = Object.keys(currentMarketData)
+                .filter(asset => !strategy.assets || strategy.assets.includes(asset))
+                .filter(asset => !regimeDetector || regimeDetector.isAllowed(strategy, asset));
+
+            // Every allowed asset is evaluated and the most confident signal kept, so the
+            // order of the market data does not decide which asset a strategy trades
+            let best = null;
+            for (const asset of assets) {
+                // Indicators run on candles at the strategy's declared timeframe
+                const marketData = this.getTimeframeMarketData(strategy, currentMarketData[asset]);
+
+                // Calculate indicators
+                const indicators = await this.calculateIndicators(strategy, marketData);
+
+                // Evaluate entry conditions
+                const signal = await this.evaluateEntryConditions(strategy, indicators, marketData);
+                if (signal && (!best || signal.confidence > best.signal.confidence)) {
+                    best = { signal, indicators, marketData };
+                }
+            }
 
-            // Calculate indicators
-            const indicators = await this.calculateIndicators(strategy, marketData);
+            if (!best) return null;
 
-            // Evaluate entry conditions
-            const signal = await this.evaluateEntryConditions(strategy, indicators, marketData);
+            const { signal, indicators, marketData } = best;
+            this.applyContract(strategy, signal);
 
+            // Inputs behind the decision, for the decision journal
+            signal.indicators = indicators;
+            signal.aiPrediction = indicators.AI_Prediction !== undefined ?
+                indicators.AI_Prediction : await this.getAIPrediction(marketData);
+            signal.market = { price: marketData.price, timeframe: marketData.timeframe || null };
             return signal;
 
         } catch (error) {
@@ -310,6 +474,25 @@ class StrategyManager extends EventEmitter {
         return await dataProcessor.getCurrentMarketData();
     }
 
+    getTimeframeMarketData(strategy, tickData) {
+        const timeframe = strategy.parameters && strategy.parameters.timeframe;
+        const dataProcessor = this.getComponent('dataProcessor');
+        if (!timeframe || !dataProcessor) return tickData;
+
+        const assetData = dataProcessor.getAssetData(tickData.asset, timeframe);
+        if (!assetData || assetData.candles.length === 0) return tickData;
+
+        const candles = assetData.candles;
+        return {
+            ...tickData,
+            timeframe: assetData.timeframe,
+            candles: candles,
+            prices: candles.map(candle => candle.close),
+            volume: candles[candles.length - 1].volume,
+            tickPrices: tickData.prices
+        };
+    }
+
     async calculateIndicators(strategy, marketData) {
         const indicators = {};
 
@@ -357,7 +540,7 @@ class StrategyManager extends EventEmitter {
                 return await this.getPatternScore(marketData);
             
             case 'Market_State':
-                return await this.getMarketState();
+                return await this.getMarketState(marketData.asset);
             
             default:
                 return marketData.price;
@@ -380,12 +563,21 @@ class StrategyManager extends EventEmitter {
         return Math.random() * 0.4 + 0.3; // 0.3 to 0.7
     }
 
-    async getMarketState() {
-        // Get current market state analysis
+    async getMarketState(asset) {
+        const regimeDetector = this.getComponent('regimeDetector');
+        const current = regimeDetector ? regimeDetector.getRegime(asset) : null;
+
+        if (!current) {
+            return { regime: null, trend: 'neutral', volatility: 'medium', momentum: 'neutral' };
+        }
+
         return {
-            trend: 'neutral',
-            volatility: 'medium',
-            momentum: 'neutral'
+            regime: current.regime,
+            trend: current.regime === 'trending' ? current.direction : 'neutral',
+            volatility: current.regime === 'high_volatility' ? 'high' : current.regime === 'ranging' ? 'low' : 'medium',
+            momentum: current.direction,
+            probabilities: current.probabilities,
+            since: current.since
         };
     }
 
@@ -415,6 +607,10 @@ class StrategyManager extends EventEmitter {
                     signal = this.evaluateAIRules(strategy, indicators, marketData);
                     break;
                 
+                case 'rules':
+                    signal = this.evaluateDSLRules(strategy, indicators, marketData);
+                    break;
+                
                 default:
                     signal = null;
             }
@@ -494,10 +690,13 @@ class StrategyManager extends EventEmitter {
     evaluateBreakoutRules(strategy, indicators, marketData) {
         const volume = indicators.Volume;
         const price = marketData.price;
-        const support = indicators.Support;
-        const resistance = indicators.Resistance;
 
-        if (!support || !resistance) return null;
+        // The range to break is the one before this tick: levels that include it can never be passed
+        const prior = (marketData.prices || []).slice(0, -1);
+        if (prior.length === 0) return null;
+
+        const support = this.findSupportLevel(prior);
+        const resistance = this.findResistanceLevel(prior);
 
         const volumeThreshold = strategy.parameters.volumeThreshold || 1.5;
 
@@ -534,9 +733,13 @@ class StrategyManager extends EventEmitter {
 
         if (!support || !resistance) return null;
 
-        // Boundary Breaker logic
-        const nearResistance = Math.abs(price - resistance) / resistance < 0.001;
-        const nearSupport = Math.abs(price - support) / support < 0.001;
+        // Boundary Breaker logic: only levels tested at least boundaryStrength times count
+        const prices = (marketData.prices || [price]).slice(-50);
+        const touches = (level) => prices.filter(p => Math.abs(p - level) / level < 0.001).length;
+        const minTouches = strategy.parameters.boundaryStrength || 1;
+
+        const nearResistance = Math.abs(price - resistance) / resistance < 0.001 && touches(resistance) >= minTouches;
+        const nearSupport = Math.abs(price - support) / support < 0.001 && touches(support) >= minTouches;
 
         if (nearResistance && momentum > 0 && rsi > 40 && rsi < 60) {
             return {
@@ -582,6 +785,101 @@ class StrategyManager extends EventEmitter {
         return null;
     }
 
+    evaluateDSLRules(strategy, indicators, marketData) {
+        const rules = this.getCompiledRules(strategy);
+        const prices = marketData.prices || [marketData.price];
+
+        const context = {
+            indicators: indicators,
+            parameters: strategy.parameters || {},
+            market: {
+                price: marketData.price,
+                bid: marketData.bid,
+                ask: marketData.ask,
+                spread: marketData.spread,
+                volume: marketData.volume,
+                momentum: this.calculateMomentum(prices)
+            }
+        };
+
+        let direction = null;
+        if (rules.call && rules.call(context)) {
+            direction = 'call';
+        } else if (rules.put && rules.put(context)) {
+            direction = 'put';
+        }
+
+        if (!direction) return null;
+
+        return {
+            direction: direction,
+            asset: marketData.asset,
+            confidence: strategy.confidence,
+            amount: this.calculateTradeAmount(strategy),
+            duration: strategy.parameters.timeframe
+        };
+    }
+
+    compileStrategyRules(strategyConfig) {
+        const entry = (strategyConfig.rules && strategyConfig.rules.entry) || {};
+        if (!entry.call && !entry.put) {
+            throw new Error(`Strategy ${strategyConfig.name} needs at least one of rules.entry.call / rules.entry.put`);
+        }
+
+        const scope = buildScope(strategyConfig);
+        const compiled = {};
+
+        for (const side of ['call', 'put']) {
+            if (!entry[side]) continue;
+
+            try {
+                compiled[side] = compileRule(entry[side], scope);
+            } catch (error) {
+                error.message = `Invalid ${side} rule for ${strategyConfig.name}: ${error.message}`;
+                error.side = side;
+                throw error;
+            }
+        }
+
+        return compiled;
+    }
+
+    getCompiledRules(strategy) {
+        // Strategies restored from disk are compiled on first use
+        if (!this.compiledRules.has(strategy.id)) {
+            this.compiledRules.set(strategy.id, this.compileStrategyRules(strategy));
+        }
+        return this.compiledRules.get(strategy.id);
+    }
+
+    validateStrategyRules(strategyConfig) {
+        // Reports every broken side with its position so editors can point at the exact token
+        const entry = (strategyConfig.rules && strategyConfig.rules.entry) || {};
+        const scope = buildScope(strategyConfig);
+        const errors = [];
+
+        if (!entry.call && !entry.put) {
+            errors.push({ side: null, message: 'At least one of rules.entry.call / rules.entry.put is required', position: null, column: null });
+        }
+
+        for (const side of ['call', 'put']) {
+            if (!entry[side]) continue;
+
+            try {
+                compileRule(entry[side], scope);
+            } catch (error) {
+                errors.push({
+                    side: side,
+                    message: error.reason || error.message,
+                    position: error.position !== undefined ? error.position : null,
+                    column: error.column !== undefined ? error.column : null
+                });
+            }
+        }
+
+        return { valid: errors.length === 0, errors };
+    }
+
     calculateTradeAmount(strategy) {
         // Calculate trade amount based on strategy performance and risk
         const baseAmount = parseFloat(process.env.MIN_TRADE_SIZE_DERIV) || 0.35;
@@ -601,20 +899,57 @@ class StrategyManager extends EventEmitter {
     }
 
     async emitTradeSignal(signal) {
+        if (await this.screenSignal(signal)) {
+            this.emit('trade_signal', signal);
+        }
+    }
+
+    // Journals the signal and runs the risk assessment; true when it may go on
+    async screenSignal(signal) {
         console.log(`📊 Trade signal generated: ${signal.direction} ${signal.asset} (${signal.strategy})`);
         
+        const journal = this.getComponent('journal');
+        if (journal) {
+            signal.id = signal.id || journal.generateSignalId();
+            await journal.record(signal.id, 'signal', {
+                strategy: signal.strategy,
+                strategyId: signal.strategyId,
+                asset: signal.asset,
+                direction: signal.direction,
+                amount: signal.amount,
+                duration: signal.duration,
+                durationUnit: signal.durationUnit,
+                barrier: signal.barrier,
+                barrier2: signal.barrier2,
+                multiplier: signal.multiplier,
+                stopLoss: signal.stopLoss,
+                takeProfit: signal.takeProfit,
+                confidence: signal.confidence,
+                market: signal.market,
+                indicators: signal.indicators,
+                aiPrediction: signal.aiPrediction
+            });
+        }
+        
         // Validate signal through risk manager
         const riskManager = this.getComponent('riskManager');
         if (riskManager) {
             const riskAssessment = await riskManager.assessSignalRisk(signal);
+            
+            if (journal) {
+                await journal.record(signal.id, 'signal_risk', riskAssessment);
+                if (!riskAssessment.approved) {
+                    await journal.record(signal.id, 'outcome', { status: 'rejected', reason: riskAssessment.reason });
+                }
+            }
+            
             if (!riskAssessment.approved) {
                 console.log(`🛡️ Signal rejected by risk manager: ${riskAssessment.reason}`);
-                return;
+                return false;
             }
         }
 
-        // Emit signal for execution
-        this.emit('trade_signal', signal);
+        return true;
     }
 
     // ================================
@@ -713,7 +1048,7 @@ class StrategyManager extends EventEmitter {
         }
     }
 
-    async retireStrategy(strategyId) {
+    async retireStrategy(strategyId, { replace = true } = {}) {
         const strategy = this.strategies.get(strategyId);
         if (!strategy) return;
 
@@ -733,7 +1068,7 @@ class StrategyManager extends EventEmitter {
         });
 
         // Trigger evolution to replace retired strategy
-        if (this.config.evolutionEnabled && this.activeStrategies.size < this.config.maxActiveStrategies) {
+        if (replace && this.config.evolutionEnabled && this.activeStrategies.size < this.config.maxActiveStrategies) {
             await this.evolveNewStrategy();
         }
     }
@@ -750,6 +1085,17 @@ class StrategyManager extends EventEmitter {
     }
 
     async runEvolutionCycle() {
+        // The evolution engine breeds whole generations and tests children offline first
+        const evolution = this.getComponent('evolution');
+        if (evolution) {
+            try {
+                return await evolution.runGeneration({ strategyManager: this });
+            } catch (error) {
+                console.error('❌ Error in evolution cycle:', error);
+                return null;
+            }
+        }
+        
         console.log('🧬 Running strategy evolution cycle...');
         
         try {
@@ -806,7 +1152,7 @@ class StrategyManager extends EventEmitter {
         
         const hybridConfig = {
             name: `Hybrid_${parent1.name.split('_')[0]}_${parent2.name.split('_')[0]}_${Date.now()}`,
-            type: 'hybrid',
+            type: parent1.type === 'rules' && parent2.type === 'rules' ? 'rules' : 'hybrid',
             description: `Hybrid of ${parent1.name} and ${parent2.name}`,
             parameters: this.mergeParameters(parent1.parameters, parent2.parameters),
             indicators: [...new Set([...parent1.indicators, ...parent2.indicators])],
@@ -867,8 +1213,11 @@ class StrategyManager extends EventEmitter {
     async mutateStrategy(strategy) {
         console.log(`🧬 Mutating strategy: ${strategy.name}`);
         
+        // Runtime fields (id, performance, lineage) belong to the parent only
+        const { id, created, lastModified, status, performance, evolution, ...template } = strategy;
+
         const mutatedConfig = {
-            ...strategy,
+            ...template,
             name: `${strategy.name}_M${strategy.evolution.mutations + 1}`,
             parameters: this.mutateParameters(strategy.parameters),
             confidence: this.mutateConfidence(strategy.confidence)
@@ -1062,6 +1411,41 @@ class StrategyManager extends EventEmitter {
         }
     }
 
+    // Writes a tuned parameter set back with where it came from, e.g. a walk-forward optimization run
+    async applyOptimizedParameters(strategyId, parameters, provenance = {}) {
+        const strategy = this.strategies.get(strategyId);
+        if (!strategy) {
+            throw new Error(`Strategy not found: ${strategyId}`);
+        }
+
+        const previousParameters = { ...strategy.parameters };
+        strategy.parameters = { ...strategy.parameters, ...parameters };
+        strategy.optimization = {
+            ...provenance,
+            previousParameters,
+            parameters: { ...parameters },
+            appliedAt: new Date()
+        };
+        strategy.evolution.evolutionHistory.push({
+            type: 'optimization',
+            method: provenance.method || null,
+            previousParameters,
+            parameters: { ...parameters },
+            timestamp: strategy.optimization.appliedAt
+        });
+        strategy.lastModified = new Date();
+
+        // Rules read parameters at evaluation time, but recompile in case the scope changed
+        this.compiledRules.delete(strategy.id);
+
+        await this.saveStrategies();
+
+        console.log(`🎯 Optimized parameters applied to ${strategy.name}: ${JSON.stringify(parameters)}`);
+        this.emit('strategy_optimized', { strategyId: strategy.id, name: strategy.name, parameters, previousParameters });
+
+        return strategy;
+    }
+
     startStrategyMonitoring() {
         console.log('📊 Starting strategy monitoring...');
         
@@ -0,0 +1,452 @@
+// ================================
+// BAYNEX.A.X STRATEGY RULES
+// Parser & evaluator for textual strategy entry rules
+// ================================
+//
+// Grammar (keywords are case-insensitive, && || ! are accepted as aliases):
+//
+//   expression := or
+//   or         := and ( OR and )*
+//   and        := not ( AND not )*
+//   not        := NOT not | comparison
+//   comparison := sum ( ( < | <= | > | >= | == | != ) sum )?
+//   sum        := product ( ( + | - ) product )*
+//   product    := unary ( ( * | / ) unary )*
+//   unary      := - unary | primary
+//   primary    := number | true | false | call | path | ( expression )
+//   call       := abs|min|max ( expression ( , expression )* )
+//   path       := identifier ( . identifier )*
+//
+// Example: 'RSI < oversold AND momentum > 0'
+// Identifiers resolve to indicators first, then strategy parameters, then market fields.
+
+const KEYWORDS = ['AND', 'OR', 'NOT', 'TRUE', 'FALSE'];
+const FUNCTIONS = {
+    abs: { arity: [1, 1], fn: Math.abs },
+    min: { arity: [2, Infinity], fn: Math.min },
+    max: { arity: [2, Infinity], fn: Math.max }
+};
+const MARKET_FIELDS = ['price', 'bid', 'ask', 'spread', 'volume', 'momentum'];
+
+class RuleSyntaxError extends Error {
+    constructor(message, source, position) {
+        const column = position + 1;
+        super(`${message} at column ${column}\n  ${source}\n  ${' '.repeat(position)}^`);
+        this.name = 'RuleSyntaxError';
+        this.reason = message;
+        this.source = source;
+        this.position = position;
+        this.column = column;
+    }
+}
+
+// ================================
+// TOKENIZER
+// ================================
+function tokenize(source) {
+    const tokens = [];
+    let i = 0;
+
+    while (i < source.length) {
+        const char = source[i];
+
+        if (/\s/.test(char)) {
+            i++;
+            continue;
+        }
+
+        if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(source[i + 1]))) {
+            const match = /^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i.exec(source.slice(i));
+            tokens.push({ type: 'number', value: parseFloat(match[0]), position: i });
+            i += match[0].length;
+            continue;
+        }
+
+        if (/[A-Za-z_]/.test(char)) {
+            const match = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(i));
+            const upper = match[0].toUpperCase();
+            if (KEYWORDS.includes(upper)) {
+                tokens.push({ type: 'keyword', value: upper, position: i });
+            } else {
+                tokens.push({ type: 'identifier', value: match[0], position: i });
+            }
+            i += match[0].length;
+            continue;
+        }
+
+        const twoChar = source.slice(i, i + 2);
+        if (['<=', '>=', '==', '!='].includes(twoChar)) {
+            tokens.push({ type: 'operator', value: twoChar, position: i });
+            i += 2;
+            continue;
+        }
+        if (twoChar === '&&' || twoChar === '||') {
+            tokens.push({ type: 'keyword', value: twoChar === '&&' ? 'AND' : 'OR', position: i });
+            i += 2;
+            continue;
+        }
+        if (char === '!') {
+            tokens.push({ type: 'keyword', value: 'NOT', position: i });
+            i++;
+            continue;
+        }
+        if (char === '=') {
+            throw new RuleSyntaxError("Unexpected '=' (use '==' to compare)", source, i);
+        }
+
+        if ('<>+-*/(),.'.includes(char)) {
+            tokens.push({ type: 'operator', value: char, position: i });
+            i++;
+            continue;
+        }
+
+        throw new RuleSyntaxError(`Unexpected character '${char}'`, source, i);
+    }
+
+    tokens.push({ type: 'end', value: null, position: source.length });
+    return tokens;
+}
+
+// ================================
+// PARSER
+// ================================
+class RuleParser {
+    constructor(source, scope = null) {
+        this.source = source;
+        this.scope = scope;
+        this.tokens = tokenize(source);
+        this.index = 0;
+    }
+
+    parse() {
+        if (this.peek().type === 'end') {
+            throw new RuleSyntaxError('Empty rule', this.source, 0);
+        }
+
+        const ast = this.parseOr();
+
+        if (this.peek().type !== 'end') {
+            throw this.error(`Unexpected ${this.describe(this.peek())}`, this.peek());
+        }
+
+        return ast;
+    }
+
+    parseOr() {
+        let left = this.parseAnd();
+        while (this.matchKeyword('OR')) {
+            left = { type: 'logical', operator: 'OR', left, right: this.parseAnd() };
+        }
+        return left;
+    }
+
+    parseAnd() {
+        let left = this.parseNot();
+        while (this.matchKeyword('AND')) {
+            left = { type: 'logical', operator: 'AND', left, right: this.parseNot() };
+        }
+        return left;
+    }
+
+    parseNot() {
+        if (this.matchKeyword('NOT')) {
+            return { type: 'not', operand: this.parseNot() };
+        }
+        return this.parseComparison();
+    }
+
+    parseComparison() {
+        const left = this.parseSum();
+        const token = this.peek();
+
+        if (token.type === 'operator' && ['<', '<=', '>', '>=', '==', '!='].includes(token.value)) {
+            this.index++;
+            const right = this.parseSum();
+            const next = this.peek();
+            if (next.type === 'operator' && ['<', '<=', '>', '>=', '==', '!='].includes(next.value)) {
+                throw this.error('Chained comparisons are not supported (combine them with AND)', next);
+            }
+            return { type: 'compare', operator: token.value, left, right, position: token.position };
+        }
+
+        return left;
+    }
+
+    parseSum() {
+        let left = this.parseProduct();
+        while (this.peekOperator('+') || this.peekOperator('-')) {
+            const operator = this.next().value;
+            left = { type: 'arithmetic', operator, left, right: this.parseProduct() };
+        }
+        return left;
+    }
+
+    parseProduct() {
+        let left = this.parseUnary();
+        while (this.peekOperator('*') || this.peekOperator('/')) {
+            const operator = this.next().value;
+            left = { type: 'arithmetic', operator, left, right: this.parseUnary() };
+        }
+        return left;
+    }
+
+    parseUnary() {
+        if (this.peekOperator('-')) {
+            this.next();
+            return { type: 'negate', operand: this.parseUnary() };
+        }
+        return this.parsePrimary();
+    }
+
+    parsePrimary() {
+        const token = this.next();
+
+        if (token.type === 'number') {
+            return { type: 'literal', value: token.value };
+        }
+
+        if (token.type === 'keyword' && (token.value === 'TRUE' || token.value === 'FALSE')) {
+            return { type: 'literal', value: token.value === 'TRUE' };
+        }
+
+        if (token.type === 'operator' && token.value === '(') {
+            const expression = this.parseOr();
+            this.expectOperator(')', token);
+            return expression;
+        }
+
+        if (token.type === 'identifier') {
+            if (this.peekOperator('(')) {
+                return this.parseCall(token);
+            }
+            return this.parsePath(token);
+        }
+
+        if (token.type === 'end') {
+            throw this.error('Unexpected end of rule, expected a value', token);
+        }
+
+        throw this.error(`Unexpected ${this.describe(token)}, expected a value`, token);
+    }
+
+    parseCall(nameToken) {
+        const name = nameToken.value.toLowerCase();
+        const definition = FUNCTIONS[name];
+        if (!definition) {
+            throw this.error(`Unknown function '${nameToken.value}'`, nameToken);
+        }
+
+        const open = this.next();
+        const args = [];
+        if (!this.peekOperator(')')) {
+            args.push(this.parseOr());
+            while (this.peekOperator(',')) {
+                this.next();
+                args.push(this.parseOr());
+            }
+        }
+        this.expectOperator(')', open);
+
+        const [minArgs, maxArgs] = definition.arity;
+        if (args.length < minArgs || args.length > maxArgs) {
+            throw this.error(`${name}() expects ${minArgs === maxArgs ? minArgs : `at least ${minArgs}`} argument(s), got ${args.length}`, nameToken);
+        }
+
+        return { type: 'call', name, args };
+    }
+
+    parsePath(rootToken) {
+        const segments = [rootToken.value];
+
+        while (this.peekOperator('.')) {
+            this.next();
+            const segment = this.next();
+            if (segment.type !== 'identifier') {
+                throw this.error(`Expected a field name after '.', got ${this.describe(segment)}`, segment);
+            }
+            segments.push(segment.value);
+        }
+
+        if (this.scope && !this.scope.has(rootToken.value)) {
+            throw this.error(`Unknown identifier '${rootToken.value}'`, rootToken);
+        }
+
+        return { type: 'path', segments, position: rootToken.position };
+    }
+
+    // Token helpers
+    peek() {
+        return this.tokens[this.index];
+    }
+
+    next() {
+        return this.tokens[this.index++];
+    }
+
+    peekOperator(value) {
+        const token = this.peek();
+        return token.type === 'operator' && token.value === value;
+    }
+
+    matchKeyword(value) {
+        const token = this.peek();
+        if (token.type === 'keyword' && token.value === value) {
+            this.index++;
+            return true;
+        }
+        return false;
+    }
+
+    expectOperator(value, openToken) {
+        const token = this.peek();
+        if (token.type === 'operator' && token.value === value) {
+            this.index++;
+            return token;
+        }
+        if (token.type === 'end') {
+            throw this.error(`Missing '${value}' to close '${openToken.value}' opened at column ${openToken.position + 1}`, token);
+        }
+        throw this.error(`Expected '${value}' but found ${this.describe(token)}`, token);
+    }
+
+    describe(token) {
+        if (token.type === 'end') return 'end of rule';
+        return `${token.type} '${token.value}'`;
+    }
+
+    error(message, token) {
+        return new RuleSyntaxError(message, this.source, token.position);
+    }
+}
+
+// ================================
+// EVALUATOR
+// ================================
+function evaluate(node, context) {
+    switch (node.type) {
+        case 'literal':
+            return node.value;
+
+        case 'path':
+            return resolvePath(node.segments, context);
+
+        case 'not':
+            return !toBoolean(evaluate(node.operand, context));
+
+        case 'logical': {
+            const left = toBoolean(evaluate(node.left, context));
+            if (node.operator === 'AND') return left && toBoolean(evaluate(node.right, context));
+            return left || toBoolean(evaluate(node.right, context));
+        }
+
+        case 'compare': {
+            const left = toNumber(evaluate(node.left, context));
+            const right = toNumber(evaluate(node.right, context));
+            // Missing indicator values never satisfy a condition
+            if (left === null || right === null) return false;
+
+            switch (node.operator) {
+                case '<': return left < right;
+                case '<=': return left <= right;
+                case '>': return left > right;
+                case '>=': return left >= right;
+                case '==': return left === right;
+                case '!=': return left !== right;
+            }
+            return false;
+        }
+
+        case 'arithmetic': {
+            const left = toNumber(evaluate(node.left, context));
+            const right = toNumber(evaluate(node.right, context));
+            if (left === null || right === null) return null;
+
+            switch (node.operator) {
+                case '+': return left + right;
+                case '-': return left - right;
+                case '*': return left * right;
+                case '/': return right === 0 ? null : left / right;
+            }
+            return null;
+        }
+
+        case 'negate': {
+            const value = toNumber(evaluate(node.operand, context));
+            return value === null ? null : -value;
+        }
+
+        case 'call': {
+            const args = node.args.map(arg => toNumber(evaluate(arg, context)));
+            if (args.some(arg => arg === null)) return null;
+            return FUNCTIONS[node.name].fn(...args);
+        }
+
+        default:
+            throw new Error(`Unknown rule node: ${node.type}`);
+    }
+}
+
+function resolvePath(segments, context) {
+    let value = lookup(segments[0], context);
+
+    for (let i = 1; i < segments.length; i++) {
+        if (value === null || value === undefined || typeof value !== 'object') return null;
+        value = value[segments[i]];
+    }
+
+    return value === undefined ? null : value;
+}
+
+function lookup(name, context) {
+    for (const source of [context.indicators, context.parameters, context.market]) {
+        if (source && Object.prototype.hasOwnProperty.call(source, name)) {
+            return source[name];
+        }
+    }
+    return null;
+}
+
+function toNumber(value) {
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (typeof value === 'number' && !isNaN(value)) return value;
+    return null;
+}
+
+function toBoolean(value) {
+    if (typeof value === 'number') return value !== 0 && !isNaN(value);
+    return value === true;
+}
+
+// ================================
+// PUBLIC API
+// ================================
+function parseRule(source, scope = null) {
+    if (typeof source !== 'string') {
+        throw new RuleSyntaxError('Rule must be a string', String(source), 0);
+    }
+    return new RuleParser(source, scope).parse();
+}
+
+function compileRule(source, scope = null) {
+    const ast = parseRule(source, scope);
+    const rule = (context) => toBoolean(evaluate(ast, context));
+    rule.source = source;
+    rule.ast = ast;
+    return rule;
+}
+
+function buildScope(strategy) {
+    return new Set([
+        ...(strategy.indicators || []),
+        ...Object.keys(strategy.parameters || {}),
+        ...MARKET_FIELDS
+    ]);
+}
+
+module.exports = {
+    RuleSyntaxError,
+    parseRule,
+    compileRule,
+    buildScope,
+    MARKET_FIELDS
+};
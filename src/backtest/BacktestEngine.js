@@ -0,0 +1,462 @@
+// ================================
+// BAYNEX.A.X BACKTEST ENGINE
+// Historical Strategy Replay & Binary Settlement Simulation
+// ================================
+
+const EventEmitter = require('events');
+const fs = require('fs').promises;
+
+// A backtest that cannot run as asked, as opposed to one that failed
+class BacktestError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BacktestError';
+    }
+}
+
+class BacktestEngine extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        const { createRiskManager, ...overrides } = options;
+        this.dependencies = ['strategyManager', 'riskManager', 'database'];
+        this.isRunning = false;
+        this.lastReport = null;
+
+        this.config = {
+            payout: parseFloat(process.env.BACKTEST_PAYOUT) || 0.85,
+            startingBalance: parseFloat(process.env.BACKTEST_STARTING_BALANCE) || 1000,
+            defaultDuration: 300, // seconds, same default as BayneXCore
+            signalInterval: 5000, // StrategyManager generates signals every 5 seconds
+            historyWindow: 1000, // same window DataProcessor keeps in rawData
+            warmupPeriod: 50,
+            historyLimit: 10000,
+            ...overrides
+        };
+
+        // Risk managers are created per strategy run so simulated trades never touch live risk state
+        this.createRiskManager = createRiskManager || (() => {
+            const RiskManager = require('../risk/RiskManagers');
+            return new RiskManager();
+        });
+    }
+
+    async initialize() {
+        console.log('🧪 Initializing Backtest Engine...');
+        console.log(`🧪 Payout: ${(this.config.payout * 100).toFixed(0)}% | Starting balance: $${this.config.startingBalance}`);
+        return true;
+    }
+
+    // ================================
+    // DATA LOADING
+    // ================================
+    async loadHistoricalData(asset, limit = this.config.historyLimit) {
+        const database = this.getComponent('database');
+        if (!database) {
+            throw new Error('Database not available for historical data');
+        }
+
+        const rows = await database.getHistoricalData(asset, limit);
+
+        // getHistoricalData returns newest first; replay needs chronological order
+        return this.normalizeRows(rows.slice().reverse());
+    }
+
+    async loadCSV(filePath) {
+        const content = await fs.readFile(filePath, 'utf8');
+        return this.parseCSV(content);
+    }
+
+    parseCSV(content) {
+        const lines = content.split(/\r?\n/).filter(line => line.trim() !== '');
+        if (lines.length < 2) {
+            throw new Error('CSV must contain a header row and at least one data row');
+        }
+
+        const headers = lines[0].split(',').map(h => h.trim().toLowerCase());
+        const priceColumn = ['price', 'quote', 'close'].find(name => headers.includes(name));
+
+        if (!headers.includes('timestamp') || !priceColumn) {
+            throw new Error('CSV header must include timestamp and price (or quote/close) columns');
+        }
+
+        const rows = lines.slice(1).map((line, index) => {
+            const values = line.split(',').map(v => v.trim());
+            const row = {};
+            headers.forEach((header, i) => {
+                row[header] = values[i];
+            });
+
+            const price = parseFloat(row[priceColumn]);
+            if (!Number.isFinite(price) || price <= 0) {
+                throw new Error(`Invalid price on CSV line ${index + 2}: ${row[priceColumn]}`);
+            }
+
+            return {
+                price: price,
+                bid: row.bid !== undefined ? parseFloat(row.bid) : price,
+                ask: row.ask !== undefined ? parseFloat(row.ask) : price,
+                volume: row.volume !== undefined ? parseFloat(row.volume) || 0 : 0,
+                timestamp: this.parseTimestamp(row.timestamp, index + 2)
+            };
+        });
+
+        return this.normalizeRows(rows);
+    }
+
+    parseTimestamp(value, lineNumber) {
+        if (/^\d+(\.\d+)?$/.test(value)) {
+            const numeric = parseFloat(value);
+            // Epoch seconds (Deriv style) vs epoch milliseconds
+            return new Date(numeric < 1e12 ? numeric * 1000 : numeric);
+        }
+
+        const date = new Date(value);
+        if (isNaN(date.getTime())) {
+            throw new Error(`Invalid timestamp on CSV line ${lineNumber}: ${value}`);
+        }
+        return date;
+    }
+
+    normalizeRows(rows) {
+        return rows
+            .map(row => ({
+                price: row.price,
+                bid: row.bid || row.price,
+                ask: row.ask || row.price,
+                volume: row.volume || 0,
+                spread: row.spread || 0,
+                timestamp: row.timestamp instanceof Date ? row.timestamp : new Date(row.timestamp)
+            }))
+            .sort((a, b) => a.timestamp - b.timestamp);
+    }
+
+    // ================================
+    // BACKTEST EXECUTION
+    // ================================
+    async runBacktest(options = {}) {
+        if (this.isRunning) {
+            throw new Error('A backtest is already running');
+        }
+
+        const strategyManager = options.strategyManager || this.getComponent('strategyManager');
+        if (!strategyManager) {
+            throw new Error('Strategy Manager not available for backtesting');
+        }
+
+        const asset = options.asset || 'R_10';
+        const payout = options.payout !== undefined ? options.payout : this.config.payout;
+        this.validateOptions(options, payout);
+
+        this.isRunning = true;
+
+        try {
+            let data = options.data;
+            if (!data && options.csvPath) {
+                data = await this.loadCSV(options.csvPath);
+            } else if (!data) {
+                data = await this.loadHistoricalData(asset, options.limit);
+            } else {
+                data = this.normalizeRows(data);
+            }
+
+            if (data.length <= this.config.warmupPeriod) {
+                throw new BacktestError(`Not enough historical data for ${asset}: ${data.length} rows (need more than ${this.config.warmupPeriod})`);
+            }
+
+            const strategies = this.selectStrategies(strategyManager, options.strategies);
+            if (strategies.length === 0) {
+                throw new BacktestError(options.strategies && options.strategies.length > 0 ?
+                    `No strategy matches ${options.strategies.join(', ')}` : 'No active strategies to backtest');
+            }
+
+            console.log(`🧪 Backtesting ${strategies.length} strategies on ${asset} (${data.length} rows, payout ${(payout * 100).toFixed(0)}%)`);
+            this.emit('backtest_started', { asset, rows: data.length, strategies: strategies.map(s => s.name) });
+
+            const results = [];
+            for (const strategy of strategies) {
+                const result = await this.backtestStrategy(strategyManager, strategy, asset, data, {
+                    payout,
+                    startingBalance: options.startingBalance || this.config.startingBalance,
+                    duration: options.duration
+                });
+                results.push(result);
+
+                this.emit('strategy_backtested', result);
+            }
+
+            const report = {
+                asset: asset,
+                payout: payout,
+                rows: data.length,
+                from: data[0].timestamp,
+                to: data[data.length - 1].timestamp,
+                generatedAt: new Date(),
+                strategies: results
+            };
+
+            this.lastReport = report;
+            this.emit('backtest_complete', report);
+
+            console.log('✅ Backtest complete');
+            for (const result of results) {
+                console.log(`   📊 ${result.name}: ${result.trades} trades, win rate ${(result.winRate * 100).toFixed(1)}%, net $${result.netProfit.toFixed(2)}, max DD $${result.maxDrawdown.toFixed(2)}`);
+            }
+
+            return report;
+
+        } catch (error) {
+            console.error('❌ Backtest failed:', error);
+            throw error;
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    validateOptions(options, payout) {
+        if (typeof options.asset !== 'undefined' && (typeof options.asset !== 'string' || options.asset === '')) {
+            throw new BacktestError('Asset must be a symbol such as R_10');
+        }
+        if (typeof options.strategies !== 'undefined' && !Array.isArray(options.strategies)) {
+            throw new BacktestError('Strategies must be a list of strategy ids or names');
+        }
+        if (!Number.isFinite(payout) || payout <= 0) {
+            throw new BacktestError(`Payout must be a positive ratio, got ${payout}`);
+        }
+        for (const key of ['limit', 'duration']) {
+            const value = options[key];
+            if (value !== undefined && (!Number.isInteger(value) || value <= 0)) {
+                throw new BacktestError(`${key} must be a positive whole number, got ${value}`);
+            }
+        }
+    }
+
+    selectStrategies(strategyManager, filter) {
+        const all = strategyManager.getAllStrategies();
+
+        if (!filter || filter.length === 0) {
+            return all.filter(strategy => strategy.status === 'active');
+        }
+
+        return all.filter(strategy => filter.includes(strategy.id) || filter.includes(strategy.name));
+    }
+
+    async backtestStrategy(strategyManager, strategy, asset, data, options) {
+        const riskManager = this.createRiskManager();
+        riskManager.accountStats.currentBalance = options.startingBalance;
+        riskManager.accountStats.peakBalance = options.startingBalance;
+
+        const state = {
+            balance: options.startingBalance,
+            peakBalance: options.startingBalance,
+            maxDrawdown: 0,
+            maxDrawdownPercent: 0,
+            openTrades: [],
+            closedTrades: [],
+            rejections: {},
+            signals: 0,
+            equityCurve: [{ timestamp: data[this.config.warmupPeriod].timestamp, balance: options.startingBalance }]
+        };
+
+        let lastEvaluation = 0;
+
+        for (let i = this.config.warmupPeriod; i < data.length; i++) {
+            const row = data[i];
+            const now = row.timestamp.getTime();
+
+            // Settle anything that expired at or before this tick
+            this.settleExpiredTrades(state, riskManager, row, options.payout);
+
+            if (now - lastEvaluation < this.config.signalInterval) continue;
+            lastEvaluation = now;
+
+            const marketData = this.buildMarketData(asset, data, i);
+            const indicators = await strategyManager.calculateIndicators(strategy, marketData);
+            const signal = await strategyManager.evaluateEntryConditions(strategy, indicators, marketData);
+
+            if (!signal || signal.confidence < strategyManager.config.minConfidence) continue;
+
+            state.signals++;
+            await this.openSimulatedTrade(state, riskManager, strategy, signal, row, options);
+        }
+
+        // Contracts still open at the end of the data have no known outcome
+        const unsettled = state.openTrades.length;
+        for (const trade of state.openTrades) {
+            riskManager.activeTrades.delete(trade.id);
+        }
+
+        return this.buildStrategyReport(strategy, state, unsettled);
+    }
+
+    buildMarketData(asset, data, index) {
+        const window = data.slice(Math.max(0, index - this.config.historyWindow + 1), index + 1);
+        const latest = data[index];
+
+        return {
+            asset: asset,
+            price: latest.price,
+            bid: latest.bid,
+            ask: latest.ask,
+            volume: latest.volume,
+            spread: latest.spread,
+            timestamp: latest.timestamp,
+            prices: window.map(d => d.price),
+            recentPrices: window.slice(-50).map(d => d.price)
+        };
+    }
+
+    async openSimulatedTrade(state, riskManager, strategy, signal, row, options) {
+        const tradeParams = {
+            asset: signal.asset,
+            direction: signal.direction,
+            amount: signal.amount,
+            strategy: {
+                name: strategy.name,
+                performance: { winRate: this.getSimulatedWinRate(state) }
+            }
+        };
+
+        const approval = await riskManager.validateTrade(tradeParams);
+        if (!approval.approved) {
+            state.rejections[approval.reason] = (state.rejections[approval.reason] || 0) + 1;
+            return null;
+        }
+
+        const amount = approval.recommendedAmount || signal.amount;
+        const duration = options.duration || signal.duration || this.config.defaultDuration;
+
+        const trade = {
+            id: `BT_${strategy.id}_${state.closedTrades.length + state.openTrades.length + 1}`,
+            strategyId: strategy.id,
+            asset: signal.asset,
+            direction: signal.direction.toLowerCase(),
+            amount: amount,
+            entryPrice: row.price,
+            entryTime: row.timestamp,
+            expiryTime: new Date(row.timestamp.getTime() + duration * 1000),
+            confidence: signal.confidence
+        };
+
+        state.openTrades.push(trade);
+        riskManager.recordTradeStart(trade);
+
+        return trade;
+    }
+
+    settleExpiredTrades(state, riskManager, row, payout) {
+        const stillOpen = [];
+
+        for (const trade of state.openTrades) {
+            if (row.timestamp < trade.expiryTime) {
+                stillOpen.push(trade);
+                continue;
+            }
+
+            trade.exitPrice = row.price;
+            trade.exitTime = row.timestamp;
+            trade.result = this.determineOutcome(trade);
+            trade.profit = trade.result === 'win' ? trade.amount * payout : -trade.amount;
+
+            state.balance += trade.profit;
+            state.closedTrades.push(trade);
+
+            riskManager.recordTradeEnd(trade);
+            this.updateDrawdown(state);
+
+            state.equityCurve.push({ timestamp: row.timestamp, balance: state.balance });
+        }
+
+        state.openTrades = stillOpen;
+    }
+
+    determineOutcome(trade) {
+        // Rise/fall contracts pay only on a strict move; an unchanged exit spot loses the stake
+        if (trade.direction === 'call') {
+            return trade.exitPrice > trade.entryPrice ? 'win' : 'loss';
+        }
+        return trade.exitPrice < trade.entryPrice ? 'win' : 'loss';
+    }
+
+    updateDrawdown(state) {
+        if (state.balance > state.peakBalance) {
+            state.peakBalance = state.balance;
+        }
+
+        const drawdown = state.peakBalance - state.balance;
+        if (drawdown > state.maxDrawdown) {
+            state.maxDrawdown = drawdown;
+            state.maxDrawdownPercent = state.peakBalance > 0 ? drawdown / state.peakBalance : 0;
+        }
+    }
+
+    getSimulatedWinRate(state) {
+        if (state.closedTrades.length === 0) return 0.5;
+        return state.closedTrades.filter(t => t.result === 'win').length / state.closedTrades.length;
+    }
+
+    // ================================
+    // REPORTING
+    // ================================
+    buildStrategyReport(strategy, state, unsettled) {
+        const trades = state.closedTrades;
+        const wins = trades.filter(t => t.result === 'win');
+        const grossProfit = wins.reduce((sum, t) => sum + t.profit, 0);
+        const grossLoss = Math.abs(trades.filter(t => t.result === 'loss').reduce((sum, t) => sum + t.profit, 0));
+        const netProfit = grossProfit - grossLoss;
+
+        return {
+            strategyId: strategy.id,
+            name: strategy.name,
+            type: strategy.type,
+            signals: state.signals,
+            trades: trades.length,
+            wins: wins.length,
+            losses: trades.length - wins.length,
+            winRate: trades.length > 0 ? wins.length / trades.length : 0,
+            grossProfit: grossProfit,
+            grossLoss: grossLoss,
+            netProfit: netProfit,
+            profitFactor: grossLoss > 0 ? grossProfit / grossLoss : 0,
+            expectancy: trades.length > 0 ? netProfit / trades.length : 0,
+            maxDrawdown: state.maxDrawdown,
+            maxDrawdownPercent: state.maxDrawdownPercent,
+            finalBalance: state.balance,
+            unsettledTrades: unsettled,
+            rejectedSignals: Object.values(state.rejections).reduce((sum, count) => sum + count, 0),
+            rejectionReasons: state.rejections,
+            equityCurve: state.equityCurve,
+            tradeLog: trades.map(t => ({
+                id: t.id,
+                direction: t.direction,
+                amount: t.amount,
+                entryPrice: t.entryPrice,
+                exitPrice: t.exitPrice,
+                entryTime: t.entryTime,
+                exitTime: t.exitTime,
+                result: t.result,
+                profit: t.profit
+            }))
+        };
+    }
+
+    getLastReport() {
+        return this.lastReport;
+    }
+
+    healthCheck() {
+        return {
+            status: this.isRunning ? 'running' : 'idle',
+            payout: this.config.payout,
+            lastRun: this.lastReport ? this.lastReport.generatedAt : null
+        };
+    }
+
+    // Method to receive component references
+    getComponent(name) {
+        // This will be set by the integration layer
+        return null;
+    }
+}
+
+module.exports = BacktestEngine;
+module.exports.BacktestError = BacktestError;
@@ -0,0 +1,572 @@
+// ================================
+// BAYNEX.A.X PARAMETER OPTIMIZER
+// Walk-Forward Search over Declared Strategy Parameter Ranges
+// ================================
+//
+// Strategies declare what may be tuned as parameterRanges { name: { min, max, step } }.
+// The stored history is cut into rolling windows; each in-sample slice is searched
+// (grid, random or Bayesian) and the winner is replayed on the out-of-sample slice
+// that follows it. Only those unseen slices decide whether a new set replaces the
+// current one, so a parameter set that merely fits its own history is not written back.
+
+const EventEmitter = require('events');
+const BacktestEngine = require('./BacktestEngine');
+
+const METHODS = ['grid', 'random', 'bayesian'];
+
+// Runs the request itself rules out, e.g. an unknown strategy or too little history
+class OptimizerError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'OptimizerError';
+    }
+}
+
+class ParameterOptimizer extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        const { backtest, random, ...overrides } = options;
+        this.dependencies = ['strategyManager', 'database'];
+        this.isRunning = false;
+        this.lastReport = null;
+        this.scheduleTimer = null;
+
+        this.config = {
+            method: process.env.OPTIMIZER_METHOD || 'bayesian',
+            evaluations: parseInt(process.env.OPTIMIZER_EVALUATIONS) || 30,
+            windows: parseInt(process.env.OPTIMIZER_WINDOWS) || 4,
+            inSampleRatio: parseFloat(process.env.OPTIMIZER_IN_SAMPLE_RATIO) || 3, // in-sample rows per out-of-sample row
+            minTrades: parseInt(process.env.OPTIMIZER_MIN_TRADES) || 5,
+            drawdownWeight: parseFloat(process.env.OPTIMIZER_DRAWDOWN_WEIGHT) || 1,
+            scheduleHours: parseFloat(process.env.OPTIMIZER_SCHEDULE_HOURS) || 0, // 0 = on demand only
+            maxGridSize: 1000,
+            initialSamples: 5, // random points before the surrogate model takes over
+            candidatePool: 200,
+            lengthScale: 0.25,
+            noise: 0.05,
+            ...overrides
+        };
+
+        this.random = random || Math.random;
+
+        // Replays go through the backtester so optimized and reported results match
+        this.backtest = backtest || new BacktestEngine();
+        if (!backtest) {
+            this.backtest.getComponent = (name) => this.getComponent(name);
+        }
+    }
+
+    async initialize() {
+        console.log('🎯 Initializing Parameter Optimizer...');
+        console.log(`🎯 Method: ${this.config.method} | ${this.config.evaluations} evaluations | ${this.config.windows} walk-forward windows`);
+
+        if (!METHODS.includes(this.config.method)) {
+            throw new Error(`Unknown optimization method: ${this.config.method}`);
+        }
+
+        return true;
+    }
+
+    // ================================
+    // OPTIMIZATION RUN
+    // ================================
+    async optimizeStrategy(strategyId, options = {}) {
+        if (this.isRunning) {
+            throw new Error('An optimization is already running');
+        }
+
+        const strategyManager = options.strategyManager || this.getComponent('strategyManager');
+        if (!strategyManager) {
+            throw new Error('Strategy Manager not available for optimization');
+        }
+
+        const strategy = strategyManager.strategies.get(strategyId) ||
+            strategyManager.getAllStrategies().find(s => s.name === strategyId);
+        if (!strategy) {
+            throw new OptimizerError(`Strategy not found: ${strategyId}`);
+        }
+
+        const ranges = this.validateRanges(strategy, options.ranges || strategy.parameterRanges);
+        const method = options.method || this.config.method;
+        if (!METHODS.includes(method)) {
+            throw new OptimizerError(`Unknown optimization method: ${method}`);
+        }
+        if (options.limit !== undefined && (!Number.isInteger(options.limit) || options.limit <= 0)) {
+            throw new OptimizerError(`History limit must be a positive whole number of rows, got ${options.limit}`);
+        }
+
+        const asset = options.asset || 'R_10';
+        const evaluations = options.evaluations || this.config.evaluations;
+
+        this.isRunning = true;
+
+        try {
+            const data = options.data
+                ? this.backtest.normalizeRows(options.data)
+                : await this.backtest.loadHistoricalData(asset, options.limit);
+
+            const folds = this.buildWindows(data.length, options.windows || this.config.windows);
+            const run = { strategyManager, strategy, asset, ranges, method, evaluations, payout: options.payout };
+            const baselineParameters = this.current(strategy.parameters, ranges);
+
+            console.log(`🎯 Optimizing ${strategy.name} on ${asset}: ${method} search, ${folds.length} walk-forward windows over ${data.length} rows`);
+            this.emit('optimization_started', { strategyId: strategy.id, name: strategy.name, asset, method, rows: data.length });
+
+            const windows = [];
+            for (const fold of folds) {
+                const inSample = data.slice(fold.inSample[0], fold.inSample[1]);
+                const outOfSample = data.slice(fold.outOfSample[0], fold.outOfSample[1]);
+
+                const search = await this.search(run, inSample, baselineParameters);
+                const tested = await this.evaluate(run, search.best.parameters, outOfSample);
+                const baseline = await this.evaluate(run, baselineParameters, outOfSample);
+
+                const window = {
+                    inSample: this.describeSlice(inSample),
+                    outOfSample: this.describeSlice(outOfSample),
+                    parameters: search.best.parameters,
+                    inSampleScore: search.best.score,
+                    outOfSampleScore: tested.score,
+                    result: tested.summary,
+                    baseline: baseline.summary
+                };
+                windows.push(window);
+
+                this.emit('optimization_window', { strategyId: strategy.id, index: windows.length - 1, ...window });
+            }
+
+            const outOfSample = this.aggregate(windows.map(w => w.result));
+            const baseline = this.aggregate(windows.map(w => w.baseline));
+
+            // The set to deploy comes from the most recent history, searched the same way
+            const latest = data.slice(Math.max(0, data.length - folds.inSampleRows - this.backtest.config.warmupPeriod));
+            const final = await this.search(run, latest, baselineParameters);
+
+            const decision = this.decide(outOfSample, baseline);
+            const report = {
+                strategyId: strategy.id,
+                name: strategy.name,
+                asset,
+                method,
+                evaluations,
+                data: { rows: data.length, from: data[0].timestamp, to: data[data.length - 1].timestamp },
+                windows,
+                outOfSample,
+                baseline,
+                parameters: final.best.parameters,
+                previousParameters: baselineParameters,
+                accepted: decision.accepted,
+                reason: decision.reason,
+                generatedAt: new Date()
+            };
+
+            if (report.accepted && options.apply !== false) {
+                await strategyManager.applyOptimizedParameters(strategy.id, report.parameters, {
+                    source: 'walk_forward_optimizer',
+                    method,
+                    evaluations,
+                    asset,
+                    data: report.data,
+                    windows: windows.map(w => ({
+                        inSample: w.inSample,
+                        outOfSample: w.outOfSample,
+                        parameters: w.parameters,
+                        outOfSampleScore: w.outOfSampleScore
+                    })),
+                    outOfSample,
+                    baseline,
+                    optimizedAt: report.generatedAt
+                });
+            }
+
+            this.lastReport = report;
+            this.emit('optimization_complete', report);
+
+            console.log(`${report.accepted ? '✅' : '⏸️'} ${strategy.name}: ${decision.reason}`);
+            return report;
+
+        } catch (error) {
+            console.error('❌ Optimization failed:', error);
+            throw error;
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    async optimizeAll(options = {}) {
+        const strategyManager = options.strategyManager || this.getComponent('strategyManager');
+        if (!strategyManager) {
+            throw new Error('Strategy Manager not available for optimization');
+        }
+
+        const tunable = strategyManager.getAllStrategies()
+            .filter(strategy => strategy.status === 'active' && strategy.parameterRanges);
+
+        const reports = [];
+        for (const strategy of tunable) {
+            try {
+                reports.push(await this.optimizeStrategy(strategy.id, { ...options, strategyManager }));
+            } catch (error) {
+                reports.push({ strategyId: strategy.id, name: strategy.name, accepted: false, reason: error.message });
+            }
+        }
+        return reports;
+    }
+
+    // Out-of-sample results must make money and beat the current parameters on the same windows
+    decide(outOfSample, baseline) {
+        if (outOfSample.score === null) {
+            return { accepted: false, reason: `Too few out-of-sample trades (${outOfSample.trades}, need ${this.config.minTrades})` };
+        }
+        if (outOfSample.expectancy <= 0) {
+            return { accepted: false, reason: `Out-of-sample expectancy is not positive ($${outOfSample.expectancy.toFixed(2)} per trade)` };
+        }
+        if (baseline.score !== null && outOfSample.score <= baseline.score) {
+            return { accepted: false, reason: `Out-of-sample score ${outOfSample.score.toFixed(3)} does not beat current parameters (${baseline.score.toFixed(3)})` };
+        }
+        return { accepted: true, reason: `Out-of-sample score ${outOfSample.score.toFixed(3)} over ${outOfSample.trades} trades` };
+    }
+
+    // ================================
+    // WALK-FORWARD WINDOWS
+    // ================================
+    // Rolling [in-sample | out-of-sample] pairs; every slice keeps warmup rows of history in front
+    buildWindows(rows, count) {
+        const warmup = this.backtest.config.warmupPeriod;
+        const outOfSampleRows = Math.floor((rows - warmup) / (this.config.inSampleRatio + count));
+        const inSampleRows = Math.floor(outOfSampleRows * this.config.inSampleRatio);
+
+        if (outOfSampleRows < 1 || inSampleRows < 1) {
+            throw new OptimizerError(`Not enough historical data for ${count} walk-forward windows: ${rows} rows`);
+        }
+
+        const folds = [];
+        for (let i = 0; i < count; i++) {
+            const start = warmup + i * outOfSampleRows;
+            const split = start + inSampleRows;
+            folds.push({
+                inSample: [start - warmup, split],
+                outOfSample: [split - warmup, split + outOfSampleRows]
+            });
+        }
+
+        folds.inSampleRows = inSampleRows;
+        folds.outOfSampleRows = outOfSampleRows;
+        return folds;
+    }
+
+    describeSlice(rows) {
+        // The warmup prefix only feeds indicators; the window itself is what gets traded
+        const traded = rows.slice(this.backtest.config.warmupPeriod);
+        return { rows: traded.length, from: traded[0].timestamp, to: traded[traded.length - 1].timestamp };
+    }
+
+    // ================================
+    // SCORING
+    // ================================
+    async evaluate(run, parameters, data) {
+        const candidate = { ...run.strategy, parameters: { ...run.strategy.parameters, ...parameters } };
+
+        const result = await this.backtest.backtestStrategy(run.strategyManager, candidate, run.asset, data, {
+            payout: run.payout !== undefined ? run.payout : this.backtest.config.payout,
+            startingBalance: this.backtest.config.startingBalance
+        });
+
+        const summary = {
+            trades: result.trades,
+            netProfit: result.netProfit,
+            staked: result.tradeLog.reduce((sum, trade) => sum + trade.amount, 0),
+            maxDrawdownPercent: result.maxDrawdownPercent
+        };
+
+        return { summary, score: this.score(summary) };
+    }
+
+    // Expectancy per unit staked, penalized by the deepest drawdown; null when there is too little to judge
+    score({ trades, netProfit, staked, maxDrawdownPercent }) {
+        if (trades < this.config.minTrades || staked <= 0) return null;
+        return netProfit / staked - this.config.drawdownWeight * maxDrawdownPercent;
+    }
+
+    aggregate(summaries) {
+        const total = summaries.reduce((sum, s) => ({
+            trades: sum.trades + s.trades,
+            netProfit: sum.netProfit + s.netProfit,
+            staked: sum.staked + s.staked,
+            maxDrawdownPercent: Math.max(sum.maxDrawdownPercent, s.maxDrawdownPercent)
+        }), { trades: 0, netProfit: 0, staked: 0, maxDrawdownPercent: 0 });
+
+        return {
+            ...total,
+            expectancy: total.trades > 0 ? total.netProfit / total.trades : 0,
+            score: this.score(total)
+        };
+    }
+
+    // ================================
+    // SEARCH
+    // ================================
+    async search(run, data, baselineParameters) {
+        const observations = [];
+        const seen = new Map();
+
+        const observe = async (parameters) => {
+            const key = JSON.stringify(parameters);
+            if (seen.has(key)) return seen.get(key);
+
+            const { score, summary } = await this.evaluate(run, parameters, data);
+            const observation = { parameters, score, summary };
+            seen.set(key, observation);
+            observations.push(observation);
+            return observation;
+        };
+
+        // The current set always competes, so a search never does worse in-sample
+        await observe(baselineParameters);
+
+        if (run.method === 'grid') {
+            for (const parameters of this.gridPoints(run.ranges)) {
+                await observe(parameters);
+            }
+        } else {
+            const spaceSize = this.spaceSize(run.ranges);
+            const budget = Math.min(run.evaluations, spaceSize);
+
+            while (observations.length < budget) {
+                const useModel = run.method === 'bayesian' && observations.length >= this.config.initialSamples;
+                const parameters = useModel
+                    ? this.suggestBayesian(run.ranges, observations, seen)
+                    : this.sampleUnseen(run.ranges, seen);
+                if (!parameters) break;
+                await observe(parameters);
+            }
+        }
+
+        const best = observations.reduce((top, o) => (this.compareScores(o.score, top.score) > 0 ? o : top));
+        return { best, evaluations: observations.length };
+    }
+
+    compareScores(a, b) {
+        if (a === b) return 0;
+        if (a === null) return -1;
+        if (b === null) return 1;
+        return a - b;
+    }
+
+    validateRanges(strategy, ranges) {
+        if (!ranges || Object.keys(ranges).length === 0) {
+            throw new OptimizerError(`Strategy ${strategy.name} declares no parameterRanges to optimize`);
+        }
+
+        for (const [name, range] of Object.entries(ranges)) {
+            const { min, max, step } = range;
+            if (![min, max, step].every(Number.isFinite) || min > max || step <= 0) {
+                throw new OptimizerError(`Invalid range for ${strategy.name}.${name}: expected finite min <= max and step > 0`);
+            }
+        }
+        return ranges;
+    }
+
+    // The tunable values exactly as the strategy trades them, off the grid or not, so the
+    // baseline is the live set; a value the strategy leaves unset stays at its default
+    current(parameters, ranges) {
+        return Object.fromEntries(Object.keys(ranges)
+            .filter(name => parameters[name] !== undefined)
+            .map(name => [name, parameters[name]]));
+    }
+
+    levels(range) {
+        return Math.floor((range.max - range.min) / range.step + 1e-9) + 1;
+    }
+
+    // Nearest allowed value; float steps are rounded so 1.5 + 0.5 * 2 stays 2.5
+    snap(range, value) {
+        if (!Number.isFinite(value)) value = range.min;
+        const index = Math.min(this.levels(range) - 1, Math.max(0, Math.round((value - range.min) / range.step)));
+        return parseFloat((range.min + index * range.step).toFixed(10));
+    }
+
+    spaceSize(ranges) {
+        return Object.values(ranges).reduce((size, range) => size * this.levels(range), 1);
+    }
+
+    gridPoints(ranges) {
+        const size = this.spaceSize(ranges);
+        if (size > this.config.maxGridSize) {
+            throw new OptimizerError(`Grid of ${size} points exceeds the limit of ${this.config.maxGridSize}; use random or bayesian search`);
+        }
+
+        return Object.entries(ranges).reduce((points, [name, range]) => {
+            const values = Array.from({ length: this.levels(range) }, (_, i) => this.snap(range, range.min + i * range.step));
+            return points.flatMap(point => values.map(value => ({ ...point, [name]: value })));
+        }, [{}]);
+    }
+
+    sample(ranges) {
+        return Object.fromEntries(Object.entries(ranges).map(([name, range]) => [
+            name,
+            this.snap(range, range.min + Math.floor(this.random() * this.levels(range)) * range.step)
+        ]));
+    }
+
+    sampleUnseen(ranges, seen, attempts = 100) {
+        for (let i = 0; i < attempts; i++) {
+            const parameters = this.sample(ranges);
+            if (!seen.has(JSON.stringify(parameters))) return parameters;
+        }
+        return null;
+    }
+
+    // ================================
+    // BAYESIAN SEARCH
+    // ================================
+    // Gaussian-process surrogate over the normalized space; the next point maximizes expected improvement
+    suggestBayesian(ranges, observations, seen) {
+        const names = Object.keys(ranges);
+        const finite = observations.filter(o => o.score !== null).map(o => o.score);
+        if (finite.length === 0) return this.sampleUnseen(ranges, seen);
+
+        // Sets without enough trades sit just below the worst real score
+        const floor = Math.min(...finite) - (Math.max(...finite) - Math.min(...finite) || 1);
+        const raw = observations.map(o => (o.score === null ? floor : o.score));
+        const mean = raw.reduce((a, b) => a + b, 0) / raw.length;
+        const spread = Math.sqrt(raw.reduce((sum, y) => sum + (y - mean) ** 2, 0) / raw.length) || 1;
+        const targets = raw.map(y => (y - mean) / spread);
+
+        const points = observations.map(o => this.normalize(ranges, names, o.parameters));
+        const kernel = points.map((a, i) => points.map((b, j) => this.kernel(a, b) + (i === j ? this.config.noise : 0)));
+        const cholesky = this.cholesky(kernel);
+        const alpha = this.solveUpper(cholesky, this.solveLower(cholesky, targets));
+        const best = Math.max(...targets);
+
+        let suggestion = null;
+        let bestImprovement = -Infinity;
+
+        for (let i = 0; i < this.config.candidatePool; i++) {
+            const parameters = this.sample(ranges);
+            if (seen.has(JSON.stringify(parameters))) continue;
+
+            const point = this.normalize(ranges, names, parameters);
+            const covariance = points.map(p => this.kernel(point, p));
+            const mu = covariance.reduce((sum, k, j) => sum + k * alpha[j], 0);
+            const v = this.solveLower(cholesky, covariance);
+            const sigma = Math.sqrt(Math.max(1 - v.reduce((sum, x) => sum + x * x, 0), 1e-12));
+
+            const improvement = this.expectedImprovement(mu, sigma, best);
+            if (improvement > bestImprovement) {
+                bestImprovement = improvement;
+                suggestion = parameters;
+            }
+        }
+
+        return suggestion || this.sampleUnseen(ranges, seen);
+    }
+
+    normalize(ranges, names, parameters) {
+        return names.map(name => {
+            const { min, max } = ranges[name];
+            return max > min ? (parameters[name] - min) / (max - min) : 0;
+        });
+    }
+
+    kernel(a, b) {
+        const distance = a.reduce((sum, x, i) => sum + (x - b[i]) ** 2, 0);
+        return Math.exp(-distance / (2 * this.config.lengthScale ** 2));
+    }
+
+    expectedImprovement(mu, sigma, best, xi = 0.01) {
+        const gain = mu - best - xi;
+        const z = gain / sigma;
+        return gain * normalCdf(z) + sigma * normalPdf(z);
+    }
+
+    cholesky(matrix) {
+        const n = matrix.length;
+        const lower = Array.from({ length: n }, () => new Array(n).fill(0));
+
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j <= i; j++) {
+                let sum = matrix[i][j];
+                for (let k = 0; k < j; k++) sum -= lower[i][k] * lower[j][k];
+                lower[i][j] = i === j ? Math.sqrt(Math.max(sum, 1e-12)) : sum / lower[j][j];
+            }
+        }
+        return lower;
+    }
+
+    solveLower(lower, b) {
+        const x = [];
+        for (let i = 0; i < b.length; i++) {
+            let sum = b[i];
+            for (let k = 0; k < i; k++) sum -= lower[i][k] * x[k];
+            x.push(sum / lower[i][i]);
+        }
+        return x;
+    }
+
+    // Solves L^T x = b
+    solveUpper(lower, b) {
+        const n = b.length;
+        const x = new Array(n).fill(0);
+        for (let i = n - 1; i >= 0; i--) {
+            let sum = b[i];
+            for (let k = i + 1; k < n; k++) sum -= lower[k][i] * x[k];
+            x[i] = sum / lower[i][i];
+        }
+        return x;
+    }
+
+    // ================================
+    // SCHEDULING
+    // ================================
+    async start() {
+        if (this.config.scheduleHours > 0 && !this.scheduleTimer) {
+            this.scheduleTimer = setInterval(() => {
+                if (this.isRunning) return;
+                this.optimizeAll().catch(error => console.error('❌ Scheduled optimization failed:', error));
+            }, this.config.scheduleHours * 3600000);
+        }
+    }
+
+    async stop() {
+        if (this.scheduleTimer) {
+            clearInterval(this.scheduleTimer);
+            this.scheduleTimer = null;
+        }
+    }
+
+    getLastReport() {
+        return this.lastReport;
+    }
+
+    healthCheck() {
+        return {
+            status: this.isRunning ? 'running' : 'idle',
+            method: this.config.method,
+            lastRun: this.lastReport ? this.lastReport.generatedAt : null
+        };
+    }
+
+    // Method to receive component references
+    getComponent(name) {
+        // This will be set by the integration layer
+        return null;
+    }
+}
+
+// Abramowitz & Stegun 7.1.26, accurate to about 1e-7
+function normalCdf(z) {
+    const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+    const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+    const erf = 1 - poly * Math.exp(-(z * z) / 2);
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+function normalPdf(z) {
+    return Math.exp(-(z * z) / 2) / Math.sqrt(2 * Math.PI);
+}
+
+ParameterOptimizer.METHODS = METHODS;
+
+module.exports = ParameterOptimizer;
+module.exports.OptimizerError = OptimizerError;
@@ -0,0 +1,17 @@
+// src/backtest/index.js
+const BacktestEngine = require('./BacktestEngine');
+const ParameterOptimizer = require('./ParameterOptimizer');
+
+module.exports = {
+    BacktestEngine,
+    ParameterOptimizer,
+
+    // Factory functions
+    createBacktestEngine: (options = {}) => {
+        return new BacktestEngine(options);
+    },
+
+    createParameterOptimizer: (options = {}) => {
+        return new ParameterOptimizer(options);
+    }
+};
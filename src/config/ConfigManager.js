@@ -10,7 +10,10 @@ class BayneXConfigManager extends EventEmitter {
         super();
         
         this.configPath = options.configPath || path.join(process.cwd(), 'data', 'config.json');
+        this.policyPath = options.policyPath || process.env.RISK_POLICY_PATH || path.join(process.cwd(), 'config', 'risk-policy.json');
         this.config = {};
+        this.riskPolicy = null;
+        this.riskPolicyError = null;
         this.watchers = new Map();
         this.initialized = false;
         this.dependencies = [];
@@ -106,7 +109,8 @@ class BayneXConfigManager extends EventEmitter {
             risk: {
                 enabled: true,
                 maxDailyLoss: parseFloat(process.env.MAX_DAILY_LOSS) || 25.0,
-                maxDrawdown: parseFloat(process.env.MAX_DRAWDOWN) || 10.0,
+                maxDrawdown: parseFloat(process.env.MAX_DRAWDOWN) || 10.0, // percent of the peak balance
+                consecutiveLossLimit: 5,
                 stopLossPercentage: parseFloat(process.env.STOP_LOSS_PERCENTAGE) || 2.0,
                 takeProfitPercentage: parseFloat(process.env.TAKE_PROFIT_PERCENTAGE) || 4.0,
                 dynamicPositionSizing: true,
@@ -233,6 +237,15 @@ class BayneXConfigManager extends EventEmitter {
         }
     }
     
+    // Component entry points for the integration layer
+    async initialize() {
+        return this.init();
+    }
+    
+    healthCheck() {
+        return this.getHealthStatus();
+    }
+    
     async loadConfig() {
         try {
             if (fs.existsSync(this.configPath)) {
@@ -252,6 +265,30 @@ class BayneXConfigManager extends EventEmitter {
             console.warn('⚠️ Failed to load config file, using defaults:', error.message);
             this.config = JSON.parse(JSON.stringify(this.defaults));
         }
+        
+        this.loadRiskPolicy();
+    }
+    
+    // The risk policy lives in its own file; a broken file keeps the policy loaded before it
+    loadRiskPolicy() {
+        try {
+            if (!fs.existsSync(this.policyPath)) {
+                this.riskPolicy = null;
+                this.riskPolicyError = null;
+                return;
+            }
+            
+            this.riskPolicy = JSON.parse(fs.readFileSync(this.policyPath, 'utf8'));
+            this.riskPolicyError = null;
+            console.log('🛡️ Risk policy loaded from file');
+        } catch (error) {
+            this.riskPolicyError = error.message;
+            console.warn('⚠️ Failed to load risk policy, keeping the previous one:', error.message);
+        }
+    }
+    
+    getRiskPolicy() {
+        return this.riskPolicy;
     }
     
     applyEnvironmentOverrides() {
@@ -382,6 +419,9 @@ class BayneXConfigManager extends EventEmitter {
             initialized: this.initialized,
             configPath: this.configPath,
             configSize: Object.keys(this.config).length,
+            policyPath: this.policyPath,
+            riskPolicyLoaded: this.riskPolicy !== null,
+            riskPolicyError: this.riskPolicyError,
             lastModified: fs.existsSync(this.configPath) ? 
                 fs.statSync(this.configPath).mtime : null
         };
@@ -4,6 +4,7 @@
 // ================================
 
 const EventEmitter = require('events');
+const { getContractType, getFamily, durationInSeconds } = require('../platforms/ContractTypes');
 
 class BayneXCore extends EventEmitter {
     constructor() {
@@ -16,7 +17,7 @@ class BayneXCore extends EventEmitter {
         
         this.config = {
             maxConcurrentTrades: parseInt(process.env.MAX_CONCURRENT_TRADES) || 5,
-            tradeTimeout: 300000, // 5 minutes
+            tradeTimeoutGrace: 120, // seconds past its expiry before a trade counts as stuck
             retryAttempts: 3,
             emergencyStopThreshold: parseFloat(process.env.EMERGENCY_STOP_LOSS) || 1000
         };
@@ -26,7 +27,9 @@ class BayneXCore extends EventEmitter {
             successfulTrades: 0,
             failedTrades: 0,
             totalVolume: 0,
-            averageExecutionTime: 0
+            averageExecutionTime: 0,
+            outOfSessionSignals: 0,
+            persistenceErrors: 0
         };
     }
 
@@ -140,6 +143,11 @@ class BayneXCore extends EventEmitter {
         while (this.tradingQueue.length > 0 && this.activeTrades.size < this.config.maxConcurrentTrades) {
             const signal = this.tradingQueue.shift();
             
+            // Signals still waiting when their session closes are dropped
+            if (!this.isInSession(signal)) {
+                continue;
+            }
+            
             try {
                 await this.executeTradeSignal(signal);
             } catch (error) {
@@ -157,16 +165,51 @@ class BayneXCore extends EventEmitter {
         
         console.log(`🎯 Executing trade signal: ${signal.direction} ${signal.asset}`);
         
+        const journal = this.getComponent('journal');
+        if (journal && !signal.id) {
+            signal.id = journal.generateSignalId();
+        }
+        
         try {
             // Validate signal
             if (!this.validateTradeSignal(signal)) {
                 throw new Error('Invalid trade signal');
             }
             
+            // Price the contract; trades with negative expected value stop here
+            const pricer = this.getComponent('pricer');
+            if (pricer) {
+                signal.pricing = await pricer.evaluate(signal);
+                
+                if (journal) {
+                    await journal.record(signal.id, 'pricing', signal.pricing);
+                }
+                
+                if (!signal.pricing.approved) {
+                    throw new Error(`Trade rejected by pricing: ${signal.pricing.reason}`);
+                }
+            }
+            
             // Check risk limits
             const riskManager = this.getComponent('riskManager');
-            if (riskManager && !await riskManager.validateTrade(signal)) {
-                throw new Error('Trade rejected by risk manager');
+            if (riskManager) {
+                const approval = await riskManager.validateTrade(signal);
+                
+                if (journal) {
+                    await journal.record(signal.id, 'risk_validation', {
+                        ...approval,
+                        requestedAmount: signal.amount
+                    });
+                }
+                
+                if (!approval || !approval.approved) {
+                    throw new Error(`Trade rejected by risk manager: ${approval ? approval.reason : 'no approval'}`);
+                }
+                
+                // Stakes cut by the risk policy, a circuit breaker or Kelly sizing are binding
+                if (approval.stakeLimit !== undefined && approval.stakeLimit < signal.amount) {
+                    signal.amount = approval.stakeLimit;
+                }
             }
             
             // Get platform connector
@@ -182,6 +225,12 @@ class BayneXCore extends EventEmitter {
                 direction: signal.direction,
                 amount: signal.amount,
                 duration: signal.duration || 300, // 5 minutes default
+                durationUnit: signal.durationUnit,
+                barrier: signal.barrier,
+                barrier2: signal.barrier2,
+                multiplier: signal.multiplier,
+                stopLoss: signal.stopLoss,
+                takeProfit: signal.takeProfit,
                 strategy: signal.strategy
             });
             
@@ -189,10 +238,13 @@ class BayneXCore extends EventEmitter {
             const trade = {
                 id: tradeResult.id || this.generateTradeId(),
                 signal: signal,
-                platform: signal.platform || 'deriv',
+                signalId: signal.id || null,
+                platform: tradeResult.platform || signal.platform || 'deriv',
                 asset: signal.asset,
                 direction: signal.direction,
                 amount: signal.amount,
+                duration: signal.duration || 300,
+                durationUnit: signal.durationUnit,
                 entryPrice: tradeResult.entryPrice,
                 entryTime: new Date(),
                 status: 'active',
@@ -203,20 +255,42 @@ class BayneXCore extends EventEmitter {
             // Add to active trades
             this.activeTrades.set(trade.id, trade);
             
+            if (journal) {
+                await journal.record(signal.id, 'execution', {
+                    platform: trade.platform,
+                    requestedPlatform: signal.platform || 'deriv',
+                    contractId: trade.contractId,
+                    amount: trade.amount,
+                    entryPrice: trade.entryPrice,
+                    executionTime: trade.executionTime
+                }, trade.id);
+            }
+            
             // Update statistics
             this.updateTradeStats(trade);
             
+            if (riskManager) {
+                riskManager.recordTradeStart(trade);
+            }
+            
             // Emit trade executed event
             this.emit('trade_executed', trade);
             
             console.log(`✅ Trade executed: ${trade.id}`);
             
+            // Persist the open trade so a restart can reconcile it with the platform
+            await this.saveTrade(trade);
+            
             return trade;
             
         } catch (error) {
             console.error(`❌ Trade execution failed:`, error);
             this.stats.failedTrades++;
             
+            if (journal) {
+                await journal.record(signal.id, 'outcome', { status: 'failed', reason: error.message });
+            }
+            
             this.emit('trade_execution_failed', {
                 signal,
                 error: error.message,
@@ -233,8 +307,8 @@ class BayneXCore extends EventEmitter {
             return false;
         }
         
-        // Check direction
-        if (!['CALL', 'PUT', 'call', 'put'].includes(signal.direction)) {
+        // Check direction; the platform connector validates the rest of the contract
+        if (!getContractType(signal.direction)) {
             return false;
         }
         
@@ -289,14 +363,18 @@ class BayneXCore extends EventEmitter {
     }
 
     async handleTradeClose(trade, status) {
+        // A contract sold early can still be reported closed by the next status poll
+        if (!this.activeTrades.has(trade.id)) return;
+        
         console.log(`📊 Trade closed: ${trade.id}`);
         
         // Update trade record
         trade.status = 'closed';
         trade.exitPrice = status.exitPrice;
-        trade.exitTime = new Date();
+        trade.exitTime = status.exitTime || new Date();
         trade.profit = status.profit || 0;
         trade.result = status.result || (trade.profit > 0 ? 'win' : 'loss');
+        trade.exitReason = status.exitReason || 'expiry';
         
         // Remove from active trades
         this.activeTrades.delete(trade.id);
@@ -304,14 +382,25 @@ class BayneXCore extends EventEmitter {
         // Update statistics
         this.updateClosedTradeStats(trade);
         
+        const riskManager = this.getComponent('riskManager');
+        if (riskManager) {
+            riskManager.recordTradeEnd(trade);
+        }
+        
+        await this.journalOutcome(trade, {
+            status: 'closed',
+            result: trade.result,
+            profit: trade.profit,
+            exitPrice: trade.exitPrice,
+            // Contracts sold before expiry say which exit rule sold them
+            ...(status.exitReason ? { exitReason: status.exitReason, exitDetail: status.exitDetail || null } : {})
+        });
+        
         // Emit trade closed event
         this.emit('trade_closed', trade);
         
         // Store in database
-        const database = this.getComponent('database');
-        if (database) {
-            await database.saveTrade(trade);
-        }
+        await this.saveTrade(trade);
     }
 
     async handleTradeCancellation(trade, status) {
@@ -323,417 +412,39 @@ class BayneXCore extends EventEmitter {
         
         this.activeTrades.delete(trade.id);
         
-        this.emit('trade_cancelled', trade);
-    }
-
-    // ================================
-    // TRADE QUEUE MANAGEMENT
-    // ================================
-    startTradeQueueProcessor() {
-        setInterval(async () => {
-            if (this.tradingQueue.length > 0 && this.isActive) {
-                await this.processSignalQueue();
-            }
-        }, 2000); // Process queue every 2 seconds
-    }
-
-    queueTradeSignal(signal) {
-        if (this.emergencyStopActivated) {
-            console.log('🛑 Trade signal rejected - Emergency stop active');
-            return false;
-        }
-        
-        if (this.tradingQueue.length >= 50) {
-            console.log('⚠️ Trade queue full, removing oldest signal');
-            this.tradingQueue.shift();
-        }
-        
-        signal.queuedAt = new Date();
-        this.tradingQueue.push(signal);
-        
-        console.log(`📝 Trade signal queued: ${signal.direction} ${signal.asset}`);
-        return true;
-    }
-
-    // ================================
-    // STATISTICS & MONITORING
-    // ================================
-    updateTradeStats(trade) {
-        this.stats.totalTrades++;
-        this.stats.totalVolume += trade.amount;
-        
-        if (trade.executionTime) {
-            this.stats.averageExecutionTime = 
-                (this.stats.averageExecutionTime * (this.stats.totalTrades - 1) + trade.executionTime) / 
-                this.stats.totalTrades;
-        }
-    }
-
-    updateClosedTradeStats(trade) {
-        if (trade.result === 'win') {
-            this.stats.successfulTrades++;
-        }
-    }
-
-    async checkSystemHealth() {
-        // Check for excessive losses
-        const totalLoss = Array.from(this.activeTrades.values())
-            .reduce((sum, trade) => sum + (trade.profit < 0 ? Math.abs(trade.profit) : 0), 0);
-        
-        if (totalLoss > this.config.emergencyStopThreshold) {
-            console.log('🚨 Emergency stop threshold reached');
-            await this.emergencyStop();
-        }
-        
-        // Check for stuck trades
-        const now = Date.now();
-        for (const trade of this.activeTrades.values()) {
-            if (now - trade.entryTime.getTime() > this.config.tradeTimeout) {
-                console.log(`⚠️ Trade timeout detected: ${trade.id}`);
-                await this.handleTradeTimeout(trade);
-            }
-        }
-    }
-
-    async handleTradeTimeout(trade) {
-        console.log(`⏰ Handling trade timeout: ${trade.id}`);
-        
-        try {
-            const platforms = this.getComponent('platforms');
-            if (platforms) {
-                await platforms.closeTradeManually(trade.platform, trade.contractId);
-            }
-        } catch (error) {
-            console.error('❌ Failed to close timed out trade:', error);
-        }
-// ================================
-// BAYNEX.A.X CORE TRADING ENGINE
-// Binary Autonomous Yield Navigation & Execution X-System
-// ================================
-
-const EventEmitter = require('events');
-
-class BayneXCore extends EventEmitter {
-    constructor() {
-        super();
-        this.isActive = false;
-        this.activeTrades = new Map();
-        this.tradingQueue = [];
-        this.emergencyStopActivated = false;
-        this.dependencies = ['platforms', 'riskManager', 'dataProcessor'];
-        
-        this.config = {
-            maxConcurrentTrades: parseInt(process.env.MAX_CONCURRENT_TRADES) || 5,
-            tradeTimeout: 300000, // 5 minutes
-            retryAttempts: 3,
-            emergencyStopThreshold: parseFloat(process.env.EMERGENCY_STOP_LOSS) || 1000
-        };
-        
-        this.stats = {
-            totalTrades: 0,
-            successfulTrades: 0,
-            failedTrades: 0,
-            totalVolume: 0,
-            averageExecutionTime: 0
-        };
-    }
-
-    async initialize() {
-        console.log('🎯 Initializing BAYNEX.A.X Core Trading Engine...');
-        
-        try {
-            // Set up trade monitoring
-            this.startTradeMonitoring();
-            
-            // Initialize trade queue processor
-            this.startTradeQueueProcessor();
-            
-            console.log('✅ Core Trading Engine initialized');
-            return true;
-            
-        } catch (error) {
-            console.error('❌ Core initialization failed:', error);
-            throw error;
-        }
-    }
-
-    async start() {
-        if (this.isActive) {
-            console.log('⚠️ Core Trading Engine is already active');
-            return;
-        }
-
-        console.log('▶️ Starting Core Trading Engine...');
-        
-        try {
-            this.isActive = true;
-            this.emergencyStopActivated = false;
-            
-            // Start main trading loop
-            this.mainTradingLoop();
-            
-            console.log('✅ Core Trading Engine is now active');
-            this.emit('engine_started');
-            
-        } catch (error) {
-            console.error('❌ Failed to start Core Trading Engine:', error);
-            this.isActive = false;
-            throw error;
-        }
-    }
-
-    async stop() {
-        console.log('⏹️ Stopping Core Trading Engine...');
-        
-        this.isActive = false;
-        
-        // Close all active trades
-        await this.closeAllActiveTrades();
-        
-        // Clear trading queue
-        this.tradingQueue = [];
-        
-        console.log('✅ Core Trading Engine stopped');
-        this.emit('engine_stopped');
-    }
-
-    async emergencyStop() {
-        console.log('🚨 EMERGENCY STOP - Core Trading Engine');
-        
-        this.emergencyStopActivated = true;
-        this.isActive = false;
-        
-        // Immediately close all trades
-        await this.emergencyCloseAllTrades();
-        
-        // Clear all queues
-        this.tradingQueue = [];
-        
-        this.emit('emergency_stop', { 
-            reason: 'Emergency stop activated',
-            timestamp: new Date(),
-            activeTrades: this.activeTrades.size
-        });
-    }
-
-    // ================================
-    // MAIN TRADING LOOP
-    // ================================
-    async mainTradingLoop() {
-        while (this.isActive && !this.emergencyStopActivated) {
-            try {
-                // Process pending signals
-                await this.processSignalQueue();
-                
-                // Monitor active trades
-                await this.monitorActiveTrades();
-                
-                // Check system health
-                await this.checkSystemHealth();
-                
-                // Small delay to prevent overwhelming
-                await this.sleep(1000);
-                
-            } catch (error) {
-                console.error('❌ Error in main trading loop:', error);
-                this.emit('trading_error', error);
-                
-                // Continue after brief pause
-                await this.sleep(5000);
-            }
-        }
-    }
-
-    async processSignalQueue() {
-        while (this.tradingQueue.length > 0 && this.activeTrades.size < this.config.maxConcurrentTrades) {
-            const signal = this.tradingQueue.shift();
-            
-            try {
-                await this.executeTradeSignal(signal);
-            } catch (error) {
-                console.error('❌ Failed to execute trade signal:', error);
-                this.emit('trade_execution_failed', { signal, error: error.message });
-            }
-        }
-    }
-
-    // ================================
-    // TRADE EXECUTION
-    // ================================
-    async executeTradeSignal(signal) {
-        const startTime = Date.now();
-        
-        console.log(`🎯 Executing trade signal: ${signal.direction} ${signal.asset}`);
-        
-        try {
-            // Validate signal
-            if (!this.validateTradeSignal(signal)) {
-                throw new Error('Invalid trade signal');
-            }
-            
-            // Check risk limits
-            const riskManager = this.getComponent('riskManager');
-            if (riskManager && !await riskManager.validateTrade(signal)) {
-                throw new Error('Trade rejected by risk manager');
-            }
-            
-            // Get platform connector
-            const platforms = this.getComponent('platforms');
-            if (!platforms) {
-                throw new Error('Platform connector not available');
-            }
-            
-            // Execute trade on platform
-            const tradeResult = await platforms.executeTrade({
-                platform: signal.platform || 'deriv',
-                asset: signal.asset,
-                direction: signal.direction,
-                amount: signal.amount,
-                duration: signal.duration || 300, // 5 minutes default
-                strategy: signal.strategy
-            });
-            
-            // Create trade record
-            const trade = {
-                id: tradeResult.id || this.generateTradeId(),
-                signal: signal,
-                platform: signal.platform || 'deriv',
-                asset: signal.asset,
-                direction: signal.direction,
-                amount: signal.amount,
-                entryPrice: tradeResult.entryPrice,
-                entryTime: new Date(),
-                status: 'active',
-                contractId: tradeResult.contractId,
-                executionTime: Date.now() - startTime
-            };
-            
-            // Add to active trades
-            this.activeTrades.set(trade.id, trade);
-            
-            // Update statistics
-            this.updateTradeStats(trade);
-            
-            // Emit trade executed event
-            this.emit('trade_executed', trade);
-            
-            console.log(`✅ Trade executed: ${trade.id}`);
-            
-            return trade;
-            
-        } catch (error) {
-            console.error(`❌ Trade execution failed:`, error);
-            this.stats.failedTrades++;
-            
-            this.emit('trade_execution_failed', {
-                signal,
-                error: error.message,
-                executionTime: Date.now() - startTime
-            });
-            
-            throw error;
-        }
-    }
-
-    validateTradeSignal(signal) {
-        // Basic validation
-        if (!signal.asset || !signal.direction || !signal.amount) {
-            return false;
+        const riskManager = this.getComponent('riskManager');
+        if (riskManager) {
+            riskManager.releaseTrade(trade);
         }
         
-        // Check direction
-        if (!['CALL', 'PUT', 'call', 'put'].includes(signal.direction)) {
-            return false;
-        }
-        
-        // Check amount
-        if (signal.amount <= 0 || signal.amount > 1000) {
-            return false;
-        }
+        // The open row was saved at execution; close it so recovery does not pick it up
+        await this.saveTrade(trade);
         
-        // Check confidence if provided
-        if (signal.confidence !== undefined && (signal.confidence < 0 || signal.confidence > 1)) {
-            return false;
-        }
+        await this.journalOutcome(trade, { status: 'cancelled', reason: status.reason || null });
         
-        return true;
-    }
-
-    // ================================
-    // TRADE MONITORING
-    // ================================
-    startTradeMonitoring() {
-        setInterval(async () => {
-            await this.monitorActiveTrades();
-        }, 5000); // Check every 5 seconds
-    }
-
-    async monitorActiveTrades() {
-        for (const [tradeId, trade] of this.activeTrades) {
-            try {
-                await this.checkTradeStatus(trade);
-            } catch (error) {
-                console.error(`❌ Error monitoring trade ${tradeId}:`, error);
-            }
-        }
+        this.emit('trade_cancelled', trade);
     }
-
-    async checkTradeStatus(trade) {
-        const platforms = this.getComponent('platforms');
-        if (!platforms) return;
+    
+    // A failed write leaves the contract as it is on the platform: logged and counted, never rethrown
+    async saveTrade(trade) {
+        const database = this.getComponent('database');
+        if (!database) return;
         
         try {
-            const status = await platforms.getTradeStatus(trade.platform, trade.contractId);
-            
-            if (status.status === 'closed' || status.status === 'expired') {
-                await this.handleTradeClose(trade, status);
-            } else if (status.status === 'cancelled') {
-                await this.handleTradeCancellation(trade, status);
-            }
-            
+            await database.saveTrade(trade);
         } catch (error) {
-            console.error(`❌ Error checking trade status:`, error);
+            this.stats.persistenceErrors++;
+            console.error(`❌ Failed to save trade ${trade.id}:`, error);
         }
     }
 
-    async handleTradeClose(trade, status) {
-        console.log(`📊 Trade closed: ${trade.id}`);
-        
-        // Update trade record
-        trade.status = 'closed';
-        trade.exitPrice = status.exitPrice;
-        trade.exitTime = new Date();
-        trade.profit = status.profit || 0;
-        trade.result = status.result || (trade.profit > 0 ? 'win' : 'loss');
-        
-        // Remove from active trades
-        this.activeTrades.delete(trade.id);
-        
-        // Update statistics
-        this.updateClosedTradeStats(trade);
-        
-        // Emit trade closed event
-        this.emit('trade_closed', trade);
-        
-        // Store in database
-        const database = this.getComponent('database');
-        if (database) {
-            await database.saveTrade(trade);
+    async journalOutcome(trade, outcome) {
+        const journal = this.getComponent('journal');
+        if (journal && trade.signalId) {
+            await journal.record(trade.signalId, 'outcome', outcome, trade.id);
         }
     }
 
-    async handleTradeCancellation(trade, status) {
-        console.log(`❌ Trade cancelled: ${trade.id}`);
-        
-        trade.status = 'cancelled';
-        trade.exitTime = new Date();
-        trade.result = 'cancelled';
-        
-        this.activeTrades.delete(trade.id);
-        
-        this.emit('trade_cancelled', trade);
-    }
-
     // ================================
     // TRADE QUEUE MANAGEMENT
     // ================================
@@ -751,6 +462,10 @@ class BayneXCore extends EventEmitter {
             return false;
         }
         
+        if (!this.isInSession(signal)) {
+            return false;
+        }
+        
         if (this.tradingQueue.length >= 50) {
             console.log('⚠️ Trade queue full, removing oldest signal');
             this.tradingQueue.shift();
@@ -763,6 +478,21 @@ class BayneXCore extends EventEmitter {
         return true;
     }
 
+    // New signals are only taken while the scheduler has their asset and strategy in session;
+    // trades already open keep being monitored until they settle
+    isInSession(signal, now = Date.now()) {
+        const scheduler = this.getComponent('scheduler');
+        if (!scheduler) return true;
+        
+        const session = scheduler.check(signal, now);
+        if (session.open) return true;
+        
+        this.stats.outOfSessionSignals++;
+        console.log(`🕒 Trade signal rejected - ${session.reason}: ${signal.direction} ${signal.asset}`);
+        this.emit('signal_out_of_session', { signal, reason: session.reason });
+        return false;
+    }
+
     // ================================
     // STATISTICS & MONITORING
     // ================================
@@ -796,7 +526,8 @@ class BayneXCore extends EventEmitter {
         // Check for stuck trades
         const now = Date.now();
         for (const trade of this.activeTrades.values()) {
-            if (now - trade.entryTime.getTime() > this.config.tradeTimeout) {
+            const deadline = this.getTradeDeadline(trade);
+            if (deadline !== null && now > deadline) {
                 console.log(`⚠️ Trade timeout detected: ${trade.id}`);
                 await this.handleTradeTimeout(trade);
             }
@@ -809,13 +540,24 @@ class BayneXCore extends EventEmitter {
         try {
             const platforms = this.getComponent('platforms');
             if (platforms) {
-                await platforms.closeTradeManually(trade.platform, trade.contractId);
+                await platforms.closeContract(trade.platform, trade.contractId);
             }
         } catch (error) {
             console.error('❌ Failed to close timed out trade:', error);
         }
     }
 
+    // When a trade should have settled by: its contract's expiry plus the grace period.
+    // Multipliers have no expiry and run until sold or stopped out, so they never time out.
+    getTradeDeadline(trade) {
+        const family = getFamily(trade);
+        if (family === 'multiplier') return null;
+        
+        const durationUnit = trade.durationUnit || (family === 'digits' ? 't' : 's');
+        const seconds = durationInSeconds(trade.duration, durationUnit) + this.config.tradeTimeoutGrace;
+        return trade.entryTime.getTime() + seconds * 1000;
+    }
+
     // ================================
     // EMERGENCY PROCEDURES
     // ================================
@@ -877,6 +619,18 @@ class BayneXCore extends EventEmitter {
         return Array.from(this.activeTrades.values());
     }
 
+    // Puts a trade recovered after a restart back under monitoring
+    restoreTrade(trade) {
+        this.activeTrades.set(trade.id, trade);
+    }
+
+    findTradeByContract(contractId) {
+        for (const trade of this.activeTrades.values()) {
+            if (trade.contractId === contractId) return trade;
+        }
+        return null;
+    }
+
     healthCheck() {
         return {
             status: this.isActive && !this.emergencyStopActivated ? 'healthy' : 'stopped',
@@ -0,0 +1,277 @@
+// ================================
+// BAYNEX.A.X DECISION JOURNAL
+// Hash-chained record of every trading decision
+// ================================
+
+const EventEmitter = require('events');
+const crypto = require('crypto');
+
+// Stages of a decision, in the order they happen
+const STAGES = ['signal', 'signal_risk', 'ensemble', 'pricing', 'risk_validation', 'execution', 'outcome'];
+
+const GENESIS_HASH = '0'.repeat(64);
+
+class DecisionJournal extends EventEmitter {
+    constructor() {
+        super();
+        this.dependencies = ['database'];
+
+        this.config = {
+            enabled: process.env.DECISION_JOURNAL_ENABLED !== 'false',
+            maxCachedSignals: parseInt(process.env.DECISION_JOURNAL_CACHE) || 500
+        };
+
+        // Chain head; loaded from the database before the first append
+        this.head = null;
+        this.writeQueue = Promise.resolve();
+
+        // Recent decision paths by signal id, so replay works without a database
+        this.recent = new Map();
+
+        this.stats = {
+            entriesWritten: 0,
+            writeFailures: 0,
+            lastEntryAt: null
+        };
+    }
+
+    async initialize() {
+        console.log('📒 Initializing Decision Journal...');
+        console.log(`✅ Decision Journal ${this.config.enabled ? 'enabled' : 'disabled'}`);
+        return true;
+    }
+
+    // ================================
+    // RECORDING
+    // ================================
+    generateSignalId() {
+        return `SIG_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+    }
+
+    // Appends one entry; never throws so the journal cannot stop a trade
+    record(signalId, stage, data = {}, tradeId = null) {
+        if (!this.config.enabled || !signalId) return Promise.resolve(null);
+
+        if (!STAGES.includes(stage)) {
+            console.error(`❌ Unknown decision journal stage: ${stage}`);
+            return Promise.resolve(null);
+        }
+
+        // Appends are serialized so each entry links to the one before it
+        const append = this.writeQueue.then(() => this.append(signalId, stage, data, tradeId));
+        this.writeQueue = append.catch(() => {});
+
+        return append.catch(error => {
+            this.stats.writeFailures++;
+            console.error(`❌ Failed to journal ${stage} for ${signalId}:`, error.message);
+            this.emit('journal_error', { signalId, stage, error: error.message });
+            return null;
+        });
+    }
+
+    async append(signalId, stage, data, tradeId) {
+        const head = await this.loadHead();
+
+        const entry = {
+            seq: head.seq + 1,
+            signalId,
+            tradeId: tradeId || this.findTradeId(signalId),
+            stage,
+            timestamp: Date.now(),
+            // Snapshot so later changes to the caller's objects don't alter the record
+            data: JSON.parse(JSON.stringify(data)),
+            prevHash: head.hash
+        };
+        entry.hash = this.hashEntry(entry);
+        Object.freeze(entry);
+
+        const database = this.getComponent('database');
+        if (database) {
+            await database.saveDecisionEntry(entry);
+        }
+
+        this.head = { seq: entry.seq, hash: entry.hash };
+        this.cacheEntry(entry);
+
+        this.stats.entriesWritten++;
+        this.stats.lastEntryAt = entry.timestamp;
+        this.emit('decision_recorded', entry);
+
+        return entry;
+    }
+
+    async loadHead() {
+        if (this.head) return this.head;
+
+        const database = this.getComponent('database');
+        const last = database ? await database.getLastDecisionEntry() : null;
+
+        this.head = last ? { seq: last.seq, hash: last.hash } : { seq: 0, hash: GENESIS_HASH };
+        return this.head;
+    }
+
+    // Later stages inherit the trade id once execution has assigned one
+    findTradeId(signalId) {
+        const entries = this.recent.get(signalId) || [];
+        const withTrade = entries.find(entry => entry.tradeId);
+        return withTrade ? withTrade.tradeId : null;
+    }
+
+    cacheEntry(entry) {
+        if (!this.recent.has(entry.signalId)) {
+            this.recent.set(entry.signalId, []);
+
+            if (this.recent.size > this.config.maxCachedSignals) {
+                this.recent.delete(this.recent.keys().next().value);
+            }
+        }
+        this.recent.get(entry.signalId).push(entry);
+    }
+
+    hashEntry(entry) {
+        const content = [
+            entry.seq,
+            entry.signalId,
+            entry.tradeId || '',
+            entry.stage,
+            entry.timestamp,
+            JSON.stringify(entry.data),
+            entry.prevHash
+        ].join('|');
+
+        return crypto.createHash('sha256').update(content).digest('hex');
+    }
+
+    // ================================
+    // REPLAY & VERIFICATION
+    // ================================
+    // Full decision path for a signal id or trade id, with its integrity checked
+    async getDecisionPath(id) {
+        await this.writeQueue;
+
+        const database = this.getComponent('database');
+        let entries;
+        if (database) {
+            entries = await database.getDecisionEntries(id);
+        } else {
+            entries = this.recent.get(id) ||
+                Array.from(this.recent.values()).find(path => path.some(entry => entry.tradeId === id)) ||
+                [];
+        }
+
+        if (entries.length === 0) return null;
+
+        const verification = await this.verifyEntries(entries);
+
+        return {
+            signalId: entries[0].signalId,
+            tradeId: entries.map(entry => entry.tradeId).find(Boolean) || null,
+            entries,
+            verification
+        };
+    }
+
+    // Checks each entry's hash and its link to the entry before it in the chain
+    async verifyEntries(entries) {
+        const database = this.getComponent('database');
+
+        for (const entry of entries) {
+            if (this.hashEntry(entry) !== entry.hash) {
+                return { valid: false, brokenAt: entry.seq, reason: 'Entry content does not match its hash' };
+            }
+
+            const previous = entry.seq === 1 ? { hash: GENESIS_HASH } : await this.getEntry(entry.seq - 1);
+            if (!previous) {
+                // Without a database, older entries may simply have left the cache
+                if (!database) continue;
+                return { valid: false, brokenAt: entry.seq, reason: `Entry ${entry.seq - 1} is missing` };
+            }
+            if (entry.prevHash !== previous.hash) {
+                return { valid: false, brokenAt: entry.seq, reason: 'Entry is not linked to the previous entry' };
+            }
+        }
+
+        return { valid: true, brokenAt: null, reason: null };
+    }
+
+    // Walks the whole chain from the first entry
+    async verifyChain(batchSize = 1000) {
+        const database = this.getComponent('database');
+        if (!database) {
+            // Only the cached paths can be checked
+            const entries = Array.from(this.recent.values()).flat().sort((a, b) => a.seq - b.seq);
+            return { ...(await this.verifyEntries(entries)), entries: entries.length };
+        }
+
+        await this.writeQueue;
+
+        let previous = { seq: 0, hash: GENESIS_HASH };
+        let checked = 0;
+
+        for (;;) {
+            const batch = await database.getDecisionJournal(previous.seq, batchSize);
+            if (batch.length === 0) break;
+
+            for (const entry of batch) {
+                const problem = this.checkLink(previous, entry);
+                if (problem) {
+                    return { valid: false, entries: checked, brokenAt: entry.seq, reason: problem };
+                }
+                previous = entry;
+                checked++;
+            }
+        }
+
+        return { valid: true, entries: checked, brokenAt: null, reason: null };
+    }
+
+    checkLink(previous, entry) {
+        if (entry.seq !== previous.seq + 1) return `Entry ${previous.seq + 1} is missing`;
+        if (entry.prevHash !== previous.hash) return 'Entry is not linked to the previous entry';
+        if (this.hashEntry(entry) !== entry.hash) return 'Entry content does not match its hash';
+        return null;
+    }
+
+    async getEntry(seq) {
+        if (seq < 1) return null;
+
+        const database = this.getComponent('database');
+        if (database) return database.getDecisionEntry(seq);
+
+        for (const entries of this.recent.values()) {
+            const entry = entries.find(candidate => candidate.seq === seq);
+            if (entry) return entry;
+        }
+        return null;
+    }
+
+    // ================================
+    // STATUS
+    // ================================
+    getStats() {
+        return {
+            ...this.stats,
+            enabled: this.config.enabled,
+            headSeq: this.head ? this.head.seq : null,
+            cachedSignals: this.recent.size
+        };
+    }
+
+    healthCheck() {
+        return {
+            status: this.stats.writeFailures === 0 ? 'healthy' : 'degraded',
+            entriesWritten: this.stats.entriesWritten,
+            writeFailures: this.stats.writeFailures
+        };
+    }
+
+    // Method to receive component references
+    getComponent(name) {
+        // This will be set by the integration layer
+        return null;
+    }
+}
+
+DecisionJournal.STAGES = STAGES;
+
+module.exports = DecisionJournal;
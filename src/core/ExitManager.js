@@ -0,0 +1,260 @@
+// ================================
+// BAYNEX.A.X EXIT MANAGER
+// Sells open contracts back on profit targets, stop losses, trailing levels and risk instructions
+// ================================
+
+const EventEmitter = require('events');
+
+class ExitManager extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.dependencies = ['platforms', 'core'];
+
+        this.config = {
+            enabled: process.env.EXIT_MANAGER_ENABLED !== 'false',
+            // Share of the stake the open profit may give back from its best level, 0 turns trailing off
+            trailingStop: parseFloat(process.env.EXIT_TRAILING_STOP) || 0,
+            // Share of the stake the open profit must reach before the trailing level arms
+            trailingActivation: parseFloat(process.env.EXIT_TRAILING_ACTIVATION) || 0.2,
+            // Milliseconds before a refused sell is tried again
+            retryDelay: parseInt(process.env.EXIT_RETRY_DELAY) || 5000,
+            historyLimit: 200,
+            ...options
+        };
+
+        // Per open contract: best profit seen and sell attempts
+        this.positions = new Map();
+
+        this.exits = [];
+
+        this.handleTradeUpdate = this.handleTradeUpdate.bind(this);
+        this.handleTradeClosed = this.handleTradeClosed.bind(this);
+
+        this.stats = {
+            updatesProcessed: 0,
+            exitsTriggered: 0,
+            contractsSold: 0,
+            sellFailures: 0,
+            exitsByReason: {}
+        };
+    }
+
+    async initialize() {
+        console.log('🚪 Initializing Exit Manager...');
+        console.log(`✅ Exit Manager ${this.config.enabled ? 'enabled' : 'disabled'}`);
+        return true;
+    }
+
+    async start() {
+        // Platforms forward every proposal_open_contract update as trade_update
+        const platforms = this.getComponent('platforms');
+        if (platforms) {
+            platforms.on('trade_update', this.handleTradeUpdate);
+            platforms.on('trade_closed', this.handleTradeClosed);
+        }
+    }
+
+    async stop() {
+        const platforms = this.getComponent('platforms');
+        if (platforms) {
+            platforms.removeListener('trade_update', this.handleTradeUpdate);
+            platforms.removeListener('trade_closed', this.handleTradeClosed);
+        }
+    }
+
+    // ================================
+    // OPEN CONTRACT STREAM
+    // ================================
+    async handleTradeUpdate(update, now = Date.now()) {
+        if (!this.config.enabled) return null;
+
+        const core = this.getComponent('core');
+        const trade = core ? core.findTradeByContract(update.contractId) : null;
+        if (!trade) return null;
+
+        this.stats.updatesProcessed++;
+
+        const position = this.getPosition(trade);
+        if (position.selling || now - position.lastAttemptAt < this.config.retryDelay) return null;
+
+        // Deriv refuses resale in the first seconds and close to expiry
+        if (update.validToSell === false || update.validToSell === 0) return null;
+
+        const exit = this.evaluateExit(trade, update, position);
+        if (!exit) return null;
+
+        return await this.sellContract(trade, update, exit, now);
+    }
+
+    handleTradeClosed(trade) {
+        this.positions.delete(trade.contractId);
+    }
+
+    // Decides whether the open contract should be sold now, and why
+    evaluateExit(trade, update, position = this.getPosition(trade)) {
+        const stake = trade.amount;
+        const profit = this.getOpenProfit(trade, update);
+        if (profit === null || !(stake > 0)) return null;
+
+        position.peakProfit = Math.max(position.peakProfit, profit);
+        position.lastProfit = profit;
+
+        const riskManager = this.getComponent('riskManager');
+        const instruction = riskManager ? riskManager.reviewOpenTrade(trade, { profit }) : null;
+        if (instruction && instruction.exit) {
+            return { reason: 'risk', detail: instruction.reason, profit };
+        }
+
+        const rules = this.getExitRules(trade);
+
+        if (rules.profitTarget && profit >= rules.profitTarget * stake) {
+            return { reason: 'profit_target', detail: `Open profit ${profit.toFixed(2)} reached the ${(rules.profitTarget * 100).toFixed(0)}% target`, profit };
+        }
+
+        if (rules.stopLoss && profit <= -rules.stopLoss * stake) {
+            return { reason: 'stop_loss', detail: `Open loss ${(-profit).toFixed(2)} reached the ${(rules.stopLoss * 100).toFixed(0)}% stop`, profit };
+        }
+
+        if (rules.trailingStop && position.peakProfit >= rules.trailingActivation * stake) {
+            const level = position.peakProfit - rules.trailingStop * stake;
+            if (profit <= level) {
+                return { reason: 'trailing_stop', detail: `Open profit ${profit.toFixed(2)} fell to the trailing level ${level.toFixed(2)}`, profit };
+            }
+        }
+
+        return null;
+    }
+
+    // Profit if the contract were sold at the current bid
+    getOpenProfit(trade, update) {
+        const cost = update.cost !== undefined ? update.cost : trade.amount;
+        if (update.bidPrice !== undefined && update.bidPrice !== null) {
+            return parseFloat(update.bidPrice) - cost;
+        }
+        return update.currentProfit !== undefined && update.currentProfit !== null ? parseFloat(update.currentProfit) : null;
+    }
+
+    // Strategy exit rules are shares of the stake; trailing falls back to the configured default
+    getExitRules(trade) {
+        const strategy = this.getStrategy(trade);
+        const exit = (strategy && strategy.rules && strategy.rules.exit) || {};
+
+        return {
+            profitTarget: exit.profitTarget || null,
+            stopLoss: exit.stopLoss || null,
+            trailingStop: exit.trailingStop !== undefined ? exit.trailingStop : this.config.trailingStop,
+            trailingActivation: exit.trailingActivation !== undefined ? exit.trailingActivation : this.config.trailingActivation
+        };
+    }
+
+    getStrategy(trade) {
+        const strategyManager = this.getComponent('strategyManager');
+        const strategyId = trade.signal ? trade.signal.strategyId : null;
+        return strategyManager && strategyId ? strategyManager.strategies.get(strategyId) : null;
+    }
+
+    getPosition(trade) {
+        if (!this.positions.has(trade.contractId)) {
+            this.positions.set(trade.contractId, { peakProfit: -Infinity, lastProfit: null, selling: false, lastAttemptAt: -Infinity });
+        }
+        return this.positions.get(trade.contractId);
+    }
+
+    // ================================
+    // SELLING
+    // ================================
+    async sellContract(trade, update, exit, now = Date.now()) {
+        const position = this.getPosition(trade);
+        position.selling = true;
+        this.stats.exitsTriggered++;
+
+        console.log(`🚪 Selling ${trade.contractId} (${trade.asset}): ${exit.detail}`);
+
+        try {
+            const platforms = this.getComponent('platforms');
+            const sale = await platforms.closeContract(trade.platform, trade.contractId);
+
+            const soldFor = parseFloat(sale.sold_for);
+            const cost = update.cost !== undefined ? update.cost : trade.amount;
+            const profit = Math.round((soldFor - cost) * 100) / 100;
+
+            this.positions.delete(trade.contractId);
+            this.stats.contractsSold++;
+            this.stats.exitsByReason[exit.reason] = (this.stats.exitsByReason[exit.reason] || 0) + 1;
+
+            // Early exits settle through the core exactly like expiries
+            const core = this.getComponent('core');
+            await core.handleTradeClose(trade, {
+                status: 'closed',
+                exitPrice: update.currentPrice,
+                profit: profit,
+                result: profit > 0 ? 'win' : 'loss',
+                exitReason: exit.reason,
+                exitDetail: exit.detail,
+                soldFor: soldFor
+            });
+
+            const record = {
+                tradeId: trade.id,
+                contractId: trade.contractId,
+                asset: trade.asset,
+                strategy: trade.signal ? trade.signal.strategy : null,
+                reason: exit.reason,
+                detail: exit.detail,
+                soldFor: soldFor,
+                profit: profit,
+                timestamp: new Date(now)
+            };
+            this.recordExit(record);
+            this.emit('contract_sold', record);
+
+            return record;
+
+        } catch (error) {
+            position.selling = false;
+            position.lastAttemptAt = now;
+            this.stats.sellFailures++;
+
+            console.error(`❌ Failed to sell ${trade.contractId}:`, error.message);
+            this.emit('exit_failed', { tradeId: trade.id, contractId: trade.contractId, reason: exit.reason, error: error.message });
+
+            return null;
+        }
+    }
+
+    recordExit(record) {
+        this.exits.push(record);
+        if (this.exits.length > this.config.historyLimit) {
+            this.exits.shift();
+        }
+    }
+
+    getRecentExits(limit = 20) {
+        return this.exits.slice(-limit).reverse();
+    }
+
+    // ================================
+    // STATUS
+    // ================================
+    getStats() {
+        return {
+            ...this.stats,
+            watchedContracts: this.positions.size
+        };
+    }
+
+    healthCheck() {
+        return {
+            status: this.config.enabled ? 'healthy' : 'disabled',
+            ...this.getStats()
+        };
+    }
+
+    // Method to receive component references
+    getComponent(name) {
+        // This will be set by the integration layer
+        return null;
+    }
+}
+
+module.exports = ExitManager;
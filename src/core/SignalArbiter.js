@@ -0,0 +1,331 @@
+// ================================
+// BAYNEX.A.X SIGNAL ARBITER
+// Weighted ensemble voting between strategies and the trade queue
+// ================================
+
+const EventEmitter = require('events');
+const { getOpposite, getMarketSide } = require('../platforms/ContractTypes');
+
+// Config weight keys for strategy types whose key is not their own name
+const TYPE_WEIGHT_KEYS = {
+    momentum: 'momentum',
+    reversal: 'reversal',
+    breakout: 'breakout',
+    martingale: 'martingale',
+    ai: 'aiAdaptive'
+};
+
+class SignalArbiter extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.dependencies = ['config', 'journal'];
+
+        this.config = {
+            enabled: process.env.SIGNAL_ARBITER_ENABLED !== 'false',
+            // Share of the total vote the winning side must lead by when strategies disagree
+            conflictMargin: parseFloat(process.env.SIGNAL_CONFLICT_MARGIN) || 0.2,
+            minContributors: parseInt(process.env.SIGNAL_MIN_CONTRIBUTORS) || 1,
+            assetCooldown: parseInt(process.env.SIGNAL_ASSET_COOLDOWN) || 60000, // 1 minute
+            dedupeWindow: parseInt(process.env.SIGNAL_DEDUPE_WINDOW) || 300000, // 5 minutes
+            defaultWeight: 1.0,
+            historyLimit: 200,
+            ...options
+        };
+
+        // Last forwarded decision per asset, for cooldowns
+        this.lastDecisionAt = new Map();
+
+        // Strategy, asset and direction already acted on, for dedupe
+        this.recentVotes = new Map();
+
+        this.decisions = [];
+
+        this.stats = {
+            rounds: 0,
+            signalsReceived: 0,
+            decisionsForwarded: 0,
+            conflictsRejected: 0,
+            cooldownSuppressed: 0,
+            duplicatesDropped: 0
+        };
+    }
+
+    async initialize() {
+        console.log('🗳️ Initializing Signal Arbiter...');
+        console.log(`✅ Signal Arbiter ${this.config.enabled ? 'enabled' : 'disabled'}`);
+        return true;
+    }
+
+    // ================================
+    // ARBITRATION
+    // ================================
+
+    // Takes every signal a strategy round produced and returns at most one decision per asset
+    async arbitrate(signals, now = Date.now()) {
+        this.stats.rounds++;
+        this.stats.signalsReceived += signals.length;
+
+        if (!this.config.enabled) return signals;
+
+        this.pruneVotes(now);
+
+        const byAsset = new Map();
+        for (const signal of signals) {
+            if (!byAsset.has(signal.asset)) byAsset.set(signal.asset, []);
+            byAsset.get(signal.asset).push(signal);
+        }
+
+        const decisions = [];
+        for (const [asset, candidates] of byAsset) {
+            const decision = await this.arbitrateAsset(asset, candidates, now);
+            if (decision) decisions.push(decision);
+        }
+
+        return decisions;
+    }
+
+    async arbitrateAsset(asset, candidates, now) {
+        const lastDecision = this.lastDecisionAt.get(asset);
+        if (lastDecision !== undefined && now - lastDecision < this.config.assetCooldown) {
+            this.stats.cooldownSuppressed += candidates.length;
+            await this.reject(candidates, 'cooldown', `Asset ${asset} is cooling down after the last decision`);
+            return null;
+        }
+
+        const fresh = [];
+        const duplicates = [];
+        for (const signal of candidates) {
+            const seenAt = this.recentVotes.get(this.voteKey(signal));
+            (seenAt !== undefined && now - seenAt < this.config.dedupeWindow ? duplicates : fresh).push(signal);
+        }
+        if (duplicates.length > 0) {
+            this.stats.duplicatesDropped += duplicates.length;
+            await this.reject(duplicates, 'duplicate', 'Strategy already acted on this signal');
+        }
+
+        const weighed = fresh.map(signal => ({ signal, weight: this.getWeight(signal) }));
+        const disabled = weighed.filter(ballot => ballot.weight <= 0).map(ballot => ballot.signal);
+        if (disabled.length > 0) {
+            await this.reject(disabled, 'disabled', 'Strategy is disabled in the ensemble configuration');
+        }
+
+        const ballots = weighed
+            .filter(ballot => ballot.weight > 0)
+            .map(ballot => ({ ...ballot, vote: ballot.weight * ballot.signal.confidence }));
+        if (ballots.length === 0) return null;
+
+        const votes = { CALL: 0, PUT: 0 };
+        for (const ballot of ballots) {
+            votes[ballot.signal.direction] = (votes[ballot.signal.direction] || 0) + ballot.vote;
+        }
+
+        // The heaviest contract type is contested by every contract betting the market the other way
+        // (CALL by PUT and MULTDOWN); the rest only by their opposite (DIGITEVEN/DIGITODD, ...)
+        const direction = Object.keys(votes).reduce((best, type) => votes[type] > votes[best] ? type : best);
+        const side = getMarketSide(direction);
+        const opposites = side !== 0 ? Object.keys(votes).filter(type => getMarketSide(type) === -side) : [getOpposite(direction)];
+        const opposing = opposites.reduce((sum, type) => sum + (votes[type] || 0), 0);
+        const opposite = opposites.filter(type => votes[type] > 0).join('+') || getOpposite(direction);
+        const total = votes[direction] + opposing;
+        const margin = total > 0 ? Math.abs(votes[direction] - opposing) / total : 0;
+        const contested = votes[direction] > 0 && opposing > 0;
+
+        const winners = ballots
+            .filter(ballot => ballot.signal.direction === direction)
+            .sort((a, b) => b.vote - a.vote);
+        const contributors = ballots.map(ballot => this.describeBallot(ballot, direction));
+        // Disabled signals were already rejected; only the voting ones take part in the outcome
+        const voters = ballots.map(ballot => ballot.signal);
+
+        if (contested && margin < this.config.conflictMargin) {
+            this.stats.conflictsRejected++;
+            await this.reject(voters, 'conflict', `Strategies disagree on ${asset}: ${direction} ${votes[direction].toFixed(3)} vs ${opposite} ${opposing.toFixed(3)}`, { votes, margin, contributors });
+            this.emit('signal_conflict', { asset, votes, margin, contributors, timestamp: now });
+            return null;
+        }
+
+        if (winners.length < this.config.minContributors) {
+            await this.reject(voters, 'insufficient_agreement', `Only ${winners.length} of ${this.config.minContributors} required strategies agree on ${asset}`, { votes, margin, contributors });
+            return null;
+        }
+
+        // The strongest vote leads; its id carries the decision through the journal
+        const lead = winners[0].signal;
+        const winningWeight = winners.reduce((sum, ballot) => sum + ballot.weight, 0);
+        const decision = {
+            ...lead,
+            direction,
+            confidence: votes[direction] / winningWeight,
+            ensemble: {
+                decidedAt: new Date(now),
+                leadStrategy: lead.strategy,
+                leadStrategyId: lead.strategyId,
+                votes,
+                margin,
+                contributors
+            }
+        };
+
+        this.lastDecisionAt.set(asset, now);
+        for (const ballot of winners) {
+            this.recentVotes.set(this.voteKey(ballot.signal), now);
+        }
+
+        await this.journalDecision(decision, voters);
+        this.recordDecision(decision);
+
+        console.log(`🗳️ Ensemble ${direction} ${asset}: ${winners.map(b => b.signal.strategy).join(', ')} (margin ${(margin * 100).toFixed(0)}%)`);
+        this.emit('ensemble_decision', decision);
+
+        return decision;
+    }
+
+    describeBallot({ signal, weight, vote }, direction) {
+        return {
+            strategy: signal.strategy,
+            strategyId: signal.strategyId,
+            signalId: signal.id || null,
+            direction: signal.direction,
+            confidence: signal.confidence,
+            weight,
+            vote,
+            agreed: signal.direction === direction
+        };
+    }
+
+    voteKey(signal) {
+        return `${signal.strategyId}:${signal.asset}:${signal.direction}`;
+    }
+
+    pruneVotes(now) {
+        for (const [key, seenAt] of this.recentVotes) {
+            if (now - seenAt >= this.config.dedupeWindow) this.recentVotes.delete(key);
+        }
+    }
+
+    // ================================
+    // WEIGHTS
+    // ================================
+
+    // Weights come from strategies.strategies in the configuration; a disabled entry removes the vote
+    getWeight(signal) {
+        const entry = this.getWeightEntry(signal);
+        if (!entry) return this.config.defaultWeight;
+        if (entry.enabled === false) return 0;
+
+        const weight = parseFloat(entry.weight);
+        return Number.isFinite(weight) && weight >= 0 ? weight : this.config.defaultWeight;
+    }
+
+    getWeightEntry(signal) {
+        const configManager = this.getComponent('config');
+        const weights = configManager ? configManager.get('strategies.strategies', {}) : {};
+
+        const nameKey = this.toWeightKey(signal.strategy);
+        if (nameKey && weights[nameKey]) return weights[nameKey];
+
+        const strategy = this.getStrategy(signal.strategyId);
+        const typeKey = strategy && TYPE_WEIGHT_KEYS[strategy.type];
+        return typeKey ? weights[typeKey] || null : null;
+    }
+
+    // Boundary_Breaker -> boundaryBreaker
+    toWeightKey(name) {
+        if (!name) return null;
+        const [first, ...rest] = String(name).split(/[_\s-]+/).filter(Boolean);
+        if (!first) return null;
+        return first.toLowerCase() + rest.map(part => part[0].toUpperCase() + part.slice(1).toLowerCase()).join('');
+    }
+
+    getStrategy(strategyId) {
+        const strategyManager = this.getComponent('strategyManager');
+        return strategyManager && strategyManager.strategies ? strategyManager.strategies.get(strategyId) : null;
+    }
+
+    // ================================
+    // JOURNAL & HISTORY
+    // ================================
+    async journalDecision(decision, candidates) {
+        const journal = this.getComponent('journal');
+        if (!journal) return;
+
+        const summary = {
+            direction: decision.direction,
+            confidence: decision.confidence,
+            votes: decision.ensemble.votes,
+            margin: decision.ensemble.margin,
+            contributors: decision.ensemble.contributors
+        };
+
+        for (const signal of candidates) {
+            if (signal.id === decision.id) {
+                await journal.record(signal.id, 'ensemble', { status: 'selected', ...summary });
+            } else {
+                const status = signal.direction === decision.direction ? 'merged' : 'outvoted';
+                await journal.record(signal.id, 'ensemble', { status, decisionSignalId: decision.id, ...summary });
+                await journal.record(signal.id, 'outcome', { status, decisionSignalId: decision.id });
+            }
+        }
+    }
+
+    async reject(signals, status, reason, details = {}) {
+        const journal = this.getComponent('journal');
+
+        for (const signal of signals) {
+            console.log(`🗳️ Signal ${signal.direction} ${signal.asset} (${signal.strategy}) not forwarded: ${reason}`);
+
+            if (journal) {
+                await journal.record(signal.id, 'ensemble', { status, reason, ...details });
+                await journal.record(signal.id, 'outcome', { status: 'rejected', reason });
+            }
+        }
+    }
+
+    recordDecision(decision) {
+        this.stats.decisionsForwarded++;
+        this.decisions.push({
+            signalId: decision.id || null,
+            asset: decision.asset,
+            direction: decision.direction,
+            confidence: decision.confidence,
+            ...decision.ensemble
+        });
+
+        if (this.decisions.length > this.config.historyLimit) {
+            this.decisions.shift();
+        }
+    }
+
+    getRecentDecisions(limit = 20) {
+        return this.decisions.slice(-limit).reverse();
+    }
+
+    // ================================
+    // STATUS
+    // ================================
+    getStats() {
+        return {
+            ...this.stats,
+            coolingAssets: Array.from(this.lastDecisionAt.entries())
+                .filter(([, at]) => Date.now() - at < this.config.assetCooldown)
+                .map(([asset]) => asset)
+        };
+    }
+
+    healthCheck() {
+        return {
+            status: this.config.enabled ? 'healthy' : 'disabled',
+            ...this.getStats()
+        };
+    }
+
+    // Method to receive component references
+    getComponent(name) {
+        // This will be set by the integration layer
+        return null;
+    }
+}
+
+SignalArbiter.TYPE_WEIGHT_KEYS = TYPE_WEIGHT_KEYS;
+
+module.exports = SignalArbiter;
@@ -0,0 +1,300 @@
+// ================================
+// BAYNEX.A.X TRADE RECONCILER
+// Recovers open trades after a restart by checking them against the platform
+// ================================
+
+const EventEmitter = require('events');
+
+class TradeReconciler extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.dependencies = ['database', 'platforms', 'core', 'riskManager'];
+
+        this.config = {
+            enabled: process.env.TRADE_RECOVERY_ENABLED !== 'false',
+            // Seconds past its expiry before a contract no platform record knows is written off
+            orphanGrace: parseInt(process.env.TRADE_RECOVERY_ORPHAN_GRACE) || 600,
+            // How often trades no platform has accounted for yet are checked again
+            retryInterval: parseInt(process.env.TRADE_RECOVERY_RETRY_INTERVAL) || 60000,
+            ...options
+        };
+
+        this.lastReport = null;
+        // Stored rows per platform still waiting for the platform's word
+        this.pending = new Map();
+        this.retryTimer = null;
+        this.isRetrying = false;
+        this.onPlatformConnected = null;
+
+        this.stats = {
+            runs: 0,
+            resumed: 0,
+            settled: 0,
+            orphaned: 0,
+            deferred: 0
+        };
+    }
+
+    async initialize() {
+        console.log('🧾 Initializing Trade Reconciler...');
+        console.log(`✅ Trade Reconciler ${this.config.enabled ? 'enabled' : 'disabled'}`);
+        return true;
+    }
+
+    // Runs before the core starts trading, once every component can reach the others
+    async start() {
+        if (!this.config.enabled) return;
+
+        try {
+            await this.reconcile();
+        } catch (error) {
+            console.error('❌ Trade reconciliation failed:', error);
+        }
+
+        // Deferred trades are retried as soon as a platform connects, and on a timer
+        const retry = () => this.retryPending().catch(error => {
+            console.error('❌ Trade reconciliation retry failed:', error);
+        });
+
+        const platforms = this.getComponent('platforms');
+        if (platforms && !this.onPlatformConnected) {
+            this.onPlatformConnected = retry;
+            platforms.on('platform_connected', this.onPlatformConnected);
+        }
+        if (!this.retryTimer) {
+            this.retryTimer = setInterval(retry, this.config.retryInterval);
+        }
+    }
+
+    async stop() {
+        clearInterval(this.retryTimer);
+        this.retryTimer = null;
+
+        const platforms = this.getComponent('platforms');
+        if (platforms && this.onPlatformConnected) {
+            platforms.removeListener('platform_connected', this.onPlatformConnected);
+        }
+        this.onPlatformConnected = null;
+    }
+
+    // ================================
+    // RECONCILIATION
+    // ================================
+    async reconcile(now = Date.now()) {
+        const database = this.getComponent('database');
+        const riskManager = this.getComponent('riskManager');
+
+        console.log('🧾 Reconciling trades left open by the last run...');
+
+        const report = {
+            startedAt: new Date(now),
+            dailyStats: null,
+            resumed: [],
+            settled: [],
+            orphaned: [],
+            deferred: []
+        };
+
+        // Today's figures first, so settlements below add on top of them
+        const startOfDay = new Date(now);
+        startOfDay.setHours(0, 0, 0, 0);
+        report.dailyStats = riskManager.restoreDailyStats(await database.getTradesSince(startOfDay), new Date(now));
+
+        const byPlatform = new Map();
+        for (const row of await database.getOpenTrades()) {
+            if (!byPlatform.has(row.platform)) byPlatform.set(row.platform, []);
+            byPlatform.get(row.platform).push(row);
+        }
+
+        for (const [platform, rows] of byPlatform) {
+            await this.reconcilePlatform(platform, rows, report, now);
+        }
+
+        return this.record(report);
+    }
+
+    // Checks the deferred trades again; they join the core only once their platform accounts for them
+    async retryPending(now = Date.now()) {
+        if (this.isRetrying || this.pending.size === 0) return null;
+
+        this.isRetrying = true;
+        try {
+            const report = { startedAt: new Date(now), dailyStats: null, resumed: [], settled: [], orphaned: [], deferred: [] };
+
+            for (const [platform, rows] of [...this.pending]) {
+                await this.reconcilePlatform(platform, rows, report, now);
+            }
+
+            return this.record(report);
+        } finally {
+            this.isRetrying = false;
+        }
+    }
+
+    record(report) {
+        this.stats.runs++;
+        this.stats.resumed += report.resumed.length;
+        this.stats.settled += report.settled.length;
+        this.stats.orphaned += report.orphaned.length;
+        this.stats.deferred += report.deferred.length;
+        this.lastReport = report;
+
+        console.log(`✅ Reconciled: ${report.resumed.length} resumed, ${report.settled.length} settled, ` +
+            `${report.orphaned.length} orphaned, ${report.deferred.length} deferred`);
+        this.emit('trades_reconciled', report);
+
+        return report;
+    }
+
+    async reconcilePlatform(platform, rows, report, now) {
+        const platforms = this.getComponent('platforms');
+
+        let openContracts;
+        let settledContracts;
+        try {
+            const since = new Date(Math.min(...rows.map(row => row.entry_time)) * 1000);
+            openContracts = await platforms.getActiveContracts(platform);
+            settledContracts = await platforms.getSettledContracts(platform, since);
+        } catch (error) {
+            // Without the platform's word nothing is settled or written off; retried later
+            console.error(`❌ Cannot reconcile ${rows.length} ${platform} trades:`, error.message);
+            this.pending.set(platform, rows);
+            report.deferred.push(...rows.map(row => row.id));
+            return;
+        }
+
+        const open = new Map(openContracts.map(contract => [String(contract.contract_id), contract]));
+        const settled = new Map((settledContracts || []).map(contract => [String(contract.contractId), contract]));
+        const held = [];
+
+        for (const row of rows) {
+            const trade = this.toTrade(row);
+            const contractId = String(row.contract_id);
+
+            if (open.has(contractId)) {
+                this.resume(trade, open.get(contractId));
+                report.resumed.push(trade.id);
+            } else if (settled.has(contractId)) {
+                await this.settle(trade, settled.get(contractId));
+                report.settled.push(trade.id);
+            } else if (this.isPastExpiry(row, now)) {
+                await this.orphan(trade, settledContracts ? 'Platform has no record of the contract' : `${platform} keeps no settlement history`);
+                report.orphaned.push(trade.id);
+            } else {
+                // Not reported anywhere yet. The connector would not know the contract either,
+                // so it stays out of the core and the risk manager until a retry places it
+                held.push(row);
+                report.deferred.push(trade.id);
+            }
+        }
+
+        if (held.length > 0) {
+            this.pending.set(platform, held);
+        } else {
+            this.pending.delete(platform);
+        }
+    }
+
+    resume(trade, contract) {
+        const core = this.getComponent('core');
+        const riskManager = this.getComponent('riskManager');
+
+        // The connector's own id type, so its contract updates find the trade
+        trade.contractId = contract.contract_id;
+        this.getComponent('platforms').resumeContract(trade.platform, contract, trade);
+
+        core.restoreTrade(trade);
+        riskManager.restoreOpenTrade(trade);
+
+        console.log(`🧾 Resumed monitoring ${trade.id} (${trade.direction} ${trade.asset})`);
+    }
+
+    // Closed while we were down: settle through the core so stats, goals and the journal see it
+    async settle(trade, contract) {
+        const core = this.getComponent('core');
+        const riskManager = this.getComponent('riskManager');
+        const profit = Math.round(contract.profit * 100) / 100;
+
+        core.restoreTrade(trade);
+        riskManager.restoreOpenTrade(trade);
+
+        await core.handleTradeClose(trade, {
+            status: 'closed',
+            profit: profit,
+            result: profit > 0 ? 'win' : 'loss',
+            exitTime: contract.sellTime,
+            exitReason: 'settled_offline',
+            exitDetail: `Settled at ${contract.sellTime.toISOString()} while the system was down`
+        });
+    }
+
+    async orphan(trade, reason) {
+        const core = this.getComponent('core');
+        const database = this.getComponent('database');
+
+        trade.status = 'orphaned';
+        await database.saveTrade(trade);
+        await core.journalOutcome(trade, { status: 'orphaned', reason });
+
+        console.log(`⚠️ Trade ${trade.id} written off as orphaned: ${reason}`);
+        this.emit('trade_orphaned', { tradeId: trade.id, contractId: trade.contractId, reason });
+    }
+
+    isPastExpiry(row, now) {
+        const expiry = (row.entry_time + (row.duration || 0)) * 1000;
+        return now > expiry + this.config.orphanGrace * 1000;
+    }
+
+    toTrade(row) {
+        return {
+            id: row.id,
+            signal: {
+                id: row.signal_id,
+                strategy: row.strategy_name,
+                strategyId: row.strategy_id,
+                confidence: row.confidence
+            },
+            signalId: row.signal_id,
+            platform: row.platform,
+            asset: row.asset,
+            direction: row.direction,
+            amount: row.amount,
+            duration: row.duration,
+            entryPrice: row.entry_price,
+            entryTime: new Date(row.entry_time * 1000),
+            status: 'active',
+            contractId: row.contract_id,
+            recovered: true
+        };
+    }
+
+    // ================================
+    // STATUS
+    // ================================
+    getLastReport() {
+        return this.lastReport;
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            pending: [...this.pending.values()].reduce((count, rows) => count + rows.length, 0),
+            lastRun: this.lastReport ? this.lastReport.startedAt : null
+        };
+    }
+
+    healthCheck() {
+        return {
+            status: this.config.enabled ? 'healthy' : 'disabled',
+            ...this.getStats()
+        };
+    }
+
+    // Method to receive component references
+    getComponent(name) {
+        // This will be set by the integration layer
+        return null;
+    }
+}
+
+module.exports = TradeReconciler;
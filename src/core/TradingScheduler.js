@@ -0,0 +1,396 @@
+// ================================
+// BAYNEX.A.X TRADING SCHEDULER
+// Trading sessions per asset and strategy, holiday calendars and blackout windows
+// ================================
+//
+// The schedule lives in the trading.tradingHours configuration:
+//
+//   {
+//     "start": "00:00", "end": "23:59", "timezone": "UTC", "days": ["mon", ...],
+//     "holidays": ["2026-12-25"],
+//     "blackouts": [
+//       { "from": "2026-11-06T13:25:00Z", "to": "2026-11-06T13:45:00Z", "reason": "NFP", "assets": ["frxEURUSD"] },
+//       { "days": ["fri"], "start": "21:00", "end": "23:59", "reason": "Weekly close" }
+//     ],
+//     "assets": { "frxEURUSD": { "timezone": "Europe/London", "sessions": [{ "days": [...], "start": "07:00", "end": "16:00" }], "holidays": [...] } },
+//     "strategies": { "momentum_1": { "sessions": [{ "start": "08:00", "end": "20:00" }] } }
+//   }
+//
+// A signal may trade while its asset is in session (its own sessions, or the default
+// start/end/days), its strategy's sessions (if any) are open, the day is no holiday and no
+// blackout covers it. Closing a session only stops new signals; open trades run on and settle.
+
+const EventEmitter = require('events');
+const { compileWindow, getLocalTime, inWindow } = require('../risk/RiskPolicy');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class ScheduleError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ScheduleError';
+    }
+}
+
+class TradingScheduler extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.dependencies = ['config'];
+
+        this.config = {
+            enabled: process.env.TRADING_SCHEDULE_ENABLED !== 'false',
+            // How often session openings and closings are looked for (ms)
+            checkInterval: 60000,
+            ...options
+        };
+
+        this.schedule = { start: '00:00', end: '23:59', timezone: 'UTC' };
+        this.compiled = this.compile(this.schedule);
+        this.scheduleError = null;
+
+        // Last known open state per session key, to report openings and closings
+        this.sessionStates = new Map();
+        this.checkTimer = null;
+
+        this.handleConfigReloaded = this.handleConfigReloaded.bind(this);
+
+        this.stats = {
+            checks: 0,
+            rejected: 0,
+            sessionChanges: 0
+        };
+    }
+
+    async initialize() {
+        console.log('🕒 Initializing Trading Scheduler...');
+        console.log(`✅ Trading Scheduler ${this.config.enabled ? 'enabled' : 'disabled'}`);
+        return true;
+    }
+
+    async start() {
+        const configManager = this.getComponent('config');
+        if (configManager) {
+            this.applyConfig(configManager);
+            configManager.on('config_reloaded', this.handleConfigReloaded);
+        }
+
+        this.refresh();
+        this.checkTimer = setInterval(() => this.refresh(), this.config.checkInterval);
+    }
+
+    async stop() {
+        if (this.checkTimer) {
+            clearInterval(this.checkTimer);
+            this.checkTimer = null;
+        }
+
+        const configManager = this.getComponent('config');
+        if (configManager) {
+            configManager.removeListener('config_reloaded', this.handleConfigReloaded);
+        }
+    }
+
+    // ================================
+    // SESSIONS
+    // ================================
+
+    // Whether a signal for this asset and strategy may be traded now, and if not, why
+    check(signal, now = Date.now()) {
+        this.stats.checks++;
+
+        const result = this.evaluate(signal, now);
+        if (!result.open) {
+            this.stats.rejected++;
+        }
+        return result;
+    }
+
+    evaluate(signal, now = Date.now()) {
+        if (!this.config.enabled) {
+            return { open: true, reason: null };
+        }
+
+        const date = new Date(now);
+        const { compiled } = this;
+        const asset = signal.asset !== undefined ? compiled.assets.get(String(signal.asset)) || null : null;
+        const strategyKey = this.getStrategyKey(signal);
+        const strategy = strategyKey ? compiled.strategies.get(strategyKey) : null;
+
+        const today = getLocalTime(date, compiled.timezone).date;
+        if (compiled.holidays.includes(today)) {
+            return { open: false, reason: `${today} is a trading holiday` };
+        }
+
+        if (asset) {
+            const assetToday = getLocalTime(date, asset.timezone).date;
+            if (asset.holidays.includes(assetToday)) {
+                return { open: false, reason: `${assetToday} is a holiday for ${signal.asset}` };
+            }
+        }
+
+        const sessions = asset && asset.sessions.length > 0 ? asset.sessions : [compiled.session];
+        if (!sessions.some(session => inWindow(session, date))) {
+            return { open: false, reason: asset ? `${signal.asset} is outside its trading sessions` : 'Outside trading hours' };
+        }
+
+        if (strategy && !strategy.sessions.some(session => inWindow(session, date))) {
+            return { open: false, reason: `Strategy ${strategyKey} is outside its trading sessions` };
+        }
+
+        const blackout = compiled.blackouts.find(entry => this.inBlackout(entry, signal, strategyKey, date));
+        if (blackout) {
+            return { open: false, reason: `Blackout: ${blackout.reason}` };
+        }
+
+        return { open: true, reason: null };
+    }
+
+    inBlackout(blackout, signal, strategyKey, date) {
+        if (blackout.assets && !blackout.assets.includes(String(signal.asset))) return false;
+        if (blackout.strategies && !blackout.strategies.includes(strategyKey) && !blackout.strategies.includes(String(signal.strategy))) {
+            return false;
+        }
+
+        if (blackout.window) {
+            return inWindow(blackout.window, date);
+        }
+        return date.getTime() >= blackout.from && date.getTime() < blackout.to;
+    }
+
+    // Configured strategies are keyed by id, or by name for signals without one
+    getStrategyKey(signal) {
+        for (const key of [signal.strategyId, signal.strategy]) {
+            if (key !== undefined && key !== null && this.compiled.strategies.has(String(key))) {
+                return String(key);
+            }
+        }
+        return signal.strategyId || (typeof signal.strategy === 'string' ? signal.strategy : null);
+    }
+
+    // Open state of the default session and of every configured asset and strategy
+    getStatus(now = Date.now()) {
+        const status = { default: this.evaluate({}, now) };
+
+        for (const asset of this.compiled.assets.keys()) {
+            status[`asset:${asset}`] = this.evaluate({ asset }, now);
+        }
+        for (const strategyId of this.compiled.strategies.keys()) {
+            status[`strategy:${strategyId}`] = this.evaluate({ strategyId }, now);
+        }
+
+        return status;
+    }
+
+    // Reports sessions that opened or closed since the last look
+    refresh(now = Date.now()) {
+        const changes = [];
+        const status = this.getStatus(now);
+
+        for (const [key, { open, reason }] of Object.entries(status)) {
+            const previous = this.sessionStates.get(key);
+            this.sessionStates.set(key, open);
+            if (previous === undefined || previous === open) continue;
+
+            const change = {
+                key,
+                open,
+                reason,
+                description: `Trading session ${key === 'default' ? '' : `for ${key.replace(':', ' ')} `}${open ? 'opened' : `closed (${reason})`}`,
+                timestamp: new Date(now)
+            };
+            changes.push(change);
+            this.stats.sessionChanges++;
+            this.emit('session_changed', change);
+        }
+
+        // Sessions removed from the schedule are forgotten
+        for (const key of this.sessionStates.keys()) {
+            if (!status[key]) this.sessionStates.delete(key);
+        }
+
+        return changes;
+    }
+
+    // ================================
+    // SCHEDULE
+    // ================================
+    applyConfig(configManager) {
+        const schedule = configManager.get('trading.tradingHours', null);
+        if (schedule) {
+            this.load(schedule);
+        }
+    }
+
+    handleConfigReloaded() {
+        const configManager = this.getComponent('config');
+        if (configManager) {
+            this.applyConfig(configManager);
+            this.refresh();
+        }
+    }
+
+    // A schedule that does not compile leaves the previous one in force
+    load(schedule) {
+        try {
+            this.compiled = this.compile(schedule);
+            this.schedule = schedule;
+            this.scheduleError = null;
+            console.log(`🕒 Trading schedule loaded (${this.compiled.assets.size} assets, ${this.compiled.strategies.size} strategies, ${this.compiled.blackouts.length} blackouts)`);
+            this.emit('schedule_loaded', this.getSchedule());
+            return true;
+        } catch (error) {
+            this.scheduleError = error.message;
+            console.error(`❌ Trading schedule rejected: ${error.message}`);
+            this.emit('schedule_rejected', { error: error.message });
+            return false;
+        }
+    }
+
+    // Validates, applies and saves an edited schedule; throws ScheduleError if it is invalid
+    updateSchedule(schedule) {
+        this.compile(schedule);
+
+        const configManager = this.getComponent('config');
+        if (configManager) {
+            configManager.set('trading.tradingHours', schedule);
+        }
+
+        this.load(schedule);
+        this.refresh();
+        return this.getSchedule();
+    }
+
+    getSchedule(now = Date.now()) {
+        return {
+            enabled: this.config.enabled,
+            schedule: this.schedule,
+            error: this.scheduleError,
+            status: this.getStatus(now)
+        };
+    }
+
+    compile(schedule) {
+        if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) {
+            throw new ScheduleError('Trading schedule must be an object');
+        }
+
+        const timezone = schedule.timezone || 'UTC';
+        const session = this.compileSession(schedule, timezone, 'trading hours');
+
+        const assets = new Map();
+        for (const [asset, entry] of Object.entries(this.compileMap(schedule.assets, 'assets'))) {
+            const assetTimezone = this.compileSession({ timezone: entry.timezone }, timezone, `assets.${asset}`).timezone;
+            assets.set(asset, {
+                timezone: assetTimezone,
+                sessions: this.compileSessions(entry.sessions, assetTimezone, `assets.${asset}`),
+                holidays: this.compileHolidays(entry.holidays, `assets.${asset}.holidays`)
+            });
+        }
+
+        const strategies = new Map();
+        for (const [strategyId, entry] of Object.entries(this.compileMap(schedule.strategies, 'strategies'))) {
+            const sessions = this.compileSessions(entry.sessions, entry.timezone || timezone, `strategies.${strategyId}`);
+            if (sessions.length === 0) {
+                throw new ScheduleError(`strategies.${strategyId} needs at least one session`);
+            }
+            strategies.set(strategyId, { sessions });
+        }
+
+        return {
+            timezone: session.timezone,
+            session,
+            holidays: this.compileHolidays(schedule.holidays, 'holidays'),
+            blackouts: (schedule.blackouts || []).map((blackout, index) => this.compileBlackout(blackout, timezone, `blackouts[${index}]`)),
+            assets,
+            strategies
+        };
+    }
+
+    compileMap(value, label) {
+        if (value === undefined || value === null) return {};
+        if (typeof value !== 'object' || Array.isArray(value)) {
+            throw new ScheduleError(`${label} must map names to their schedule`);
+        }
+        return value;
+    }
+
+    compileSessions(sessions, timezone, label) {
+        if (sessions === undefined) return [];
+        if (!Array.isArray(sessions)) {
+            throw new ScheduleError(`${label}.sessions must be a list`);
+        }
+        return sessions.map((session, index) => this.compileSession(session, timezone, `${label}.sessions[${index}]`));
+    }
+
+    compileSession(session, timezone, label) {
+        try {
+            return compileWindow({ ...session, timezone: session.timezone || timezone }, label);
+        } catch (error) {
+            throw new ScheduleError(error.message.replace(': window ', ': '));
+        }
+    }
+
+    compileHolidays(holidays, label) {
+        if (holidays === undefined) return [];
+        if (!Array.isArray(holidays) || holidays.some(holiday => !DATE_PATTERN.test(String(holiday)))) {
+            throw new ScheduleError(`${label} must be a list of YYYY-MM-DD dates`);
+        }
+        return holidays.map(String);
+    }
+
+    // Either a one-off period between two instants, or a window recurring on the wall clock
+    compileBlackout(blackout, timezone, label) {
+        if (!blackout || typeof blackout !== 'object') {
+            throw new ScheduleError(`${label} must be an object`);
+        }
+
+        const compiled = {
+            reason: blackout.reason || 'Scheduled blackout',
+            assets: blackout.assets ? [].concat(blackout.assets).map(String) : null,
+            strategies: blackout.strategies ? [].concat(blackout.strategies).map(String) : null
+        };
+
+        if (blackout.from !== undefined || blackout.to !== undefined) {
+            const from = new Date(blackout.from).getTime();
+            const to = new Date(blackout.to).getTime();
+            if (!Number.isFinite(from) || !Number.isFinite(to) || to <= from) {
+                throw new ScheduleError(`${label} needs a "from" before its "to"`);
+            }
+            return { ...compiled, from, to };
+        }
+
+        if (blackout.start === undefined || blackout.end === undefined) {
+            throw new ScheduleError(`${label} needs "from" and "to", or a "start" and "end" time`);
+        }
+        return { ...compiled, window: this.compileSession(blackout, timezone, label) };
+    }
+
+    // ================================
+    // STATUS
+    // ================================
+    getStats() {
+        return {
+            ...this.stats,
+            enabled: this.config.enabled,
+            assets: this.compiled.assets.size,
+            strategies: this.compiled.strategies.size,
+            blackouts: this.compiled.blackouts.length
+        };
+    }
+
+    healthCheck() {
+        return {
+            status: !this.config.enabled ? 'disabled' : this.scheduleError ? 'degraded' : 'healthy',
+            scheduleError: this.scheduleError,
+            ...this.getStats()
+        };
+    }
+
+    // Method to receive component references
+    getComponent(name) {
+        // This will be set by the integration layer
+        return null;
+    }
+}
+
+module.exports = TradingScheduler;
@@ -132,13 +132,21 @@ class DatabaseManager {
             this.createSystemLogsTable(),
             this.createDailyStatsTable(),
             this.createUsersTable(),
-            this.createConfigTable()
+            this.createConfigTable(),
+            this.createDecisionJournalTable(),
+            ...this.createDecisionJournalGuards(),
+            this.createCircuitBreakersTable(),
+            this.createAuthRevocationsTable()
         ];
         
         for (const schema of schemas) {
             await this.run(schema);
         }
         
+        await this.migrateStrategiesTable();
+        await this.migrateTradesTable();
+        await this.migrateDailyStatsTable();
+        
         // Create indexes for performance
         await this.createIndexes();
         
@@ -165,6 +173,8 @@ class DatabaseManager {
                 status TEXT DEFAULT 'active',
                 result TEXT,
                 commission REAL DEFAULT 0,
+                contract_id TEXT,
+                signal_id TEXT,
                 created_at INTEGER DEFAULT (strftime('%s', 'now')),
                 updated_at INTEGER DEFAULT (strftime('%s', 'now'))
             )
@@ -185,12 +195,58 @@ class DatabaseManager {
                 evolution TEXT, -- JSON
                 status TEXT DEFAULT 'active',
                 confidence REAL DEFAULT 0.5,
+                generation INTEGER DEFAULT 1,
+                parent_ids TEXT, -- JSON array, two ids for a crossover
+                origin TEXT, -- seed, mutation or crossover
+                fitness TEXT, -- JSON, from the last offline evaluation
                 created_at INTEGER DEFAULT (strftime('%s', 'now')),
                 updated_at INTEGER DEFAULT (strftime('%s', 'now'))
             )
         `;
     }
 
+    // Lineage columns added after the first release; older databases get them here
+    async migrateStrategiesTable() {
+        const columns = await this.all('PRAGMA table_info(strategies)');
+        const existing = new Set(columns.map(column => column.name));
+        const lineage = {
+            generation: 'INTEGER DEFAULT 1',
+            parent_ids: 'TEXT',
+            origin: 'TEXT',
+            fitness: 'TEXT'
+        };
+
+        for (const [name, definition] of Object.entries(lineage)) {
+            if (!existing.has(name)) {
+                await this.run(`ALTER TABLE strategies ADD COLUMN ${name} ${definition}`);
+            }
+        }
+    }
+
+    // Open trades are stored with their platform contract so they can be recovered after a restart
+    async migrateTradesTable() {
+        const columns = await this.all('PRAGMA table_info(trades)');
+        const existing = new Set(columns.map(column => column.name));
+        const recovery = {
+            contract_id: 'TEXT',
+            signal_id: 'TEXT'
+        };
+
+        for (const [name, definition] of Object.entries(recovery)) {
+            if (!existing.has(name)) {
+                await this.run(`ALTER TABLE trades ADD COLUMN ${name} ${definition}`);
+            }
+        }
+    }
+
+    // VaR, CVaR and performance ratios are kept per day as JSON
+    async migrateDailyStatsTable() {
+        const columns = await this.all('PRAGMA table_info(daily_stats)');
+        if (!columns.some(column => column.name === 'risk_metrics')) {
+            await this.run('ALTER TABLE daily_stats ADD COLUMN risk_metrics TEXT');
+        }
+    }
+
     createMarketDataTable() {
         return `
             CREATE TABLE IF NOT EXISTS market_data (
@@ -297,6 +353,7 @@ class DatabaseManager {
                 account_balance REAL,
                 max_drawdown REAL DEFAULT 0,
                 best_strategy TEXT,
+                risk_metrics TEXT,
                 created_at INTEGER DEFAULT (strftime('%s', 'now'))
             )
         `;
@@ -329,12 +386,71 @@ class DatabaseManager {
         `;
     }
 
+    // Current state of each loss-streak breaker, one row per account, strategy or asset
+    createCircuitBreakersTable() {
+        return `
+            CREATE TABLE IF NOT EXISTS circuit_breakers (
+                key TEXT PRIMARY KEY,
+                scope TEXT NOT NULL,
+                target TEXT NOT NULL,
+                state TEXT NOT NULL,
+                losses INTEGER DEFAULT 0,
+                wins INTEGER DEFAULT 0,
+                paused_until INTEGER,
+                reason TEXT,
+                changed_at INTEGER,
+                updated_at INTEGER DEFAULT (strftime('%s', 'now'))
+            )
+        `;
+    }
+
+    // Revoked API tokens (by jti) and users (every session started before revoked_at)
+    createAuthRevocationsTable() {
+        return `
+            CREATE TABLE IF NOT EXISTS auth_revocations (
+                kind TEXT NOT NULL, -- 'token' or 'user'
+                id TEXT NOT NULL, -- jti or uid
+                revoked_at INTEGER NOT NULL,
+                expires_at INTEGER, -- tokens only: the row matters until the token expires
+                revoked_by TEXT,
+                PRIMARY KEY (kind, id)
+            )
+        `;
+    }
+
+    createDecisionJournalTable() {
+        return `
+            CREATE TABLE IF NOT EXISTS decision_journal (
+                seq INTEGER PRIMARY KEY,
+                signal_id TEXT NOT NULL,
+                trade_id TEXT,
+                stage TEXT NOT NULL,
+                timestamp INTEGER NOT NULL,
+                data TEXT NOT NULL, -- JSON, exactly as hashed
+                prev_hash TEXT NOT NULL,
+                hash TEXT NOT NULL UNIQUE
+            )
+        `;
+    }
+
+    // The journal is append-only: rows can be inserted but never changed or removed
+    createDecisionJournalGuards() {
+        return ['UPDATE', 'DELETE'].map(operation => `
+            CREATE TRIGGER IF NOT EXISTS decision_journal_no_${operation.toLowerCase()}
+            BEFORE ${operation} ON decision_journal
+            BEGIN
+                SELECT RAISE(ABORT, 'decision_journal is append-only');
+            END
+        `);
+    }
+
     async createIndexes() {
         const indexes = [
             'CREATE INDEX IF NOT EXISTS idx_trades_timestamp ON trades(entry_time)',
             'CREATE INDEX IF NOT EXISTS idx_trades_platform ON trades(platform)',
             'CREATE INDEX IF NOT EXISTS idx_trades_asset ON trades(asset)',
             'CREATE INDEX IF NOT EXISTS idx_trades_strategy ON trades(strategy_id)',
+            'CREATE INDEX IF NOT EXISTS idx_strategies_generation ON strategies(generation)',
             'CREATE INDEX IF NOT EXISTS idx_trades_status ON trades(status)',
             'CREATE INDEX IF NOT EXISTS idx_market_data_asset ON market_data(asset)',
             'CREATE INDEX IF NOT EXISTS idx_market_data_timestamp ON market_data(timestamp)',
@@ -342,7 +458,9 @@ class DatabaseManager {
             'CREATE INDEX IF NOT EXISTS idx_indicators_name ON indicators(indicator_name)',
             'CREATE INDEX IF NOT EXISTS idx_risk_events_type ON risk_events(event_type)',
             'CREATE INDEX IF NOT EXISTS idx_system_logs_level ON system_logs(level)',
-            'CREATE INDEX IF NOT EXISTS idx_daily_stats_date ON daily_stats(date)'
+            'CREATE INDEX IF NOT EXISTS idx_daily_stats_date ON daily_stats(date)',
+            'CREATE INDEX IF NOT EXISTS idx_decision_journal_signal ON decision_journal(signal_id)',
+            'CREATE INDEX IF NOT EXISTS idx_decision_journal_trade ON decision_journal(trade_id)'
         ];
         
         for (const index of indexes) {
@@ -401,10 +519,12 @@ class DatabaseManager {
                 INSERT OR REPLACE INTO trades (
                     id, platform, asset, direction, amount, entry_price, exit_price,
                     profit, strategy_id, strategy_name, confidence, entry_time,
-                    exit_time, duration, status, result, commission
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                    exit_time, duration, status, result, commission, contract_id, signal_id
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
             `;
             
+            const signal = trade.signal || {};
+            const contractId = trade.contract_id || trade.contractId;
             const params = [
                 trade.id,
                 trade.platform,
@@ -414,9 +534,9 @@ class DatabaseManager {
                 trade.entry_price || trade.entryPrice,
                 trade.exit_price || trade.exitPrice,
                 trade.profit,
-                trade.strategy_id || trade.strategyId,
-                trade.strategy_name || trade.strategy,
-                trade.confidence,
+                trade.strategy_id || trade.strategyId || signal.strategyId,
+                trade.strategy_name || trade.strategy || signal.strategy,
+                trade.confidence !== undefined ? trade.confidence : signal.confidence,
                 trade.entry_time ? new Date(trade.entry_time).getTime() / 1000 : 
                 trade.entryTime ? new Date(trade.entryTime).getTime() / 1000 : null,
                 trade.exit_time ? new Date(trade.exit_time).getTime() / 1000 : 
@@ -424,7 +544,9 @@ class DatabaseManager {
                 trade.duration,
                 trade.status,
                 trade.result,
-                trade.commission || 0
+                trade.commission || 0,
+                contractId !== undefined && contractId !== null ? String(contractId) : null,
+                trade.signal_id || trade.signalId || null
             ];
             
             await this.run(sql, params);
@@ -458,6 +580,47 @@ class DatabaseManager {
         }
     }
 
+    async getOpenTrades() {
+        try {
+            const sql = "SELECT * FROM trades WHERE status = 'active' ORDER BY entry_time ASC";
+            const trades = await this.all(sql);
+            
+            this.stats.successfulQueries++;
+            return trades;
+            
+        } catch (error) {
+            console.error('❌ Error getting open trades:', error);
+            this.stats.failedQueries++;
+            throw error;
+        } finally {
+            this.stats.totalQueries++;
+        }
+    }
+
+    // Trades entered or settled since the given time, oldest settlement first
+    async getTradesSince(since) {
+        try {
+            const sql = `
+                SELECT * FROM trades 
+                WHERE entry_time >= ? OR exit_time >= ?
+                ORDER BY COALESCE(exit_time, entry_time) ASC
+            `;
+            
+            const seconds = Math.floor(new Date(since).getTime() / 1000);
+            const trades = await this.all(sql, [seconds, seconds]);
+            this.stats.successfulQueries++;
+            
+            return trades;
+            
+        } catch (error) {
+            console.error('❌ Error getting trades since:', error);
+            this.stats.failedQueries++;
+            throw error;
+        } finally {
+            this.stats.totalQueries++;
+        }
+    }
+
     async getTradeHistory(limit = 100, offset = 0) {
         try {
             const sql = `
@@ -544,10 +707,15 @@ class DatabaseManager {
             const sql = `
                 INSERT OR REPLACE INTO strategies (
                     id, name, type, description, parameters, indicators,
-                    rules, performance, evolution, status, confidence
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                    rules, performance, evolution, status, confidence,
+                    generation, parent_ids, origin, fitness
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
             `;
             
+            const evolution = strategy.evolution || {};
+            const parent = evolution.parentStrategy;
+            const parentIds = Array.isArray(parent) ? parent : (parent ? [parent] : []);
+            
             const params = [
                 strategy.id,
                 strategy.name,
@@ -559,7 +727,11 @@ class DatabaseManager {
                 JSON.stringify(strategy.performance),
                 JSON.stringify(strategy.evolution),
                 strategy.status,
-                strategy.confidence
+                strategy.confidence,
+                evolution.generation || 1,
+                JSON.stringify(parentIds),
+                evolution.origin || (parentIds.length > 1 ? 'crossover' : parentIds.length === 1 ? 'mutation' : 'seed'),
+                JSON.stringify(evolution.fitness || null)
             ];
             
             await this.run(sql, params);
@@ -602,6 +774,39 @@ class DatabaseManager {
         }
     }
 
+    // Just what a lineage tree needs, oldest generations first
+    async getStrategyLineage() {
+        try {
+            const sql = `
+                SELECT id, name, type, status, generation, parent_ids, origin, fitness, evolution, created_at
+                FROM strategies
+                ORDER BY generation, created_at
+            `;
+            const rows = await this.all(sql);
+            
+            this.stats.successfulQueries++;
+            return rows.map(row => ({
+                id: row.id,
+                name: row.name,
+                type: row.type,
+                status: row.status,
+                generation: row.generation,
+                origin: row.origin,
+                parentIds: JSON.parse(row.parent_ids || '[]'),
+                fitness: JSON.parse(row.fitness || 'null'),
+                bredIn: JSON.parse(row.evolution || '{}').bredIn || null,
+                createdAt: row.created_at
+            }));
+            
+        } catch (error) {
+            console.error('❌ Error getting strategy lineage:', error);
+            this.stats.failedQueries++;
+            throw error;
+        } finally {
+            this.stats.totalQueries++;
+        }
+    }
+
     async getAllStrategies() {
         try {
             const sql = 'SELECT * FROM strategies ORDER BY created_at DESC';
@@ -768,8 +973,8 @@ class DatabaseManager {
         try {
             const sql = `
                 INSERT OR REPLACE INTO daily_stats (
-                    date, trades_count, profit, loss, net_pl, account_balance
-                ) VALUES (?, ?, ?, ?, ?, ?)
+                    date, trades_count, profit, loss, net_pl, account_balance, max_drawdown, risk_metrics
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
             `;
             
             const params = [
@@ -778,7 +983,9 @@ class DatabaseManager {
                 stats.profit,
                 stats.loss,
                 stats.netPL,
-                stats.accountBalance
+                stats.accountBalance,
+                stats.maxDrawdown || 0,
+                stats.riskMetrics ? JSON.stringify(stats.riskMetrics) : null
             ];
             
             await this.run(sql, params);
@@ -793,6 +1000,53 @@ class DatabaseManager {
         }
     }
 
+    async saveCircuitBreaker(breaker) {
+        try {
+            const sql = `
+                INSERT OR REPLACE INTO circuit_breakers (
+                    key, scope, target, state, losses, wins, paused_until, reason, changed_at, updated_at
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, strftime('%s', 'now'))
+            `;
+            
+            const params = [
+                breaker.key,
+                breaker.scope,
+                breaker.target,
+                breaker.state,
+                breaker.losses,
+                breaker.wins,
+                breaker.pausedUntil ? Math.floor(breaker.pausedUntil / 1000) : null,
+                breaker.reason,
+                breaker.changedAt ? Math.floor(new Date(breaker.changedAt).getTime() / 1000) : null
+            ];
+            
+            await this.run(sql, params);
+            this.stats.successfulQueries++;
+            
+        } catch (error) {
+            console.error('❌ Error saving circuit breaker:', error);
+            this.stats.failedQueries++;
+            throw error;
+        } finally {
+            this.stats.totalQueries++;
+        }
+    }
+
+    async getCircuitBreakers() {
+        try {
+            const rows = await this.all('SELECT * FROM circuit_breakers');
+            this.stats.successfulQueries++;
+            return rows;
+            
+        } catch (error) {
+            console.error('❌ Error getting circuit breakers:', error);
+            this.stats.failedQueries++;
+            throw error;
+        } finally {
+            this.stats.totalQueries++;
+        }
+    }
+
     async getRiskHistory() {
         try {
             const sql = `
@@ -820,6 +1074,126 @@ class DatabaseManager {
         }
     }
 
+    // ================================
+    // DECISION JOURNAL
+    // ================================
+    async saveDecisionEntry(entry) {
+        try {
+            const sql = `
+                INSERT INTO decision_journal (seq, signal_id, trade_id, stage, timestamp, data, prev_hash, hash)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+            `;
+
+            const params = [
+                entry.seq,
+                entry.signalId,
+                entry.tradeId || null,
+                entry.stage,
+                entry.timestamp,
+                JSON.stringify(entry.data),
+                entry.prevHash,
+                entry.hash
+            ];
+
+            await this.run(sql, params);
+            this.stats.successfulQueries++;
+
+        } catch (error) {
+            console.error('❌ Error saving decision journal entry:', error);
+            this.stats.failedQueries++;
+            throw error;
+        } finally {
+            this.stats.totalQueries++;
+        }
+    }
+
+    // Entries for a signal, or for the signal that opened the given trade
+    async getDecisionEntries(id) {
+        try {
+            const sql = `
+                SELECT * FROM decision_journal
+                WHERE signal_id = (
+                    SELECT signal_id FROM decision_journal WHERE signal_id = ? OR trade_id = ? LIMIT 1
+                )
+                ORDER BY seq
+            `;
+
+            const rows = await this.all(sql, [id, id]);
+            this.stats.successfulQueries++;
+
+            return rows.map(row => this.parseDecisionEntry(row));
+
+        } catch (error) {
+            console.error('❌ Error getting decision journal entries:', error);
+            this.stats.failedQueries++;
+            throw error;
+        } finally {
+            this.stats.totalQueries++;
+        }
+    }
+
+    async getDecisionEntry(seq) {
+        try {
+            const row = await this.get('SELECT * FROM decision_journal WHERE seq = ?', [seq]);
+            this.stats.successfulQueries++;
+
+            return row ? this.parseDecisionEntry(row) : null;
+
+        } catch (error) {
+            console.error('❌ Error getting decision journal entry:', error);
+            this.stats.failedQueries++;
+            throw error;
+        } finally {
+            this.stats.totalQueries++;
+        }
+    }
+
+    async getLastDecisionEntry() {
+        try {
+            const row = await this.get('SELECT * FROM decision_journal ORDER BY seq DESC LIMIT 1');
+            this.stats.successfulQueries++;
+
+            return row ? this.parseDecisionEntry(row) : null;
+
+        } catch (error) {
+            console.error('❌ Error getting last decision journal entry:', error);
+            this.stats.failedQueries++;
+            throw error;
+        } finally {
+            this.stats.totalQueries++;
+        }
+    }
+
+    async getDecisionJournal(afterSeq = 0, limit = 1000) {
+        try {
+            const sql = 'SELECT * FROM decision_journal WHERE seq > ? ORDER BY seq LIMIT ?';
+            const rows = await this.all(sql, [afterSeq, limit]);
+            this.stats.successfulQueries++;
+
+            return rows.map(row => this.parseDecisionEntry(row));
+
+        } catch (error) {
+            console.error('❌ Error getting decision journal:', error);
+            this.stats.failedQueries++;
+            throw error;
+        } finally {
+            this.stats.totalQueries++;
+        }
+    }
+
+    parseDecisionEntry(row) {
+        return {
+            seq: row.seq,
+            signalId: row.signal_id,
+            tradeId: row.trade_id,
+            stage: row.stage,
+            timestamp: row.timestamp,
+            data: JSON.parse(row.data),
+            prevHash: row.prev_hash,
+            hash: row.hash
+        };
+    }
+
     // ================================
     // GOALS & ACHIEVEMENTS
     // ================================
@@ -902,6 +1276,122 @@ class DatabaseManager {
         }
     }
 
+    // ================================
+    // USERS
+    // ================================
+    async getUser(userId) {
+        try {
+            const sql = 'SELECT id, email, username, role, last_login, created_at, updated_at FROM users WHERE id = ?';
+            const user = await this.get(sql, [userId]);
+
+            this.stats.successfulQueries++;
+            return user;
+
+        } catch (error) {
+            console.error('❌ Error getting user:', error);
+            this.stats.failedQueries++;
+            throw error;
+        } finally {
+            this.stats.totalQueries++;
+        }
+    }
+
+    async getUsers() {
+        try {
+            const sql = 'SELECT id, email, username, role, last_login, created_at, updated_at FROM users ORDER BY created_at';
+            const users = await this.all(sql);
+
+            this.stats.successfulQueries++;
+            return users;
+
+        } catch (error) {
+            console.error('❌ Error getting users:', error);
+            this.stats.failedQueries++;
+            throw error;
+        } finally {
+            this.stats.totalQueries++;
+        }
+    }
+
+    // Creates the user when an email is given and no row exists yet; returns the stored user or null
+    async setUserRole(userId, role, email = null) {
+        try {
+            const result = await this.run(
+                "UPDATE users SET role = ?, updated_at = strftime('%s', 'now') WHERE id = ?",
+                [role, userId]
+            );
+
+            if (result.changes === 0) {
+                if (!email) {
+                    this.stats.successfulQueries++;
+                    return null;
+                }
+                await this.run('INSERT INTO users (id, email, role) VALUES (?, ?, ?)', [userId, email, role]);
+            }
+
+            this.stats.successfulQueries++;
+            return await this.getUser(userId);
+
+        } catch (error) {
+            console.error('❌ Error setting user role:', error);
+            this.stats.failedQueries++;
+            throw error;
+        } finally {
+            this.stats.totalQueries++;
+        }
+    }
+
+    async saveAuthRevocation(revocation) {
+        try {
+            const sql = `
+                INSERT OR REPLACE INTO auth_revocations (kind, id, revoked_at, expires_at, revoked_by)
+                VALUES (?, ?, ?, ?, ?)
+            `;
+
+            await this.run(sql, [
+                revocation.kind,
+                revocation.id,
+                revocation.revokedAt,
+                revocation.expiresAt || null,
+                revocation.revokedBy || null
+            ]);
+            this.stats.successfulQueries++;
+
+        } catch (error) {
+            console.error('❌ Error saving auth revocation:', error);
+            this.stats.failedQueries++;
+            throw error;
+        } finally {
+            this.stats.totalQueries++;
+        }
+    }
+
+    // Revocations still in force: every user revocation and the tokens that have not expired
+    async getAuthRevocations(now = Math.floor(Date.now() / 1000)) {
+        try {
+            const rows = await this.all(
+                'SELECT * FROM auth_revocations WHERE expires_at IS NULL OR expires_at > ?',
+                [now]
+            );
+            this.stats.successfulQueries++;
+
+            return rows.map(row => ({
+                kind: row.kind,
+                id: row.id,
+                revokedAt: row.revoked_at,
+                expiresAt: row.expires_at,
+                revokedBy: row.revoked_by
+            }));
+
+        } catch (error) {
+            console.error('❌ Error getting auth revocations:', error);
+            this.stats.failedQueries++;
+            throw error;
+        } finally {
+            this.stats.totalQueries++;
+        }
+    }
+
     // ================================
     // SYSTEM OPERATIONS
     // ================================
@@ -15,14 +15,24 @@ class DataProcessor extends EventEmitter {
         this.marketData = new Map();
         this.processedData = new Map();
         this.indicators = new Map();
+        this.timeframeIndicators = new Map();
         
         // Processing configuration
         this.config = {
             maxHistoryLength: 1000,
+            // Candle series kept per asset: time buckets (s/m/h/d) and tick-count bars (t)
+            timeframes: (process.env.DATA_TIMEFRAMES || '1m,5m,15m,1h,1d,100t').split(',').map(tf => tf.trim()),
             processingInterval: 1000, // 1 second
             indicatorUpdateInterval: 5000, // 5 seconds
             saveInterval: 60000, // 1 minute
             cleanupInterval: 3600000, // 1 hour
+            backfillEnabled: process.env.DATA_BACKFILL_ENABLED !== 'false',
+            backfillWindow: parseInt(process.env.DATA_BACKFILL_WINDOW) || 3600, // seconds of history to restore
+            backfillTickCount: 5000, // Deriv ticks_history maximum per request
+            backfillMaxPages: 5,
+            candleGranularity: 60, // matches the 1-minute OHLC buckets
+            gapThreshold: 30, // seconds without ticks that count as a gap
+            maxGapFills: 10,
             supportedAssets: [
                 'R_10', 'R_25', 'R_50', 'R_75', 'R_100',
                 'BOOM500', 'BOOM1000', 'CRASH500', 'CRASH1000',
@@ -30,13 +40,23 @@ class DataProcessor extends EventEmitter {
             ]
         };
         
+        // 1-minute candles are the base every other time bucket is derived from
+        this.timeframes = new Map();
+        for (const timeframe of ['1m', ...this.config.timeframes]) {
+            const spec = this.parseTimeframe(timeframe);
+            this.timeframes.set(spec.key, spec);
+        }
+        
         // Statistics
         this.stats = {
             totalDataPoints: 0,
             processedDataPoints: 0,
             indicatorsCalculated: 0,
             lastProcessingTime: null,
-            processingErrors: 0
+            processingErrors: 0,
+            backfilledPoints: 0,
+            backfilledCandles: 0,
+            gapsFilled: 0
         };
         
         // Technical indicators calculator
@@ -56,6 +76,9 @@ class DataProcessor extends EventEmitter {
             // Load historical data
             await this.loadHistoricalData();
             
+            // Fill whatever the database missed while we were offline
+            await this.backfillHistoricalData();
+            
             // Set up data processing pipeline
             this.setupProcessingPipeline();
             
@@ -72,10 +95,16 @@ class DataProcessor extends EventEmitter {
         console.log('🏗️ Initializing data structures...');
         
         for (const asset of this.config.supportedAssets) {
+            const candles = {};
+            for (const key of this.timeframes.keys()) {
+                candles[key] = [];
+            }
+            
             this.marketData.set(asset, {
                 asset: asset,
                 rawData: [],
-                ohlc: [],
+                ohlc: candles['1m'],
+                candles: candles,
                 volume: [],
                 timestamps: [],
                 lastUpdate: null,
@@ -91,23 +120,29 @@ class DataProcessor extends EventEmitter {
                 momentum: []
             });
             
-            this.indicators.set(asset, {
-                asset: asset,
-                sma: { 5: [], 10: [], 20: [], 50: [] },
-                ema: { 12: [], 26: [] },
-                rsi: { 14: [] },
-                macd: { line: [], signal: [], histogram: [] },
-                bollinger: { upper: [], middle: [], lower: [] },
-                atr: { 14: [] },
-                stochastic: { k: [], d: [] },
-                support: [],
-                resistance: []
-            });
+            this.indicators.set(asset, this.createIndicatorSet(asset));
+            this.timeframeIndicators.set(asset, new Map());
         }
         
         console.log(`✅ Data structures initialized for ${this.config.supportedAssets.length} assets`);
     }
 
+    createIndicatorSet(asset, timeframe = null) {
+        return {
+            asset: asset,
+            timeframe: timeframe,
+            sma: { 5: [], 10: [], 20: [], 50: [] },
+            ema: { 12: [], 26: [] },
+            rsi: { 14: [] },
+            macd: { line: [], signal: [], histogram: [] },
+            bollinger: { upper: [], middle: [], lower: [] },
+            atr: { 14: [] },
+            stochastic: { k: [], d: [] },
+            support: [],
+            resistance: []
+        };
+    }
+
     async loadHistoricalData() {
         console.log('📈 Loading historical market data...');
         
@@ -120,8 +155,11 @@ class DataProcessor extends EventEmitter {
                 
                 if (historicalData && historicalData.length > 0) {
                     const assetData = this.marketData.get(asset);
-                    assetData.rawData = historicalData.slice(-this.config.maxHistoryLength);
+                    // Database rows come back newest first
+                    const chronological = [...historicalData].sort((a, b) => a.timestamp - b.timestamp);
+                    assetData.rawData = chronological.slice(-this.config.maxHistoryLength);
                     assetData.lastUpdate = new Date();
+                    this.setBaseCandles(asset, this.buildOHLC(assetData.rawData, []));
                     
                     // Process historical data
                     await this.processHistoricalData(asset);
@@ -149,6 +187,251 @@ class DataProcessor extends EventEmitter {
         }
     }
 
+    // ================================
+    // HISTORICAL BACKFILL
+    // ================================
+    async backfillHistoricalData() {
+        if (!this.config.backfillEnabled) return;
+        
+        const platforms = this.getComponent('platforms');
+        const connector = platforms && platforms.getPlatformConnector ? platforms.getPlatformConnector('deriv') : null;
+        
+        if (!connector || !connector.isConnected) {
+            console.log('⏭️ Skipping history backfill - Deriv is not connected');
+            return;
+        }
+        
+        console.log('⏪ Backfilling market history from Deriv...');
+        
+        for (const asset of this.config.supportedAssets) {
+            try {
+                await this.backfillAsset(asset, connector);
+            } catch (error) {
+                console.error(`❌ Backfill failed for ${asset}:`, error.message);
+                this.stats.processingErrors++;
+            }
+        }
+    }
+
+    async backfillAsset(asset, connector) {
+        const assetData = this.marketData.get(asset);
+        if (!assetData) return null;
+        
+        const symbol = this.toDerivSymbol(asset);
+        const now = Math.floor(Date.now() / 1000);
+        const windowStart = now - this.config.backfillWindow;
+        
+        // Everything we already hold, keyed by epoch second (the resolution the database stores)
+        const known = new Map();
+        for (const point of assetData.rawData) {
+            known.set(this.toEpoch(point.timestamp), point);
+        }
+        const persisted = new Set(known.keys());
+        
+        // Trailing gap: from the last point we have up to now
+        const lastKnown = known.size > 0 ? Math.max(...known.keys()) : null;
+        const trailingStart = lastKnown !== null ? Math.max(lastKnown + 1, windowStart) : windowStart;
+        
+        const fetched = await this.fetchTickRange(connector, symbol, trailingStart, 'latest');
+        this.mergePoints(known, fetched);
+        
+        // Interior gaps inside the backfill window
+        const gaps = this.findGaps(Array.from(known.keys()).filter(epoch => epoch >= windowStart));
+        let gapsFilled = 0;
+        
+        for (const gap of gaps.slice(0, this.config.maxGapFills)) {
+            const gapTicks = await this.fetchTickRange(connector, symbol, gap.from, gap.to);
+            if (this.mergePoints(known, gapTicks) > 0) {
+                gapsFilled++;
+            }
+        }
+        
+        const merged = Array.from(known.entries())
+            .sort((a, b) => a[0] - b[0])
+            .map(([, point]) => point);
+        const newPoints = merged.filter(point => !persisted.has(this.toEpoch(point.timestamp)));
+        
+        // Candles give accurate OHLC even where our own tick record is thin
+        const candles = await this.fetchCandles(connector, symbol, windowStart);
+        
+        assetData.rawData = merged.slice(-this.config.maxHistoryLength);
+        this.setBaseCandles(asset, this.buildOHLC(merged, candles));
+        
+        if (merged.length > 0) {
+            const latest = merged[merged.length - 1];
+            assetData.lastUpdate = new Date();
+            assetData.isActive = Date.now() - latest.timestamp.getTime() < 300000;
+        }
+        
+        if (newPoints.length > 0) {
+            const database = this.getComponent('database');
+            if (database) {
+                await database.saveMarketData(asset, newPoints);
+            }
+        }
+        
+        this.stats.backfilledPoints += newPoints.length;
+        this.stats.backfilledCandles += candles.length;
+        this.stats.gapsFilled += gapsFilled;
+        
+        if (assetData.rawData.length > 0) {
+            await this.processHistoricalData(asset);
+        }
+        
+        const summary = {
+            asset: asset,
+            ticks: newPoints.length,
+            candles: candles.length,
+            gapsFound: gaps.length,
+            gapsFilled: gapsFilled
+        };
+        
+        console.log(`⏪ ${asset}: ${summary.ticks} ticks, ${summary.candles} candles, ${gapsFilled}/${gaps.length} gaps filled`);
+        this.emit('backfill_complete', summary);
+        
+        return summary;
+    }
+
+    async fetchTickRange(connector, symbol, start, end) {
+        // ticks_history returns the newest `count` ticks in range, so page backwards until start is reached
+        let collected = [];
+        let pageEnd = end;
+        
+        for (let page = 0; page < this.config.backfillMaxPages; page++) {
+            const response = await connector.sendRequest({
+                ticks_history: symbol,
+                style: 'ticks',
+                start: start,
+                end: pageEnd,
+                count: this.config.backfillTickCount,
+                adjust_start_time: 1
+            });
+            
+            if (response.error) {
+                throw new Error(`ticks_history failed for ${symbol}: ${response.error.message}`);
+            }
+            
+            const history = response.history || { prices: [], times: [] };
+            const points = history.times.map((epoch, i) => this.createHistoricalPoint(history.prices[i], epoch));
+            collected = points.concat(collected);
+            
+            if (history.times.length < this.config.backfillTickCount || history.times[0] <= start) {
+                break;
+            }
+            pageEnd = history.times[0] - 1;
+        }
+        
+        return collected;
+    }
+
+    async fetchCandles(connector, symbol, start) {
+        const response = await connector.sendRequest({
+            ticks_history: symbol,
+            style: 'candles',
+            granularity: this.config.candleGranularity,
+            start: start,
+            end: 'latest',
+            count: this.config.backfillTickCount,
+            adjust_start_time: 1
+        });
+        
+        if (response.error) {
+            throw new Error(`Candle history failed for ${symbol}: ${response.error.message}`);
+        }
+        
+        return (response.candles || []).map(candle => ({
+            timestamp: new Date(candle.epoch * 1000),
+            open: parseFloat(candle.open),
+            high: parseFloat(candle.high),
+            low: parseFloat(candle.low),
+            close: parseFloat(candle.close),
+            volume: 0
+        }));
+    }
+
+    createHistoricalPoint(price, epoch) {
+        return {
+            price: parseFloat(price),
+            bid: parseFloat(price),
+            ask: parseFloat(price),
+            volume: 0,
+            spread: 0,
+            timestamp: new Date(epoch * 1000)
+        };
+    }
+
+    mergePoints(known, points) {
+        let added = 0;
+        for (const point of points) {
+            const epoch = this.toEpoch(point.timestamp);
+            if (!known.has(epoch)) {
+                known.set(epoch, point);
+                added++;
+            }
+        }
+        return added;
+    }
+
+    findGaps(epochs) {
+        const sorted = [...epochs].sort((a, b) => a - b);
+        const gaps = [];
+        
+        for (let i = 1; i < sorted.length; i++) {
+            if (sorted[i] - sorted[i - 1] > this.config.gapThreshold) {
+                gaps.push({ from: sorted[i - 1] + 1, to: sorted[i] - 1 });
+            }
+        }
+        
+        return gaps;
+    }
+
+    buildOHLC(points, candles) {
+        const buckets = new Map();
+        const bucketSize = this.config.candleGranularity * 1000;
+        
+        for (const point of points) {
+            const bucket = Math.floor(point.timestamp.getTime() / bucketSize) * bucketSize;
+            const existing = buckets.get(bucket);
+            
+            if (!existing) {
+                buckets.set(bucket, {
+                    timestamp: new Date(bucket),
+                    open: point.price,
+                    high: point.price,
+                    low: point.price,
+                    close: point.price,
+                    volume: point.volume || 0
+                });
+            } else {
+                existing.high = Math.max(existing.high, point.price);
+                existing.low = Math.min(existing.low, point.price);
+                existing.close = point.price;
+                existing.volume += point.volume || 0;
+            }
+        }
+        
+        // Deriv candles are built from every tick, so they win over our partial buckets
+        for (const candle of candles) {
+            const bucket = Math.floor(candle.timestamp.getTime() / bucketSize) * bucketSize;
+            const existing = buckets.get(bucket);
+            buckets.set(bucket, { ...candle, volume: existing ? existing.volume : candle.volume });
+        }
+        
+        return Array.from(buckets.values())
+            .sort((a, b) => a.timestamp - b.timestamp)
+            .slice(-this.config.maxHistoryLength);
+    }
+
+    toDerivSymbol(asset) {
+        // Forex pairs are tracked without Deriv's frx prefix
+        return /^[A-Z]{6}$/.test(asset) ? `frx${asset}` : asset;
+    }
+
+    toEpoch(timestamp) {
+        const time = timestamp instanceof Date ? timestamp.getTime() : new Date(timestamp).getTime();
+        return Math.floor(time / 1000);
+    }
+
     setupProcessingPipeline() {
         console.log('⚙️ Setting up data processing pipeline...');
         
@@ -255,34 +538,184 @@ class DataProcessor extends EventEmitter {
 
     updateOHLC(asset, dataPoint) {
         const assetData = this.marketData.get(asset);
-        const currentMinute = Math.floor(dataPoint.timestamp.getTime() / 60000);
-        
-        // Get or create current minute OHLC
-        let currentOHLC = assetData.ohlc[assetData.ohlc.length - 1];
-        
-        if (!currentOHLC || Math.floor(currentOHLC.timestamp.getTime() / 60000) !== currentMinute) {
-            // New minute, create new OHLC
-            currentOHLC = {
-                timestamp: new Date(currentMinute * 60000),
-                open: dataPoint.price,
-                high: dataPoint.price,
-                low: dataPoint.price,
-                close: dataPoint.price,
-                volume: dataPoint.volume
-            };
-            assetData.ohlc.push(currentOHLC);
-        } else {
-            // Update existing OHLC
-            currentOHLC.high = Math.max(currentOHLC.high, dataPoint.price);
-            currentOHLC.low = Math.min(currentOHLC.low, dataPoint.price);
-            currentOHLC.close = dataPoint.price;
-            currentOHLC.volume += dataPoint.volume;
+        
+        for (const [key, spec] of this.timeframes) {
+            const series = assetData.candles[key];
+            const lastCandle = series[series.length - 1];
+            
+            if (this.startsNewCandle(spec, lastCandle, dataPoint)) {
+                series.push({
+                    timestamp: spec.type === 'tick' ? dataPoint.timestamp : this.getBucketStart(spec, dataPoint.timestamp),
+                    open: dataPoint.price,
+                    high: dataPoint.price,
+                    low: dataPoint.price,
+                    close: dataPoint.price,
+                    volume: dataPoint.volume,
+                    ticks: 1
+                });
+            } else {
+                lastCandle.high = Math.max(lastCandle.high, dataPoint.price);
+                lastCandle.low = Math.min(lastCandle.low, dataPoint.price);
+                lastCandle.close = dataPoint.price;
+                lastCandle.volume += dataPoint.volume;
+                lastCandle.ticks = (lastCandle.ticks || 0) + 1;
+            }
+            
+            // Rolling window per timeframe
+            if (series.length > this.config.maxHistoryLength) {
+                series.shift();
+            }
+        }
+    }
+
+    startsNewCandle(spec, lastCandle, dataPoint) {
+        if (!lastCandle) return true;
+        
+        if (spec.type === 'tick') {
+            return (lastCandle.ticks || 0) >= spec.ticks;
+        }
+        
+        return this.getBucketStart(spec, dataPoint.timestamp).getTime() !== lastCandle.timestamp.getTime();
+    }
+
+    // ================================
+    // TIMEFRAMES
+    // ================================
+    parseTimeframe(timeframe) {
+        // Bare numbers are minutes, matching strategy.parameters.timeframe
+        const value = typeof timeframe === 'number' ? `${timeframe}m` : String(timeframe).trim();
+        const match = /^(\d+)(t|s|m|h|d)$/.exec(value);
+        
+        if (!match || parseInt(match[1]) <= 0) {
+            throw new Error(`Invalid timeframe: ${timeframe}`);
         }
         
-        // Maintain OHLC size limit
-        if (assetData.ohlc.length > this.config.maxHistoryLength) {
-            assetData.ohlc.shift();
+        const size = parseInt(match[1]);
+        if (match[2] === 't') {
+            return { key: value, type: 'tick', ticks: size };
         }
+        
+        const unitMs = { s: 1000, m: 60000, h: 3600000, d: 86400000 }[match[2]];
+        return { key: value, type: 'time', ms: size * unitMs };
+    }
+
+    getBucketStart(spec, timestamp) {
+        const time = timestamp instanceof Date ? timestamp.getTime() : new Date(timestamp).getTime();
+        return new Date(Math.floor(time / spec.ms) * spec.ms);
+    }
+
+    ensureTimeframe(timeframe) {
+        const spec = this.parseTimeframe(timeframe);
+        
+        if (!this.timeframes.has(spec.key)) {
+            // Strategies may ask for frames nobody configured; start maintaining them from what we hold
+            this.timeframes.set(spec.key, spec);
+            
+            for (const asset of this.config.supportedAssets) {
+                const assetData = this.marketData.get(asset);
+                assetData.candles[spec.key] = this.buildTimeframe(assetData, spec);
+            }
+            
+            console.log(`🕯️ Now aggregating ${spec.key} candles`);
+        }
+        
+        return spec.key;
+    }
+
+    setBaseCandles(asset, candles) {
+        const assetData = this.marketData.get(asset);
+        
+        assetData.candles['1m'] = candles;
+        assetData.ohlc = candles;
+        
+        for (const [key, spec] of this.timeframes) {
+            if (key !== '1m') {
+                assetData.candles[key] = this.buildTimeframe(assetData, spec);
+            }
+        }
+    }
+
+    buildTimeframe(assetData, spec) {
+        if (spec.type === 'tick') {
+            return this.buildTickBars(assetData.rawData, spec.ticks);
+        }
+        
+        // Frames finer than a minute (or not a whole number of minutes) come straight from ticks
+        const source = spec.ms >= 60000 && spec.ms % 60000 === 0 ? assetData.candles['1m'] : null;
+        return source ? this.resampleCandles(source, spec) : this.resampleTicks(assetData.rawData, spec);
+    }
+
+    resampleCandles(candles, spec) {
+        const buckets = new Map();
+        
+        for (const candle of candles) {
+            const bucket = this.getBucketStart(spec, candle.timestamp).getTime();
+            const existing = buckets.get(bucket);
+            
+            if (!existing) {
+                buckets.set(bucket, { ...candle, timestamp: new Date(bucket), ticks: candle.ticks || 0 });
+            } else {
+                existing.high = Math.max(existing.high, candle.high);
+                existing.low = Math.min(existing.low, candle.low);
+                existing.close = candle.close;
+                existing.volume += candle.volume || 0;
+                existing.ticks += candle.ticks || 0;
+            }
+        }
+        
+        return Array.from(buckets.values()).slice(-this.config.maxHistoryLength);
+    }
+
+    resampleTicks(points, spec) {
+        const candles = points.map(point => ({
+            timestamp: point.timestamp,
+            open: point.price,
+            high: point.price,
+            low: point.price,
+            close: point.price,
+            volume: point.volume || 0,
+            ticks: 1
+        }));
+        
+        return this.resampleCandles(candles, spec);
+    }
+
+    buildTickBars(points, ticksPerBar) {
+        const bars = [];
+        
+        for (const point of points) {
+            const lastBar = bars[bars.length - 1];
+            
+            if (!lastBar || lastBar.ticks >= ticksPerBar) {
+                bars.push({
+                    timestamp: point.timestamp,
+                    open: point.price,
+                    high: point.price,
+                    low: point.price,
+                    close: point.price,
+                    volume: point.volume || 0,
+                    ticks: 1
+                });
+            } else {
+                lastBar.high = Math.max(lastBar.high, point.price);
+                lastBar.low = Math.min(lastBar.low, point.price);
+                lastBar.close = point.price;
+                lastBar.volume += point.volume || 0;
+                lastBar.ticks++;
+            }
+        }
+        
+        return bars.slice(-this.config.maxHistoryLength);
+    }
+
+    getCandles(asset, timeframe = '1m', limit = null) {
+        const assetData = this.marketData.get(asset);
+        if (!assetData) return [];
+        
+        const key = this.ensureTimeframe(timeframe);
+        const series = assetData.candles[key] || [];
+        
+        return limit ? series.slice(-limit) : series;
     }
 
     processRealtimeData() {
@@ -356,19 +789,40 @@ class DataProcessor extends EventEmitter {
             
             if (assetData.isActive && assetData.rawData.length >= 50) {
                 this.calculateAllIndicators(asset);
+                
+                for (const timeframe of this.timeframeIndicators.get(asset).keys()) {
+                    this.calculateAllIndicators(asset, timeframe);
+                }
             }
         }
     }
 
-    async calculateAllIndicators(asset) {
+    async calculateAllIndicators(asset, timeframe = null) {
         try {
             const assetData = this.marketData.get(asset);
-            const indicators = this.indicators.get(asset);
-            const prices = assetData.rawData.map(d => d.price);
-            const highs = assetData.ohlc.map(d => d.high);
-            const lows = assetData.ohlc.map(d => d.low);
-            const closes = assetData.ohlc.map(d => d.close);
-            const volumes = assetData.ohlc.map(d => d.volume);
+            let indicators;
+            let prices;
+            let candles;
+            
+            if (timeframe === null) {
+                // Default set: tick prices with 1-minute candles for range-based indicators
+                indicators = this.indicators.get(asset);
+                prices = assetData.rawData.map(d => d.price);
+                candles = assetData.ohlc;
+            } else {
+                const key = this.ensureTimeframe(timeframe);
+                const perTimeframe = this.timeframeIndicators.get(asset);
+                if (!perTimeframe.has(key)) {
+                    perTimeframe.set(key, this.createIndicatorSet(asset, key));
+                }
+                indicators = perTimeframe.get(key);
+                candles = assetData.candles[key];
+                prices = candles.map(d => d.close);
+            }
+            
+            const highs = candles.map(d => d.high);
+            const lows = candles.map(d => d.low);
+            const closes = candles.map(d => d.close);
             
             // Moving Averages
             indicators.sma[5] = this.technicalIndicators.sma(prices, 5);
@@ -416,12 +870,16 @@ class DataProcessor extends EventEmitter {
             // Emit indicator update
             this.emit('indicators_updated', {
                 asset: asset,
+                timeframe: indicators.timeframe,
                 indicators: indicators,
                 timestamp: new Date()
             });
             
+            return indicators;
+            
         } catch (error) {
             console.error(`❌ Error calculating indicators for ${asset}:`, error);
+            return null;
         }
     }
 
@@ -747,10 +1205,11 @@ class DataProcessor extends EventEmitter {
                 d => d.timestamp.getTime() > cutoffTime
             );
             
-            // Remove old OHLC data
-            assetData.ohlc = assetData.ohlc.filter(
+            // Remove old 1-minute candles (longer timeframes are bounded by their rolling window)
+            assetData.candles['1m'] = assetData.ohlc.filter(
                 d => d.timestamp.getTime() > cutoffTime
             );
+            assetData.ohlc = assetData.candles['1m'];
             
             // Check if asset is still active
             if (assetData.lastUpdate && Date.now() - assetData.lastUpdate.getTime() > 300000) {
@@ -795,17 +1254,35 @@ class DataProcessor extends EventEmitter {
         return result;
     }
 
-    getAssetData(asset) {
+    getAssetData(asset, timeframe = null) {
         const assetData = this.marketData.get(asset);
-        const indicators = this.indicators.get(asset);
         const processed = this.processedData.get(asset);
         
         if (!assetData || !assetData.isActive) return null;
         
+        if (timeframe === null) {
+            return {
+                asset: asset,
+                data: assetData,
+                indicators: this.indicators.get(asset),
+                processed: processed,
+                isActive: assetData.isActive
+            };
+        }
+        
+        const key = this.ensureTimeframe(timeframe);
+        const perTimeframe = this.timeframeIndicators.get(asset);
+        if (!perTimeframe.has(key)) {
+            // Registers the timeframe so updateAllIndicators keeps it fresh from now on
+            perTimeframe.set(key, this.createIndicatorSet(asset, key));
+        }
+        
         return {
             asset: asset,
+            timeframe: key,
             data: assetData,
-            indicators: indicators,
+            candles: assetData.candles[key],
+            indicators: perTimeframe.get(key),
             processed: processed,
             isActive: assetData.isActive
         };
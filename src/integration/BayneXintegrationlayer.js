@@ -78,9 +78,12 @@ class BayneXIntegrationLayer extends EventEmitter {
         console.log('🚌 Setting up Event Bus...');
 
         // Core trading events
-        this.eventBus.on('core:trade_signal', this.handleTradeSignal.bind(this));
+        this.eventBus.on('strategyManager:trade_signal', this.handleTradeSignal.bind(this));
         this.eventBus.on('core:trade_executed', this.handleTradeExecuted.bind(this));
         this.eventBus.on('core:trade_closed', this.handleTradeClosed.bind(this));
+        this.eventBus.on('exitManager:contract_sold', this.handleContractSold.bind(this));
+        this.eventBus.on('reconciler:trades_reconciled', this.handleTradesReconciled.bind(this));
+        this.eventBus.on('scheduler:session_changed', this.handleSessionChanged.bind(this));
 
         // AI learning events
         this.eventBus.on('ai:pattern_detected', this.handlePatternDetected.bind(this));
@@ -91,6 +94,7 @@ class BayneXIntegrationLayer extends EventEmitter {
         this.eventBus.on('risk:limit_exceeded', this.handleRiskLimitExceeded.bind(this));
         this.eventBus.on('risk:emergency_stop', this.handleEmergencyStop.bind(this));
         this.eventBus.on('risk:position_adjusted', this.handlePositionAdjusted.bind(this));
+        this.eventBus.on('riskManager:circuit_breaker_changed', this.handleCircuitBreakerChanged.bind(this));
 
         // Platform events
         this.eventBus.on('platform:connected', this.handlePlatformConnected.bind(this));
@@ -100,6 +104,7 @@ class BayneXIntegrationLayer extends EventEmitter {
         // Data events
         this.eventBus.on('data:market_update', this.handleMarketUpdate.bind(this));
         this.eventBus.on('data:analysis_complete', this.handleAnalysisComplete.bind(this));
+        this.eventBus.on('regimeDetector:regime_changed', this.handleRegimeChanged.bind(this));
 
         // Goal tracking events
         this.eventBus.on('goals:target_reached', this.handleTargetReached.bind(this));
@@ -263,12 +268,6 @@ class BayneXIntegrationLayer extends EventEmitter {
         
         const trade = data.data[0];
         
-        // Update goal tracker
-        const goalTracker = this.getComponent('goalTracker');
-        if (goalTracker) {
-            await goalTracker.recordTrade(trade);
-        }
-        
         // Send notifications
         const notifications = this.getComponent('notifications');
         if (notifications) {
@@ -302,10 +301,10 @@ class BayneXIntegrationLayer extends EventEmitter {
             await strategyManager.updateStrategyPerformance(trade);
         }
         
-        // Check goal achievements
+        // Count the outcome towards goals
         const goalTracker = this.getComponent('goalTracker');
         if (goalTracker) {
-            await goalTracker.checkAchievements(trade);
+            goalTracker.onTradeExecuted({ ...trade, pnl: trade.profit, timestamp: trade.exitTime || Date.now() });
         }
         
         // Voice announcement for significant trades
@@ -402,6 +401,112 @@ class BayneXIntegrationLayer extends EventEmitter {
         this.throttledDashboardUpdate('market_data', marketData);
     }
 
+    // ================================
+    // DASHBOARD FORWARDING
+    // ================================
+    handleStrategyEvolved(data) {
+        this.broadcastToClients('strategy_evolved', data.data[0]);
+    }
+
+    handleLearningUpdate(data) {
+        this.throttledDashboardUpdate('learning_update', data.data[0]);
+    }
+
+    handleRiskLimitExceeded(data) {
+        console.log('🛡️ Risk limit exceeded:', data.data[0]);
+        this.broadcastToClients('risk_limit_exceeded', data.data[0]);
+    }
+
+    handlePositionAdjusted(data) {
+        this.broadcastToClients('position_adjusted', data.data[0]);
+    }
+
+    // Pauses go out on every channel; reduced, recovering and restored stakes only to Telegram
+    async handleCircuitBreakerChanged(data) {
+        const change = data.data[0];
+        console.log(`🛡️ ${change.description}`);
+        
+        const notifications = this.getComponent('notifications');
+        if (notifications) {
+            await notifications.sendSystemAlert({
+                type: 'circuit_breaker',
+                message: change.description,
+                status: change.to,
+                critical: change.to === 'paused'
+            });
+        }
+        
+        // The dashboard's breaker panel refreshes on this message
+        const web = this.getComponent('web');
+        if (web) {
+            web.broadcastCircuitBreaker(change);
+        }
+    }
+
+    handlePlatformConnected(data) {
+        console.log('🔗 Platform connected:', data.data[0]);
+        this.broadcastToClients('platform_connected', data.data[0]);
+    }
+
+    handlePlatformDisconnected(data) {
+        console.log('🔌 Platform disconnected:', data.data[0]);
+        this.broadcastToClients('platform_disconnected', data.data[0]);
+    }
+
+    handlePlatformError(data) {
+        console.error('❌ Platform error:', data.data[0]);
+        this.broadcastToClients('platform_error', data.data[0]);
+    }
+
+    handleAnalysisComplete(data) {
+        this.throttledDashboardUpdate('analysis_complete', data.data[0]);
+    }
+
+    handleRegimeChanged(data) {
+        const change = data.data[0];
+        console.log(`🧭 Regime change on ${change.asset}: ${change.from || 'unknown'} → ${change.to}`);
+        this.broadcastToClients('regime_changed', change);
+    }
+
+    handleContractSold(data) {
+        const exit = data.data[0];
+        console.log(`🚪 Contract ${exit.contractId} sold early (${exit.reason}): ${exit.profit >= 0 ? '+' : ''}${exit.profit}`);
+        this.broadcastToClients('contract_sold', exit);
+    }
+
+    handleTradesReconciled(data) {
+        const report = data.data[0];
+        this.broadcastToClients('trades_reconciled', {
+            resumed: report.resumed.length,
+            settled: report.settled.length,
+            orphaned: report.orphaned.length,
+            deferred: report.deferred.length,
+            dailyStats: report.dailyStats
+        });
+    }
+
+    handleSessionChanged(data) {
+        const change = data.data[0];
+        console.log(`🕒 ${change.description}`);
+        this.broadcastToClients('session_changed', change);
+    }
+
+    handleMilestoneAchieved(data) {
+        this.broadcastToClients('milestone_achieved', data.data[0]);
+    }
+
+    handleStrategyPerformance(data) {
+        this.throttledDashboardUpdate('strategy_performance', data.data[0]);
+    }
+
+    handleStrategyRetired(data) {
+        this.broadcastToClients('strategy_retired', data.data[0]);
+    }
+
+    handleStrategyCreated(data) {
+        this.broadcastToClients('strategy_created', data.data[0]);
+    }
+
     // ================================
     // UTILITY METHODS
     // ================================
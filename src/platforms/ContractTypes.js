@@ -0,0 +1,256 @@
+// ================================
+// BAYNEX.A.X CONTRACT TYPES
+// Deriv contract families, their parameters and validation
+// ================================
+//
+// A trade's direction is its Deriv contract type:
+//
+//   rise_fall         CALL / PUT                  no barrier
+//   higher_lower      CALL / PUT                  barrier
+//   touch             ONETOUCH / NOTOUCH          barrier
+//   ends_range        EXPIRYRANGE / EXPIRYMISS    barrier (high) and barrier2 (low), judged at expiry
+//   stays_range       RANGE / UPORDOWN            barrier (high) and barrier2 (low), judged throughout
+//   digits            DIGITMATCH / DIGITDIFF      digit 0-9 as barrier
+//                     DIGITOVER / DIGITUNDER      digit 0-8 / 1-9 as barrier
+//                     DIGITEVEN / DIGITODD        no barrier
+//   multiplier        MULTUP / MULTDOWN           multiplier, optional stopLoss / takeProfit, no expiry
+//
+// CALL and MULTUP win when the price rises (side 1), PUT and MULTDOWN when it falls (side -1);
+// the other families do not bet on a direction.
+//
+// Price barriers follow the Deriv convention: "+0.5" / "-0.5" are offsets from the entry spot,
+// plain numbers are absolute. Digit contracts last 1 to 10 ticks.
+
+const CONTRACT_TYPES = {
+    CALL: { family: 'rise_fall', opposite: 'PUT', side: 1 },
+    PUT: { family: 'rise_fall', opposite: 'CALL', side: -1 },
+    ONETOUCH: { family: 'touch', barriers: 1, opposite: 'NOTOUCH' },
+    NOTOUCH: { family: 'touch', barriers: 1, opposite: 'ONETOUCH' },
+    EXPIRYRANGE: { family: 'ends_range', barriers: 2, opposite: 'EXPIRYMISS' },
+    EXPIRYMISS: { family: 'ends_range', barriers: 2, opposite: 'EXPIRYRANGE' },
+    RANGE: { family: 'stays_range', barriers: 2, opposite: 'UPORDOWN' },
+    UPORDOWN: { family: 'stays_range', barriers: 2, opposite: 'RANGE' },
+    DIGITMATCH: { family: 'digits', digit: [0, 9], opposite: 'DIGITDIFF' },
+    DIGITDIFF: { family: 'digits', digit: [0, 9], opposite: 'DIGITMATCH' },
+    DIGITOVER: { family: 'digits', digit: [0, 8], opposite: 'DIGITUNDER' },
+    DIGITUNDER: { family: 'digits', digit: [1, 9], opposite: 'DIGITOVER' },
+    DIGITEVEN: { family: 'digits', opposite: 'DIGITODD' },
+    DIGITODD: { family: 'digits', opposite: 'DIGITEVEN' },
+    MULTUP: { family: 'multiplier', opposite: 'MULTDOWN', side: 1 },
+    MULTDOWN: { family: 'multiplier', opposite: 'MULTUP', side: -1 }
+};
+
+const DURATION_UNITS = { t: 2, s: 1, m: 60, h: 3600, d: 86400 }; // seconds per unit, ticks approximated
+const MAX_DIGIT_TICKS = 10;
+
+class ContractError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ContractError';
+    }
+}
+
+const getContractType = (direction) => {
+    const type = String(direction || '').toUpperCase();
+    return CONTRACT_TYPES[type] ? type : null;
+};
+
+// CALL/PUT with a barrier are Deriv's higher/lower contracts
+const getFamily = (params) => {
+    const type = getContractType(params.direction);
+    if (!type) return null;
+
+    const family = CONTRACT_TYPES[type].family;
+    return family === 'rise_fall' && hasValue(params.barrier) ? 'higher_lower' : family;
+};
+
+const getOpposite = (direction) => {
+    const type = getContractType(direction);
+    return type ? CONTRACT_TYPES[type].opposite : null;
+};
+
+// 1 for contracts that win on a rise, -1 on a fall, 0 for the rest
+const getMarketSide = (direction) => {
+    const type = getContractType(direction);
+    return type ? CONTRACT_TYPES[type].side || 0 : 0;
+};
+
+// Multipliers pay out whatever the market gives, so there is no payout ratio to price against
+const hasFixedPayout = (direction) => {
+    const type = getContractType(direction);
+    return !!type && CONTRACT_TYPES[type].family !== 'multiplier';
+};
+
+// Chance a digit contract wins, the last digit of the exit tick being uniformly random
+const getDigitWinProbability = (direction, barrier) => {
+    const digit = Number(barrier);
+    switch (getContractType(direction)) {
+        case 'DIGITMATCH': return 0.1;
+        case 'DIGITDIFF': return 0.9;
+        case 'DIGITOVER': return (9 - digit) / 10;
+        case 'DIGITUNDER': return digit / 10;
+        case 'DIGITEVEN':
+        case 'DIGITODD': return 0.5;
+        default: return null;
+    }
+};
+
+const hasValue = (value) => value !== undefined && value !== null && value !== '';
+
+const isRelativeBarrier = (barrier) => /^[+-]/.test(String(barrier));
+
+const parseBarrier = (barrier, label) => {
+    const value = String(barrier).trim();
+    if (!/^[+-]?\d+(\.\d+)?$/.test(value)) {
+        throw new ContractError(`${label} must be a number or an offset like +0.5, got ${barrier}`);
+    }
+    return value;
+};
+
+const validateDuration = (type, family, duration, durationUnit) => {
+    if (family === 'multiplier') return;
+
+    if (!DURATION_UNITS[durationUnit]) {
+        throw new ContractError(`Duration unit must be one of ${Object.keys(DURATION_UNITS).join(', ')}`);
+    }
+    if (!Number.isInteger(duration) || duration <= 0) {
+        throw new ContractError(`Duration must be a positive whole number, got ${duration}`);
+    }
+    if (family === 'digits' && (durationUnit !== 't' || duration > MAX_DIGIT_TICKS)) {
+        throw new ContractError(`${type} contracts last 1 to ${MAX_DIGIT_TICKS} ticks`);
+    }
+};
+
+const validateBarriers = (type, definition, params) => {
+    const expected = definition.barriers || 0;
+    const { barrier, barrier2 } = params;
+
+    if (definition.digit) {
+        const [min, max] = definition.digit;
+        const digit = Number(barrier);
+        if (!hasValue(barrier) || !Number.isInteger(digit) || digit < min || digit > max) {
+            throw new ContractError(`${type} needs a digit from ${min} to ${max} as its barrier`);
+        }
+        if (hasValue(barrier2)) {
+            throw new ContractError(`${type} takes a single digit barrier`);
+        }
+        return { barrier: String(digit), barrier2: null };
+    }
+
+    // Rise/fall accepts an optional barrier, which turns it into higher/lower
+    if (definition.family === 'rise_fall') {
+        if (hasValue(barrier2)) {
+            throw new ContractError(`${type} takes at most one barrier`);
+        }
+        return { barrier: hasValue(barrier) ? parseBarrier(barrier, 'Barrier') : null, barrier2: null };
+    }
+
+    if (expected === 0) {
+        if (hasValue(barrier) || hasValue(barrier2)) {
+            throw new ContractError(`${type} does not take a barrier`);
+        }
+        return { barrier: null, barrier2: null };
+    }
+
+    if (!hasValue(barrier)) {
+        throw new ContractError(`${type} needs a barrier`);
+    }
+    const high = parseBarrier(barrier, 'Barrier');
+
+    if (expected === 1) {
+        if (hasValue(barrier2)) {
+            throw new ContractError(`${type} takes a single barrier`);
+        }
+        if (isRelativeBarrier(high) && parseFloat(high) === 0) {
+            throw new ContractError(`${type} barrier cannot sit on the entry spot`);
+        }
+        return { barrier: high, barrier2: null };
+    }
+
+    if (!hasValue(barrier2)) {
+        throw new ContractError(`${type} needs a high barrier and a low barrier2`);
+    }
+    const low = parseBarrier(barrier2, 'Barrier2');
+
+    if (isRelativeBarrier(high) !== isRelativeBarrier(low)) {
+        throw new ContractError(`${type} barriers must both be offsets or both be absolute prices`);
+    }
+    if (parseFloat(high) <= parseFloat(low)) {
+        throw new ContractError(`${type} high barrier ${high} must be above the low barrier ${low}`);
+    }
+    return { barrier: high, barrier2: low };
+};
+
+const validateMultiplier = (type, params) => {
+    const multiplier = Number(params.multiplier);
+    if (!Number.isFinite(multiplier) || multiplier < 1) {
+        throw new ContractError(`${type} needs a multiplier of at least 1`);
+    }
+
+    const limits = {};
+    for (const [key, label] of [['stopLoss', 'Stop loss'], ['takeProfit', 'Take profit']]) {
+        if (!hasValue(params[key])) continue;
+
+        const value = Number(params[key]);
+        if (!Number.isFinite(value) || value <= 0) {
+            throw new ContractError(`${label} must be a positive amount, got ${params[key]}`);
+        }
+        limits[key] = value;
+    }
+
+    return { multiplier, stopLoss: limits.stopLoss || null, takeProfit: limits.takeProfit || null };
+};
+
+// Checks the contract fields of a trade and returns them normalized; throws ContractError otherwise
+const validateContract = (params) => {
+    const type = getContractType(params.direction);
+    if (!type) {
+        throw new ContractError(`Direction must be one of ${Object.keys(CONTRACT_TYPES).join(', ')}`);
+    }
+
+    const definition = CONTRACT_TYPES[type];
+    const family = getFamily(params);
+
+    if (family !== 'multiplier' && (hasValue(params.multiplier) || hasValue(params.stopLoss) || hasValue(params.takeProfit))) {
+        throw new ContractError(`Multiplier, stop loss and take profit only apply to MULTUP / MULTDOWN`);
+    }
+
+    const durationUnit = params.durationUnit || (family === 'digits' ? 't' : 's');
+    const duration = family === 'multiplier' ? null : Number(params.duration);
+    validateDuration(type, family, duration, durationUnit);
+
+    const contract = {
+        contractType: type,
+        family,
+        ...validateBarriers(type, definition, params),
+        duration,
+        durationUnit: family === 'multiplier' ? null : durationUnit,
+        multiplier: null,
+        stopLoss: null,
+        takeProfit: null
+    };
+
+    if (family === 'multiplier') {
+        Object.assign(contract, validateMultiplier(type, params));
+    }
+
+    return contract;
+};
+
+const durationInSeconds = (duration, durationUnit = 's') => {
+    return duration * (DURATION_UNITS[durationUnit] || 1);
+};
+
+module.exports = {
+    CONTRACT_TYPES,
+    DURATION_UNITS,
+    ContractError,
+    getContractType,
+    getFamily,
+    getOpposite,
+    getMarketSide,
+    hasFixedPayout,
+    getDigitWinProbability,
+    validateContract,
+    durationInSeconds
+};
@@ -3,6 +3,7 @@
 
 const WebSocket = require('ws');
 const { EventEmitter } = require('events');
+const { CONTRACT_TYPES, validateContract, durationInSeconds } = require('./ContractTypes');
 
 class DerivConnector extends EventEmitter {
     constructor(options = {}) {
@@ -29,6 +30,7 @@ class DerivConnector extends EventEmitter {
         this.balance = 0;
         this.currency = 'USD';
         this.activeContracts = new Map();
+        this.closedContracts = new Map(); // kept so getTradeStatus can report settlement
         this.marketData = new Map();
         
         this.stats = {
@@ -45,6 +47,7 @@ class DerivConnector extends EventEmitter {
             minAmount: 0.35, // Minimum trade amount for Deriv
             maxAmount: 1000,
             defaultDuration: 300, // 5 minutes
+            contractTypes: Object.keys(CONTRACT_TYPES),
             supportedAssets: [
                 'R_10', 'R_25', 'R_50', 'R_75', 'R_100', // Volatility indices
                 'frxEURUSD', 'frxGBPUSD', 'frxUSDJPY', 'frxAUDUSD', // Forex
@@ -191,35 +194,21 @@ class DerivConnector extends EventEmitter {
                 asset = 'R_10',
                 direction = 'CALL',
                 amount = 1.0,
-                duration = 300,
-                barrier = null,
-                basis = 'stake'
+                duration = 300
             } = params;
             
             console.log(`🎯 Executing trade: ${direction} ${asset} - Amount: ${amount}`);
             
             // Validate trade parameters
-            this.validateTradeParams(params);
+            const contract = this.validateTradeParams({ ...params, asset, direction, amount, duration });
             
             // Prepare contract parameters
             const contractParams = {
                 buy: 1,
                 price: amount,
-                parameters: {
-                    contract_type: direction.toLowerCase(),
-                    symbol: asset,
-                    duration: duration,
-                    duration_unit: 's',
-                    basis: basis,
-                    amount: amount
-                }
+                parameters: this.buildContractParameters(contract, { ...params, asset, amount })
             };
             
-            // Add barrier for barrier options
-            if (barrier) {
-                contractParams.parameters.barrier = barrier;
-            }
-            
             // Execute the trade
             const response = await this.sendRequest(contractParams);
             
@@ -228,33 +217,44 @@ class DerivConnector extends EventEmitter {
                 throw new Error(`Trade execution failed: ${response.error.message}`);
             }
             
-            const contract = response.buy;
+            const bought = response.buy;
             const trade = {
-                id: contract.contract_id,
-                contractId: contract.contract_id,
+                id: bought.contract_id,
+                contractId: bought.contract_id,
                 platform: 'deriv',
                 asset: asset,
-                direction: direction.toUpperCase(),
+                direction: contract.contractType,
+                family: contract.family,
                 amount: amount,
-                entryPrice: contract.start_spot,
-                entryTime: new Date(contract.start_time * 1000),
-                expiryTime: new Date((contract.start_time + duration) * 1000),
+                entryPrice: bought.start_spot,
+                entryTime: new Date(bought.start_time * 1000),
+                // Multipliers run until sold, stopped out or closed by their limit orders
+                expiryTime: contract.duration
+                    ? new Date((bought.start_time + durationInSeconds(contract.duration, contract.durationUnit)) * 1000)
+                    : null,
+                duration: contract.duration,
+                durationUnit: contract.durationUnit,
+                barrier: contract.barrier,
+                barrier2: contract.barrier2,
+                multiplier: contract.multiplier,
+                stopLoss: contract.stopLoss,
+                takeProfit: contract.takeProfit,
                 status: 'active',
-                payout: contract.payout,
-                cost: contract.buy_price
+                payout: bought.payout,
+                cost: bought.buy_price
             };
             
             // Store active contract
-            this.activeContracts.set(contract.contract_id, trade);
+            this.activeContracts.set(bought.contract_id, trade);
             
             // Update statistics
             this.stats.totalTrades++;
             this.stats.lastTradeTime = Date.now();
             
-            console.log(`✅ Trade executed successfully: ${contract.contract_id}`);
+            console.log(`✅ Trade executed successfully: ${bought.contract_id}`);
             
             // Subscribe to contract updates
-            this.subscribeToContract(contract.contract_id);
+            this.subscribeToContract(bought.contract_id);
             
             this.emit('trade_executed', trade);
             
@@ -267,6 +267,78 @@ class DerivConnector extends EventEmitter {
         }
     }
     
+    // Quotes a contract without buying it; the payout ratio is profit per unit staked on a win
+    async getProposal(params) {
+        const {
+            asset = 'R_10',
+            direction = 'CALL',
+            amount = 1.0,
+            duration = this.tradingConfig.defaultDuration
+        } = params;
+        
+        const contract = validateContract({ ...params, direction, duration });
+        
+        const request = {
+            proposal: 1,
+            ...this.buildContractParameters(contract, { ...params, asset, amount })
+        };
+        
+        const response = await this.sendRequest(request);
+        if (response.error) {
+            throw new Error(`Proposal failed: ${response.error.message}`);
+        }
+        
+        const proposal = response.proposal;
+        const askPrice = parseFloat(proposal.ask_price);
+        const payout = parseFloat(proposal.payout);
+        
+        return {
+            proposalId: proposal.id,
+            askPrice: askPrice,
+            payout: payout,
+            payoutRatio: (payout - askPrice) / askPrice,
+            spot: proposal.spot,
+            longcode: proposal.longcode
+        };
+    }
+    
+    // Deriv contract parameters shared by buy and proposal requests
+    buildContractParameters(contract, { asset, amount, basis = 'stake' }) {
+        const parameters = {
+            amount: amount,
+            basis: basis,
+            contract_type: contract.contractType,
+            currency: this.currency,
+            symbol: asset
+        };
+        
+        if (contract.duration) {
+            parameters.duration = contract.duration;
+            parameters.duration_unit = contract.durationUnit;
+        }
+        
+        if (contract.barrier !== null) {
+            parameters.barrier = contract.barrier;
+        }
+        
+        if (contract.barrier2 !== null) {
+            parameters.barrier2 = contract.barrier2;
+        }
+        
+        if (contract.family === 'multiplier') {
+            parameters.multiplier = contract.multiplier;
+            
+            const limitOrder = {};
+            if (contract.stopLoss) limitOrder.stop_loss = contract.stopLoss;
+            if (contract.takeProfit) limitOrder.take_profit = contract.takeProfit;
+            if (Object.keys(limitOrder).length > 0) {
+                parameters.limit_order = limitOrder;
+            }
+        }
+        
+        return parameters;
+    }
+    
     async subscribeToContract(contractId) {
         try {
             await this.sendRequest({
@@ -279,15 +351,18 @@ class DerivConnector extends EventEmitter {
         }
     }
     
+    // Returns the normalized contract; throws when the trade cannot be placed
     validateTradeParams(params) {
-        const { asset, direction, amount } = params;
+        const { asset, amount } = params;
         
         if (!asset) {
             throw new Error('Asset is required');
         }
         
-        if (!direction || !['CALL', 'PUT'].includes(direction.toUpperCase())) {
-            throw new Error('Direction must be CALL or PUT');
+        const contract = validateContract(params);
+        
+        if (contract.family === 'multiplier' && params.basis && params.basis !== 'stake') {
+            throw new Error('Multiplier contracts are bought by stake');
         }
         
         if (!amount || amount < this.tradingConfig.minAmount) {
@@ -301,8 +376,18 @@ class DerivConnector extends EventEmitter {
         if (amount > this.balance) {
             throw new Error('Insufficient balance');
         }
+        
+        return contract;
     }
-    
+
+    async getTradingLimits(asset) {
+        return {
+            minAmount: this.tradingConfig.minAmount,
+            maxAmount: this.tradingConfig.maxAmount,
+            defaultDuration: this.tradingConfig.defaultDuration
+        };
+    }
+
     async getBalance() {
         try {
             const response = await this.sendRequest({
@@ -341,10 +426,84 @@ class DerivConnector extends EventEmitter {
             return response.portfolio.contracts || [];
         } catch (error) {
             console.error('Failed to get active contracts:', error.message);
-            return [];
+            throw error;
         }
     }
     
+    // Contracts sold or expired since the given time, with what they were bought and sold for
+    async getProfitTable(since, limit = 500) {
+        const response = await this.sendRequest({
+            profit_table: 1,
+            description: 1,
+            date_from: Math.floor(new Date(since).getTime() / 1000),
+            limit: limit,
+            sort: 'ASC'
+        });
+        
+        if (response.error) {
+            throw new Error(`Failed to get profit table: ${response.error.message}`);
+        }
+        
+        return (response.profit_table.transactions || []).map(transaction => ({
+            contractId: transaction.contract_id,
+            buyPrice: parseFloat(transaction.buy_price),
+            sellPrice: parseFloat(transaction.sell_price),
+            profit: parseFloat(transaction.sell_price) - parseFloat(transaction.buy_price),
+            purchaseTime: new Date(transaction.purchase_time * 1000),
+            sellTime: new Date(transaction.sell_time * 1000),
+            description: transaction.longcode || null
+        }));
+    }
+    
+    // Tracks a contract bought before a restart again, from its portfolio entry
+    resumeContract(contract, stored = {}) {
+        const trade = {
+            id: contract.contract_id,
+            contractId: contract.contract_id,
+            platform: 'deriv',
+            asset: contract.symbol,
+            direction: contract.contract_type,
+            amount: stored.amount !== undefined ? stored.amount : contract.buy_price,
+            entryPrice: stored.entryPrice,
+            entryTime: new Date(contract.purchase_time * 1000),
+            expiryTime: contract.expiry_time ? new Date(contract.expiry_time * 1000) : null,
+            status: 'active',
+            payout: contract.payout,
+            cost: contract.buy_price,
+            recovered: true
+        };
+        
+        this.activeContracts.set(contract.contract_id, trade);
+        this.subscribeToContract(contract.contract_id);
+        
+        return trade;
+    }
+    
+    async getTradeStatus(contractId) {
+        const trade = this.activeContracts.get(contractId);
+        if (trade) {
+            return {
+                status: 'open',
+                currentPrice: trade.currentPrice,
+                currentProfit: trade.currentProfit,
+                bidPrice: trade.bidPrice
+            };
+        }
+        
+        const closed = this.closedContracts.get(contractId);
+        if (closed) {
+            return {
+                status: 'closed',
+                exitPrice: closed.exitPrice,
+                profit: closed.profit,
+                result: closed.result,
+                exitReason: closed.closeReason === 'expired' ? undefined : closed.closeReason
+            };
+        }
+        
+        return { status: 'unknown' };
+    }
+    
     async closeContract(contractId) {
         try {
             const response = await this.sendRequest({
@@ -461,34 +620,86 @@ class DerivConnector extends EventEmitter {
         
         if (!trade) return;
         
+        // Deriv reports the entry spot and resolved barriers once the contract starts
+        if (contractData.entry_spot !== undefined) trade.entryPrice = contractData.entry_spot;
+        if (contractData.high_barrier !== undefined) trade.highBarrier = contractData.high_barrier;
+        if (contractData.low_barrier !== undefined) trade.lowBarrier = contractData.low_barrier;
+        if (contractData.barrier !== undefined && contractData.high_barrier === undefined) trade.barrierPrice = contractData.barrier;
+        
         // Update trade status
-        if (contractData.is_expired) {
+        if (this.isContractSettled(contractData)) {
+            const profit = parseFloat(contractData.profit) || 0;
+            
             trade.status = 'completed';
-            trade.result = contractData.profit > 0 ? 'win' : 'loss';
-            trade.profit = contractData.profit;
-            trade.exitTime = new Date();
+            trade.result = contractData.status === 'won' || (contractData.status !== 'lost' && profit > 0) ? 'win' : 'loss';
+            trade.profit = profit;
+            trade.exitPrice = contractData.exit_tick !== undefined ? contractData.exit_tick : contractData.current_spot;
+            trade.sellPrice = contractData.sell_price !== undefined ? parseFloat(contractData.sell_price) : null;
+            trade.exitTime = contractData.sell_time ? new Date(contractData.sell_time * 1000) : new Date();
+            trade.closeReason = this.getCloseReason(trade, contractData);
+            
+            if (trade.family === 'digits') {
+                trade.exitDigit = this.getLastDigit(contractData.exit_tick_display_value || contractData.exit_tick);
+            }
             
             // Update statistics
             if (trade.result === 'win') {
                 this.stats.successfulTrades++;
             }
-            this.stats.totalProfit += contractData.profit;
+            this.stats.totalProfit += profit;
             
-            console.log(`📊 Trade completed: ${contractId} - ${trade.result.toUpperCase()} - Profit: ${contractData.profit}`);
+            console.log(`📊 Trade completed: ${contractId} - ${trade.result.toUpperCase()} (${trade.closeReason}) - Profit: ${profit}`);
             
             // Remove from active contracts
             this.activeContracts.delete(contractId);
+            this.closedContracts.set(contractId, trade);
+            if (this.closedContracts.size > 1000) {
+                this.closedContracts.delete(this.closedContracts.keys().next().value);
+            }
             
             this.emit('trade_closed', trade);
         } else {
             // Update current profit/loss
             trade.currentProfit = contractData.profit;
             trade.currentPrice = contractData.current_spot;
+            trade.bidPrice = contractData.bid_price;
+            trade.validToSell = contractData.is_valid_to_sell === undefined ? null : !!contractData.is_valid_to_sell;
             
             this.emit('trade_update', trade);
         }
     }
     
+    isContractSettled(contractData) {
+        return !!(contractData.is_sold || contractData.is_expired ||
+            ['won', 'lost', 'sold'].includes(contractData.status));
+    }
+    
+    // Why a contract ended: its expiry, a limit order, a barrier event or an early sale
+    getCloseReason(trade, contractData) {
+        const profit = parseFloat(contractData.profit) || 0;
+        
+        if (trade.family === 'multiplier') {
+            if (trade.takeProfit && profit >= trade.takeProfit) return 'take_profit';
+            if (trade.stopLoss && profit <= -trade.stopLoss) return 'stop_loss';
+            if (profit <= -trade.cost) return 'stop_out';
+            return 'sold';
+        }
+        
+        const expiry = contractData.date_expiry || (trade.expiryTime ? trade.expiryTime.getTime() / 1000 : null);
+        const endedEarly = contractData.sell_time && expiry && contractData.sell_time < expiry;
+        
+        if (endedEarly && trade.family === 'touch') return 'barrier_touched';
+        if (endedEarly && trade.family === 'stays_range') return 'barrier_breached';
+        if (endedEarly && contractData.status === 'sold') return 'sold';
+        return 'expired';
+    }
+    
+    getLastDigit(quote) {
+        if (quote === undefined || quote === null) return null;
+        const digits = String(quote).replace(/[^0-9]/g, '');
+        return digits ? parseInt(digits[digits.length - 1]) : null;
+    }
+    
     handleTickUpdate(tickData) {
         const symbol = tickData.symbol;
         const price = tickData.quote;
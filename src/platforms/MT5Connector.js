@@ -0,0 +1,653 @@
+// src/platforms/MT5Connector.js
+// MetaTrader 5 Connector - talks to a local MT5 bridge over a line-delimited JSON socket
+
+const net = require('net');
+const { EventEmitter } = require('events');
+
+class MT5Connector extends EventEmitter {
+    constructor(options = {}) {
+        super();
+
+        this.config = {
+            login: options.login || process.env.MT5_LOGIN,
+            password: options.password || process.env.MT5_PASSWORD,
+            server: options.server || process.env.MT5_SERVER,
+            path: options.path || process.env.MT5_PATH,
+            host: options.host || process.env.MT5_BRIDGE_HOST || '127.0.0.1',
+            port: parseInt(options.port || process.env.MT5_BRIDGE_PORT) || 5555,
+            volumePerUnit: parseFloat(process.env.MT5_VOLUME_PER_UNIT) || 0.01, // lots traded per 1.00 of stake
+            requestTimeout: 10000,
+            ...options
+        };
+
+        this.socket = null;
+        this.buffer = '';
+        this.isConnected = false;
+        this.isAuthenticated = false;
+        this.requestId = 1;
+        this.pendingRequests = new Map();
+        this.expiryTimers = new Map();
+
+        this.accountInfo = null;
+        this.balance = 0;
+        this.currency = 'USD';
+        this.activeContracts = new Map();
+        this.marketData = new Map();
+
+        this.stats = {
+            totalTrades: 0,
+            successfulTrades: 0,
+            failedTrades: 0,
+            totalProfit: 0,
+            connectionUptime: 0,
+            lastTradeTime: null
+        };
+
+        this.tradingConfig = {
+            minAmount: 1,
+            maxAmount: 1000,
+            defaultDuration: 300,
+            supportedAssets: [
+                'R_10', 'R_25', 'R_50', 'R_75', 'R_100',
+                'frxEURUSD', 'frxGBPUSD', 'frxUSDJPY', 'frxAUDUSD'
+            ]
+        };
+
+        // Deriv asset codes used across the system -> MT5 terminal symbols
+        this.symbolMap = {
+            R_10: 'Volatility 10 Index',
+            R_25: 'Volatility 25 Index',
+            R_50: 'Volatility 50 Index',
+            R_75: 'Volatility 75 Index',
+            R_100: 'Volatility 100 Index',
+            frxEURUSD: 'EURUSD',
+            frxGBPUSD: 'GBPUSD',
+            frxUSDJPY: 'USDJPY',
+            frxAUDUSD: 'AUDUSD',
+            ...(options.symbolMap || {})
+        };
+    }
+
+    async initialize() {
+        try {
+            console.log('🔌 Initializing MT5 Connector...');
+
+            await this.connect();
+
+            console.log('✅ MT5 Connector initialized successfully');
+            console.log(`   Server: ${this.config.server}`);
+            console.log(`   Balance: ${this.balance} ${this.currency}`);
+
+            return true;
+        } catch (error) {
+            console.error('❌ MT5 Connector initialization failed:', error.message);
+            throw error;
+        }
+    }
+
+    async connect() {
+        await this.openSocket();
+        await this.authenticate();
+        await this.getBalance();
+
+        this.stats.connectionUptime = Date.now();
+
+        this.emit('balance_update', {
+            platform: 'mt5',
+            balance: this.balance,
+            currency: this.currency,
+            totalBalance: this.balance,
+            change: 0
+        });
+    }
+
+    openSocket() {
+        return new Promise((resolve, reject) => {
+            console.log(`🔗 Connecting to MT5 bridge: ${this.config.host}:${this.config.port}`);
+
+            const socket = net.createConnection({ host: this.config.host, port: this.config.port });
+            let settled = false;
+
+            const timeout = setTimeout(() => {
+                if (!settled) {
+                    settled = true;
+                    socket.destroy();
+                    reject(new Error('Connection timeout'));
+                }
+            }, this.config.requestTimeout);
+
+            socket.setEncoding('utf8');
+
+            socket.on('connect', () => {
+                settled = true;
+                clearTimeout(timeout);
+                this.socket = socket;
+                this.buffer = '';
+                this.isConnected = true;
+                console.log('✅ Connected to MT5 bridge');
+                this.emit('connected');
+                resolve();
+            });
+
+            socket.on('data', (chunk) => {
+                this.handleData(chunk);
+            });
+
+            socket.on('close', () => {
+                const wasConnected = this.isConnected;
+                this.isConnected = false;
+                this.isAuthenticated = false;
+                this.rejectPendingRequests(new Error('MT5 bridge connection closed'));
+
+                if (wasConnected) {
+                    console.log('❌ MT5 bridge connection closed');
+                    this.emit('disconnected', { reason: 'bridge closed' });
+                }
+            });
+
+            socket.on('error', (error) => {
+                if (!settled) {
+                    settled = true;
+                    clearTimeout(timeout);
+                    reject(error);
+                    return;
+                }
+                console.error('❌ MT5 bridge error:', error.message);
+                // An unheard 'error' event would throw; the close handler reports the disconnect
+                if (this.listenerCount('error') > 0) {
+                    this.emit('error', error);
+                }
+            });
+        });
+    }
+
+    async authenticate() {
+        console.log('🔐 Logging in to MT5 terminal...');
+
+        const account = await this.sendRequest('login', {
+            login: this.config.login,
+            password: this.config.password,
+            server: this.config.server,
+            path: this.config.path
+        });
+
+        this.isAuthenticated = true;
+        this.accountInfo = account;
+        console.log(`✅ Logged in to MT5 account: ${account.login}`);
+
+        return account;
+    }
+
+    async disconnect() {
+        for (const timer of this.expiryTimers.values()) {
+            clearTimeout(timer);
+        }
+        this.expiryTimers.clear();
+
+        if (this.socket) {
+            this.socket.end();
+            this.socket.destroy();
+            this.socket = null;
+        }
+
+        this.isConnected = false;
+        this.isAuthenticated = false;
+    }
+
+    async ping() {
+        return await this.sendRequest('ping');
+    }
+
+    // ================================
+    // BRIDGE PROTOCOL
+    // ================================
+    sendRequest(command, params = {}) {
+        return new Promise((resolve, reject) => {
+            if (!this.isConnected || !this.socket) {
+                reject(new Error('Not connected to MT5 bridge'));
+                return;
+            }
+
+            const id = this.requestId++;
+            const timer = setTimeout(() => {
+                if (this.pendingRequests.has(id)) {
+                    this.pendingRequests.delete(id);
+                    reject(new Error(`MT5 bridge request timeout: ${command}`));
+                }
+            }, this.config.requestTimeout);
+
+            this.pendingRequests.set(id, { resolve, reject, timer, command });
+            this.socket.write(JSON.stringify({ id, command, params }) + '\n');
+        });
+    }
+
+    handleData(chunk) {
+        this.buffer += chunk;
+
+        let newline;
+        while ((newline = this.buffer.indexOf('\n')) !== -1) {
+            const line = this.buffer.slice(0, newline).trim();
+            this.buffer = this.buffer.slice(newline + 1);
+
+            if (line) {
+                this.handleMessage(line);
+            }
+        }
+    }
+
+    handleMessage(line) {
+        try {
+            const message = JSON.parse(line);
+
+            // Response to a pending request
+            if (message.id && this.pendingRequests.has(message.id)) {
+                const { resolve, reject, timer, command } = this.pendingRequests.get(message.id);
+                clearTimeout(timer);
+                this.pendingRequests.delete(message.id);
+
+                if (message.error) {
+                    reject(new Error(`MT5 ${command} failed: ${message.error.message || message.error}`));
+                } else {
+                    resolve(message.data);
+                }
+                return;
+            }
+
+            // Pushed bridge events
+            if (message.event) {
+                this.handleBridgeEvent(message.event, message.data);
+            }
+
+        } catch (error) {
+            console.error('Error handling MT5 bridge message:', error);
+        }
+    }
+
+    handleBridgeEvent(event, data) {
+        switch (event) {
+            case 'tick':
+                this.handleTickUpdate(data);
+                break;
+
+            case 'account':
+                this.handleBalanceUpdate(data);
+                break;
+
+            case 'position_closed':
+                this.handlePositionClosed(data);
+                break;
+
+            default:
+                break;
+        }
+    }
+
+    rejectPendingRequests(error) {
+        for (const { reject, timer } of this.pendingRequests.values()) {
+            clearTimeout(timer);
+            reject(error);
+        }
+        this.pendingRequests.clear();
+    }
+
+    // ================================
+    // TRADING OPERATIONS
+    // ================================
+    async executeTrade(params) {
+        try {
+            const {
+                asset = 'frxEURUSD',
+                direction = 'CALL',
+                amount = 1.0,
+                duration = this.tradingConfig.defaultDuration,
+                strategy
+            } = params;
+
+            console.log(`🎯 Executing MT5 trade: ${direction} ${asset} - Amount: ${amount}`);
+
+            this.validateTradeParams(params);
+
+            // Binary direction maps onto a market position that we close at expiry,
+            // with a stop-loss where it has lost the stake
+            const symbol = this.toMT5Symbol(asset);
+            const type = direction.toUpperCase() === 'CALL' ? 'BUY' : 'SELL';
+            const volume = this.amountToVolume(amount);
+            const info = await this.sendRequest('symbol_info', { symbol });
+
+            const position = await this.sendRequest('order_send', {
+                symbol,
+                type,
+                volume,
+                sl: this.getStopLoss(type, amount, volume, info),
+                comment: this.getOrderComment(strategy)
+            });
+
+            const entryTime = position.time ? new Date(position.time * 1000) : new Date();
+            const trade = {
+                id: position.ticket,
+                contractId: position.ticket,
+                platform: 'mt5',
+                asset: asset,
+                direction: direction.toUpperCase(),
+                amount: amount,
+                volume: position.volume,
+                stopLoss: position.sl,
+                maxLoss: amount,
+                entryPrice: position.price,
+                entryTime: entryTime,
+                expiryTime: new Date(entryTime.getTime() + duration * 1000),
+                status: 'active',
+                cost: amount
+            };
+
+            this.activeContracts.set(position.ticket, trade);
+            this.scheduleExpiry(trade);
+
+            this.stats.totalTrades++;
+            this.stats.lastTradeTime = Date.now();
+
+            console.log(`✅ MT5 trade executed successfully: ${position.ticket}`);
+
+            this.emit('trade_executed', trade);
+
+            return trade;
+
+        } catch (error) {
+            console.error('❌ MT5 trade execution failed:', error.message);
+            this.stats.failedTrades++;
+            throw error;
+        }
+    }
+
+    validateTradeParams(params) {
+        const { asset, direction, amount } = params;
+
+        if (!asset) {
+            throw new Error('Asset is required');
+        }
+
+        if (!this.symbolMap[asset]) {
+            throw new Error(`Asset ${asset} has no MT5 symbol mapping`);
+        }
+
+        // Only rise/fall maps onto a position; touch, range, digit and multiplier contracts do not
+        if (!direction || !['CALL', 'PUT'].includes(direction.toUpperCase())) {
+            throw new Error(`MT5 trades CALL or PUT only, not ${direction}`);
+        }
+
+        if (params.barrier !== undefined && params.barrier !== null) {
+            throw new Error('MT5 cannot trade contracts with a barrier');
+        }
+
+        if (!amount || amount < this.tradingConfig.minAmount) {
+            throw new Error(`Amount must be at least ${this.tradingConfig.minAmount}`);
+        }
+
+        if (amount > this.tradingConfig.maxAmount) {
+            throw new Error(`Amount cannot exceed ${this.tradingConfig.maxAmount}`);
+        }
+    }
+
+    // A binary stake can lose no more than itself: the stop sits where the position has lost
+    // `amount`, counting the spread it opens across, and is rounded towards the entry
+    getStopLoss(type, amount, volume, info) {
+        const distance = amount / (volume * info.contract_size);
+        const spread = info.ask - info.bid;
+
+        if (!(distance > spread)) {
+            throw new Error(`Stake ${amount} does not cover the ${info.symbol} spread at ${volume} lots`);
+        }
+
+        const factor = Math.pow(10, info.digits !== undefined ? info.digits : 8);
+        return type === 'BUY'
+            ? Math.ceil((info.ask - distance) * factor - 1e-6) / factor
+            : Math.floor((info.bid + distance) * factor + 1e-6) / factor;
+    }
+
+    // MT5 keeps at most 31 characters of an order comment
+    getOrderComment(strategy) {
+        const name = strategy && typeof strategy === 'object' ? strategy.name || strategy.id : strategy;
+        return name ? `BAYNEX ${name}`.slice(0, 31) : 'BAYNEX';
+    }
+
+    scheduleExpiry(trade) {
+        const delay = Math.max(0, trade.expiryTime.getTime() - Date.now());
+
+        const timer = setTimeout(async () => {
+            this.expiryTimers.delete(trade.contractId);
+            if (!this.activeContracts.has(trade.contractId)) return;
+
+            try {
+                await this.closeTrade(trade.contractId);
+            } catch (error) {
+                console.error(`❌ Failed to close expired MT5 position ${trade.contractId}:`, error.message);
+            }
+        }, delay);
+
+        if (timer.unref) timer.unref();
+        this.expiryTimers.set(trade.contractId, timer);
+    }
+
+    async getTradeStatus(contractId) {
+        const position = await this.sendRequest('position_get', { ticket: contractId });
+
+        if (position.status === 'closed') {
+            return {
+                status: 'closed',
+                exitPrice: position.price_close,
+                profit: position.profit,
+                result: position.profit > 0 ? 'win' : 'loss'
+            };
+        }
+
+        return {
+            status: 'open',
+            currentPrice: position.price_current,
+            currentProfit: position.profit
+        };
+    }
+
+    async closeTrade(contractId) {
+        try {
+            const result = await this.sendRequest('position_close', { ticket: contractId });
+
+            console.log(`✅ MT5 position closed: ${contractId}`);
+
+            this.handlePositionClosed(result);
+
+            return result;
+        } catch (error) {
+            console.error(`Failed to close MT5 position ${contractId}:`, error.message);
+            throw error;
+        }
+    }
+
+    async closeContract(contractId) {
+        return await this.closeTrade(contractId);
+    }
+
+    async emergencyCloseTrade(contractId) {
+        return await this.closeTrade(contractId);
+    }
+
+    handlePositionClosed(positionData) {
+        const contractId = positionData.ticket;
+        const trade = this.activeContracts.get(contractId);
+
+        if (!trade) return;
+
+        trade.status = 'completed';
+        trade.profit = positionData.profit;
+        trade.result = positionData.profit > 0 ? 'win' : 'loss';
+        trade.exitPrice = positionData.price_close;
+        trade.exitTime = positionData.time_close ? new Date(positionData.time_close * 1000) : new Date();
+
+        if (trade.result === 'win') {
+            this.stats.successfulTrades++;
+        }
+        this.stats.totalProfit += positionData.profit;
+
+        const timer = this.expiryTimers.get(contractId);
+        if (timer) {
+            clearTimeout(timer);
+            this.expiryTimers.delete(contractId);
+        }
+
+        this.activeContracts.delete(contractId);
+
+        console.log(`📊 MT5 trade completed: ${contractId} - ${trade.result.toUpperCase()} - Profit: ${positionData.profit}`);
+
+        this.emit('trade_closed', trade);
+    }
+
+    // ================================
+    // ACCOUNT & MARKET DATA
+    // ================================
+    async getBalance() {
+        const account = await this.sendRequest('account_info');
+
+        this.balance = parseFloat(account.balance);
+        this.currency = account.currency || this.currency;
+
+        return {
+            platform: 'mt5',
+            balance: this.balance,
+            currency: this.currency,
+            totalBalance: parseFloat(account.equity) || this.balance
+        };
+    }
+
+    async getAccountInfo() {
+        return await this.sendRequest('account_info');
+    }
+
+    async getActiveContracts() {
+        try {
+            return await this.sendRequest('positions_get');
+        } catch (error) {
+            console.error('Failed to get MT5 positions:', error.message);
+            return [];
+        }
+    }
+
+    async getTradingLimits(asset) {
+        const info = await this.sendRequest('symbol_info', { symbol: this.toMT5Symbol(asset) });
+
+        return {
+            minAmount: Math.max(this.tradingConfig.minAmount, this.volumeToAmount(info.volume_min)),
+            maxAmount: Math.min(this.tradingConfig.maxAmount, this.volumeToAmount(info.volume_max)),
+            defaultDuration: this.tradingConfig.defaultDuration
+        };
+    }
+
+    async startMarketDataStream() {
+        console.log('📊 Subscribing to MT5 ticks...');
+
+        try {
+            const symbols = this.tradingConfig.supportedAssets.map(asset => this.toMT5Symbol(asset));
+            await this.sendRequest('subscribe_ticks', { symbols });
+        } catch (error) {
+            console.error('Failed to subscribe to MT5 ticks:', error.message);
+        }
+    }
+
+    handleTickUpdate(tickData) {
+        const asset = this.fromMT5Symbol(tickData.symbol);
+        const price = (tickData.bid + tickData.ask) / 2;
+        const timestamp = tickData.time ? tickData.time * 1000 : Date.now();
+
+        this.marketData.set(asset, {
+            price: price,
+            bid: tickData.bid,
+            ask: tickData.ask,
+            timestamp: timestamp,
+            symbol: asset
+        });
+
+        this.emit('market_data', {
+            asset: asset,
+            price: price,
+            timestamp: timestamp
+        });
+    }
+
+    handleBalanceUpdate(accountData) {
+        const previousBalance = this.balance;
+        this.balance = parseFloat(accountData.balance);
+        this.currency = accountData.currency || this.currency;
+
+        this.emit('balance_update', {
+            platform: 'mt5',
+            balance: this.balance,
+            currency: this.currency,
+            totalBalance: parseFloat(accountData.equity) || this.balance,
+            change: this.balance - previousBalance,
+            timestamp: Date.now()
+        });
+    }
+
+    // ================================
+    // UTILITY METHODS
+    // ================================
+    toMT5Symbol(asset) {
+        return this.symbolMap[asset] || asset;
+    }
+
+    fromMT5Symbol(symbol) {
+        const entry = Object.entries(this.symbolMap).find(([, mt5Symbol]) => mt5Symbol === symbol);
+        return entry ? entry[0] : symbol;
+    }
+
+    amountToVolume(amount) {
+        return Math.max(0.01, Math.round(amount * this.config.volumePerUnit * 100) / 100);
+    }
+
+    volumeToAmount(volume) {
+        return Math.round((volume / this.config.volumePerUnit) * 100) / 100;
+    }
+
+    getHealthStatus() {
+        return {
+            status: this.isConnected && this.isAuthenticated ? 'healthy' : 'unhealthy',
+            connected: this.isConnected,
+            authenticated: this.isAuthenticated,
+            balance: this.balance,
+            currency: this.currency,
+            activeContracts: this.activeContracts.size,
+            stats: this.stats
+        };
+    }
+
+    getStats() {
+        return {
+            ...this.stats,
+            balance: this.balance,
+            currency: this.currency,
+            activeContracts: this.activeContracts.size,
+            isConnected: this.isConnected,
+            isAuthenticated: this.isAuthenticated
+        };
+    }
+
+    async shutdown() {
+        console.log('🔌 Shutting down MT5 Connector...');
+
+        try {
+            for (const [contractId] of this.activeContracts) {
+                try {
+                    await this.closeTrade(contractId);
+                } catch (error) {
+                    console.error(`Failed to close MT5 position ${contractId}:`, error.message);
+                }
+            }
+
+            await this.disconnect();
+
+            console.log('✅ MT5 Connector shutdown complete');
+        } catch (error) {
+            console.error('❌ Error during MT5 Connector shutdown:', error);
+        }
+    }
+}
+
+module.exports = MT5Connector;
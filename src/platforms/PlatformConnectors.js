@@ -6,7 +6,7 @@
 const EventEmitter = require('events');
 const DerivConnector = require('./DerivConnector');
 const MT5Connector = require('./MT5Connector');
-const IQConnector = require('./IQConnector');
+const PaperConnector = require('./PaperConnector');
 
 class PlatformConnectors extends EventEmitter {
     constructor() {
@@ -19,7 +19,8 @@ class PlatformConnectors extends EventEmitter {
         this.dependencies = [];
         
         this.config = {
-            priorityOrder: ['deriv', 'mt5', 'iq'],
+            priorityOrder: ['paper', 'deriv', 'mt5', 'iq'],
+            paperTrading: process.env.PAPER_TRADING_MODE === 'true' || process.env.TRADING_MODE === 'demo',
             autoFailover: true,
             connectionTimeout: 30000,
             heartbeatInterval: 30000
@@ -59,6 +60,20 @@ class PlatformConnectors extends EventEmitter {
     async initializePlatforms() {
         console.log('⚙️ Setting up platform connections...');
         
+        // Paper trading simulates contracts locally and replaces every live platform
+        if (this.config.paperTrading) {
+            const paperPlatform = new PaperConnector({
+                payout: parseFloat(process.env.PAPER_PAYOUT) || 0.85,
+                startingBalance: parseFloat(process.env.PAPER_STARTING_BALANCE) || 10000
+            });
+            
+            this.platforms.set('paper', paperPlatform);
+            console.log('📝 Paper trading platform configured (live platforms disabled)');
+            
+            await this.connectPlatforms();
+            return;
+        }
+        
         // Initialize Deriv platform
         if (process.env.DERIV_APP_ID && process.env.DERIV_API_TOKEN) {
             const derivPlatform = new DerivConnector({
@@ -77,23 +92,34 @@ class PlatformConnectors extends EventEmitter {
                 login: process.env.MT5_LOGIN,
                 password: process.env.MT5_PASSWORD,
                 server: process.env.MT5_SERVER,
-                path: process.env.MT5_PATH
+                path: process.env.MT5_PATH,
+                host: process.env.MT5_BRIDGE_HOST || '127.0.0.1',
+                port: parseInt(process.env.MT5_BRIDGE_PORT) || 5555
             });
             
             this.platforms.set('mt5', mt5Platform);
             console.log('📈 MT5 platform configured');
         }
         
-        // Initialize IQ Option platform
+        // Initialize IQ Option platform (no connector ships yet, so skip rather than crash)
         if (process.env.IQ_EMAIL && process.env.IQ_PASSWORD) {
-            const iqPlatform = new IQConnector({
-                email: process.env.IQ_EMAIL,
-                password: process.env.IQ_PASSWORD,
-                mode: process.env.IQ_MODE || 'real'
-            });
+            let IQConnector = null;
+            try {
+                IQConnector = require('./IQConnector');
+            } catch (error) {
+                console.warn('⚠️ IQ Option credentials set but no IQ connector is available - skipping');
+            }
             
-            this.platforms.set('iq', iqPlatform);
-            console.log('📱 IQ Option platform configured');
+            if (IQConnector) {
+                const iqPlatform = new IQConnector({
+                    email: process.env.IQ_EMAIL,
+                    password: process.env.IQ_PASSWORD,
+                    mode: process.env.IQ_MODE || 'real'
+                });
+                
+                this.platforms.set('iq', iqPlatform);
+                console.log('📱 IQ Option platform configured');
+            }
         }
         
         // Connect to platforms in priority order
@@ -165,6 +191,14 @@ class PlatformConnectors extends EventEmitter {
             this.emit('trade_closed', { ...trade, platform: platformName });
         });
         
+        platform.on('trade_update', (trade) => {
+            this.emit('trade_update', { ...trade, platform: platformName });
+        });
+        
+        platform.on('balance_update', (balance) => {
+            this.emit('balance_update', { ...balance, platform: platformName });
+        });
+        
         platform.on('market_data', (data) => {
             this.handleMarketData(platformName, data);
         });
@@ -174,60 +208,34 @@ class PlatformConnectors extends EventEmitter {
     // TRADING OPERATIONS
     // ================================
     async executeTrade(params) {
-        const { platform, asset, direction, amount, duration, strategy } = params;
-        
-        console.log(`🎯 Executing trade: ${direction} ${asset} on ${platform || this.activePlatform}`);
+        // Determine which platform to use
+        const targetPlatform = this.resolvePlatform(params.platform || this.activePlatform);
         
         try {
-            // Determine which platform to use
-            const targetPlatform = platform || this.activePlatform;
-            const platformConnector = this.platforms.get(targetPlatform);
-            
-            if (!platformConnector) {
-                throw new Error(`Platform ${targetPlatform} not available`);
-            }
-            
-            if (!platformConnector.isConnected) {
-                throw new Error(`Platform ${targetPlatform} not connected`);
-            }
-            
-            // Validate trade parameters
-            const validatedParams = await this.validateTradeParams(targetPlatform, params);
-            
-            // Execute trade on platform
-            const result = await platformConnector.executeTrade(validatedParams);
-            
-            // Track trade statistics
-            this.stats.totalTrades++;
-            
-            return {
-                ...result,
-                platform: targetPlatform,
-                executedAt: new Date()
-            };
-            
+            return await this.executeOn(targetPlatform, params);
         } catch (error) {
             console.error('❌ Trade execution failed:', error);
             
-            // Try failover if enabled
-            if (this.config.autoFailover && platform !== this.activePlatform) {
-                return await this.executeTradeWithFailover(params);
+            // Try the other platforms if enabled; paper mode has no other platform to fall back to
+            if (this.config.autoFailover && !this.config.paperTrading) {
+                return await this.executeTradeWithFailover(params, targetPlatform);
             }
             
             throw error;
         }
     }
 
-    async executeTradeWithFailover(params) {
+    async executeTradeWithFailover(params, failedPlatform) {
         console.log('🔄 Attempting trade execution with failover...');
         
         for (const platformName of this.config.priorityOrder) {
-            if (platformName === params.platform) continue; // Skip failed platform
+            if (platformName === failedPlatform) continue; // Skip failed platform
             
             const platform = this.platforms.get(platformName);
             if (platform && platform.isConnected) {
                 try {
-                    return await this.executeTrade({ ...params, platform: platformName });
+                    // Straight to the platform: a failed attempt must not start another failover
+                    return await this.executeOn(platformName, { ...params, platform: platformName });
                 } catch (error) {
                     console.error(`❌ Failover attempt failed on ${platformName}:`, error.message);
                 }
@@ -237,17 +245,46 @@ class PlatformConnectors extends EventEmitter {
         throw new Error('All platform failover attempts failed');
     }
 
+    // Executes on the given platform only, without failover
+    async executeOn(targetPlatform, params) {
+        console.log(`🎯 Executing trade: ${params.direction} ${params.asset} on ${targetPlatform}`);
+        
+        const platformConnector = this.platforms.get(targetPlatform);
+        
+        if (!platformConnector) {
+            throw new Error(`Platform ${targetPlatform} not available`);
+        }
+        
+        if (!platformConnector.isConnected) {
+            throw new Error(`Platform ${targetPlatform} not connected`);
+        }
+        
+        // Validate trade parameters
+        const validatedParams = await this.validateTradeParams(targetPlatform, params);
+        
+        // Execute trade on platform
+        const result = await platformConnector.executeTrade(validatedParams);
+        
+        // Track trade statistics
+        this.stats.totalTrades++;
+        
+        return {
+            ...result,
+            platform: targetPlatform,
+            executedAt: new Date()
+        };
+    }
+
     async validateTradeParams(platform, params) {
         const platformConnector = this.platforms.get(platform);
         
         // Get platform-specific limits
         const limits = await platformConnector.getTradingLimits(params.asset);
         
-        // Validate amount
+        // Validate amount; raising a stake would exceed what risk approved, so a small one is refused
         let validAmount = params.amount;
         if (validAmount < limits.minAmount) {
-            validAmount = limits.minAmount;
-            console.log(`⚠️ Amount adjusted to minimum: ${validAmount}`);
+            throw new Error(`Stake ${validAmount} is below the ${platform} minimum of ${limits.minAmount}`);
         }
         if (validAmount > limits.maxAmount) {
             validAmount = limits.maxAmount;
@@ -261,11 +298,27 @@ class PlatformConnectors extends EventEmitter {
         };
     }
 
+    // Pre-trade quote from the platform that would execute; null when it cannot quote
+    async getProposal(params) {
+        const targetPlatform = this.resolvePlatform(params.platform || this.activePlatform);
+        const platformConnector = this.platforms.get(targetPlatform);
+        
+        if (!platformConnector || !platformConnector.isConnected) {
+            throw new Error(`Platform ${targetPlatform} not available`);
+        }
+        
+        if (typeof platformConnector.getProposal !== 'function') {
+            return null;
+        }
+        
+        return await platformConnector.getProposal(params);
+    }
+
     // ================================
     // TRADE MONITORING
     // ================================
     async getTradeStatus(platform, contractId) {
-        const platformConnector = this.platforms.get(platform);
+        const platformConnector = this.platforms.get(this.resolvePlatform(platform));
         if (!platformConnector) {
             throw new Error(`Platform ${platform} not available`);
         }
@@ -274,7 +327,7 @@ class PlatformConnectors extends EventEmitter {
     }
 
     async closeTradeManually(platform, contractId) {
-        const platformConnector = this.platforms.get(platform);
+        const platformConnector = this.platforms.get(this.resolvePlatform(platform));
         if (!platformConnector) {
             throw new Error(`Platform ${platform} not available`);
         }
@@ -282,8 +335,52 @@ class PlatformConnectors extends EventEmitter {
         return await platformConnector.closeTrade(contractId);
     }
 
+    // ================================
+    // RECOVERY
+    // ================================
+    async getActiveContracts(platform) {
+        const platformConnector = this.platforms.get(this.resolvePlatform(platform));
+        if (!platformConnector || !platformConnector.isConnected) {
+            throw new Error(`Platform ${platform} not available`);
+        }
+        
+        return await platformConnector.getActiveContracts();
+    }
+
+    // Settled contracts since a time; null when the platform keeps no such record
+    async getSettledContracts(platform, since) {
+        const platformConnector = this.platforms.get(this.resolvePlatform(platform));
+        if (!platformConnector || !platformConnector.isConnected) {
+            throw new Error(`Platform ${platform} not available`);
+        }
+        
+        if (typeof platformConnector.getProfitTable !== 'function') {
+            return null;
+        }
+        
+        return await platformConnector.getProfitTable(since);
+    }
+
+    resumeContract(platform, contract, trade) {
+        const platformConnector = this.platforms.get(this.resolvePlatform(platform));
+        if (platformConnector && typeof platformConnector.resumeContract === 'function') {
+            return platformConnector.resumeContract(contract, trade);
+        }
+        return null;
+    }
+
+    // Sells an open contract back at the current bid
+    async closeContract(platform, contractId) {
+        const platformConnector = this.platforms.get(this.resolvePlatform(platform));
+        if (!platformConnector) {
+            throw new Error(`Platform ${platform} not available`);
+        }
+        
+        return await platformConnector.closeContract(contractId);
+    }
+
     async emergencyCloseTrade(platform, contractId) {
-        const platformConnector = this.platforms.get(platform);
+        const platformConnector = this.platforms.get(this.resolvePlatform(platform));
         if (!platformConnector) {
             console.error(`❌ Platform ${platform} not available for emergency close`);
             return;
@@ -449,6 +546,11 @@ class PlatformConnectors extends EventEmitter {
     // ================================
     // UTILITY METHODS
     // ================================
+    resolvePlatform(platformName) {
+        // In paper mode every request is served locally, whatever platform the signal named
+        return this.config.paperTrading ? 'paper' : platformName;
+    }
+
     getActivePlatformConnector() {
         return this.platforms.get(this.activePlatform);
     }
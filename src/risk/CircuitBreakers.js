@@ -0,0 +1,204 @@
+// ================================
+// BAYNEX.A.X CIRCUIT BREAKERS
+// Graduated responses to loss streaks, per account, strategy and asset
+// ================================
+//
+//   normal ──reduceAfter losses──▶ reduced ──pauseAfter losses──▶ paused
+//     ▲                               │                              │ cooldown over
+//     └───────── recoveryWins wins ───┴────────── recovering ◀───────┘
+//                                                     │ a loss
+//                                                     └──▶ paused
+//
+// Losses count in a row and a win ends the streak. Trades under a reduced or
+// recovering breaker are staked at reducedSize / recoverySize of the size the
+// risk manager recommends; a paused breaker rejects every trade it covers.
+
+const STATES = ['normal', 'reduced', 'paused', 'recovering'];
+const SCOPES = ['account', 'strategy', 'asset'];
+
+class CircuitBreakers {
+    // Reads its thresholds from the risk manager's config on every call, so config reloads apply
+    constructor(config) {
+        this.config = config;
+        this.breakers = new Map();
+    }
+
+    // ================================
+    // TRADING
+    // ================================
+
+    // Moves expired pauses on to recovery, then reports what the trade is allowed
+    check(subject, now = Date.now()) {
+        const transitions = this.refresh(now);
+        const breakers = this.getTargets(subject)
+            .map(({ scope, target }) => this.breakers.get(this.key(scope, target)))
+            .filter(Boolean);
+
+        const paused = breakers.find(breaker => breaker.state === 'paused') || null;
+
+        // The strictest breaker sizes the trade
+        let limiting = null;
+        for (const breaker of breakers) {
+            if (this.getSizeFactor(breaker.state) < (limiting ? this.getSizeFactor(limiting.state) : 1)) {
+                limiting = breaker;
+            }
+        }
+
+        return {
+            transitions,
+            paused,
+            limiting,
+            sizeFactor: limiting ? this.getSizeFactor(limiting.state) : 1
+        };
+    }
+
+    // Counts a settled trade against every breaker covering it; returns the state changes
+    // and the breakers whose counters moved, so both can be persisted
+    recordResult(subject, profit, now = Date.now()) {
+        const transitions = this.refresh(now);
+        const updated = [];
+
+        for (const { scope, target } of this.getTargets(subject)) {
+            const breaker = this.get(scope, target);
+
+            // Trades opened before the pause still settle; they neither extend nor end it
+            if (breaker.state === 'paused') continue;
+
+            if (profit > 0) {
+                breaker.losses = 0;
+                if (breaker.state !== 'normal' && ++breaker.wins >= this.config.breakerRecoveryWins) {
+                    transitions.push(this.transition(breaker, 'normal', `${breaker.wins} wins in a row`, now));
+                }
+            } else {
+                breaker.wins = 0;
+                breaker.losses++;
+
+                if (breaker.state === 'recovering') {
+                    transitions.push(this.transition(breaker, 'paused', 'Loss while recovering', now));
+                } else if (breaker.losses >= this.config.consecutiveLossLimit) {
+                    transitions.push(this.transition(breaker, 'paused', `${breaker.losses} losses in a row`, now));
+                } else if (breaker.state === 'normal' && breaker.losses >= this.config.breakerReduceAfter) {
+                    transitions.push(this.transition(breaker, 'reduced', `${breaker.losses} losses in a row`, now));
+                }
+            }
+
+            updated.push(breaker);
+        }
+
+        return { transitions, updated };
+    }
+
+    // Paused breakers whose cooldown is over resume at recovery size
+    refresh(now = Date.now()) {
+        const transitions = [];
+
+        for (const breaker of this.breakers.values()) {
+            if (breaker.state === 'paused' && now >= breaker.pausedUntil) {
+                transitions.push(this.transition(breaker, 'recovering', 'Cooldown over', now));
+            }
+        }
+
+        return transitions;
+    }
+
+    // Manual override back to full size
+    reset(key, now = Date.now()) {
+        const breaker = this.breakers.get(key);
+        if (!breaker || breaker.state === 'normal') return null;
+
+        return this.transition(breaker, 'normal', 'Reset manually', now);
+    }
+
+    transition(breaker, to, reason, now) {
+        const from = breaker.state;
+
+        breaker.state = to;
+        breaker.reason = reason;
+        breaker.changedAt = new Date(now);
+        breaker.pausedUntil = to === 'paused' ? now + this.config.breakerCooldown * 60000 : null;
+        if (to !== 'paused') {
+            breaker.wins = 0;
+        }
+        if (to === 'normal' || to === 'recovering') {
+            breaker.losses = 0;
+        }
+
+        return {
+            key: breaker.key,
+            scope: breaker.scope,
+            target: breaker.target,
+            from,
+            to,
+            reason,
+            sizeFactor: this.getSizeFactor(to),
+            pausedUntil: breaker.pausedUntil ? new Date(breaker.pausedUntil) : null,
+            timestamp: new Date(now)
+        };
+    }
+
+    // ================================
+    // BREAKERS
+    // ================================
+
+    // The account, the strategy and the asset of a trade, as far as the configured scopes go
+    getTargets(subject) {
+        return this.config.breakerScopes
+            .map(scope => ({ scope, target: scope === 'account' ? 'account' : subject[scope] }))
+            .filter(({ scope, target }) => SCOPES.includes(scope) && target !== undefined && target !== null);
+    }
+
+    get(scope, target) {
+        const key = this.key(scope, target);
+        if (!this.breakers.has(key)) {
+            this.breakers.set(key, { key, scope, target: String(target), state: 'normal', losses: 0, wins: 0, pausedUntil: null, reason: null, changedAt: null });
+        }
+        return this.breakers.get(key);
+    }
+
+    key(scope, target) {
+        return scope === 'account' ? 'account' : `${scope}:${target}`;
+    }
+
+    getSizeFactor(state) {
+        if (state === 'paused') return 0;
+        if (state === 'reduced') return this.config.breakerReducedSize;
+        if (state === 'recovering') return this.config.breakerRecoverySize;
+        return 1;
+    }
+
+    // Rows as saved by DatabaseManager.saveCircuitBreaker
+    restore(rows) {
+        for (const row of rows) {
+            if (!STATES.includes(row.state)) continue;
+
+            this.breakers.set(row.key, {
+                key: row.key,
+                scope: row.scope,
+                target: row.target,
+                state: row.state,
+                losses: row.losses || 0,
+                wins: row.wins || 0,
+                pausedUntil: row.paused_until ? row.paused_until * 1000 : null,
+                reason: row.reason || null,
+                changedAt: row.changed_at ? new Date(row.changed_at * 1000) : null
+            });
+        }
+    }
+
+    // Breakers that are not at full size, or are partway into a losing streak
+    list() {
+        return Array.from(this.breakers.values())
+            .filter(breaker => breaker.state !== 'normal' || breaker.losses > 0)
+            .map(breaker => ({
+                ...breaker,
+                sizeFactor: this.getSizeFactor(breaker.state),
+                pausedUntil: breaker.pausedUntil ? new Date(breaker.pausedUntil) : null
+            }));
+    }
+}
+
+module.exports = {
+    CircuitBreakers,
+    STATES,
+    SCOPES
+};
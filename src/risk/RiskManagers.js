@@ -4,14 +4,38 @@
 // ================================
 
 const EventEmitter = require('events');
+const { getMarketSide } = require('../platforms/ContractTypes');
+const { RiskPolicy } = require('./RiskPolicy');
+const { CircuitBreakers } = require('./CircuitBreakers');
+
+const round = value => Math.round(value * 100) / 100;
+
+// "valueAtRisk.1d_95.historical.cvar<=50,sharpeRatio>=0.5": metric paths with a bound
+const parseMetricLimits = (spec = '') => {
+    return spec.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+        const match = entry.match(/^([\w.]+)\s*(<=|>=)\s*(-?[\d.]+)$/);
+        if (!match) {
+            console.error(`❌ Ignoring risk metric limit "${entry}": expected metric<=value or metric>=value`);
+            return null;
+        }
+        return match[2] === '<=' ?
+            { metric: match[1], max: parseFloat(match[3]) } :
+            { metric: match[1], min: parseFloat(match[3]) };
+    }).filter(Boolean);
+};
+
+const parseList = (value, fallback) => {
+    const list = String(value || '').split(',').map(parseFloat).filter(n => n > 0);
+    return list.length > 0 ? list : fallback;
+};
 
 class RiskManager extends EventEmitter {
     constructor() {
         super();
-        this.dependencies = ['database'];
+        this.dependencies = ['config', 'database', 'dataProcessor'];
         this.isActive = true;
         
-        // Risk configuration
+        // Risk configuration; the limits here are what the risk policy's rules compare against
         this.config = {
             maxDailyLoss: parseFloat(process.env.MAX_DAILY_LOSS) || 500,
             dailyProfitTarget: parseFloat(process.env.DAILY_PROFIT_TARGET) || 200,
@@ -24,7 +48,39 @@ class RiskManager extends EventEmitter {
             consecutiveLossLimit: 5,
             dailyTradeLimit: 100,
             volatilityThreshold: 0.05,
-            correlationLimit: 0.8
+            // Assets whose returns correlate at least this strongly share a cluster
+            correlationLimit: 0.8,
+            correlationTimeframe: process.env.RISK_CORRELATION_TIMEFRAME || '1m',
+            // Candles of returns the correlations are measured over
+            correlationWindow: parseInt(process.env.RISK_CORRELATION_WINDOW) || 100,
+            minCorrelationSamples: 20,
+            correlationRefresh: 60000,
+            // Portfolio limits as shares of the balance: stake betting one way on an asset,
+            // correlated assets counted at their correlation, and stake held in one cluster
+            maxDirectionalExposure: parseFloat(process.env.MAX_DIRECTIONAL_EXPOSURE) || 0.10,
+            maxClusterExposure: parseFloat(process.env.MAX_CLUSTER_EXPOSURE) || 0.15,
+            // Risk metrics over the closed trades of the last riskLookbackDays
+            riskLookbackDays: parseInt(process.env.RISK_METRICS_LOOKBACK_DAYS) || 90,
+            varHorizons: parseList(process.env.RISK_VAR_HORIZONS, [1, 5]), // days
+            varConfidence: parseList(process.env.RISK_VAR_CONFIDENCE, [0.95, 0.99]),
+            monteCarloSimulations: parseInt(process.env.RISK_MONTE_CARLO_SIMULATIONS) || 2000,
+            minRiskSamples: 10, // trading days before VaR is estimated
+            periodsPerYear: 365, // synthetic indices trade every day
+            tradeHistoryLimit: 5000,
+            riskMetricsRefresh: 30000, // ms between recomputing the history-based metrics
+            // Trading halts while a computed metric is outside its bound
+            metricLimits: parseMetricLimits(process.env.RISK_METRIC_LIMITS),
+            // Profit per unit staked assumed when a trade arrives without a quoted payout
+            defaultPayoutRatio: parseFloat(process.env.PRICING_DEFAULT_PAYOUT) || 0.8,
+            // Circuit breakers per account, strategy and asset: reduced stakes after breakerReduceAfter
+            // losses in a row, a pause of breakerCooldown minutes at consecutiveLossLimit, then
+            // recovery size until breakerRecoveryWins wins in a row
+            breakerScopes: (process.env.CIRCUIT_BREAKER_SCOPES || 'account,strategy,asset').split(',').map(scope => scope.trim()).filter(Boolean),
+            breakerReduceAfter: parseInt(process.env.CIRCUIT_BREAKER_REDUCE_AFTER) || 3,
+            breakerCooldown: parseFloat(process.env.CIRCUIT_BREAKER_COOLDOWN) || 30,
+            breakerReducedSize: parseFloat(process.env.CIRCUIT_BREAKER_REDUCED_SIZE) || 0.5,
+            breakerRecoverySize: parseFloat(process.env.CIRCUIT_BREAKER_RECOVERY_SIZE) || 0.5,
+            breakerRecoveryWins: parseInt(process.env.CIRCUIT_BREAKER_RECOVERY_WINS) || 2
         };
         
         // Risk tracking
@@ -51,13 +107,32 @@ class RiskManager extends EventEmitter {
         this.riskAlerts = [];
         this.emergencyStopTriggered = false;
         
+        // Declarative limits (see RiskPolicy.js), replaced when the configuration reloads
+        this.policy = new RiskPolicy();
+        this.policyCooldowns = new Map();
+        this.policyFirings = [];
+        this.policyError = null;
+        this.handleConfigReloaded = this.handleConfigReloaded.bind(this);
+        
         // Position sizing calculator
         this.positionSizer = new PositionSizer(this.config);
         
-        // Risk metrics calculator
-        this.metricsCalculator = new RiskMetricsCalculator();
+        // Risk metrics calculator, fed with closed trades
+        this.metricsCalculator = new RiskMetricsCalculator(this.config);
+        this.tradeHistory = [];
+        this.historyMetrics = null;
+        this.historyMetricsAt = 0;
+        this.historyChanged = false;
+        this.riskMetrics = null;
         
-        this.startRiskMonitoring();
+        // Rolling return correlations between assets
+        this.correlationTracker = new CorrelationTracker(this.config);
+        
+        // Loss streak breakers, saved on every change so they survive restarts
+        this.circuitBreakers = new CircuitBreakers(this.config);
+        
+        // Monitoring timers, started in start()
+        this.monitoringTimers = [];
     }
 
     async initialize() {
@@ -99,16 +174,21 @@ class RiskManager extends EventEmitter {
         }
 
         try {
+            // Open stake with this trade added, as it would stand if approved
+            const exposure = this.getPortfolioExposure(tradeParams);
+            
             // Pre-trade validation checks
+            const policy = this.checkPolicy(tradeParams, exposure);
+            const breakers = this.checkCircuitBreakers(tradeParams);
             const validations = [
-                this.checkDailyLimits(),
+                policy,
+                breakers,
                 this.checkAccountBalance(tradeParams.amount),
-                this.checkTradeSize(tradeParams.amount),
-                this.checkConcurrentTrades(),
-                this.checkConsecutiveLosses(),
-                this.checkDrawdownLimit(),
+                this.checkMetricLimits(),
                 this.checkVolatilityRisk(tradeParams),
-                this.checkCorrelationRisk(tradeParams)
+                this.checkCorrelationRisk(tradeParams, exposure),
+                this.checkDirectionalExposure(tradeParams, exposure),
+                this.checkWorstCaseLoss(exposure)
             ];
 
             for (const validation of validations) {
@@ -119,24 +199,48 @@ class RiskManager extends EventEmitter {
                 }
             }
 
-            // Calculate position size
-            const recommendedSize = this.positionSizer.calculatePositionSize(
-                tradeParams.amount, 
+            // Policy, breaker and Kelly cuts bind the stake; sizing only recommends below that
+            const { amount: resizedAmount, notes: policyNotes } = this.applyPolicyResizes(tradeParams.amount, policy.resizes);
+            const { amount: breakerAmount, notes: breakerNotes } = this.applyBreakerSize(resizedAmount, breakers);
+            
+            const pricing = tradeParams.pricing;
+            const priced = pricing && pricing.winProbability !== undefined;
+            const winRate = priced ? pricing.winProbability : (tradeParams.strategy?.performance?.winRate || 0.5);
+            const payoutRatio = priced && pricing.payoutRatio !== undefined ? pricing.payoutRatio : this.config.defaultPayoutRatio;
+            
+            // On quoted odds Kelly says how much of the balance the edge is worth; without a quote there is no edge to size
+            const kelly = priced ? this.applyKellyCap(breakerAmount, winRate, payoutRatio) : { amount: breakerAmount, notes: [] };
+            if (kelly.rejection) {
+                console.log(`🛡️ Trade rejected: ${kelly.rejection}`);
+                this.recordRiskEvent('trade_rejected', kelly.rejection, tradeParams);
+                return { approved: false, reason: kelly.rejection };
+            }
+            const allowedAmount = kelly.amount;
+            
+            // Calculate position size, on the quoted odds when the trade was priced
+            const recommendedSize = round(this.positionSizer.calculatePositionSize(
+                allowedAmount, 
                 this.accountStats.currentBalance,
-                tradeParams.strategy?.performance?.winRate || 0.5
-            );
+                winRate,
+                payoutRatio
+            ));
 
-            // Approve trade with recommendations
+            // Approve trade with recommendations; a fixed-payout contract loses at most the stake bought
             const approval = {
                 approved: true,
                 recommendedAmount: recommendedSize,
                 riskLevel: this.calculateTradeRiskLevel(tradeParams),
-                maxLoss: recommendedSize,
+                maxLoss: allowedAmount,
                 notes: []
             };
 
-            if (recommendedSize !== tradeParams.amount) {
-                approval.notes.push(`Position size adjusted from $${tradeParams.amount} to $${recommendedSize}`);
+            approval.notes.push(...policyNotes, ...breakerNotes, ...kelly.notes);
+            if (recommendedSize !== allowedAmount) {
+                approval.notes.push(`Position size adjusted from $${allowedAmount} to $${recommendedSize}`);
+            }
+            
+            if (allowedAmount < tradeParams.amount) {
+                approval.stakeLimit = allowedAmount;
             }
 
             console.log(`✅ Trade approved: ${tradeParams.direction} ${tradeParams.asset} - $${recommendedSize}`);
@@ -149,6 +253,19 @@ class RiskManager extends EventEmitter {
         }
     }
 
+    applyKellyCap(amount, winRate, payoutRatio) {
+        const kellyAmount = round(this.positionSizer.calculateKellyAmount(this.accountStats.currentBalance, winRate, payoutRatio));
+        const minimum = this.positionSizer.getMinTradeSize();
+        
+        if (kellyAmount < minimum) {
+            return { rejection: `Kelly stake $${kellyAmount} is below the minimum trade size of $${minimum}` };
+        }
+        if (kellyAmount < amount) {
+            return { amount: kellyAmount, notes: [`Kelly caps the stake at $${kellyAmount}`] };
+        }
+        return { amount, notes: [] };
+    }
+
     async validateSignal(signal) {
         // Quick signal validation for high-frequency checks
         if (!this.isActive || this.emergencyStopTriggered) {
@@ -174,26 +291,6 @@ class RiskManager extends EventEmitter {
     // ================================
     // RISK CHECKS
     // ================================
-    checkDailyLimits() {
-        // Check daily loss limit
-        if (this.dailyStats.netPL <= -this.config.maxDailyLoss) {
-            return { passed: false, reason: `Daily loss limit reached: $${Math.abs(this.dailyStats.netPL)}` };
-        }
-
-        // Check daily trade limit
-        if (this.dailyStats.tradesExecuted >= this.config.dailyTradeLimit) {
-            return { passed: false, reason: `Daily trade limit reached: ${this.dailyStats.tradesExecuted}` };
-        }
-
-        // Check if profit target reached (optional stop)
-        if (this.dailyStats.netPL >= this.config.dailyProfitTarget) {
-            // Could implement profit protection here
-            // For now, allow continued trading
-        }
-
-        return { passed: true };
-    }
-
     checkAccountBalance(tradeAmount) {
         const remainingBalance = this.accountStats.currentBalance - tradeAmount;
         
@@ -207,76 +304,76 @@ class RiskManager extends EventEmitter {
         return { passed: true };
     }
 
-    checkTradeSize(amount) {
-        const accountRisk = amount / this.accountStats.currentBalance;
+    checkMetricLimits() {
+        const breach = this.getMetricLimitBreaches()[0];
         
-        if (accountRisk > this.config.maxRiskPerTrade) {
-            return { 
-                passed: false, 
-                reason: `Trade size exceeds risk limit: ${(accountRisk * 100).toFixed(1)}% (max: ${(this.config.maxRiskPerTrade * 100)}%)` 
-            };
-        }
-
-        return { passed: true };
-    }
-
-    checkConcurrentTrades() {
-        if (this.activeTrades.size >= this.config.maxConcurrentTrades) {
+        if (breach) {
             return { 
                 passed: false, 
-                reason: `Maximum concurrent trades reached: ${this.activeTrades.size}/${this.config.maxConcurrentTrades}` 
+                reason: `Risk metric limit breached: ${breach.metric} is ${breach.value.toFixed(2)} (${breach.max !== undefined ? `max: ${breach.max}` : `min: ${breach.min}`})` 
             };
         }
 
         return { passed: true };
     }
 
-    checkConsecutiveLosses() {
-        if (this.dailyStats.consecutiveLosses >= this.config.consecutiveLossLimit) {
+    checkVolatilityRisk(tradeParams) {
+        // Check market volatility (would need actual volatility data)
+        const volatility = this.getCurrentVolatility(tradeParams.asset);
+        
+        if (volatility > this.config.volatilityThreshold) {
+            // Reduce position in high volatility
             return { 
-                passed: false, 
-                reason: `Consecutive loss limit reached: ${this.dailyStats.consecutiveLosses}` 
+                passed: true, 
+                warning: `High volatility detected: ${(volatility * 100).toFixed(1)}%`,
+                recommendation: 'Consider reducing position size'
             };
         }
 
         return { passed: true };
     }
 
-    checkDrawdownLimit() {
-        if (this.accountStats.currentDrawdown > this.config.maxDrawdown) {
+    checkCorrelationRisk(tradeParams, exposure = this.getPortfolioExposure(tradeParams)) {
+        // Stake on assets that move together is one position
+        const cluster = exposure.clusters.find(c => c.assets.includes(tradeParams.asset));
+        const limit = this.config.maxClusterExposure * this.accountStats.currentBalance;
+        
+        if (cluster && cluster.assets.length > 1 && cluster.stake > limit) {
             return { 
                 passed: false, 
-                reason: `Maximum drawdown exceeded: ${(this.accountStats.currentDrawdown * 100).toFixed(1)}%` 
+                reason: `Correlated cluster ${cluster.assets.join(', ')} would hold $${cluster.stake.toFixed(2)} (max: $${limit.toFixed(2)})` 
             };
         }
 
         return { passed: true };
     }
 
-    checkVolatilityRisk(tradeParams) {
-        // Check market volatility (would need actual volatility data)
-        const volatility = this.getCurrentVolatility(tradeParams.asset);
+    checkDirectionalExposure(tradeParams, exposure = this.getPortfolioExposure(tradeParams)) {
+        const side = getMarketSide(tradeParams.direction);
+        if (side === 0) return { passed: true };
         
-        if (volatility > this.config.volatilityThreshold) {
-            // Reduce position in high volatility
+        const net = exposure.netDirectional[tradeParams.asset] || 0;
+        const limit = this.config.maxDirectionalExposure * this.accountStats.currentBalance;
+        
+        // Only a trade adding to the dominant side is refused; a hedge is always welcome
+        if (Math.abs(net) > limit && Math.sign(net) === side) {
             return { 
-                passed: true, 
-                warning: `High volatility detected: ${(volatility * 100).toFixed(1)}%`,
-                recommendation: 'Consider reducing position size'
+                passed: false, 
+                reason: `Net ${side > 0 ? 'long' : 'short'} exposure on ${tradeParams.asset} would reach $${Math.abs(net).toFixed(2)} (max: $${limit.toFixed(2)})` 
             };
         }
 
         return { passed: true };
     }
 
-    checkCorrelationRisk(tradeParams) {
-        // Check for highly correlated positions
-        const correlatedTrades = this.findCorrelatedTrades(tradeParams.asset);
+    checkWorstCaseLoss(exposure) {
+        // Every open contract losing its stake must still leave the daily loss limit standing
+        const worstCasePL = this.dailyStats.netPL - exposure.worstCaseLoss;
         
-        if (correlatedTrades.length > 2) {
+        if (worstCasePL <= -this.config.maxDailyLoss) {
             return { 
                 passed: false, 
-                reason: `Too many correlated positions: ${correlatedTrades.length} trades on similar assets` 
+                reason: `Worst case loss of open trades would breach the daily loss limit: $${Math.abs(worstCasePL).toFixed(2)} of $${this.config.maxDailyLoss}` 
             };
         }
 
@@ -314,9 +411,11 @@ class RiskManager extends EventEmitter {
         
         this.activeTrades.set(trade.id, {
             id: trade.id,
+            platform: trade.platform,
             asset: trade.asset,
             direction: trade.direction,
             amount: trade.amount,
+            strategy: this.getStrategyKey(trade.signal),
             startTime: new Date(),
             maxLoss: trade.amount,
             unrealizedPL: 0
@@ -326,13 +425,25 @@ class RiskManager extends EventEmitter {
         this.updateRiskMetrics();
     }
 
+    // A cancelled contract frees its slot without counting as a win or a loss
+    releaseTrade(trade) {
+        this.activeTrades.delete(trade.id);
+    }
+
     recordTradeEnd(trade) {
         console.log(`📊 Recording trade end: ${trade.id} - ${trade.result}`);
         
+        const tracked = this.activeTrades.get(trade.id);
         this.activeTrades.delete(trade.id);
         
         const profit = trade.profit || 0;
         
+        this.tradeHistory.push({ id: trade.id, profit: profit, amount: trade.amount, exitTime: trade.exitTime || new Date() });
+        if (this.tradeHistory.length > this.config.tradeHistoryLimit) {
+            this.tradeHistory.shift();
+        }
+        this.historyChanged = true;
+        
         if (profit > 0) {
             this.dailyStats.profit += profit;
             this.dailyStats.consecutiveLosses = 0;
@@ -359,6 +470,8 @@ class RiskManager extends EventEmitter {
             this.accountStats.currentDrawdown
         );
 
+        this.recordBreakerResult(tracked || { asset: trade.asset, strategy: this.getStrategyKey(trade.signal) }, profit);
+        
         // Check for emergency conditions
         this.checkEmergencyConditions();
         
@@ -373,827 +486,653 @@ class RiskManager extends EventEmitter {
         });
     }
 
+    // Asked on every open-contract update; an exit instruction has the contract sold back early
+    reviewOpenTrade(trade, position) {
+        const tracked = this.activeTrades.get(trade.id);
+        if (tracked) {
+            tracked.unrealizedPL = position.profit;
+        }
+        
+        if (this.emergencyStopTriggered) {
+            return { exit: true, reason: 'Emergency stop is active' };
+        }
+        
+        // Realized P/L plus what this contract would realize now
+        const projectedPL = this.dailyStats.netPL + position.profit;
+        if (projectedPL <= -this.config.maxDailyLoss) {
+            return { exit: true, reason: `Daily loss limit reached with open losses: $${Math.abs(projectedPL).toFixed(2)} of $${this.config.maxDailyLoss}` };
+        }
+        
+        return { exit: false };
+    }
+
     // ================================
-    // RISK MONITORING
+    // RECOVERY
     // ================================
-    startRiskMonitoring() {
-        console.log('🔍 Starting risk monitoring...');
+
+    // Rebuilds today's figures from the trades table after a restart; rows in settlement order
+    restoreDailyStats(trades, now = new Date()) {
+        const today = now.toDateString();
+        const isToday = seconds => !!seconds && new Date(seconds * 1000).toDateString() === today;
         
-        // Monitor risk metrics every 30 seconds
-        setInterval(() => {
-            this.updateRiskMetrics();
-            this.checkRiskAlerts();
-        }, 30000);
+        const stats = {
+            profit: 0,
+            loss: 0,
+            netPL: 0,
+            tradesExecuted: 0,
+            consecutiveLosses: 0,
+            lastResetDate: today
+        };
         
-        // Daily reset check every hour
-        setInterval(() => {
-            this.checkAndResetDailyStats();
-        }, 3600000);
+        for (const row of trades) {
+            if (isToday(row.entry_time)) {
+                stats.tradesExecuted++;
+            }
+            if (row.status !== 'closed' || !isToday(row.exit_time)) continue;
+            
+            const profit = row.profit || 0;
+            if (profit > 0) {
+                stats.profit += profit;
+                stats.consecutiveLosses = 0;
+            } else {
+                stats.loss += Math.abs(profit);
+                stats.consecutiveLosses++;
+            }
+        }
         
-        // Emergency monitoring every 10 seconds
-        setInterval(() => {
-            this.checkEmergencyConditions();
-        }, 10000);
+        stats.netPL = stats.profit - stats.loss;
+        this.dailyStats = stats;
+        
+        console.log(`🛡️ Daily stats restored: ${stats.tradesExecuted} trades, P/L $${stats.netPL.toFixed(2)}, ${stats.consecutiveLosses} consecutive losses`);
+        
+        this.checkEmergencyConditions();
+        
+        return { ...stats };
     }
 
-    updateRiskMetrics() {
-        // Calculate real-time risk metrics
-        const metrics = this.metricsCalculator.calculate(
-            this.accountStats,
-            this.dailyStats,
-            this.activeTrades
-        );
-        
-        this.emit('risk_metrics_updated', metrics);
+    // Tracks a trade opened before a restart without counting it again
+    restoreOpenTrade(trade) {
+        this.activeTrades.set(trade.id, {
+            id: trade.id,
+            platform: trade.platform,
+            asset: trade.asset,
+            direction: trade.direction,
+            amount: trade.amount,
+            strategy: this.getStrategyKey(trade.signal),
+            startTime: trade.entryTime,
+            maxLoss: trade.amount,
+            unrealizedPL: 0
+        });
     }
 
-    checkRiskAlerts() {
-        const alerts = [];
-        
-        // High daily loss warning
-        if (this.dailyStats.netPL <= -this.config.maxDailyLoss * 0.8) {
-            alerts.push({
-                level: 'warning',
-                type: 'daily_loss_warning',
-                message: `Approaching daily loss limit: $${Math.abs(this.dailyStats.netPL)} of $${this.config.maxDailyLoss}`,
-                timestamp: new Date()
-            });
+    // ================================
+    // RISK POLICY
+    // ================================
+
+    // Evaluates the policy for a trade: cooldowns in its scope, then the highest-priority blocking rule
+    checkPolicy(tradeParams, exposure = null, now = Date.now()) {
+        const facts = this.buildPolicyFacts(tradeParams, exposure);
+        const fired = this.policy.evaluate(facts, new Date(now));
+        const firedRules = new Set(fired.map(entry => entry.rule));
+        
+        // An expired cooldown re-arms once its rule stops firing, so a condition that
+        // stays true does not start a new cooldown the moment the last one ends
+        let cooling = null;
+        for (const [key, cooldown] of this.policyCooldowns) {
+            if (key !== this.policy.cooldownKey(cooldown.rule, facts)) continue;
+            if (now < cooldown.until) {
+                cooling = cooling || cooldown;
+            } else if (!firedRules.has(cooldown.rule)) {
+                this.policyCooldowns.delete(key);
+            }
         }
-        
-        // High drawdown warning
-        if (this.accountStats.currentDrawdown > this.config.maxDrawdown * 0.8) {
-            alerts.push({
-                level: 'warning',
-                type: 'drawdown_warning',
-                message: `High drawdown: ${(this.accountStats.currentDrawdown * 100).toFixed(1)}%`,
-                timestamp: new Date()
-            });
+        if (cooling) {
+            return { passed: false, reason: `Cooling down after policy rule ${cooling.rule} until ${new Date(cooling.until).toISOString()}`, resizes: [] };
         }
         
-        // Consecutive losses warning
-        if (this.dailyStats.consecutiveLosses >= this.config.consecutiveLossLimit - 1) {
-            alerts.push({
-                level: 'warning',
-                type: 'consecutive_losses',
-                message: `${this.dailyStats.consecutiveLosses} consecutive losses`,
-                timestamp: new Date()
-            });
+        const effective = fired.filter(entry =>
+            entry.action.type !== 'cooldown' || !this.policyCooldowns.has(this.policy.cooldownKey(entry.rule, facts)));
+        const { blocking, resizes } = this.policy.decide(effective);
+        
+        if (!blocking) {
+            resizes.forEach(entry => this.recordPolicyFiring(entry, tradeParams, now));
+            return { passed: true, resizes };
         }
         
-        // Low balance warning
-        if (this.accountStats.currentBalance < this.config.minAccountBalance * 2) {
-            alerts.push({
-                level: 'critical',
-                type: 'low_balance',
-                message: `Low account balance: $${this.accountStats.currentBalance}`,
-                timestamp: new Date()
-            });
+        this.recordPolicyFiring(blocking, tradeParams, now);
+        
+        if (blocking.action.type === 'cooldown') {
+            const key = this.policy.cooldownKey(blocking.rule, facts);
+            const until = now + blocking.action.minutes * 60000;
+            this.policyCooldowns.set(key, { rule: blocking.rule, key, until });
+            return { passed: false, reason: `${blocking.message}; cooling down for ${blocking.action.minutes} minutes`, resizes: [] };
         }
         
-        // Emit new alerts
-        for (const alert of alerts) {
-            if (!this.riskAlerts.find(a => a.type === alert.type && a.level === alert.level)) {
-                this.riskAlerts.push(alert);
-                this.emit('risk_alert', alert);
-                
-                if (alert.level === 'critical') {
-                    this.handleCriticalAlert(alert);
-                }
-            }
+        if (blocking.action.type === 'emergency_stop') {
+            this.triggerEmergencyStop(blocking.message);
         }
         
-        // Clean old alerts
-        this.riskAlerts = this.riskAlerts.filter(alert => 
-            Date.now() - alert.timestamp.getTime() < 3600000 // Keep for 1 hour
-        );
+        return { passed: false, reason: blocking.message, resizes: [] };
     }
 
-    checkEmergencyConditions() {
-        if (this.emergencyStopTriggered) return;
+    // Every resize that fired shrinks the stake; the smallest result wins
+    applyPolicyResizes(amount, resizes = []) {
+        let resized = amount;
+        const notes = [];
         
-        // Emergency stop conditions
-        const emergencyConditions = [
-            this.dailyStats.netPL <= -this.config.emergencyStopLoss,
-            this.accountStats.currentBalance <= this.config.minAccountBalance,
-            this.accountStats.currentDrawdown >= this.config.maxDrawdown,
-            this.dailyStats.consecutiveLosses >= this.config.consecutiveLossLimit + 2
-        ];
-        
-        if (emergencyConditions.some(condition => condition)) {
-            this.triggerEmergencyStop();
+        for (const entry of resizes) {
+            const { factor, maxStake, maxStakeShare } = entry.action;
+            const limits = [
+                factor ? amount * factor : Infinity,
+                maxStake || Infinity,
+                maxStakeShare ? maxStakeShare * this.accountStats.currentBalance : Infinity
+            ];
+            const limited = Math.max(round(Math.min(...limits)), this.positionSizer.getMinTradeSize());
+            if (limited < resized) {
+                resized = limited;
+                notes.push(`${entry.message}: stake $${amount} resized to $${limited} by policy rule ${entry.rule}`);
+            }
         }
+        
+        return { amount: resized, notes };
     }
 
-    triggerEmergencyStop() {
-        console.log('🚨 EMERGENCY STOP TRIGGERED - Risk Manager');
+    // What a policy condition can see; trade facts are absent when the account is checked alone
+    buildPolicyFacts(tradeParams = null, exposure = null, state = null) {
+        const account = state || {
+            balance: this.accountStats.currentBalance,
+            dailyStats: this.dailyStats,
+            drawdown: this.accountStats.currentDrawdown,
+            openTrades: Array.from(this.activeTrades.values())
+        };
+        const metrics = state ? null : this.riskMetrics;
+        const balance = account.balance;
+        
+        const tail = (field) => {
+            const values = {};
+            for (const [key, methods] of Object.entries((metrics && metrics.valueAtRisk) || {})) {
+                // "1d_95" -> h1_95, as identifiers cannot start with a digit
+                values[`h${key.replace('d', '')}`] = methods.historical ? methods.historical[field] : null;
+            }
+            return values;
+        };
         
-        this.emergencyStopTriggered = true;
-        this.isActive = false;
+        const facts = {
+            balance: balance,
+            dailyPL: account.dailyStats.netPL,
+            dailyLoss: Math.max(0, -account.dailyStats.netPL),
+            dailyProfit: Math.max(0, account.dailyStats.netPL),
+            tradesToday: account.dailyStats.tradesExecuted,
+            consecutiveLosses: account.dailyStats.consecutiveLosses,
+            drawdown: account.drawdown,
+            openTrades: account.openTrades.length,
+            openStake: round(account.openTrades.reduce((sum, trade) => sum + trade.amount, 0)),
+            worstCaseLoss: exposure ? exposure.worstCaseLoss : null,
+            metrics: metrics,
+            var: tail('var'),
+            cvar: tail('cvar'),
+            limits: this.config
+        };
         
-        const stopReason = this.getEmergencyStopReason();
+        if (!tradeParams) return facts;
         
-        this.emit('emergency_stop', {
-            reason: stopReason,
-            accountBalance: this.accountStats.currentBalance,
-            dailyPL: this.dailyStats.netPL,
-            drawdown: this.accountStats.currentDrawdown,
-            timestamp: new Date()
-        });
+        const strategy = tradeParams.strategy;
+        const pricing = tradeParams.pricing;
+        const cluster = exposure ? exposure.clusters.find(c => c.assets.includes(tradeParams.asset)) : null;
         
-        // Record emergency event
-        this.recordRiskEvent('emergency_stop', stopReason, {
-            balance: this.accountStats.currentBalance,
-            dailyPL: this.dailyStats.netPL,
-            drawdown: this.accountStats.currentDrawdown
-        });
+        return {
+            ...facts,
+            asset: tradeParams.asset,
+            platform: tradeParams.platform || null,
+            direction: tradeParams.direction,
+            strategy: typeof strategy === 'string' ? strategy : (strategy && strategy.name) || null,
+            strategyId: tradeParams.strategyId || null,
+            stake: tradeParams.amount,
+            stakeShare: balance > 0 ? tradeParams.amount / balance : null,
+            confidence: tradeParams.confidence !== undefined ? tradeParams.confidence : null,
+            winRate: strategy && strategy.performance ? strategy.performance.winRate : null,
+            expectedValue: pricing && pricing.expectedValue !== undefined ? pricing.expectedValue : null,
+            netExposure: exposure && balance > 0 ? Math.abs(exposure.netDirectional[tradeParams.asset] || 0) / balance : null,
+            clusterStake: cluster ? cluster.stake : null
+        };
     }
 
-    getEmergencyStopReason() {
-        if (this.dailyStats.netPL <= -this.config.emergencyStopLoss) {
-            return `Emergency loss limit reached: $${Math.abs(this.dailyStats.netPL)}`;
-        }
-        if (this.accountStats.currentBalance <= this.config.minAccountBalance) {
-            return `Account balance critically low: $${this.accountStats.currentBalance}`;
-        }
-        if (this.accountStats.currentDrawdown >= this.config.maxDrawdown) {
-            return `Maximum drawdown exceeded: ${(this.accountStats.currentDrawdown * 100).toFixed(1)}%`;
-        }
-        if (this.dailyStats.consecutiveLosses >= this.config.consecutiveLossLimit + 2) {
-            return `Excessive consecutive losses: ${this.dailyStats.consecutiveLosses}`;
+    recordPolicyFiring(entry, tradeParams, now = Date.now()) {
+        const firing = {
+            rule: entry.rule,
+            action: entry.action.type,
+            message: entry.message,
+            asset: tradeParams ? tradeParams.asset : null,
+            strategy: tradeParams && tradeParams.strategy ? (tradeParams.strategy.name || tradeParams.strategy) : null,
+            timestamp: new Date(now)
+        };
+        
+        this.policyFirings.push(firing);
+        if (this.policyFirings.length > 100) {
+            this.policyFirings.shift();
         }
-        return 'Multiple risk conditions triggered';
+        this.emit('policy_rule_fired', firing);
     }
 
-    // ================================
-    // UTILITY METHODS
-    // ================================
-    getCurrentVolatility(asset) {
-        // Would calculate from real market data
-        // Simplified implementation
-        return Math.random() * 0.1; // 0-10% volatility
+    // Compiles and swaps in a policy; a broken policy is reported and the current one kept
+    loadPolicy(definition = {}) {
+        try {
+            this.policy = new RiskPolicy(definition || {});
+            this.policyError = null;
+            console.log(`🛡️ Risk policy loaded: ${this.policy.rules.length} rules`);
+            this.emit('policy_loaded', this.policy.describe());
+            return true;
+        } catch (error) {
+            this.policyError = error.message;
+            console.error('❌ Risk policy rejected, keeping the current one:', error.message);
+            this.emit('policy_rejected', { error: error.message });
+            return false;
+        }
     }
 
-    findCorrelatedTrades(asset) {
-        // Find trades on correlated assets
-        const correlatedAssets = this.getCorrelatedAssets(asset);
+    // The configuration's risk and trading sections override the environment defaults.
+    // risk.maxDrawdown is a percentage there, a fraction here.
+    applyConfig(configManager) {
+        const risk = configManager.get('risk', {}) || {};
+        const trading = configManager.get('trading', {}) || {};
         
-        return Array.from(this.activeTrades.values()).filter(trade =>
-            correlatedAssets.includes(trade.asset)
-        );
-    }
-
-    getCorrelatedAssets(asset) {
-        // Define asset correlations
-        const correlations = {
-            'EURUSD': ['GBPUSD', 'AUDUSD', 'NZDUSD'],
-            'GBPUSD': ['EURUSD', 'EURGBP'],
-            'USDJPY': ['USDCHF', 'USDCAD'],
-            // Add more correlations...
+        const limits = {
+            maxDailyLoss: risk.maxDailyLoss,
+            maxDrawdown: risk.maxDrawdown !== undefined ? risk.maxDrawdown / 100 : undefined,
+            maxRiskPerTrade: risk.maxRiskPerTrade,
+            defaultRiskPerTrade: risk.riskPerTrade,
+            consecutiveLossLimit: risk.consecutiveLossLimit,
+            dailyTradeLimit: trading.maxDailyTrades,
+            maxConcurrentTrades: trading.maxSimultaneousTrades,
+            emergencyStopLoss: trading.emergencyStopLoss
         };
         
-        return correlations[asset] || [];
+        for (const [key, value] of Object.entries(limits)) {
+            if (Number.isFinite(value)) {
+                this.config[key] = value;
+            }
+        }
+        
+        return this.loadPolicy(configManager.getRiskPolicy ? configManager.getRiskPolicy() : null);
     }
 
-    calculateCorrelationRisk(asset) {
-        const correlatedTrades = this.findCorrelatedTrades(asset);
-        return Math.min(correlatedTrades.length * 0.1, 0.5);
+    handleConfigReloaded() {
+        const configManager = this.getComponent('config');
+        if (configManager) {
+            this.applyConfig(configManager);
+        }
     }
 
-    checkAndResetDailyStats() {
-        const today = new Date().toDateString();
+    // Replays past trades against a policy (the current one by default) without enforcing anything:
+    // which rules would have fired, and the P/L of the trades they would have blocked
+    async dryRunPolicy(definition = null, options = {}) {
+        const policy = definition ? new RiskPolicy(definition) : this.policy;
+        const database = this.getComponent('database');
+        const now = options.now || Date.now();
+        const since = options.since ? new Date(options.since) : new Date(now - this.config.riskLookbackDays * 86400000);
+        
+        const rows = (database ? await database.getTradesSince(since) : [])
+            .filter(row => row.entry_time && ['closed', 'active'].includes(row.status))
+            .sort((a, b) => a.entry_time - b.entry_time);
+        
+        const closed = rows.filter(row => row.status === 'closed' && row.exit_time).sort((a, b) => a.exit_time - b.exit_time);
+        
+        // Replay the account from the balance it had before the first trade
+        const state = {
+            balance: this.accountStats.currentBalance - closed.reduce((sum, row) => sum + (row.profit || 0), 0),
+            peakBalance: 0,
+            drawdown: 0,
+            dailyStats: { netPL: 0, tradesExecuted: 0, consecutiveLosses: 0 },
+            day: null,
+            openTrades: []
+        };
+        state.peakBalance = state.balance;
+        let settledIndex = 0;
+        
+        const report = {
+            since: since,
+            trades: rows.length,
+            fired: [],
+            byRule: {},
+            blocked: 0,
+            resized: 0,
+            blockedPL: 0
+        };
         
-        if (this.dailyStats.lastResetDate !== today) {
-            console.log('📅 Resetting daily risk statistics');
+        for (const row of rows) {
+            const entryTime = row.entry_time * 1000;
             
-            // Store yesterday's stats before reset
-            this.recordDailyStats();
+            // Settle everything that closed before this trade opened
+            while (settledIndex < closed.length && closed[settledIndex].exit_time <= row.entry_time) {
+                this.replaySettlement(state, closed[settledIndex++]);
+            }
+            state.openTrades = rows.filter(other => other.entry_time < row.entry_time &&
+                (!other.exit_time || other.exit_time > row.entry_time));
             
-            this.dailyStats = {
-                profit: 0,
-                loss: 0,
-                netPL: 0,
-                tradesExecuted: 0,
-                consecutiveLosses: 0,
-                lastResetDate: today
+            const day = new Date(entryTime).toDateString();
+            if (state.day !== day) {
+                state.day = day;
+                state.dailyStats = { netPL: 0, tradesExecuted: 0, consecutiveLosses: 0 };
+            }
+            
+            const tradeParams = {
+                asset: row.asset,
+                platform: row.platform,
+                direction: row.direction,
+                amount: row.amount,
+                confidence: row.confidence,
+                strategy: row.strategy_name,
+                strategyId: row.strategy_id
             };
+            const fired = policy.evaluate(this.buildPolicyFacts(tradeParams, null, state), new Date(entryTime));
+            const { blocking, resizes } = policy.decide(fired);
             
-            // Reset emergency stop if new day
-            if (this.emergencyStopTriggered) {
-                console.log('🔄 Resetting emergency stop for new trading day');
-                this.emergencyStopTriggered = false;
-                this.isActive = true;
+            for (const entry of blocking ? [blocking] : resizes) {
+                report.fired.push({
+                    tradeId: row.id,
+                    entryTime: new Date(entryTime),
+                    asset: row.asset,
+                    strategy: row.strategy_name,
+                    rule: entry.rule,
+                    action: entry.action.type,
+                    message: entry.message,
+                    profit: row.profit
+                });
+                report.byRule[entry.rule] = (report.byRule[entry.rule] || 0) + 1;
             }
-        }
-    }
-
-    recordDailyStats() {
-        // Record daily statistics to database
-        const database = this.getComponent('database');
-        if (database) {
-            database.saveDailyRiskStats({
-                date: this.dailyStats.lastResetDate,
-                profit: this.dailyStats.profit,
-                loss: this.dailyStats.loss,
-                netPL: this.dailyStats.netPL,
-                tradesExecuted: this.dailyStats.tradesExecuted,
-                accountBalance: this.accountStats.currentBalance
-            });
-        }
-    }
-
-    recordRiskEvent(type, description, data) {
-        const event = {
-            type: type,
-            description: description,
-            data: data,
-            timestamp: new Date()
-        };
-        
-        // Store in database
-        const database = this.getComponent('database');
-        if (database) {
-            database.saveRiskEvent(event);
+            
+            if (blocking) {
+                report.blocked++;
+                report.blockedPL = round(report.blockedPL + (row.profit || 0));
+            } else if (resizes.length > 0) {
+                report.resized++;
+            }
+            
+            state.dailyStats.tradesExecuted++;
         }
         
-        console.log(`🛡️ Risk event recorded: ${type} - ${description}`);
+        return report;
     }
 
-    async validateAccountState() {
-        // Validate account state on startup
-        if (this.accountStats.currentBalance < this.config.minAccountBalance) {
-            throw new Error(`Account balance too low: $${this.accountStats.currentBalance} (minimum: $${this.config.minAccountBalance})`);
-        }
+    replaySettlement(state, row) {
+        const profit = row.profit || 0;
         
-        console.log('✅ Account state validation passed');
-    }
-
-    async loadRiskHistory() {
-        // Load historical risk data from database
-        try {
-            const database = this.getComponent('database');
-            if (database) {
-                const riskHistory = await database.getRiskHistory();
-                if (riskHistory) {
-                    // Update account stats from historical data
-                    this.accountStats.maxDrawdown = riskHistory.maxDrawdown || 0;
-                    this.accountStats.totalProfit = riskHistory.totalProfit || 0;
-                    this.accountStats.totalLoss = riskHistory.totalLoss || 0;
-                }
-            }
-        } catch (error) {
-            console.log('📝 No risk history found, starting fresh');
+        if (new Date(row.exit_time * 1000).toDateString() === state.day) {
+            state.dailyStats.netPL += profit;
+            state.dailyStats.consecutiveLosses = profit > 0 ? 0 : state.dailyStats.consecutiveLosses + 1;
         }
-    }
-
-    handleCriticalAlert(alert) {
-        console.log(`🚨 CRITICAL RISK ALERT: ${alert.message}`);
         
-        // Take immediate protective action
-        switch (alert.type) {
-            case 'low_balance':
-                // Reduce position sizes
-                this.config.maxRiskPerTrade *= 0.5;
-                break;
-                
-            case 'high_drawdown':
-                // Pause trading temporarily
-                this.isActive = false;
-                setTimeout(() => {
-                    this.isActive = true;
-                    console.log('🔄 Risk Manager reactivated after cooldown');
-                }, 300000); // 5 minute pause
-                break;
-        }
-    }
-
-    // ================================
-    // API METHODS
-    // ================================
-    async assessSignalRisk(signal) {
-        return await this.validateTrade({
-            asset: signal.asset,
-            direction: signal.direction,
-            amount: signal.amount,
-            strategy: signal.strategy
-        });
-    }
-
-    updateConfig(newConfig) {
-        this.config = { ...this.config, ...newConfig };
-        console.log('🛡️ Risk Manager configuration updated');
-    }
-
-    getRiskMetrics() {
-        return {
-            daily: this.dailyStats,
-            account: this.accountStats,
-            config: this.config,
-            alerts: this.riskAlerts,
-            activeTrades: this.activeTrades.size,
-            emergencyStop: this.emergencyStopTriggered
-        };
-    }
-
-    getAccountBalance() {
-        return this.accountStats.currentBalance;
-    }
-
-    getDailyPL() {
-        return this.dailyStats.netPL;
+        state.balance += profit;
+        state.peakBalance = Math.max(state.peakBalance, state.balance);
+        state.drawdown = state.peakBalance > 0 ? (state.peakBalance - state.balance) / state.peakBalance : 0;
     }
 
-    healthCheck() {
+    getPolicyStatus(now = Date.now()) {
         return {
-            status: this.isActive ? (this.emergencyStopTriggered ? 'emergency_stop' : 'active') : 'inactive',
-            accountBalance: this.accountStats.currentBalance,
-            dailyPL: this.dailyStats.netPL,
-            drawdown: this.accountStats.currentDrawdown,
-            activeTrades: this.activeTrades.size,
-            riskAlerts: this.riskAlerts.length,
-            emergencyStop: this.emergencyStopTriggered
-        };
-    }
-
-    async start() {
-        console.log('▶️ Starting Risk Manager...');
-        this.isActive = true;
-    }
-
-    async stop() {
-        console.log('⏹️ Stopping Risk Manager...');
-        this.isActive = false;
-        
-        // Save current state
-        this.recordDailyStats();
-    }
-
-    // Method to receive component references
-    getComponent(name) {
-        // This will be set by the integration layer
-        return null;
-    }
-}
-
-// ================================
-// POSITION SIZER CLASS
-// ================================
-class PositionSizer {
-    constructor(config) {
-        this.config = config;
-    }
-
-    calculatePositionSize(requestedAmount, accountBalance, winRate) {
-        // Kelly Criterion with modifications
-        const kellyAmount = this.calculateKellyAmount(accountBalance, winRate);
-        
-        // Fixed percentage method
-        const fixedPercentAmount = accountBalance * this.config.defaultRiskPerTrade;
-        
-        // Volatility adjustment
-        const volatilityAdjusted = this.adjustForVolatility(requestedAmount);
-        
-        // Take the most conservative approach
-        const calculatedAmount = Math.min(
-            requestedAmount,
-            kellyAmount,
-            fixedPercentAmount,
-            volatilityAdjusted
-        );
-        
-        // Ensure minimum trade size
-        const minTradeSize = parseFloat(process.env.MIN_TRADE_SIZE_DERIV) || 0.35;
-        
-        return Math.max(calculatedAmount, minTradeSize);
-    }
-
-    calculateKellyAmount(accountBalance, winRate) {
-        // Simplified Kelly Criterion
-        // f = (bp - q) / b
-        // where b = odds, p = win probability, q = loss probability
-        
-        const b = 0.8; // 80% payout rate
-        const p = winRate;
-        const q = 1 - p;
-        
-        const f = (b * p - q) / b;
-        const kellyFraction = Math.max(0, Math.min(f, 0.25)); // Cap at 25%
-        
-        return accountBalance * kellyFraction;
-    }
-
-    adjustForVolatility(amount) {
-        // Reduce position size in high volatility
-        const volatilityFactor = 0.8; // 20% reduction for high volatility
-        return amount * volatilityFactor;
-    }
-}
-// ================================
-// BAYNEX.A.X RISK MANAGER
-// Multi-Layer Risk Protection System
-// ================================
-
-const EventEmitter = require('events');
-
-class RiskManager extends EventEmitter {
-    constructor() {
-        super();
-        this.dependencies = ['database'];
-        this.isActive = true;
-        
-        // Risk configuration
-        this.config = {
-            maxDailyLoss: parseFloat(process.env.MAX_DAILY_LOSS) || 500,
-            dailyProfitTarget: parseFloat(process.env.DAILY_PROFIT_TARGET) || 200,
-            maxConcurrentTrades: parseInt(process.env.MAX_CONCURRENT_TRADES) || 5,
-            defaultRiskPerTrade: parseFloat(process.env.DEFAULT_RISK_PER_TRADE) || 0.02,
-            maxRiskPerTrade: 0.05, // 5% max risk per trade
-            emergencyStopLoss: parseFloat(process.env.EMERGENCY_STOP_LOSS) || 1000,
-            maxDrawdown: 0.20, // 20% max drawdown
-            minAccountBalance: parseFloat(process.env.MIN_TRADE_SIZE_DERIV) * 10 || 3.50,
-            consecutiveLossLimit: 5,
-            dailyTradeLimit: 100,
-            volatilityThreshold: 0.05,
-            correlationLimit: 0.8
-        };
-        
-        // Risk tracking
-        this.dailyStats = {
-            profit: 0,
-            loss: 0,
-            netPL: 0,
-            tradesExecuted: 0,
-            consecutiveLosses: 0,
-            lastResetDate: new Date().toDateString()
-        };
-        
-        this.accountStats = {
-            currentBalance: parseFloat(process.env.STARTING_BALANCE) || 1000,
-            peakBalance: parseFloat(process.env.STARTING_BALANCE) || 1000,
-            currentDrawdown: 0,
-            maxDrawdown: 0,
-            totalProfit: 0,
-            totalLoss: 0
+            ...this.policy.describe(),
+            error: this.policyError,
+            cooldowns: Array.from(this.policyCooldowns.values())
+                .filter(cooldown => cooldown.until > now)
+                .map(cooldown => ({ ...cooldown, until: new Date(cooldown.until) })),
+            recentFirings: this.policyFirings.slice(-20).reverse()
         };
-        
-        // Active risk monitors
-        this.activeTrades = new Map();
-        this.riskAlerts = [];
-        this.emergencyStopTriggered = false;
-        
-        // Position sizing calculator
-        this.positionSizer = new PositionSizer(this.config);
-        
-        // Risk metrics calculator
-        this.metricsCalculator = new RiskMetricsCalculator();
-        
-        this.startRiskMonitoring();
-    }
-
-    async initialize() {
-        console.log('🛡️ Initializing Risk Manager...');
-        
-        try {
-            // Load historical risk data
-            await this.loadRiskHistory();
-            
-            // Reset daily stats if new day
-            this.checkAndResetDailyStats();
-            
-            // Validate initial account state
-            await this.validateAccountState();
-            
-            console.log('✅ Risk Manager initialized');
-            console.log(`🛡️ Daily Loss Limit: $${this.config.maxDailyLoss}`);
-            console.log(`🎯 Daily Profit Target: $${this.config.dailyProfitTarget}`);
-            console.log(`📊 Current Balance: $${this.accountStats.currentBalance}`);
-            
-            return true;
-            
-        } catch (error) {
-            console.error('❌ Risk Manager initialization failed:', error);
-            throw error;
-        }
     }
 
     // ================================
-    // TRADE VALIDATION
+    // CIRCUIT BREAKERS
     // ================================
-    async validateTrade(tradeParams) {
-        if (!this.isActive) {
-            return { approved: false, reason: 'Risk Manager disabled' };
-        }
-
-        if (this.emergencyStopTriggered) {
-            return { approved: false, reason: 'Emergency stop active' };
-        }
-
-        try {
-            // Pre-trade validation checks
-            const validations = [
-                this.checkDailyLimits(),
-                this.checkAccountBalance(tradeParams.amount),
-                this.checkTradeSize(tradeParams.amount),
-                this.checkConcurrentTrades(),
-                this.checkConsecutiveLosses(),
-                this.checkDrawdownLimit(),
-                this.checkVolatilityRisk(tradeParams),
-                this.checkCorrelationRisk(tradeParams)
-            ];
-
-            for (const validation of validations) {
-                if (!validation.passed) {
-                    console.log(`🛡️ Trade rejected: ${validation.reason}`);
-                    this.recordRiskEvent('trade_rejected', validation.reason, tradeParams);
-                    return { approved: false, reason: validation.reason };
-                }
-            }
-
-            // Calculate position size
-            const recommendedSize = this.positionSizer.calculatePositionSize(
-                tradeParams.amount, 
-                this.accountStats.currentBalance,
-                tradeParams.strategy?.performance?.winRate || 0.5
-            );
-
-            // Approve trade with recommendations
-            const approval = {
-                approved: true,
-                recommendedAmount: recommendedSize,
-                riskLevel: this.calculateTradeRiskLevel(tradeParams),
-                maxLoss: recommendedSize,
-                notes: []
+    checkCircuitBreakers(tradeParams, now = Date.now()) {
+        const check = this.circuitBreakers.check(this.getBreakerSubject(tradeParams), now);
+        this.handleBreakerTransitions(check.transitions);
+        
+        if (check.paused) {
+            const breaker = check.paused;
+            return {
+                passed: false,
+                reason: `Circuit breaker on ${this.describeBreaker(breaker)} paused until ${new Date(breaker.pausedUntil).toISOString()} (${breaker.reason})`
             };
-
-            if (recommendedSize !== tradeParams.amount) {
-                approval.notes.push(`Position size adjusted from $${tradeParams.amount} to $${recommendedSize}`);
-            }
-
-            console.log(`✅ Trade approved: ${tradeParams.direction} ${tradeParams.asset} - $${recommendedSize}`);
-            
-            return approval;
-
-        } catch (error) {
-            console.error('❌ Error validating trade:', error);
-            return { approved: false, reason: 'Validation error' };
-        }
-    }
-
-    async validateSignal(signal) {
-        // Quick signal validation for high-frequency checks
-        if (!this.isActive || this.emergencyStopTriggered) {
-            return false;
-        }
-
-        // Basic checks
-        if (this.dailyStats.tradesExecuted >= this.config.dailyTradeLimit) {
-            return false;
-        }
-
-        if (this.dailyStats.netPL <= -this.config.maxDailyLoss) {
-            return false;
-        }
-
-        if (this.activeTrades.size >= this.config.maxConcurrentTrades) {
-            return false;
         }
-
-        return true;
+        
+        return { passed: true, sizeFactor: check.sizeFactor, limiting: check.limiting };
     }
 
-    // ================================
-    // RISK CHECKS
-    // ================================
-    checkDailyLimits() {
-        // Check daily loss limit
-        if (this.dailyStats.netPL <= -this.config.maxDailyLoss) {
-            return { passed: false, reason: `Daily loss limit reached: $${Math.abs(this.dailyStats.netPL)}` };
-        }
-
-        // Check daily trade limit
-        if (this.dailyStats.tradesExecuted >= this.config.dailyTradeLimit) {
-            return { passed: false, reason: `Daily trade limit reached: ${this.dailyStats.tradesExecuted}` };
-        }
-
-        // Check if profit target reached (optional stop)
-        if (this.dailyStats.netPL >= this.config.dailyProfitTarget) {
-            // Could implement profit protection here
-            // For now, allow continued trading
+    applyBreakerSize(amount, check) {
+        if (!check || !(check.sizeFactor < 1)) {
+            return { amount, notes: [] };
         }
-
-        return { passed: true };
-    }
-
-    checkAccountBalance(tradeAmount) {
-        const remainingBalance = this.accountStats.currentBalance - tradeAmount;
         
-        if (remainingBalance < this.config.minAccountBalance) {
-            return { 
-                passed: false, 
-                reason: `Insufficient balance: $${this.accountStats.currentBalance} (need $${tradeAmount + this.config.minAccountBalance})` 
-            };
+        const limited = Math.min(amount, Math.max(round(amount * check.sizeFactor), this.positionSizer.getMinTradeSize()));
+        const breaker = check.limiting;
+        if (limited >= amount) {
+            return { amount, notes: [] };
         }
-
-        return { passed: true };
-    }
-
-    checkTradeSize(amount) {
-        const accountRisk = amount / this.accountStats.currentBalance;
         
-        if (accountRisk > this.config.maxRiskPerTrade) {
-            return { 
-                passed: false, 
-                reason: `Trade size exceeds risk limit: ${(accountRisk * 100).toFixed(1)}% (max: ${(this.config.maxRiskPerTrade * 100)}%)` 
-            };
-        }
-
-        return { passed: true };
+        return {
+            amount: limited,
+            notes: [`Circuit breaker on ${this.describeBreaker(breaker)} is ${breaker.state}: stake $${amount} cut to $${limited}`]
+        };
     }
 
-    checkConcurrentTrades() {
-        if (this.activeTrades.size >= this.config.maxConcurrentTrades) {
-            return { 
-                passed: false, 
-                reason: `Maximum concurrent trades reached: ${this.activeTrades.size}/${this.config.maxConcurrentTrades}` 
-            };
-        }
-
-        return { passed: true };
+    recordBreakerResult(subject, profit, now = Date.now()) {
+        const { transitions, updated } = this.circuitBreakers.recordResult(subject, profit, now);
+        
+        // Counters are saved too, so a restart does not forget a streak in progress
+        updated.forEach(breaker => this.saveCircuitBreaker(breaker));
+        this.handleBreakerTransitions(transitions);
     }
 
-    checkConsecutiveLosses() {
-        if (this.dailyStats.consecutiveLosses >= this.config.consecutiveLossLimit) {
-            return { 
-                passed: false, 
-                reason: `Consecutive loss limit reached: ${this.dailyStats.consecutiveLosses}` 
-            };
-        }
-
-        return { passed: true };
+    refreshCircuitBreakers(now = Date.now()) {
+        this.handleBreakerTransitions(this.circuitBreakers.refresh(now));
     }
 
-    checkDrawdownLimit() {
-        if (this.accountStats.currentDrawdown > this.config.maxDrawdown) {
-            return { 
-                passed: false, 
-                reason: `Maximum drawdown exceeded: ${(this.accountStats.currentDrawdown * 100).toFixed(1)}%` 
-            };
-        }
-
-        return { passed: true };
+    resetCircuitBreaker(key, now = Date.now()) {
+        const transition = this.circuitBreakers.reset(key, now);
+        if (transition) {
+            this.handleBreakerTransitions([transition]);
+        }
+        return transition;
     }
 
-    checkVolatilityRisk(tradeParams) {
-        // Check market volatility (would need actual volatility data)
-        const volatility = this.getCurrentVolatility(tradeParams.asset);
-        
-        if (volatility > this.config.volatilityThreshold) {
-            // Reduce position in high volatility
-            return { 
-                passed: true, 
-                warning: `High volatility detected: ${(volatility * 100).toFixed(1)}%`,
-                recommendation: 'Consider reducing position size'
-            };
+    handleBreakerTransitions(transitions) {
+        for (const transition of transitions) {
+            const breaker = this.circuitBreakers.breakers.get(transition.key);
+            const description = `Circuit breaker on ${this.describeBreaker(breaker)}: ${transition.from} → ${transition.to} (${transition.reason})`;
+            
+            this.saveCircuitBreaker(breaker);
+            this.recordRiskEvent('circuit_breaker', description, transition);
+            this.emit('circuit_breaker_changed', { ...transition, description });
         }
+    }
 
-        return { passed: true };
+    saveCircuitBreaker(breaker) {
+        const database = this.getComponent('database');
+        if (!database) return;
+        
+        database.saveCircuitBreaker(breaker).catch(error => {
+            console.error(`❌ Failed to save circuit breaker ${breaker.key}:`, error.message);
+        });
     }
 
-    checkCorrelationRisk(tradeParams) {
-        // Check for highly correlated positions
-        const correlatedTrades = this.findCorrelatedTrades(tradeParams.asset);
+    async loadCircuitBreakers() {
+        const database = this.getComponent('database');
+        if (!database) return;
         
-        if (correlatedTrades.length > 2) {
-            return { 
-                passed: false, 
-                reason: `Too many correlated positions: ${correlatedTrades.length} trades on similar assets` 
-            };
+        try {
+            this.circuitBreakers.restore(await database.getCircuitBreakers());
+            const tripped = this.circuitBreakers.list().filter(breaker => breaker.state !== 'normal');
+            console.log(`🛡️ Restored ${tripped.length} tripped circuit breakers`);
+        } catch (error) {
+            console.error('❌ Failed to load circuit breakers:', error.message);
         }
+        
+        this.refreshCircuitBreakers();
+    }
 
-        return { passed: true };
+    getBreakerSubject(params) {
+        const strategy = params.strategyId || (typeof params.strategy === 'string' ? params.strategy : params.strategy && params.strategy.name);
+        return { asset: params.asset, strategy: strategy || null };
     }
 
-    // ================================
-    // POSITION SIZING
-    // ================================
-    calculateOptimalPositionSize(tradeParams, accountBalance, strategyWinRate) {
-        return this.positionSizer.calculatePositionSize(
-            tradeParams.amount,
-            accountBalance,
-            strategyWinRate
-        );
+    getStrategyKey(signal) {
+        return signal ? signal.strategyId || signal.strategy || null : null;
     }
 
-    calculateTradeRiskLevel(tradeParams) {
-        const accountRisk = tradeParams.amount / this.accountStats.currentBalance;
-        const volatility = this.getCurrentVolatility(tradeParams.asset);
-        const correlationRisk = this.calculateCorrelationRisk(tradeParams.asset);
-        
-        const riskScore = (accountRisk * 0.4) + (volatility * 0.3) + (correlationRisk * 0.3);
-        
-        if (riskScore < 0.02) return 'low';
-        if (riskScore < 0.04) return 'medium';
-        return 'high';
+    describeBreaker(breaker) {
+        return breaker.scope === 'account' ? 'the account' : `${breaker.scope} ${breaker.target}`;
     }
 
     // ================================
-    // TRADE MONITORING
+    // PORTFOLIO EXPOSURE
     // ================================
-    recordTradeStart(trade) {
-        console.log(`📊 Recording trade start: ${trade.id}`);
-        
-        this.activeTrades.set(trade.id, {
-            id: trade.id,
-            asset: trade.asset,
-            direction: trade.direction,
-            amount: trade.amount,
-            startTime: new Date(),
-            maxLoss: trade.amount,
-            unrealizedPL: 0
-        });
-
-        this.dailyStats.tradesExecuted++;
-        this.updateRiskMetrics();
-    }
 
-    recordTradeEnd(trade) {
-        console.log(`📊 Recording trade end: ${trade.id} - ${trade.result}`);
+    // Open stake by asset, contract type and platform, correlation-weighted net direction per
+    // asset, correlated clusters, and the loss if every open contract lost. A candidate trade
+    // is counted as if it were already open.
+    getPortfolioExposure(candidate = null, now = Date.now()) {
+        this.refreshCorrelations(now);
         
-        this.activeTrades.delete(trade.id);
+        const positions = Array.from(this.activeTrades.values());
+        if (candidate) {
+            positions.push({ platform: candidate.platform, asset: candidate.asset, direction: candidate.direction, amount: candidate.amount, maxLoss: candidate.amount });
+        }
         
-        const profit = trade.profit || 0;
+        const add = (totals, key, amount) => {
+            totals[key] = round((totals[key] || 0) + amount);
+        };
         
-        if (profit > 0) {
-            this.dailyStats.profit += profit;
-            this.dailyStats.consecutiveLosses = 0;
-        } else {
-            this.dailyStats.loss += Math.abs(profit);
-            this.dailyStats.consecutiveLosses++;
-        }
+        const exposure = {
+            totalStake: 0,
+            byAsset: {},
+            byDirection: {},
+            byPlatform: {},
+            netDirectional: {},
+            clusters: [],
+            worstCaseLoss: 0
+        };
         
-        this.dailyStats.netPL = this.dailyStats.profit - this.dailyStats.loss;
-        this.accountStats.currentBalance += profit;
-        this.accountStats.totalProfit += Math.max(0, profit);
-        this.accountStats.totalLoss += Math.max(0, -profit);
+        for (const position of positions) {
+            exposure.totalStake = round(exposure.totalStake + position.amount);
+            // Binary contracts lose the stake; multipliers are stopped out before losing more
+            exposure.worstCaseLoss = round(exposure.worstCaseLoss + (position.maxLoss || position.amount));
+            add(exposure.byAsset, position.asset, position.amount);
+            add(exposure.byDirection, String(position.direction).toUpperCase(), position.amount);
+            add(exposure.byPlatform, position.platform || 'auto', position.amount);
+        }
         
-        // Update peak balance and drawdown
-        if (this.accountStats.currentBalance > this.accountStats.peakBalance) {
-            this.accountStats.peakBalance = this.accountStats.currentBalance;
+        const assets = Object.keys(exposure.byAsset);
+        for (const asset of assets) {
+            exposure.netDirectional[asset] = round(positions.reduce((net, position) =>
+                net + getMarketSide(position.direction) * position.amount * this.correlationTracker.getCorrelation(asset, position.asset), 0));
         }
         
-        this.accountStats.currentDrawdown = 
-            (this.accountStats.peakBalance - this.accountStats.currentBalance) / this.accountStats.peakBalance;
+        exposure.clusters = this.correlationTracker.getClusters(assets).map(cluster => ({
+            assets: cluster,
+            stake: round(cluster.reduce((sum, asset) => sum + exposure.byAsset[asset], 0))
+        }));
         
-        this.accountStats.maxDrawdown = Math.max(
-            this.accountStats.maxDrawdown, 
-            this.accountStats.currentDrawdown
-        );
+        return exposure;
+    }
 
-        // Check for emergency conditions
-        this.checkEmergencyConditions();
+    // Correlations are rebuilt from DataProcessor candles at most once per correlationRefresh
+    refreshCorrelations(now = Date.now()) {
+        const tracker = this.correlationTracker;
+        if (tracker.updatedAt !== null && now - tracker.updatedAt < this.config.correlationRefresh) return;
         
-        this.updateRiskMetrics();
+        const dataProcessor = this.getComponent('dataProcessor');
+        if (!dataProcessor) return;
         
-        this.emit('trade_recorded', {
-            tradeId: trade.id,
-            profit: profit,
-            dailyPL: this.dailyStats.netPL,
-            accountBalance: this.accountStats.currentBalance,
-            drawdown: this.accountStats.currentDrawdown
-        });
+        const series = {};
+        for (const asset of dataProcessor.config.supportedAssets) {
+            series[asset] = dataProcessor.getCandles(asset, this.config.correlationTimeframe, this.config.correlationWindow + 1);
+        }
+        
+        tracker.update(series, now);
     }
 
     // ================================
     // RISK MONITORING
     // ================================
     startRiskMonitoring() {
+        if (this.monitoringTimers.length > 0) return;
+
         console.log('🔍 Starting risk monitoring...');
         
         // Monitor risk metrics every 30 seconds
-        setInterval(() => {
+        this.monitoringTimers.push(setInterval(() => {
             this.updateRiskMetrics();
             this.checkRiskAlerts();
-        }, 30000);
+            this.refreshCircuitBreakers();
+        }, 30000));
         
         // Daily reset check every hour
-        setInterval(() => {
+        this.monitoringTimers.push(setInterval(() => {
             this.checkAndResetDailyStats();
-        }, 3600000);
+        }, 3600000));
         
         // Emergency monitoring every 10 seconds
-        setInterval(() => {
+        this.monitoringTimers.push(setInterval(() => {
             this.checkEmergencyConditions();
-        }, 10000);
+        }, 10000));
+    }
+
+    stopRiskMonitoring() {
+        this.monitoringTimers.forEach(timer => clearInterval(timer));
+        this.monitoringTimers = [];
     }
 
-    updateRiskMetrics() {
+    updateRiskMetrics(now = Date.now()) {
+        // VaR and the ratios walk the whole trade history, so they refresh at most every riskMetricsRefresh
+        if (!this.historyMetrics || (this.historyChanged && now - this.historyMetricsAt >= this.config.riskMetricsRefresh)) {
+            this.historyMetrics = this.metricsCalculator.calculateHistoryMetrics(this.tradeHistory, this.accountStats);
+            this.historyMetricsAt = now;
+            this.historyChanged = false;
+        }
+        
         // Calculate real-time risk metrics
         const metrics = this.metricsCalculator.calculate(
             this.accountStats,
             this.dailyStats,
-            this.activeTrades
+            this.activeTrades,
+            this.historyMetrics
         );
         
+        this.riskMetrics = metrics;
         this.emit('risk_metrics_updated', metrics);
+        
+        return metrics;
+    }
+
+    // Closed trades from the trades table, so VaR and ratios survive restarts
+    async loadTradeHistory(now = Date.now()) {
+        const database = this.getComponent('database');
+        if (!database) return;
+        
+        try {
+            const since = new Date(now - this.config.riskLookbackDays * 86400000);
+            const rows = await database.getTradesSince(since);
+            
+            this.tradeHistory = rows
+                .filter(row => row.status === 'closed' && row.exit_time)
+                .map(row => ({ id: row.id, profit: row.profit || 0, amount: row.amount, exitTime: new Date(row.exit_time * 1000) }))
+                .slice(-this.config.tradeHistoryLimit);
+            
+            console.log(`🛡️ Loaded ${this.tradeHistory.length} closed trades for risk metrics`);
+        } catch (error) {
+            console.error('❌ Failed to load trade history for risk metrics:', error.message);
+        }
+        
+        this.historyMetrics = null;
+        this.updateRiskMetrics();
+    }
+
+    // Metric limits whose metric is known and outside its bound; metrics still short of data are skipped
+    getMetricLimitBreaches() {
+        if (!this.riskMetrics) return [];
+        
+        return this.config.metricLimits
+            .map(limit => ({ ...limit, value: limit.metric.split('.').reduce((value, key) => value == null ? value : value[key], this.riskMetrics) }))
+            .filter(limit => typeof limit.value === 'number' &&
+                ((limit.max !== undefined && limit.value > limit.max) || (limit.min !== undefined && limit.value < limit.min)));
     }
 
     checkRiskAlerts() {
@@ -1229,6 +1168,16 @@ class RiskManager extends EventEmitter {
             });
         }
         
+        // Risk metric limits
+        for (const breach of this.getMetricLimitBreaches()) {
+            alerts.push({
+                level: 'warning',
+                type: `metric_limit:${breach.metric}`,
+                message: `${breach.metric} at ${breach.value.toFixed(2)} is outside its limit, trading halted`,
+                timestamp: new Date()
+            });
+        }
+        
         // Low balance warning
         if (this.accountStats.currentBalance < this.config.minAccountBalance * 2) {
             alerts.push({
@@ -1260,27 +1209,22 @@ class RiskManager extends EventEmitter {
     checkEmergencyConditions() {
         if (this.emergencyStopTriggered) return;
         
-        // Emergency stop conditions
-        const emergencyConditions = [
-            this.dailyStats.netPL <= -this.config.emergencyStopLoss,
-            this.accountStats.currentBalance <= this.config.minAccountBalance,
-            this.accountStats.currentDrawdown >= this.config.maxDrawdown,
-            this.dailyStats.consecutiveLosses >= this.config.consecutiveLossLimit + 2
-        ];
+        // Account-wide emergency rules of the policy; rules scoped to a trade are out of scope here
+        const emergency = this.policy.evaluate(this.buildPolicyFacts())
+            .find(entry => entry.action.type === 'emergency_stop');
         
-        if (emergencyConditions.some(condition => condition)) {
-            this.triggerEmergencyStop();
+        if (emergency) {
+            this.recordPolicyFiring(emergency, null);
+            this.triggerEmergencyStop(emergency.message);
         }
     }
 
-    triggerEmergencyStop() {
+    triggerEmergencyStop(stopReason = 'Multiple risk conditions triggered') {
         console.log('🚨 EMERGENCY STOP TRIGGERED - Risk Manager');
         
         this.emergencyStopTriggered = true;
         this.isActive = false;
         
-        const stopReason = this.getEmergencyStopReason();
-        
         this.emit('emergency_stop', {
             reason: stopReason,
             accountBalance: this.accountStats.currentBalance,
@@ -1297,22 +1241,6 @@ class RiskManager extends EventEmitter {
         });
     }
 
-    getEmergencyStopReason() {
-        if (this.dailyStats.netPL <= -this.config.emergencyStopLoss) {
-            return `Emergency loss limit reached: $${Math.abs(this.dailyStats.netPL)}`;
-        }
-        if (this.accountStats.currentBalance <= this.config.minAccountBalance) {
-            return `Account balance critically low: $${this.accountStats.currentBalance}`;
-        }
-        if (this.accountStats.currentDrawdown >= this.config.maxDrawdown) {
-            return `Maximum drawdown exceeded: ${(this.accountStats.currentDrawdown * 100).toFixed(1)}%`;
-        }
-        if (this.dailyStats.consecutiveLosses >= this.config.consecutiveLossLimit + 2) {
-            return `Excessive consecutive losses: ${this.dailyStats.consecutiveLosses}`;
-        }
-        return 'Multiple risk conditions triggered';
-    }
-
     // ================================
     // UTILITY METHODS
     // ================================
@@ -1332,15 +1260,8 @@ class RiskManager extends EventEmitter {
     }
 
     getCorrelatedAssets(asset) {
-        // Define asset correlations
-        const correlations = {
-            'EURUSD': ['GBPUSD', 'AUDUSD', 'NZDUSD'],
-            'GBPUSD': ['EURUSD', 'EURGBP'],
-            'USDJPY': ['USDCHF', 'USDCAD'],
-            // Add more correlations...
-        };
-        
-        return correlations[asset] || [];
+        this.refreshCorrelations();
+        return this.correlationTracker.getCorrelatedAssets(asset);
     }
 
     calculateCorrelationRisk(asset) {
@@ -1385,7 +1306,9 @@ class RiskManager extends EventEmitter {
                 loss: this.dailyStats.loss,
                 netPL: this.dailyStats.netPL,
                 tradesExecuted: this.dailyStats.tradesExecuted,
-                accountBalance: this.accountStats.currentBalance
+                accountBalance: this.accountStats.currentBalance,
+                maxDrawdown: this.accountStats.maxDrawdown,
+                riskMetrics: this.getPersistedMetrics()
             });
         }
     }
@@ -1472,13 +1395,26 @@ class RiskManager extends EventEmitter {
         console.log('🛡️ Risk Manager configuration updated');
     }
 
+    // The history-based metrics, without the live snapshot fields
+    getPersistedMetrics() {
+        if (!this.riskMetrics) return null;
+        
+        const { valueAtRisk, sharpeRatio, sortinoRatio, calmarRatio, profitFactor, ulcerIndex, maxDrawdown, sampleDays } = this.riskMetrics;
+        return { valueAtRisk, sharpeRatio, sortinoRatio, calmarRatio, profitFactor, ulcerIndex, maxDrawdown, sampleDays };
+    }
+
     getRiskMetrics() {
         return {
+            metrics: this.riskMetrics,
             daily: this.dailyStats,
             account: this.accountStats,
             config: this.config,
             alerts: this.riskAlerts,
             activeTrades: this.activeTrades.size,
+            exposure: this.getPortfolioExposure(),
+            policy: this.getPolicyStatus(),
+            circuitBreakers: this.circuitBreakers.list(),
+            correlations: this.correlationTracker.getMatrix(),
             emergencyStop: this.emergencyStopTriggered
         };
     }
@@ -1506,11 +1442,27 @@ class RiskManager extends EventEmitter {
     async start() {
         console.log('▶️ Starting Risk Manager...');
         this.isActive = true;
+        
+        const configManager = this.getComponent('config');
+        if (configManager) {
+            this.applyConfig(configManager);
+            configManager.on('config_reloaded', this.handleConfigReloaded);
+        }
+        
+        await this.loadTradeHistory();
+        await this.loadCircuitBreakers();
+        this.startRiskMonitoring();
     }
 
     async stop() {
         console.log('⏹️ Stopping Risk Manager...');
         this.isActive = false;
+        this.stopRiskMonitoring();
+        
+        const configManager = this.getComponent('config');
+        if (configManager) {
+            configManager.removeListener('config_reloaded', this.handleConfigReloaded);
+        }
         
         // Save current state
         this.recordDailyStats();
@@ -1523,6 +1475,121 @@ class RiskManager extends EventEmitter {
     }
 }
 
+// ================================
+// CORRELATION TRACKER CLASS
+// ================================
+class CorrelationTracker {
+    constructor(config) {
+        this.config = config;
+        this.matrix = new Map();
+        this.updatedAt = null;
+    }
+
+    // Pearson correlation of candle-to-candle returns, over the candles both assets share
+    update(seriesByAsset, now = Date.now()) {
+        const returns = Object.entries(seriesByAsset).map(([asset, candles]) => [asset, this.toReturns(candles)]);
+        
+        this.matrix = new Map();
+        for (let i = 0; i < returns.length; i++) {
+            for (let j = i + 1; j < returns.length; j++) {
+                const correlation = this.correlate(returns[i][1], returns[j][1]);
+                if (correlation !== null) {
+                    this.matrix.set(this.key(returns[i][0], returns[j][0]), correlation);
+                }
+            }
+        }
+        
+        this.updatedAt = now;
+    }
+
+    toReturns(candles = []) {
+        const returns = new Map();
+        for (let i = 1; i < candles.length; i++) {
+            if (candles[i - 1].close > 0) {
+                returns.set(new Date(candles[i].timestamp).getTime(), candles[i].close / candles[i - 1].close - 1);
+            }
+        }
+        return returns;
+    }
+
+    correlate(a, b) {
+        const pairs = [];
+        for (const [timestamp, value] of a) {
+            if (b.has(timestamp)) pairs.push([value, b.get(timestamp)]);
+        }
+        if (pairs.length < this.config.minCorrelationSamples) return null;
+        
+        const meanA = pairs.reduce((sum, [x]) => sum + x, 0) / pairs.length;
+        const meanB = pairs.reduce((sum, [, y]) => sum + y, 0) / pairs.length;
+        let covariance = 0;
+        let varianceA = 0;
+        let varianceB = 0;
+        for (const [x, y] of pairs) {
+            covariance += (x - meanA) * (y - meanB);
+            varianceA += (x - meanA) ** 2;
+            varianceB += (y - meanB) ** 2;
+        }
+        
+        return varianceA > 0 && varianceB > 0 ? covariance / Math.sqrt(varianceA * varianceB) : null;
+    }
+
+    // Unknown pairs count as uncorrelated
+    getCorrelation(a, b) {
+        if (a === b) return 1;
+        return this.matrix.get(this.key(a, b)) || 0;
+    }
+
+    getCorrelatedAssets(asset) {
+        const correlated = [];
+        for (const [key, correlation] of this.matrix) {
+            const [a, b] = key.split('|');
+            if (Math.abs(correlation) < this.config.correlationLimit) continue;
+            if (a === asset) correlated.push(b);
+            if (b === asset) correlated.push(a);
+        }
+        return correlated;
+    }
+
+    // Groups assets linked by chains of strong correlation
+    getClusters(assets) {
+        const clusters = [];
+        const seen = new Set();
+        
+        for (const asset of assets) {
+            if (seen.has(asset)) continue;
+            
+            const cluster = [];
+            const queue = [asset];
+            seen.add(asset);
+            while (queue.length > 0) {
+                const current = queue.shift();
+                cluster.push(current);
+                for (const other of assets) {
+                    if (!seen.has(other) && Math.abs(this.getCorrelation(current, other)) >= this.config.correlationLimit) {
+                        seen.add(other);
+                        queue.push(other);
+                    }
+                }
+            }
+            clusters.push(cluster);
+        }
+        
+        return clusters;
+    }
+
+    getMatrix() {
+        const matrix = {};
+        for (const [key, correlation] of this.matrix) {
+            matrix[key] = Math.round(correlation * 1000) / 1000;
+        }
+        return matrix;
+    }
+
+    key(a, b) {
+        return a < b ? `${a}|${b}` : `${b}|${a}`;
+    }
+}
+
 // ================================
 // POSITION SIZER CLASS
 // ================================
@@ -1531,9 +1598,9 @@ class PositionSizer {
         this.config = config;
     }
 
-    calculatePositionSize(requestedAmount, accountBalance, winRate) {
+    calculatePositionSize(requestedAmount, accountBalance, winRate, payoutRatio = this.config.defaultPayoutRatio) {
         // Kelly Criterion with modifications
-        const kellyAmount = this.calculateKellyAmount(accountBalance, winRate);
+        const kellyAmount = this.calculateKellyAmount(accountBalance, winRate, payoutRatio);
         
         // Fixed percentage method
         const fixedPercentAmount = accountBalance * this.config.defaultRiskPerTrade;
@@ -1549,18 +1616,19 @@ class PositionSizer {
             volatilityAdjusted
         );
         
-        // Ensure minimum trade size
-        const minTradeSize = parseFloat(process.env.MIN_TRADE_SIZE_DERIV) || 0.35;
-        
-        return Math.max(calculatedAmount, minTradeSize);
+        return Math.max(calculatedAmount, this.getMinTradeSize());
+    }
+
+    getMinTradeSize() {
+        return parseFloat(process.env.MIN_TRADE_SIZE_DERIV) || 0.35;
     }
 
-    calculateKellyAmount(accountBalance, winRate) {
+    calculateKellyAmount(accountBalance, winRate, payoutRatio = this.config.defaultPayoutRatio) {
         // Simplified Kelly Criterion
         // f = (bp - q) / b
-        // where b = odds, p = win probability, q = loss probability
+        // where b = odds (profit per unit staked), p = win probability, q = loss probability
         
-        const b = 0.8; // 80% payout rate
+        const b = payoutRatio;
         const p = winRate;
         const q = 1 - p;
         
@@ -1580,8 +1648,26 @@ class PositionSizer {
 // ================================
 // RISK METRICS CALCULATOR
 // ================================
+//
+// Closed trades are summed into daily P/L on an equity curve ending at the current balance.
+// VaR and CVaR are dollar losses over a horizon of trading days at a confidence level,
+// keyed "<horizon>d_<confidence>" (e.g. valueAtRisk['1d_95'].historical.cvar):
+//   historical    overlapping horizon sums of the observed daily P/L
+//   parametric    normal daily P/L, mean and deviation scaled to the horizon
+//   monteCarlo    horizon sums of daily P/L drawn with replacement (seeded, so repeatable)
 class RiskMetricsCalculator {
-    calculate(accountStats, dailyStats, activeTrades) {
+    constructor(config = {}) {
+        this.config = {
+            varHorizons: [1, 5],
+            varConfidence: [0.95, 0.99],
+            monteCarloSimulations: 2000,
+            minRiskSamples: 10,
+            periodsPerYear: 365,
+            ...config
+        };
+    }
+
+    calculate(accountStats, dailyStats, activeTrades, historyMetrics = this.calculateHistoryMetrics([], accountStats)) {
         const metrics = {
             // Basic metrics
             accountBalance: accountStats.currentBalance,
@@ -1590,8 +1676,9 @@ class RiskMetricsCalculator {
             
             // Risk ratios
             riskRewardRatio: this.calculateRiskRewardRatio(dailyStats),
-            profitFactor: this.calculateProfitFactor(accountStats),
-            sharpeRatio: this.calculateSharpeRatio(accountStats),
+            
+            // Ratios and tail risk from closed trades
+            ...historyMetrics,
             
             // Position metrics
             portfolioHeat: this.calculatePortfolioHeat(activeTrades, accountStats.currentBalance),
@@ -1608,22 +1695,174 @@ class RiskMetricsCalculator {
         return metrics;
     }
 
+    calculateHistoryMetrics(trades, accountStats) {
+        const days = this.toDailySeries(trades, accountStats.currentBalance);
+        const returns = days.map(day => day.return);
+        
+        return {
+            profitFactor: this.calculateProfitFactor(accountStats, trades),
+            sharpeRatio: this.calculateSharpeRatio(returns),
+            sortinoRatio: this.calculateSortinoRatio(returns),
+            calmarRatio: this.calculateCalmarRatio(returns, days),
+            ulcerIndex: this.calculateUlcerIndex(days),
+            maxDrawdown: this.calculateMaxDrawdown(days),
+            valueAtRisk: this.calculateValueAtRisk(days.map(day => day.pl)),
+            sampleDays: days.length
+        };
+    }
+
+    // One entry per trading day: P/L, return on the day's opening equity, closing equity
+    toDailySeries(trades, currentBalance) {
+        const byDay = new Map();
+        const sorted = trades.filter(trade => trade.exitTime).sort((a, b) => new Date(a.exitTime) - new Date(b.exitTime));
+        for (const trade of sorted) {
+            const day = new Date(trade.exitTime).toDateString();
+            byDay.set(day, (byDay.get(day) || 0) + (trade.profit || 0));
+        }
+        
+        const total = Array.from(byDay.values()).reduce((sum, pl) => sum + pl, 0);
+        let equity = currentBalance - total;
+        
+        return Array.from(byDay, ([date, pl]) => {
+            const opening = equity;
+            equity += pl;
+            return { date, pl, return: opening > 0 ? pl / opening : 0, equity, opening };
+        });
+    }
+
     calculateRiskRewardRatio(dailyStats) {
         if (dailyStats.loss === 0) return 0;
         return dailyStats.profit / dailyStats.loss;
     }
 
-    calculateProfitFactor(accountStats) {
-        if (accountStats.totalLoss === 0) return 0;
-        return accountStats.totalProfit / accountStats.totalLoss;
+    calculateProfitFactor(accountStats, trades = []) {
+        const grossProfit = trades.length > 0 ?
+            trades.reduce((sum, trade) => sum + Math.max(0, trade.profit || 0), 0) : accountStats.totalProfit;
+        const grossLoss = trades.length > 0 ?
+            trades.reduce((sum, trade) => sum + Math.max(0, -(trade.profit || 0)), 0) : accountStats.totalLoss;
+        
+        if (grossLoss === 0) return 0;
+        return grossProfit / grossLoss;
+    }
+
+    // Annualized mean daily return over its deviation, risk-free rate taken as zero
+    calculateSharpeRatio(returns) {
+        if (returns.length < 2) return 0;
+        
+        const deviation = this.standardDeviation(returns);
+        return deviation > 0 ? this.mean(returns) / deviation * Math.sqrt(this.config.periodsPerYear) : 0;
+    }
+
+    // As Sharpe, with only losing days counted as deviation
+    calculateSortinoRatio(returns) {
+        if (returns.length < 2) return 0;
+        
+        const downside = Math.sqrt(this.mean(returns.map(r => Math.min(0, r) ** 2)));
+        return downside > 0 ? this.mean(returns) / downside * Math.sqrt(this.config.periodsPerYear) : 0;
+    }
+
+    // Annualized return over the worst drawdown of the period
+    calculateCalmarRatio(returns, days) {
+        const maxDrawdown = this.calculateMaxDrawdown(days);
+        if (returns.length === 0 || maxDrawdown === 0) return 0;
+        
+        return this.mean(returns) * this.config.periodsPerYear / maxDrawdown;
+    }
+
+    // Root mean square of the percentage drawdowns from the running peak
+    calculateUlcerIndex(days) {
+        const drawdowns = this.getDrawdowns(days);
+        if (drawdowns.length === 0) return 0;
+        
+        return Math.sqrt(this.mean(drawdowns.map(drawdown => (drawdown * 100) ** 2)));
+    }
+
+    calculateMaxDrawdown(days) {
+        return Math.max(0, ...this.getDrawdowns(days));
+    }
+
+    getDrawdowns(days) {
+        if (days.length === 0) return [];
+        
+        let peak = days[0].opening;
+        return days.map(day => {
+            peak = Math.max(peak, day.equity);
+            return peak > 0 ? (peak - day.equity) / peak : 0;
+        });
+    }
+
+    calculateValueAtRisk(dailyPL) {
+        const valueAtRisk = {};
+        
+        for (const horizon of this.config.varHorizons) {
+            const enoughData = dailyPL.length >= this.config.minRiskSamples + horizon - 1;
+            const historical = enoughData ? this.getHorizonSums(dailyPL, horizon) : null;
+            const simulated = enoughData ? this.simulateHorizonSums(dailyPL, horizon) : null;
+            
+            for (const confidence of this.config.varConfidence) {
+                valueAtRisk[`${horizon}d_${Math.round(confidence * 100)}`] = enoughData ? {
+                    historical: this.tailLoss(historical, confidence),
+                    parametric: this.calculateParametricVaR(dailyPL, horizon, confidence),
+                    monteCarlo: this.tailLoss(simulated, confidence)
+                } : { historical: null, parametric: null, monteCarlo: null };
+            }
+        }
+        
+        return valueAtRisk;
+    }
+
+    // Overlapping sums of consecutive trading days
+    getHorizonSums(dailyPL, horizon) {
+        const sums = [];
+        for (let i = 0; i + horizon <= dailyPL.length; i++) {
+            sums.push(dailyPL.slice(i, i + horizon).reduce((sum, pl) => sum + pl, 0));
+        }
+        return sums;
+    }
+
+    simulateHorizonSums(dailyPL, horizon) {
+        const random = seededRandom(dailyPL.length * 7919 + horizon);
+        const sums = [];
+        for (let i = 0; i < this.config.monteCarloSimulations; i++) {
+            let sum = 0;
+            for (let day = 0; day < horizon; day++) {
+                sum += dailyPL[Math.floor(random() * dailyPL.length)];
+            }
+            sums.push(sum);
+        }
+        return sums;
+    }
+
+    calculateParametricVaR(dailyPL, horizon, confidence) {
+        const mean = this.mean(dailyPL) * horizon;
+        const deviation = this.standardDeviation(dailyPL) * Math.sqrt(horizon);
+        const z = normalQuantile(confidence);
+        const density = Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+        
+        return {
+            var: round(z * deviation - mean),
+            cvar: round(deviation * density / (1 - confidence) - mean)
+        };
     }
 
-    calculateSharpeRatio(accountStats) {
-        // Simplified Sharpe ratio calculation
-        const returns = accountStats.totalProfit - accountStats.totalLoss;
-        const volatility = Math.sqrt(accountStats.totalLoss); // Simplified
+    // Loss at the confidence quantile, and the average loss beyond it
+    tailLoss(outcomes, confidence) {
+        const sorted = [...outcomes].sort((a, b) => a - b);
+        const tail = sorted.slice(0, Math.max(1, Math.ceil((1 - confidence) * sorted.length)));
         
-        return volatility > 0 ? returns / volatility : 0;
+        return {
+            var: round(-tail[tail.length - 1]),
+            cvar: round(-this.mean(tail))
+        };
+    }
+
+    mean(values) {
+        return values.reduce((sum, value) => sum + value, 0) / values.length;
+    }
+
+    standardDeviation(values) {
+        const mean = this.mean(values);
+        return Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1));
     }
 
     calculatePortfolioHeat(activeTrades, accountBalance) {
@@ -1657,4 +1896,36 @@ class RiskMetricsCalculator {
     }
 }
 
+// Inverse standard normal CDF (Acklam's rational approximation)
+const normalQuantile = (p) => {
+    const a = [-39.69683028665376, 220.9460984245205, -275.9285104469687, 138.3577518672690, -30.66479806614716, 2.506628277459239];
+    const b = [-54.47609879822406, 161.5858368580409, -155.6989798598866, 66.80131188771972, -13.28068155288572];
+    const c = [-0.007784894002430293, -0.3223964580411365, -2.400758277161838, -2.549732539343734, 4.374664141464968, 2.938163982698783];
+    const d = [0.007784695709041462, 0.3224671290700398, 2.445134137142996, 3.754408661907416];
+    const low = 0.02425;
+
+    if (p < low) {
+        const q = Math.sqrt(-2 * Math.log(p));
+        return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+    if (p > 1 - low) {
+        return -normalQuantile(1 - p);
+    }
+    const q = p - 0.5;
+    const r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+};
+
+// Small deterministic generator (mulberry32) so simulated VaR does not jitter between refreshes
+const seededRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
 module.exports = RiskManager;
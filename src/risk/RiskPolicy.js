@@ -0,0 +1,390 @@
+// ================================
+// BAYNEX.A.X RISK POLICY
+// Declarative risk rules: scope, condition, action and priority
+// ================================
+//
+// A policy is JSON (see config/risk-policy.example.json):
+//
+//   {
+//     "includeDefaults": true,          // start from DEFAULT_RULES; same-named rules replace them
+//     "rules": [{
+//       "name": "weekend_half_size",
+//       "priority": 50,                 // higher is evaluated first; the first blocking rule decides
+//       "scope": {                      // every listed key must match, omitted keys match anything
+//         "strategy": ["Momentum_RSI"], // strategy name or id
+//         "asset": "R_100",
+//         "platform": "deriv",
+//         "direction": ["CALL", "PUT"],
+//         "window": { "days": ["sat", "sun"], "start": "00:00", "end": "23:59", "timezone": "UTC" }
+//       },
+//       "when": "stakeShare > 0.01",    // StrategyRules expression over the facts below
+//       "action": { "type": "resize", "factor": 0.5 },
+//       "message": "Weekend stake {stake:money} halved"
+//     }]
+//   }
+//
+// Actions:
+//   block            reject the trade
+//   resize           shrink the stake: factor of the requested stake, maxStake, or maxStakeShare of the balance
+//   cooldown         reject the trade and everything else in the rule's scope for "minutes"
+//   emergency_stop   trigger the risk manager's emergency stop
+//
+// Messages may quote facts as {fact}, {fact:money} or {fact:percent}.
+
+const { compileRule, RuleSyntaxError } = require('../ai/StrategyRules');
+
+// Names a condition may use; trade facts are missing when the account is checked on its own
+const FACTS = [
+    // Account and day
+    'balance', 'dailyPL', 'dailyLoss', 'dailyProfit', 'tradesToday', 'consecutiveLosses', 'drawdown',
+    'openTrades', 'openStake', 'worstCaseLoss',
+    // The trade being validated
+    'stake', 'stakeShare', 'confidence', 'winRate', 'expectedValue', 'netExposure', 'clusterStake',
+    // Risk metrics: metrics.sharpeRatio, var.h1_95, cvar.h5_99 (historical VaR / CVaR)
+    'metrics', 'var', 'cvar',
+    // RiskManager configuration, e.g. limits.maxDailyLoss
+    'limits'
+];
+
+const ACTIONS = ['block', 'resize', 'cooldown', 'emergency_stop'];
+const BLOCKING_ACTIONS = ['block', 'cooldown', 'emergency_stop'];
+const SCOPE_KEYS = ['strategy', 'asset', 'platform', 'direction', 'window'];
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// The limits the risk manager used to hardcode, against its (configurable) limits.
+// Loss streaks short of losing_streak are left to the circuit breakers (CircuitBreakers.js).
+const DEFAULT_RULES = [
+    {
+        name: 'emergency_loss',
+        priority: 200,
+        when: 'dailyLoss >= limits.emergencyStopLoss',
+        action: { type: 'emergency_stop' },
+        message: 'Emergency loss limit reached: {dailyLoss:money}'
+    },
+    {
+        name: 'low_balance',
+        priority: 190,
+        when: 'balance <= limits.minAccountBalance',
+        action: { type: 'emergency_stop' },
+        message: 'Account balance critically low: {balance:money}'
+    },
+    {
+        name: 'max_drawdown',
+        priority: 180,
+        when: 'drawdown >= limits.maxDrawdown',
+        action: { type: 'emergency_stop' },
+        message: 'Maximum drawdown exceeded: {drawdown:percent}'
+    },
+    {
+        name: 'losing_streak',
+        priority: 170,
+        when: 'consecutiveLosses >= limits.consecutiveLossLimit + 2',
+        action: { type: 'emergency_stop' },
+        message: 'Excessive consecutive losses: {consecutiveLosses}'
+    },
+    {
+        name: 'daily_loss_limit',
+        priority: 100,
+        when: 'dailyLoss >= limits.maxDailyLoss',
+        action: { type: 'block' },
+        message: 'Daily loss limit reached: {dailyLoss:money}'
+    },
+    {
+        name: 'daily_trade_limit',
+        priority: 95,
+        when: 'tradesToday >= limits.dailyTradeLimit',
+        action: { type: 'block' },
+        message: 'Daily trade limit reached: {tradesToday}'
+    },
+    {
+        name: 'max_risk_per_trade',
+        priority: 90,
+        when: 'stakeShare > limits.maxRiskPerTrade',
+        action: { type: 'block' },
+        message: 'Trade size exceeds risk limit: {stakeShare:percent} (max: {limits.maxRiskPerTrade:percent})'
+    },
+    {
+        name: 'max_concurrent_trades',
+        priority: 85,
+        when: 'openTrades >= limits.maxConcurrentTrades',
+        action: { type: 'block' },
+        message: 'Maximum concurrent trades reached: {openTrades}/{limits.maxConcurrentTrades}'
+    }
+];
+
+class RiskPolicyError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'RiskPolicyError';
+    }
+}
+
+class RiskPolicy {
+    constructor(definition = {}) {
+        if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+            throw new RiskPolicyError('Risk policy must be an object with a rules list');
+        }
+        if (definition.rules !== undefined && !Array.isArray(definition.rules)) {
+            throw new RiskPolicyError('Risk policy rules must be a list');
+        }
+
+        this.includeDefaults = definition.includeDefaults !== false;
+
+        // Same-named rules replace defaults in place; the rest follow in file order
+        const merged = new Map();
+        for (const rule of this.includeDefaults ? DEFAULT_RULES : []) {
+            merged.set(rule.name, rule);
+        }
+        const named = new Set();
+        (definition.rules || []).forEach((rule, index) => {
+            if (!rule || typeof rule.name !== 'string' || !rule.name.trim()) {
+                throw new RiskPolicyError(`Risk policy rule ${index + 1} needs a name`);
+            }
+            if (named.has(rule.name)) {
+                throw new RiskPolicyError(`Risk policy rule "${rule.name}" is defined twice`);
+            }
+            named.add(rule.name);
+            // A default overridden with only { name, enabled: false } switches it off
+            const base = merged.get(rule.name);
+            merged.set(rule.name, base && rule.when === undefined ? { ...base, ...rule } : rule);
+        });
+
+        const compiled = Array.from(merged.values()).map((rule, order) => this.compile(rule, order));
+
+        // Highest priority first, file order among equals
+        this.rules = compiled
+            .filter(rule => rule.enabled)
+            .sort((a, b) => b.priority - a.priority || a.order - b.order);
+        this.disabled = compiled.filter(rule => !rule.enabled).map(rule => rule.name);
+    }
+
+    compile(rule, order) {
+        const label = `Risk policy rule "${rule.name}"`;
+
+        const action = rule.action || {};
+        if (!ACTIONS.includes(action.type)) {
+            throw new RiskPolicyError(`${label}: action must be one of ${ACTIONS.join(', ')}`);
+        }
+        if (action.type === 'resize' && !(action.factor > 0 && action.factor <= 1) && !(action.maxStake > 0) && !(action.maxStakeShare > 0)) {
+            throw new RiskPolicyError(`${label}: resize needs a factor between 0 and 1, a maxStake or a maxStakeShare`);
+        }
+        if (action.type === 'cooldown' && !(action.minutes > 0)) {
+            throw new RiskPolicyError(`${label}: cooldown needs a number of minutes`);
+        }
+
+        if (typeof rule.when !== 'string' || !rule.when.trim()) {
+            throw new RiskPolicyError(`${label} needs a "when" condition`);
+        }
+
+        let condition;
+        try {
+            condition = compileRule(rule.when, new Set(FACTS));
+        } catch (error) {
+            if (error instanceof RuleSyntaxError) {
+                throw new RiskPolicyError(`${label} condition: ${error.message}`);
+            }
+            throw error;
+        }
+
+        return {
+            name: rule.name,
+            description: rule.description || null,
+            priority: Number.isFinite(rule.priority) ? rule.priority : 0,
+            enabled: rule.enabled !== false,
+            scope: this.compileScope(rule.scope || {}, label),
+            when: rule.when,
+            condition,
+            action: { ...action },
+            message: rule.message || rule.description || `Blocked by risk policy rule ${rule.name}`,
+            order
+        };
+    }
+
+    compileScope(scope, label) {
+        const unknown = Object.keys(scope).filter(key => !SCOPE_KEYS.includes(key));
+        if (unknown.length > 0) {
+            throw new RiskPolicyError(`${label}: unknown scope ${unknown.join(', ')} (expected ${SCOPE_KEYS.join(', ')})`);
+        }
+
+        const compiled = {};
+        for (const key of ['strategy', 'asset', 'platform', 'direction']) {
+            if (scope[key] === undefined) continue;
+            const values = (Array.isArray(scope[key]) ? scope[key] : [scope[key]]).map(String);
+            compiled[key] = key === 'direction' ? values.map(value => value.toUpperCase()) : values;
+        }
+
+        if (scope.window) {
+            compiled.window = this.compileWindow(scope.window, label);
+        }
+
+        return compiled;
+    }
+
+    compileWindow(window, label) {
+        return compileWindow(window, label);
+    }
+
+    // ================================
+    // EVALUATION
+    // ================================
+
+    // Rules in scope whose condition holds, highest priority first
+    evaluate(facts, now = new Date()) {
+        const fired = [];
+
+        for (const rule of this.rules) {
+            if (!this.inScope(rule, facts, now)) continue;
+            if (!rule.condition({ parameters: facts })) continue;
+
+            fired.push({
+                rule: rule.name,
+                priority: rule.priority,
+                action: rule.action,
+                message: this.formatMessage(rule.message, facts)
+            });
+        }
+
+        return fired;
+    }
+
+    // The first blocking rule decides; every resize that fired applies
+    decide(fired) {
+        return {
+            blocking: fired.find(entry => BLOCKING_ACTIONS.includes(entry.action.type)) || null,
+            resizes: fired.filter(entry => entry.action.type === 'resize')
+        };
+    }
+
+    inScope(rule, facts, now = new Date()) {
+        const { scope } = rule;
+
+        for (const key of ['asset', 'platform', 'direction']) {
+            if (!scope[key]) continue;
+            const value = facts[key] === undefined || facts[key] === null ? null : String(facts[key]);
+            if (value === null || !scope[key].includes(key === 'direction' ? value.toUpperCase() : value)) return false;
+        }
+
+        if (scope.strategy && !scope.strategy.includes(String(facts.strategy)) && !scope.strategy.includes(String(facts.strategyId))) {
+            return false;
+        }
+
+        return !scope.window || this.inWindow(scope.window, now);
+    }
+
+    inWindow(window, now = new Date()) {
+        return inWindow(window, now);
+    }
+
+    // Cooldowns hold per rule and per scoped value, e.g. per asset for an asset-scoped rule
+    cooldownKey(ruleName, facts) {
+        const rule = this.getRule(ruleName);
+        const scoped = rule ? ['strategy', 'asset', 'platform', 'direction'].filter(key => rule.scope[key]) : [];
+        return [ruleName, ...scoped.map(key => `${key}=${facts[key]}`)].join('|');
+    }
+
+    formatMessage(template, facts) {
+        return template.replace(/\{([\w.]+)(?::(money|percent))?\}/g, (match, path, format) => {
+            const value = path.split('.').reduce((current, key) => current == null ? null : current[key], facts);
+            if (typeof value !== 'number' || !Number.isFinite(value)) return value == null ? 'n/a' : String(value);
+            if (format === 'money') return `$${value.toFixed(2)}`;
+            if (format === 'percent') return `${(value * 100).toFixed(1)}%`;
+            return Number.isInteger(value) ? String(value) : value.toFixed(2);
+        });
+    }
+
+    getRule(name) {
+        return this.rules.find(rule => rule.name === name) || null;
+    }
+
+    describe() {
+        return {
+            includeDefaults: this.includeDefaults,
+            rules: this.rules.map(rule => ({
+                name: rule.name,
+                description: rule.description,
+                priority: rule.priority,
+                scope: rule.scope,
+                when: rule.when,
+                action: rule.action
+            })),
+            disabled: this.disabled
+        };
+    }
+}
+
+// Weekday, calendar date (YYYY-MM-DD) and minutes past midnight on the wall clock of a timezone
+const getLocalTime = (date, timezone) => {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        weekday: 'short',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date);
+    const part = type => parts.find(entry => entry.type === type).value;
+
+    return {
+        day: part('weekday').toLowerCase().slice(0, 3),
+        date: `${part('year')}-${part('month')}-${part('day')}`,
+        minutes: Number(part('hour')) * 60 + Number(part('minute'))
+    };
+};
+
+// Validates a { days, start, end, timezone } window and turns its times into minutes past midnight
+const compileWindow = (window, label) => {
+    const toMinutes = (time, name) => {
+        const match = /^(\d{1,2}):(\d{2})$/.exec(String(time));
+        if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+            throw new RiskPolicyError(`${label}: window ${name} must be HH:MM`);
+        }
+        return Number(match[1]) * 60 + Number(match[2]);
+    };
+
+    const timezone = window.timezone || 'UTC';
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch (error) {
+        throw new RiskPolicyError(`${label}: unknown timezone ${timezone}`);
+    }
+
+    const days = window.days ? window.days.map(day => String(day).toLowerCase().slice(0, 3)) : null;
+    if (days && days.some(day => !DAYS.includes(day))) {
+        throw new RiskPolicyError(`${label}: window days must be among ${DAYS.join(', ')}`);
+    }
+
+    return {
+        days,
+        start: window.start !== undefined ? toMinutes(window.start, 'start') : 0,
+        end: window.end !== undefined ? toMinutes(window.end, 'end') : 24 * 60 - 1,
+        timezone
+    };
+};
+
+// Whether a compiled window ({ days, start, end, timezone }) is open; windows ending before they start run past midnight
+const inWindow = (window, now = new Date()) => {
+    const { day, minutes } = getLocalTime(now, window.timezone);
+
+    if (window.start <= window.end) {
+        return (!window.days || window.days.includes(day)) && minutes >= window.start && minutes <= window.end;
+    }
+
+    // After midnight the window belongs to the day it started on
+    if (minutes >= window.start) return !window.days || window.days.includes(day);
+    if (minutes <= window.end) return !window.days || window.days.includes(DAYS[(DAYS.indexOf(day) + 6) % 7]);
+    return false;
+};
+
+module.exports = {
+    RiskPolicy,
+    RiskPolicyError,
+    DEFAULT_RULES,
+    FACTS,
+    ACTIONS,
+    DAYS,
+    getLocalTime,
+    compileWindow,
+    inWindow
+};
@@ -0,0 +1,217 @@
+// ================================
+// BAYNEX.A.X TRADE PRICER
+// Prices contracts before execution and rejects negative expected value
+// ================================
+
+const EventEmitter = require('events');
+const { hasFixedPayout, getFamily, getDigitWinProbability } = require('../platforms/ContractTypes');
+
+class TradePricer extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.dependencies = ['platforms'];
+
+        this.config = {
+            enabled: process.env.PRICING_ENABLED !== 'false',
+            // Milliseconds a proposal is reused for the same asset, duration, contract type and barriers
+            cacheTtl: parseInt(process.env.PRICING_CACHE_TTL) || 5000,
+            // Expected profit per unit staked a trade must beat
+            minExpectedValue: parseFloat(process.env.PRICING_MIN_EXPECTED_VALUE) || 0,
+            // Past trades a strategy's record counts for against its signal confidence
+            calibrationWeight: parseInt(process.env.PRICING_CALIBRATION_WEIGHT) || 20,
+            // Payout ratio assumed for platforms that cannot quote one
+            defaultPayoutRatio: parseFloat(process.env.PRICING_DEFAULT_PAYOUT) || 0.8,
+            defaultDuration: 300,
+            ...options
+        };
+
+        this.cache = new Map();
+
+        this.stats = {
+            evaluated: 0,
+            rejected: 0,
+            proposalsRequested: 0,
+            cacheHits: 0,
+            pricingErrors: 0
+        };
+    }
+
+    async initialize() {
+        console.log('💱 Initializing Trade Pricer...');
+        console.log(`✅ Trade Pricer ${this.config.enabled ? 'enabled' : 'disabled'} (min EV ${this.config.minExpectedValue})`);
+        return true;
+    }
+
+    // ================================
+    // EXPECTED VALUE
+    // ================================
+
+    // Prices the signal's contract and decides whether its expected value is worth taking
+    async evaluate(signal) {
+        if (!this.config.enabled) {
+            return { approved: true, reason: 'Pricing disabled' };
+        }
+
+        if (!hasFixedPayout(signal.direction)) {
+            return { approved: true, reason: `${signal.direction.toUpperCase()} has no fixed payout to price` };
+        }
+
+        const winProbability = this.getWinProbability(signal);
+        if (winProbability === null) {
+            return { approved: true, reason: `${signal.direction.toUpperCase()} is not priced: its odds depend on where the barriers sit` };
+        }
+
+        this.stats.evaluated++;
+
+        let quote;
+        try {
+            quote = await this.getQuote(signal);
+        } catch (error) {
+            this.stats.pricingErrors++;
+            this.stats.rejected++;
+            return { approved: false, reason: `Pricing unavailable: ${error.message}` };
+        }
+
+        const b = quote.payoutRatio;
+        const expectedValue = winProbability * b - (1 - winProbability);
+        const kellyFraction = b > 0 ? Math.max(0, expectedValue / b) : 0;
+
+        const pricing = {
+            approved: expectedValue > this.config.minExpectedValue,
+            payoutRatio: b,
+            winProbability,
+            expectedValue,
+            kellyFraction,
+            breakEvenProbability: 1 / (1 + b),
+            quote
+        };
+
+        if (!pricing.approved) {
+            this.stats.rejected++;
+            pricing.reason = `Expected value ${(expectedValue * 100).toFixed(1)}% per stake is not above ${(this.config.minExpectedValue * 100).toFixed(1)}% ` +
+                `(win ${(winProbability * 100).toFixed(1)}% vs break-even ${(pricing.breakEvenProbability * 100).toFixed(1)}%)`;
+        }
+
+        this.emit('signal_priced', { signalId: signal.id || null, asset: signal.asset, ...pricing });
+        return pricing;
+    }
+
+    // Digit contracts win at fixed odds whatever the strategy believes; rise/fall wins as often as the
+    // strategy calls the direction. Barrier contracts have no model here and come back null.
+    getWinProbability(signal) {
+        switch (getFamily(signal)) {
+            case 'rise_fall':
+                return this.getCalibratedConfidence(signal);
+            case 'digits':
+                return getDigitWinProbability(signal.direction, signal.barrier);
+            default:
+                return null;
+        }
+    }
+
+    // The strategy's confidence, shrunk toward its realized win rate as trades accumulate
+    getCalibratedConfidence(signal) {
+        const confidence = Math.min(Math.max(signal.confidence || 0.5, 0), 1);
+        const performance = this.getStrategyPerformance(signal);
+        if (!performance || !performance.totalTrades) return confidence;
+
+        const weight = this.config.calibrationWeight;
+        return (performance.winningTrades + confidence * weight) / (performance.totalTrades + weight);
+    }
+
+    getStrategyPerformance(signal) {
+        if (signal.strategy && typeof signal.strategy === 'object') {
+            return signal.strategy.performance || null;
+        }
+
+        const strategyManager = this.getComponent('strategyManager');
+        const strategy = strategyManager && signal.strategyId ? strategyManager.strategies.get(signal.strategyId) : null;
+        return strategy ? strategy.performance : null;
+    }
+
+    // ================================
+    // PROPOSALS
+    // ================================
+    async getQuote(signal) {
+        const request = {
+            platform: signal.platform || 'deriv',
+            asset: signal.asset,
+            direction: signal.direction.toUpperCase(),
+            amount: signal.amount,
+            duration: signal.duration || this.config.defaultDuration,
+            durationUnit: signal.durationUnit,
+            barrier: signal.barrier,
+            barrier2: signal.barrier2
+        };
+        const barriers = [request.barrier, request.barrier2].filter(barrier => barrier !== undefined && barrier !== null);
+        const key = [request.platform, request.asset, `${request.duration}${request.durationUnit || ''}`, request.direction, ...barriers].join(':');
+
+        const cached = this.cache.get(key);
+        if (cached && cached.expiresAt > Date.now()) {
+            this.stats.cacheHits++;
+            return { ...cached.quote, cached: true };
+        }
+
+        const platforms = this.getComponent('platforms');
+        const proposal = platforms ? await platforms.getProposal(request) : null;
+        this.stats.proposalsRequested++;
+
+        const quote = proposal ? {
+            source: 'proposal',
+            payoutRatio: proposal.payoutRatio,
+            askPrice: proposal.askPrice,
+            payout: proposal.payout,
+            proposalId: proposal.proposalId || null,
+            fetchedAt: new Date()
+        } : {
+            source: 'assumed',
+            payoutRatio: this.config.defaultPayoutRatio,
+            fetchedAt: new Date()
+        };
+
+        if (!(quote.payoutRatio > 0)) {
+            throw new Error(`Invalid payout ratio ${quote.payoutRatio} for ${key}`);
+        }
+
+        this.cache.set(key, { quote, expiresAt: Date.now() + this.config.cacheTtl });
+        this.pruneCache();
+
+        return { ...quote, cached: false };
+    }
+
+    pruneCache() {
+        const now = Date.now();
+        for (const [key, entry] of this.cache) {
+            if (entry.expiresAt <= now) this.cache.delete(key);
+        }
+    }
+
+    clearCache() {
+        this.cache.clear();
+    }
+
+    // ================================
+    // STATUS
+    // ================================
+    getStats() {
+        return {
+            ...this.stats,
+            cachedQuotes: this.cache.size
+        };
+    }
+
+    healthCheck() {
+        return {
+            status: this.config.enabled ? 'healthy' : 'disabled',
+            ...this.getStats()
+        };
+    }
+
+    // Method to receive component references
+    getComponent(name) {
+        // This will be set by the integration layer
+        return null;
+    }
+}
+
+module.exports = TradePricer;
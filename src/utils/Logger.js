@@ -41,342 +41,3 @@ class BayneXLogger extends EventEmitter {
 }
 
 module.exports = BayneXLogger;
-
-// -------------------------------------------------------------------
-
-// src/data/DatabaseManager.js
-const { EventEmitter } = require('events');
-const fs = require('fs');
-const path = require('path');
-
-class DatabaseManager extends EventEmitter {
-    constructor(options = {}) {
-        super();
-        this.dataPath = options.dataPath || path.join(process.cwd(), 'data');
-        this.initialized = false;
-        this.data = {
-            trades: [],
-            balance: {},
-            strategies: {},
-            performance: {}
-        };
-    }
-    
-    async initialize() {
-        try {
-            if (!fs.existsSync(this.dataPath)) {
-                fs.mkdirSync(this.dataPath, { recursive: true });
-            }
-            this.initialized = true;
-            console.log('✅ Database Manager initialized');
-            return true;
-        } catch (error) {
-            console.error('❌ Database Manager initialization failed:', error);
-            throw error;
-        }
-    }
-    
-    storeTrade(trade) {
-        this.data.trades.push({
-            ...trade,
-            timestamp: Date.now()
-        });
-    }
-    
-    getTrades(limit = 100) {
-        return this.data.trades.slice(-limit);
-    }
-    
-    getHealthStatus() {
-        return {
-            status: this.initialized ? 'healthy' : 'unhealthy',
-            initialized: this.initialized,
-            tradesCount: this.data.trades.length
-        };
-    }
-    
-    async shutdown() {
-        this.initialized = false;
-    }
-}
-
-module.exports = DatabaseManager;
-
-// -------------------------------------------------------------------
-
-// src/core/BayneXCore.js
-const { EventEmitter } = require('events');
-
-class BayneXCore extends EventEmitter {
-    constructor(options = {}) {
-        super();
-        this.config = options.config;
-        this.logger = options.logger;
-        this.database = options.database;
-        this.initialized = false;
-        this.tradingEnabled = false;
-    }
-    
-    async initialize() {
-        this.initialized = true;
-        this.logger.info('Core', 'BayneX Core initialized');
-        return true;
-    }
-    
-    async startTrading() {
-        this.tradingEnabled = true;
-        this.logger.info('Core', 'Trading started');
-        return true;
-    }
-    
-    async stopTrading() {
-        this.tradingEnabled = false;
-        this.logger.info('Core', 'Trading stopped');
-        return true;
-    }
-    
-    isTradingEnabled() {
-        return this.tradingEnabled;
-    }
-    
-    async executeTrade(params) {
-        if (!this.tradingEnabled) {
-            throw new Error('Trading is not enabled');
-        }
-        
-        // Basic trade execution logic
-        const trade = {
-            id: Date.now().toString(),
-            ...params,
-            timestamp: new Date(),
-            status: 'executed'
-        };
-        
-        this.emit('trade_executed', trade);
-        return trade;
-    }
-    
-    getHealthStatus() {
-        return {
-            status: this.initialized ? 'healthy' : 'unhealthy',
-            initialized: this.initialized,
-            tradingEnabled: this.tradingEnabled
-        };
-    }
-    
-    async shutdown() {
-        await this.stopTrading();
-        this.initialized = false;
-    }
-}
-
-module.exports = BayneXCore;
-
-// -------------------------------------------------------------------
-
-// src/integration/BayneXIntegrationLayer.js
-const { EventEmitter } = require('events');
-
-class BayneXIntegrationLayer extends EventEmitter {
-    constructor(options = {}) {
-        super();
-        this.config = options.config;
-        this.logger = options.logger;
-        this.initialized = false;
-    }
-    
-    async initialize() {
-        this.initialized = true;
-        this.logger.info('Integration', 'Integration Layer initialized');
-        return true;
-    }
-    
-    getHealthStatus() {
-        return {
-            status: this.initialized ? 'healthy' : 'unhealthy',
-            initialized: this.initialized
-        };
-    }
-    
-    async shutdown() {
-        this.initialized = false;
-    }
-}
-
-module.exports = BayneXIntegrationLayer;
-
-// -------------------------------------------------------------------
-
-// src/ai/AILearningEngine.js
-const { EventEmitter } = require('events');
-
-class AILearningEngine extends EventEmitter {
-    constructor(options = {}) {
-        super();
-        this.config = options.config;
-        this.logger = options.logger;
-        this.database = options.database;
-        this.initialized = false;
-    }
-    
-    async initialize() {
-        this.initialized = true;
-        console.log('🧠 AI Learning Engine initialized');
-        return true;
-    }
-    
-    processTrade(trade) {
-        // AI learning logic would go here
-        console.log('🧠 Processing trade for AI learning:', trade.id);
-    }
-    
-    getHealthStatus() {
-        return {
-            status: this.initialized ? 'healthy' : 'unhealthy',
-            initialized: this.initialized
-        };
-    }
-    
-    async shutdown() {
-        this.initialized = false;
-    }
-}
-
-module.exports = AILearningEngine;
-
-// -------------------------------------------------------------------
-
-// src/ai/StrategyManager.js
-const { EventEmitter } = require('events');
-
-class StrategyManager extends EventEmitter {
-    constructor(options = {}) {
-        super();
-        this.config = options.config;
-        this.logger = options.logger;
-        this.aiEngine = options.aiEngine;
-        this.initialized = false;
-    }
-    
-    async initialize() {
-        this.initialized = true;
-        console.log('📊 Strategy Manager initialized');
-        return true;
-    }
-    
-    getHealthStatus() {
-        return {
-            status: this.initialized ? 'healthy' : 'unhealthy',
-            initialized: this.initialized
-        };
-    }
-    
-    async shutdown() {
-        this.initialized = false;
-    }
-}
-
-module.exports = StrategyManager;
-
-// -------------------------------------------------------------------
-
-// src/platforms/PlatformConnectors.js
-const { EventEmitter } = require('events');
-const DerivConnector = require('./DerivConnector');
-
-class PlatformConnectors extends EventEmitter {
-    constructor(options = {}) {
-        super();
-        this.config = options.config;
-        this.logger = options.logger;
-        this.platforms = new Map();
-        this.initialized = false;
-    }
-    
-    async initialize() {
-        try {
-            // Initialize Deriv platform if enabled
-            if (process.env.DERIV_API_TOKEN) {
-                const derivConnector = new DerivConnector({
-                    apiToken: process.env.DERIV_API_TOKEN,
-                    appId: process.env.DERIV_APP_ID || '1089',
-                    demo: process.env.DERIV_DEMO === 'true'
-                });
-                
-                await derivConnector.initialize();
-                this.platforms.set('deriv', derivConnector);
-                
-                // Forward events
-                derivConnector.on('trade_executed', (trade) => {
-                    this.emit('trade_executed', trade);
-                });
-                
-                derivConnector.on('balance_update', (balance) => {
-                    this.emit('balance_update', balance);
-                });
-                
-                console.log('✅ Platform Connectors initialized');
-            }
-            
-            this.initialized = true;
-            return true;
-        } catch (error) {
-            console.error('❌ Platform Connectors initialization failed:', error);
-            throw error;
-        }
-    }
-    
-    isAnyPlatformConnected() {
-        for (const [name, platform] of this.platforms) {
-            if (platform.isConnected) {
-                return true;
-            }
-        }
-        return false;
-    }
-    
-    getAllBalances() {
-        const balances = {};
-        let total = 0;
-        
-        for (const [name, platform] of this.platforms) {
-            if (platform.balance !== undefined) {
-                balances[name] = platform.balance;
-                total += platform.balance;
-            }
-        }
-        
-        return {
-            platforms: balances,
-            total: total,
-            dailyPnL: 0 // Calculate actual P&L here
-        };
-    }
-    
-    async closeAllPositions() {
-        for (const [name, platform] of this.platforms) {
-            if (typeof platform.closeAllPositions === 'function') {
-                await platform.closeAllPositions();
-            }
-        }
-    }
-    
-    getHealthStatus() {
-        return {
-            status: this.initialized ? 'healthy' : 'unhealthy',
-            initialized: this.initialized,
-            connectedPlatforms: Array.from(this.platforms.keys())
-        };
-    }
-    
-    async shutdown() {
-        for (const [name, platform] of this.platforms) {
-            if (typeof platform.shutdown === 'function') {
-                await platform.shutdown();
-            }
-        }
-        this.initialized = false;
-    }
-}
-
-module.exports = PlatformConnectors;
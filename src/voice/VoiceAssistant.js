@@ -40,11 +40,9 @@ class BaynexaVoiceAssistant extends EventEmitter {
                 celebrationTone: "Target metrics achieved. Performance optimization successful."
             }
         };
-        
-        this.init();
     }
     
-    async init() {
+    async initialize() {
         try {
             this.log('Initializing Baynexa Voice Assistant...');
             
@@ -61,6 +59,7 @@ class BaynexaVoiceAssistant extends EventEmitter {
             await this.speak(this.getPersonalityMessage('greeting'));
             
             this.log('Baynexa Voice Assistant initialized successfully');
+            return true;
         } catch (error) {
             this.log(`Voice Assistant initialization error: ${error.message}`, 'error');
         }
@@ -436,7 +435,7 @@ class BaynexaVoiceAssistant extends EventEmitter {
         await this.speak('System restart initiated', 'urgent');
         await this.saveConversationHistory();
         this.isActive = false;
-        setTimeout(() => this.init(), 2000);
+        setTimeout(() => this.initialize(), 2000);
     }
     
     // Utility methods
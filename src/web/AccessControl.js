@@ -0,0 +1,223 @@
+// src/web/AccessControl.js
+//
+// Declarative role matrix for the dashboard: the minimum role needed for every
+// protected REST route, every user_action type and every WebSocket message type.
+// Anything not listed is denied to all roles but ADMIN.
+const { EventEmitter } = require('events');
+
+// Least to most privileged; each role holds every permission of the roles before it
+const ROLES = ['VIEWER', 'TRADER', 'ADMIN'];
+
+// Roles issued before the matrix existed
+const ROLE_ALIASES = { MANAGER: 'TRADER' };
+
+const PERMISSION_MATRIX = {
+    // Paths are relative to /api/protected
+    routes: {
+        'GET /trades': 'TRADER',
+        'GET /balance': 'VIEWER',
+        'GET /performance': 'VIEWER',
+        'GET /strategies': 'VIEWER',
+        'POST /strategies': 'ADMIN',
+        'POST /strategies/:id/toggle': 'TRADER',
+        'GET /evolution': 'VIEWER',
+        'GET /regimes': 'VIEWER',
+        'GET /backtest': 'TRADER',
+        'POST /backtest': 'ADMIN',
+        'GET /optimizer': 'TRADER',
+        'POST /optimizer': 'ADMIN',
+        'GET /risk/policy': 'TRADER',
+        'POST /risk/policy/dry-run': 'ADMIN',
+        'POST /risk/policy/reload': 'ADMIN',
+        'GET /risk/breakers': 'VIEWER',
+        'POST /risk/breakers/:key/reset': 'ADMIN',
+        'GET /schedule': 'VIEWER',
+        'PUT /schedule': 'ADMIN',
+        'GET /goals': 'VIEWER',
+        'POST /goals': 'TRADER',
+        'POST /system/emergency-stop': 'TRADER',
+        'POST /system/restart': 'ADMIN',
+        'GET /export/trades': 'TRADER',
+        'GET /export/performance': 'VIEWER',
+        'GET /journal': 'ADMIN',
+        'GET /journal/:id': 'TRADER',
+        'GET /models': 'TRADER',
+        'POST /models/:name/promote': 'ADMIN',
+        'POST /models/:name/rollback': 'ADMIN',
+        'GET /users': 'ADMIN',
+        'PUT /users/:id/role': 'ADMIN',
+        'POST /users/:id/revoke': 'ADMIN'
+    },
+
+    // user_action types sent by the dashboard over the WebSocket
+    actions: {
+        start_trading: 'TRADER',
+        pause_trading: 'TRADER',
+        emergency_stop: 'TRADER',
+        change_voice_mode: 'TRADER',
+        force_learning: 'ADMIN',
+        reset_session: 'ADMIN'
+    },
+
+    // Message types a client may receive or subscribe to
+    messages: {
+        balance_update: 'VIEWER',
+        performance_data: 'VIEWER',
+        system_status: 'VIEWER',
+        goal_update: 'VIEWER',
+        circuit_breaker: 'VIEWER',
+        trade_update: 'TRADER',
+        strategy_update: 'TRADER',
+        voice_message: 'TRADER',
+        risk_alert: 'TRADER',
+        platform_status: 'TRADER'
+    }
+};
+
+class BayneXAccessControl extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.roles = options.roles || ROLES;
+        this.aliases = options.aliases || ROLE_ALIASES;
+        this.matrix = options.matrix || PERMISSION_MATRIX;
+        this.defaultRole = this.roles[0];
+
+        // Denials are audited to system_logs when a database is available
+        this.getDatabase = options.getDatabase || (() => null);
+
+        this.routes = Object.entries(this.matrix.routes).map(([rule, role]) => this.compileRoute(rule, role));
+        this.stats = { allowed: 0, denied: 0 };
+    }
+
+    // ================================
+    // ROLES
+    // ================================
+    normalizeRole(role) {
+        let normalized = typeof role === 'string' ? role.toUpperCase() : null;
+        normalized = this.aliases[normalized] || normalized;
+        return this.roles.includes(normalized) ? normalized : this.defaultRole;
+    }
+
+    isValidRole(role) {
+        return typeof role === 'string' && this.roles.includes(role.toUpperCase());
+    }
+
+    roleAllows(role, requiredRole) {
+        const required = this.roles.indexOf(requiredRole || this.roles[this.roles.length - 1]);
+        return this.roles.indexOf(this.normalizeRole(role)) >= required;
+    }
+
+    // Everything a role may do, e.g. for the dashboard to hide controls
+    getUserPermissions(role) {
+        const allowed = (section) => Object.keys(this.matrix[section])
+            .filter(name => this.roleAllows(role, this.matrix[section][name]));
+
+        return {
+            role: this.normalizeRole(role),
+            routes: allowed('routes'),
+            actions: allowed('actions'),
+            messages: allowed('messages')
+        };
+    }
+
+    // ================================
+    // CHECKS
+    // ================================
+    canReceive(role, messageType) {
+        return this.roleAllows(role, this.matrix.messages[messageType]);
+    }
+
+    canPerformAction(role, action) {
+        return this.roleAllows(role, this.matrix.actions[action]);
+    }
+
+    matchRoute(method, path) {
+        return this.routes.find(route => route.method === method && route.pattern.test(path)) || null;
+    }
+
+    canAccessRoute(role, method, path) {
+        const route = this.matchRoute(method, path);
+        return this.roleAllows(role, route ? route.role : null);
+    }
+
+    // Checks a user_action and audits it when denied
+    async authorizeAction(user, action) {
+        if (this.canPerformAction(user.role, action)) {
+            this.stats.allowed++;
+            return true;
+        }
+
+        await this.recordDenial(user, 'action', action, this.matrix.actions[action]);
+        return false;
+    }
+
+    // ================================
+    // EXPRESS MIDDLEWARE
+    // ================================
+    // Mount after authentication; routes missing from the matrix are denied
+    middleware() {
+        return async (req, res, next) => {
+            const route = this.matchRoute(req.method, req.path);
+            const requiredRole = route ? route.role : null;
+
+            if (req.user && this.roleAllows(req.user.role, requiredRole)) {
+                this.stats.allowed++;
+                return next();
+            }
+
+            await this.recordDenial(req.user, 'route', `${req.method} ${req.path}`, requiredRole);
+            res.status(403).json({
+                error: 'Insufficient permissions',
+                code: 'forbidden',
+                requiredRole: requiredRole || this.roles[this.roles.length - 1]
+            });
+        };
+    }
+
+    // ================================
+    // AUDIT
+    // ================================
+    async recordDenial(user, kind, target, requiredRole) {
+        this.stats.denied++;
+
+        const denial = {
+            uid: user ? user.uid : null,
+            email: user ? user.email : null,
+            role: user ? this.normalizeRole(user.role) : null,
+            kind,
+            target,
+            requiredRole: requiredRole || this.roles[this.roles.length - 1],
+            timestamp: Date.now()
+        };
+
+        this.emit('access_denied', denial);
+
+        const database = this.getDatabase();
+        if (database && typeof database.saveSystemLog === 'function') {
+            await database.saveSystemLog(
+                'warn',
+                `Access denied: ${kind} ${target} for ${denial.uid || 'anonymous'} (${denial.role || 'no role'})`,
+                'AccessControl',
+                denial
+            );
+        }
+    }
+
+    // ================================
+    // UTILITIES
+    // ================================
+    compileRoute(rule, role) {
+        const [method, path] = rule.split(' ');
+        const source = path
+            .split('/')
+            .map(segment => segment.startsWith(':') ? '[^/]+' : segment.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+            .join('/');
+
+        return { rule, method, role, pattern: new RegExp(`^${source}/?$`) };
+    }
+}
+
+BayneXAccessControl.ROLES = ROLES;
+BayneXAccessControl.PERMISSION_MATRIX = PERMISSION_MATRIX;
+
+module.exports = BayneXAccessControl;
@@ -0,0 +1,446 @@
+// src/web/AuthService.js
+//
+// Verifies the bearer tokens accepted by both the REST API and the WebSocket server:
+//   - Firebase ID tokens (RS256), checked against Google's JWKS or an offline key file
+//   - Local tokens (HS256) signed with JWT_SECRET, as issued by issueToken()
+// Revocations are kept in memory and, given a revocationStore, survive restarts.
+const crypto = require('crypto');
+const fs = require('fs');
+const { EventEmitter } = require('events');
+const BayneXAccessControl = require('./AccessControl');
+
+const FIREBASE_JWKS_URL = 'https://www.googleapis.com/service_accounts/v1/jwk/securetoken@system.gserviceaccount.com';
+
+// Optional dependency, loaded only when Firebase revocations are checked
+const loadFirebaseAuth = (projectId, serviceAccountKey) => {
+    let admin;
+    try {
+        admin = require('firebase-admin');
+    } catch (error) {
+        throw new Error('Checking Firebase revocations needs the firebase-admin package (npm install firebase-admin)');
+    }
+
+    if (!admin.apps || admin.apps.length === 0) {
+        admin.initializeApp({ projectId, ...(serviceAccountKey ? { credential: admin.credential.cert(serviceAccountKey) } : {}) });
+    }
+    return admin.auth();
+};
+
+class AuthError extends Error {
+    constructor(message, code = 'invalid_token', status = 401) {
+        super(message);
+        this.name = 'AuthError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+class BayneXAuthService extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        this.config = {
+            firebaseEnabled: options.firebaseEnabled !== undefined ? options.firebaseEnabled : process.env.FIREBASE_ENABLED !== 'false',
+            firebaseProjectId: options.firebaseProjectId || process.env.FIREBASE_PROJECT_ID || null,
+            // Asks Firebase on every request whether the user's sessions were revoked there; needs admin credentials
+            firebaseCheckRevoked: options.firebaseCheckRevoked !== undefined ? options.firebaseCheckRevoked : process.env.FIREBASE_CHECK_REVOKED === 'true',
+            firebaseServiceAccountKey: options.firebaseServiceAccountKey || process.env.FIREBASE_SERVICE_ACCOUNT_KEY || null,
+            jwksUrl: options.jwksUrl || process.env.AUTH_JWKS_URL || FIREBASE_JWKS_URL,
+            jwksFile: options.jwksFile || process.env.AUTH_JWKS_FILE || null,
+            jwksCacheTTL: options.jwksCacheTTL || 3600000, // used when the response has no max-age
+            jwksRefreshCooldown: 60000, // unknown kids trigger at most one refetch per minute
+            jwtSecret: options.jwtSecret || process.env.JWT_SECRET || null,
+            jwtIssuer: options.jwtIssuer || process.env.JWT_ISSUER || 'baynex-ax',
+            tokenTTL: options.tokenTTL || parseInt(process.env.JWT_EXPIRES_IN) || 3600, // seconds
+            clockTolerance: options.clockTolerance !== undefined ? options.clockTolerance : 30 // seconds
+        };
+
+        this.accessControl = options.accessControl || new BayneXAccessControl();
+
+        // Optional async (uid) => role; a stored role takes precedence over the token's role claim
+        this.roleResolver = options.roleResolver || null;
+
+        // Optional { load: async () => revocations, save: async (revocation) => {} }
+        this.revocationStore = options.revocationStore || null;
+
+        // firebase-admin Auth, created on first use when firebaseCheckRevoked is set
+        this.firebaseAuth = options.firebaseAuth || null;
+
+        this.jwks = { keys: new Map(), expiresAt: 0, fetchedAt: 0 };
+        this.jwksRequest = null;
+        this.revokedTokens = new Map(); // jti -> token expiry (ms)
+        this.revokedUsers = new Map(); // uid -> revocation time (s); older tokens are rejected
+    }
+
+    // ================================
+    // VERIFICATION
+    // ================================
+    async verifyToken(token) {
+        if (!token || typeof token !== 'string') {
+            throw new AuthError('Authentication required', 'missing_token');
+        }
+
+        const { header, payload, signedPart, signature } = this.decode(token);
+
+        let provider;
+        if (header.alg === 'RS256') {
+            await this.verifyFirebaseSignature(header, signedPart, signature);
+            this.checkFirebaseClaims(payload);
+            provider = 'firebase';
+        } else if (header.alg === 'HS256') {
+            this.verifyLocalSignature(signedPart, signature);
+            if (payload.iss !== this.config.jwtIssuer) {
+                throw new AuthError('Invalid token issuer');
+            }
+            provider = 'local';
+        } else {
+            throw new AuthError(`Unsupported token algorithm: ${header.alg}`);
+        }
+
+        this.checkTimes(payload);
+        this.checkRevocation(payload);
+
+        if (provider === 'firebase') {
+            await this.checkFirebaseRevocation(token);
+        }
+
+        const storedRole = this.roleResolver ? await this.roleResolver(payload.user_id || payload.sub) : null;
+
+        return this.buildUser(storedRole ? { ...payload, role: storedRole } : payload, provider);
+    }
+
+    decode(token) {
+        const parts = token.split('.');
+        if (parts.length !== 3) {
+            throw new AuthError('Malformed token');
+        }
+
+        try {
+            return {
+                header: JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8')),
+                payload: JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8')),
+                signedPart: `${parts[0]}.${parts[1]}`,
+                signature: Buffer.from(parts[2], 'base64url')
+            };
+        } catch (error) {
+            throw new AuthError('Malformed token');
+        }
+    }
+
+    async verifyFirebaseSignature(header, signedPart, signature) {
+        if (!this.config.firebaseEnabled || !this.config.firebaseProjectId) {
+            throw new AuthError('Firebase token verification is not configured');
+        }
+
+        const key = await this.getSigningKey(header.kid);
+        if (!crypto.verify('RSA-SHA256', Buffer.from(signedPart), key, signature)) {
+            throw new AuthError('Invalid token signature');
+        }
+    }
+
+    checkFirebaseClaims(payload) {
+        const projectId = this.config.firebaseProjectId;
+
+        if (payload.aud !== projectId) {
+            throw new AuthError('Token audience does not match this project');
+        }
+        if (payload.iss !== `https://securetoken.google.com/${projectId}`) {
+            throw new AuthError('Invalid token issuer');
+        }
+        if (payload.auth_time !== undefined && payload.auth_time > this.now() + this.config.clockTolerance) {
+            throw new AuthError('Token authenticated in the future');
+        }
+    }
+
+    verifyLocalSignature(signedPart, signature) {
+        if (!this.config.jwtSecret) {
+            throw new AuthError('Local token verification is not configured');
+        }
+
+        const expected = crypto.createHmac('sha256', this.config.jwtSecret).update(signedPart).digest();
+        if (expected.length !== signature.length || !crypto.timingSafeEqual(expected, signature)) {
+            throw new AuthError('Invalid token signature');
+        }
+    }
+
+    checkTimes(payload) {
+        const now = this.now();
+        const tolerance = this.config.clockTolerance;
+
+        if (typeof payload.sub !== 'string' || payload.sub.length === 0) {
+            throw new AuthError('Token has no subject');
+        }
+        if (typeof payload.exp !== 'number') {
+            throw new AuthError('Token has no expiry');
+        }
+        if (now > payload.exp + tolerance) {
+            throw new AuthError('Token expired', 'token_expired');
+        }
+        if (typeof payload.iat === 'number' && payload.iat > now + tolerance) {
+            throw new AuthError('Token issued in the future');
+        }
+        if (typeof payload.nbf === 'number' && payload.nbf > now + tolerance) {
+            throw new AuthError('Token not yet valid');
+        }
+    }
+
+    checkRevocation(payload) {
+        if (payload.jti && this.revokedTokens.has(payload.jti)) {
+            throw new AuthError('Token revoked', 'token_revoked');
+        }
+
+        // Same rule as Firebase's tokensValidAfterTime: sessions started before the revocation are invalid
+        const revokedAt = this.revokedUsers.get(payload.sub);
+        const authTime = payload.auth_time !== undefined ? payload.auth_time : payload.iat;
+        if (revokedAt !== undefined && (authTime === undefined || authTime <= revokedAt)) {
+            throw new AuthError('Token revoked', 'token_revoked');
+        }
+    }
+
+    // verifyIdToken with checkRevoked: refused once the user is disabled or their sessions revoked in Firebase
+    async checkFirebaseRevocation(token) {
+        try {
+            const firebaseAuth = this.getFirebaseAuth();
+            if (!firebaseAuth) return;
+
+            await firebaseAuth.verifyIdToken(token, true);
+        } catch (error) {
+            if (error.code === 'auth/id-token-revoked' || error.code === 'auth/user-disabled') {
+                throw new AuthError('Token revoked', 'token_revoked');
+            }
+            throw new AuthError(`Could not check the token with Firebase: ${error.message}`, 'revocation_unavailable', 503);
+        }
+    }
+
+    getFirebaseAuth() {
+        if (!this.firebaseAuth && this.config.firebaseCheckRevoked) {
+            this.firebaseAuth = loadFirebaseAuth(this.config.firebaseProjectId, this.config.firebaseServiceAccountKey);
+        }
+        return this.firebaseAuth;
+    }
+
+    buildUser(payload, provider) {
+        const role = this.normalizeRole(payload.role);
+
+        return {
+            uid: payload.user_id || payload.sub,
+            email: payload.email || null,
+            role,
+            permissions: this.getUserPermissions(role),
+            provider,
+            jti: payload.jti || null,
+            issuedAt: payload.iat,
+            authTime: payload.auth_time !== undefined ? payload.auth_time : payload.iat,
+            expiresAt: payload.exp
+        };
+    }
+
+    // Re-checks a verified user, e.g. for a long-lived WebSocket session
+    isSessionValid(user) {
+        if (!user) return false;
+        if (this.now() > user.expiresAt + this.config.clockTolerance) return false;
+
+        try {
+            this.checkRevocation({ sub: user.uid, jti: user.jti, auth_time: user.authTime });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // ================================
+    // JWKS
+    // ================================
+    async getSigningKey(kid) {
+        const now = Date.now();
+        const expired = now >= this.jwks.expiresAt;
+        const canRefresh = now - this.jwks.fetchedAt >= this.config.jwksRefreshCooldown;
+
+        if (expired || (!this.jwks.keys.has(kid) && canRefresh)) {
+            await this.refreshJWKS();
+        }
+
+        const key = this.jwks.keys.get(kid);
+        if (!key) {
+            throw new AuthError(`Unknown signing key: ${kid}`);
+        }
+        return key;
+    }
+
+    async refreshJWKS() {
+        // Concurrent verifications share one request
+        if (!this.jwksRequest) {
+            this.jwksRequest = this.loadJWKS().finally(() => {
+                this.jwksRequest = null;
+            });
+        }
+        return this.jwksRequest;
+    }
+
+    async loadJWKS() {
+        let jwks;
+        let maxAge = this.config.jwksCacheTTL;
+
+        if (this.config.jwksFile) {
+            jwks = JSON.parse(await fs.promises.readFile(this.config.jwksFile, 'utf8'));
+        } else {
+            const response = await fetch(this.config.jwksUrl);
+            if (!response.ok) {
+                throw new AuthError(`Failed to fetch signing keys: HTTP ${response.status}`, 'jwks_unavailable', 503);
+            }
+            jwks = await response.json();
+
+            const cacheControl = response.headers.get('cache-control') || '';
+            const match = /max-age=(\d+)/.exec(cacheControl);
+            if (match) maxAge = parseInt(match[1]) * 1000;
+        }
+
+        const keys = new Map();
+        for (const jwk of jwks.keys || []) {
+            if (jwk.kty !== 'RSA' || !jwk.kid) continue;
+            keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+        }
+
+        this.jwks = { keys, expiresAt: Date.now() + maxAge, fetchedAt: Date.now() };
+        this.log(`Loaded ${keys.size} signing keys from ${this.config.jwksFile || this.config.jwksUrl}`);
+    }
+
+    // ================================
+    // LOCAL TOKENS & REVOCATION
+    // ================================
+    issueToken(user, options = {}) {
+        if (!this.config.jwtSecret) {
+            throw new AuthError('Local token signing is not configured');
+        }
+
+        const now = this.now();
+        const payload = {
+            sub: user.uid,
+            email: user.email,
+            role: this.normalizeRole(user.role),
+            iss: this.config.jwtIssuer,
+            iat: now,
+            exp: now + (options.expiresIn || this.config.tokenTTL),
+            jti: crypto.randomBytes(16).toString('hex')
+        };
+
+        const encode = (part) => Buffer.from(JSON.stringify(part)).toString('base64url');
+        const signedPart = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode(payload)}`;
+        const signature = crypto.createHmac('sha256', this.config.jwtSecret).update(signedPart).digest('base64url');
+
+        return `${signedPart}.${signature}`;
+    }
+
+    async revokeToken(token, revokedBy = null) {
+        const { payload } = this.decode(token);
+        if (!payload.jti) {
+            throw new AuthError('Token has no ID to revoke; revoke the user instead');
+        }
+
+        const revocation = { kind: 'token', id: payload.jti, revokedAt: this.now(), expiresAt: payload.exp || this.now(), revokedBy };
+        this.applyRevocation(revocation);
+        this.pruneRevokedTokens();
+        await this.saveRevocation(revocation);
+
+        this.emit('token_revoked', { uid: payload.sub, jti: payload.jti });
+        return revocation;
+    }
+
+    // Ends every session the user started until now, here and, when configured, in Firebase
+    async revokeUser(uid, revokedAt = this.now(), revokedBy = null) {
+        const revocation = { kind: 'user', id: uid, revokedAt, expiresAt: null, revokedBy };
+        this.applyRevocation(revocation);
+        await this.saveRevocation(revocation);
+
+        const firebaseAuth = this.getFirebaseAuth();
+        if (firebaseAuth) {
+            await firebaseAuth.revokeRefreshTokens(uid);
+        }
+
+        this.emit('user_revoked', { uid, revokedAt });
+        return revocation;
+    }
+
+    applyRevocation({ kind, id, revokedAt, expiresAt }) {
+        if (kind === 'token') {
+            this.revokedTokens.set(id, expiresAt * 1000);
+        } else if (kind === 'user') {
+            this.revokedUsers.set(id, Math.max(revokedAt, this.revokedUsers.get(id) || 0));
+        }
+    }
+
+    async saveRevocation(revocation) {
+        if (this.revocationStore) {
+            await this.revocationStore.save(revocation);
+        }
+    }
+
+    async loadRevocations() {
+        if (!this.revocationStore) return 0;
+
+        const revocations = await this.revocationStore.load();
+        revocations.forEach(revocation => this.applyRevocation(revocation));
+        this.pruneRevokedTokens();
+
+        this.log(`Loaded ${revocations.length} revocations`);
+        return revocations.length;
+    }
+
+    pruneRevokedTokens() {
+        const cutoff = Date.now() - this.config.clockTolerance * 1000;
+        for (const [jti, expiresAt] of this.revokedTokens) {
+            if (expiresAt < cutoff) this.revokedTokens.delete(jti);
+        }
+    }
+
+    // ================================
+    // PERMISSIONS
+    // ================================
+    normalizeRole(role) {
+        return this.accessControl.normalizeRole(role);
+    }
+
+    getUserPermissions(role) {
+        return this.accessControl.getUserPermissions(role);
+    }
+
+    hasPermission(role, messageType) {
+        return this.accessControl.canReceive(role, messageType);
+    }
+
+    // ================================
+    // EXPRESS MIDDLEWARE
+    // ================================
+    middleware() {
+        return async (req, res, next) => {
+            const header = req.headers.authorization || '';
+            const token = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+
+            try {
+                req.user = await this.verifyToken(token);
+                next();
+            } catch (error) {
+                const status = error.status || 401;
+                this.log(`API auth failed: ${error.message}`, 'warn');
+                res.status(status).json({ error: error.message, code: error.code || 'invalid_token' });
+            }
+        };
+    }
+
+    // ================================
+    // UTILITIES
+    // ================================
+    now() {
+        return Math.floor(Date.now() / 1000);
+    }
+
+    log(message, level = 'info') {
+        const timestamp = new Date().toISOString();
+        console.log(`[${timestamp}] [AuthService] [${level.toUpperCase()}] ${message}`);
+
+        this.emit('log', { timestamp, level, message, component: 'AuthService' });
+    }
+}
+
+BayneXAuthService.AuthError = AuthError;
+
+module.exports = BayneXAuthService;
@@ -1,14 +1,15 @@
 // src/web/WebSocketServer.js
 const WebSocket = require('ws');
 const { EventEmitter } = require('events');
-const jwt = require('jsonwebtoken');
 const url = require('url');
+const BayneXAuthService = require('./AuthService');
 
 class BayneXWebSocketServer extends EventEmitter {
     constructor(options = {}) {
         super();
         this.port = options.port || 8080;
-        this.jwtSecret = options.jwtSecret || process.env.JWT_SECRET || 'baynex-secret-key';
+        this.auth = options.auth || new BayneXAuthService({ jwtSecret: options.jwtSecret });
+        this.accessControl = this.auth.accessControl;
         this.clients = new Map();
         this.rooms = new Map();
         this.server = null;
@@ -23,15 +24,9 @@ class BayneXWebSocketServer extends EventEmitter {
             SYSTEM_STATUS: 'system_status',
             PLATFORM_STATUS: 'platform_status',
             PERFORMANCE_DATA: 'performance_data',
+            CIRCUIT_BREAKER: 'circuit_breaker',
             USER_ACTION: 'user_action'
         };
-        
-        this.userPermissions = {
-            ADMIN: ['all'],
-            MANAGER: ['trade_update', 'balance_update', 'strategy_update', 'system_status'],
-            TRADER: ['trade_update', 'balance_update', 'performance_data'],
-            VIEWER: ['balance_update', 'performance_data', 'system_status']
-        };
     }
     
     async initialize() {
@@ -57,24 +52,22 @@ class BayneXWebSocketServer extends EventEmitter {
         }
     }
     
-    verifyClient(info) {
+    async verifyClient(info, callback) {
         try {
             const query = url.parse(info.req.url, true).query;
             const token = query.token;
             
             if (!token) {
                 this.log('WebSocket connection rejected: No token provided', 'warn');
-                return false;
+                return callback(false, 401, 'Unauthorized');
             }
             
-            // Verify JWT token
-            const decoded = jwt.verify(token, this.jwtSecret);
-            info.req.user = decoded;
+            info.req.user = await this.auth.verifyToken(token);
             
-            return true;
+            callback(true);
         } catch (error) {
             this.log(`WebSocket auth failed: ${error.message}`, 'warn');
-            return false;
+            callback(false, error.status || 401, 'Unauthorized');
         }
     }
     
@@ -102,7 +95,7 @@ class BayneXWebSocketServer extends EventEmitter {
         
         // Join user to their default room
         this.joinRoom(clientId, `user_${user.uid}`);
-        this.joinRoom(clientId, `role_${user.role || 'viewer'}`);
+        this.joinRoom(clientId, this.roleRoom(user.role));
         
         // Send welcome message
         this.sendToClient(clientId, {
@@ -160,15 +153,15 @@ class BayneXWebSocketServer extends EventEmitter {
         }
     }
     
-    handleUserAction(clientId, actionData) {
+    async handleUserAction(clientId, actionData) {
         const client = this.clients.get(clientId);
         if (!client) return;
         
-        // Check permissions
-        if (!this.hasPermission(client.user.role, 'user_action')) {
+        // Check permissions for this action type
+        if (!(await this.accessControl.authorizeAction(client.user, actionData.action))) {
             this.sendToClient(clientId, {
                 type: 'error',
-                data: { message: 'Insufficient permissions for this action' }
+                data: { message: 'Insufficient permissions for this action', action: actionData.action }
             });
             return;
         }
@@ -184,6 +177,31 @@ class BayneXWebSocketServer extends EventEmitter {
         this.log(`User action: ${actionData.action} by ${client.user.email}`);
     }
     
+    // Applies a role change to the user's open sessions
+    updateUserRole(userId, role) {
+        const normalized = this.auth.normalizeRole(role);
+        
+        this.clients.forEach((client, clientId) => {
+            if (client.user.uid !== userId) return;
+            
+            this.leaveRoom(clientId, this.roleRoom(client.user.role));
+            client.user = { ...client.user, role: normalized, permissions: this.getUserPermissions(normalized) };
+            this.joinRoom(clientId, this.roleRoom(normalized));
+            
+            // Drop channel subscriptions the new role no longer allows
+            client.rooms.forEach(room => {
+                if (room.startsWith('channel_') && !this.hasPermission(normalized, room.slice('channel_'.length))) {
+                    this.leaveRoom(clientId, room);
+                }
+            });
+            
+            this.sendToClient(clientId, {
+                type: 'permissions_updated',
+                data: { permissions: client.user.permissions }
+            });
+        });
+    }
+    
     handleSubscription(clientId, subscriptionData) {
         const client = this.clients.get(clientId);
         if (!client) return;
@@ -295,7 +313,7 @@ class BayneXWebSocketServer extends EventEmitter {
     }
     
     broadcastToRole(role, message) {
-        this.broadcastToRoom(`role_${role}`, message);
+        this.broadcastToRoom(this.roleRoom(role), message);
     }
     
     sendToUser(userId, message) {
@@ -370,6 +388,13 @@ class BayneXWebSocketServer extends EventEmitter {
         });
     }
     
+    onCircuitBreaker(change) {
+        this.broadcast({
+            type: this.messageTypes.CIRCUIT_BREAKER,
+            data: change
+        });
+    }
+    
     // System status
     sendSystemStatus(clientId = null) {
         const status = {
@@ -395,13 +420,18 @@ class BayneXWebSocketServer extends EventEmitter {
     startHeartbeat() {
         this.startTime = Date.now();
         
-        setInterval(() => {
+        this.heartbeatTimer = setInterval(() => {
             const now = Date.now();
             const deadClients = [];
             
             this.clients.forEach((client, clientId) => {
+                // Sessions outlive their token: drop them once it expires or is revoked
+                if (!this.auth.isSessionValid(client.user)) {
+                    this.log(`Closing session for ${client.user.email}: token expired or revoked`, 'warn');
+                    client.ws.close(4001, 'Token expired or revoked');
+                    deadClients.push(clientId);
                 // Check if client is still alive (30 seconds timeout)
-                if (now - client.lastHeartbeat > 30000) {
+                } else if (now - client.lastHeartbeat > 30000) {
                     deadClients.push(clientId);
                 } else {
                     // Send ping
@@ -420,13 +450,17 @@ class BayneXWebSocketServer extends EventEmitter {
     }
     
     // Permission management
+    // Joining, leaving and broadcasting all name the room by the normalized role
+    roleRoom(role) {
+        return `role_${this.auth.normalizeRole(role)}`;
+    }
+    
     hasPermission(userRole, messageType) {
-        const permissions = this.userPermissions[userRole] || this.userPermissions.VIEWER;
-        return permissions.includes('all') || permissions.includes(messageType);
+        return this.auth.hasPermission(userRole, messageType);
     }
     
     getUserPermissions(userRole) {
-        return this.userPermissions[userRole] || this.userPermissions.VIEWER;
+        return this.auth.getUserPermissions(userRole);
     }
     
     // Utility methods
@@ -455,6 +489,11 @@ class BayneXWebSocketServer extends EventEmitter {
     async shutdown() {
         this.log('Shutting down WebSocket server...');
         
+        if (this.heartbeatTimer) {
+            clearInterval(this.heartbeatTimer);
+            this.heartbeatTimer = null;
+        }
+        
         // Notify all clients
         this.broadcastToAll({
             type: 'server_shutdown',
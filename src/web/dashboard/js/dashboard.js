@@ -163,6 +163,31 @@ class BayneXDashboard {
         // Quick action buttons
         this.setupQuickActions();
         
+        // Decision journal replay
+        this.setupJournalView();
+        
+        const lineageRefresh = document.getElementById('lineage-refresh');
+        if (lineageRefresh) {
+            lineageRefresh.addEventListener('click', () => this.loadStrategiesData());
+        }
+        
+        // Circuit breakers
+        const breakersRefresh = document.getElementById('breakers-refresh');
+        if (breakersRefresh) {
+            breakersRefresh.addEventListener('click', () => this.loadBreakersData());
+        }
+        
+        // Trading schedule
+        const scheduleRefresh = document.getElementById('schedule-refresh');
+        if (scheduleRefresh) {
+            scheduleRefresh.addEventListener('click', () => this.loadScheduleData());
+        }
+        
+        const scheduleSave = document.getElementById('schedule-save');
+        if (scheduleSave) {
+            scheduleSave.addEventListener('click', () => this.saveSchedule());
+        }
+        
         // Window events
         window.addEventListener('beforeunload', () => this.cleanup());
         window.addEventListener('online', () => this.handleConnectionRestore());
@@ -170,19 +195,72 @@ class BayneXDashboard {
     }
     
     setupQuickActions() {
-        const actions = {
-            'start-trading': () => this.sendUserAction('start_trading'),
-            'pause-trading': () => this.sendUserAction('pause_trading'),
-            'force-learning': () => this.sendUserAction('force_learning'),
-            'reset-session': () => this.sendUserAction('reset_session')
+        Object.entries(this.getActionButtons()).forEach(([id, action]) => {
+            const element = document.getElementById(id);
+            if (element && id !== 'emergency-stop') {
+                element.addEventListener('click', () => this.sendUserAction(action));
+            }
+        });
+    }
+    
+    // Button id -> user_action type, used to enable only the actions the role allows
+    getActionButtons() {
+        return {
+            'start-trading': 'start_trading',
+            'pause-trading': 'pause_trading',
+            'force-learning': 'force_learning',
+            'reset-session': 'reset_session',
+            'emergency-stop': 'emergency_stop'
         };
+    }
+    
+    // Permissions come from the server's role matrix, not from the client
+    applyPermissions(permissions) {
+        if (!permissions) return;
+        
+        this.permissions = permissions;
+        if (this.currentUser) {
+            this.currentUser.role = permissions.role;
+            this.updateUserInfo();
+        }
         
-        Object.entries(actions).forEach(([id, handler]) => {
+        Object.entries(this.getActionButtons()).forEach(([id, action]) => {
             const element = document.getElementById(id);
             if (element) {
-                element.addEventListener('click', handler);
+                const allowed = permissions.actions.includes(action);
+                element.disabled = !allowed;
+                element.title = allowed ? '' : 'Not permitted for your role';
             }
         });
+        
+        // Only admins may edit the trading schedule
+        const canEditSchedule = permissions.routes.includes('PUT /schedule');
+        const scheduleSave = document.getElementById('schedule-save');
+        const scheduleEditor = document.getElementById('schedule-editor');
+        if (scheduleSave) {
+            scheduleSave.disabled = !canEditSchedule;
+            scheduleSave.title = canEditSchedule ? '' : 'Not permitted for your role';
+        }
+        if (scheduleEditor) {
+            scheduleEditor.readOnly = !canEditSchedule;
+        }
+        
+        // Reset buttons are drawn per breaker, so redraw them for the new role
+        if (this.breakers) {
+            this.renderBreakers(this.breakers);
+        }
+    }
+    
+    setupJournalView() {
+        const button = document.getElementById('journal-replay');
+        const input = document.getElementById('journal-query');
+        
+        if (button && input) {
+            button.addEventListener('click', () => this.replayDecision(input.value.trim()));
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') this.replayDecision(input.value.trim());
+            });
+        }
     }
     
     setupNavigation() {
@@ -235,10 +313,294 @@ class BayneXDashboard {
             case 'performance':
                 this.loadPerformanceData();
                 break;
+            case 'risk':
+                this.loadBreakersData();
+                break;
+            case 'settings':
+                this.loadScheduleData();
+                break;
             // Add other sections as needed
         }
     }
     
+    // Authenticated call to the protected REST API
+    async apiRequest(path, options = {}) {
+        const token = await window.bayneXAuth.getUserToken();
+        const response = await fetch(`/api/protected${path}`, {
+            ...options,
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${token}`,
+                ...(options.headers || {})
+            }
+        });
+        
+        const body = await response.json();
+        if (!response.ok) {
+            throw new Error(body.error || `Request failed: ${response.status}`);
+        }
+        return body;
+    }
+    
+    // Decision journal
+    async replayDecision(id) {
+        if (!id) return;
+        
+        const input = document.getElementById('journal-query');
+        if (input) input.value = id;
+        
+        try {
+            const decisionPath = await this.apiRequest(`/journal/${encodeURIComponent(id)}`);
+            this.renderDecisionPath(decisionPath);
+        } catch (error) {
+            this.renderDecisionPath(null);
+            this.showError(`Journal replay failed: ${error.message}`);
+        }
+    }
+    
+    renderDecisionPath(decisionPath) {
+        const integrityEl = document.getElementById('journal-integrity');
+        const timelineEl = document.getElementById('journal-timeline');
+        if (!integrityEl || !timelineEl) return;
+        
+        timelineEl.innerHTML = '';
+        integrityEl.className = 'journal-integrity';
+        integrityEl.textContent = '';
+        if (!decisionPath) return;
+        
+        const { verification } = decisionPath;
+        integrityEl.classList.add(verification.valid ? 'valid' : 'broken');
+        integrityEl.textContent = verification.valid
+            ? `✓ Chain intact - ${decisionPath.entries.length} entries for signal ${decisionPath.signalId}`
+            : `✗ Tampering detected at entry ${verification.brokenAt}: ${verification.reason}`;
+        
+        const stageTitles = {
+            signal: 'Signal & indicators',
+            signal_risk: 'Signal risk check',
+            ensemble: 'Ensemble vote',
+            pricing: 'Payout & expected value',
+            risk_validation: 'Trade validation',
+            execution: 'Execution',
+            outcome: 'Outcome'
+        };
+        
+        decisionPath.entries.forEach(entry => {
+            const item = document.createElement('li');
+            item.className = 'journal-stage';
+            
+            const title = document.createElement('h4');
+            title.textContent = stageTitles[entry.stage] || entry.stage;
+            const time = document.createElement('span');
+            time.textContent = this.formatTime(new Date(entry.timestamp));
+            title.appendChild(time);
+            
+            const data = document.createElement('pre');
+            data.textContent = JSON.stringify(entry.data, null, 2);
+            
+            const hash = document.createElement('div');
+            hash.className = 'journal-hash';
+            hash.textContent = `#${entry.seq} ${entry.hash}`;
+            
+            item.append(title, data, hash);
+            timelineEl.appendChild(item);
+        });
+    }
+    
+    // Strategy lineage
+    async loadStrategiesData() {
+        try {
+            const evolution = await this.apiRequest('/evolution');
+            this.renderLineage(evolution);
+        } catch (error) {
+            this.renderLineage(null);
+            this.showError(`Lineage unavailable: ${error.message}`);
+        }
+    }
+    
+    renderLineage(evolution) {
+        const summaryEl = document.getElementById('evolution-summary');
+        const treeEl = document.getElementById('lineage-tree');
+        if (!summaryEl || !treeEl) return;
+        
+        summaryEl.textContent = '';
+        treeEl.innerHTML = '';
+        if (!evolution) return;
+        
+        const last = evolution.stats.lastGeneration;
+        summaryEl.textContent = last
+            ? `Generation ${last.generation}: ${last.born.length} born, ${last.retired.length} retired, ${last.rejected} rejected offline`
+            : 'No generation has run yet';
+        
+        const { nodes, roots } = evolution.lineage;
+        const formatPercent = (value) => `${(value * 100).toFixed(1)}%`;
+        
+        const renderNode = (id) => {
+            const node = nodes[id];
+            const item = document.createElement('li');
+            item.className = `lineage-node ${node.status}`;
+            
+            const label = document.createElement('div');
+            label.className = 'lineage-label';
+            label.textContent = `${node.name} · gen ${node.generation} · ${node.origin} · ${node.status}`;
+            
+            if (node.fitness && node.fitness.score !== null) {
+                const fitness = document.createElement('span');
+                fitness.className = 'lineage-fitness';
+                fitness.textContent = `expectancy ${formatPercent(node.fitness.expectancy)}, drawdown ${formatPercent(node.fitness.maxDrawdownPercent)}, ${node.fitness.trades} trades`;
+                label.appendChild(fitness);
+            }
+            
+            // A crossover child is drawn under its first parent; name the other one
+            const otherParents = node.parentIds.slice(1).map(parentId => (nodes[parentId] ? nodes[parentId].name : parentId));
+            if (otherParents.length > 0) {
+                const crossed = document.createElement('span');
+                crossed.className = 'lineage-crossed';
+                crossed.textContent = `× ${otherParents.join(', ')}`;
+                label.appendChild(crossed);
+            }
+            
+            item.appendChild(label);
+            
+            if (node.children.length > 0) {
+                const children = document.createElement('ul');
+                node.children.forEach(childId => children.appendChild(renderNode(childId)));
+                item.appendChild(children);
+            }
+            
+            return item;
+        };
+        
+        roots.forEach(id => treeEl.appendChild(renderNode(id)));
+    }
+    
+    // Circuit breakers
+    async loadBreakersData() {
+        try {
+            const { breakers } = await this.apiRequest('/risk/breakers');
+            this.renderBreakers(breakers);
+        } catch (error) {
+            this.renderBreakers(null);
+            this.showError(`Circuit breakers unavailable: ${error.message}`);
+        }
+    }
+    
+    async resetBreaker(key) {
+        try {
+            await this.apiRequest(`/risk/breakers/${encodeURIComponent(key)}/reset`, { method: 'POST' });
+            this.showNotification('Circuit Breaker', `${key} reset to full size`, 'success');
+        } catch (error) {
+            this.showError(`Breaker not reset: ${error.message}`);
+        }
+        this.loadBreakersData();
+    }
+    
+    renderBreakers(breakers) {
+        const listEl = document.getElementById('breaker-list');
+        if (!listEl) return;
+        
+        this.breakers = breakers;
+        listEl.innerHTML = '';
+        if (!breakers) return;
+        
+        if (breakers.length === 0) {
+            listEl.textContent = 'Every breaker is at full size';
+            return;
+        }
+        
+        // Only admins may reset a breaker
+        const canReset = Boolean(this.permissions && this.permissions.routes.includes('POST /risk/breakers/:key/reset'));
+        
+        breakers.forEach(breaker => {
+            const item = document.createElement('li');
+            item.className = `breaker ${breaker.state}`;
+            
+            const label = document.createElement('div');
+            label.className = 'breaker-label';
+            const name = breaker.scope === 'account' ? 'Account' : `${breaker.scope} ${breaker.target}`;
+            label.textContent = `${name} · ${breaker.state} · ${Math.round(breaker.sizeFactor * 100)}% stake`;
+            
+            const detail = document.createElement('span');
+            detail.className = 'breaker-detail';
+            const until = breaker.pausedUntil ? ` until ${this.formatTime(new Date(breaker.pausedUntil))}` : '';
+            detail.textContent = `${breaker.losses} losses, ${breaker.wins} wins${until}${breaker.reason ? ` - ${breaker.reason}` : ''}`;
+            label.appendChild(detail);
+            item.appendChild(label);
+            
+            if (breaker.state !== 'normal') {
+                const reset = document.createElement('button');
+                reset.className = 'btn-secondary';
+                reset.textContent = 'Reset';
+                reset.disabled = !canReset;
+                reset.title = canReset ? '' : 'Not permitted for your role';
+                reset.addEventListener('click', () => this.resetBreaker(breaker.key));
+                item.appendChild(reset);
+            }
+            
+            listEl.appendChild(item);
+        });
+    }
+    
+    // Trading schedule
+    async loadScheduleData() {
+        try {
+            const schedule = await this.apiRequest('/schedule');
+            this.renderSchedule(schedule);
+        } catch (error) {
+            this.renderSchedule(null);
+            this.showError(`Schedule unavailable: ${error.message}`);
+        }
+    }
+    
+    async saveSchedule() {
+        const editor = document.getElementById('schedule-editor');
+        if (!editor) return;
+        
+        let schedule;
+        try {
+            schedule = JSON.parse(editor.value);
+        } catch (error) {
+            this.showError(`Schedule is not valid JSON: ${error.message}`);
+            return;
+        }
+        
+        try {
+            const saved = await this.apiRequest('/schedule', { method: 'PUT', body: JSON.stringify(schedule) });
+            this.renderSchedule(saved);
+            this.showNotification('Trading Schedule', 'Schedule saved', 'success');
+        } catch (error) {
+            this.showError(`Schedule not saved: ${error.message}`);
+        }
+    }
+    
+    renderSchedule(schedule) {
+        const statusEl = document.getElementById('schedule-status');
+        const editor = document.getElementById('schedule-editor');
+        if (!statusEl || !editor) return;
+        
+        statusEl.innerHTML = '';
+        if (!schedule) return;
+        
+        editor.value = JSON.stringify(schedule.schedule, null, 2);
+        
+        if (!schedule.enabled) {
+            statusEl.textContent = 'Scheduling is disabled: every session is open';
+            return;
+        }
+        
+        Object.entries(schedule.status).forEach(([key, session]) => {
+            const item = document.createElement('li');
+            item.className = `schedule-session ${session.open ? 'open' : 'closed'}`;
+            
+            const name = key === 'default' ? 'Trading hours' : key.replace(':', ' ');
+            item.textContent = session.open ? `${name} · open` : `${name} · closed: ${session.reason}`;
+            statusEl.appendChild(item);
+        });
+        
+        if (schedule.error) {
+            this.showError(`Configured schedule rejected, previous one in force: ${schedule.error}`);
+        }
+    }
+    
     async connectWebSocket() {
         try {
             const token = await window.bayneXAuth.getUserToken();
@@ -291,6 +653,11 @@ class BayneXDashboard {
         switch (type) {
             case 'connection_established':
                 this.log('WebSocket connection established');
+                this.applyPermissions(data.permissions);
+                break;
+                
+            case 'permissions_updated':
+                this.applyPermissions(data.permissions);
                 break;
                 
             case 'trade_update':
@@ -325,6 +692,10 @@ class BayneXDashboard {
                 this.handlePerformanceUpdate(data);
                 break;
                 
+            case 'circuit_breaker':
+                this.handleCircuitBreaker(data);
+                break;
+                
             case 'error':
                 this.handleServerError(data);
                 break;
@@ -469,6 +840,15 @@ class BayneXDashboard {
         this.updatePerformanceCharts();
     }
     
+    handleCircuitBreaker(data) {
+        this.showNotification('Circuit Breaker', data.description, data.to === 'paused' ? 'warning' : 'info');
+        
+        const section = document.getElementById('section-risk');
+        if (section && section.classList.contains('active')) {
+            this.loadBreakersData();
+        }
+    }
+    
     handleServerError(data) {
         this.showError(data.message || 'Server error occurred');
     }
@@ -573,6 +953,15 @@ class BayneXDashboard {
             <td class="${resultClass}">${this.formatCurrency(trade.pnl || 0)}</td>
         `;
         
+        // Open the trade's decision path in the journal
+        if (trade.id) {
+            row.style.cursor = 'pointer';
+            row.addEventListener('click', () => {
+                this.navigateToSection('journal');
+                this.replayDecision(trade.id);
+            });
+        }
+        
         return row;
     }
     
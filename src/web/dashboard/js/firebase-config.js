@@ -138,148 +138,6 @@ class BayneXFirebaseAuth {
         }
     }
     
-    // Error message helper
-    getErrorMessage(errorCode) {
-// src/web/dashboard/js/firebase-config.js
-
-// Firebase Configuration for BAYNEX.A.X
-const firebaseConfig = {
-    // Replace with your actual Firebase config
-    apiKey: "your-api-key",
-    authDomain: "baynex-ax.firebaseapp.com",
-    projectId: "baynex-ax",
-    storageBucket: "baynex-ax.appspot.com",
-    messagingSenderId: "123456789",
-    appId: "1:123456789:web:abcdefghijklmnop"
-};
-
-// Initialize Firebase
-firebase.initializeApp(firebaseConfig);
-
-// Firebase Auth instance
-const auth = firebase.auth();
-
-class BayneXFirebaseAuth {
-    constructor() {
-        this.auth = auth;
-        this.currentUser = null;
-        this.onAuthStateChanged = this.onAuthStateChanged.bind(this);
-        
-        // Setup auth state listener
-        this.auth.onAuthStateChanged(this.onAuthStateChanged);
-    }
-    
-    // Sign in with email and password
-    async signInWithEmail(email, password) {
-        try {
-            const userCredential = await this.auth.signInWithEmailAndPassword(email, password);
-            this.currentUser = userCredential.user;
-            
-            // Get user token for WebSocket authentication
-            const token = await this.currentUser.getIdToken();
-            
-            return {
-                success: true,
-                user: this.currentUser,
-                token: token
-            };
-        } catch (error) {
-            console.error('Sign in error:', error);
-            return {
-                success: false,
-                error: this.getErrorMessage(error.code)
-            };
-        }
-    }
-    
-    // Sign out
-    async signOut() {
-        try {
-            await this.auth.signOut();
-            this.currentUser = null;
-            return { success: true };
-        } catch (error) {
-            console.error('Sign out error:', error);
-            return {
-                success: false,
-                error: 'Failed to sign out'
-            };
-        }
-    }
-    
-    // Get current user
-    getCurrentUser() {
-        return this.currentUser;
-    }
-    
-    // Get user token
-    async getUserToken() {
-        if (this.currentUser) {
-            try {
-                return await this.currentUser.getIdToken();
-            } catch (error) {
-                console.error('Token error:', error);
-                return null;
-            }
-        }
-        return null;
-    }
-    
-    // Get user info
-    getUserInfo() {
-        if (this.currentUser) {
-            return {
-                uid: this.currentUser.uid,
-                email: this.currentUser.email,
-                displayName: this.currentUser.displayName || this.currentUser.email,
-                emailVerified: this.currentUser.emailVerified,
-                role: this.getUserRole() // This would come from custom claims or Firestore
-            };
-        }
-        return null;
-    }
-    
-    // Get user role (placeholder - implement based on your role system)
-    getUserRole() {
-        // This should be implemented based on your role management system
-        // Could come from custom claims, Firestore, or your backend
-        
-        // For demo purposes, assign roles based on email patterns
-        if (this.currentUser) {
-            const email = this.currentUser.email.toLowerCase();
-            
-            if (email.includes('admin')) {
-                return 'ADMIN';
-            } else if (email.includes('manager')) {
-                return 'MANAGER';
-            } else if (email.includes('trader')) {
-                return 'TRADER';
-            } else {
-                return 'VIEWER';
-            }
-        }
-        
-        return 'VIEWER';
-    }
-    
-    // Auth state change handler
-    onAuthStateChanged(user) {
-        this.currentUser = user;
-        
-        if (user) {
-            console.log('User signed in:', user.email);
-            // Emit custom event for the dashboard
-            window.dispatchEvent(new CustomEvent('authStateChanged', {
-                detail: { user: user, signedIn: true }
-            }));
-        } else {
-            console.log('User signed out');
-            window.dispatchEvent(new CustomEvent('authStateChanged', {
-                detail: { user: null, signedIn: false }
-            }));
-        }
-    }
-    
     // Error message helper
     getErrorMessage(errorCode) {
         const errorMessages = {
@@ -1,5 +1,7 @@
 // src/web/index.js
 const BayneXWebSocketServer = require('./WebSocketServer');
+const BayneXAuthService = require('./AuthService');
+const BayneXAccessControl = require('./AccessControl');
 const express = require('express');
 const path = require('path');
 const cors = require('cors');
@@ -15,6 +17,20 @@ class BayneXWebModule {
             ...config
         };
         
+        // Shared by the REST API and the WebSocket server
+        this.accessControl = new BayneXAccessControl({
+            getDatabase: () => this.getComponent('database')
+        });
+        this.auth = new BayneXAuthService({
+            jwtSecret: this.config.jwtSecret,
+            accessControl: this.accessControl,
+            roleResolver: (uid) => this.getStoredRole(uid),
+            revocationStore: {
+                load: () => this.getRevocations(),
+                save: (revocation) => this.saveRevocation(revocation)
+            }
+        });
+        
         this.app = express();
         this.server = null;
         this.wsServer = null;
@@ -155,20 +171,9 @@ class BayneXWebModule {
     }
     
     setupAPIRoutes() {
-        // Authentication middleware for API routes
-        const authMiddleware = (req, res, next) => {
-            // Simple token validation - in production, use proper JWT validation
-            const token = req.headers.authorization?.replace('Bearer ', '');
-            if (!token) {
-                return res.status(401).json({ error: 'Authentication required' });
-            }
-            
-            // TODO: Validate JWT token with Firebase Admin SDK
-            next();
-        };
-        
-        // Protected API routes
-        this.app.use('/api/protected', authMiddleware);
+        // Protected API routes: every request needs a verified Firebase or local token
+        // and a role allowed by the permission matrix in AccessControl.js
+        this.app.use('/api/protected', this.auth.middleware(), this.accessControl.middleware());
         
         // Trading data endpoints
         this.app.get('/api/protected/trades', (req, res) => {
@@ -212,6 +217,22 @@ class BayneXWebModule {
             });
         });
         
+        // New rule-based strategy, e.g. { name, parameters, indicators, rules: { entry: { call, put } } }
+        this.app.post('/api/protected/strategies', async (req, res) => {
+            const strategyManager = this.getComponent('strategyManager');
+            if (!strategyManager) {
+                return res.status(503).json({ error: 'Strategy manager unavailable' });
+            }
+            
+            try {
+                const strategy = await strategyManager.createRuleStrategy(req.body || {});
+                res.status(201).json({ success: true, strategy });
+            } catch (error) {
+                // Nothing is stored until the definition validates, so every failure is the caller's
+                res.status(400).json({ error: error.message, ...(error.errors ? { errors: error.errors } : {}) });
+            }
+        });
+        
         this.app.post('/api/protected/strategies/:id/toggle', (req, res) => {
             const strategyId = req.params.id;
             const { enabled } = req.body;
@@ -225,388 +246,202 @@ class BayneXWebModule {
             });
         });
         
-        // Goal management endpoints
-        this.app.get('/api/protected/goals', (req, res) => {
-            res.json({
-                active: [],
-                completed: [],
-                progress: {}
-            });
-        });
-        
-        this.app.post('/api/protected/goals', (req, res) => {
-            const goal = req.body;
+        // Strategy evolution: generation history and the lineage tree
+        this.app.get('/api/protected/evolution', async (req, res, next) => {
+            const evolution = this.getComponent('evolution');
+            if (!evolution) {
+                return res.status(503).json({ error: 'Evolution engine unavailable' });
+            }
             
-            // This would integrate with goal tracker
-            res.json({
-                success: true,
-                goalId: 'goal_' + Date.now(),
-                goal,
-                message: 'Goal created successfully'
-            });
-        });
-        
-        // System control endpoints
-        this.app.post('/api/protected/system/emergency-stop', (req, res) => {
-            // This would trigger emergency stop in main system
-            res.json({
-                success: true,
-                message: 'Emergency stop initiated',
-                timestamp: new Date().toISOString()
-            });
-        });
-        
-        this.app.post('/api/protected/system/restart', (req, res) => {
-            // This would restart the trading system
-            res.json({
-                success: true,
-                message: 'System restart initiated',
-                timestamp: new Date().toISOString()
-            });
+            try {
+                res.json({
+                    stats: evolution.getStats(),
+                    generations: evolution.getGenerations(),
+                    lineage: await evolution.getLineage()
+                });
+            } catch (error) {
+                next(error);
+            }
         });
         
-        // Export endpoints
-        this.app.get('/api/protected/export/trades', (req, res) => {
-            const format = req.query.format || 'csv';
-            const from = req.query.from;
-            const to = req.query.to;
+        // Market regime per asset and the latest regime changes
+        this.app.get('/api/protected/regimes', (req, res) => {
+            const regimeDetector = this.getComponent('regimeDetector');
+            if (!regimeDetector) {
+                return res.status(503).json({ error: 'Regime detector unavailable' });
+            }
             
-            // This would generate and return trade export
             res.json({
-                success: true,
-                downloadUrl: `/api/protected/download/trades-${Date.now()}.${format}`,
-                message: 'Export prepared successfully'
+                regimes: regimeDetector.getRegimes(),
+                changes: regimeDetector.getRecentChanges(),
+                stats: regimeDetector.getStats()
             });
         });
         
-        this.app.get('/api/protected/export/performance', (req, res) => {
-            const format = req.query.format || 'csv';
+        // Strategy replays over stored ticks, in simulation only: live trades and risk state are untouched
+        this.app.get('/api/protected/backtest', (req, res) => {
+            const backtest = this.getComponent('backtest');
+            if (!backtest) {
+                return res.status(503).json({ error: 'Backtest engine unavailable' });
+            }
             
-            res.json({
-                success: true,
-                downloadUrl: `/api/protected/download/performance-${Date.now()}.${format}`,
-                message: 'Performance report prepared successfully'
-            });
-        });
-    }
-    
-    async initializeWebSocket() {
-        this.wsServer = new BayneXWebSocketServer({
-            port: this.config.wsPort,
-            jwtSecret: this.config.jwtSecret
-        });
-        
-        // Setup WebSocket event handlers
-        this.wsServer.on('client_connected', (data) => {
-            this.log(`WebSocket client connected: ${data.user.email}`);
-        });
-        
-        this.wsServer.on('client_disconnected', (data) => {
-            this.log(`WebSocket client disconnected: ${data.user.email}`);
+            res.json({ status: backtest.healthCheck(), report: backtest.getLastReport() });
         });
         
-        this.wsServer.on('user_action', (data) => {
-            this.handleUserAction(data);
-        });
-        
-        this.wsServer.on('server_error', (error) => {
-            this.log(`WebSocket server error: ${error.message}`, 'error');
-        });
-        
-        return await this.wsServer.initialize();
-    }
-    
-    handleUserAction(actionData) {
-        const { action, params, user, clientId } = actionData;
-        
-        this.log(`User action: ${action} by ${user.email}`);
-        
-        // Emit to main system for handling
-        this.emit('user_action', actionData);
-        
-        // Send acknowledgment to client
-        this.wsServer.sendToClient(clientId, {
-            type: 'action_acknowledged',
-            data: {
-                action,
-                timestamp: Date.now(),
-                message: `Action ${action} received and processing`
+        this.app.post('/api/protected/backtest', async (req, res, next) => {
+            const backtest = this.getComponent('backtest');
+            if (!backtest) {
+                return res.status(503).json({ error: 'Backtest engine unavailable' });
+            }
+            if (backtest.isRunning) {
+                return res.status(409).json({ error: 'A backtest is already running' });
             }
-        });
-    }
-    
-    async startServer() {
-        return new Promise((resolve, reject) => {
-            this.server = this.app.listen(this.config.port, (error) => {
-                if (error) {
-                    reject(error);
-                } else {
-                    this.log(`HTTP server started on port ${this.config.port}`);
-                    resolve();
-                }
-            });
             
-            this.server.on('error', (error) => {
-                this.log(`HTTP server error: ${error.message}`, 'error');
-            });
+            // Stored ticks only: a file path from a request is never read
+            const { asset, strategies, limit, payout, duration } = req.body || {};
+            
+            try {
+                res.json(await backtest.runBacktest({ asset, strategies, limit, payout, duration }));
+            } catch (error) {
+                if (error.name === 'BacktestError') {
+                    return res.status(400).json({ error: error.message });
+                }
+                next(error);
+            }
         });
-    }
-    
-    errorHandler(error, req, res, next) {
-        this.log(`HTTP error: ${error.message}`, 'error');
         
-        // Don't leak error details in production
-        const isDev = process.env.NODE_ENV === 'development';
-        
-        res.status(error.status || 500).json({
-            error: isDev ? error.message : 'Internal server error',
-            timestamp: new Date().toISOString(),
-            path: req.path
+        // Walk-forward tuning of declared parameter ranges: one strategy by id or name, or every tunable one
+        this.app.get('/api/protected/optimizer', (req, res) => {
+            const optimizer = this.getComponent('optimizer');
+            if (!optimizer) {
+                return res.status(503).json({ error: 'Parameter optimizer unavailable' });
+            }
+            
+            res.json({ status: optimizer.healthCheck(), report: optimizer.getLastReport() });
         });
-    }
-    
-    // Event emitter methods
-    emit(event, data) {
-        // This would be connected to the main system event emitter
-        console.log(`[WebModule] Event: ${event}`, data);
-    }
-    
-    // WebSocket broadcasting methods
-    broadcastTradeUpdate(tradeData) {
-        if (this.wsServer) {
-            this.wsServer.onTradeUpdate(tradeData);
-        }
-    }
-    
-    broadcastBalanceUpdate(balanceData) {
-        if (this.wsServer) {
-            this.wsServer.onBalanceUpdate(balanceData);
-        }
-// src/web/index.js
-const BayneXWebSocketServer = require('./WebSocketServer');
-const express = require('express');
-const path = require('path');
-const cors = require('cors');
-
-class BayneXWebModule {
-    constructor(config = {}) {
-        this.config = {
-            port: config.port || process.env.PORT || 3000,
-            wsPort: config.wsPort || process.env.WS_PORT || 8080,
-            staticPath: config.staticPath || path.join(__dirname, 'dashboard'),
-            jwtSecret: config.jwtSecret || process.env.JWT_SECRET,
-            corsOrigins: config.corsOrigins || ['http://localhost:3000', 'https://baynex-ax.onrender.com'],
-            ...config
-        };
         
-        this.app = express();
-        this.server = null;
-        this.wsServer = null;
-        this.isRunning = false;
-    }
-    
-    async initialize() {
-        try {
-            this.log('Initializing BAYNEX.A.X Web Module...');
-            
-            // Setup Express middleware
-            this.setupMiddleware();
-            
-            // Setup routes
-            this.setupRoutes();
-            
-            // Initialize WebSocket server
-            await this.initializeWebSocket();
-            
-            // Start HTTP server
-            await this.startServer();
+        this.app.post('/api/protected/optimizer', async (req, res, next) => {
+            const optimizer = this.getComponent('optimizer');
+            if (!optimizer) {
+                return res.status(503).json({ error: 'Parameter optimizer unavailable' });
+            }
+            if (optimizer.isRunning) {
+                return res.status(409).json({ error: 'An optimization is already running' });
+            }
             
-            this.isRunning = true;
-            this.log('Web Module initialized successfully');
+            // Only the ranges strategies declare are searched; apply: false reports without writing back
+            const { strategy, method, asset, limit, apply } = req.body || {};
+            const options = { method, asset, limit, apply };
             
-            return true;
-        } catch (error) {
-            this.log(`Web Module initialization failed: ${error.message}`, 'error');
-            return false;
-        }
-    }
-    
-    setupMiddleware() {
-        // CORS configuration
-        this.app.use(cors({
-            origin: this.config.corsOrigins,
-            credentials: true,
-            methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-            allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
-        }));
-        
-        // Body parsing middleware
-        this.app.use(express.json({ limit: '10mb' }));
-        this.app.use(express.urlencoded({ extended: true, limit: '10mb' }));
-        
-        // Security headers
-        this.app.use((req, res, next) => {
-            res.setHeader('X-Content-Type-Options', 'nosniff');
-            res.setHeader('X-Frame-Options', 'DENY');
-            res.setHeader('X-XSS-Protection', '1; mode=block');
-            res.setHeader('Referrer-Policy', 'strict-origin-when-cross-origin');
-            
-            // CSP for dashboard
-            if (req.path.startsWith('/dashboard') || req.path === '/') {
-                res.setHeader('Content-Security-Policy', 
-                    "default-src 'self'; " +
-                    "script-src 'self' 'unsafe-inline' https://cdnjs.cloudflare.com https://www.gstatic.com; " +
-                    "style-src 'self' 'unsafe-inline' https://cdnjs.cloudflare.com https://fonts.googleapis.com; " +
-                    "font-src 'self' https://fonts.gstatic.com https://cdnjs.cloudflare.com; " +
-                    "img-src 'self' data: https:; " +
-                    "connect-src 'self' ws: wss: https://identitytoolkit.googleapis.com https://securetoken.googleapis.com;"
-                );
+            try {
+                if (strategy !== undefined) {
+                    return res.json(await optimizer.optimizeStrategy(strategy, options));
+                }
+                res.json({ reports: await optimizer.optimizeAll(options) });
+            } catch (error) {
+                if (error.name === 'OptimizerError' || error.name === 'BacktestError') {
+                    return res.status(400).json({ error: error.message });
+                }
+                next(error);
             }
-            
-            next();
         });
         
-        // Request logging
-        this.app.use((req, res, next) => {
-            this.log(`${req.method} ${req.path} - ${req.ip}`);
-            next();
+        // Risk policy: the rules in force, a dry run of a candidate against past trades, and a reload from file
+        this.app.get('/api/protected/risk/policy', (req, res) => {
+            const riskManager = this.getComponent('riskManager');
+            if (!riskManager) {
+                return res.status(503).json({ error: 'Risk manager unavailable' });
+            }
+            
+            res.json(riskManager.getPolicyStatus());
         });
         
-        // Static files
-        this.app.use('/dashboard', express.static(this.config.staticPath));
-        this.app.use('/assets', express.static(path.join(this.config.staticPath, 'assets')));
-    }
-    
-    setupRoutes() {
-        // Health check endpoint
-        this.app.get('/health', (req, res) => {
-            res.json({
-                status: 'healthy',
-                timestamp: new Date().toISOString(),
-                uptime: process.uptime(),
-                version: process.env.npm_package_version || '1.0.0',
-                services: {
-                    webServer: this.isRunning,
-                    webSocket: this.wsServer ? this.wsServer.server?.listening : false
+        this.app.post('/api/protected/risk/policy/dry-run', async (req, res, next) => {
+            const riskManager = this.getComponent('riskManager');
+            if (!riskManager) {
+                return res.status(503).json({ error: 'Risk manager unavailable' });
+            }
+            
+            const { policy, since } = req.body || {};
+            
+            try {
+                res.json(await riskManager.dryRunPolicy(policy || null, { since }));
+            } catch (error) {
+                if (error.name === 'RiskPolicyError') {
+                    return res.status(400).json({ error: error.message });
                 }
-            });
+                next(error);
+            }
         });
         
-        // System status endpoint
-        this.app.get('/api/status', (req, res) => {
+        this.app.post('/api/protected/risk/policy/reload', async (req, res, next) => {
+            const config = this.getComponent('config');
+            const riskManager = this.getComponent('riskManager');
+            if (!config || !riskManager) {
+                return res.status(503).json({ error: 'Configuration unavailable' });
+            }
+            
             try {
-                const status = {
-                    system: 'BAYNEX.A.X',
-                    status: 'operational',
-                    timestamp: new Date().toISOString(),
-                    services: {
-                        webServer: this.isRunning,
-                        webSocket: this.wsServer?.getStats() || null,
-                        uptime: process.uptime()
-                    }
-                };
-                
-                res.json(status);
+                await config.reload();
+                // A file that does not parse or compile leaves the previous policy in force
+                const policy = riskManager.getPolicyStatus();
+                const error = config.getHealthStatus().riskPolicyError || policy.error;
+                if (error) {
+                    return res.status(400).json({ error, policy });
+                }
+                res.json({ success: true, policy });
             } catch (error) {
-                res.status(500).json({ error: 'Failed to get system status' });
+                next(error);
             }
         });
         
-        // API endpoints for dashboard data
-        this.setupAPIRoutes();
-        
-        // Dashboard routes
-        this.app.get('/', (req, res) => {
-            res.sendFile(path.join(this.config.staticPath, 'index.html'));
-        });
-        
-        this.app.get('/dashboard', (req, res) => {
-            res.sendFile(path.join(this.config.staticPath, 'index.html'));
-        });
-        
-        // Catch-all route for SPA
-        this.app.get('*', (req, res) => {
-            // Only serve dashboard for non-API routes
-            if (!req.path.startsWith('/api/')) {
-                res.sendFile(path.join(this.config.staticPath, 'index.html'));
-            } else {
-                res.status(404).json({ error: 'API endpoint not found' });
+        // Loss-streak circuit breakers that are tripped or partway into a streak
+        this.app.get('/api/protected/risk/breakers', (req, res) => {
+            const riskManager = this.getComponent('riskManager');
+            if (!riskManager) {
+                return res.status(503).json({ error: 'Risk manager unavailable' });
             }
+            
+            res.json({ breakers: riskManager.circuitBreakers.list() });
         });
         
-        // Error handling middleware
-        this.app.use(this.errorHandler.bind(this));
-    }
-    
-    setupAPIRoutes() {
-        // Authentication middleware for API routes
-        const authMiddleware = (req, res, next) => {
-            // Simple token validation - in production, use proper JWT validation
-            const token = req.headers.authorization?.replace('Bearer ', '');
-            if (!token) {
-                return res.status(401).json({ error: 'Authentication required' });
+        this.app.post('/api/protected/risk/breakers/:key/reset', (req, res) => {
+            const riskManager = this.getComponent('riskManager');
+            if (!riskManager) {
+                return res.status(503).json({ error: 'Risk manager unavailable' });
             }
             
-            // TODO: Validate JWT token with Firebase Admin SDK
-            next();
-        };
-        
-        // Protected API routes
-        this.app.use('/api/protected', authMiddleware);
-        
-        // Trading data endpoints
-        this.app.get('/api/protected/trades', (req, res) => {
-            // This would integrate with the main trading system
-            res.json({
-                trades: [],
-                total: 0,
-                page: parseInt(req.query.page) || 1,
-                limit: parseInt(req.query.limit) || 50
-            });
-        });
-        
-        this.app.get('/api/protected/balance', (req, res) => {
-            // This would get real balance data
-            res.json({
-                totalBalance: 0,
-                platforms: {},
-                lastUpdated: new Date().toISOString()
-            });
+            const transition = riskManager.resetCircuitBreaker(req.params.key);
+            if (!transition) {
+                return res.status(404).json({ error: `No tripped circuit breaker: ${req.params.key}` });
+            }
+            res.json({ success: true, transition });
         });
         
-        this.app.get('/api/protected/performance', (req, res) => {
-            const timeframe = req.query.timeframe || '24h';
+        // Trading sessions, holidays and blackouts, with whether each session is open now
+        this.app.get('/api/protected/schedule', (req, res) => {
+            const scheduler = this.getComponent('scheduler');
+            if (!scheduler) {
+                return res.status(503).json({ error: 'Trading scheduler unavailable' });
+            }
             
-            res.json({
-                timeframe,
-                profit: 0,
-                winRate: 0,
-                totalTrades: 0,
-                avgTradeTime: 0,
-                chartData: []
-            });
-        });
-        
-        // Strategy management endpoints
-        this.app.get('/api/protected/strategies', (req, res) => {
-            res.json({
-                active: [],
-                available: [],
-                performance: {}
-            });
+            res.json(scheduler.getSchedule());
         });
         
-        this.app.post('/api/protected/strategies/:id/toggle', (req, res) => {
-            const strategyId = req.params.id;
-            const { enabled } = req.body;
+        this.app.put('/api/protected/schedule', (req, res, next) => {
+            const scheduler = this.getComponent('scheduler');
+            if (!scheduler) {
+                return res.status(503).json({ error: 'Trading scheduler unavailable' });
+            }
             
-            // This would integrate with strategy manager
-            res.json({
-                success: true,
-                strategyId,
-                enabled,
-                message: `Strategy ${enabled ? 'enabled' : 'disabled'} successfully`
-            });
+            try {
+                res.json({ success: true, ...scheduler.updateSchedule(req.body) });
+            } catch (error) {
+                if (error.name === 'ScheduleError') {
+                    return res.status(400).json({ error: error.message });
+                }
+                next(error);
+            }
         });
         
         // Goal management endpoints
@@ -672,12 +507,161 @@ class BayneXWebModule {
                 message: 'Performance report prepared successfully'
             });
         });
+        
+        // Decision journal: replay how a trade was decided, and check the chain
+        this.app.get('/api/protected/journal', async (req, res, next) => {
+            const journal = this.getComponent('journal');
+            if (!journal) {
+                return res.status(503).json({ error: 'Decision journal unavailable' });
+            }
+            
+            try {
+                res.json({ verification: await journal.verifyChain(), stats: journal.getStats() });
+            } catch (error) {
+                next(error);
+            }
+        });
+        
+        this.app.get('/api/protected/journal/:id', async (req, res, next) => {
+            const journal = this.getComponent('journal');
+            if (!journal) {
+                return res.status(503).json({ error: 'Decision journal unavailable' });
+            }
+            
+            try {
+                const decisionPath = await journal.getDecisionPath(req.params.id);
+                if (!decisionPath) {
+                    return res.status(404).json({ error: `No journal entries for ${req.params.id}` });
+                }
+                res.json(decisionPath);
+            } catch (error) {
+                next(error);
+            }
+        });
+        
+        // AI model registry: versions, shadow results, promotion and rollback
+        this.app.get('/api/protected/models', (req, res) => {
+            const aiEngine = this.getComponent('aiEngine');
+            if (!aiEngine) {
+                return res.status(503).json({ error: 'AI engine unavailable' });
+            }
+            
+            res.json(aiEngine.getModelVersions());
+        });
+        
+        this.app.post('/api/protected/models/:name/:operation(promote|rollback)', async (req, res, next) => {
+            const aiEngine = this.getComponent('aiEngine');
+            if (!aiEngine) {
+                return res.status(503).json({ error: 'AI engine unavailable' });
+            }
+            
+            const { name, operation } = req.params;
+            if (!aiEngine.networks.has(name)) {
+                return res.status(404).json({ error: `Unknown model: ${name}` });
+            }
+            
+            const version = req.body && req.body.version !== undefined ? parseInt(req.body.version) : null;
+            if (operation === 'promote' && !Number.isInteger(version)) {
+                return res.status(400).json({ error: 'A version to promote is required' });
+            }
+            
+            try {
+                const entry = operation === 'promote'
+                    ? await aiEngine.promoteModel(name, version, `manual by ${req.user.uid}`)
+                    : await aiEngine.rollbackModel(name, Number.isInteger(version) ? version : null);
+                
+                res.json({ success: true, model: name, version: entry });
+            } catch (error) {
+                if (error.name === 'RegistryError') {
+                    return res.status(400).json({ error: error.message });
+                }
+                next(error);
+            }
+        });
+        
+        // User role management (admin only, see the permission matrix)
+        this.app.get('/api/protected/users', async (req, res, next) => {
+            const database = this.getComponent('database');
+            if (!database) {
+                return res.status(503).json({ error: 'Database unavailable' });
+            }
+            
+            try {
+                const users = await database.getUsers();
+                res.json({
+                    users: users.map(user => ({ ...user, role: this.accessControl.normalizeRole(user.role) })),
+                    roles: this.accessControl.roles
+                });
+            } catch (error) {
+                next(error);
+            }
+        });
+        
+        this.app.put('/api/protected/users/:id/role', async (req, res, next) => {
+            const database = this.getComponent('database');
+            if (!database) {
+                return res.status(503).json({ error: 'Database unavailable' });
+            }
+            
+            const userId = req.params.id;
+            const { role, email } = req.body || {};
+            
+            if (!this.accessControl.isValidRole(role)) {
+                return res.status(400).json({ error: `Role must be one of: ${this.accessControl.roles.join(', ')}` });
+            }
+            
+            try {
+                const user = await database.setUserRole(userId, role.toLowerCase(), email || null);
+                if (!user) {
+                    return res.status(404).json({ error: `User not found: ${userId}` });
+                }
+                
+                const newRole = this.accessControl.normalizeRole(user.role);
+                await database.saveSystemLog('info', `Role of ${userId} set to ${newRole} by ${req.user.uid}`, 'AccessControl', {
+                    uid: userId,
+                    role: newRole,
+                    changedBy: req.user.uid
+                });
+                
+                // Open dashboard sessions pick up the new role immediately
+                if (this.wsServer) {
+                    this.wsServer.updateUserRole(userId, newRole);
+                }
+                
+                res.json({ success: true, user: { ...user, role: newRole } });
+            } catch (error) {
+                next(error);
+            }
+        });
+        
+        // Signs the user out everywhere: tokens issued before now are refused, open sessions drop at the next heartbeat
+        this.app.post('/api/protected/users/:id/revoke', async (req, res, next) => {
+            const database = this.getComponent('database');
+            if (!database) {
+                return res.status(503).json({ error: 'Database unavailable' });
+            }
+            
+            const userId = req.params.id;
+            
+            try {
+                const revocation = await this.auth.revokeUser(userId, undefined, req.user.uid);
+                await database.saveSystemLog('info', `Sessions of ${userId} revoked by ${req.user.uid}`, 'AccessControl', {
+                    uid: userId,
+                    revokedAt: revocation.revokedAt,
+                    changedBy: req.user.uid
+                });
+                
+                res.json({ success: true, uid: userId, revokedAt: revocation.revokedAt });
+            } catch (error) {
+                next(error);
+            }
+        });
     }
     
     async initializeWebSocket() {
         this.wsServer = new BayneXWebSocketServer({
             port: this.config.wsPort,
-            jwtSecret: this.config.jwtSecret
+            auth: this.auth
         });
         
         // Setup WebSocket event handlers
@@ -700,6 +684,33 @@ class BayneXWebModule {
         return await this.wsServer.initialize();
     }
     
+    // Role stored in the users table, if any; it overrides the token's role claim.
+    // When the lookup fails the caller gets the lowest role, never the role their token claims.
+    async getStoredRole(uid) {
+        const database = this.getComponent('database');
+        if (!database || typeof database.getUser !== 'function') return null;
+        
+        try {
+            const user = await database.getUser(uid);
+            return user ? user.role : null;
+        } catch (error) {
+            this.log(`Failed to load stored role for ${uid}, treating as ${this.accessControl.defaultRole}: ${error.message}`, 'warn');
+            return this.accessControl.defaultRole;
+        }
+    }
+    
+    async getRevocations() {
+        const database = this.getComponent('database');
+        return database ? await database.getAuthRevocations() : [];
+    }
+    
+    async saveRevocation(revocation) {
+        const database = this.getComponent('database');
+        if (database) {
+            await database.saveAuthRevocation(revocation);
+        }
+    }
+    
     handleUserAction(actionData) {
         const { action, params, user, clientId } = actionData;
         
@@ -719,6 +730,15 @@ class BayneXWebModule {
         });
     }
     
+    // Revocations are stored in the database, which is reachable once the system is wired
+    async start() {
+        try {
+            await this.auth.loadRevocations();
+        } catch (error) {
+            this.log(`Failed to load token revocations: ${error.message}`, 'error');
+        }
+    }
+    
     async startServer() {
         return new Promise((resolve, reject) => {
             this.server = this.app.listen(this.config.port, (error) => {
@@ -798,6 +818,12 @@ class BayneXWebModule {
         }
     }
     
+    broadcastCircuitBreaker(change) {
+        if (this.wsServer) {
+            this.wsServer.onCircuitBreaker(change);
+        }
+    }
+    
     // System management
     getStats() {
         return {
@@ -837,11 +863,18 @@ class BayneXWebModule {
         const timestamp = new Date().toISOString();
         console.log(`[${timestamp}] [WebModule] [${level.toUpperCase()}] ${message}`);
     }
+    
+    // Method to receive component references
+    getComponent(name) {
+        return null;
+    }
 }
 
 module.exports = {
     BayneXWebModule,
     BayneXWebSocketServer,
+    BayneXAuthService,
+    BayneXAccessControl,
     
     // Factory function
     createWebModule: (config = {}) => {
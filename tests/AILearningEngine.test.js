@@ -0,0 +1,235 @@
+// tests/AILearningEngine.test.js
+
+const path = require('path');
+const NeuralNetwork = require('../src/ai/NeuralNetwork');
+const AILearningEngine = require('../src/ai/AILearningEngine');
+const ModelRegistry = require('../src/ai/ModelRegistry');
+
+// Deterministic weights and shuffles
+const seeded = (seed) => () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+// Central differences of the mean loss against every parameter
+const expectGradientsToMatchNumerical = (network, examples) => {
+    const { gradients } = NeuralNetwork.computeGradients(network, examples);
+    const params = NeuralNetwork.parameterGroups(network);
+    const grads = NeuralNetwork.parameterGroups(gradients);
+    const epsilon = 1e-5;
+
+    params.forEach((group, index) => {
+        group.values.forEach((value, i) => {
+            group.values[i] = value + epsilon;
+            const plus = NeuralNetwork.evaluate(network, examples).loss;
+            group.values[i] = value - epsilon;
+            const minus = NeuralNetwork.evaluate(network, examples).loss;
+            group.values[i] = value;
+
+            expect(grads[index].values[i]).toBeCloseTo((plus - minus) / (2 * epsilon), 6);
+        });
+    });
+};
+
+describe('NeuralNetwork gradients', () => {
+    test('backpropagate through every dense layer with per-layer activations', () => {
+        const random = seeded(1);
+        const network = NeuralNetwork.createNetwork({ layers: [3, 4, 3, 1], activations: ['relu', 'tanh', 'sigmoid'] }, random);
+        const examples = [
+            { input: [0.5, -0.2, 0.9], label: 1 },
+            { input: [-0.7, 0.3, 0.1], label: 0 }
+        ];
+
+        expectGradientsToMatchNumerical(network, examples);
+    });
+
+    test('backpropagate through time in the LSTM cell', () => {
+        const random = seeded(2);
+        const network = NeuralNetwork.createNetwork({
+            type: 'lstm', sequenceLength: 3, inputSize: 2, hiddenSize: 3, layers: [3, 2, 1], activations: ['tanh', 'sigmoid']
+        }, random);
+        const examples = [
+            { input: [[0.4, -0.1], [0.2, 0.8], [-0.5, 0.3]], label: 1 },
+            { input: [[-0.3, 0.6], [0.9, -0.2], [0.1, 0.1]], label: 0 }
+        ];
+
+        expectGradientsToMatchNumerical(network, examples);
+    });
+});
+
+describe('NeuralNetwork training', () => {
+    // XOR of the signs is not linearly separable, so the hidden layers have to learn
+    const xorDataset = (random, size) => {
+        const inputs = [];
+        const labels = [];
+        for (let i = 0; i < size; i++) {
+            const x = random() * 2 - 1;
+            const y = random() * 2 - 1;
+            inputs.push([x, y]);
+            labels.push((x > 0) !== (y > 0) ? 1 : 0);
+        }
+        return { inputs, labels };
+    };
+
+    test.each(['adam', 'sgd'])('learns a non-linear boundary with %s on mini-batches', async (optimizer) => {
+        const random = seeded(3);
+        const network = NeuralNetwork.createNetwork({ layers: [2, 8, 1], activations: ['tanh', 'sigmoid'] }, random);
+
+        const metrics = await NeuralNetwork.train(network, xorDataset(random, 300), {
+            optimizer,
+            learningRate: optimizer === 'adam' ? 0.05 : 0.5,
+            momentum: optimizer === 'sgd' ? 0.9 : 0,
+            batchSize: 16,
+            epochs: 150,
+            patience: 20,
+            random
+        });
+
+        expect(metrics).toMatchObject({ optimizer, trainSize: 240, validationSize: 60 });
+        expect(metrics.validationAccuracy).toBeGreaterThan(0.9);
+        expect(network.trained).toBe(true);
+    });
+
+    test('the LSTM remembers the start of a sequence', async () => {
+        // Only the first step decides the label; the rest is noise
+        const random = seeded(4);
+        const inputs = [];
+        const labels = [];
+        for (let i = 0; i < 200; i++) {
+            const first = random() > 0.5 ? 1 : -1;
+            inputs.push([[first], [random() * 2 - 1], [random() * 2 - 1], [random() * 2 - 1]]);
+            labels.push(first > 0 ? 1 : 0);
+        }
+
+        const network = NeuralNetwork.createNetwork({
+            type: 'lstm', sequenceLength: 4, inputSize: 1, hiddenSize: 6, layers: [6, 1], activations: ['sigmoid']
+        }, random);
+        const metrics = await NeuralNetwork.train(network, { inputs, labels }, {
+            learningRate: 0.05, batchSize: 16, epochs: 60, random
+        });
+
+        expect(metrics.validationAccuracy).toBeGreaterThan(0.95);
+    });
+
+    test('stops early on noise and keeps the best validation weights', async () => {
+        const random = seeded(5);
+        const network = NeuralNetwork.createNetwork({ layers: [4, 16, 1], activations: ['relu', 'sigmoid'] }, random);
+        const inputs = Array.from({ length: 100 }, () => [random(), random(), random(), random()]);
+        const labels = inputs.map(() => (random() > 0.5 ? 1 : 0));
+
+        const metrics = await NeuralNetwork.train(network, { inputs, labels }, {
+            learningRate: 0.05, epochs: 500, patience: 3, random
+        });
+
+        expect(metrics.stoppedEarly).toBe(true);
+        expect(metrics.epochs).toBe(metrics.bestEpoch + 3);
+        expect(NeuralNetwork.evaluate(network, inputs.slice(80).map((input, i) => ({ input, label: labels[80 + i] }))).loss)
+            .toBeCloseTo(metrics.validationLoss, 10);
+    });
+
+    test('L2 regularization shrinks the weights', async () => {
+        const random = seeded(6);
+        const dataset = xorDataset(random, 100);
+        const weightNorm = (network) => network.weights.flat(2).reduce((sum, w) => sum + w * w, 0);
+
+        const spec = { layers: [2, 8, 1], activations: ['tanh', 'sigmoid'] };
+        const plain = NeuralNetwork.createNetwork(spec, seeded(7));
+        const decayed = NeuralNetwork.createNetwork(spec, seeded(7));
+        const options = { learningRate: 0.05, epochs: 40, patience: 40, validationSplit: 0 };
+
+        await NeuralNetwork.train(plain, dataset, { ...options, l2: 0, random: seeded(8) });
+        await NeuralNetwork.train(decayed, dataset, { ...options, l2: 0.05, random: seeded(8) });
+
+        expect(weightNorm(decayed)).toBeLessThan(weightNorm(plain));
+    });
+
+    test('rejects unknown optimizers and activations', async () => {
+        const network = NeuralNetwork.createNetwork({ layers: [2, 1] });
+
+        await expect(NeuralNetwork.train(network, { inputs: [[0, 1]], labels: [1] }, { optimizer: 'rmsprop' }))
+            .rejects.toThrow('Unknown optimizer: rmsprop');
+        expect(() => NeuralNetwork.createNetwork({ layers: [2, 1], activations: ['softplus'] }))
+            .toThrow('Unknown activation: softplus');
+    });
+});
+
+describe('AILearningEngine training', () => {
+    const createEngine = async () => {
+        const engine = new AILearningEngine();
+        engine.isLearningEnabled = true;
+        engine.registry = new ModelRegistry({ directory: path.join(TEST_CONFIG.PATHS.DATA, `engine-models-${process.pid}`) });
+        engine.config.minDataForTraining = 40;
+        engine.config.training = { ...engine.config.training, epochs: 5 };
+        engine.saveModels = jest.fn();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        await engine.initializeNetworks();
+        return engine;
+    };
+
+    const tick = (engine, price, index) => engine.processMarketData({
+        asset: 'R_10',
+        price,
+        timestamp: index,
+        recentPrices: Array.from({ length: 30 }, (_, i) => price - (29 - i) * 0.01)
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('labels every model from trade outcomes and reports validation metrics', async () => {
+        const engine = await createEngine();
+        const trained = jest.fn();
+        engine.on('models_trained', trained);
+
+        for (let i = 0; i < 60; i++) {
+            tick(engine, 100 + i * 0.1, i);
+            const direction = i % 2 === 0 ? 'CALL' : 'PUT';
+            engine.recordTradeExecution({ id: `t${i}`, asset: 'R_10', direction, amount: 10, duration: 60 });
+            await engine.learnFromTradeOutcome({ id: `t${i}`, direction, result: i % 3 === 0 ? 'loss' : 'win' });
+        }
+
+        expect(engine.trainingData.patterns).toHaveLength(0);
+        expect(engine.trainingData.features).toHaveLength(60);
+        expect(engine.trainingData.features[0]).toHaveLength(20);
+        // The first ticks have no full sequence yet
+        expect(engine.trainingData.sequences).toHaveLength(51);
+        expect(engine.trainingData.sequences[0]).toHaveLength(10);
+        expect(engine.trainingData.riskLabels.slice(0, 3)).toEqual([1, 0, 0]);
+
+        await engine.trainModels();
+
+        const { metrics } = trained.mock.calls[0][0];
+        for (const name of ['pattern_recognition', 'direction_prediction', 'risk_assessment']) {
+            expect(engine.networks.get(name).trained).toBe(true);
+            expect(metrics[name]).toMatchObject({ optimizer: 'adam', validationSize: expect.any(Number) });
+        }
+
+        const accuracies = Object.values(metrics).map(model => model.validationAccuracy);
+        expect(engine.calculateCurrentAccuracy()).toBeCloseTo(accuracies.reduce((a, b) => a + b) / 3, 10);
+        expect(engine.getStats().models.direction_prediction).toMatchObject({ type: 'lstm', trained: true, examples: 51, version: 1 });
+        expect(engine.saveModels).toHaveBeenCalled();
+    });
+
+    test('predicts direction with the trained sequence model', async () => {
+        const engine = await createEngine();
+        for (let i = 0; i < 12; i++) tick(engine, 100 + i * 0.1, i);
+
+        const network = engine.networks.get('direction_prediction');
+        network.trained = true;
+
+        const prediction = await engine.predictTradeDirection({ asset: 'R_10', price: 101.2 });
+        expect(prediction.model).toBe('direction_prediction');
+        expect(prediction.prediction).toBeCloseTo(NeuralNetwork.predict(network, engine.getFeatureSequence('R_10')), 10);
+    });
+
+    test('starts a saved model fresh when its architecture changed', async () => {
+        const engine = await createEngine();
+        const fresh = engine.networks.get('direction_prediction');
+
+        expect(engine.isCompatibleModel({ type: 'lstm', layers: [50, 30, 1], weights: [] }, fresh)).toBe(false);
+        expect(engine.isCompatibleModel(JSON.parse(JSON.stringify(fresh)), fresh)).toBe(true);
+    });
+});
@@ -0,0 +1,215 @@
+// tests/AccessControl.test.js
+
+const BayneXAccessControl = require('../src/web/AccessControl');
+const BayneXWebSocketServer = require('../src/web/WebSocketServer');
+const { BayneXWebModule } = require('../src/web');
+const { connect, FakeDatabase } = require('./fixtures/testDoubles');
+const { serve } = require('./fixtures/http');
+
+// Adds role changes and listing on the users table, and the auth_revocations table
+class UserDatabase extends FakeDatabase {
+    constructor() {
+        super();
+        this.revocations = [];
+    }
+
+    async getUsers() {
+        return [...this.users.values()];
+    }
+
+    async setUserRole(userId, role, email = null) {
+        const user = this.users.get(userId) || (email ? { id: userId, email } : null);
+        if (!user) return null;
+
+        this.users.set(userId, { ...user, role });
+        return this.users.get(userId);
+    }
+
+    async saveAuthRevocation(revocation) {
+        this.revocations.push(revocation);
+    }
+
+    async getAuthRevocations() {
+        return this.revocations;
+    }
+}
+
+describe('BayneXAccessControl matrix', () => {
+    const access = new BayneXAccessControl();
+
+    test('each role inherits the permissions of the roles below it', () => {
+        expect(access.canAccessRoute('VIEWER', 'GET', '/balance')).toBe(true);
+        expect(access.canAccessRoute('VIEWER', 'GET', '/trades')).toBe(false);
+        expect(access.canAccessRoute('TRADER', 'POST', '/strategies/momentum_1/toggle')).toBe(true);
+        expect(access.canAccessRoute('TRADER', 'POST', '/system/restart')).toBe(false);
+        expect(access.canAccessRoute('ADMIN', 'PUT', '/users/u1/role')).toBe(true);
+
+        expect(access.canPerformAction('TRADER', 'emergency_stop')).toBe(true);
+        expect(access.canPerformAction('TRADER', 'force_learning')).toBe(false);
+        expect(access.canReceive('VIEWER', 'trade_update')).toBe(false);
+        expect(access.canReceive('TRADER', 'trade_update')).toBe(true);
+    });
+
+    test('denies anything missing from the matrix to all but admins', () => {
+        expect(access.canAccessRoute('TRADER', 'DELETE', '/trades')).toBe(false);
+        expect(access.canPerformAction('TRADER', 'drop_database')).toBe(false);
+        expect(access.canPerformAction('ADMIN', 'drop_database')).toBe(true);
+    });
+
+    test('normalizes stored, aliased and unknown roles', () => {
+        expect(access.normalizeRole('trader')).toBe('TRADER');
+        expect(access.normalizeRole('MANAGER')).toBe('TRADER');
+        expect(access.normalizeRole('root')).toBe('VIEWER');
+        expect(access.normalizeRole(undefined)).toBe('VIEWER');
+    });
+
+    test('lists what a role may do', () => {
+        expect(access.getUserPermissions('viewer')).toEqual({
+            role: 'VIEWER',
+            routes: ['GET /balance', 'GET /performance', 'GET /strategies', 'GET /evolution', 'GET /regimes', 'GET /risk/breakers', 'GET /schedule', 'GET /goals', 'GET /export/performance'],
+            actions: [],
+            messages: ['balance_update', 'performance_data', 'system_status', 'goal_update', 'circuit_breaker']
+        });
+    });
+});
+
+describe('BayneXAccessControl enforcement', () => {
+    test('audits denied dashboard actions to the system log', async () => {
+        const database = new FakeDatabase();
+        const access = new BayneXAccessControl({ getDatabase: () => database });
+        const wsServer = new BayneXWebSocketServer({ jwtSecret: 'test-jwt-secret' });
+        wsServer.accessControl = access;
+
+        const sent = [];
+        const actions = jest.fn();
+        wsServer.sendToClient = (clientId, message) => sent.push(message);
+        wsServer.on('user_action', actions);
+        wsServer.clients.set('c1', { id: 'c1', user: { uid: 'u1', email: 'u1@example.com', role: 'TRADER' }, rooms: new Set() });
+
+        await wsServer.handleUserAction('c1', { action: 'pause_trading' });
+        await wsServer.handleUserAction('c1', { action: 'reset_session' });
+
+        expect(actions).toHaveBeenCalledTimes(1);
+        expect(sent).toEqual([{ type: 'error', data: { message: 'Insufficient permissions for this action', action: 'reset_session' } }]);
+        expect(database.systemLogs).toEqual([{
+            level: 'warn',
+            message: 'Access denied: action reset_session for u1 (TRADER)',
+            component: 'AccessControl',
+            data: expect.objectContaining({ uid: 'u1', kind: 'action', target: 'reset_session', requiredRole: 'ADMIN' })
+        }]);
+    });
+
+    test('moves open sessions to a new role', () => {
+        const wsServer = new BayneXWebSocketServer({ jwtSecret: 'test-jwt-secret' });
+        const sent = [];
+        wsServer.sendToClient = (clientId, message) => sent.push(message);
+        wsServer.clients.set('c1', { id: 'c1', user: { uid: 'u1', role: 'TRADER' }, rooms: new Set() });
+        wsServer.joinRoom('c1', 'role_TRADER');
+        wsServer.joinRoom('c1', 'channel_trade_update');
+
+        wsServer.updateUserRole('u1', 'viewer');
+
+        const client = wsServer.clients.get('c1');
+        expect(client.user.role).toBe('VIEWER');
+        expect([...client.rooms]).toEqual(['role_VIEWER']);
+        expect(sent[sent.length - 1]).toMatchObject({ type: 'permissions_updated', data: { permissions: { role: 'VIEWER' } } });
+    });
+
+    test('names role rooms the same way on join, leave and broadcast', () => {
+        const wsServer = new BayneXWebSocketServer({ jwtSecret: 'test-jwt-secret' });
+        const sent = [];
+        wsServer.sendToClient = (clientId, message) => sent.push({ clientId, message });
+        wsServer.clients.set('c1', { id: 'c1', user: { uid: 'u1', role: 'trader' }, rooms: new Set() });
+        wsServer.clients.set('c2', { id: 'c2', user: { uid: 'u2' }, rooms: new Set() });
+        wsServer.joinRoom('c1', wsServer.roleRoom('trader'));
+        wsServer.joinRoom('c2', wsServer.roleRoom(undefined));
+
+        wsServer.broadcastToRole('VIEWER', { type: 'circuit_breaker', data: {} });
+        expect(sent.filter(entry => entry.message.type === 'circuit_breaker').map(entry => entry.clientId)).toEqual(['c2']);
+
+        wsServer.updateUserRole('u1', 'admin');
+        expect([...wsServer.clients.get('c1').rooms]).toEqual(['role_ADMIN']);
+        expect(wsServer.rooms.has('role_TRADER')).toBe(false);
+    });
+});
+
+describe('protected API routes', () => {
+    let web;
+    let api;
+    let database;
+
+    const tokenFor = (uid, role) => web.auth.issueToken({ uid, email: `${uid}@example.com`, role });
+
+    beforeEach(async () => {
+        database = new UserDatabase();
+        web = connect(new BayneXWebModule({ jwtSecret: 'test-jwt-secret' }), { database });
+        web.setupMiddleware();
+        web.setupRoutes();
+        api = await serve(web.app);
+    });
+
+    afterEach(async () => {
+        await api.close();
+    });
+
+    test('every route checks the caller role and audits refusals', async () => {
+        const viewer = tokenFor('v1', 'viewer');
+
+        expect((await api.request('GET', '/balance', { token: viewer })).status).toBe(200);
+        expect((await api.request('POST', '/system/emergency-stop', { token: viewer })).status).toBe(403);
+        expect((await api.request('POST', '/system/restart', { token: tokenFor('t1', 'trader') })).status).toBe(403);
+        expect((await api.request('POST', '/system/restart', { token: tokenFor('a1', 'admin') })).status).toBe(200);
+        expect((await api.request('GET', '/balance')).status).toBe(401);
+
+        expect(database.systemLogs.map(log => log.data.target)).toEqual([
+            'POST /system/emergency-stop',
+            'POST /system/restart'
+        ]);
+    });
+
+    test('admins manage roles in the users table and the stored role takes effect', async () => {
+        database.users.set('t1', { id: 't1', email: 't1@example.com', role: 'trader' });
+        const admin = tokenFor('a1', 'admin');
+        const trader = tokenFor('t1', 'trader');
+
+        expect((await api.request('GET', '/users', { token: trader })).status).toBe(403);
+        expect((await api.request('PUT', '/users/t1/role', { token: admin, body: { role: 'owner' } })).status).toBe(400);
+        expect((await api.request('PUT', '/users/ghost/role', { token: admin, body: { role: 'viewer' } })).status).toBe(404);
+
+        const updated = await api.request('PUT', '/users/t1/role', { token: admin, body: { role: 'viewer' } });
+        expect(updated).toEqual({ status: 200, body: { success: true, user: { id: 't1', email: 't1@example.com', role: 'VIEWER' } } });
+        expect(database.users.get('t1').role).toBe('viewer');
+
+        // The trader's token still claims TRADER, but the users table now says viewer
+        expect((await api.request('GET', '/trades', { token: trader })).status).toBe(403);
+
+        const listed = await api.request('GET', '/users', { token: admin });
+        expect(listed.body).toEqual({ users: [{ id: 't1', email: 't1@example.com', role: 'VIEWER' }], roles: ['VIEWER', 'TRADER', 'ADMIN'] });
+        expect(database.systemLogs).toContainEqual(expect.objectContaining({ level: 'info', message: 'Role of t1 set to VIEWER by a1' }));
+    });
+
+    test('admins sign a user out everywhere, and the revocation outlives a restart', async () => {
+        const admin = tokenFor('a1', 'admin');
+        const trader = tokenFor('t1', 'trader');
+
+        expect((await api.request('POST', '/users/a1/revoke', { token: trader })).status).toBe(403);
+
+        const revoked = await api.request('POST', '/users/t1/revoke', { token: admin });
+        expect(revoked.status).toBe(200);
+        expect(revoked.body).toMatchObject({ success: true, uid: 't1' });
+        expect((await api.request('GET', '/balance', { token: trader })).body).toMatchObject({ code: 'token_revoked' });
+        expect(database.systemLogs).toContainEqual(expect.objectContaining({ message: 'Sessions of t1 revoked by a1' }));
+
+        const restarted = connect(new BayneXWebModule({ jwtSecret: 'test-jwt-secret' }), { database });
+        await restarted.start();
+        await expect(restarted.auth.verifyToken(trader)).rejects.toThrow('Token revoked');
+    });
+
+    test('falls back to the lowest role when the stored role cannot be read', async () => {
+        database.getUser = jest.fn().mockRejectedValue(new Error('SQLITE_BUSY: database is locked'));
+        const admin = tokenFor('a1', 'admin');
+
+        expect((await api.request('GET', '/users', { token: admin })).status).toBe(403);
+        expect((await api.request('GET', '/balance', { token: admin })).status).toBe(200);
+    });
+});
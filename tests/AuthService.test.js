@@ -0,0 +1,252 @@
+// tests/AuthService.test.js
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const BayneXAuthService = require('../src/web/AuthService');
+const BayneXWebSocketServer = require('../src/web/WebSocketServer');
+
+const PROJECT_ID = 'baynex-test';
+const KID = 'test-key-1';
+const jwksFile = path.join(TEST_CONFIG.PATHS.DATA, 'auth-jwks.json');
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const jwks = { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KID, alg: 'RS256', use: 'sig' }] };
+
+const now = () => Math.floor(Date.now() / 1000);
+const encode = part => Buffer.from(JSON.stringify(part)).toString('base64url');
+
+// Signs a token shaped like a Firebase ID token
+const firebaseToken = (claims = {}, header = {}) => {
+    const payload = {
+        iss: `https://securetoken.google.com/${PROJECT_ID}`,
+        aud: PROJECT_ID,
+        sub: 'user_1',
+        user_id: 'user_1',
+        email: 'trader@example.com',
+        role: 'trader',
+        auth_time: now() - 60,
+        iat: now() - 60,
+        exp: now() + 3600,
+        ...claims
+    };
+    const signedPart = `${encode({ alg: 'RS256', typ: 'JWT', kid: KID, ...header })}.${encode(payload)}`;
+    return `${signedPart}.${crypto.sign('RSA-SHA256', Buffer.from(signedPart), privateKey).toString('base64url')}`;
+};
+
+const createAuth = (options = {}) => new BayneXAuthService({
+    firebaseEnabled: true,
+    firebaseProjectId: PROJECT_ID,
+    jwksFile,
+    jwtSecret: 'test-jwt-secret',
+    ...options
+});
+
+beforeAll(() => {
+    fs.mkdirSync(TEST_CONFIG.PATHS.DATA, { recursive: true });
+    fs.writeFileSync(jwksFile, JSON.stringify(jwks));
+});
+
+describe('BayneXAuthService Firebase tokens', () => {
+    test('verifies an ID token against the offline key file and extracts uid and role', async () => {
+        const user = await createAuth().verifyToken(firebaseToken());
+
+        expect(user).toMatchObject({
+            uid: 'user_1',
+            email: 'trader@example.com',
+            role: 'TRADER',
+            provider: 'firebase',
+            permissions: expect.objectContaining({ role: 'TRADER', actions: expect.arrayContaining(['start_trading']) })
+        });
+    });
+
+    test.each([
+        ['another project', { aud: 'other-project' }, 'Token audience does not match this project'],
+        ['another issuer', { iss: 'https://securetoken.google.com/other-project' }, 'Invalid token issuer'],
+        ['an expired token', { exp: now() - 120 }, 'Token expired'],
+        ['a token without subject', { sub: '' }, 'Token has no subject']
+    ])('rejects %s', async (label, claims, message) => {
+        await expect(createAuth().verifyToken(firebaseToken(claims))).rejects.toThrow(message);
+    });
+
+    test('rejects tampered payloads and unknown signing keys', async () => {
+        const auth = createAuth();
+        const [header, , signature] = firebaseToken().split('.');
+        const forged = `${header}.${encode({ sub: 'user_1', role: 'ADMIN', aud: PROJECT_ID })}.${signature}`;
+
+        await expect(auth.verifyToken(forged)).rejects.toThrow('Invalid token signature');
+        await expect(auth.verifyToken(firebaseToken({}, { kid: 'rotated-away' }))).rejects.toThrow('Unknown signing key: rotated-away');
+        await expect(auth.verifyToken('not-a-token')).rejects.toThrow('Malformed token');
+    });
+
+    test('rejects tokens from sessions started before the user was revoked', async () => {
+        const auth = createAuth();
+        const before = firebaseToken();
+
+        await auth.revokeUser('user_1');
+        await expect(auth.verifyToken(before)).rejects.toMatchObject({ code: 'token_revoked' });
+
+        // Signing in again yields a token that authenticated after the revocation
+        const after = firebaseToken({ auth_time: now() + 1, iat: now() + 1 });
+        await expect(auth.verifyToken(after)).resolves.toMatchObject({ uid: 'user_1' });
+    });
+
+    test('asks Firebase whether the ID token was revoked there when configured', async () => {
+        const firebaseAuth = {
+            verifyIdToken: jest.fn().mockResolvedValue({ uid: 'user_1' }),
+            revokeRefreshTokens: jest.fn().mockResolvedValue()
+        };
+        const auth = createAuth({ firebaseAuth });
+        const token = firebaseToken();
+
+        await expect(auth.verifyToken(token)).resolves.toMatchObject({ uid: 'user_1' });
+        expect(firebaseAuth.verifyIdToken).toHaveBeenCalledWith(token, true);
+
+        firebaseAuth.verifyIdToken.mockRejectedValueOnce(Object.assign(new Error('revoked'), { code: 'auth/id-token-revoked' }));
+        await expect(auth.verifyToken(token)).rejects.toMatchObject({ code: 'token_revoked', status: 401 });
+
+        // Unable to ask is not the same as not revoked
+        firebaseAuth.verifyIdToken.mockRejectedValueOnce(new Error('getaddrinfo ENOTFOUND'));
+        await expect(auth.verifyToken(token)).rejects.toMatchObject({ code: 'revocation_unavailable', status: 503 });
+
+        await auth.revokeUser('user_1');
+        expect(firebaseAuth.revokeRefreshTokens).toHaveBeenCalledWith('user_1');
+    });
+
+    test('caches keys fetched from the JWKS endpoint for the advertised max-age', async () => {
+        global.fetch.mockResolvedValue({
+            ok: true,
+            status: 200,
+            headers: { get: () => 'public, max-age=19000' },
+            json: async () => jwks
+        });
+        const auth = createAuth({ jwksFile: null, jwksUrl: 'https://keys.example.com/jwks' });
+
+        await auth.verifyToken(firebaseToken());
+        await auth.verifyToken(firebaseToken({ sub: 'user_2' }));
+
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+        expect(global.fetch).toHaveBeenCalledWith('https://keys.example.com/jwks');
+        expect(auth.jwks.expiresAt - auth.jwks.fetchedAt).toBe(19000 * 1000);
+    });
+
+    test('refuses ID tokens when Firebase is not configured', async () => {
+        const auth = createAuth({ firebaseProjectId: null });
+
+        await expect(auth.verifyToken(firebaseToken())).rejects.toThrow('Firebase token verification is not configured');
+    });
+});
+
+describe('BayneXAuthService local tokens', () => {
+    test('issues and verifies HS256 tokens and normalizes unknown roles to VIEWER', async () => {
+        const auth = createAuth();
+
+        const admin = await auth.verifyToken(auth.issueToken({ uid: 'ops', email: 'ops@example.com', role: 'admin' }));
+        expect(admin).toMatchObject({ uid: 'ops', role: 'ADMIN', provider: 'local' });
+
+        const guest = await auth.verifyToken(auth.issueToken({ uid: 'guest', role: 'superuser' }));
+        expect(guest.role).toBe('VIEWER');
+    });
+
+    test('rejects tokens signed with another secret, expired or revoked', async () => {
+        const auth = createAuth();
+        const foreign = createAuth({ jwtSecret: 'another-secret' }).issueToken({ uid: 'ops', role: 'ADMIN' });
+
+        await expect(auth.verifyToken(foreign)).rejects.toThrow('Invalid token signature');
+        await expect(auth.verifyToken(auth.issueToken({ uid: 'ops' }, { expiresIn: -60 }))).rejects.toThrow('Token expired');
+
+        const token = auth.issueToken({ uid: 'ops', role: 'ADMIN' });
+        const user = await auth.verifyToken(token);
+        expect(auth.isSessionValid(user)).toBe(true);
+
+        await auth.revokeToken(token);
+        await expect(auth.verifyToken(token)).rejects.toThrow('Token revoked');
+        expect(auth.isSessionValid(user)).toBe(false);
+    });
+
+    test('keeps revocations in the store across restarts', async () => {
+        const saved = [];
+        const revocationStore = { load: async () => saved, save: async revocation => { saved.push(revocation); } };
+        const auth = createAuth({ revocationStore });
+        const token = auth.issueToken({ uid: 'ops', role: 'ADMIN' });
+        const other = auth.issueToken({ uid: 'trader', role: 'TRADER' });
+
+        await auth.revokeToken(token, 'admin_1');
+        await auth.revokeUser('trader', now(), 'admin_1');
+        expect(saved).toEqual([
+            expect.objectContaining({ kind: 'token', id: auth.decode(token).payload.jti, revokedBy: 'admin_1' }),
+            expect.objectContaining({ kind: 'user', id: 'trader', expiresAt: null })
+        ]);
+
+        const restarted = createAuth({ revocationStore });
+        await expect(restarted.verifyToken(token)).resolves.toMatchObject({ uid: 'ops' });
+
+        expect(await restarted.loadRevocations()).toBe(2);
+        await expect(restarted.verifyToken(token)).rejects.toThrow('Token revoked');
+        await expect(restarted.verifyToken(other)).rejects.toThrow('Token revoked');
+    });
+
+    test('has no fallback secret when JWT_SECRET is unset', async () => {
+        const saved = process.env.JWT_SECRET;
+        delete process.env.JWT_SECRET;
+
+        try {
+            const auth = createAuth({ jwtSecret: undefined });
+            const token = createAuth().issueToken({ uid: 'ops' });
+
+            expect(() => auth.issueToken({ uid: 'ops' })).toThrow('Local token signing is not configured');
+            await expect(auth.verifyToken(token)).rejects.toThrow('Local token verification is not configured');
+        } finally {
+            process.env.JWT_SECRET = saved;
+        }
+    });
+});
+
+describe('BayneXAuthService request guards', () => {
+    const run = async (handler, req) => {
+        const res = testUtils.createMockResponse();
+        const next = jest.fn();
+        await handler(req, res, next);
+        return { res, next };
+    };
+
+    test('the middleware attaches the verified user or answers 401', async () => {
+        const auth = createAuth();
+        const token = firebaseToken();
+
+        const accepted = await run(auth.middleware(), testUtils.createMockRequest({ headers: { authorization: `Bearer ${token}` }, user: undefined }));
+        expect(accepted.next).toHaveBeenCalled();
+
+        const missing = await run(auth.middleware(), testUtils.createMockRequest({ user: undefined }));
+        expect(missing.next).not.toHaveBeenCalled();
+        expect(missing.res.status).toHaveBeenCalledWith(401);
+        expect(missing.res.json).toHaveBeenCalledWith({ error: 'Authentication required', code: 'missing_token' });
+
+        const expired = await run(auth.middleware(), testUtils.createMockRequest({ headers: { authorization: `Bearer ${firebaseToken({ exp: now() - 120 })}` } }));
+        expect(expired.res.json).toHaveBeenCalledWith({ error: 'Token expired', code: 'token_expired' });
+    });
+
+    test('a stored role takes precedence over the token role claim', async () => {
+        const roleResolver = jest.fn(async uid => (uid === 'user_1' ? 'admin' : null));
+        const auth = createAuth({ roleResolver });
+
+        expect((await auth.verifyToken(firebaseToken())).role).toBe('ADMIN');
+        expect((await auth.verifyToken(firebaseToken({ sub: 'user_2', user_id: 'user_2' }))).role).toBe('TRADER');
+        expect(roleResolver).toHaveBeenCalledWith('user_2');
+    });
+
+    test('the WebSocket handshake uses the same verification', async () => {
+        const auth = createAuth();
+        const wsServer = new BayneXWebSocketServer({ auth });
+        const handshake = token => new Promise(resolve => {
+            const info = { req: { url: token ? `/?token=${token}` : '/' } };
+            wsServer.verifyClient(info, (accepted, code) => resolve({ accepted, code, user: info.req.user }));
+        });
+
+        expect(await handshake(firebaseToken())).toMatchObject({ accepted: true, user: { uid: 'user_1', role: 'TRADER' } });
+        expect(await handshake(firebaseToken({ exp: now() - 120 }))).toEqual({ accepted: false, code: 401, user: undefined });
+        expect(await handshake(null)).toMatchObject({ accepted: false, code: 401 });
+        expect(wsServer.hasPermission('TRADER', 'trade_update')).toBe(true);
+        expect(wsServer.hasPermission('VIEWER', 'trade_update')).toBe(false);
+    });
+});
@@ -0,0 +1,299 @@
+// tests/BacktestEngine.test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const StrategyManager = require('../src/ai/StrategyManager');
+const { BacktestEngine } = require('../src/backtest');
+const { BayneXWebModule } = require('../src/web');
+const { connect, FakeDatabase, FakeRiskManager } = require('./fixtures/testDoubles');
+const { serve } = require('./fixtures/http');
+
+const START = Date.UTC(2026, 9, 19, 12, 0);
+
+// One tick a second, rising steadily
+const risingTicks = (count) => Array.from({ length: count }, (_, i) => ({
+    price: 100 + i * 0.1,
+    timestamp: new Date(START + i * 1000)
+}));
+
+// One tick a second at the given prices, with an optional volume per tick
+const ticksAt = (prices, volumes = []) => prices.map((price, i) => ({
+    price,
+    volume: volumes[i] || 0,
+    timestamp: new Date(START + i * 1000)
+}));
+
+const series = (count, priceAt) => Array.from({ length: count }, (_, i) => priceAt(i));
+
+// Adds the market_data table, read newest first like DatabaseManager.getHistoricalData
+class HistoryDatabase extends FakeDatabase {
+    constructor(rows = []) {
+        super();
+        this.rows = rows;
+        this.historyRequests = [];
+    }
+
+    async getHistoricalData(asset, limit) {
+        this.historyRequests.push({ asset, limit });
+        return this.rows.slice().reverse().slice(0, limit);
+    }
+}
+
+const createManager = () => {
+    const manager = connect(new StrategyManager(), {
+        database: new FakeDatabase(),
+        riskManager: new FakeRiskManager()
+    });
+    manager.saveStrategies = jest.fn();
+
+    manager.createStrategy({
+        name: 'Trend_Follower',
+        type: 'rules',
+        parameters: { timeframe: 5 },
+        indicators: ['Price'],
+        rules: { entry: { call: 'momentum > 0', put: 'momentum < 0' } },
+        confidence: 0.8
+    });
+
+    return manager;
+};
+
+const createEngine = (rows) => {
+    const database = new HistoryDatabase(rows);
+    const engine = connect(new BacktestEngine(), { database, strategyManager: createManager() });
+    return { engine, database };
+};
+
+describe('BacktestEngine replay', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('replays strategies over the stored ticks and settles each contract at expiry', async () => {
+        const { engine, database } = createEngine(risingTicks(120));
+
+        const report = await engine.runBacktest({ asset: 'R_10', strategies: ['Trend_Follower'], duration: 10 });
+
+        expect(database.historyRequests).toEqual([{ asset: 'R_10', limit: 10000 }]);
+        expect(report).toMatchObject({ asset: 'R_10', payout: 0.85, rows: 120, from: new Date(START), to: new Date(START + 119000) });
+
+        // A signal every 5 seconds from tick 50; the last two are still open when the data ends
+        const [result] = report.strategies;
+        expect(result).toMatchObject({ name: 'Trend_Follower', signals: 14, trades: 12, wins: 12, unsettledTrades: 2, winRate: 1 });
+        expect(result.tradeLog.every(trade => trade.direction === 'call' && trade.profit === trade.amount * 0.85)).toBe(true);
+        expect(result.tradeLog[0].exitTime).toEqual(new Date(START + 60000));
+        expect(result.netProfit).toBeCloseTo(result.tradeLog.reduce((sum, trade) => sum + trade.profit, 0));
+        expect(engine.getLastReport()).toBe(report);
+    });
+
+    test('refuses runs it cannot do', async () => {
+        const { engine } = createEngine(risingTicks(40));
+        const run = options => engine.runBacktest({ asset: 'R_10', ...options });
+
+        await expect(run()).rejects.toThrow('Not enough historical data for R_10: 40 rows (need more than 50)');
+        await expect(run({ data: risingTicks(120), strategies: ['Missing'] })).rejects.toThrow('No strategy matches Missing');
+        await expect(run({ payout: -1 })).rejects.toThrow('Payout must be a positive ratio, got -1');
+        await expect(run({ limit: 'all' })).rejects.toMatchObject({ name: 'BacktestError' });
+        expect(engine.isRunning).toBe(false);
+    });
+});
+
+describe('BacktestEngine built-in strategies', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    // Only the default strategies, as StrategyManager creates them
+    const backtest = async (name, data, components = {}) => {
+        const manager = connect(new StrategyManager(), { database: new FakeDatabase(), riskManager: new FakeRiskManager(), ...components });
+        const engine = connect(new BacktestEngine(), { database: new HistoryDatabase(), strategyManager: manager });
+        const report = await engine.runBacktest({ asset: 'R_10', strategies: [name], data });
+        return report.strategies[0];
+    };
+
+    // [direction, seconds from the start, entry price, exit price, result]
+    const trades = result => result.tradeLog.map(trade =>
+        [trade.direction, (trade.entryTime - START) / 1000, trade.entryPrice, trade.exitPrice, trade.result]);
+
+    test('Momentum_RSI buys the recovery after a sell-off while RSI is still oversold', async () => {
+        // Flat, fourteen one-point drops, then a slow climb that RSI barely registers
+        const result = await backtest('Momentum_RSI', ticksAt(series(100, i =>
+            i < 40 ? 100 : i < 54 ? 100 - (i - 39) : 86 + (i - 53) * 0.01)));
+
+        // Momentum over ten ticks turns positive at tick 64; every 5-second contract gains a cent
+        expect(result).toMatchObject({ signals: 7, trades: 6, wins: 6, unsettledTrades: 1 });
+        expect(trades(result)[0]).toEqual(['call', 65, expect.closeTo(86.12), expect.closeTo(86.17), 'win']);
+    });
+
+    test('Mean_Reversion buys a drop below the lower Bollinger band', async () => {
+        const result = await backtest('Mean_Reversion', ticksAt(series(80, i =>
+            i < 60 ? (i % 2 ? 100.2 : 100) : 95 + (i - 60) * 0.5)));
+
+        expect(result).toMatchObject({ signals: 1, trades: 1, wins: 1 });
+        expect(trades(result)).toEqual([['call', 60, 95, 97.5, 'win']]);
+    });
+
+    test('Breakout_Volume buys a break above the range on heavy volume', async () => {
+        // A 99-100 range, broken at tick 60 on twice the volume threshold; the other ticks trade light
+        const prices = series(90, i => i < 60 ? (i % 2 ? 100 : 99) : 100.5 + (i - 60) * 0.1);
+        const result = await backtest('Breakout_Volume', ticksAt(prices, series(90, i => i === 60 ? 3 : 1)));
+
+        expect(result).toMatchObject({ signals: 1, trades: 1, wins: 1 });
+        expect(trades(result)).toEqual([['call', 60, 100.5, expect.closeTo(102), 'win']]);
+    });
+
+    test('Boundary_Breaker trades levels tested at least three times with RSI neutral', async () => {
+        // A 14-tick triangle between 99 and 100: RSI sits at 50 and both levels are touched every cycle
+        const triangle = k => k <= 7 ? 99 + k / 7 : 100 - (k - 7) / 7;
+        const result = await backtest('Boundary_Breaker', ticksAt(series(130, i => triangle(i % 14))));
+
+        // The range holds, so betting on the break loses both times
+        expect(trades(result)).toEqual([
+            ['put', 70, 99, expect.closeTo(99.571), 'loss'],
+            ['call', 105, 100, expect.closeTo(99.429), 'loss']
+        ]);
+        expect(result).toMatchObject({ signals: 2, wins: 0, losses: 2 });
+    });
+
+    test('AI_Adaptive follows confident AI predictions', async () => {
+        // Pattern scores are drawn between 0.3 and 0.7; 0.62 clears the 0.6 bar
+        jest.spyOn(Math, 'random').mockReturnValue(0.8);
+        const aiEngine = { predictTradeDirection: jest.fn(async () => ({ direction: 'call', confidence: 0.8 })) };
+
+        const result = await backtest('AI_Adaptive', ticksAt(series(80, i => 100 + i * 0.1)), { aiEngine });
+
+        expect(aiEngine.predictTradeDirection).toHaveBeenCalledWith(expect.objectContaining({ asset: 'R_10', price: 105 }));
+        expect(result).toMatchObject({ signals: 6, trades: 5, wins: 5, unsettledTrades: 1 });
+    });
+
+    test('AI_Adaptive stays out without an AI engine', async () => {
+        const result = await backtest('AI_Adaptive', ticksAt(series(80, i => 100 + i * 0.1)));
+
+        expect(result).toMatchObject({ signals: 0, trades: 0 });
+    });
+});
+
+describe('BacktestEngine CSV import', () => {
+    let dir;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'baynex-backtest-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+        jest.restoreAllMocks();
+    });
+
+    const writeCSV = (name, lines) => {
+        const file = path.join(dir, name);
+        fs.writeFileSync(file, lines.join('\r\n'));
+        return file;
+    };
+
+    test('replays a CSV file of ticks in place of the stored history', async () => {
+        const { engine, database } = createEngine([]);
+        const lines = risingTicks(120).map(tick => `${tick.timestamp.getTime() / 1000},${tick.price.toFixed(1)}`);
+        const file = writeCSV('R_10.csv', ['Timestamp,Quote', ...lines, '']);
+
+        const report = await engine.runBacktest({ asset: 'R_10', strategies: ['Trend_Follower'], duration: 10, csvPath: file });
+
+        expect(database.historyRequests).toEqual([]);
+        expect(report).toMatchObject({ rows: 120, from: new Date(START), to: new Date(START + 119000) });
+        expect(report.strategies[0]).toMatchObject({ trades: 12, wins: 12 });
+    });
+
+    test('reads any price column and timestamp format, in time order', async () => {
+        const { engine } = createEngine([]);
+        const file = writeCSV('ticks.csv', [
+            'timestamp,close,bid,ask,volume',
+            `${START + 2000},100.2,100.1,100.3,`,
+            `${new Date(START).toISOString()},100,,,5`,
+            `${START / 1000 + 1},100.1,100,100.2,2`
+        ]);
+
+        expect(await engine.loadCSV(file)).toEqual([
+            { price: 100, bid: 100, ask: 100, volume: 5, spread: 0, timestamp: new Date(START) },
+            { price: 100.1, bid: 100, ask: 100.2, volume: 2, spread: 0, timestamp: new Date(START + 1000) },
+            { price: 100.2, bid: 100.1, ask: 100.3, volume: 0, spread: 0, timestamp: new Date(START + 2000) }
+        ]);
+    });
+
+    test('names the line of a CSV it cannot read', async () => {
+        const { engine } = createEngine([]);
+
+        expect(() => engine.parseCSV('timestamp,price\n')).toThrow('CSV must contain a header row and at least one data row');
+        expect(() => engine.parseCSV('time,price\n1760875200,100')).toThrow('CSV header must include timestamp and price (or quote/close) columns');
+        expect(() => engine.parseCSV('timestamp,volume\n1760875200,3')).toThrow('CSV header must include timestamp and price (or quote/close) columns');
+        expect(() => engine.parseCSV('timestamp,price\n1760875200,100\n1760875201,n/a')).toThrow('Invalid price on CSV line 3: n/a');
+        expect(() => engine.parseCSV('timestamp,price\n1760875200,-1')).toThrow('Invalid price on CSV line 2: -1');
+        expect(() => engine.parseCSV('timestamp,price\nyesterday,100')).toThrow('Invalid timestamp on CSV line 2: yesterday');
+
+        await expect(engine.runBacktest({ csvPath: path.join(dir, 'missing.csv') })).rejects.toMatchObject({ code: 'ENOENT' });
+        expect(engine.isRunning).toBe(false);
+    });
+});
+
+describe('backtest API routes', () => {
+    let web;
+    let api;
+    let engine;
+
+    const tokenFor = role => web.auth.issueToken({ uid: role, email: `${role}@example.com`, role });
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        const created = createEngine(risingTicks(120));
+        engine = created.engine;
+        web = connect(new BayneXWebModule({ jwtSecret: 'test-jwt-secret' }), { database: created.database, backtest: engine });
+        web.setupMiddleware();
+        web.setupRoutes();
+        api = await serve(web.app);
+    });
+
+    afterEach(async () => {
+        await api.close();
+        jest.restoreAllMocks();
+    });
+
+    test('admins start a backtest and traders read the last report', async () => {
+        const body = { asset: 'R_10', strategies: ['Trend_Follower'], duration: 10 };
+
+        expect((await api.request('POST', '/backtest', { token: tokenFor('trader'), body })).status).toBe(403);
+
+        const run = await api.request('POST', '/backtest', { token: tokenFor('admin'), body });
+        expect(run.status).toBe(200);
+        expect(run.body.strategies.map(result => [result.name, result.trades])).toEqual([['Trend_Follower', 12]]);
+
+        const last = await api.request('GET', '/backtest', { token: tokenFor('trader') });
+        expect(last.body).toMatchObject({ status: { status: 'idle' }, report: { asset: 'R_10', rows: 120 } });
+    });
+
+    test('answers a bad request or a run already in progress without running', async () => {
+        const admin = tokenFor('admin');
+
+        expect(await api.request('POST', '/backtest', { token: admin, body: { payout: 0 } })).toEqual({
+            status: 400,
+            body: { error: 'Payout must be a positive ratio, got 0' }
+        });
+
+        engine.isRunning = true;
+        expect((await api.request('POST', '/backtest', { token: admin, body: {} })).status).toBe(409);
+        expect(engine.getLastReport()).toBeNull();
+    });
+});
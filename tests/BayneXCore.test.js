@@ -0,0 +1,145 @@
+// tests/BayneXCore.test.js
+
+const BayneXCore = require('../src/core/BayneXCore');
+const RiskManager = require('../src/risk/RiskManagers');
+const { connect, createSignal, FakePlatforms, FakeDatabase, FakeRiskManager } = require('./fixtures/testDoubles');
+
+const createCore = (riskManager = new RiskManager()) => {
+    const platforms = new FakePlatforms();
+    const database = new FakeDatabase();
+    const core = connect(new BayneXCore(), { platforms, database, riskManager });
+    return { core, platforms, database, riskManager };
+};
+
+describe('BayneXCore trade lifecycle', () => {
+    test('executes a queued signal, then closes and persists it when the contract settles', async () => {
+        const { core, platforms, database } = createCore();
+        const closed = jest.fn();
+        core.on('trade_closed', closed);
+
+        expect(core.queueTradeSignal(createSignal())).toBe(true);
+        await core.processSignalQueue();
+
+        expect(core.tradingQueue).toHaveLength(0);
+        expect(platforms.executed).toHaveLength(1);
+        expect(platforms.executed[0]).toMatchObject({ platform: 'deriv', asset: 'R_10', direction: 'CALL', amount: 10, duration: 60 });
+
+        const [trade] = core.getActiveTrades();
+        expect(trade).toMatchObject({ status: 'active', contractId: platforms.executed[0].contractId, entryPrice: 100 });
+
+        // Still open: nothing changes
+        await core.monitorActiveTrades();
+        expect(core.activeTrades.size).toBe(1);
+
+        platforms.settle(trade.contractId, { status: 'closed', exitPrice: 101, profit: 8.5, result: 'win' });
+        await core.monitorActiveTrades();
+
+        expect(core.activeTrades.size).toBe(0);
+        expect(closed).toHaveBeenCalledWith(expect.objectContaining({ id: trade.id, status: 'closed', profit: 8.5, result: 'win' }));
+        expect(database.trades).toEqual([expect.objectContaining({ id: trade.id, exitPrice: 101 })]);
+        expect(core.getStats()).toMatchObject({ totalTrades: 1, successfulTrades: 1, totalVolume: 10 });
+    });
+
+    test('records a cancelled contract and closes its saved row', async () => {
+        const { core, platforms, database } = createCore();
+        const trade = await core.executeTradeSignal(createSignal());
+
+        platforms.settle(trade.contractId, { status: 'cancelled' });
+        await core.monitorActiveTrades();
+
+        expect(trade.result).toBe('cancelled');
+        expect(core.activeTrades.size).toBe(0);
+        expect(database.trades).toEqual([expect.objectContaining({ id: trade.id, status: 'cancelled' })]);
+    });
+
+    test('keeps a bought contract executed when saving it fails', async () => {
+        const { core, platforms, database } = createCore();
+        database.saveTrade = jest.fn().mockRejectedValue(new Error('SQLITE_BUSY: database is locked'));
+        const executed = jest.fn();
+        const failed = jest.fn();
+        core.on('trade_executed', executed);
+        core.on('trade_execution_failed', failed);
+
+        const trade = await core.executeTradeSignal(createSignal());
+
+        expect(executed).toHaveBeenCalledWith(trade);
+        expect(failed).not.toHaveBeenCalled();
+        expect(core.activeTrades.get(trade.id)).toBe(trade);
+        expect(core.getStats()).toMatchObject({ totalTrades: 1, failedTrades: 0, persistenceErrors: 1 });
+
+        platforms.settle(trade.contractId, { status: 'closed', exitPrice: 99, profit: -10, result: 'loss' });
+        await core.monitorActiveTrades();
+
+        expect(core.activeTrades.size).toBe(0);
+        expect(core.getStats().persistenceErrors).toBe(2);
+    });
+
+    test('does not execute a signal the risk manager rejects', async () => {
+        const riskManager = new FakeRiskManager({ approved: false, reason: 'Daily loss limit reached: $500' });
+        const { core, platforms } = createCore(riskManager);
+        const failed = jest.fn();
+        core.on('trade_execution_failed', failed);
+
+        core.queueTradeSignal(createSignal());
+        await core.processSignalQueue();
+
+        expect(riskManager.validated).toHaveLength(1);
+        expect(platforms.executed).toHaveLength(0);
+        expect(failed).toHaveBeenCalledWith(expect.objectContaining({
+            error: 'Trade rejected by risk manager: Daily loss limit reached: $500'
+        }));
+        expect(core.getStats().failedTrades).toBe(1);
+    });
+
+    test('rejects malformed signals before reaching risk or platforms', async () => {
+        const riskManager = new FakeRiskManager();
+        const { core, platforms } = createCore(riskManager);
+
+        await expect(core.executeTradeSignal(createSignal({ direction: 'UP' }))).rejects.toThrow('Invalid trade signal');
+        await expect(core.executeTradeSignal(createSignal({ amount: 0 }))).rejects.toThrow('Invalid trade signal');
+        await expect(core.executeTradeSignal(createSignal({ confidence: 1.5 }))).rejects.toThrow('Invalid trade signal');
+
+        expect(riskManager.validated).toHaveLength(0);
+        expect(platforms.executed).toHaveLength(0);
+    });
+
+    test('emergency stop closes every open trade and refuses new signals', async () => {
+        const { core, platforms } = createCore(new FakeRiskManager());
+        const stopped = jest.fn();
+        core.on('emergency_stop', stopped);
+
+        const first = await core.executeTradeSignal(createSignal());
+        const second = await core.executeTradeSignal(createSignal({ direction: 'PUT' }));
+        core.queueTradeSignal(createSignal());
+
+        await core.emergencyStop();
+
+        expect(platforms.emergencyClosed.map(close => close.contractId)).toEqual([first.contractId, second.contractId]);
+        expect(core.activeTrades.size).toBe(0);
+        expect(core.tradingQueue).toHaveLength(0);
+        expect(stopped).toHaveBeenCalled();
+        expect(core.queueTradeSignal(createSignal())).toBe(false);
+    });
+
+    test('sells a trade stuck past its expiry and leaves multipliers running', async () => {
+        const { core, platforms } = createCore(new FakeRiskManager());
+
+        const minute = await core.executeTradeSignal(createSignal({ duration: 60 }));
+        const fiveMinutes = await core.executeTradeSignal(createSignal({ duration: 5, durationUnit: 'm' }));
+        const multiplier = await core.executeTradeSignal(createSignal({ direction: 'MULTUP', multiplier: 100 }));
+
+        // Four minutes in, only the one-minute contract is past expiry and the grace period
+        for (const trade of [minute, fiveMinutes, multiplier]) {
+            trade.entryTime = new Date(Date.now() - 240000);
+        }
+        await core.checkSystemHealth();
+
+        expect(platforms.sold).toEqual([{ platform: 'deriv', contractId: minute.contractId }]);
+        expect(platforms.closed).toEqual([]);
+
+        // The multiplier has no expiry, however long it runs
+        multiplier.entryTime = new Date(Date.now() - 86400000);
+        await core.checkSystemHealth();
+        expect(platforms.sold.map(sale => sale.contractId)).not.toContain(multiplier.contractId);
+    });
+});
@@ -0,0 +1,126 @@
+// tests/CircuitBreakers.test.js
+
+const RiskManager = require('../src/risk/RiskManagers');
+const BayneXCore = require('../src/core/BayneXCore');
+const { connect, FakeDatabase, FakePlatforms } = require('./fixtures/testDoubles');
+
+const NOW = Date.UTC(2026, 9, 19, 14, 0);
+const MINUTE = 60000;
+
+const momentum = { asset: 'R_10', strategy: 'momentum_1' };
+
+const createRiskManager = (database = new FakeDatabase(), options = {}) => {
+    const riskManager = connect(new RiskManager(), { database });
+    Object.assign(riskManager.config, options);
+    return riskManager;
+};
+
+// Settles one trade of the given subject at the given time
+const settle = (riskManager, profit, at, subject = momentum) => riskManager.recordBreakerResult(subject, profit, at);
+
+describe('Circuit breakers', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('reduce the stake after a streak, then pause only the strategy and asset that lost', async () => {
+        const riskManager = createRiskManager(new FakeDatabase(), { breakerScopes: ['strategy', 'asset'] });
+        const changes = [];
+        riskManager.on('circuit_breaker_changed', change => changes.push(change));
+
+        [1, 2, 3].forEach(i => settle(riskManager, -1, NOW + i * MINUTE));
+
+        const approval = await riskManager.validateTrade({ asset: 'R_10', direction: 'CALL', amount: 10, strategyId: 'momentum_1', strategy: { performance: { winRate: 0.7 } } });
+        expect(approval).toMatchObject({ approved: true, recommendedAmount: 4, stakeLimit: 5 });
+        expect(approval.notes).toEqual([
+            'Circuit breaker on strategy momentum_1 is reduced: stake $10 cut to $5',
+            'Position size adjusted from $5 to $4'
+        ]);
+
+        [4, 5].forEach(i => settle(riskManager, -1, NOW + i * MINUTE));
+
+        expect(riskManager.checkCircuitBreakers({ asset: 'R_25', strategyId: 'momentum_1' }, NOW + 6 * MINUTE)).toEqual({
+            passed: false,
+            reason: 'Circuit breaker on strategy momentum_1 paused until 2026-10-19T14:35:00.000Z (5 losses in a row)'
+        });
+        expect(riskManager.checkCircuitBreakers({ asset: 'R_25', strategyId: 'reversal_1' }, NOW + 6 * MINUTE).passed).toBe(true);
+
+        expect(changes.map(change => [change.key, change.from, change.to])).toEqual([
+            ['strategy:momentum_1', 'normal', 'reduced'],
+            ['asset:R_10', 'normal', 'reduced'],
+            ['strategy:momentum_1', 'reduced', 'paused'],
+            ['asset:R_10', 'reduced', 'paused']
+        ]);
+        expect(changes[2]).toMatchObject({ reason: '5 losses in a row', sizeFactor: 0, description: 'Circuit breaker on strategy momentum_1: reduced → paused (5 losses in a row)' });
+    });
+
+    test('resume at half size after the cooldown and return to full size after recovery wins', () => {
+        const riskManager = createRiskManager(new FakeDatabase(), { breakerScopes: ['asset'] });
+        const changes = [];
+        riskManager.on('circuit_breaker_changed', change => changes.push(`${change.from} → ${change.to}`));
+        [1, 2, 3, 4, 5].forEach(i => settle(riskManager, -1, NOW + i * MINUTE));
+
+        // A trade opened before the pause settles without extending it
+        settle(riskManager, -1, NOW + 10 * MINUTE);
+        expect(riskManager.checkCircuitBreakers(momentum, NOW + 34 * MINUTE).passed).toBe(false);
+
+        expect(riskManager.checkCircuitBreakers(momentum, NOW + 35 * MINUTE)).toMatchObject({ passed: true, sizeFactor: 0.5 });
+
+        // A loss while recovering pauses again
+        settle(riskManager, -1, NOW + 40 * MINUTE);
+        expect(riskManager.checkCircuitBreakers(momentum, NOW + 41 * MINUTE).passed).toBe(false);
+
+        riskManager.refreshCircuitBreakers(NOW + 70 * MINUTE);
+        settle(riskManager, 1, NOW + 75 * MINUTE);
+        expect(riskManager.checkCircuitBreakers(momentum, NOW + 76 * MINUTE).sizeFactor).toBe(0.5);
+        settle(riskManager, 1, NOW + 80 * MINUTE);
+        expect(riskManager.checkCircuitBreakers(momentum, NOW + 81 * MINUTE)).toMatchObject({ passed: true, sizeFactor: 1 });
+
+        expect(changes).toEqual([
+            'normal → reduced', 'reduced → paused', 'paused → recovering',
+            'recovering → paused', 'paused → recovering', 'recovering → normal'
+        ]);
+    });
+
+    test('survive a restart, streaks in progress included', async () => {
+        const database = new FakeDatabase();
+        const before = createRiskManager(database);
+        [1, 2, 3, 4, 5].forEach(i => settle(before, -1, NOW + i * MINUTE));
+        settle(before, -1, NOW + 6 * MINUTE, { asset: 'R_25', strategy: 'reversal_1' });
+        await new Promise(resolve => setImmediate(resolve));
+
+        expect(database.circuitBreakers.get('account')).toMatchObject({ state: 'paused', paused_until: (NOW + 35 * MINUTE) / 1000 });
+
+        const after = createRiskManager(database);
+        after.circuitBreakers.restore(await database.getCircuitBreakers());
+
+        expect(after.checkCircuitBreakers(momentum, NOW + 20 * MINUTE).reason)
+            .toBe('Circuit breaker on the account paused until 2026-10-19T14:35:00.000Z (5 losses in a row)');
+        expect(after.circuitBreakers.list().find(breaker => breaker.key === 'asset:R_25')).toMatchObject({ state: 'normal', losses: 1 });
+
+        // Two more R_25 losses make three in a row across the restart
+        after.resetCircuitBreaker('account', NOW + 21 * MINUTE);
+        settle(after, -1, NOW + 22 * MINUTE, { asset: 'R_25', strategy: 'reversal_1' });
+        settle(after, -1, NOW + 23 * MINUTE, { asset: 'R_25', strategy: 'reversal_1' });
+        expect(after.circuitBreakers.breakers.get('asset:R_25').state).toBe('reduced');
+    });
+
+    test('bind the core to the reduced stake', async () => {
+        const riskManager = createRiskManager(new FakeDatabase(), { breakerScopes: ['strategy'] });
+        [1, 2, 3].forEach(i => settle(riskManager, -1, NOW + i * MINUTE));
+        const platforms = new FakePlatforms();
+        const core = connect(new BayneXCore(), { platforms, database: new FakeDatabase(), riskManager });
+
+        const trade = await core.executeTradeSignal({
+            asset: 'R_10', direction: 'CALL', amount: 2, duration: 300, strategy: 'Momentum_RSI', strategyId: 'momentum_1', confidence: 0.7
+        });
+
+        expect(trade.amount).toBe(1);
+        expect(platforms.executed[0].amount).toBe(1);
+    });
+});
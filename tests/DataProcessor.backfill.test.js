@@ -0,0 +1,147 @@
+// tests/DataProcessor.backfill.test.js
+
+const DataProcessor = require('../src/data/Dataprocessor');
+const RecordedDerivConnector = require('./fixtures/RecordedDerivConnector');
+const { RECORDED_AT, responses } = require('./fixtures/derivTicksHistory');
+
+const recordedTicks = responses.R_10.ticks.history;
+
+const createDatabase = (rows = []) => ({
+    rows: [...rows],
+    saved: [],
+    async getHistoricalData(asset) {
+        // Same ordering as DatabaseManager: newest first
+        return this.rows
+            .filter(row => row.asset === asset)
+            .sort((a, b) => b.timestamp - a.timestamp)
+            .map(({ asset, ...point }) => point);
+    },
+    async saveMarketData(asset, points) {
+        this.saved.push({ asset, points });
+    }
+});
+
+const storedRow = (asset, epoch) => {
+    const price = recordedTicks.prices[recordedTicks.times.indexOf(epoch)];
+    return { asset, price, bid: price, ask: price, volume: 0, spread: 0, timestamp: new Date(epoch * 1000) };
+};
+
+const createProcessor = ({ assets = ['R_10'], database, connector }) => {
+    const processor = new DataProcessor();
+    processor.config.supportedAssets = assets;
+    processor.config.backfillWindow = 600;
+    processor.initializeDataStructures();
+
+    const platforms = { getPlatformConnector: name => (name === 'deriv' ? connector : null) };
+    processor.getComponent = name => ({ database, platforms }[name] || null);
+
+    return processor;
+};
+
+describe('DataProcessor history backfill', () => {
+    beforeEach(() => {
+        jest.spyOn(Date, 'now').mockReturnValue(RECORDED_AT * 1000);
+    });
+
+    afterEach(() => {
+        Date.now.mockRestore();
+    });
+
+    test('restores an empty asset from ticks and candles and persists every tick', async () => {
+        const database = createDatabase();
+        const connector = new RecordedDerivConnector();
+        const processor = createProcessor({ database, connector });
+
+        await processor.loadHistoricalData();
+        await processor.backfillHistoricalData();
+
+        const assetData = processor.marketData.get('R_10');
+        expect(assetData.rawData).toHaveLength(recordedTicks.times.length);
+        expect(assetData.rawData[0].timestamp.getTime()).toBe((RECORDED_AT - 600) * 1000);
+        expect(assetData.isActive).toBe(true);
+
+        expect(assetData.ohlc).toHaveLength(responses.R_10.candles.candles.length);
+        const lastCandle = responses.R_10.candles.candles[responses.R_10.candles.candles.length - 1];
+        expect(assetData.ohlc[assetData.ohlc.length - 1]).toMatchObject({
+            open: lastCandle.open,
+            high: lastCandle.high,
+            low: lastCandle.low,
+            close: lastCandle.close
+        });
+
+        expect(database.saved).toHaveLength(1);
+        expect(database.saved[0].points).toHaveLength(recordedTicks.times.length);
+
+        const styles = connector.requests.map(request => request.style);
+        expect(styles).toEqual(['ticks', 'candles']);
+        expect(processor.indicators.get('R_10').sma[20].length).toBeGreaterThan(0);
+    });
+
+    test('fills the trailing and interior gaps without re-saving stored rows', async () => {
+        // Stored history stops five minutes ago and is missing a minute in the middle
+        const storedEpochs = recordedTicks.times.filter(epoch =>
+            epoch <= RECORDED_AT - 300 && (epoch < RECORDED_AT - 480 || epoch > RECORDED_AT - 422));
+        const database = createDatabase(storedEpochs.map(epoch => storedRow('R_10', epoch)));
+        const connector = new RecordedDerivConnector();
+        const processor = createProcessor({ database, connector });
+
+        await processor.loadHistoricalData();
+        await processor.backfillHistoricalData();
+
+        const tickRequests = connector.requests.filter(request => request.style === 'ticks');
+        expect(tickRequests[0]).toMatchObject({ ticks_history: 'R_10', start: RECORDED_AT - 299, end: 'latest' });
+        expect(tickRequests[1]).toMatchObject({ start: RECORDED_AT - 481, end: RECORDED_AT - 421 });
+
+        const assetData = processor.marketData.get('R_10');
+        const epochs = assetData.rawData.map(point => point.timestamp.getTime() / 1000);
+        expect(epochs).toEqual(recordedTicks.times);
+
+        const savedEpochs = database.saved[0].points.map(point => point.timestamp.getTime() / 1000);
+        expect(savedEpochs).toHaveLength(recordedTicks.times.length - storedEpochs.length);
+        expect(savedEpochs.some(epoch => storedEpochs.includes(epoch))).toBe(false);
+        expect(processor.stats.gapsFilled).toBe(1);
+    });
+
+    test('pages backwards when the range holds more ticks than one response', async () => {
+        const database = createDatabase();
+        const connector = new RecordedDerivConnector();
+        const processor = createProcessor({ database, connector });
+        processor.config.backfillTickCount = 100;
+
+        await processor.backfillHistoricalData();
+
+        const tickRequests = connector.requests.filter(request => request.style === 'ticks');
+        expect(tickRequests.map(request => request.end)).toEqual([
+            'latest',
+            RECORDED_AT - 199,
+            RECORDED_AT - 399,
+            RECORDED_AT - 599
+        ]);
+        expect(processor.marketData.get('R_10').rawData).toHaveLength(recordedTicks.times.length);
+    });
+
+    test('keeps going when one asset errors and maps forex pairs to Deriv symbols', async () => {
+        const database = createDatabase();
+        const connector = new RecordedDerivConnector();
+        const processor = createProcessor({ assets: ['EURUSD', 'R_10'], database, connector });
+
+        await processor.backfillHistoricalData();
+
+        expect(connector.requests[0].ticks_history).toBe('frxEURUSD');
+        expect(processor.marketData.get('EURUSD').rawData).toHaveLength(0);
+        expect(processor.marketData.get('R_10').rawData).toHaveLength(recordedTicks.times.length);
+        expect(processor.stats.processingErrors).toBe(1);
+    });
+
+    test('skips the backfill when Deriv is not connected', async () => {
+        const database = createDatabase();
+        const connector = new RecordedDerivConnector();
+        connector.isConnected = false;
+        const processor = createProcessor({ database, connector });
+
+        await processor.backfillHistoricalData();
+
+        expect(connector.requests).toHaveLength(0);
+        expect(database.saved).toHaveLength(0);
+    });
+});
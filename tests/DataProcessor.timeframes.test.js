@@ -0,0 +1,132 @@
+// tests/DataProcessor.timeframes.test.js
+
+const DataProcessor = require('../src/data/Dataprocessor');
+const StrategyManager = require('../src/ai/StrategyManager');
+
+const START = Date.UTC(2024, 0, 1);
+
+const createProcessor = (timeframes) => {
+    if (timeframes) process.env.DATA_TIMEFRAMES = timeframes;
+    const processor = new DataProcessor();
+    delete process.env.DATA_TIMEFRAMES;
+
+    processor.config.supportedAssets = ['R_10'];
+    processor.initializeDataStructures();
+    processor.isProcessing = true;
+    return processor;
+};
+
+// One tick every two seconds; price rises by 0.01 per tick
+const feedTicks = (processor, seconds) => {
+    for (let offset = 0; offset < seconds; offset += 2) {
+        processor.storeRawData('R_10', {
+            price: 100 + offset / 200,
+            bid: 0,
+            ask: 0,
+            volume: 1,
+            spread: 0,
+            timestamp: new Date(START + offset * 1000)
+        });
+    }
+};
+
+describe('DataProcessor timeframes', () => {
+    test('aggregates every configured timeframe from the tick stream', () => {
+        const processor = createProcessor('1m,5m,1h,100t');
+        feedTicks(processor, 2 * 3600);
+
+        const { candles, ohlc } = processor.marketData.get('R_10');
+        expect(ohlc).toBe(candles['1m']);
+        expect(candles['1m']).toHaveLength(120);
+        expect(candles['5m']).toHaveLength(24);
+        expect(candles['1h']).toHaveLength(2);
+        expect(candles['100t']).toHaveLength(36);
+
+        expect(candles['1h'][1]).toMatchObject({
+            timestamp: new Date(START + 3600 * 1000),
+            open: 118,
+            close: 135.99,
+            high: 135.99,
+            low: 118,
+            ticks: 1800
+        });
+        expect(candles['5m'][0].ticks).toBe(150);
+        expect(candles['100t'][0]).toMatchObject({ open: 100, close: 100.99, ticks: 100 });
+    });
+
+    test('rejects malformed timeframes', () => {
+        const processor = createProcessor();
+        expect(() => processor.parseTimeframe('5x')).toThrow('Invalid timeframe');
+        expect(processor.parseTimeframe(15)).toMatchObject({ key: '15m', ms: 15 * 60 * 1000 });
+    });
+
+    test('builds an unregistered timeframe from history and keeps it updated', () => {
+        const processor = createProcessor('1m');
+        feedTicks(processor, 3600);
+
+        const data = processor.getAssetData('R_10', '10m');
+        expect(data.timeframe).toBe('10m');
+        expect(data.candles).toHaveLength(6);
+        expect(data.candles[5]).toMatchObject({ open: 115, close: 117.99, ticks: 300 });
+
+        processor.storeRawData('R_10', { price: 200, volume: 1, spread: 0, timestamp: new Date(START + 3600 * 1000) });
+        expect(data.candles).toHaveLength(7);
+        expect(data.candles[6]).toMatchObject({ open: 200, close: 200, ticks: 1 });
+    });
+
+    test('calculates indicators on the requested timeframe', async () => {
+        const processor = createProcessor('1m,5m');
+        feedTicks(processor, 3 * 3600);
+
+        const indicators = await processor.calculateAllIndicators('R_10', '5m');
+        const closes = processor.marketData.get('R_10').candles['5m'].map(candle => candle.close);
+        const expectedSma = closes.slice(-20).reduce((sum, close) => sum + close, 0) / 20;
+
+        expect(indicators.sma[20][indicators.sma[20].length - 1]).toBeCloseTo(expectedSma, 8);
+        expect(processor.getAssetData('R_10', '5m').indicators).toBe(indicators);
+        expect(processor.indicators.get('R_10')).not.toBe(indicators);
+    });
+
+    test('hands each strategy the candles of its declared timeframe', async () => {
+        const processor = createProcessor('1m,15m');
+        feedTicks(processor, 3 * 3600);
+
+        const manager = new StrategyManager();
+        manager.getComponent = name => (name === 'dataProcessor' ? processor : null);
+
+        const strategy = { id: 'tf', parameters: { timeframe: '15m' } };
+        const tickData = (await processor.getCurrentMarketData()).R_10;
+        const marketData = manager.getTimeframeMarketData(strategy, tickData);
+
+        const candles = processor.marketData.get('R_10').candles['15m'];
+        expect(marketData.timeframe).toBe('15m');
+        expect(marketData.candles).toHaveLength(12);
+        expect(marketData.prices).toEqual(candles.map(candle => candle.close));
+        expect(marketData.tickPrices).toBe(tickData.prices);
+
+        expect(manager.getTimeframeMarketData({ id: 'ticks', parameters: {} }, tickData)).toBe(tickData);
+    });
+
+    test('evaluates a strategy on every asset and keeps the most confident signal', async () => {
+        const manager = new StrategyManager();
+        const strategy = manager.getAllStrategies().find(s => s.name === 'Momentum_RSI');
+        const confidence = { R_10: 0.6, R_25: null, R_50: 0.8 };
+
+        jest.spyOn(manager, 'getCurrentMarketData').mockResolvedValue({
+            R_10: { asset: 'R_10', price: 100, prices: [100] },
+            R_25: { asset: 'R_25', price: 200, prices: [200] },
+            R_50: { asset: 'R_50', price: 300, prices: [300] }
+        });
+        const indicators = jest.spyOn(manager, 'calculateIndicators').mockResolvedValue({ AI_Prediction: 0.5 });
+        jest.spyOn(manager, 'evaluateEntryConditions').mockImplementation(async (s, values, data) => (
+            confidence[data.asset] ? { asset: data.asset, direction: 'call', confidence: confidence[data.asset] } : null
+        ));
+
+        const signal = await manager.evaluateStrategy(strategy);
+
+        expect(indicators.mock.calls.map(([, data]) => data.asset)).toEqual(['R_10', 'R_25', 'R_50']);
+        expect(signal).toMatchObject({ asset: 'R_50', confidence: 0.8, market: { price: 300 } });
+
+        jest.restoreAllMocks();
+    });
+});
@@ -0,0 +1,146 @@
+// tests/DecisionJournal.test.js
+
+const DecisionJournal = require('../src/core/DecisionJournal');
+const BayneXCore = require('../src/core/BayneXCore');
+const StrategyManager = require('../src/ai/StrategyManager');
+const { connect, createSignal, FakePlatforms, FakeDatabase, FakeRiskManager } = require('./fixtures/testDoubles');
+
+// Adds the whole decision_journal table in seq order, which verifyChain reads in batches
+class JournalDatabase extends FakeDatabase {
+    async getDecisionJournal(afterSeq = 0, limit = 1000) {
+        return this.decisionJournal.filter(row => row.seq > afterSeq).slice(0, limit);
+    }
+}
+
+describe('DecisionJournal chain', () => {
+    test('links each entry to the previous one and replays a path by signal or trade id', async () => {
+        const journal = connect(new DecisionJournal(), {});
+
+        const first = await journal.record('SIG_1', 'signal', { indicators: { RSI: 25 } });
+        await journal.record('SIG_2', 'signal', { indicators: { RSI: 80 } });
+        const execution = await journal.record('SIG_1', 'execution', { platform: 'deriv' }, 'trade_1');
+        const outcome = await journal.record('SIG_1', 'outcome', { status: 'closed', result: 'win' });
+
+        expect(first).toMatchObject({ seq: 1, prevHash: '0'.repeat(64) });
+        expect(execution.prevHash).not.toBe(first.hash);
+        expect(outcome).toMatchObject({ seq: 4, tradeId: 'trade_1' });
+        expect(Object.isFrozen(outcome)).toBe(true);
+
+        const byTrade = await journal.getDecisionPath('trade_1');
+        expect(byTrade.signalId).toBe('SIG_1');
+        expect(byTrade.entries.map(entry => entry.stage)).toEqual(['signal', 'execution', 'outcome']);
+        expect(byTrade.verification.valid).toBe(true);
+
+        expect(await journal.verifyChain()).toMatchObject({ valid: true, entries: 4 });
+        expect(await journal.getDecisionPath('unknown')).toBeNull();
+    });
+
+    test('snapshots the recorded data', async () => {
+        const journal = connect(new DecisionJournal(), {});
+        const signal = createSignal();
+
+        const entry = await journal.record('SIG_1', 'signal', signal);
+        signal.amount = 500;
+
+        expect(entry.data.amount).toBe(10);
+    });
+
+    test('detects edited and removed entries in the database', async () => {
+        const database = new JournalDatabase();
+        const journal = connect(new DecisionJournal(), { database });
+
+        await journal.record('SIG_1', 'signal', { confidence: 0.6 });
+        await journal.record('SIG_1', 'risk_validation', { approved: true, recommendedAmount: 8 });
+        await journal.record('SIG_1', 'outcome', { status: 'closed', result: 'loss' });
+
+        database.decisionJournal[1].data.recommendedAmount = 50;
+
+        expect((await journal.getDecisionPath('SIG_1')).verification).toEqual({
+            valid: false,
+            brokenAt: 2,
+            reason: 'Entry content does not match its hash'
+        });
+        expect(await journal.verifyChain()).toMatchObject({ valid: false, brokenAt: 2 });
+
+        database.decisionJournal.splice(1, 1);
+
+        expect(await journal.verifyChain()).toMatchObject({ valid: false, brokenAt: 3, reason: 'Entry 2 is missing' });
+    });
+
+    test('continues the chain from the database after a restart', async () => {
+        const database = new JournalDatabase();
+        const before = connect(new DecisionJournal(), { database });
+        const last = await before.record('SIG_1', 'signal', {});
+
+        const after = connect(new DecisionJournal(), { database });
+        const next = await after.record('SIG_2', 'signal', {});
+
+        expect(next).toMatchObject({ seq: 2, prevHash: last.hash });
+        expect(await after.verifyChain()).toMatchObject({ valid: true, entries: 2 });
+    });
+
+    test('reports write failures without throwing', async () => {
+        const database = new FakeDatabase();
+        database.saveDecisionEntry = async () => { throw new Error('disk full'); };
+        const journal = connect(new DecisionJournal(), { database });
+        const failures = jest.fn();
+        journal.on('journal_error', failures);
+
+        await expect(journal.record('SIG_1', 'signal', {})).resolves.toBeNull();
+        expect(failures).toHaveBeenCalledWith({ signalId: 'SIG_1', stage: 'signal', error: 'disk full' });
+        expect(journal.healthCheck().status).toBe('degraded');
+    });
+});
+
+describe('decision path through the trading pipeline', () => {
+    test('records the risk decision, the executing platform and the outcome of a trade', async () => {
+        const database = new FakeDatabase();
+        const journal = connect(new DecisionJournal(), { database });
+        const platforms = new FakePlatforms();
+        const riskManager = new FakeRiskManager({ approved: true, recommendedAmount: 6, notes: ['Position size adjusted from $10 to $6'] });
+        const core = connect(new BayneXCore(), { platforms, database, riskManager, journal });
+
+        const trade = await core.executeTradeSignal(createSignal({ id: 'SIG_1' }));
+        platforms.settle(trade.contractId, { status: 'closed', exitPrice: 99, profit: -6, result: 'loss' });
+        await core.monitorActiveTrades();
+
+        const decisionPath = await journal.getDecisionPath(trade.id);
+        expect(decisionPath.verification.valid).toBe(true);
+        expect(decisionPath.entries.map(entry => [entry.stage, entry.data])).toEqual([
+            ['risk_validation', { approved: true, recommendedAmount: 6, notes: ['Position size adjusted from $10 to $6'], requestedAmount: 10 }],
+            ['execution', expect.objectContaining({ platform: 'deriv', contractId: trade.contractId, amount: 10, entryPrice: 100 })],
+            ['outcome', { status: 'closed', result: 'loss', profit: -6, exitPrice: 99 }]
+        ]);
+    });
+
+    test('records the signal inputs and a risk rejection from the strategy manager', async () => {
+        const database = new FakeDatabase();
+        const journal = connect(new DecisionJournal(), { database });
+        const manager = connect(new StrategyManager(), {
+            database,
+            journal,
+            riskManager: new FakeRiskManager({ approved: false, reason: 'Daily loss limit reached' })
+        });
+        const emitted = jest.fn();
+        manager.on('trade_signal', emitted);
+
+        const signal = createSignal({
+            strategyId: 'momentum_1',
+            indicators: { RSI: 24.5, MACD: { histogram: 0.2 } },
+            aiPrediction: { direction: 'call', confidence: 0.7 },
+            market: { price: 101.2, timeframe: '1m' }
+        });
+        await manager.emitTradeSignal(signal);
+
+        expect(emitted).not.toHaveBeenCalled();
+
+        const decisionPath = await journal.getDecisionPath(signal.id);
+        expect(decisionPath.entries.map(entry => entry.stage)).toEqual(['signal', 'signal_risk', 'outcome']);
+        expect(decisionPath.entries[0].data).toMatchObject({
+            indicators: { RSI: 24.5, MACD: { histogram: 0.2 } },
+            aiPrediction: { direction: 'call', confidence: 0.7 },
+            market: { price: 101.2, timeframe: '1m' }
+        });
+        expect(decisionPath.entries[2].data).toEqual({ status: 'rejected', reason: 'Daily loss limit reached' });
+    });
+});
@@ -0,0 +1,208 @@
+// tests/DerivContracts.test.js
+
+const DerivConnector = require('../src/platforms/DerivConnector');
+const SignalArbiter = require('../src/core/SignalArbiter');
+const StrategyManager = require('../src/ai/StrategyManager');
+const TradePricer = require('../src/risk/TradePricer');
+const { validateContract } = require('../src/platforms/ContractTypes');
+const { connect, FakePlatforms } = require('./fixtures/testDoubles');
+
+const START = 1790000000;
+
+const createConnector = () => {
+    const connector = new DerivConnector({ apiToken: 'token' });
+    connector.balance = 1000;
+    connector.sendRequest = jest.fn(async (request) => request.buy ? {
+        buy: { contract_id: 42, buy_price: request.price, payout: request.price * 1.9, start_time: START, start_spot: 6543.21 }
+    } : {});
+    return connector;
+};
+
+describe('Contract validation', () => {
+    test('normalizes each family', () => {
+        expect(validateContract({ direction: 'call', duration: 60 })).toMatchObject({ contractType: 'CALL', family: 'rise_fall', barrier: null });
+        expect(validateContract({ direction: 'PUT', duration: 60, barrier: '-0.25' })).toMatchObject({ family: 'higher_lower', barrier: '-0.25' });
+        expect(validateContract({ direction: 'EXPIRYMISS', duration: 300, barrier: '+1.5', barrier2: '-1.5' }))
+            .toMatchObject({ family: 'ends_range', barrier: '+1.5', barrier2: '-1.5' });
+        expect(validateContract({ direction: 'DIGITOVER', duration: 5, barrier: 3 }))
+            .toMatchObject({ family: 'digits', barrier: '3', durationUnit: 't' });
+        expect(validateContract({ direction: 'MULTUP', multiplier: 100, stopLoss: 5, takeProfit: '12.5' }))
+            .toMatchObject({ family: 'multiplier', duration: null, multiplier: 100, stopLoss: 5, takeProfit: 12.5 });
+    });
+
+    test.each([
+        [{ direction: 'RISE', duration: 60 }, 'Direction must be one of CALL, PUT'],
+        [{ direction: 'ONETOUCH', duration: 60 }, 'ONETOUCH needs a barrier'],
+        [{ direction: 'ONETOUCH', duration: 60, barrier: '+0' }, 'ONETOUCH barrier cannot sit on the entry spot'],
+        [{ direction: 'RANGE', duration: 60, barrier: '+1' }, 'RANGE needs a high barrier and a low barrier2'],
+        [{ direction: 'EXPIRYRANGE', duration: 60, barrier: '-1', barrier2: '+1' }, 'EXPIRYRANGE high barrier -1 must be above the low barrier +1'],
+        [{ direction: 'UPORDOWN', duration: 60, barrier: '6550', barrier2: '-1' }, 'UPORDOWN barriers must both be offsets or both be absolute prices'],
+        [{ direction: 'DIGITMATCH', duration: 5, barrier: 10 }, 'DIGITMATCH needs a digit from 0 to 9'],
+        [{ direction: 'DIGITUNDER', duration: 5, barrier: 0 }, 'DIGITUNDER needs a digit from 1 to 9'],
+        [{ direction: 'DIGITEVEN', duration: 60 }, 'DIGITEVEN contracts last 1 to 10 ticks'],
+        [{ direction: 'DIGITODD', duration: 5, barrier: 1 }, 'DIGITODD does not take a barrier'],
+        [{ direction: 'MULTDOWN' }, 'MULTDOWN needs a multiplier of at least 1'],
+        [{ direction: 'MULTUP', multiplier: 50, stopLoss: -2 }, 'Stop loss must be a positive amount'],
+        [{ direction: 'CALL', duration: 60, multiplier: 50 }, 'Multiplier, stop loss and take profit only apply to MULTUP / MULTDOWN']
+    ])('rejects %o', (params, message) => {
+        expect(() => validateContract(params)).toThrow(message);
+    });
+});
+
+describe('DerivConnector contract families', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('buys two-barrier contracts with both barriers', async () => {
+        const connector = createConnector();
+
+        const trade = await connector.executeTrade({ asset: 'R_10', direction: 'expiryrange', amount: 10, duration: 300, barrier: '+1.5', barrier2: '-1.5' });
+
+        expect(connector.sendRequest.mock.calls[0][0]).toEqual({
+            buy: 1,
+            price: 10,
+            parameters: {
+                amount: 10, basis: 'stake', contract_type: 'EXPIRYRANGE', currency: 'USD',
+                symbol: 'R_10', duration: 300, duration_unit: 's', barrier: '+1.5', barrier2: '-1.5'
+            }
+        });
+        expect(trade).toMatchObject({ direction: 'EXPIRYRANGE', family: 'ends_range', expiryTime: new Date((START + 300) * 1000) });
+    });
+
+    test('buys digit contracts by the tick', async () => {
+        const connector = createConnector();
+
+        await connector.executeTrade({ asset: 'R_10', direction: 'DIGITMATCH', amount: 1, duration: 5, barrier: 7 });
+
+        expect(connector.sendRequest.mock.calls[0][0].parameters).toMatchObject({
+            contract_type: 'DIGITMATCH', duration: 5, duration_unit: 't', barrier: '7'
+        });
+    });
+
+    test('buys multipliers with limit orders and no expiry', async () => {
+        const connector = createConnector();
+
+        const trade = await connector.executeTrade({ asset: 'R_50', direction: 'MULTUP', amount: 20, duration: 300, multiplier: 100, stopLoss: 5, takeProfit: 10 });
+
+        const { parameters } = connector.sendRequest.mock.calls[0][0];
+        expect(parameters).toMatchObject({ contract_type: 'MULTUP', multiplier: 100, limit_order: { stop_loss: 5, take_profit: 10 } });
+        expect(parameters.duration).toBeUndefined();
+        expect(trade.expiryTime).toBeNull();
+    });
+
+    test('refuses an invalid contract before sending anything', async () => {
+        const connector = createConnector();
+
+        await expect(connector.executeTrade({ asset: 'R_10', direction: 'NOTOUCH', amount: 5, duration: 60 }))
+            .rejects.toThrow('NOTOUCH needs a barrier');
+        expect(connector.sendRequest).not.toHaveBeenCalled();
+    });
+
+    test('settles multipliers by the limit order that closed them', async () => {
+        const connector = createConnector();
+        const closed = jest.fn();
+        connector.on('trade_closed', closed);
+        await connector.executeTrade({ asset: 'R_50', direction: 'MULTUP', amount: 20, multiplier: 100, stopLoss: 5, takeProfit: 10 });
+
+        connector.handleContractUpdate({ contract_id: 42, status: 'open', profit: 3.2, current_spot: 100, bid_price: 23.2 });
+        expect(closed).not.toHaveBeenCalled();
+
+        connector.handleContractUpdate({ contract_id: 42, is_sold: 1, status: 'sold', profit: -5.04, sell_price: 14.96, sell_time: START + 90 });
+
+        expect(closed).toHaveBeenCalledWith(expect.objectContaining({ result: 'loss', profit: -5.04, closeReason: 'stop_loss', sellPrice: 14.96 }));
+        expect(connector.activeContracts.size).toBe(0);
+    });
+
+    test('settles a touched barrier early and records the last digit of digit contracts', async () => {
+        const connector = createConnector();
+        const closed = jest.fn();
+        connector.on('trade_closed', closed);
+
+        await connector.executeTrade({ asset: 'R_10', direction: 'ONETOUCH', amount: 10, duration: 300, barrier: '+0.8' });
+        connector.handleContractUpdate({
+            contract_id: 42, is_sold: 1, status: 'won', profit: 9, sell_time: START + 40, date_expiry: START + 300, barrier: '6544.01'
+        });
+        expect(closed.mock.calls[0][0]).toMatchObject({ result: 'win', closeReason: 'barrier_touched', barrierPrice: '6544.01' });
+
+        await connector.executeTrade({ asset: 'R_10', direction: 'DIGITEVEN', amount: 10, duration: 5 });
+        connector.handleContractUpdate({
+            contract_id: 42, is_expired: 1, is_sold: 1, status: 'lost', profit: -10, exit_tick: 6543.2, exit_tick_display_value: '6543.27'
+        });
+        expect(closed.mock.calls[1][0]).toMatchObject({ result: 'loss', closeReason: 'expired', exitDigit: 7 });
+    });
+});
+
+describe('Strategies trading contract families', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const baseConfig = {
+        name: 'Digit_Parity',
+        type: 'momentum',
+        parameters: { oversold: 30, overbought: 70, timeframe: 5 },
+        indicators: ['RSI']
+    };
+
+    test('maps the rule side onto the declared contract', () => {
+        const manager = new StrategyManager();
+        const strategy = manager.createStrategy({
+            ...baseConfig,
+            contract: {
+                call: { type: 'multup', multiplier: 100, takeProfit: 10 },
+                put: { type: 'DIGITODD' }
+            }
+        });
+
+        expect(manager.applyContract(strategy, { direction: 'call', duration: 5 }))
+            .toMatchObject({ side: 'call', direction: 'MULTUP', multiplier: 100, takeProfit: 10 });
+        expect(manager.applyContract(strategy, { direction: 'put', duration: 5 }))
+            .toMatchObject({ side: 'put', direction: 'DIGITODD', duration: 5 });
+
+        const plain = manager.getAllStrategies().find(s => s.name === 'Momentum_RSI');
+        expect(manager.applyContract(plain, { direction: 'put' })).toMatchObject({ direction: 'PUT' });
+    });
+
+    test('rejects contract declarations that could never be bought', () => {
+        const manager = new StrategyManager();
+
+        expect(() => manager.createStrategy({ ...baseConfig, contract: { call: { type: 'DIGITOVER', barrier: 9 } } }))
+            .toThrow('Strategy Digit_Parity call contract: DIGITOVER needs a digit from 0 to 8');
+        expect(() => manager.createStrategy({ ...baseConfig, contract: { up: { type: 'CALL' } } }))
+            .toThrow('Strategy Digit_Parity contract must map call and/or put to a contract');
+    });
+
+    test('the ensemble weighs a contract type against its opposite', async () => {
+        const arbiter = new SignalArbiter({ assetCooldown: 0 });
+        jest.spyOn(arbiter, 'journalDecision').mockResolvedValue();
+        const signal = (strategy, direction, confidence) => ({
+            id: `${strategy}_${direction}`, strategy, strategyId: strategy, asset: 'R_10', direction, confidence
+        });
+
+        const [decision] = await arbiter.arbitrate([
+            signal('A', 'DIGITEVEN', 0.9),
+            signal('B', 'DIGITODD', 0.3),
+            signal('C', 'CALL', 0.5)
+        ], 1000);
+
+        expect(decision.direction).toBe('DIGITEVEN');
+        expect(decision.ensemble.margin).toBeCloseTo(0.5);
+    });
+
+    test('multipliers skip expected-value pricing', async () => {
+        const pricer = connect(new TradePricer(), { platforms: new FakePlatforms() });
+
+        expect(await pricer.evaluate({ asset: 'R_10', direction: 'MULTUP', amount: 10, multiplier: 100 }))
+            .toEqual({ approved: true, reason: 'MULTUP has no fixed payout to price' });
+    });
+});
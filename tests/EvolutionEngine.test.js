@@ -0,0 +1,297 @@
+// tests/EvolutionEngine.test.js
+
+const StrategyManager = require('../src/ai/StrategyManager');
+const EvolutionEngine = require('../src/ai/EvolutionEngine');
+const RiskManager = require('../src/risk/RiskManagers');
+const { BacktestEngine } = require('../src/backtest');
+const { connect, FakeDatabase, FakeRiskManager } = require('./fixtures/testDoubles');
+
+// Adds the strategies table, read back in the shape of DatabaseManager.getStrategyLineage
+class LineageDatabase extends FakeDatabase {
+    constructor() {
+        super();
+        this.strategies = new Map();
+    }
+
+    async saveStrategy(strategy) {
+        this.strategies.set(strategy.id, JSON.parse(JSON.stringify(strategy)));
+    }
+
+    async getStrategyLineage() {
+        return [...this.strategies.values()].map(strategy => {
+            const parent = strategy.evolution.parentStrategy;
+            const parentIds = Array.isArray(parent) ? parent : (parent ? [parent] : []);
+            return {
+                id: strategy.id,
+                name: strategy.name,
+                type: strategy.type,
+                status: strategy.status,
+                generation: strategy.evolution.generation,
+                origin: strategy.evolution.origin || (parentIds.length > 1 ? 'crossover' : parentIds.length === 1 ? 'mutation' : 'seed'),
+                parentIds,
+                fitness: strategy.evolution.fitness || null,
+                bredIn: strategy.evolution.bredIn || null
+            };
+        });
+    }
+}
+
+const seeded = (seed) => () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+// Trends that keep going, separated by noise that does not
+const buildHistory = (random, blocks, { trends = true } = {}) => {
+    const rows = [];
+    let price = 100;
+    for (let block = 0; block < blocks; block++) {
+        const trending = trends && block % 2 === 0;
+        const direction = random() > 0.5 ? 1 : -1;
+        for (let i = 0; i < 40; i++) {
+            price *= trending ? 1 + direction * 0.002 : 1 + (random() - 0.5) * 0.001;
+            rows.push({ price, timestamp: new Date(Date.UTC(2026, 9, 1) + rows.length * 5000) });
+        }
+    }
+    return rows;
+};
+
+const createBacktest = () => new BacktestEngine({
+    createRiskManager: () => {
+        const riskManager = new RiskManager();
+        riskManager.config.dailyTradeLimit = Infinity;
+        riskManager.config.consecutiveLossLimit = Infinity;
+        return riskManager;
+    }
+});
+
+const trendFollower = (name, minMove, entry = { call: 'momentum > minMove', put: 'momentum < -minMove' }) => ({
+    name,
+    type: 'rules',
+    parameters: { minMove, timeframe: 5 },
+    parameterRanges: { minMove: { min: 0, max: 0.02, step: 0.002 } },
+    indicators: ['Price'],
+    rules: { entry },
+    confidence: 0.8
+});
+
+// A population of rule strategies only, so every member can be replayed
+const createSystem = (options = {}) => {
+    const database = new LineageDatabase();
+    const manager = connect(new StrategyManager(), { database, riskManager: new FakeRiskManager() });
+    manager.strategies.clear();
+    manager.activeStrategies.clear();
+    manager.saveStrategies = jest.fn();
+
+    const engine = connect(new EvolutionEngine({
+        backtest: createBacktest(),
+        random: seeded(11),
+        populationSize: 4,
+        eliteCount: 1,
+        minTrades: 5,
+        ...options
+    }), { strategyManager: manager, database });
+    manager.getComponent = name => ({ database, evolution: engine }[name] || null);
+
+    return { database, manager, engine };
+};
+
+const fitness = (expectancy, maxDrawdownPercent, trades) => ({
+    evolution: { fitness: { expectancy, maxDrawdownPercent, trades, score: expectancy - maxDrawdownPercent } }
+});
+
+describe('EvolutionEngine selection', () => {
+    const engine = new EvolutionEngine({ random: seeded(1) });
+
+    test('ranks by Pareto front before the weighted score', () => {
+        const steady = fitness(0.10, 0.01, 40);
+        const lucky = fitness(0.30, 0.05, 8);
+        const dominated = fitness(0.09, 0.02, 30);
+        const untested = { evolution: { fitness: { expectancy: 0, maxDrawdownPercent: 0, trades: 2, score: null } } };
+
+        // lucky and steady trade off against each other; steady beats dominated on every objective
+        expect(engine.rank([untested, dominated, lucky, steady])).toEqual([lucky, steady, dominated, untested]);
+        expect(engine.dominates(steady.evolution.fitness, dominated.evolution.fitness)).toBe(true);
+        expect(engine.dominates(lucky.evolution.fitness, steady.evolution.fitness)).toBe(false);
+    });
+
+    test('tournaments favour the better ranked strategies', () => {
+        const ranked = ['a', 'b', 'c', 'd', 'e', 'f'];
+        const wins = {};
+        for (let i = 0; i < 600; i++) {
+            const winner = engine.tournament(ranked);
+            wins[winner] = (wins[winner] || 0) + 1;
+        }
+        expect(wins.a).toBeGreaterThan(wins.c);
+        expect(wins.c).toBeGreaterThan(wins.f || 0);
+    });
+
+    test('elites survive even when children score higher', () => {
+        const elite = fitness(0.1, 0.02, 20);
+        const weak = fitness(-0.1, 0.2, 20);
+        const children = [fitness(0.5, 0.01, 50), fitness(0.4, 0.01, 50)];
+        const selector = new EvolutionEngine({ populationSize: 2, eliteCount: 1 });
+
+        expect(selector.selectSurvivors([elite, weak], children)).toEqual([elite, children[0]]);
+    });
+});
+
+describe('EvolutionEngine variation', () => {
+    test('crosses rule strategies side by side and keeps the result compilable', () => {
+        const { manager } = createSystem();
+        const engine = new EvolutionEngine({ random: seeded(3) });
+        const first = manager.createStrategy(trendFollower('Trend', 0.004));
+        const second = manager.createStrategy({
+            ...trendFollower('Spread', 0.01, { call: 'spread < maxSpread AND momentum > minMove', put: 'momentum < -minMove' }),
+            parameters: { minMove: 0.01, maxSpread: 0.5, timeframe: 5 }
+        });
+
+        for (let i = 0; i < 20; i++) {
+            const child = engine.crossover(manager, first, second);
+
+            expect([first.rules.entry.call, second.rules.entry.call]).toContain(child.rules.entry.call);
+            expect([0.004, 0.01]).toContain(child.parameters.minMove);
+            expect(child.parameters.maxSpread).toBe(0.5);
+            expect(() => manager.compileStrategyRules(child)).not.toThrow();
+        }
+    });
+
+    test('keeps the first parent logic when built-in types differ', () => {
+        const manager = new StrategyManager();
+        const engine = new EvolutionEngine({ random: () => 0.1 });
+        const momentum = manager.getAllStrategies().find(s => s.name === 'Momentum_RSI');
+        const breakout = manager.getAllStrategies().find(s => s.name === 'Breakout_Volume');
+
+        const child = engine.crossover(manager, momentum, breakout);
+
+        expect(child.type).toBe('momentum');
+        expect(child.rules).toEqual(momentum.rules);
+        expect(Object.keys(child.parameters)).toEqual(Object.keys(momentum.parameters));
+        // timeframe is the only parameter both read
+        expect(child.parameters).toEqual({ ...momentum.parameters, timeframe: breakout.parameters.timeframe });
+    });
+
+    test('children keep the regimes, assets and contract their parent trades', () => {
+        const engine = new EvolutionEngine({ random: seeded(3) });
+        const parent = {
+            ...trendFollower('Trend', 0.004),
+            regimes: ['trending'],
+            assets: ['R_10'],
+            contract: { type: 'ONETOUCH', barrier: '+2' }
+        };
+
+        const child = engine.clone(parent);
+        child.contract.barrier = '+3';
+
+        expect(child).toMatchObject({ regimes: ['trending'], assets: ['R_10'], contract: { type: 'ONETOUCH', barrier: '+3' } });
+        expect(child.regimes).not.toBe(parent.regimes);
+        expect(parent.contract.barrier).toBe('+2');
+    });
+
+    test('mutates inside the declared ranges and on their steps', () => {
+        const engine = new EvolutionEngine({ random: seeded(5), mutationRate: 1 });
+        const manager = new StrategyManager();
+        const momentum = manager.getAllStrategies().find(s => s.name === 'Momentum_RSI');
+
+        for (let i = 0; i < 50; i++) {
+            const child = engine.clone(momentum);
+            expect(engine.mutate(child, true)).toBe(3);
+
+            expect(child.parameters.rsiPeriod).toBeGreaterThanOrEqual(7);
+            expect(child.parameters.rsiPeriod).toBeLessThanOrEqual(28);
+            expect(Number.isInteger(child.parameters.rsiPeriod)).toBe(true);
+            expect(child.parameters.overbought % 5).toBe(0);
+            expect(child.parameters.timeframe).toBe(5);
+        }
+    });
+});
+
+describe('EvolutionEngine generations', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('tests children offline and only lets winners replace members', async () => {
+        const { manager, engine, database } = createSystem();
+        const good = manager.createStrategy(trendFollower('Trend', 0.006));
+        const noisy = manager.createStrategy(trendFollower('Noise', 0));
+        const evaluate = jest.spyOn(engine, 'evaluate');
+
+        const record = await engine.runGeneration({ data: buildHistory(seeded(7), 12) });
+
+        expect(record.generation).toBe(1);
+        expect(record.elites).toEqual(['Trend']);
+        expect(good.status).toBe('active');
+        expect(record.born.length).toBeGreaterThan(0);
+        expect(record.evaluated).toBe(evaluate.mock.calls.length);
+
+        for (const { id } of record.born) {
+            const child = manager.strategies.get(id);
+            const parents = Array.isArray(child.evolution.parentStrategy) ? child.evolution.parentStrategy : [child.evolution.parentStrategy];
+
+            // Every child was replayed before it went live, and beats what it replaced
+            expect(evaluate.mock.calls.some(([, candidate]) => candidate.name === child.name)).toBe(true);
+            expect(child.evolution).toMatchObject({ generation: 2, origin: expect.stringMatching(/mutation|crossover/) });
+            expect(child.evolution.fitness.expectancy).toBeGreaterThan(0);
+            expect(parents.every(parentId => [good.id, noisy.id].includes(parentId))).toBe(true);
+            expect(child.name).toMatch(/^(Trend|Noise)_E1_\d$/);
+            expect(manager.activeStrategies.has(child.id)).toBe(true);
+        }
+        expect(manager.getAllStrategies().filter(s => s.status === 'active').length).toBeLessThanOrEqual(4);
+
+        // Lineage is stored with every member and child
+        const { nodes, roots } = await engine.getLineage();
+        expect(roots).toEqual(expect.arrayContaining([good.id]));
+        expect(nodes[good.id]).toMatchObject({ origin: 'seed', generation: 1 });
+        expect(database.strategies.size).toBe(2 + record.born.length);
+        expect(manager.saveStrategies).toHaveBeenCalled();
+    });
+
+    test('resumes the generation count from the stored lineage after a restart', async () => {
+        const { manager, engine, database } = createSystem();
+        manager.createStrategy(trendFollower('Trend', 0.006));
+        manager.createStrategy(trendFollower('Noise', 0));
+        const data = buildHistory(seeded(7), 12);
+
+        const first = await engine.runGeneration({ data });
+        expect(first.born.length).toBeGreaterThan(0);
+
+        const restarted = connect(new EvolutionEngine({ backtest: createBacktest(), random: seeded(11), populationSize: 4, eliteCount: 1, minTrades: 5 }),
+            { strategyManager: manager, database });
+        await restarted.start();
+        expect(restarted.generation).toBe(1);
+
+        const second = await restarted.runGeneration({ data });
+        expect(second.generation).toBe(2);
+        expect(second.born.every(({ name }) => /_E2_\d$/.test(name))).toBe(true);
+    });
+
+    test('keeps the population when no child is profitable offline', async () => {
+        const { manager, engine } = createSystem();
+        manager.createStrategy(trendFollower('Trend', 0.006));
+        manager.createStrategy(trendFollower('Noise', 0));
+        const count = manager.strategies.size;
+
+        const record = await engine.runGeneration({ data: buildHistory(seeded(8), 12, { trends: false }) });
+
+        expect(record.born).toEqual([]);
+        expect(record.rejected).toBeGreaterThan(0);
+        expect(manager.strategies.size).toBe(count);
+    });
+
+    test('the strategy manager hands evolution cycles to the engine', async () => {
+        const { manager, engine } = createSystem();
+        manager.createStrategy(trendFollower('Trend', 0.006));
+        manager.createStrategy(trendFollower('Noise', 0));
+        jest.spyOn(engine, 'runGeneration').mockResolvedValue({ generation: 1 });
+
+        expect(await manager.runEvolutionCycle()).toEqual({ generation: 1 });
+        expect(engine.runGeneration).toHaveBeenCalledWith({ strategyManager: manager });
+    });
+});
@@ -0,0 +1,127 @@
+// tests/ExitManager.test.js
+
+const ExitManager = require('../src/core/ExitManager');
+const BayneXCore = require('../src/core/BayneXCore');
+const DecisionJournal = require('../src/core/DecisionJournal');
+const RiskManager = require('../src/risk/RiskManagers');
+const { connect, createSignal, FakePlatforms, FakeDatabase, FakeRiskManager } = require('./fixtures/testDoubles');
+
+const createSystem = (exitRules = { profitTarget: 0.8, stopLoss: 0.3 }, options = {}, components = {}) => {
+    const database = new FakeDatabase();
+    const platforms = new FakePlatforms();
+    const journal = connect(new DecisionJournal(), { database });
+    const core = connect(new BayneXCore(), { platforms, database, journal, riskManager: new FakeRiskManager() });
+    const strategyManager = { strategies: new Map([['momentum_1', { id: 'momentum_1', rules: { exit: exitRules } }]]) };
+    const exits = connect(new ExitManager(options), { platforms, core, strategyManager, ...components });
+    return { database, platforms, journal, core, exits };
+};
+
+// A proposal_open_contract update as the connectors forward it
+const update = (trade, bidPrice, extra = {}) => ({
+    contractId: trade.contractId, platform: 'deriv', cost: trade.amount, bidPrice, currentPrice: 100.5, ...extra
+});
+
+describe('ExitManager', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('sells at the profit target and settles through the core like an expiry', async () => {
+        const { platforms, core, database, journal, exits } = createSystem();
+        const closed = jest.fn();
+        core.on('trade_closed', closed);
+        const trade = await core.executeTradeSignal(createSignal({ id: 'SIG_1' }));
+
+        expect(await exits.handleTradeUpdate(update(trade, 17.5), 1000)).toBeNull();
+
+        platforms.saleValue = 18.2;
+        const exit = await exits.handleTradeUpdate(update(trade, 18.1), 2000);
+
+        expect(exit).toMatchObject({ reason: 'profit_target', soldFor: 18.2, profit: 8.2 });
+        expect(platforms.sold).toEqual([{ platform: 'deriv', contractId: trade.contractId }]);
+        expect(closed).toHaveBeenCalledWith(expect.objectContaining({ id: trade.id, profit: 8.2, result: 'win', exitReason: 'profit_target' }));
+        expect(core.activeTrades.size).toBe(0);
+
+        const { entries } = await journal.getDecisionPath('SIG_1');
+        expect(entries[entries.length - 1].data).toMatchObject({ status: 'closed', profit: 8.2, exitReason: 'profit_target' });
+
+        // The platform reporting the sold contract closed does not settle it twice
+        await core.monitorActiveTrades();
+        await core.handleTradeClose(trade, { status: 'closed', profit: 8.2 });
+        expect(database.trades).toHaveLength(1);
+    });
+
+    test('cuts a loss at the strategy stop', async () => {
+        const { platforms, core, exits } = createSystem();
+        const trade = await core.executeTradeSignal(createSignal());
+        platforms.saleValue = 6.9;
+
+        const exit = await exits.handleTradeUpdate(update(trade, 6.95));
+
+        expect(exit).toMatchObject({ reason: 'stop_loss', profit: -3.1 });
+        expect(trade).toMatchObject({ status: 'closed', result: 'loss', exitReason: 'stop_loss' });
+    });
+
+    test('trails the best open profit once it is armed', async () => {
+        const { platforms, core, exits } = createSystem({ trailingStop: 0.1, trailingActivation: 0.2 });
+        const trade = await core.executeTradeSignal(createSignal());
+        platforms.saleValue = 11.9;
+
+        expect(await exits.handleTradeUpdate(update(trade, 11))).toBeNull();
+        expect(await exits.handleTradeUpdate(update(trade, 13))).toBeNull();
+        expect(await exits.handleTradeUpdate(update(trade, 12.5))).toBeNull();
+
+        const exit = await exits.handleTradeUpdate(update(trade, 11.9));
+        expect(exit).toMatchObject({ reason: 'trailing_stop', profit: 1.9 });
+        expect(exit.detail).toBe('Open profit 1.90 fell to the trailing level 2.00');
+    });
+
+    test('follows a risk manager instruction to close', async () => {
+        const riskManager = new RiskManager();
+        riskManager.dailyStats.netPL = -495;
+        const { platforms, core, exits } = createSystem({}, {}, { riskManager });
+        const trade = await core.executeTradeSignal(createSignal());
+        platforms.saleValue = 4;
+
+        const exit = await exits.handleTradeUpdate(update(trade, 4.2));
+
+        expect(exit.reason).toBe('risk');
+        expect(exit.detail).toBe('Daily loss limit reached with open losses: $500.80 of $500');
+    });
+
+    test('waits before retrying a refused sell and respects contracts not valid to sell', async () => {
+        const { platforms, core, exits } = createSystem({ profitTarget: 0.5 }, { retryDelay: 5000 });
+        const trade = await core.executeTradeSignal(createSignal());
+        const failures = jest.fn();
+        exits.on('exit_failed', failures);
+
+        expect(await exits.handleTradeUpdate(update(trade, 16, { validToSell: false }), 0)).toBeNull();
+
+        jest.spyOn(platforms, 'closeContract').mockRejectedValueOnce(new Error('Resale of this contract is not offered.'));
+        expect(await exits.handleTradeUpdate(update(trade, 16), 1000)).toBeNull();
+        expect(failures).toHaveBeenCalledWith(expect.objectContaining({ error: 'Resale of this contract is not offered.' }));
+
+        expect(await exits.handleTradeUpdate(update(trade, 16), 3000)).toBeNull();
+        expect(await exits.handleTradeUpdate(update(trade, 16), 6000)).toMatchObject({ reason: 'profit_target' });
+        expect(exits.getStats()).toMatchObject({ sellFailures: 1, contractsSold: 1, exitsByReason: { profit_target: 1 } });
+    });
+
+    test('listens to the platform open-contract stream once started', async () => {
+        const { platforms, core, exits } = createSystem();
+        const trade = await core.executeTradeSignal(createSignal());
+        const sold = new Promise(resolve => exits.on('contract_sold', resolve));
+        platforms.saleValue = 19;
+
+        await exits.start();
+        platforms.emit('trade_update', update(trade, 19));
+
+        expect(await sold).toMatchObject({ tradeId: trade.id, reason: 'profit_target' });
+        await exits.stop();
+        expect(platforms.listenerCount('trade_update')).toBe(0);
+    });
+});
@@ -0,0 +1,97 @@
+// tests/GoalTracker.test.js
+
+const path = require('path');
+const BayneXGoalTracker = require('../src/goals/GoalTracker');
+
+const createTracker = async () => {
+    const tracker = new BayneXGoalTracker({
+        dataPath: path.join(TEST_CONFIG.PATHS.DATA, 'goals.json'),
+        autoSave: false
+    });
+    await tracker.initialize();
+    return tracker;
+};
+
+const trade = (pnl, overrides = {}) => ({
+    ...testUtils.generateTradeData(),
+    result: pnl > 0 ? 'win' : 'loss',
+    pnl,
+    timestamp: Date.now(),
+    ...overrides
+});
+
+describe('BayneXGoalTracker progress', () => {
+    let tracker;
+
+    beforeEach(async () => {
+        tracker = await createTracker();
+    });
+
+    afterEach(async () => {
+        await tracker.cleanup();
+    });
+
+    test('creates goals with milestones and rejects invalid ones', () => {
+        const goal = tracker.createDailyProfitGoal(10);
+
+        expect(goal).toBeValidGoalData();
+        expect(goal).toMatchObject({ type: 'daily_profit', targetValue: 10, currentValue: 0, progress: 0, status: 'active' });
+        expect(goal.milestones.map(milestone => milestone.description)).toEqual([
+            '25% milestone: $2.50',
+            '50% milestone: $5.00',
+            '75% milestone: $7.50',
+            '90% milestone: $9.00'
+        ]);
+
+        expect(() => tracker.createGoal({ title: 'Bad', type: 'bogus', targetValue: 1 })).toThrow('Valid goal type is required');
+        expect(() => tracker.createGoal({ title: 'Bad', type: 'custom', targetValue: 0 })).toThrow('Target value must be positive');
+        expect(() => tracker.createGoal({ title: '', type: 'custom', targetValue: 1 })).toThrow('Goal title is required');
+    });
+
+    test('accumulates trade P&L into profit goals and announces each milestone once', () => {
+        const goal = tracker.createDailyProfitGoal(10);
+        const milestones = jest.fn();
+        tracker.on('milestone_reached', milestones);
+
+        tracker.onTradeExecuted(trade(3));
+        tracker.onTradeExecuted(trade(-1));
+        tracker.onTradeExecuted(trade(4.5));
+
+        expect(goal.currentValue).toBe(6.5);
+        expect(goal.progress).toBe(65);
+        expect(milestones.mock.calls.map(([event]) => event.milestone)).toEqual([25, 50]);
+
+        // Trades from another day do not count toward a daily goal
+        tracker.onTradeExecuted(trade(5, { timestamp: Date.now() - 3 * 24 * 60 * 60 * 1000 }));
+        expect(goal.currentValue).toBe(6.5);
+    });
+
+    test('completes a goal when the target is reached and updates statistics', () => {
+        const goal = tracker.createDailyProfitGoal(5);
+        const completed = jest.fn();
+        tracker.on('goal_completed', completed);
+
+        tracker.onTradeExecuted(trade(6));
+
+        expect(completed).toHaveBeenCalledWith(expect.objectContaining({ id: goal.id, status: 'completed', progress: 100 }));
+        expect(tracker.goals.has(goal.id)).toBe(false);
+        expect(tracker.completedGoals.get(goal.id)).toBe(goal);
+        expect(tracker.statistics).toMatchObject({ totalGoalsCreated: 1, totalGoalsCompleted: 1 });
+    });
+
+    test('tracks win rate, trade count and balance goals from their own inputs', () => {
+        const winRate = tracker.createWinRateGoal(80);
+        const tradeCount = tracker.createGoal({ title: 'Ten trades', type: 'trade_count', targetValue: 10 });
+        const balance = tracker.createBalanceTargetGoal(2000);
+
+        tracker.onTradeExecuted(trade(-1));
+        tracker.onTradeExecuted(trade(1));
+        tracker.onTradeExecuted(trade(1));
+        tracker.onBalanceUpdate({ totalBalance: 1500 });
+
+        expect(winRate.metadata).toMatchObject({ totalTrades: 3, wins: 2 });
+        expect(winRate.currentValue).toBeCloseTo(66.67, 2);
+        expect(tradeCount.currentValue).toBe(3);
+        expect(balance.progress).toBe(75);
+    });
+});
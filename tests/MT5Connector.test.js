@@ -0,0 +1,81 @@
+// tests/MT5Connector.test.js
+
+const MT5Connector = require('../src/platforms/MT5Connector');
+const MT5BridgeServer = require('../scripts/mt5-bridge');
+
+describe('MT5Connector against the stand-in bridge', () => {
+    let bridge;
+    let connector;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        bridge = new MT5BridgeServer({ port: 0, tickInterval: 0 });
+        const port = await bridge.start();
+        connector = new MT5Connector({ port, login: 1001, server: 'Demo', volumePerUnit: 0.01 });
+        await connector.connect();
+    });
+
+    afterEach(async () => {
+        await connector.disconnect();
+        await bridge.stop();
+        jest.restoreAllMocks();
+    });
+
+    const closed = () => new Promise(resolve => connector.once('trade_closed', resolve));
+
+    test('loses no more than the stake when the market runs against it', async () => {
+        const trade = await connector.executeTrade({ asset: 'frxEURUSD', direction: 'CALL', amount: 5, duration: 300, strategy: 'Momentum_RSI' });
+
+        // 0.05 lots of EURUSD lose $5 over 10 pips, the spread included
+        expect(trade).toMatchObject({ volume: 0.05, entryPrice: 1.1001, stopLoss: 1.0991, maxLoss: 5 });
+
+        const settled = closed();
+        bridge.setPrice('EURUSD', 1.089);
+
+        expect(await settled).toMatchObject({ contractId: trade.contractId, result: 'loss', profit: -5, exitPrice: 1.0991 });
+        expect(bridge.balance).toBe(9995);
+    });
+
+    test('places the stop of a short above the entry', async () => {
+        const trade = await connector.executeTrade({ asset: 'R_50', direction: 'PUT', amount: 2, duration: 300 });
+
+        // 0.02 lots of an index with a contract size of 1: $2 is 100 points
+        expect(trade).toMatchObject({ entryPrice: 250, stopLoss: 350 });
+
+        const settled = closed();
+        bridge.setPrice('Volatility 50 Index', 400);
+        expect((await settled).profit).toBe(-2);
+    });
+
+    test('closes at expiry with the market P/L when the stop is not reached', async () => {
+        const trade = await connector.executeTrade({ asset: 'frxEURUSD', direction: 'PUT', amount: 5, duration: 300 });
+        bridge.setPrice('EURUSD', 1.0995);
+
+        const settled = closed();
+        await connector.closeTrade(trade.contractId);
+
+        expect(await settled).toMatchObject({ result: 'win', profit: 2 });
+    });
+
+    test('refuses contracts a position cannot reproduce', async () => {
+        await expect(connector.executeTrade({ asset: 'frxEURUSD', direction: 'ONETOUCH', amount: 5, barrier: '+0.001' }))
+            .rejects.toThrow('MT5 trades CALL or PUT only, not ONETOUCH');
+        await expect(connector.executeTrade({ asset: 'frxEURUSD', direction: 'CALL', amount: 5, barrier: '+0.001' }))
+            .rejects.toThrow('MT5 cannot trade contracts with a barrier');
+        expect(bridge.positions.size).toBe(0);
+    });
+
+    test('names the strategy in the order comment', async () => {
+        await connector.executeTrade({ asset: 'frxEURUSD', direction: 'CALL', amount: 1, strategy: { id: 'momentum_1', name: 'Momentum_RSI' } });
+        await connector.executeTrade({ asset: 'frxEURUSD', direction: 'CALL', amount: 1, strategy: 'A_strategy_with_a_very_long_name' });
+
+        expect(Array.from(bridge.positions.values()).map(position => position.comment))
+            .toEqual(['BAYNEX Momentum_RSI', 'BAYNEX A_strategy_with_a_very_l']);
+    });
+
+    test('survives a socket error nobody listens for', () => {
+        expect(() => connector.socket.emit('error', new Error('ECONNRESET'))).not.toThrow();
+    });
+});
@@ -0,0 +1,244 @@
+// tests/ModelRegistry.test.js
+
+const fs = require('fs');
+const path = require('path');
+const ModelRegistry = require('../src/ai/ModelRegistry');
+const AILearningEngine = require('../src/ai/AILearningEngine');
+const NeuralNetwork = require('../src/ai/NeuralNetwork');
+
+let directoryCount = 0;
+const createDirectory = () => path.join(TEST_CONFIG.PATHS.DATA, `models-${process.pid}-${directoryCount++}`);
+
+const createNetwork = () => NeuralNetwork.createNetwork({ layers: [2, 3, 1], activations: ['relu', 'sigmoid'] });
+
+describe('ModelRegistry versions', () => {
+    test('stores each version with its training window, hyperparameters and metrics', async () => {
+        const directory = createDirectory();
+        const registry = new ModelRegistry({ directory });
+        await registry.load();
+
+        const network = createNetwork();
+        const entry = await registry.register('risk_assessment', { ...network, metrics: { validationAccuracy: 0.6 } }, {
+            trainingWindow: { examples: 120, from: '2026-10-01T00:00:00.000Z', to: '2026-10-02T00:00:00.000Z' },
+            hyperparameters: { optimizer: 'adam', learningRate: 0.001 }
+        });
+
+        expect(entry).toMatchObject({
+            version: 1,
+            status: 'candidate',
+            parentVersion: null,
+            trainingWindow: { examples: 120 },
+            hyperparameters: { optimizer: 'adam', learningRate: 0.001 },
+            metrics: { validationAccuracy: 0.6 }
+        });
+
+        const loaded = await registry.loadNetwork('risk_assessment', 1);
+        expect(loaded.weights).toEqual(network.weights);
+        expect(loaded).toMatchObject({ version: 1, metrics: { validationAccuracy: 0.6 } });
+
+        // The index survives a restart
+        const reopened = new ModelRegistry({ directory });
+        await reopened.load();
+        expect(reopened.getModel('risk_assessment')).toMatchObject({ candidate: 1, live: null, nextVersion: 2 });
+    });
+
+    test('promotes, supersedes and rolls back versions', async () => {
+        const registry = new ModelRegistry({ directory: createDirectory() });
+        await registry.load();
+
+        for (let i = 0; i < 3; i++) await registry.register('pattern_recognition', createNetwork());
+        expect(registry.getVersion('pattern_recognition', 1).status).toBe('superseded');
+
+        await registry.promote('pattern_recognition', 2);
+        await registry.promote('pattern_recognition', 3, 'shadow evaluation');
+        expect(registry.getModel('pattern_recognition')).toMatchObject({ live: 3, candidate: null });
+        expect(registry.getVersion('pattern_recognition', 2).status).toBe('retired');
+
+        const restored = await registry.rollback('pattern_recognition');
+        expect(restored).toMatchObject({ version: 2, status: 'live' });
+        expect(registry.getVersion('pattern_recognition', 3).status).toBe('rolled_back');
+        expect(registry.getModel('pattern_recognition').promotions.map(p => p.reason))
+            .toEqual(['manual', 'shadow evaluation', 'rollback from v3']);
+
+        await expect(registry.rollback('pattern_recognition', 2)).rejects.toThrow('Version 2 of model pattern_recognition is already live');
+        await expect(registry.promote('pattern_recognition', 9)).rejects.toBeInstanceOf(ModelRegistry.RegistryError);
+    });
+
+    test('prunes old versions but keeps the live one and its rollback target', async () => {
+        const directory = createDirectory();
+        const registry = new ModelRegistry({ directory, maxVersions: 3 });
+        await registry.load();
+
+        await registry.register('risk_assessment', createNetwork());
+        await registry.promote('risk_assessment', 1);
+        await registry.register('risk_assessment', createNetwork());
+        await registry.promote('risk_assessment', 2);
+        for (let i = 0; i < 4; i++) await registry.register('risk_assessment', createNetwork());
+
+        expect(registry.listVersions('risk_assessment').map(entry => entry.version)).toEqual([1, 2, 6]);
+        expect(fs.existsSync(path.join(directory, 'risk_assessment', 'v3.json'))).toBe(false);
+        expect(fs.existsSync(path.join(directory, 'risk_assessment', 'v1.json'))).toBe(true);
+    });
+
+    test('decides on a candidate from its shadow record', async () => {
+        const registry = new ModelRegistry({ directory: createDirectory(), minShadowSamples: 4 });
+        await registry.load();
+
+        await registry.register('direction_prediction', createNetwork());
+        expect(registry.evaluateCandidate('direction_prediction').decision).toBe('promote');
+        await registry.promote('direction_prediction', 1);
+
+        await registry.register('direction_prediction', createNetwork());
+        registry.recordShadowOutcome('direction_prediction', { live: 0.7, candidate: 0.6, actual: 1 });
+        expect(registry.evaluateCandidate('direction_prediction').decision).toBe('pending');
+
+        registry.recordShadowOutcome('direction_prediction', { live: 0.7, candidate: 0.2, actual: 0 });
+        registry.recordShadowOutcome('direction_prediction', { live: 0.3, candidate: 0.8, actual: 1 });
+        registry.recordShadowOutcome('direction_prediction', { live: 0.4, candidate: 0.9, actual: 1 });
+
+        expect(registry.evaluateCandidate('direction_prediction')).toEqual({
+            decision: 'promote',
+            version: 2,
+            shadow: { samples: 4, liveCorrect: 1, candidateCorrect: 4, liveAccuracy: 0.25, candidateAccuracy: 1 }
+        });
+    });
+});
+
+describe('AILearningEngine shadow evaluation', () => {
+    const createEngine = async (directory, registryOptions = {}) => {
+        const engine = new AILearningEngine();
+        engine.isLearningEnabled = true;
+        engine.registry = new ModelRegistry({ directory, ...registryOptions });
+        engine.config.shadowHorizon = 0;
+        await engine.initializeNetworks();
+        await engine.loadRegisteredModels();
+        return engine;
+    };
+
+    // A direction model that always answers the same probability
+    const addVersion = async (engine, output) => {
+        const network = JSON.parse(JSON.stringify(engine.networks.get('direction_prediction')));
+        const last = network.weights.length - 1;
+        network.weights[last].forEach(row => row.fill(0));
+        network.bias[last][0] = output;
+        network.trained = true;
+
+        const entry = await engine.registry.register('direction_prediction', network);
+        network.version = entry.version;
+        engine.candidates.set('direction_prediction', network);
+        await engine.reviewCandidate('direction_prediction');
+        return entry.version;
+    };
+
+    // Predict, then let the price rise so every prediction resolves as "up"
+    const risingMarket = async (engine, predictions) => {
+        let price = 100;
+        for (let i = 0; i < 10; i++) engine.processMarketData({ asset: 'R_10', price: price++ });
+
+        const served = [];
+        for (let i = 0; i < predictions; i++) {
+            served.push(await engine.predictTradeDirection({ asset: 'R_10', price }));
+            engine.processMarketData({ asset: 'R_10', price: ++price });
+        }
+        return served;
+    };
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('keeps serving the live model while a better candidate earns its promotion', async () => {
+        const directory = createDirectory();
+        const engine = await createEngine(directory, { minShadowSamples: 5 });
+
+        // The first version goes live right away
+        expect(await addVersion(engine, -6)).toBe(1);
+        expect(engine.networks.get('direction_prediction').version).toBe(1);
+
+        await addVersion(engine, 6);
+        const promoted = new Promise(resolve => engine.once('model_promoted', resolve));
+        const served = await risingMarket(engine, 5);
+
+        expect(served.every(prediction => prediction.version === 1 && prediction.direction === 'put')).toBe(true);
+        expect(await promoted).toMatchObject({
+            name: 'direction_prediction',
+            version: 2,
+            reason: 'shadow evaluation',
+            shadow: { samples: 5, liveAccuracy: 0, candidateAccuracy: 1 }
+        });
+        expect(engine.networks.get('direction_prediction').version).toBe(2);
+        expect(engine.candidates.has('direction_prediction')).toBe(false);
+
+        // After a restart the promoted version is live, and it can be rolled back
+        const restarted = await createEngine(directory);
+        expect(restarted.networks.get('direction_prediction').version).toBe(2);
+
+        await restarted.rollbackModel('direction_prediction');
+        expect(restarted.networks.get('direction_prediction').version).toBe(1);
+        expect(restarted.getModelVersions().models.direction_prediction).toMatchObject({ live: 1, candidate: null });
+    });
+
+    test('rejects a candidate that does worse on real outcomes', async () => {
+        const engine = await createEngine(createDirectory(), { minShadowSamples: 3 });
+        await addVersion(engine, 6);
+        await addVersion(engine, -6);
+
+        const rejected = new Promise(resolve => engine.once('model_rejected', resolve));
+        await risingMarket(engine, 3);
+
+        expect(await rejected).toMatchObject({
+            version: 2,
+            reason: 'Shadow accuracy 0.0% vs live 100.0% over 3 outcomes'
+        });
+        expect(engine.networks.get('direction_prediction').version).toBe(1);
+        expect(engine.registry.getVersion('direction_prediction', 2).status).toBe('rejected');
+    });
+
+    test('compares candidates on labelled trade outcomes', async () => {
+        const engine = await createEngine(createDirectory(), { minShadowSamples: 10 });
+        const live = engine.networks.get('risk_assessment');
+        live.trained = true;
+        live.version = (await engine.registry.register('risk_assessment', live)).version;
+        await engine.registry.promote('risk_assessment', live.version);
+
+        const candidate = JSON.parse(JSON.stringify(live));
+        candidate.version = (await engine.registry.register('risk_assessment', candidate)).version;
+        engine.candidates.set('risk_assessment', candidate);
+
+        engine.recordTradeExecution({ id: 't1', asset: 'R_10', direction: 'CALL', amount: 10 });
+        await engine.learnFromTradeOutcome({ id: 't1', direction: 'CALL', result: 'loss' });
+
+        expect(engine.registry.getVersion('risk_assessment', 2).shadow.samples).toBe(1);
+
+        // Saved with the outcome, not only when the engine stops
+        const reopened = new ModelRegistry({ directory: engine.registry.config.directory });
+        await reopened.load();
+        expect(reopened.getVersion('risk_assessment', 2).shadow.samples).toBe(1);
+    });
+
+    test('judges pattern recognition on trade results, not on the next price move', async () => {
+        const engine = await createEngine(createDirectory(), { minShadowSamples: 10 });
+        const live = engine.networks.get('pattern_recognition');
+        live.trained = true;
+        live.version = (await engine.registry.register('pattern_recognition', live)).version;
+        await engine.registry.promote('pattern_recognition', live.version);
+
+        const candidate = JSON.parse(JSON.stringify(live));
+        candidate.version = (await engine.registry.register('pattern_recognition', candidate)).version;
+        engine.candidates.set('pattern_recognition', candidate);
+
+        const served = await risingMarket(engine, 3);
+        expect(served.every(prediction => prediction.model === 'pattern_recognition')).toBe(true);
+        expect(engine.shadowPredictions).toEqual([]);
+        expect(engine.registry.getVersion('pattern_recognition', 2).shadow.samples).toBe(0);
+
+        engine.recordTradeExecution({ id: 't1', asset: 'R_10', direction: 'CALL', amount: 10 });
+        await engine.learnFromTradeOutcome({ id: 't1', direction: 'CALL', result: 'win' });
+
+        expect(engine.registry.getVersion('pattern_recognition', 2).shadow).toMatchObject({ samples: 1 });
+    });
+});
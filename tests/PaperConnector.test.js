@@ -0,0 +1,166 @@
+// tests/PaperConnector.test.js
+
+const PaperConnector = require('../src/platforms/PaperConnector');
+
+const START = Date.UTC(2026, 9, 19, 12, 0);
+
+const createConnector = (options = {}) => new PaperConnector({ syntheticFeed: false, tickInterval: 1000, payout: 0.85, ...options });
+
+// One tick a second from START + offset seconds
+const feed = (connector, prices, offset = 0, asset = 'R_10') => {
+    prices.forEach((price, i) => connector.feedTick({ asset, price, timestamp: START + (offset + i) * 1000 }));
+};
+
+// Ten one-point moves, ending at 1000, so barrier contracts can be priced
+const warmUp = (connector) => feed(connector, [1000, 1001, 1000, 1001, 1000, 1001, 1000, 1001, 1000, 1001, 1000]);
+
+describe('PaperConnector contract families', () => {
+    let connector;
+    let closed;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        connector = createConnector();
+        closed = new Map();
+        connector.on('trade_closed', trade => closed.set(trade.contractId, trade));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('quotes every family at the same return on stake', async () => {
+        const quote = params => connector.getProposal({ asset: 'R_10', amount: 10, ...params });
+
+        expect(await quote({ direction: 'CALL' })).toMatchObject({ payout: 18.5, payoutRatio: 0.85 });
+
+        // An even bet returns 92.5%, so a one-in-ten digit match pays 9.25 times the stake
+        expect(await quote({ direction: 'DIGITMATCH', barrier: 3, duration: 5, durationUnit: 't' })).toMatchObject({ payout: 92.5 });
+        expect(await quote({ direction: 'DIGITDIFF', barrier: 3, duration: 5, durationUnit: 't' })).toMatchObject({ payout: 10.28 });
+        expect(await quote({ direction: 'MULTUP', multiplier: 10 })).toMatchObject({ payout: null, payoutRatio: null });
+
+        await expect(quote({ direction: 'ONETOUCH', barrier: '+2' })).rejects.toThrow('No market data for R_10 - feed ticks before pricing');
+
+        warmUp(connector);
+        const touch = await quote({ direction: 'ONETOUCH', barrier: '+2', duration: 10 });
+        const noTouch = await quote({ direction: 'NOTOUCH', barrier: '+2', duration: 10 });
+        expect(touch.payoutRatio).toBeGreaterThan(0);
+        expect(noTouch.payoutRatio).toBeGreaterThan(0);
+        expect(touch.payoutRatio).toBeLessThan(noTouch.payoutRatio);
+    });
+
+    test('refuses contracts the platform does not offer', async () => {
+        feed(connector, [1000]);
+
+        await expect(connector.executeTrade({ asset: 'R_10', direction: 'DIGITMATCH', amount: 10, barrier: 3, duration: 300 }))
+            .rejects.toThrow('DIGITMATCH contracts last 1 to 10 ticks');
+        await expect(connector.executeTrade({ asset: 'R_10', direction: 'EXPIRYRANGE', amount: 10, barrier: '+2', duration: 10 }))
+            .rejects.toThrow('EXPIRYRANGE needs a high barrier and a low barrier2');
+        // A barrier contract cannot be priced before the feed shows how the asset moves
+        await expect(connector.executeTrade({ asset: 'R_10', direction: 'ONETOUCH', amount: 10, barrier: '+2', duration: 10 }))
+            .rejects.toThrow('Not enough ticks on R_10 to price ONETOUCH');
+
+        expect(connector.activeContracts.size).toBe(0);
+        expect(connector.balance).toBe(10000);
+    });
+
+    test('refuses barriers already touched at the entry spot', async () => {
+        warmUp(connector);
+        const touch = { asset: 'R_10', amount: 10, duration: 10 };
+
+        await expect(connector.executeTrade({ ...touch, direction: 'NOTOUCH', barrier: '+0' }))
+            .rejects.toThrow('NOTOUCH barrier cannot sit on the entry spot');
+        // An absolute barrier is only known to sit on the spot once the spot is
+        await expect(connector.executeTrade({ ...touch, direction: 'NOTOUCH', barrier: 1000 }))
+            .rejects.toThrow('NOTOUCH barrier cannot sit on the entry spot');
+        await expect(connector.getProposal({ ...touch, direction: 'ONETOUCH', barrier: 1000 }))
+            .rejects.toThrow('ONETOUCH barrier cannot sit on the entry spot');
+        await expect(connector.executeTrade({ ...touch, direction: 'RANGE', barrier: '+5', barrier2: '+1' }))
+            .rejects.toThrow('RANGE needs the entry spot 1000 inside its barriers');
+
+        expect(connector.activeContracts.size).toBe(0);
+        expect(connector.balance).toBe(10000);
+    });
+
+    test('settles touch contracts on the first touch and the rest at expiry', async () => {
+        warmUp(connector);
+        const contract = { asset: 'R_10', amount: 10, duration: 10 };
+
+        const noTouch = await connector.executeTrade({ ...contract, direction: 'NOTOUCH', barrier: '+2' });
+        const touch = await connector.executeTrade({ ...contract, direction: 'ONETOUCH', barrier: '-2' });
+        const call = await connector.executeTrade({ ...contract, direction: 'CALL' });
+        const put = await connector.executeTrade({ ...contract, direction: 'PUT' });
+
+        // Reaching the barrier exactly counts as a touch
+        feed(connector, [1001, 1002], 11);
+        expect(closed.get(noTouch.contractId)).toMatchObject({ result: 'loss', profit: -10, exitPrice: 1002 });
+        expect(closed.has(touch.contractId)).toBe(false);
+
+        // Ending on the entry spot wins neither a rise nor a fall; the untouched ONETOUCH expires worthless
+        feed(connector, [1000], 20);
+        expect(closed.get(touch.contractId)).toMatchObject({ result: 'loss', profit: -10 });
+        expect(closed.get(call.contractId)).toMatchObject({ result: 'loss', profit: -10 });
+        expect(closed.get(put.contractId)).toMatchObject({ result: 'loss', profit: -10 });
+        expect(connector.balance).toBe(10000 - 40);
+    });
+
+    test('settles digit contracts on the last digit after their ticks', async () => {
+        feed(connector, [1000]);
+        const digits = { asset: 'R_10', amount: 10, duration: 3, durationUnit: 't' };
+
+        const match = await connector.executeTrade({ ...digits, direction: 'DIGITMATCH', barrier: 7 });
+        const odd = await connector.executeTrade({ ...digits, direction: 'DIGITODD' });
+        const under = await connector.executeTrade({ ...digits, direction: 'DIGITUNDER', barrier: 5 });
+
+        feed(connector, [1000.11, 1000.25], 1);
+        expect(closed.size).toBe(0);
+
+        feed(connector, [1000.37], 3);
+        expect(closed.get(match.contractId)).toMatchObject({ result: 'win', profit: 82.5 });
+        expect(closed.get(odd.contractId)).toMatchObject({ result: 'win', profit: 8.5 });
+        expect(closed.get(under.contractId)).toMatchObject({ result: 'loss', profit: -10 });
+        expect(connector.balance).toBe(10000 + 82.5 + 8.5 - 10);
+    });
+
+    test('settles range contracts at expiry or on the first touch', async () => {
+        warmUp(connector);
+        const range = { asset: 'R_10', amount: 10, barrier: '+3', barrier2: '-3', duration: 10 };
+
+        const endsIn = await connector.executeTrade({ ...range, direction: 'EXPIRYRANGE' });
+        const endsOut = await connector.executeTrade({ ...range, direction: 'EXPIRYMISS' });
+        const stays = await connector.executeTrade({ ...range, direction: 'RANGE' });
+        const breaks = await connector.executeTrade({ ...range, direction: 'UPORDOWN' });
+        expect(endsIn).toMatchObject({ barrier: 1003, barrier2: 997 });
+
+        feed(connector, [1002, 1003.5], 11);
+        expect(closed.get(stays.contractId)).toMatchObject({ result: 'loss', profit: -10 });
+        expect(closed.get(breaks.contractId).result).toBe('win');
+        expect(closed.has(endsIn.contractId)).toBe(false);
+
+        feed(connector, [1002], 20);
+        expect(closed.get(endsIn.contractId)).toMatchObject({ result: 'win', exitPrice: 1002 });
+        expect(closed.get(endsIn.contractId).profit).toBe(endsIn.payout - 10);
+        expect(closed.get(endsOut.contractId).result).toBe('loss');
+    });
+
+    test('closes multipliers at their take profit or when the stake is gone', async () => {
+        feed(connector, [1000]);
+
+        const up = await connector.executeTrade({ asset: 'R_10', direction: 'MULTUP', amount: 10, multiplier: 10, takeProfit: 5 });
+        const down = await connector.executeTrade({ asset: 'R_10', direction: 'MULTDOWN', amount: 10, multiplier: 100 });
+        expect(up).toMatchObject({ payout: null, expiryTime: null });
+
+        // +0.3%: 10 x 10 x 0.003 for the rise, -3 for the fall
+        feed(connector, [1003], 1);
+        expect(connector.activeContracts.get(up.contractId).currentProfit).toBe(0.3);
+        expect(connector.activeContracts.get(down.contractId).currentProfit).toBe(-3);
+
+        // +6% pays the rise 6 and would cost the fall 60, more than its stake
+        feed(connector, [1060], 2);
+        expect(closed.get(up.contractId)).toMatchObject({ result: 'win', profit: 6 });
+        expect(closed.get(down.contractId)).toMatchObject({ result: 'loss', profit: -10 });
+        expect(connector.balance).toBe(10000 + 6 - 10);
+    });
+});
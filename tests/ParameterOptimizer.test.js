@@ -0,0 +1,255 @@
+// tests/ParameterOptimizer.test.js
+
+const StrategyManager = require('../src/ai/StrategyManager');
+const RiskManager = require('../src/risk/RiskManagers');
+const { BacktestEngine, ParameterOptimizer } = require('../src/backtest');
+const { BayneXWebModule } = require('../src/web');
+const { connect, FakeDatabase, FakeRiskManager } = require('./fixtures/testDoubles');
+const { serve } = require('./fixtures/http');
+
+const seeded = (seed) => () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+// Alternating blocks: steady trends that keep going, and small noise that does not.
+// Following momentum pays only once the move is big enough to be a trend.
+const buildHistory = (random, blocks, { trends = true } = {}) => {
+    const rows = [];
+    let price = 100;
+    for (let block = 0; block < blocks; block++) {
+        const trending = trends && block % 2 === 0;
+        const direction = random() > 0.5 ? 1 : -1;
+        for (let i = 0; i < 40; i++) {
+            price *= trending ? 1 + direction * 0.002 : 1 + (random() - 0.5) * 0.001;
+            rows.push({ price, timestamp: new Date(Date.UTC(2026, 9, 1) + rows.length * 5000) });
+        }
+    }
+    return rows;
+};
+
+// Daily caps and loss streak locks would hide how each parameter set trades
+const createBacktest = () => new BacktestEngine({
+    createRiskManager: () => {
+        const riskManager = new RiskManager();
+        riskManager.config.dailyTradeLimit = Infinity;
+        riskManager.config.consecutiveLossLimit = Infinity;
+        return riskManager;
+    }
+});
+
+const createManager = () => {
+    const manager = connect(new StrategyManager(), {
+        database: new FakeDatabase(),
+        riskManager: new FakeRiskManager()
+    });
+    manager.saveStrategies = jest.fn();
+
+    const strategy = manager.createStrategy({
+        name: 'Trend_Follower',
+        type: 'rules',
+        parameters: { minMove: 0, timeframe: 5 },
+        parameterRanges: { minMove: { min: 0, max: 0.02, step: 0.004 } },
+        indicators: ['Price'],
+        rules: { entry: { call: 'momentum > minMove', put: 'momentum < -minMove' } },
+        confidence: 0.8
+    });
+
+    return { manager, strategy };
+};
+
+describe('ParameterOptimizer search spaces', () => {
+    const optimizer = new ParameterOptimizer({ random: seeded(1) });
+    const ranges = {
+        rsiPeriod: { min: 7, max: 28, step: 7 },
+        standardDeviations: { min: 1.5, max: 3, step: 0.5 }
+    };
+
+    test('enumerates the grid on the declared steps', () => {
+        const points = optimizer.gridPoints(ranges);
+
+        expect(points).toHaveLength(16);
+        expect(points[0]).toEqual({ rsiPeriod: 7, standardDeviations: 1.5 });
+        expect(points.map(p => p.standardDeviations).slice(0, 4)).toEqual([1.5, 2, 2.5, 3]);
+        expect(() => new ParameterOptimizer({ maxGridSize: 10 }).gridPoints(ranges)).toThrow('exceeds the limit of 10');
+    });
+
+    test('samples and snaps values inside their ranges', () => {
+        for (let i = 0; i < 50; i++) {
+            const { rsiPeriod, standardDeviations } = optimizer.sample(ranges);
+            expect([7, 14, 21, 28]).toContain(rsiPeriod);
+            expect([1.5, 2, 2.5, 3]).toContain(standardDeviations);
+        }
+        expect(optimizer.snap(ranges.rsiPeriod, 40)).toBe(28);
+        expect(optimizer.snap(ranges.standardDeviations, 2.2)).toBe(2);
+    });
+
+    test('the Bayesian step proposes a new point near the best region', () => {
+        const range = { x: { min: 0, max: 1, step: 0.01 } };
+        const observations = [0.05, 0.3, 0.5, 0.62, 0.95].map(x => ({ parameters: { x }, score: -((x - 0.7) ** 2) }));
+        const seen = new Map(observations.map(o => [JSON.stringify(o.parameters), o]));
+
+        const suggestion = optimizer.suggestBayesian(range, observations, seen);
+
+        expect(seen.has(JSON.stringify(suggestion))).toBe(false);
+        expect(Math.abs(suggestion.x - 0.7)).toBeLessThan(0.15);
+    });
+
+    test('rejects strategies without usable ranges', async () => {
+        const { manager } = createManager();
+        const momentum = manager.getAllStrategies().find(s => s.name === 'Momentum_RSI');
+        const adaptive = manager.getAllStrategies().find(s => s.name === 'AI_Adaptive');
+
+        expect(momentum.parameterRanges.rsiPeriod).toEqual({ min: 7, max: 28, step: 1 });
+        await expect(optimizer.optimizeStrategy(adaptive.id, { strategyManager: manager, data: [] }))
+            .rejects.toThrow('Strategy AI_Adaptive declares no parameterRanges to optimize');
+        await expect(optimizer.optimizeStrategy(momentum.id, {
+            strategyManager: manager, data: [], ranges: { rsiPeriod: { min: 20, max: 10, step: 1 } }
+        })).rejects.toThrow('Invalid range for Momentum_RSI.rsiPeriod');
+    });
+});
+
+describe('ParameterOptimizer walk-forward runs', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test.each(['grid', 'random', 'bayesian'])('writes back a set that wins out of sample (%s)', async (method) => {
+        const { manager, strategy } = createManager();
+        const optimizer = new ParameterOptimizer({ backtest: createBacktest(), random: seeded(2), evaluations: 6, windows: 3 });
+        const data = buildHistory(seeded(3), 30);
+
+        const report = await optimizer.optimizeStrategy(strategy.id, { strategyManager: manager, data, method });
+
+        expect(report.windows).toHaveLength(3);
+        for (const window of report.windows) {
+            // Every parameter set is judged on rows it was not chosen on
+            expect(window.outOfSample.from.getTime()).toBeGreaterThan(window.inSample.to.getTime());
+        }
+        expect(report.outOfSample.expectancy).toBeGreaterThan(0);
+        expect(report.outOfSample.score).toBeGreaterThan(report.baseline.score);
+        expect(report.accepted).toBe(true);
+
+        expect(strategy.parameters.minMove).toBeGreaterThan(0);
+        expect(strategy.parameters.timeframe).toBe(5);
+        expect(strategy.optimization).toMatchObject({
+            source: 'walk_forward_optimizer',
+            method,
+            previousParameters: { minMove: 0, timeframe: 5 },
+            outOfSample: { score: expect.any(Number) }
+        });
+        expect(strategy.evolution.evolutionHistory).toEqual([
+            expect.objectContaining({ type: 'optimization', method, parameters: report.parameters })
+        ]);
+        expect(manager.saveStrategies).toHaveBeenCalledTimes(1);
+    });
+
+    test('keeps the current parameters when nothing beats them out of sample', async () => {
+        const { manager, strategy } = createManager();
+        const optimizer = new ParameterOptimizer({ backtest: createBacktest(), random: seeded(4), evaluations: 6, windows: 3 });
+        const data = buildHistory(seeded(5), 30, { trends: false });
+
+        const report = await optimizer.optimizeStrategy(strategy.id, { strategyManager: manager, data, method: 'grid' });
+
+        expect(report.accepted).toBe(false);
+        expect(strategy.parameters.minMove).toBe(0);
+        expect(strategy.optimization).toBeUndefined();
+        expect(manager.saveStrategies).not.toHaveBeenCalled();
+    });
+
+    test('measures the baseline on the parameters the strategy trades, off the grid or not', async () => {
+        const { manager, strategy } = createManager();
+        strategy.parameters.minMove = 0.005;
+        const optimizer = new ParameterOptimizer({ backtest: createBacktest(), random: seeded(4), evaluations: 6, windows: 3 });
+        const evaluate = jest.spyOn(optimizer, 'evaluate');
+
+        const report = await optimizer.optimizeStrategy(strategy.id, {
+            strategyManager: manager, data: buildHistory(seeded(5), 30, { trends: false }), method: 'grid'
+        });
+
+        expect(report.previousParameters).toEqual({ minMove: 0.005 });
+        expect(evaluate.mock.calls.filter(([, parameters]) => parameters.minMove === 0.005).length).toBeGreaterThanOrEqual(3);
+        expect(evaluate.mock.calls.some(([, parameters]) => parameters.minMove === 0.004)).toBe(true);
+    });
+
+    test('needs enough history for the windows', async () => {
+        const { manager, strategy } = createManager();
+        const optimizer = new ParameterOptimizer({ windows: 4 });
+
+        await expect(optimizer.optimizeStrategy(strategy.id, { strategyManager: manager, data: buildHistory(seeded(6), 1) }))
+            .rejects.toThrow('Not enough historical data for 4 walk-forward windows: 40 rows');
+        expect(optimizer.isRunning).toBe(false);
+    });
+});
+
+describe('optimizer API routes', () => {
+    let web;
+    let api;
+    let optimizer;
+    let strategy;
+
+    const tokenFor = role => web.auth.issueToken({ uid: role, email: `${role}@example.com`, role });
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        const created = createManager();
+        strategy = created.strategy;
+
+        // Stored ticks come back newest first, like DatabaseManager.getHistoricalData
+        const database = new FakeDatabase();
+        const history = buildHistory(seeded(3), 30);
+        database.getHistoricalData = async () => history.slice().reverse();
+
+        const backtest = connect(createBacktest(), { database });
+        optimizer = connect(new ParameterOptimizer({ backtest, random: seeded(2), evaluations: 6, windows: 3 }), {
+            strategyManager: created.manager,
+            database
+        });
+        web = connect(new BayneXWebModule({ jwtSecret: 'test-jwt-secret' }), { database, optimizer });
+        web.setupMiddleware();
+        web.setupRoutes();
+        api = await serve(web.app);
+    });
+
+    afterEach(async () => {
+        await api.close();
+        jest.restoreAllMocks();
+    });
+
+    test('admins run an optimization on demand and traders read the last report', async () => {
+        const body = { strategy: 'Trend_Follower', method: 'grid', apply: false };
+
+        expect((await api.request('POST', '/optimizer', { token: tokenFor('trader'), body })).status).toBe(403);
+
+        const run = await api.request('POST', '/optimizer', { token: tokenFor('admin'), body });
+        expect(run.status).toBe(200);
+        expect(run.body).toMatchObject({ name: 'Trend_Follower', method: 'grid', accepted: true, previousParameters: { minMove: 0 } });
+        expect(strategy.parameters.minMove).toBe(0);
+
+        const last = await api.request('GET', '/optimizer', { token: tokenFor('trader') });
+        expect(last.body).toMatchObject({ status: { status: 'idle' }, report: { name: 'Trend_Follower', accepted: true } });
+    });
+
+    test('answers a bad request or a run already in progress without running', async () => {
+        const admin = tokenFor('admin');
+
+        expect(await api.request('POST', '/optimizer', { token: admin, body: { strategy: 'Missing' } })).toEqual({
+            status: 400,
+            body: { error: 'Strategy not found: Missing' }
+        });
+        expect((await api.request('POST', '/optimizer', { token: admin, body: { strategy: 'Trend_Follower', method: 'genetic' } })).body)
+            .toEqual({ error: 'Unknown optimization method: genetic' });
+
+        optimizer.isRunning = true;
+        expect((await api.request('POST', '/optimizer', { token: admin, body: {} })).status).toBe(409);
+        expect(optimizer.getLastReport()).toBeNull();
+    });
+});
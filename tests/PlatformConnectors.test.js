@@ -0,0 +1,82 @@
+// tests/PlatformConnectors.test.js
+
+const PlatformConnectors = require('../src/platforms/PlatformConnectors');
+const DerivConnector = require('../src/platforms/DerivConnector');
+const MT5Connector = require('../src/platforms/MT5Connector');
+const PaperConnector = require('../src/platforms/PaperConnector');
+const MT5BridgeServer = require('../scripts/mt5-bridge');
+
+describe('PlatformConnectors trade execution', () => {
+    let bridge;
+    let platforms;
+    let deriv;
+    let mt5;
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        bridge = new MT5BridgeServer({ port: 0, tickInterval: 0 });
+        const port = await bridge.start();
+        mt5 = new MT5Connector({ port, login: 1001, server: 'Demo', volumePerUnit: 0.01 });
+        await mt5.connect();
+
+        // Deriv is up but refuses to sell the contract
+        deriv = new DerivConnector({ apiToken: 'token' });
+        deriv.isConnected = true;
+        deriv.balance = 1000;
+        deriv.sendRequest = jest.fn(async () => ({ error: { message: 'This market is presently closed.' } }));
+
+        platforms = new PlatformConnectors();
+        platforms.config.paperTrading = false;
+        platforms.platforms.set('deriv', deriv);
+        platforms.platforms.set('mt5', mt5);
+        platforms.activePlatform = 'deriv';
+    });
+
+    afterEach(async () => {
+        await mt5.disconnect();
+        await bridge.stop();
+        jest.restoreAllMocks();
+    });
+
+    test('fills the trade on MT5 when Deriv cannot execute it', async () => {
+        const trade = await platforms.executeTrade({ platform: 'deriv', asset: 'frxEURUSD', direction: 'CALL', amount: 5, duration: 300 });
+
+        expect(deriv.sendRequest).toHaveBeenCalledWith(expect.objectContaining({ buy: 1, price: 5 }));
+        expect(trade).toMatchObject({ platform: 'mt5', volume: 0.05, entryPrice: 1.1001 });
+        expect(bridge.positions.size).toBe(1);
+        expect(platforms.stats.totalTrades).toBe(1);
+    });
+
+    test('tries each other platform once when every platform fails', async () => {
+        const attempts = jest.spyOn(platforms, 'executeOn');
+
+        // MT5 cannot reproduce a touch contract either
+        await expect(platforms.executeTrade({ platform: 'deriv', asset: 'frxEURUSD', direction: 'ONETOUCH', amount: 5, duration: 300, barrier: '+0.001' }))
+            .rejects.toThrow('All platform failover attempts failed');
+
+        expect(attempts.mock.calls.map(([platform]) => platform)).toEqual(['deriv', 'mt5']);
+        expect(bridge.positions.size).toBe(0);
+    });
+
+    test('refuses a stake below the platform minimum instead of raising it', async () => {
+        platforms.config.autoFailover = false;
+
+        await expect(platforms.executeTrade({ platform: 'mt5', asset: 'frxEURUSD', direction: 'CALL', amount: 0.5, duration: 300 }))
+            .rejects.toThrow('Stake 0.5 is below the mt5 minimum of 1');
+        expect(bridge.positions.size).toBe(0);
+    });
+
+    test('refuses a paper stake below the Deriv minimum', async () => {
+        const paper = new PaperConnector({ syntheticFeed: false });
+        await paper.connect();
+        const paperPlatforms = new PlatformConnectors();
+        paperPlatforms.config.paperTrading = true;
+        paperPlatforms.platforms.set('paper', paper);
+
+        await expect(paperPlatforms.executeTrade({ platform: 'deriv', asset: 'R_10', direction: 'CALL', amount: 0.2, duration: 300 }))
+            .rejects.toThrow('Stake 0.2 is below the paper minimum of 0.35');
+        expect(paper.activeContracts.size).toBe(0);
+    });
+});
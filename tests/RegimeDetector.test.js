@@ -0,0 +1,194 @@
+// tests/RegimeDetector.test.js
+
+const RegimeDetector = require('../src/ai/RegimeDetector');
+const DataProcessor = require('../src/data/Dataprocessor');
+const StrategyManager = require('../src/ai/StrategyManager');
+const { connect } = require('./fixtures/testDoubles');
+
+const START = Date.UTC(2026, 9, 1);
+
+const seeded = (seed) => () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+// Typical feature readings for each regime, with a little noise
+const PROFILES = {
+    trending: { atrPercent: 0.001, bollingerWidth: 0.004, trendStrength: 2.0 },
+    ranging: { atrPercent: 0.0008, bollingerWidth: 0.003, trendStrength: 0.2 },
+    high_volatility: { atrPercent: 0.004, bollingerWidth: 0.02, trendStrength: 0.3 }
+};
+
+const sample = (random, regime) => {
+    const profile = PROFILES[regime];
+    const jitter = value => value * (1 + (random() - 0.5) * 0.3);
+    return {
+        atrPercent: jitter(profile.atrPercent),
+        bollingerWidth: jitter(profile.bollingerWidth),
+        trendStrength: jitter(profile.trendStrength),
+        slope: 0.01,
+        tickGap: 2000,
+        spreadPercent: 0
+    };
+};
+
+describe('RegimeDetector classification', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('uses thresholds until enough samples exist for a model', () => {
+        const detector = new RegimeDetector({ minSamples: 100 });
+        const random = seeded(1);
+
+        expect(detector.observe('R_10', sample(random, 'trending'))).toMatchObject({ regime: 'trending', model: 'rules', direction: 'up' });
+        expect(detector.observe('R_10', sample(random, 'high_volatility')).regime).toBe('high_volatility');
+        expect(detector.observe('R_10', sample(random, 'ranging')).regime).toBe('ranging');
+    });
+
+    test('marks a thin or stale feed as low liquidity whatever the prices do', () => {
+        const detector = new RegimeDetector({ maxTickGap: 10000, maxSpreadPercent: 0.001 });
+        const random = seeded(2);
+
+        expect(detector.observe('R_10', { ...sample(random, 'trending'), tickGap: 30000 }).regime).toBe('low_liquidity');
+        expect(detector.observe('R_10', { ...sample(random, 'trending'), spreadPercent: 0.005 }).regime).toBe('low_liquidity');
+        expect(detector.observe('R_10', sample(random, 'trending')).regime).toBe('trending');
+    });
+
+    test('fits a hidden Markov model that tracks regimes and ignores single outliers', () => {
+        const detector = new RegimeDetector({ minSamples: 90, refitEvery: 1000 });
+        const random = seeded(3);
+        const changes = jest.fn();
+        detector.on('regime_changed', changes);
+
+        for (const regime of ['trending', 'ranging', 'high_volatility']) {
+            for (let i = 0; i < 30; i++) detector.observe('R_10', sample(random, regime));
+        }
+        expect(detector.stats.modelFits).toBe(1);
+        expect(detector.assets.get('R_10').model.labels.slice().sort()).toEqual(['high_volatility', 'ranging', 'trending']);
+
+        const labels = [];
+        for (const regime of ['ranging', 'trending', 'high_volatility', 'ranging']) {
+            for (let i = 0; i < 10; i++) labels.push([regime, detector.observe('R_10', sample(random, regime))]);
+        }
+        const correct = labels.filter(([regime, result]) => result.regime === regime && result.model === 'hmm');
+        expect(correct.length).toBeGreaterThanOrEqual(36);
+        expect(labels[labels.length - 1][1].probabilities.ranging).toBeGreaterThan(0.9);
+
+        // A lone volatile reading inside a calm stretch is not a new regime
+        changes.mockClear();
+        detector.observe('R_10', { ...sample(random, 'ranging'), bollingerWidth: 0.008, atrPercent: 0.002 });
+        expect(detector.getRegime('R_10').regime).toBe('ranging');
+        expect(changes).not.toHaveBeenCalled();
+
+        detector.observe('R_10', sample(random, 'trending'));
+        detector.observe('R_10', sample(random, 'trending'));
+        expect(changes).toHaveBeenCalledWith(expect.objectContaining({ asset: 'R_10', from: 'ranging', to: 'trending' }));
+        expect(detector.getRecentChanges(1)[0].to).toBe('trending');
+    });
+});
+
+describe('RegimeDetector inputs', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const createProcessor = () => {
+        const processor = new DataProcessor();
+        processor.config.supportedAssets = ['R_10'];
+        processor.initializeDataStructures();
+        processor.isProcessing = true;
+        return processor;
+    };
+
+    const feed = (processor, ticks, priceAt) => {
+        for (let i = 0; i < ticks; i++) {
+            processor.storeRawData('R_10', {
+                price: priceAt(i), bid: 0, ask: 0, volume: 1, spread: 0, timestamp: new Date(START + i * 2000)
+            });
+        }
+        return START + (ticks - 1) * 2000;
+    };
+
+    test('reads ATR, Bollinger width and trend slope from the data processor', async () => {
+        const processor = createProcessor();
+        const detector = connect(new RegimeDetector(), { dataProcessor: processor });
+        const now = feed(processor, 600, i => 100 + i * 0.01);
+        await processor.calculateAllIndicators('R_10');
+
+        const result = detector.update('R_10', now);
+
+        expect(result.regime).toBe('trending');
+        expect(result.direction).toBe('up');
+        expect(result.features.atrPercent).toBeGreaterThan(0);
+        expect(result.features.bollingerWidth).toBeGreaterThan(0);
+        expect(result.features.tickGap).toBe(2000);
+
+        // Ticks that stop arriving leave the asset illiquid
+        expect(detector.update('R_10', now + 60000).regime).toBe('low_liquidity');
+    });
+
+    test('calls a sideways market ranging', async () => {
+        const processor = createProcessor();
+        const detector = connect(new RegimeDetector(), { dataProcessor: processor });
+        const now = feed(processor, 600, i => 100 + Math.sin(i / 3) * 0.05);
+        await processor.calculateAllIndicators('R_10');
+
+        expect(detector.update('R_10', now)).toMatchObject({ regime: 'ranging', model: 'rules' });
+    });
+});
+
+describe('Strategies and regimes', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('strategies only trade in the regimes they declare', async () => {
+        const detector = new RegimeDetector();
+        const manager = connect(new StrategyManager(), { regimeDetector: detector });
+        const momentum = manager.getAllStrategies().find(s => s.name === 'Momentum_RSI');
+        const reversion = manager.getAllStrategies().find(s => s.name === 'Mean_Reversion');
+        const evaluated = jest.spyOn(manager, 'calculateIndicators').mockResolvedValue({});
+        jest.spyOn(manager, 'getCurrentMarketData').mockResolvedValue({
+            R_10: { asset: 'R_10', price: 100, prices: [100] },
+            R_25: { asset: 'R_25', price: 100, prices: [100] }
+        });
+        jest.spyOn(manager, 'getTimeframeMarketData').mockImplementation((strategy, data) => data);
+
+        detector.observe('R_10', sample(seeded(4), 'trending'));
+        detector.observe('R_25', sample(seeded(5), 'ranging'));
+
+        await manager.evaluateStrategy(momentum);
+        expect(evaluated.mock.calls.map(([, data]) => data.asset)).toEqual(['R_10']);
+
+        evaluated.mockClear();
+        await manager.evaluateStrategy(reversion);
+        expect(evaluated.mock.calls.map(([, data]) => data.asset)).toEqual(['R_25']);
+
+        expect(await manager.getMarketState('R_10')).toMatchObject({ regime: 'trending', trend: 'up' });
+        expect(await manager.getMarketState('R_50')).toMatchObject({ regime: null, trend: 'neutral' });
+    });
+
+    test('rejects unknown regime names', () => {
+        const manager = new StrategyManager();
+
+        expect(() => manager.createStrategy({ name: 'Bad', type: 'momentum', parameters: {}, indicators: [], regimes: ['sideways'] }))
+            .toThrow('Strategy Bad lists unknown regimes: sideways');
+        expect(() => manager.createStrategy({ name: 'Empty', type: 'momentum', parameters: {}, indicators: [], regimes: [] }))
+            .toThrow('Strategy Empty must list at least one regime');
+    });
+});
@@ -0,0 +1,264 @@
+// tests/RiskManager.test.js
+
+const RiskManager = require('../src/risk/RiskManagers');
+const { connect, FakeDatabase } = require('./fixtures/testDoubles');
+
+const createRiskManager = (database = new FakeDatabase()) => connect(new RiskManager(), { database });
+
+const closeTrade = (riskManager, id, profit) => {
+    riskManager.recordTradeStart({ id, asset: 'R_10', direction: 'CALL', amount: Math.abs(profit) });
+    riskManager.recordTradeEnd({ id, result: profit > 0 ? 'win' : 'loss', profit });
+};
+
+describe('RiskManager trade validation', () => {
+    test('approves a trade and sizes it by the strategy win rate', async () => {
+        const riskManager = createRiskManager();
+
+        const approval = await riskManager.validateTrade({
+            asset: 'R_10',
+            direction: 'CALL',
+            amount: 10,
+            strategy: { performance: { winRate: 0.7 } }
+        });
+
+        // min(requested, Kelly, 2% of balance, volatility-adjusted) = 10 * 0.8; the stake bought stays 10
+        expect(approval).toMatchObject({ approved: true, recommendedAmount: 8, maxLoss: 10 });
+        expect(approval.stakeLimit).toBeUndefined();
+        expect(approval.notes).toEqual(['Position size adjusted from $10 to $8']);
+    });
+
+    test('rejects a stake above the per-trade risk limit and records the rejection', async () => {
+        const database = new FakeDatabase();
+        const riskManager = createRiskManager(database);
+
+        const approval = await riskManager.validateTrade({ asset: 'R_10', direction: 'PUT', amount: 60 });
+
+        expect(approval).toEqual({ approved: false, reason: 'Trade size exceeds risk limit: 6.0% (max: 5.0%)' });
+        expect(database.riskEvents).toEqual([expect.objectContaining({ type: 'trade_rejected' })]);
+    });
+
+    test('rejects once the concurrent or consecutive-loss limits are reached', async () => {
+        const riskManager = createRiskManager();
+
+        for (let i = 0; i < riskManager.config.consecutiveLossLimit; i++) {
+            closeTrade(riskManager, `loss_${i}`, -1);
+        }
+
+        expect(riskManager.dailyStats).toMatchObject({ consecutiveLosses: 5, netPL: -5, tradesExecuted: 5 });
+        expect(await riskManager.validateTrade({ asset: 'R_10', direction: 'CALL', amount: 1 })).toEqual({
+            approved: false,
+            reason: expect.stringMatching(/^Circuit breaker on the account paused until .+ \(5 losses in a row\)$/)
+        });
+
+        closeTrade(riskManager, 'win', 2);
+        for (let i = 0; i < riskManager.config.maxConcurrentTrades; i++) {
+            riskManager.recordTradeStart({ id: `open_${i}`, asset: 'R_10', direction: 'CALL', amount: 1 });
+        }
+
+        expect(await riskManager.validateSignal({ asset: 'R_10' })).toBe(false);
+        expect((await riskManager.validateTrade({ asset: 'R_10', direction: 'CALL', amount: 1 })).reason)
+            .toBe('Maximum concurrent trades reached: 5/5');
+    });
+
+    test('tracks balance and drawdown and triggers the emergency stop past the drawdown limit', async () => {
+        const riskManager = createRiskManager();
+        const emergency = jest.fn();
+        riskManager.on('emergency_stop', emergency);
+
+        closeTrade(riskManager, 'win', 100);
+        expect(riskManager.accountStats).toMatchObject({ currentBalance: 1100, peakBalance: 1100, currentDrawdown: 0 });
+
+        closeTrade(riskManager, 'loss', -330);
+
+        expect(riskManager.accountStats.currentBalance).toBe(770);
+        expect(riskManager.accountStats.currentDrawdown).toBeCloseTo(0.3, 10);
+        expect(emergency).toHaveBeenCalledWith(expect.objectContaining({ reason: 'Maximum drawdown exceeded: 30.0%' }));
+        expect(await riskManager.validateTrade({ asset: 'R_10', direction: 'CALL', amount: 1 }))
+            .toEqual({ approved: false, reason: 'Risk Manager disabled' });
+    });
+
+    test('runs its monitoring timers only between start and stop', async () => {
+        const riskManager = createRiskManager();
+        expect(riskManager.monitoringTimers).toHaveLength(0);
+
+        await riskManager.start();
+        await riskManager.start();
+        expect(riskManager.monitoringTimers).toHaveLength(3);
+
+        await riskManager.stop();
+        expect(riskManager.monitoringTimers).toHaveLength(0);
+        expect(riskManager.isActive).toBe(false);
+    });
+});
+
+describe('RiskManager portfolio exposure', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    // R_25 follows R_10's moves, R_50 wanders on its own
+    const candles = (move) => {
+        let close = 100;
+        return Array.from({ length: 101 }, (_, i) => {
+            close *= 1 + move(i);
+            return { timestamp: 60000 * i, close };
+        });
+    };
+    const dataProcessor = {
+        config: { supportedAssets: ['R_10', 'R_25', 'R_50'] },
+        getCandles: jest.fn((asset) => ({
+            R_10: candles(i => Math.sin(i * 1.7) / 100),
+            R_25: candles(i => Math.sin(i * 1.7) / 80 + Math.cos(i * 5.3) / 2000),
+            R_50: candles(i => Math.cos(i * 0.9 + 2) / 100)
+        })[asset])
+    };
+
+    const createPortfolio = (open) => {
+        const riskManager = connect(new RiskManager(), { database: new FakeDatabase(), dataProcessor });
+        open.forEach(([asset, direction, amount, platform = 'deriv'], i) => {
+            riskManager.recordTradeStart({ id: `open_${i}`, platform, asset, direction, amount });
+        });
+        return riskManager;
+    };
+
+    test('measures correlations and open stake across assets, directions and platforms', () => {
+        const riskManager = createPortfolio([
+            ['R_10', 'CALL', 20],
+            ['R_25', 'CALL', 30, 'mt5'],
+            ['R_50', 'PUT', 10],
+            ['R_50', 'DIGITEVEN', 5]
+        ]);
+
+        const { exposure, correlations } = riskManager.getRiskMetrics();
+
+        expect(correlations['R_10|R_25']).toBeGreaterThan(0.95);
+        expect(Math.abs(correlations['R_10|R_50'])).toBeLessThan(0.5);
+        expect(riskManager.getCorrelatedAssets('R_10')).toEqual(['R_25']);
+        expect(exposure).toMatchObject({
+            totalStake: 65,
+            worstCaseLoss: 65,
+            byAsset: { R_10: 20, R_25: 30, R_50: 15 },
+            byDirection: { CALL: 50, PUT: 10, DIGITEVEN: 5 },
+            byPlatform: { deriv: 35, mt5: 30 },
+            clusters: [{ assets: ['R_10', 'R_25'], stake: 50 }, { assets: ['R_50'], stake: 15 }]
+        });
+        // Own stake plus the correlated asset's at its correlation; the digit bet takes no side
+        expect(exposure.netDirectional.R_10).toBeCloseTo(20 + 30 * correlations['R_10|R_25'], 0);
+        expect(exposure.netDirectional.R_50).toBeCloseTo(-10 + 20 * correlations['R_10|R_50'] + 30 * correlations['R_25|R_50'], 0);
+    });
+
+    test('refuses stake that piles onto a correlated cluster', async () => {
+        const riskManager = createPortfolio([['R_10', 'CALL', 50], ['R_25', 'PUT', 50], ['R_10', 'PUT', 30]]);
+
+        expect(await riskManager.validateTrade({ asset: 'R_25', direction: 'PUT', amount: 40 }))
+            .toEqual({ approved: false, reason: 'Correlated cluster R_10, R_25 would hold $170.00 (max: $150.00)' });
+        expect((await riskManager.validateTrade({ asset: 'R_50', direction: 'PUT', amount: 40 })).approved).toBe(true);
+    });
+
+    test('caps net directional exposure but lets a hedge through', async () => {
+        const riskManager = createPortfolio([['R_10', 'CALL', 50], ['R_25', 'CALL', 40]]);
+        riskManager.config.maxClusterExposure = 1;
+
+        expect((await riskManager.validateTrade({ asset: 'R_10', direction: 'CALL', amount: 30 })).reason)
+            .toMatch(/^Net long exposure on R_10 would reach \$11\d\.\d\d \(max: \$100\.00\)$/);
+        expect((await riskManager.validateTrade({ asset: 'R_10', direction: 'PUT', amount: 30 })).approved).toBe(true);
+    });
+
+    test('keeps the daily loss limit standing if every open contract lost', async () => {
+        const riskManager = createPortfolio([['R_50', 'CALL', 20]]);
+        riskManager.dailyStats.netPL = -460;
+
+        expect(await riskManager.validateTrade({ asset: 'R_50', direction: 'PUT', amount: 25 }))
+            .toEqual({ approved: false, reason: 'Worst case loss of open trades would breach the daily loss limit: $505.00 of $500' });
+    });
+});
+
+describe('RiskManager risk metrics', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        delete process.env.RISK_METRIC_LIMITS;
+    });
+
+    const NOW = new Date(2026, 9, 19, 15, 0, 0).getTime();
+
+    // Twenty trading days: a $20 loss every fifth day, $10 wins otherwise
+    const createHistory = async (riskManager, database) => {
+        for (let day = 0; day < 20; day++) {
+            const exitTime = new Date(NOW - (20 - day) * 86400000);
+            await database.saveTrade({
+                id: `T${day}`, platform: 'deriv', asset: 'R_10', direction: 'CALL', amount: 20, status: 'closed',
+                profit: day % 5 === 0 ? -20 : 10, entryTime: new Date(exitTime - 300000), exitTime
+            });
+        }
+        await riskManager.loadTradeHistory(NOW);
+        return riskManager.riskMetrics;
+    };
+
+    test('estimates VaR and CVaR three ways and the performance ratios from closed trades', async () => {
+        const database = new FakeDatabase();
+        const metrics = await createHistory(createRiskManager(database), database);
+
+        expect(metrics).toMatchObject({ sampleDays: 20, profitFactor: 2 });
+        expect(metrics.valueAtRisk['1d_95']).toEqual({
+            historical: { var: 20, cvar: 20 },
+            // mean 4, deviation 12.31
+            parametric: { var: 16.25, cvar: 21.4 },
+            monteCarlo: { var: 20, cvar: 20 }
+        });
+        // Every five-day window holds one loss and four wins
+        expect(metrics.valueAtRisk['5d_99'].historical).toEqual({ var: -20, cvar: -20 });
+        expect(metrics.sharpeRatio).toBeGreaterThan(0);
+        expect(metrics.sortinoRatio).toBeGreaterThan(metrics.sharpeRatio);
+        expect(metrics.maxDrawdown).toBeCloseTo(20 / 920, 5);
+        expect(metrics.calmarRatio).toBeGreaterThan(0);
+        expect(metrics.ulcerIndex).toBeGreaterThan(0);
+    });
+
+    test('leaves VaR unestimated until there are enough trading days', () => {
+        const riskManager = createRiskManager();
+        riskManager.recordTradeStart({ id: 'T1', asset: 'R_10', direction: 'CALL', amount: 10 });
+        riskManager.recordTradeEnd({ id: 'T1', amount: 10, profit: -10, exitTime: new Date(NOW) });
+
+        expect(riskManager.riskMetrics.valueAtRisk['1d_95']).toEqual({ historical: null, parametric: null, monteCarlo: null });
+        expect(riskManager.getMetricLimitBreaches()).toEqual([]);
+    });
+
+    test('halts trading while a configured metric limit is breached', async () => {
+        process.env.RISK_METRIC_LIMITS = 'valueAtRisk.1d_95.historical.cvar<=15, sharpeRatio>=0, nonsense';
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const database = new FakeDatabase();
+        const riskManager = createRiskManager(database);
+
+        expect(riskManager.config.metricLimits).toEqual([
+            { metric: 'valueAtRisk.1d_95.historical.cvar', max: 15 },
+            { metric: 'sharpeRatio', min: 0 }
+        ]);
+
+        await createHistory(riskManager, database);
+
+        expect(await riskManager.validateTrade({ asset: 'R_10', direction: 'CALL', amount: 5 }))
+            .toEqual({ approved: false, reason: 'Risk metric limit breached: valueAtRisk.1d_95.historical.cvar is 20.00 (max: 15)' });
+    });
+
+    test('saves the metrics with the daily stats', async () => {
+        const database = new FakeDatabase();
+        const riskManager = createRiskManager(database);
+        await createHistory(riskManager, database);
+
+        riskManager.recordDailyStats();
+
+        expect(database.dailyRiskStats[0].riskMetrics).toMatchObject({
+            sampleDays: 20,
+            profitFactor: 2,
+            valueAtRisk: { '1d_95': { historical: { var: 20, cvar: 20 } } }
+        });
+    });
+});
@@ -0,0 +1,242 @@
+// tests/RiskPolicy.test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RiskPolicy, RiskPolicyError } = require('../src/risk/RiskPolicy');
+const RiskManager = require('../src/risk/RiskManagers');
+const BayneXConfigManager = require('../src/config/ConfigManager');
+const { connect, FakeDatabase } = require('./fixtures/testDoubles');
+
+// Monday 19 October 2026, 14:00 UTC
+const MONDAY = new Date(Date.UTC(2026, 9, 19, 14, 0));
+const MINUTE = 60000;
+
+const rule = (overrides = {}) => ({
+    name: 'custom',
+    when: 'stake > 0',
+    action: { type: 'block' },
+    ...overrides
+});
+
+describe('RiskPolicy', () => {
+    test('rejects rules it cannot enforce with a reason', () => {
+        const invalid = [
+            [[rule({ action: { type: 'pause' } })], 'action must be one of block, resize, cooldown, emergency_stop'],
+            [[rule({ action: { type: 'resize', factor: 2 } })], 'resize needs a factor between 0 and 1'],
+            [[rule({ action: { type: 'cooldown' } })], 'cooldown needs a number of minutes'],
+            [[rule({ when: 'profit > 1' })], "Unknown identifier 'profit'"],
+            [[rule({ when: undefined })], 'needs a "when" condition'],
+            [[rule({ scope: { market: 'forex' } })], 'unknown scope market'],
+            [[rule({ scope: { window: { start: '25:00' } } })], 'window start must be HH:MM'],
+            [[rule({ scope: { window: { timezone: 'Mars/Olympus' } } })], 'unknown timezone Mars/Olympus'],
+            [[rule(), rule()], 'Risk policy rule "custom" is defined twice']
+        ];
+
+        for (const [rules, reason] of invalid) {
+            expect(() => new RiskPolicy({ rules })).toThrow(RiskPolicyError);
+            expect(() => new RiskPolicy({ rules })).toThrow(reason);
+        }
+    });
+
+    test('overrides and disables built-in rules by name', () => {
+        const policy = new RiskPolicy({
+            rules: [
+                { name: 'daily_trade_limit', enabled: false },
+                { name: 'max_concurrent_trades', priority: 300 }
+            ]
+        });
+
+        expect(policy.disabled).toEqual(['daily_trade_limit']);
+        expect(policy.rules[0]).toMatchObject({ name: 'max_concurrent_trades', when: 'openTrades >= limits.maxConcurrentTrades' });
+        expect(new RiskPolicy({ includeDefaults: false, rules: [rule()] }).rules.map(entry => entry.name)).toEqual(['custom']);
+    });
+
+    test('matches scopes and time windows in the rule timezone', () => {
+        const policy = new RiskPolicy({
+            includeDefaults: false,
+            rules: [
+                rule({ name: 'ny_session', scope: { asset: ['R_10'], direction: 'call', window: { days: ['mon'], start: '09:00', end: '17:00', timezone: 'America/New_York' } } }),
+                rule({ name: 'overnight', scope: { window: { days: ['sun'], start: '22:00', end: '02:00' } } })
+            ]
+        });
+        const fired = (facts, at) => policy.evaluate({ stake: 5, ...facts }, at).map(entry => entry.rule);
+
+        // 14:00 UTC is 10:00 in New York
+        expect(fired({ asset: 'R_10', direction: 'CALL' }, MONDAY)).toEqual(['ny_session']);
+        expect(fired({ asset: 'R_10', direction: 'PUT' }, MONDAY)).toEqual([]);
+        expect(fired({ asset: 'R_25', direction: 'CALL' }, MONDAY)).toEqual([]);
+        expect(fired({ direction: 'CALL' }, MONDAY)).toEqual([]);
+        expect(fired({ asset: 'R_10', direction: 'CALL' }, new Date(MONDAY.getTime() + 8 * 60 * MINUTE))).toEqual([]);
+
+        // Sunday night's window runs into Monday morning
+        expect(fired({}, new Date(Date.UTC(2026, 9, 19, 1, 30)))).toEqual(['overnight']);
+        expect(fired({}, new Date(Date.UTC(2026, 9, 20, 1, 30)))).toEqual([]);
+    });
+
+    test('formats facts into the rule message', () => {
+        const policy = new RiskPolicy({
+            includeDefaults: false,
+            rules: [rule({ message: '{asset} stake {stake:money} is {stakeShare:percent} with VaR {var.h1_95:money}' })]
+        });
+
+        const [entry] = policy.evaluate({ asset: 'R_10', stake: 12.5, stakeShare: 0.0125, var: { h1_95: null } });
+
+        expect(entry.message).toBe('R_10 stake $12.50 is 1.3% with VaR n/a');
+    });
+});
+
+describe('RiskManager risk policy', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const trade = (overrides = {}) => ({ asset: 'R_10', direction: 'CALL', amount: 10, strategy: { name: 'Momentum_RSI', performance: { winRate: 0.7 } }, ...overrides });
+
+    test('lets the highest-priority blocking rule decide and applies every resize that fired', async () => {
+        const riskManager = connect(new RiskManager(), { database: new FakeDatabase() });
+        riskManager.loadPolicy({
+            rules: [
+                rule({ name: 'hard_stop', priority: 150, when: 'dailyLoss >= 100', message: 'Loss of {dailyLoss:money} today' }),
+                rule({ name: 'momentum_cap', scope: { strategy: 'Momentum_RSI' }, action: { type: 'resize', maxStake: 5 }, message: 'Momentum stake capped' }),
+                rule({ name: 'share_cap', action: { type: 'resize', maxStakeShare: 0.003 }, message: 'Stake capped by share' })
+            ]
+        });
+
+        const approval = await riskManager.validateTrade(trade());
+        expect(approval).toMatchObject({ approved: true, stakeLimit: 3, recommendedAmount: 2.4 });
+        expect(approval.notes).toEqual([
+            'Momentum stake capped: stake $10 resized to $5 by policy rule momentum_cap',
+            'Stake capped by share: stake $10 resized to $3 by policy rule share_cap',
+            'Position size adjusted from $3 to $2.4'
+        ]);
+
+        // Both the custom rule and the built-in daily loss limit fire; the higher priority speaks
+        riskManager.dailyStats.netPL = -600;
+        expect(await riskManager.validateTrade(trade())).toEqual({ approved: false, reason: 'Loss of $600.00 today' });
+        expect(riskManager.getPolicyStatus().recentFirings[0]).toMatchObject({ rule: 'hard_stop', action: 'block', asset: 'R_10' });
+    });
+
+    test('cools down the rule scope once per firing', () => {
+        const riskManager = new RiskManager();
+        riskManager.loadPolicy({
+            rules: [rule({ name: 'streak_pause', scope: { asset: 'R_10' }, when: 'consecutiveLosses >= 2', action: { type: 'cooldown', minutes: 30 }, message: '{consecutiveLosses} losses on {asset}' })]
+        });
+        const now = MONDAY.getTime();
+        riskManager.dailyStats.consecutiveLosses = 2;
+
+        expect(riskManager.checkPolicy(trade(), null, now)).toMatchObject({ passed: false, reason: '2 losses on R_10; cooling down for 30 minutes' });
+        expect(riskManager.checkPolicy(trade({ asset: 'R_25' }), null, now).passed).toBe(true);
+        expect(riskManager.checkPolicy(trade(), null, now + 10 * MINUTE).reason)
+            .toBe('Cooling down after policy rule streak_pause until 2026-10-19T14:30:00.000Z');
+
+        // Still on the same streak after the cooldown: it does not start over
+        expect(riskManager.checkPolicy(trade(), null, now + 31 * MINUTE).passed).toBe(true);
+
+        // A win clears the streak and re-arms the rule for the next one
+        riskManager.dailyStats.consecutiveLosses = 0;
+        expect(riskManager.checkPolicy(trade(), null, now + 32 * MINUTE).passed).toBe(true);
+        riskManager.dailyStats.consecutiveLosses = 2;
+        expect(riskManager.checkPolicy(trade(), null, now + 40 * MINUTE).reason).toBe('2 losses on R_10; cooling down for 30 minutes');
+    });
+
+    test('triggers the emergency stop from policy rules on the account alone', () => {
+        const riskManager = new RiskManager();
+        const emergency = jest.fn();
+        riskManager.on('emergency_stop', emergency);
+        riskManager.accountStats.currentDrawdown = 0.25;
+
+        riskManager.checkEmergencyConditions();
+
+        expect(riskManager.emergencyStopTriggered).toBe(true);
+        expect(emergency).toHaveBeenCalledWith(expect.objectContaining({ reason: 'Maximum drawdown exceeded: 25.0%' }));
+    });
+
+    test('takes its limits and policy from the configuration and reloads them', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'baynex-policy-'));
+        const configPath = path.join(dir, 'config.json');
+        const policyPath = path.join(dir, 'risk-policy.json');
+        fs.writeFileSync(configPath, JSON.stringify({
+            platforms: { deriv: { enabled: false } },
+            risk: { maxDrawdown: 8, maxDailyLoss: 40 },
+            trading: { maxSimultaneousTrades: 2 }
+        }));
+        fs.writeFileSync(policyPath, JSON.stringify({ rules: [rule({ name: 'r_10_off', scope: { asset: 'R_10' } })] }));
+
+        const config = new BayneXConfigManager({ configPath, policyPath });
+        await config.init();
+        const riskManager = connect(new RiskManager(), { config, database: new FakeDatabase() });
+        const loaded = jest.fn();
+        riskManager.on('policy_loaded', loaded);
+
+        try {
+            await riskManager.start();
+
+            // The configuration's percentage drawdown is a fraction in the risk manager
+            expect(riskManager.config).toMatchObject({ maxDrawdown: 0.08, maxDailyLoss: 40, maxConcurrentTrades: 2 });
+            expect((await riskManager.validateTrade(trade())).reason).toBe('Blocked by risk policy rule r_10_off');
+
+            fs.writeFileSync(policyPath, JSON.stringify({ rules: [rule({ name: 'r_10_off', enabled: false })] }));
+            await config.reload();
+            expect(riskManager.getPolicyStatus().disabled).toEqual(['r_10_off']);
+            expect((await riskManager.validateTrade(trade())).approved).toBe(true);
+
+            // A policy that does not compile leaves the one in force
+            fs.writeFileSync(policyPath, JSON.stringify({ rules: [rule({ when: 'stake >' })] }));
+            await config.reload();
+            expect(riskManager.getPolicyStatus()).toMatchObject({ disabled: ['r_10_off'], error: expect.stringContaining('Unexpected end of rule') });
+            expect(loaded).toHaveBeenCalledTimes(2);
+        } finally {
+            await riskManager.stop();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+
+        expect(config.listenerCount('config_reloaded')).toBe(0);
+    });
+
+    test('dry-runs a policy over past trades without enforcing it', async () => {
+        const database = new FakeDatabase();
+        const start = new Date(2026, 9, 19, 10, 0).getTime();
+        const results = [-10, -10, 8, 8, -10];
+        for (const [index, profit] of results.entries()) {
+            await database.saveTrade({
+                id: `T${index + 1}`,
+                signal: { strategy: 'Momentum_RSI', strategyId: 'momentum_1', confidence: 0.7 },
+                platform: 'deriv',
+                asset: 'R_10',
+                direction: 'CALL',
+                amount: 10,
+                entryTime: new Date(start + index * 10 * MINUTE),
+                exitTime: new Date(start + index * 10 * MINUTE + 5 * MINUTE),
+                status: 'closed',
+                profit,
+                result: profit > 0 ? 'win' : 'loss'
+            });
+        }
+        const riskManager = connect(new RiskManager(), { database });
+        const policy = riskManager.policy;
+
+        const report = await riskManager.dryRunPolicy({
+            rules: [
+                rule({ name: 'two_losses', priority: 120, when: 'consecutiveLosses >= 2', message: 'Streak of {consecutiveLosses}' }),
+                rule({ name: 'half_after_loss', when: 'dailyPL < 0', action: { type: 'resize', factor: 0.5 } })
+            ]
+        }, { now: start + 60 * MINUTE });
+
+        expect(report).toMatchObject({ trades: 5, blocked: 1, resized: 3, blockedPL: 8, byRule: { two_losses: 1, half_after_loss: 3 } });
+        expect(report.fired.map(entry => [entry.tradeId, entry.rule])).toEqual([
+            ['T2', 'half_after_loss'], ['T3', 'two_losses'], ['T4', 'half_after_loss'], ['T5', 'half_after_loss']
+        ]);
+        expect(report.fired[1]).toMatchObject({ action: 'block', message: 'Streak of 2', profit: 8 });
+
+        // Nothing enforced, and an invalid candidate is reported as such
+        expect(riskManager.policy).toBe(policy);
+        await expect(riskManager.dryRunPolicy({ rules: [rule({ action: { type: 'pause' } })] })).rejects.toThrow(RiskPolicyError);
+    });
+});
@@ -0,0 +1,252 @@
+// tests/SignalArbiter.test.js
+
+const SignalArbiter = require('../src/core/SignalArbiter');
+const DecisionJournal = require('../src/core/DecisionJournal');
+const StrategyManager = require('../src/ai/StrategyManager');
+const { BayneXConfigManager } = require('../src/config');
+const { connect, FakeDatabase, FakeRiskManager } = require('./fixtures/testDoubles');
+
+// Configuration defaults without touching data/config.json
+const createConfig = () => {
+    const configManager = new BayneXConfigManager();
+    configManager.config = JSON.parse(JSON.stringify(configManager.defaults));
+    return configManager;
+};
+
+const createArbiter = (options = {}, components = {}) => connect(new SignalArbiter(options), {
+    config: createConfig(),
+    ...components
+});
+
+let nextId = 1;
+const signal = (strategy, direction, confidence, overrides = {}) => ({
+    id: `SIG_${nextId++}`,
+    strategy,
+    strategyId: `${strategy}_id`,
+    asset: 'R_10',
+    direction,
+    confidence,
+    amount: 1,
+    duration: 60,
+    ...overrides
+});
+
+describe('SignalArbiter voting', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('reads strategy weights from the configuration', () => {
+        const strategyManager = new StrategyManager();
+        const arbiter = createArbiter({}, { strategyManager });
+        const adaptive = strategyManager.getAllStrategies().find(s => s.name === 'AI_Adaptive');
+
+        expect(arbiter.getWeight(signal('Boundary_Breaker', 'CALL', 0.8))).toBe(1.2);
+        expect(arbiter.getWeight(signal('AI_Adaptive', 'CALL', 0.8, { strategyId: adaptive.id }))).toBe(1.5);
+        // Evolved children vote with the weight of their type
+        expect(arbiter.getWeight(signal('AI_Adaptive_E3_1', 'CALL', 0.8, { strategyId: adaptive.id }))).toBe(1.5);
+        expect(arbiter.getWeight(signal('Unknown', 'CALL', 0.8))).toBe(1);
+
+        arbiter.getComponent('config').config.strategies.strategies.boundaryBreaker.enabled = false;
+        expect(arbiter.getWeight(signal('Boundary_Breaker', 'CALL', 0.8))).toBe(0);
+    });
+
+    test('merges agreeing strategies into one decision that names every contributor', async () => {
+        const arbiter = createArbiter();
+        const momentum = signal('Momentum_RSI', 'PUT', 0.75);
+        const boundary = signal('Boundary_Breaker', 'PUT', 0.9);
+        const other = signal('Mean_Reversion', 'CALL', 0.8, { asset: 'R_25' });
+
+        const decisions = await arbiter.arbitrate([momentum, boundary, other], 1000);
+
+        expect(decisions).toHaveLength(2);
+        const [decision] = decisions;
+        expect(decision).toMatchObject({ id: boundary.id, asset: 'R_10', direction: 'PUT', strategy: 'Boundary_Breaker' });
+        expect(decision.confidence).toBeCloseTo((0.75 * 1 + 0.9 * 1.2) / 2.2);
+        expect(decision.ensemble.votes.PUT).toBeCloseTo(0.75 + 1.08);
+        expect(decision.ensemble.contributors.map(c => [c.strategy, c.weight, c.agreed])).toEqual([
+            ['Momentum_RSI', 1, true],
+            ['Boundary_Breaker', 1.2, true]
+        ]);
+        expect(arbiter.getRecentDecisions()).toHaveLength(2);
+    });
+
+    test('lets the heavier side win a clear conflict and rejects a close one', async () => {
+        const arbiter = createArbiter({ conflictMargin: 0.2 });
+        const conflicts = jest.fn();
+        arbiter.on('signal_conflict', conflicts);
+
+        // 1.5 x 0.9 against 1 x 0.7: a 32% margin
+        const clear = await arbiter.arbitrate([
+            signal('AI_Adaptive', 'CALL', 0.9),
+            signal('Momentum_RSI', 'PUT', 0.7)
+        ], 1000);
+        expect(clear).toHaveLength(1);
+        expect(clear[0].direction).toBe('CALL');
+        expect(clear[0].ensemble.contributors.find(c => c.strategy === 'Momentum_RSI').agreed).toBe(false);
+
+        // 0.8 against 0.9: a 6% margin is too close to call
+        const close = await arbiter.arbitrate([
+            signal('Momentum_RSI', 'CALL', 0.8, { asset: 'R_50' }),
+            signal('Breakout_Volume', 'PUT', 0.9, { asset: 'R_50' })
+        ], 1000);
+        expect(close).toEqual([]);
+        expect(conflicts).toHaveBeenCalledWith(expect.objectContaining({ asset: 'R_50' }));
+        expect(arbiter.stats.conflictsRejected).toBe(1);
+    });
+
+    test('counts every contract betting on the other market side as a conflict', async () => {
+        const arbiter = createArbiter({ conflictMargin: 0.2 });
+
+        // A rise against a multiplier down bet and a fall: 0.8 against 0.5 + 0.4
+        const mixed = await arbiter.arbitrate([
+            signal('Momentum_RSI', 'CALL', 0.8),
+            signal('Breakout_Volume', 'MULTDOWN', 0.5),
+            signal('Mean_Reversion', 'PUT', 0.4)
+        ], 1000);
+        expect(mixed).toEqual([]);
+        expect(arbiter.getRecentDecisions()).toHaveLength(0);
+
+        // Digit contracts bet on no side, so they do not contest a rise
+        const digits = await arbiter.arbitrate([
+            signal('Momentum_RSI', 'CALL', 0.8, { asset: 'R_25' }),
+            signal('Breakout_Volume', 'DIGITEVEN', 0.7, { asset: 'R_25' })
+        ], 1000);
+        expect(digits).toHaveLength(1);
+        expect(digits[0].ensemble.margin).toBe(1);
+    });
+
+    test('requires the configured number of agreeing strategies', async () => {
+        const arbiter = createArbiter({ minContributors: 2 });
+
+        expect(await arbiter.arbitrate([signal('Momentum_RSI', 'CALL', 0.9)], 1000)).toEqual([]);
+        expect(await arbiter.arbitrate([
+            signal('Momentum_RSI', 'CALL', 0.9),
+            signal('Breakout_Volume', 'CALL', 0.8)
+        ], 1000)).toHaveLength(1);
+    });
+    test('leaves a disabled strategy out of the decision and its journal entries', async () => {
+        const journal = connect(new DecisionJournal(), { database: new FakeDatabase() });
+        const arbiter = createArbiter({ conflictMargin: 0.2 }, { journal });
+        arbiter.getComponent('config').config.strategies.strategies.boundaryBreaker.enabled = false;
+        const stages = async id => (await journal.getDecisionPath(id)).entries.map(entry => [entry.stage, entry.data.status]);
+
+        const momentum = signal('Momentum_RSI', 'CALL', 0.8);
+        const disabled = signal('Boundary_Breaker', 'CALL', 0.9);
+        const [decision] = await arbiter.arbitrate([momentum, disabled], 1000);
+
+        expect(decision.id).toBe(momentum.id);
+        expect(decision.ensemble.contributors.map(c => c.strategy)).toEqual(['Momentum_RSI']);
+        expect(await stages(disabled.id)).toEqual([['ensemble', 'disabled'], ['outcome', 'rejected']]);
+
+        // A conflict among the others does not reject the disabled signal a second time
+        const outOfVote = signal('Boundary_Breaker', 'PUT', 0.9, { asset: 'R_50' });
+        expect(await arbiter.arbitrate([
+            signal('Momentum_RSI', 'CALL', 0.8, { asset: 'R_50' }),
+            signal('Breakout_Volume', 'PUT', 0.75, { asset: 'R_50' }),
+            outOfVote
+        ], 1000)).toEqual([]);
+        expect(await stages(outOfVote.id)).toEqual([['ensemble', 'disabled'], ['outcome', 'rejected']]);
+    });
+});
+
+describe('SignalArbiter timing', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('holds an asset back during its cooldown', async () => {
+        const arbiter = createArbiter({ assetCooldown: 60000, dedupeWindow: 0 });
+
+        expect(await arbiter.arbitrate([signal('Momentum_RSI', 'CALL', 0.8)], 0)).toHaveLength(1);
+        expect(await arbiter.arbitrate([
+            signal('Breakout_Volume', 'PUT', 0.9),
+            signal('Momentum_RSI', 'CALL', 0.8, { asset: 'R_25' })
+        ], 30000)).toEqual([expect.objectContaining({ asset: 'R_25' })]);
+        expect(await arbiter.arbitrate([signal('Breakout_Volume', 'PUT', 0.9)], 60000)).toHaveLength(1);
+        expect(arbiter.stats.cooldownSuppressed).toBe(1);
+    });
+
+    test('drops a strategy repeating a signal it already acted on', async () => {
+        const arbiter = createArbiter({ assetCooldown: 0, dedupeWindow: 300000 });
+
+        expect(await arbiter.arbitrate([signal('Momentum_RSI', 'CALL', 0.8)], 0)).toHaveLength(1);
+        expect(await arbiter.arbitrate([signal('Momentum_RSI', 'CALL', 0.8)], 5000)).toEqual([]);
+
+        // A different view from the same strategy, or the same view from another, still counts
+        expect(await arbiter.arbitrate([signal('Momentum_RSI', 'PUT', 0.8)], 10000)).toHaveLength(1);
+        const [decision] = await arbiter.arbitrate([
+            signal('Momentum_RSI', 'CALL', 0.8),
+            signal('Breakout_Volume', 'CALL', 0.8)
+        ], 15000);
+        expect(decision.ensemble.contributors.map(c => c.strategy)).toEqual(['Breakout_Volume']);
+
+        expect(await arbiter.arbitrate([signal('Momentum_RSI', 'CALL', 0.8)], 300000)).toHaveLength(1);
+        expect(arbiter.stats.duplicatesDropped).toBe(2);
+    });
+});
+
+describe('StrategyManager with the arbiter', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('forwards one ensemble decision per asset and journals every vote', async () => {
+        const database = new FakeDatabase();
+        const journal = connect(new DecisionJournal(), { database });
+        const manager = new StrategyManager();
+        const arbiter = createArbiter({}, { journal, strategyManager: manager });
+        connect(manager, { journal, arbiter, riskManager: new FakeRiskManager() });
+
+        const [momentum, breakout, boundary] = ['Momentum_RSI', 'Breakout_Volume', 'Boundary_Breaker']
+            .map(name => manager.getAllStrategies().find(s => s.name === name));
+        const fired = {
+            [momentum.id]: signal(momentum.name, 'CALL', 0.8, { id: undefined, strategyId: momentum.id }),
+            [breakout.id]: signal(breakout.name, 'PUT', 0.75, { id: undefined, strategyId: breakout.id }),
+            [boundary.id]: signal(boundary.name, 'CALL', 0.9, { id: undefined, strategyId: boundary.id })
+        };
+        jest.spyOn(manager, 'evaluateStrategy').mockImplementation(async strategy => fired[strategy.id] || null);
+        const emitted = jest.fn();
+        manager.on('trade_signal', emitted);
+
+        await manager.generateSignals();
+
+        expect(emitted).toHaveBeenCalledTimes(1);
+        const decision = emitted.mock.calls[0][0];
+        expect(decision).toMatchObject({ direction: 'CALL', strategyId: boundary.id });
+        expect(decision.ensemble.contributors.filter(c => c.agreed).map(c => c.strategy)).toEqual(['Momentum_RSI', 'Boundary_Breaker']);
+
+        const selected = await journal.getDecisionPath(decision.id);
+        expect(selected.entries.map(entry => entry.stage)).toEqual(['signal', 'signal_risk', 'ensemble']);
+        expect(selected.entries[2].data.status).toBe('selected');
+
+        const outvoted = await journal.getDecisionPath(fired[breakout.id].id);
+        expect(outvoted.entries.map(entry => entry.stage)).toEqual(['signal', 'signal_risk', 'ensemble', 'outcome']);
+        expect(outvoted.entries[3].data).toEqual({ status: 'outvoted', decisionSignalId: decision.id });
+    });
+
+    test('forwards every signal when no arbiter is registered', async () => {
+        const manager = connect(new StrategyManager(), { riskManager: new FakeRiskManager() });
+        const [first, second] = manager.getAllStrategies();
+        jest.spyOn(manager, 'evaluateStrategy').mockImplementation(async strategy =>
+            signal(strategy.name, strategy === first ? 'CALL' : 'PUT', 0.9, { strategyId: strategy.id }));
+        const emitted = jest.fn();
+        manager.on('trade_signal', emitted);
+
+        await manager.generateSignals();
+
+        expect(emitted.mock.calls.map(([s]) => s.strategyId)).toEqual(expect.arrayContaining([first.id, second.id]));
+    });
+});
@@ -0,0 +1,119 @@
+// tests/StrategyManager.evolution.test.js
+
+const StrategyManager = require('../src/ai/StrategyManager');
+const { connect, FakeDatabase, FakeRiskManager } = require('./fixtures/testDoubles');
+
+const createManager = () => connect(new StrategyManager(), {
+    database: new FakeDatabase(),
+    riskManager: new FakeRiskManager()
+});
+
+const findStrategy = (manager, name) =>
+    Array.from(manager.strategies.values()).find(strategy => strategy.name === name);
+
+const recordTrades = async (manager, strategy, results) => {
+    for (const [index, profit] of results.entries()) {
+        await manager.updateStrategyPerformance({
+            id: `${strategy.id}_${index}`,
+            strategyId: strategy.id,
+            result: profit > 0 ? 'win' : 'loss',
+            profit
+        });
+    }
+};
+
+describe('StrategyManager evolution', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('updates performance and advanced metrics from closed trades', async () => {
+        const manager = createManager();
+        const strategy = findStrategy(manager, 'Momentum_RSI');
+
+        await recordTrades(manager, strategy, [2, 2, -1, 2, -1, 2, -1, -1, 2, 2]);
+
+        expect(strategy.performance).toMatchObject({
+            totalTrades: 10,
+            winningTrades: 6,
+            losingTrades: 4,
+            winRate: 0.6,
+            totalProfit: 8,
+            averageProfit: 0.8,
+            maxDrawdown: 2,
+            profitFactor: 3
+        });
+    });
+
+    test('retires a strategy whose win rate falls below the threshold', async () => {
+        const manager = createManager();
+        manager.config.performanceWindow = 5;
+        const strategy = findStrategy(manager, 'Mean_Reversion');
+        const retired = jest.fn();
+        manager.on('strategy_retired', retired);
+
+        await recordTrades(manager, strategy, [-1, -1, 1, -1, -1]);
+
+        expect(strategy.status).toBe('retired');
+        expect(manager.activeStrategies.has(strategy.id)).toBe(false);
+        expect(retired).toHaveBeenCalledWith(expect.objectContaining({ strategyId: strategy.id }));
+        expect(manager.stats.retiredStrategies).toBe(1);
+    });
+
+    test('breeds a hybrid that averages parameters and combines entry rules', async () => {
+        const manager = createManager();
+        const momentum = findStrategy(manager, 'Momentum_RSI');
+        const reversal = findStrategy(manager, 'Mean_Reversion');
+
+        const hybrid = await manager.createHybridStrategy(momentum, reversal);
+
+        expect(hybrid.evolution).toMatchObject({ generation: 2, parentStrategy: [momentum.id, reversal.id] });
+        expect(hybrid.parameters.timeframe).toBe(5);
+        expect(hybrid.parameters.rsiPeriod).toBe(14);
+        expect(hybrid.rules.entry.call).toBe(`(${momentum.rules.entry.call}) OR (${reversal.rules.entry.call})`);
+        expect(hybrid.confidence).toBeCloseTo((momentum.confidence + reversal.confidence) / 2, 10);
+        expect(manager.activeStrategies.has(hybrid.id)).toBe(true);
+    });
+
+    test('mutates into a new strategy and leaves the parent in place', async () => {
+        const manager = createManager();
+        const parent = findStrategy(manager, 'Momentum_RSI');
+        await recordTrades(manager, parent, [1, 1, -1]);
+        const count = manager.strategies.size;
+
+        // Every numeric parameter mutates by 0.9 + 0.1 * 0.2
+        jest.spyOn(Math, 'random').mockReturnValue(0.1);
+        const child = await manager.mutateStrategy(parent);
+
+        expect(child.id).not.toBe(parent.id);
+        expect(manager.strategies.size).toBe(count + 1);
+        expect(manager.strategies.get(parent.id)).toBe(parent);
+        expect(parent.performance.totalTrades).toBe(3);
+
+        expect(child.name).toBe('Momentum_RSI_M1');
+        expect(child.performance.totalTrades).toBe(0);
+        expect(child.evolution).toMatchObject({ parentStrategy: parent.id, generation: 2, mutations: 1 });
+        expect(child.parameters.rsiPeriod).toBeCloseTo(14 * 0.92, 10);
+    });
+
+    test('runs an evolution cycle over the top performers', async () => {
+        const manager = createManager();
+        const momentum = findStrategy(manager, 'Momentum_RSI');
+        const reversal = findStrategy(manager, 'Mean_Reversion');
+        await recordTrades(manager, momentum, Array.from({ length: 20 }, (_, i) => (i % 4 === 0 ? -1 : 1)));
+        await recordTrades(manager, reversal, Array.from({ length: 20 }, (_, i) => (i % 2 === 0 ? -1 : 1)));
+
+        const evolved = jest.fn();
+        const complete = jest.fn();
+        manager.on('strategy_evolved', evolved);
+        manager.on('evolution_cycle_complete', complete);
+        const count = manager.strategies.size;
+
+        await manager.runEvolutionCycle();
+
+        expect(evolved.mock.calls.map(([event]) => event.type)).toEqual(['hybrid', 'mutation', 'mutation']);
+        expect(evolved.mock.calls[0][0].parents).toEqual(['Momentum_RSI', 'Mean_Reversion']);
+        expect(manager.strategies.size).toBe(count + 3);
+        expect(complete).toHaveBeenCalledWith(expect.objectContaining({ cycle: 1, topPerformer: 'Momentum_RSI' }));
+    });
+});
@@ -0,0 +1,188 @@
+// tests/StrategyRules.test.js
+
+const { parseRule, compileRule, buildScope, RuleSyntaxError } = require('../src/ai/StrategyRules');
+const StrategyManager = require('../src/ai/StrategyManager');
+const { BayneXWebModule } = require('../src/web');
+const { connect, FakeDatabase, FakeRiskManager } = require('./fixtures/testDoubles');
+const { serve } = require('./fixtures/http');
+
+// The error a rule throws, so its position can be checked
+const syntaxError = (source, scope) => {
+    try {
+        parseRule(source, scope);
+    } catch (error) {
+        return error;
+    }
+    throw new Error(`Rule parsed: ${source}`);
+};
+
+const evaluate = (source, context = {}) => compileRule(source)(context);
+
+describe('StrategyRules syntax errors', () => {
+    test('point at the column of the offending token', () => {
+        const error = syntaxError('RSI = 30');
+
+        expect(error).toBeInstanceOf(RuleSyntaxError);
+        expect(error).toMatchObject({ reason: "Unexpected '=' (use '==' to compare)", position: 4, column: 5 });
+        expect(error.message).toBe("Unexpected '=' (use '==' to compare) at column 5\n  RSI = 30\n      ^");
+    });
+
+    test('name what was expected and where', () => {
+        expect(syntaxError('RSI < 30 AND')).toMatchObject({ reason: 'Unexpected end of rule, expected a value', column: 13 });
+        expect(syntaxError('(RSI < 30')).toMatchObject({ reason: "Missing ')' to close '(' opened at column 1", column: 10 });
+        expect(syntaxError('RSI < 30 # comment')).toMatchObject({ reason: "Unexpected character '#'", column: 10 });
+        expect(syntaxError('1 < 2 < 3')).toMatchObject({ reason: 'Chained comparisons are not supported (combine them with AND)', column: 7 });
+        expect(syntaxError('avg(RSI) > 0')).toMatchObject({ reason: "Unknown function 'avg'", column: 1 });
+        expect(syntaxError('RSI > min(oversold)')).toMatchObject({ reason: 'min() expects at least 2 argument(s), got 1', column: 7 });
+        expect(syntaxError('   ')).toMatchObject({ reason: 'Empty rule', column: 1 });
+    });
+
+    test('reject identifiers the strategy does not declare', () => {
+        const scope = buildScope({ indicators: ['RSI'], parameters: { oversold: 30 } });
+
+        expect(() => parseRule('RSI < oversold AND price > 0 AND momentum > 0', scope)).not.toThrow();
+        expect(syntaxError('RSI < overbought', scope)).toMatchObject({ reason: "Unknown identifier 'overbought'", column: 7 });
+    });
+});
+
+describe('StrategyRules precedence', () => {
+    test('binds NOT tighter than AND, and AND tighter than OR', () => {
+        expect(evaluate('true OR true AND false')).toBe(true);
+        expect(evaluate('false AND true OR true')).toBe(true);
+        expect(evaluate('NOT false AND false')).toBe(false);
+        expect(evaluate('NOT (false AND false)')).toBe(true);
+    });
+
+    test('does arithmetic before comparing, multiplying before adding, left to right', () => {
+        expect(evaluate('2 + 3 * 4 == 14')).toBe(true);
+        expect(evaluate('(2 + 3) * 4 == 20')).toBe(true);
+        expect(evaluate('10 - 4 - 3 == 3')).toBe(true);
+        expect(evaluate('8 / 4 / 2 == 1')).toBe(true);
+        expect(evaluate('-2 * 3 == -6')).toBe(true);
+        expect(evaluate('1 + 1 > 1')).toBe(true);
+    });
+
+    test('accepts keywords in any case and the symbolic aliases', () => {
+        expect(evaluate('true and not false')).toBe(true);
+        expect(evaluate('false || !false && true')).toBe(true);
+    });
+});
+
+describe('StrategyRules evaluation', () => {
+    const context = {
+        indicators: { RSI: 25, momentum: 0.8, bollinger: { upper: 110, lower: 90 }, bullish: true },
+        parameters: { oversold: 30, momentum: -5 },
+        market: { price: 100, spread: 0 }
+    };
+
+    test('reads indicators first, then parameters, then market fields', () => {
+        expect(evaluate('RSI < oversold AND momentum > 0', context)).toBe(true);
+        expect(evaluate('price < bollinger.upper AND price > bollinger.lower', context)).toBe(true);
+        expect(evaluate('bullish AND bullish == 1', context)).toBe(true);
+        expect(evaluate('abs(momentum - 1) < 0.25 AND max(RSI, oversold, 10) == 30', context)).toBe(true);
+    });
+
+    test('never satisfies a condition on a missing or undefined value', () => {
+        expect(evaluate('MACD > 0', context)).toBe(false);
+        expect(evaluate('MACD <= 0', context)).toBe(false);
+        expect(evaluate('bollinger.middle.value > 0', context)).toBe(false);
+        expect(evaluate('price / spread > 0', context)).toBe(false);
+        expect(evaluate('price / spread <= 0', context)).toBe(false);
+        expect(evaluate('max(RSI, MACD) > 0', context)).toBe(false);
+    });
+
+    test('compiles once and keeps the source with the rule', () => {
+        const rule = compileRule('RSI < oversold');
+
+        expect(rule.source).toBe('RSI < oversold');
+        expect(rule.ast).toEqual({
+            type: 'compare',
+            operator: '<',
+            position: 4,
+            left: { type: 'path', segments: ['RSI'], position: 0 },
+            right: { type: 'path', segments: ['oversold'], position: 6 }
+        });
+        expect(rule({ indicators: { RSI: 25 }, parameters: { oversold: 30 } })).toBe(true);
+        expect(rule({ indicators: { RSI: 35 }, parameters: { oversold: 30 } })).toBe(false);
+    });
+});
+
+describe('rule strategy API', () => {
+    let web;
+    let api;
+    let manager;
+
+    const tokenFor = role => web.auth.issueToken({ uid: role, email: `${role}@example.com`, role });
+
+    const definition = {
+        name: 'Oversold_Bounce',
+        parameters: { oversold: 25 },
+        indicators: ['RSI'],
+        regimes: ['ranging'],
+        rules: { entry: { call: 'RSI < oversold AND momentum > 0' } },
+        confidence: 0.8
+    };
+
+    beforeEach(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        manager = connect(new StrategyManager(), { database: new FakeDatabase(), riskManager: new FakeRiskManager() });
+        manager.saveStrategies = jest.fn().mockResolvedValue();
+        web = connect(new BayneXWebModule({ jwtSecret: 'test-jwt-secret' }), { database: new FakeDatabase(), strategyManager: manager });
+        web.setupMiddleware();
+        web.setupRoutes();
+        api = await serve(web.app);
+    });
+
+    afterEach(async () => {
+        await api.close();
+        jest.restoreAllMocks();
+    });
+
+    test('admins create a rule strategy that trades and is saved', async () => {
+        expect((await api.request('POST', '/strategies', { token: tokenFor('trader'), body: definition })).status).toBe(403);
+
+        const created = await api.request('POST', '/strategies', { token: tokenFor('admin'), body: { ...definition, type: 'momentum', status: 'retired' } });
+
+        expect(created.status).toBe(201);
+        expect(created.body.strategy).toMatchObject({
+            name: 'Oversold_Bounce',
+            type: 'rules',
+            status: 'active',
+            parameters: { oversold: 25, timeframe: 5 },
+            regimes: ['ranging']
+        });
+        expect(manager.saveStrategies).toHaveBeenCalled();
+
+        const strategy = manager.strategies.get(created.body.strategy.id);
+        const signal = await manager.evaluateEntryConditions(strategy, { RSI: 20, momentum: 0.5 }, { asset: 'R_10', price: 100 });
+        expect(signal).toMatchObject({ direction: 'call', confidence: 0.8 });
+    });
+
+    test('reports every broken rule with its column and stores nothing', async () => {
+        const admin = tokenFor('admin');
+        const count = manager.strategies.size;
+
+        const broken = await api.request('POST', '/strategies', {
+            token: admin,
+            body: { ...definition, rules: { entry: { call: 'RSI < oversold AND', put: 'RSI > overbought' } } }
+        });
+        expect(broken).toEqual({
+            status: 400,
+            body: {
+                error: 'Invalid rules for strategy Oversold_Bounce',
+                errors: [
+                    { side: 'call', message: 'Unexpected end of rule, expected a value', position: 18, column: 19 },
+                    { side: 'put', message: "Unknown identifier 'overbought'", position: 6, column: 7 }
+                ]
+            }
+        });
+
+        expect((await api.request('POST', '/strategies', { token: admin, body: { ...definition, name: 'Momentum_RSI' } })).body)
+            .toEqual({ error: 'Strategy Momentum_RSI already exists' });
+        expect((await api.request('POST', '/strategies', { token: admin, body: { ...definition, regimes: ['sideways'] } })).status).toBe(400);
+        expect(manager.strategies.size).toBe(count);
+        expect(manager.saveStrategies).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,184 @@
+// tests/TradePricer.test.js
+
+const TradePricer = require('../src/risk/TradePricer');
+const DerivConnector = require('../src/platforms/DerivConnector');
+const BayneXCore = require('../src/core/BayneXCore');
+const DecisionJournal = require('../src/core/DecisionJournal');
+const RiskManager = require('../src/risk/RiskManagers');
+const { connect, createSignal, FakePlatforms, FakeDatabase } = require('./fixtures/testDoubles');
+
+const createPricer = (payoutRatio = 0.95, options = {}, components = {}) => {
+    const platforms = new FakePlatforms();
+    platforms.payoutRatio = payoutRatio;
+    const pricer = connect(new TradePricer(options), { platforms, ...components });
+    return { pricer, platforms };
+};
+
+describe('DerivConnector proposals', () => {
+    test('quotes a contract and derives the payout ratio', async () => {
+        const connector = new DerivConnector({ apiToken: 'token' });
+        connector.sendRequest = jest.fn().mockResolvedValue({
+            proposal: { id: 'abc123', ask_price: 10, payout: 19.54, spot: 6543.21, longcode: 'Win payout if ...' }
+        });
+
+        const proposal = await connector.getProposal({ asset: 'R_10', direction: 'put', amount: 10, duration: 60 });
+
+        expect(connector.sendRequest).toHaveBeenCalledWith({
+            proposal: 1,
+            amount: 10,
+            basis: 'stake',
+            contract_type: 'PUT',
+            currency: 'USD',
+            duration: 60,
+            duration_unit: 's',
+            symbol: 'R_10'
+        });
+        expect(proposal).toMatchObject({ proposalId: 'abc123', askPrice: 10, payout: 19.54 });
+        expect(proposal.payoutRatio).toBeCloseTo(0.954);
+    });
+
+    test('surfaces a refused proposal', async () => {
+        const connector = new DerivConnector({ apiToken: 'token' });
+        connector.sendRequest = jest.fn().mockResolvedValue({ error: { message: 'Trading is not offered for this duration.' } });
+
+        await expect(connector.getProposal({ asset: 'R_10', direction: 'CALL', amount: 10, duration: 1 }))
+            .rejects.toThrow('Proposal failed: Trading is not offered for this duration.');
+    });
+});
+
+describe('TradePricer expected value', () => {
+    test('approves positive expected value on the quoted odds and rejects the rest', async () => {
+        const { pricer } = createPricer(0.95);
+
+        const good = await pricer.evaluate(createSignal({ confidence: 0.6 }));
+        expect(good).toMatchObject({ approved: true, payoutRatio: 0.95, winProbability: 0.6 });
+        expect(good.expectedValue).toBeCloseTo(0.6 * 0.95 - 0.4);
+        expect(good.kellyFraction).toBeCloseTo((0.6 * 0.95 - 0.4) / 0.95);
+
+        // 50% at 95% payout loses 2.5 cents per dollar staked
+        const poor = await pricer.evaluate(createSignal({ confidence: 0.5, direction: 'PUT' }));
+        expect(poor.approved).toBe(false);
+        expect(poor.expectedValue).toBeCloseTo(-0.025);
+        expect(poor.reason).toBe('Expected value -2.5% per stake is not above 0.0% (win 50.0% vs break-even 51.3%)');
+    });
+
+    test('calibrates the signal confidence against the strategy record', () => {
+        const strategies = new Map([['momentum_1', { performance: { totalTrades: 100, winningTrades: 40 } }]]);
+        const { pricer } = createPricer(0.95, { calibrationWeight: 20 }, { strategyManager: { strategies } });
+
+        expect(pricer.getWinProbability(createSignal({ confidence: 0.8 }))).toBeCloseTo((40 + 0.8 * 20) / 120);
+        expect(pricer.getWinProbability(createSignal({ confidence: 0.8, strategyId: 'new_strategy' }))).toBe(0.8);
+    });
+
+    test('prices digit contracts at their fixed odds and leaves barrier contracts unpriced', async () => {
+        const { pricer, platforms } = createPricer(8.25);
+        const digits = { duration: 5, durationUnit: 't', confidence: 0.9 };
+
+        // A confident strategy still matches one digit in ten
+        const match = await pricer.evaluate(createSignal({ ...digits, direction: 'DIGITMATCH', barrier: 7 }));
+        expect(match).toMatchObject({ approved: false, winProbability: 0.1 });
+        expect(match.expectedValue).toBeCloseTo(0.1 * 8.25 - 0.9);
+        expect(pricer.getWinProbability(createSignal({ ...digits, direction: 'DIGITOVER', barrier: 6 }))).toBeCloseTo(0.3);
+        expect(pricer.getWinProbability(createSignal({ ...digits, direction: 'DIGITEVEN' }))).toBe(0.5);
+
+        expect(await pricer.evaluate(createSignal({ direction: 'ONETOUCH', barrier: '+0.5' }))).toEqual({
+            approved: true,
+            reason: 'ONETOUCH is not priced: its odds depend on where the barriers sit'
+        });
+        expect(pricer.getWinProbability(createSignal({ direction: 'CALL', barrier: '+0.5' }))).toBeNull();
+        expect(platforms.proposals).toHaveLength(1);
+    });
+
+    test('reuses a proposal per asset, duration and contract type until it expires', async () => {
+        const { pricer, platforms } = createPricer(0.9, { cacheTtl: 5000 });
+        const now = jest.spyOn(Date, 'now').mockReturnValue(1000000);
+
+        await pricer.evaluate(createSignal());
+        const cached = await pricer.evaluate(createSignal({ amount: 25 }));
+        await pricer.evaluate(createSignal({ duration: 300 }));
+        await pricer.evaluate(createSignal({ direction: 'PUT' }));
+        await pricer.evaluate(createSignal({ asset: 'R_25' }));
+
+        expect(cached.quote.cached).toBe(true);
+        expect(platforms.proposals).toHaveLength(4);
+
+        now.mockReturnValue(1005000);
+        await pricer.evaluate(createSignal());
+        expect(platforms.proposals).toHaveLength(5);
+
+        now.mockRestore();
+    });
+
+    test('assumes the default payout where the platform cannot quote', async () => {
+        const { pricer } = createPricer(null, { defaultPayoutRatio: 0.8 });
+
+        const pricing = await pricer.evaluate(createSignal({ confidence: 0.6 }));
+
+        expect(pricing.quote.source).toBe('assumed');
+        expect(pricing.payoutRatio).toBe(0.8);
+        expect(pricing.approved).toBe(true);
+    });
+});
+
+describe('BayneXCore pricing step', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const createCore = (payoutRatio) => {
+        const database = new FakeDatabase();
+        const platforms = new FakePlatforms();
+        platforms.payoutRatio = payoutRatio;
+        const journal = connect(new DecisionJournal(), { database });
+        const riskManager = connect(new RiskManager(), { database });
+        const pricer = connect(new TradePricer(), { platforms });
+        const core = connect(new BayneXCore(), { platforms, database, riskManager, journal, pricer });
+        return { core, platforms, journal, riskManager };
+    };
+
+    test('does not buy a contract with negative expected value', async () => {
+        const { core, platforms, journal } = createCore(0.7);
+        const signal = createSignal({ id: 'SIG_1', confidence: 0.55 });
+
+        await expect(core.executeTradeSignal(signal)).rejects.toThrow('Trade rejected by pricing: Expected value -6.5% per stake');
+
+        expect(platforms.executed).toHaveLength(0);
+        const { entries } = await journal.getDecisionPath('SIG_1');
+        expect(entries.map(entry => entry.stage)).toEqual(['pricing', 'outcome']);
+        expect(entries[0].data).toMatchObject({ approved: false, payoutRatio: 0.7, winProbability: 0.55 });
+    });
+
+    test('sizes with Kelly on the quoted payout', async () => {
+        const { core, riskManager } = createCore(0.95);
+        const validate = jest.spyOn(riskManager, 'validateTrade');
+        const kelly = jest.spyOn(riskManager.positionSizer, 'calculateKellyAmount');
+
+        await core.executeTradeSignal(createSignal({ confidence: 0.6 }));
+
+        expect(validate.mock.calls[0][0].pricing).toMatchObject({ approved: true, payoutRatio: 0.95 });
+        expect(kelly).toHaveBeenCalledWith(riskManager.accountStats.currentBalance, 0.6, 0.95);
+        expect(riskManager.positionSizer.calculateKellyAmount(1000, 0.6, 0.95)).toBeCloseTo(1000 * (0.6 * 0.95 - 0.4) / 0.95);
+    });
+
+    test('buys no more than Kelly allows on a thin edge', async () => {
+        const { core, platforms, riskManager } = createCore(0.95);
+        const validate = jest.spyOn(riskManager, 'validateTrade');
+
+        // 51.5% at 95% payout: Kelly stakes 0.45% of the $1000 balance
+        await core.executeTradeSignal(createSignal({ confidence: 0.515 }));
+
+        expect(platforms.executed[0].amount).toBe(4.47);
+        expect(await validate.mock.results[0].value).toMatchObject({ stakeLimit: 4.47, maxLoss: 4.47 });
+        expect((await validate.mock.results[0].value).notes).toContain('Kelly caps the stake at $4.47');
+
+        // An edge worth less than the minimum stake is not worth buying
+        await expect(core.executeTradeSignal(createSignal({ confidence: 0.5129 })))
+            .rejects.toThrow('Trade rejected by risk manager: Kelly stake $0.16 is below the minimum trade size of $0.35');
+        expect(platforms.executed).toHaveLength(1);
+    });
+});
@@ -0,0 +1,262 @@
+// tests/TradeReconciler.test.js
+
+const TradeReconciler = require('../src/core/TradeReconciler');
+const BayneXCore = require('../src/core/BayneXCore');
+const DecisionJournal = require('../src/core/DecisionJournal');
+const RiskManager = require('../src/risk/RiskManagers');
+const PlatformConnectors = require('../src/platforms/PlatformConnectors');
+const DerivConnector = require('../src/platforms/DerivConnector');
+const { connect, FakePlatforms, FakeDatabase } = require('./fixtures/testDoubles');
+
+// Adds the open trades query, in the trades table's column shape
+class OpenTradesDatabase extends FakeDatabase {
+    async getOpenTrades() {
+        return this.trades.filter(trade => trade.status === 'active').map(trade => this.toTradeRow(trade));
+    }
+}
+
+const NOW = new Date(2026, 9, 19, 15, 0, 0).getTime();
+const MINUTE = 60000;
+
+// A trade as the core saved it before the restart
+const savedTrade = (id, overrides = {}) => ({
+    id,
+    signalId: `SIG_${id}`,
+    signal: { strategy: 'Momentum_RSI', strategyId: 'momentum_1', confidence: 0.7 },
+    platform: 'deriv',
+    asset: 'R_10',
+    direction: 'CALL',
+    amount: 10,
+    duration: 300,
+    entryPrice: 100,
+    entryTime: new Date(NOW - 2 * MINUTE),
+    status: 'active',
+    contractId: 5000,
+    ...overrides
+});
+
+const closedTrade = (id, profit, minutesAgo) => savedTrade(id, {
+    status: 'closed',
+    profit,
+    result: profit > 0 ? 'win' : 'loss',
+    entryTime: new Date(NOW - (minutesAgo + 5) * MINUTE),
+    exitTime: new Date(NOW - minutesAgo * MINUTE)
+});
+
+const createSystem = async (saved, platforms = new FakePlatforms()) => {
+    const database = new OpenTradesDatabase();
+    for (const trade of saved) await database.saveTrade(trade);
+
+    const journal = connect(new DecisionJournal(), { database });
+    const riskManager = connect(new RiskManager(), { database });
+    const core = connect(new BayneXCore(), { platforms, database, journal, riskManager });
+    const reconciler = connect(new TradeReconciler({ orphanGrace: 600 }), { database, platforms, journal, riskManager, core });
+    return { database, platforms, journal, riskManager, core, reconciler };
+};
+
+describe('TradeReconciler', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('resumes open contracts, settles closed ones, writes off the unknown and holds back the unlisted', async () => {
+        const { database, platforms, journal, riskManager, core, reconciler } = await createSystem([
+            closedTrade('T_EARLY', 12, 120),
+            savedTrade('T_OPEN', { contractId: 5001 }),
+            savedTrade('T_SOLD', { contractId: 5002, entryTime: new Date(NOW - 30 * MINUTE) }),
+            savedTrade('T_LOST', { contractId: 5003, entryTime: new Date(NOW - 60 * MINUTE) }),
+            savedTrade('T_FRESH', { contractId: 5004, entryTime: new Date(NOW - MINUTE) })
+        ]);
+        platforms.activeContracts = [{ contract_id: 5001, symbol: 'R_10', contract_type: 'CALL', buy_price: 10 }];
+        platforms.settledContracts = [{
+            contractId: 5002, buyPrice: 10, sellPrice: 0, profit: -10,
+            sellTime: new Date(NOW - 25 * MINUTE), purchaseTime: new Date(NOW - 30 * MINUTE)
+        }];
+        const closed = jest.fn();
+        core.on('trade_closed', closed);
+
+        const report = await reconciler.reconcile(NOW);
+
+        expect(report).toMatchObject({ resumed: ['T_OPEN'], settled: ['T_SOLD'], orphaned: ['T_LOST'], deferred: ['T_FRESH'] });
+
+        // Still running: monitored by the core again, under the connector's contract id
+        expect(core.findTradeByContract(5001)).toMatchObject({ id: 'T_OPEN', recovered: true, signal: { strategyId: 'momentum_1' } });
+        expect(platforms.resumed).toEqual([{ platform: 'deriv', contractId: 5001, tradeId: 'T_OPEN' }]);
+        // Listed nowhere yet: nothing could settle it, so it holds no slot until a retry places it
+        expect(Array.from(core.activeTrades.keys())).toEqual(['T_OPEN']);
+        expect(Array.from(riskManager.activeTrades.keys())).toEqual(['T_OPEN']);
+        expect(reconciler.getStats().pending).toBe(1);
+
+        // Closed while down: settled through the core like any expiry
+        expect(closed).toHaveBeenCalledWith(expect.objectContaining({ id: 'T_SOLD', profit: -10, result: 'loss', exitReason: 'settled_offline' }));
+        expect(database.trades.find(trade => trade.id === 'T_SOLD')).toMatchObject({ status: 'closed', exitTime: new Date(NOW - 25 * MINUTE) });
+
+        // Nobody knows it and it expired long ago
+        expect(database.trades.find(trade => trade.id === 'T_LOST').status).toBe('orphaned');
+        const { entries } = await journal.getDecisionPath('SIG_T_LOST');
+        expect(entries.map(entry => [entry.stage, entry.data.status])).toEqual([['outcome', 'orphaned']]);
+
+        // Today's earlier win plus the loss settled during recovery
+        expect(riskManager.dailyStats).toMatchObject({ profit: 12, loss: 10, netPL: 2, tradesExecuted: 5, consecutiveLosses: 1 });
+    });
+
+    test('defers every trade on a platform it cannot reach', async () => {
+        const { platforms, core, database, reconciler } = await createSystem([savedTrade('T_OPEN')]);
+        jest.spyOn(platforms, 'getActiveContracts').mockRejectedValue(new Error('Not connected to Deriv WebSocket'));
+
+        const report = await reconciler.reconcile(NOW);
+
+        expect(report.deferred).toEqual(['T_OPEN']);
+        expect(core.activeTrades.size).toBe(0);
+        expect(database.trades[0].status).toBe('active');
+    });
+
+    test('says why a contract is written off on a platform without settlement history', async () => {
+        const { platforms, reconciler } = await createSystem([savedTrade('T_PAPER', { platform: 'paper', entryTime: new Date(NOW - 60 * MINUTE) })]);
+        platforms.settledContracts = null;
+        const orphaned = jest.fn();
+        reconciler.on('trade_orphaned', orphaned);
+
+        await reconciler.reconcile(NOW);
+
+        expect(orphaned).toHaveBeenCalledWith(expect.objectContaining({ tradeId: 'T_PAPER', reason: 'paper keeps no settlement history' }));
+    });
+});
+
+describe('TradeReconciler with the Deriv connector', () => {
+    let account;
+
+    // A Deriv connection answering from an account the test controls
+    const createDeriv = () => {
+        const platforms = new PlatformConnectors();
+        platforms.config.paperTrading = false;
+        const deriv = new DerivConnector({ apiToken: 'token' });
+        deriv.isConnected = true;
+        deriv.sendRequest = jest.fn(async request => {
+            if (request.portfolio) return { portfolio: { contracts: account.open } };
+            if (request.profit_table) return { profit_table: { transactions: account.sold } };
+            return {};
+        });
+        platforms.platforms.set('deriv', deriv);
+        platforms.setupPlatformEvents('deriv', deriv);
+        return { platforms, deriv };
+    };
+
+    beforeEach(() => {
+        jest.useFakeTimers({ now: NOW, doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        account = { open: [], sold: [] };
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+    });
+
+    test('keeps a contract Deriv does not list out of the core and settles it on a retry', async () => {
+        const { platforms, deriv } = createDeriv();
+        const { core, riskManager, database, reconciler } = await createSystem([savedTrade('T_LATE', { contractId: 5005 })], platforms);
+
+        expect((await reconciler.reconcile(NOW)).deferred).toEqual(['T_LATE']);
+        expect(core.activeTrades.size).toBe(0);
+        expect(riskManager.activeTrades.size).toBe(0);
+        // Status polling could never settle it: the connector only knows contracts it tracks
+        expect(await deriv.getTradeStatus(5005)).toEqual({ status: 'unknown' });
+
+        account.sold = [{
+            contract_id: 5005, buy_price: '10.00', sell_price: '18.50',
+            purchase_time: (NOW - 2 * MINUTE) / 1000, sell_time: (NOW + 3 * MINUTE) / 1000
+        }];
+        const report = await reconciler.retryPending(NOW + 4 * MINUTE);
+
+        expect(report).toMatchObject({ settled: ['T_LATE'], deferred: [] });
+        expect(database.trades[0]).toMatchObject({ status: 'closed', profit: 8.5, result: 'win' });
+        expect(riskManager.activeTrades.size).toBe(0);
+        expect(reconciler.getStats().pending).toBe(0);
+        expect(await reconciler.retryPending(NOW + 5 * MINUTE)).toBeNull();
+    });
+
+    test('writes off a contract Deriv still does not list once it is long past expiry', async () => {
+        const { platforms } = createDeriv();
+        const { database, reconciler } = await createSystem([savedTrade('T_GONE', { contractId: 5006 })], platforms);
+        await reconciler.start();
+
+        // The next timed retry after expiry and the grace period
+        jest.setSystemTime(NOW + 20 * MINUTE);
+        const retried = new Promise(resolve => reconciler.once('trades_reconciled', resolve));
+        jest.advanceTimersByTime(reconciler.config.retryInterval);
+
+        expect(await retried).toMatchObject({ orphaned: ['T_GONE'] });
+
+        expect(database.trades[0].status).toBe('orphaned');
+        await reconciler.stop();
+    });
+
+    test('reconciles a platform it could not reach at startup once it connects', async () => {
+        const { platforms, deriv } = createDeriv();
+        deriv.isConnected = false;
+        const { core, riskManager, reconciler } = await createSystem([savedTrade('T_OPEN', { contractId: 5001 })], platforms);
+
+        await reconciler.start();
+        expect(reconciler.getLastReport().deferred).toEqual(['T_OPEN']);
+        expect(core.activeTrades.size).toBe(0);
+
+        account.open = [{ contract_id: 5001, symbol: 'R_10', contract_type: 'CALL', buy_price: 10, purchase_time: (NOW - 2 * MINUTE) / 1000 }];
+        deriv.isConnected = true;
+        const retried = new Promise(resolve => reconciler.once('trades_reconciled', resolve));
+        deriv.emit('connected');
+
+        expect(await retried).toMatchObject({ resumed: ['T_OPEN'], deferred: [] });
+        expect(core.findTradeByContract(5001)).toMatchObject({ id: 'T_OPEN', recovered: true });
+        expect(riskManager.activeTrades.has('T_OPEN')).toBe(true);
+        expect(await deriv.getTradeStatus(5001)).toMatchObject({ status: 'open' });
+        await reconciler.stop();
+    });
+});
+
+describe('RiskManager daily stats recovery', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('rebuilds today from settled trades in order and ignores yesterday', () => {
+        const riskManager = new RiskManager();
+        const database = new FakeDatabase();
+        const rows = [
+            closedTrade('Y', -50, 24 * 60),
+            closedTrade('A', -5, 90),
+            closedTrade('B', 8, 60),
+            closedTrade('C', -4, 30),
+            closedTrade('D', -6, 10),
+            savedTrade('E')
+        ].map(trade => database.toTradeRow(trade));
+
+        const stats = riskManager.restoreDailyStats(rows, new Date(NOW));
+
+        expect(stats).toEqual({
+            profit: 8, loss: 15, netPL: -7, tradesExecuted: 5, consecutiveLosses: 2, lastResetDate: new Date(NOW).toDateString()
+        });
+    });
+
+    test('stops trading again when the restored day already breached the emergency limit', () => {
+        const riskManager = new RiskManager();
+        riskManager.config.emergencyStopLoss = 100;
+        const emergency = jest.fn();
+        riskManager.on('emergency_stop', emergency);
+
+        riskManager.restoreDailyStats([new FakeDatabase().toTradeRow(closedTrade('A', -120, 5))], new Date(NOW));
+
+        expect(riskManager.emergencyStopTriggered).toBe(true);
+        expect(emergency).toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,172 @@
+// tests/TradingScheduler.test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TradingScheduler = require('../src/core/TradingScheduler');
+const BayneXCore = require('../src/core/BayneXCore');
+const BayneXConfigManager = require('../src/config/ConfigManager');
+const { connect, createSignal, FakeDatabase, FakePlatforms, FakeRiskManager } = require('./fixtures/testDoubles');
+
+const HOUR = 3600000;
+
+const createScheduler = (schedule) => {
+    const scheduler = new TradingScheduler();
+    expect(scheduler.load(schedule)).toBe(true);
+    return scheduler;
+};
+
+describe('TradingScheduler', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('opens each asset and strategy only within its own sessions, on their own clocks', () => {
+        const scheduler = createScheduler({
+            start: '00:00', end: '23:59', timezone: 'UTC',
+            assets: { frxEURUSD: { timezone: 'Europe/London', sessions: [{ days: ['mon', 'tue', 'wed', 'thu', 'fri'], start: '08:00', end: '16:30' }] } },
+            strategies: { momentum_1: { sessions: [{ start: '09:30', end: '16:00', timezone: 'America/New_York' }] } }
+        });
+        const at = (day, hour) => Date.UTC(2026, 9, day, hour, 0);
+
+        // Monday 19 October: 15:00 in London, 10:00 in New York
+        expect(scheduler.check({ asset: 'frxEURUSD' }, at(19, 14))).toEqual({ open: true, reason: null });
+        expect(scheduler.check({ asset: 'frxEURUSD' }, at(19, 16))).toEqual({ open: false, reason: 'frxEURUSD is outside its trading sessions' });
+        expect(scheduler.check({ asset: 'R_10' }, at(19, 16)).open).toBe(true);
+        expect(scheduler.check({ asset: 'frxEURUSD' }, at(24, 10)).open).toBe(false);
+
+        expect(scheduler.check(createSignal(), at(19, 13))).toEqual({ open: false, reason: 'Strategy momentum_1 is outside its trading sessions' });
+        expect(scheduler.check(createSignal(), at(19, 14)).open).toBe(true);
+        expect(scheduler.check(createSignal({ strategyId: 'reversal_1', strategy: 'Reversal' }), at(19, 13)).open).toBe(true);
+
+        expect(scheduler.getStats()).toMatchObject({ checks: 7, rejected: 3 });
+    });
+
+    test('closes on holidays and during blackouts', () => {
+        const scheduler = createScheduler({
+            timezone: 'America/New_York',
+            holidays: ['2026-12-25'],
+            blackouts: [
+                { from: '2026-11-06T13:25:00Z', to: '2026-11-06T13:45:00Z', reason: 'NFP', assets: ['frxEURUSD'] },
+                { days: ['fri'], start: '16:00', end: '23:59', reason: 'Weekly close' }
+            ],
+            assets: { R_10: { holidays: ['2026-10-20'] } }
+        });
+
+        // Christmas begins at midnight in New York, not in UTC
+        expect(scheduler.check({ asset: 'R_25' }, Date.parse('2026-12-25T03:00:00Z')).open).toBe(true);
+        expect(scheduler.check({ asset: 'R_25' }, Date.parse('2026-12-25T06:00:00Z')).reason).toBe('2026-12-25 is a trading holiday');
+
+        expect(scheduler.check({ asset: 'R_10' }, Date.parse('2026-10-20T12:00:00Z')).reason).toBe('2026-10-20 is a holiday for R_10');
+        expect(scheduler.check({ asset: 'R_25' }, Date.parse('2026-10-20T12:00:00Z')).open).toBe(true);
+
+        expect(scheduler.check({ asset: 'frxEURUSD' }, Date.parse('2026-11-06T13:30:00Z')).reason).toBe('Blackout: NFP');
+        expect(scheduler.check({ asset: 'R_10' }, Date.parse('2026-11-06T13:30:00Z')).open).toBe(true);
+        expect(scheduler.check({ asset: 'frxEURUSD' }, Date.parse('2026-11-06T13:45:00Z')).open).toBe(true);
+        expect(scheduler.check({ asset: 'R_10' }, Date.parse('2026-11-06T21:30:00Z')).reason).toBe('Blackout: Weekly close');
+    });
+
+    test('rejects schedules it cannot follow and keeps the one in force', () => {
+        const scheduler = new TradingScheduler();
+        const invalid = [
+            [{ start: '25:00' }, 'trading hours: start must be HH:MM'],
+            [{ days: ['someday'] }, 'trading hours: days must be among sun, mon, tue, wed, thu, fri, sat'],
+            [{ assets: { frxEURUSD: { timezone: 'Mars/Olympus' } } }, 'assets.frxEURUSD: unknown timezone Mars/Olympus'],
+            [{ strategies: { momentum_1: {} } }, 'strategies.momentum_1 needs at least one session'],
+            [{ holidays: ['25/12/2026'] }, 'holidays must be a list of YYYY-MM-DD dates'],
+            [{ blackouts: [{ from: '2026-11-06T14:00:00Z', to: '2026-11-06T13:00:00Z' }] }, 'blackouts[0] needs a "from" before its "to"'],
+            [{ blackouts: [{ reason: 'Maintenance' }] }, 'blackouts[0] needs "from" and "to", or a "start" and "end" time']
+        ];
+
+        for (const [schedule, message] of invalid) {
+            expect(() => scheduler.updateSchedule(schedule)).toThrow(message);
+        }
+
+        expect(scheduler.load({ start: '9am' })).toBe(false);
+        expect(scheduler.getSchedule()).toMatchObject({ schedule: { start: '00:00', end: '23:59', timezone: 'UTC' }, error: 'trading hours: start must be HH:MM' });
+        expect(scheduler.healthCheck().status).toBe('degraded');
+    });
+
+    test('reports sessions opening and closing', () => {
+        const scheduler = createScheduler({ start: '08:00', end: '17:00', timezone: 'UTC', assets: { R_10: { sessions: [{ start: '10:00', end: '12:00' }] } } });
+        const changes = [];
+        scheduler.on('session_changed', change => changes.push(change));
+        const at = hour => Date.UTC(2026, 9, 19, hour, 0);
+
+        [7, 9, 11, 13, 18].forEach(hour => scheduler.refresh(at(hour)));
+
+        expect(changes.map(change => change.description)).toEqual([
+            'Trading session opened',
+            'Trading session for asset R_10 opened',
+            'Trading session for asset R_10 closed (R_10 is outside its trading sessions)',
+            'Trading session closed (Outside trading hours)'
+        ]);
+    });
+
+    test('saves an edited schedule to the configuration and follows reloads', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'baynex-schedule-'));
+        const configPath = path.join(dir, 'config.json');
+        fs.writeFileSync(configPath, JSON.stringify({ platforms: { deriv: { enabled: false } } }));
+
+        const config = new BayneXConfigManager({ configPath, policyPath: path.join(dir, 'risk-policy.json') });
+        await config.init();
+        const scheduler = connect(new TradingScheduler(), { config });
+
+        try {
+            await scheduler.start();
+            expect(scheduler.getSchedule().schedule).toEqual({ start: '00:00', end: '23:59', timezone: 'UTC' });
+
+            const edited = { start: '00:00', end: '23:59', timezone: 'UTC', holidays: ['2026-12-25'] };
+            expect(scheduler.updateSchedule(edited)).toMatchObject({ schedule: edited, error: null });
+            expect(JSON.parse(fs.readFileSync(configPath, 'utf8')).trading.tradingHours).toEqual(edited);
+
+            // An invalid edit is refused before anything is saved
+            expect(() => scheduler.updateSchedule({ ...edited, holidays: 'christmas' })).toThrow('holidays must be a list of YYYY-MM-DD dates');
+            expect(config.get('trading.tradingHours')).toEqual(edited);
+
+            const saved = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+            saved.trading.tradingHours.blackouts = [{ days: ['sat', 'sun'], start: '00:00', end: '23:59', reason: 'Weekend' }];
+            fs.writeFileSync(configPath, JSON.stringify(saved));
+            await config.reload();
+
+            expect(scheduler.check({ asset: 'R_10' }, Date.UTC(2026, 9, 24, 12, 0)).reason).toBe('Blackout: Weekend');
+        } finally {
+            await scheduler.stop();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+
+        expect(config.listenerCount('config_reloaded')).toBe(0);
+    });
+
+    test('keeps the core from queueing or executing signals outside their session', async () => {
+        const now = Date.now();
+        const scheduler = createScheduler({
+            start: '00:00', end: '23:59', timezone: 'UTC',
+            blackouts: [{ from: new Date(now - HOUR).toISOString(), to: new Date(now + HOUR).toISOString(), reason: 'Maintenance', assets: ['R_10'] }]
+        });
+        const platforms = new FakePlatforms();
+        const core = connect(new BayneXCore(), { platforms, database: new FakeDatabase(), riskManager: new FakeRiskManager(), scheduler });
+        const outOfSession = jest.fn();
+        core.on('signal_out_of_session', outOfSession);
+
+        expect(core.queueTradeSignal(createSignal())).toBe(false);
+        expect(outOfSession).toHaveBeenCalledWith(expect.objectContaining({ reason: 'Blackout: Maintenance' }));
+
+        // Queued while open, dropped once its session has closed
+        expect(core.queueTradeSignal(createSignal({ asset: 'R_25' }))).toBe(true);
+        expect(core.queueTradeSignal(createSignal({ asset: 'R_50' }))).toBe(true);
+        scheduler.updateSchedule({
+            ...scheduler.getSchedule().schedule,
+            blackouts: [{ from: new Date(now - HOUR).toISOString(), to: new Date(now + HOUR).toISOString(), reason: 'Maintenance', assets: ['R_10', 'R_25'] }]
+        });
+        await core.processSignalQueue();
+
+        expect(platforms.executed.map(trade => trade.asset)).toEqual(['R_50']);
+        expect(core.getStats().outOfSessionSignals).toBe(2);
+    });
+});
@@ -0,0 +1,53 @@
+// tests/fixtures/RecordedDerivConnector.js
+// Stand-in for DerivConnector that answers ticks_history from recorded responses,
+// applying Deriv's start/end/count semantics so callers can page through the recording.
+
+const { RECORDED_AT, responses } = require('./derivTicksHistory');
+
+class RecordedDerivConnector {
+    constructor(recorded = responses) {
+        this.recorded = recorded;
+        this.isConnected = true;
+        this.requests = [];
+    }
+
+    async sendRequest(request) {
+        this.requests.push(request);
+
+        const recording = this.recorded[request.ticks_history];
+        if (!recording) {
+            return { error: { code: 'InvalidSymbol', message: `Symbol ${request.ticks_history} is invalid.` } };
+        }
+        if (recording.error) {
+            return recording;
+        }
+
+        const start = request.start || 0;
+        const end = request.end === 'latest' || !request.end ? RECORDED_AT : request.end;
+        const count = request.count || 5000;
+
+        if (request.style === 'candles') {
+            const candles = recording.candles.candles
+                .filter(candle => candle.epoch >= start && candle.epoch <= end)
+                .slice(-count);
+            return { ...recording.candles, echo_req: request, candles };
+        }
+
+        const { prices, times } = recording.ticks.history;
+        const indexes = times
+            .map((epoch, i) => i)
+            .filter(i => times[i] >= start && times[i] <= end)
+            .slice(-count);
+
+        return {
+            ...recording.ticks,
+            echo_req: request,
+            history: {
+                prices: indexes.map(i => prices[i]),
+                times: indexes.map(i => times[i])
+            }
+        };
+    }
+}
+
+module.exports = RecordedDerivConnector;
@@ -0,0 +1,108 @@
+// tests/fixtures/derivTicksHistory.js
+// Recorded Deriv ticks_history responses for R_10 (10 minutes ending at epoch 1700000000)
+// plus a recorded error for a closed forex market.
+
+const RECORDED_AT = 1700000000;
+
+const responses = {
+    R_10: {
+        ticks: {
+            msg_type: 'history',
+            pip_size: 3,
+            history: {
+                prices: [
+                    6123.366, 6123.545, 6123.466, 6123.356, 6123.03, 6122.955, 6123.344, 6123.492, 6123.855, 6123.942,
+                    6124.08, 6124.145, 6123.562, 6123.861, 6124.038, 6124.213, 6123.621, 6123.011, 6122.7, 6122.536,
+                    6122.643, 6122.627, 6122.809, 6122.584, 6122.692, 6122.83, 6122.599, 6123.2, 6123.395, 6123.814,
+                    6123.597, 6123.338, 6123.218, 6123.181, 6123.402, 6123.489, 6123.332, 6122.997, 6122.815, 6123.242,
+                    6122.959, 6123.045, 6123.194, 6122.673, 6122.69, 6123.147, 6122.442, 6122.329, 6122.292, 6122.006,
+                    6122.18, 6122.158, 6121.645, 6121.935, 6122.169, 6122.5, 6123.004, 6123.131, 6123.173, 6122.718,
+                    6122.933, 6122.719, 6122.561, 6122.118, 6121.779, 6121.593, 6122.044, 6121.333, 6120.823, 6120.907,
+                    6121.412, 6121.614, 6120.949, 6120.068, 6120.193, 6119.935, 6119.543, 6119.885, 6120.271, 6120.326,
+                    6120.412, 6120.564, 6121.122, 6121.339, 6121.521, 6121.713, 6121.164, 6121.613, 6121.947, 6122.132,
+                    6121.441, 6121.219, 6121.514, 6120.88, 6120.816, 6121.173, 6120.714, 6121.278, 6121.471, 6121.418,
+                    6121.532, 6121.759, 6121.801, 6122.202, 6121.97, 6121.825, 6122.19, 6122.199, 6121.891, 6122.222,
+                    6122.735, 6122.579, 6122.096, 6122.049, 6121.997, 6121.893, 6122.385, 6122.026, 6122.467, 6122.023,
+                    6121.748, 6121.969, 6122.364, 6122.665, 6122.786, 6122.836, 6122.889, 6123.09, 6123.028, 6123.125,
+                    6123.325, 6123.325, 6123.592, 6123.79, 6124.494, 6124.608, 6124.458, 6124.328, 6124.323, 6124.646,
+                    6124.528, 6124.663, 6125.306, 6124.408, 6124.015, 6124.1, 6124.239, 6124.323, 6124.172, 6124.401,
+                    6124.5, 6124.317, 6125.168, 6125.292, 6125.098, 6125.063, 6124.984, 6124.962, 6124.007, 6123.837,
+                    6124.19, 6123.781, 6123.758, 6124.092, 6124.392, 6124.914, 6124.319, 6124.195, 6124.076, 6124.294,
+                    6124.676, 6123.737, 6124.118, 6123.611, 6123.85, 6123.328, 6123.39, 6123.808, 6123.756, 6123.823,
+                    6124.102, 6124.151, 6124.12, 6124.657, 6125.024, 6124.921, 6125.882, 6125.481, 6125.801, 6125.708,
+                    6125.754, 6126.001, 6126.079, 6126.303, 6125.768, 6125.24, 6125.455, 6125.118, 6124.759, 6124.244,
+                    6124.687, 6124.948, 6125.464, 6125.136, 6125.136, 6124.737, 6125.005, 6125.561, 6125.249, 6125.795,
+                    6126.141, 6126.079, 6125.389, 6125.881, 6125.847, 6125.636, 6125.776, 6125.919, 6126.443, 6126.086,
+                    6126.484, 6127.005, 6127.513, 6127.45, 6127.19, 6127.547, 6127.587, 6127.63, 6128.128, 6128.036,
+                    6127.232, 6127.096, 6126.447, 6126.734, 6126.845, 6126.631, 6126.628, 6126.919, 6126.947, 6127.411,
+                    6127.39, 6127.754, 6128.276, 6128.839, 6128.604, 6128.912, 6128.255, 6127.876, 6127.189, 6127.563,
+                    6127.132, 6127.128, 6127.061, 6127.051, 6126.844, 6126.926, 6127.553, 6127.568, 6127.754, 6128.104,
+                    6128.035, 6127.594, 6127.4, 6127.776, 6127.2, 6126.991, 6127.344, 6127.621, 6127.624, 6127.906,
+                    6127.964, 6127.551, 6127.004, 6126.78, 6127.103, 6126.905, 6126.589, 6126.319, 6125.783, 6125.742,
+                    6125.329, 6125.456, 6124.63, 6124.745, 6124.52, 6123.84, 6124.094, 6123.998, 6123.217, 6122.911,
+                    6123.013, 6122.852, 6123.125, 6123.387, 6123.62, 6123.734, 6124.201, 6124.432, 6124.59, 6123.861,
+                    6124.175
+                ],
+                times: [
+                    1699999400, 1699999402, 1699999404, 1699999406, 1699999408, 1699999410, 1699999412, 1699999414, 1699999416, 1699999418,
+                    1699999420, 1699999422, 1699999424, 1699999426, 1699999428, 1699999430, 1699999432, 1699999434, 1699999436, 1699999438,
+                    1699999440, 1699999442, 1699999444, 1699999446, 1699999448, 1699999450, 1699999452, 1699999454, 1699999456, 1699999458,
+                    1699999460, 1699999462, 1699999464, 1699999466, 1699999468, 1699999470, 1699999472, 1699999474, 1699999476, 1699999478,
+                    1699999480, 1699999482, 1699999484, 1699999486, 1699999488, 1699999490, 1699999492, 1699999494, 1699999496, 1699999498,
+                    1699999500, 1699999502, 1699999504, 1699999506, 1699999508, 1699999510, 1699999512, 1699999514, 1699999516, 1699999518,
+                    1699999520, 1699999522, 1699999524, 1699999526, 1699999528, 1699999530, 1699999532, 1699999534, 1699999536, 1699999538,
+                    1699999540, 1699999542, 1699999544, 1699999546, 1699999548, 1699999550, 1699999552, 1699999554, 1699999556, 1699999558,
+                    1699999560, 1699999562, 1699999564, 1699999566, 1699999568, 1699999570, 1699999572, 1699999574, 1699999576, 1699999578,
+                    1699999580, 1699999582, 1699999584, 1699999586, 1699999588, 1699999590, 1699999592, 1699999594, 1699999596, 1699999598,
+                    1699999600, 1699999602, 1699999604, 1699999606, 1699999608, 1699999610, 1699999612, 1699999614, 1699999616, 1699999618,
+                    1699999620, 1699999622, 1699999624, 1699999626, 1699999628, 1699999630, 1699999632, 1699999634, 1699999636, 1699999638,
+                    1699999640, 1699999642, 1699999644, 1699999646, 1699999648, 1699999650, 1699999652, 1699999654, 1699999656, 1699999658,
+                    1699999660, 1699999662, 1699999664, 1699999666, 1699999668, 1699999670, 1699999672, 1699999674, 1699999676, 1699999678,
+                    1699999680, 1699999682, 1699999684, 1699999686, 1699999688, 1699999690, 1699999692, 1699999694, 1699999696, 1699999698,
+                    1699999700, 1699999702, 1699999704, 1699999706, 1699999708, 1699999710, 1699999712, 1699999714, 1699999716, 1699999718,
+                    1699999720, 1699999722, 1699999724, 1699999726, 1699999728, 1699999730, 1699999732, 1699999734, 1699999736, 1699999738,
+                    1699999740, 1699999742, 1699999744, 1699999746, 1699999748, 1699999750, 1699999752, 1699999754, 1699999756, 1699999758,
+                    1699999760, 1699999762, 1699999764, 1699999766, 1699999768, 1699999770, 1699999772, 1699999774, 1699999776, 1699999778,
+                    1699999780, 1699999782, 1699999784, 1699999786, 1699999788, 1699999790, 1699999792, 1699999794, 1699999796, 1699999798,
+                    1699999800, 1699999802, 1699999804, 1699999806, 1699999808, 1699999810, 1699999812, 1699999814, 1699999816, 1699999818,
+                    1699999820, 1699999822, 1699999824, 1699999826, 1699999828, 1699999830, 1699999832, 1699999834, 1699999836, 1699999838,
+                    1699999840, 1699999842, 1699999844, 1699999846, 1699999848, 1699999850, 1699999852, 1699999854, 1699999856, 1699999858,
+                    1699999860, 1699999862, 1699999864, 1699999866, 1699999868, 1699999870, 1699999872, 1699999874, 1699999876, 1699999878,
+                    1699999880, 1699999882, 1699999884, 1699999886, 1699999888, 1699999890, 1699999892, 1699999894, 1699999896, 1699999898,
+                    1699999900, 1699999902, 1699999904, 1699999906, 1699999908, 1699999910, 1699999912, 1699999914, 1699999916, 1699999918,
+                    1699999920, 1699999922, 1699999924, 1699999926, 1699999928, 1699999930, 1699999932, 1699999934, 1699999936, 1699999938,
+                    1699999940, 1699999942, 1699999944, 1699999946, 1699999948, 1699999950, 1699999952, 1699999954, 1699999956, 1699999958,
+                    1699999960, 1699999962, 1699999964, 1699999966, 1699999968, 1699999970, 1699999972, 1699999974, 1699999976, 1699999978,
+                    1699999980, 1699999982, 1699999984, 1699999986, 1699999988, 1699999990, 1699999992, 1699999994, 1699999996, 1699999998,
+                    1700000000
+                ]
+            }
+        },
+        candles: {
+            msg_type: 'candles',
+            pip_size: 3,
+            candles: [
+            { epoch: 1699999380, open: 6123.366, high: 6124.213, low: 6122.536, close: 6122.536 },
+            { epoch: 1699999440, open: 6122.643, high: 6123.814, low: 6122.006, close: 6122.006 },
+            { epoch: 1699999500, open: 6122.18, high: 6123.173, low: 6119.543, close: 6120.326 },
+            { epoch: 1699999560, open: 6120.412, high: 6122.222, low: 6120.412, close: 6122.222 },
+            { epoch: 1699999620, open: 6122.735, high: 6124.646, low: 6121.748, close: 6124.646 },
+            { epoch: 1699999680, open: 6124.528, high: 6125.306, low: 6123.758, close: 6124.294 },
+            { epoch: 1699999740, open: 6124.676, high: 6126.303, low: 6123.328, close: 6124.244 },
+            { epoch: 1699999800, open: 6124.687, high: 6128.128, low: 6124.687, close: 6128.036 },
+            { epoch: 1699999860, open: 6127.232, high: 6128.912, low: 6126.447, close: 6128.104 },
+            { epoch: 1699999920, open: 6128.035, high: 6128.035, low: 6122.911, close: 6122.911 },
+            { epoch: 1699999980, open: 6123.013, high: 6124.59, low: 6122.852, close: 6124.175 }
+            ]
+        }
+    },
+    frxEURUSD: {
+        error: {
+            code: 'MarketIsClosed',
+            message: 'This market is presently closed.'
+        },
+        msg_type: 'ticks_history'
+    }
+};
+
+module.exports = { RECORDED_AT, responses };
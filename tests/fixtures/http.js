@@ -0,0 +1,35 @@
+// tests/fixtures/http.js - Serves an Express app on a free local port and calls its protected API
+
+const http = require('http');
+
+const serve = async (app) => {
+    const server = http.createServer(app);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    // Resolves with the status and the parsed JSON body
+    const request = (method, path, { token, body } = {}) => new Promise((resolve, reject) => {
+        const payload = body ? JSON.stringify(body) : null;
+        const req = http.request({
+            host: '127.0.0.1',
+            port: server.address().port,
+            method,
+            path: `/api/protected${path}`,
+            headers: {
+                ...(token ? { Authorization: `Bearer ${token}` } : {}),
+                ...(payload ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) } : {})
+            }
+        }, (res) => {
+            let data = '';
+            res.on('data', chunk => { data += chunk; });
+            res.on('end', () => resolve({ status: res.statusCode, body: data ? JSON.parse(data) : null }));
+        });
+        req.on('error', reject);
+        req.end(payload);
+    });
+
+    const close = () => new Promise(resolve => server.close(resolve));
+
+    return { request, close };
+};
+
+module.exports = { serve };
@@ -0,0 +1,251 @@
+// tests/fixtures/testDoubles.js - Explicit stand-ins for components a unit under test depends on
+
+const { EventEmitter } = require('events');
+
+// Replaces the integration layer: hands the component its collaborators by name
+const connect = (component, components) => {
+    component.getComponent = name => components[name] || null;
+    return component;
+};
+
+// A strategy's trade signal; suites override the fields their scenario turns on
+const createSignal = (overrides = {}) => ({
+    asset: 'R_10',
+    direction: 'CALL',
+    amount: 10,
+    duration: 60,
+    strategy: 'Momentum_RSI',
+    strategyId: 'momentum_1',
+    confidence: 0.8,
+    ...overrides
+});
+
+class FakePlatforms extends EventEmitter {
+    constructor() {
+        super();
+        this.executed = [];
+        this.closed = [];
+        this.emergencyClosed = [];
+        this.statuses = new Map();
+        this.nextContractId = 1000;
+        this.proposals = [];
+        // Profit per unit staked quoted by getProposal; null quotes nothing, like MT5
+        this.payoutRatio = null;
+        this.sold = [];
+        this.activeContracts = [];
+        this.settledContracts = [];
+        this.resumed = [];
+        // What closeContract sells an open contract for
+        this.saleValue = 0;
+    }
+
+    async getProposal(params) {
+        this.proposals.push(params);
+        if (this.payoutRatio === null) return null;
+
+        return {
+            proposalId: `proposal_${this.proposals.length}`,
+            askPrice: params.amount,
+            payout: params.amount * (1 + this.payoutRatio),
+            payoutRatio: this.payoutRatio
+        };
+    }
+
+    async executeTrade(params) {
+        const contractId = this.nextContractId++;
+        this.executed.push({ ...params, contractId });
+        this.statuses.set(contractId, { status: 'open' });
+        return { id: `trade_${contractId}`, contractId, entryPrice: 100 };
+    }
+
+    async getTradeStatus(platform, contractId) {
+        return this.statuses.get(contractId) || { status: 'unknown' };
+    }
+
+    // Lets a test decide how an open contract ends
+    settle(contractId, status) {
+        this.statuses.set(contractId, status);
+    }
+
+    async closeTradeManually(platform, contractId) {
+        this.closed.push({ platform, contractId });
+        return true;
+    }
+
+    async closeContract(platform, contractId) {
+        this.sold.push({ platform, contractId });
+        this.statuses.set(contractId, { status: 'closed' });
+        return { contract_id: contractId, sold_for: this.saleValue };
+    }
+
+    // Portfolio and profit table for reconciliation; settledContracts null means no history
+    async getActiveContracts(platform) {
+        return this.activeContracts;
+    }
+
+    async getSettledContracts(platform, since) {
+        return this.settledContracts;
+    }
+
+    resumeContract(platform, contract, trade) {
+        this.resumed.push({ platform, contractId: contract.contract_id, tradeId: trade.id });
+        return trade;
+    }
+
+    async emergencyCloseTrade(platform, contractId) {
+        this.emergencyClosed.push({ platform, contractId });
+        return true;
+    }
+}
+
+class FakeDatabase {
+    constructor() {
+        this.trades = [];
+        this.riskEvents = [];
+        this.dailyRiskStats = [];
+        this.systemLogs = [];
+        this.users = new Map();
+        this.decisionJournal = [];
+        this.circuitBreakers = new Map();
+    }
+
+    // Replaces by id, like INSERT OR REPLACE
+    async saveTrade(trade) {
+        const index = this.trades.findIndex(saved => saved.id === trade.id);
+        if (index >= 0) {
+            this.trades[index] = trade;
+        } else {
+            this.trades.push(trade);
+        }
+    }
+
+    // Rows come back in the trades table's column shape
+    toTradeRow(trade) {
+        const signal = trade.signal || {};
+        const seconds = time => time ? new Date(time).getTime() / 1000 : null;
+        return {
+            id: trade.id,
+            platform: trade.platform,
+            asset: trade.asset,
+            direction: trade.direction,
+            amount: trade.amount,
+            entry_price: trade.entryPrice,
+            exit_price: trade.exitPrice,
+            profit: trade.profit,
+            strategy_id: signal.strategyId || null,
+            strategy_name: signal.strategy || null,
+            confidence: signal.confidence,
+            entry_time: seconds(trade.entryTime),
+            exit_time: seconds(trade.exitTime),
+            duration: trade.duration,
+            status: trade.status,
+            result: trade.result,
+            contract_id: trade.contractId !== undefined ? String(trade.contractId) : null,
+            signal_id: trade.signalId || null
+        };
+    }
+
+    async getTradesSince(since) {
+        const from = new Date(since).getTime() / 1000;
+        return this.trades
+            .map(trade => this.toTradeRow(trade))
+            .filter(row => row.entry_time >= from || row.exit_time >= from)
+            .sort((a, b) => (a.exit_time || a.entry_time) - (b.exit_time || b.entry_time));
+    }
+
+    async saveRiskEvent(event) {
+        this.riskEvents.push(event);
+    }
+
+    async saveDailyRiskStats(stats) {
+        this.dailyRiskStats.push(stats);
+    }
+
+    async getRiskHistory() {
+        return null;
+    }
+
+    // Kept in the circuit_breakers column shape, times in seconds
+    async saveCircuitBreaker(breaker) {
+        this.circuitBreakers.set(breaker.key, {
+            key: breaker.key,
+            scope: breaker.scope,
+            target: breaker.target,
+            state: breaker.state,
+            losses: breaker.losses,
+            wins: breaker.wins,
+            paused_until: breaker.pausedUntil ? Math.floor(breaker.pausedUntil / 1000) : null,
+            reason: breaker.reason,
+            changed_at: breaker.changedAt ? Math.floor(new Date(breaker.changedAt).getTime() / 1000) : null
+        });
+    }
+
+    async getCircuitBreakers() {
+        return [...this.circuitBreakers.values()];
+    }
+
+    async saveSystemLog(level, message, component, data = null) {
+        this.systemLogs.push({ level, message, component, data });
+    }
+
+    async getUser(userId) {
+        return this.users.get(userId) || null;
+    }
+
+    // Rows are stored as copies, like a real table, so tests can tamper with them
+    async saveDecisionEntry(entry) {
+        this.decisionJournal.push(JSON.parse(JSON.stringify(entry)));
+    }
+
+    async getDecisionEntries(id) {
+        const match = this.decisionJournal.find(row => row.signalId === id || row.tradeId === id);
+        return match ? this.decisionJournal.filter(row => row.signalId === match.signalId) : [];
+    }
+
+    async getDecisionEntry(seq) {
+        return this.decisionJournal.find(row => row.seq === seq) || null;
+    }
+
+    async getLastDecisionEntry() {
+        return this.decisionJournal[this.decisionJournal.length - 1] || null;
+    }
+}
+
+class FakeRiskManager {
+    constructor(approval = { approved: true }) {
+        this.approval = approval;
+        this.validated = [];
+        this.started = [];
+        this.ended = [];
+        this.released = [];
+    }
+
+    async validateTrade(params) {
+        this.validated.push(params);
+        return this.approval;
+    }
+
+    async assessSignalRisk(signal) {
+        return this.validateTrade(signal);
+    }
+
+    recordTradeStart(trade) {
+        this.started.push(trade.id);
+    }
+
+    recordTradeEnd(trade) {
+        this.ended.push(trade.id);
+    }
+
+    releaseTrade(trade) {
+        this.released.push(trade.id);
+    }
+}
+
+module.exports = {
+    connect,
+    createSignal,
+    FakePlatforms,
+    FakeDatabase,
+    FakeRiskManager
+};
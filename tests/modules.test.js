@@ -0,0 +1,136 @@
+// tests/modules.test.js
+
+const { createSystem } = require('../server');
+const BayneXWebSocketServer = require('../src/web/WebSocketServer');
+
+describe('system wiring', () => {
+    let system;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        system = createSystem();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('registers every component the others depend on', async () => {
+        await expect(system.validateDependencies()).resolves.toBeUndefined();
+
+        for (const component of system.components.values()) {
+            expect(typeof component.instance.initialize).toBe('function');
+            expect(component.status).toBe('registered');
+        }
+    });
+
+    test('initializes each component after its dependencies', () => {
+        const order = system.calculateInitializationOrder();
+
+        expect(order.slice().sort()).toEqual(Array.from(system.components.keys()).sort());
+        for (const [name, component] of system.components) {
+            for (const dependency of component.dependencies) {
+                expect(order.indexOf(dependency)).toBeLessThan(order.indexOf(name));
+            }
+        }
+        expect(order[0]).toBe('config');
+    });
+
+    test('hands every component the others through getComponent', () => {
+        system.setupComponentCrossReferences();
+        const core = system.getComponent('core');
+
+        expect(core.getComponent('riskManager')).toBe(system.getComponent('riskManager'));
+        expect(system.getComponent('web').getComponent('core')).toBe(core);
+    });
+
+    test('forwards component events with the component name', () => {
+        const forwarded = jest.fn();
+        system.eventBus.on('goalTracker:goal_achieved', forwarded);
+
+        system.getComponent('goalTracker').emit('goal_achieved', { id: 'daily_profit' });
+
+        expect(forwarded).toHaveBeenCalledWith(expect.objectContaining({
+            component: 'goalTracker',
+            event: 'goal_achieved',
+            data: [{ id: 'daily_profit' }]
+        }));
+    });
+
+    test('counts closed trades towards the goals', async () => {
+        const goalTracker = system.getComponent('goalTracker');
+        jest.spyOn(system.getComponent('aiEngine'), 'learnFromTradeOutcome').mockResolvedValue();
+        jest.spyOn(system.getComponent('strategyManager'), 'updateStrategyPerformance').mockResolvedValue();
+        const goal = goalTracker.createDailyProfitGoal(10);
+
+        await system.handleTradeClosed({ data: [{ id: 'trade_1', result: 'win', profit: 4, exitTime: new Date() }] });
+
+        expect(goalTracker.goals.get(goal.id).currentValue).toBe(4);
+    });
+
+    test('pushes circuit breaker changes to every dashboard session', async () => {
+        system.setupComponentCrossReferences();
+        const web = system.getComponent('web');
+        web.wsServer = new BayneXWebSocketServer({ auth: web.auth });
+        const sent = [];
+        web.wsServer.sendToClient = (clientId, message) => sent.push([clientId, message]);
+        web.wsServer.clients.set('c1', { id: 'c1', user: { uid: 'u1', role: 'VIEWER' }, rooms: new Set() });
+        const alert = jest.spyOn(system.getComponent('notifications'), 'sendSystemAlert').mockResolvedValue();
+
+        system.getComponent('riskManager').emit('circuit_breaker_changed', {
+            key: 'account', from: 'reduced', to: 'paused', description: 'Circuit breaker on the account: reduced → paused (5 losses in a row)'
+        });
+        await new Promise(resolve => setImmediate(resolve));
+
+        expect(alert).toHaveBeenCalledWith(expect.objectContaining({ type: 'circuit_breaker', critical: true }));
+        expect(sent).toEqual([['c1', { type: 'circuit_breaker', data: expect.objectContaining({ key: 'account', to: 'paused' }) }]]);
+    });
+
+    test('builds components from the same classes the package entry points export', () => {
+        expect(system.getComponent('goalTracker')).toBeInstanceOf(require('../src/goals').BayneXGoalTracker);
+        expect(require('../src/goals').BayneXGoalTracker).toBe(require('../src/goals/GoalTracker'));
+        expect(system.getComponent('web')).toBeInstanceOf(require('../src/web').BayneXWebModule);
+        expect(system.getComponent('core')).toBeInstanceOf(require('../src/core/BayneXCore'));
+        expect(system.getComponent('riskManager')).toBeInstanceOf(require('../src/risk/RiskManagers'));
+        expect(system.getComponent('aiEngine')).toBeInstanceOf(require('../src/ai/AILearningEngine'));
+    });
+});
+
+describe('optional notification packages', () => {
+    beforeEach(() => {
+        jest.resetModules();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.dontMock('nodemailer');
+        jest.restoreAllMocks();
+    });
+
+    test('load the mail transport only when email is set up', async () => {
+        const transporter = { verify: jest.fn().mockResolvedValue(true) };
+        const createTransport = jest.fn(() => transporter);
+        jest.doMock('nodemailer', () => ({ createTransport }));
+        const EmailNotifier = require('../src/notifications/EmailNotifier');
+
+        const notifier = new EmailNotifier({ service: 'gmail', user: 'bot@example.com', password: 'secret', recipients: ['me@example.com'] });
+        expect(createTransport).not.toHaveBeenCalled();
+
+        await notifier.createTransporter();
+        await notifier.testConnection();
+        expect(createTransport).toHaveBeenCalledWith(expect.objectContaining({ service: 'gmail' }));
+        expect(transporter.verify).toHaveBeenCalled();
+    });
+
+    test('explain which package is missing', async () => {
+        jest.doMock('nodemailer', () => {
+            throw Object.assign(new Error("Cannot find module 'nodemailer'"), { code: 'MODULE_NOT_FOUND' });
+        });
+        const EmailNotifier = require('../src/notifications/EmailNotifier');
+
+        const notifier = new EmailNotifier({ service: 'gmail', user: 'bot@example.com', password: 'secret' });
+        await expect(notifier.createTransporter()).rejects.toThrow('Email notifications need the nodemailer package (npm install nodemailer)');
+    });
+});
@@ -166,20 +166,20 @@ jest.mock('firebase-admin', () => ({
             email: 'test@example.com'
         })
     })
-}));
+}), { virtual: true });
 
 // Mock trading platform APIs
-jest.mock('deriv-api', () => jest.fn());
-jest.mock('mt5-connector', () => jest.fn());
-jest.mock('iq-option-api', () => jest.fn());
+jest.mock('deriv-api', () => jest.fn(), { virtual: true });
+jest.mock('mt5-connector', () => jest.fn(), { virtual: true });
+jest.mock('iq-option-api', () => jest.fn(), { virtual: true });
 
 // Mock notification services
-jest.mock('node-telegram-bot-api', () => jest.fn());
+jest.mock('node-telegram-bot-api', () => jest.fn(), { virtual: true });
 jest.mock('twilio', () => () => ({
     messages: {
         create: jest.fn().mockResolvedValue({ sid: 'test_sid' })
     }
-}));
+}), { virtual: true });
 
 // Setup and teardown
 beforeAll(() => {